@@ -0,0 +1,69 @@
+/**
+ * Integration tests — boot schema vs repositories
+ *
+ * Every repository prepares its statements in its constructor, so building
+ * them all against DatabaseManager.createSchema() catches a column added to a
+ * migration but not to the boot schema.
+ */
+
+'use strict';
+
+process.env.DB_PATH = ':memory:';
+
+const DatabaseManager = require('../../../infrastructure/database/DatabaseManager');
+const Container = require('../../../lib/application/Container');
+
+describe('DatabaseManager schema', () => {
+  let manager;
+  let container;
+
+  beforeAll(() => {
+    manager = DatabaseManager.getInstance();
+    manager.initialize();
+  });
+
+  beforeEach(() => {
+    Container.reset();
+    container = Container.getInstance();
+    container.initialize();
+  });
+
+  afterAll(() => {
+    Container.reset();
+    manager.close();
+  });
+
+  test('every registered repository prepares its statements against the boot schema', () => {
+    const names = [...container._registry.keys()].filter(name => name.endsWith('Repository'));
+
+    expect(names.length).toBeGreaterThan(10);
+    for (const name of names) {
+      expect(() => container.resolve(name)).not.toThrow();
+    }
+  });
+
+  test('createSchema adds weapon_stats.flagged to a database created before the column', () => {
+    const db = manager.getDb();
+    db.exec(`
+      DROP TABLE weapon_stats;
+      CREATE TABLE weapon_stats (
+        player_id TEXT NOT NULL,
+        weapon_id TEXT NOT NULL,
+        times_used INTEGER NOT NULL DEFAULT 0,
+        shots_fired INTEGER NOT NULL DEFAULT 0,
+        shots_hit INTEGER NOT NULL DEFAULT 0,
+        kills INTEGER NOT NULL DEFAULT 0,
+        damage_dealt INTEGER NOT NULL DEFAULT 0,
+        active_time INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (player_id, weapon_id)
+      );
+    `);
+
+    manager.createSchema();
+
+    const columns = db.prepare('PRAGMA table_info(weapon_stats)').all().map(c => c.name);
+    expect(columns).toContain('flagged');
+    expect(() => container.resolve('weaponStatsRepository')).not.toThrow();
+  });
+});
@@ -44,11 +44,18 @@ describe('MigrationRunner integration', () => {
       '002_account_progression.sql',
       '003_achievements_data.sql',
       '004_performance_indexes.sql',
-      '005_daily_challenges.sql'
+      '005_daily_challenges.sql',
+      '006_run_records.sql',
+      '007_player_economy.sql',
+      '008_chat_logs.sql',
+      '009_player_relationships.sql',
+      '010_moderation.sql',
+      '011_anticheat.sql',
+      '012_weapon_stats.sql'
     ]);
 
     const status = runner.status();
-    expect(status.applied).toBe(5);
+    expect(status.applied).toBe(12);
     expect(status.pending).toBe(0);
 
     const achievementCount = db.prepare('SELECT COUNT(*) as count FROM achievements').get().count;
@@ -62,10 +69,10 @@ describe('MigrationRunner integration', () => {
     runner.up();
 
     const rollback = runner.down(1);
-    expect(rollback.rolledBack).toEqual(['005_daily_challenges.sql']);
+    expect(rollback.rolledBack).toEqual(['012_weapon_stats.sql']);
 
     const reapply = runner.up();
-    expect(reapply.applied).toEqual(['005_daily_challenges.sql']);
+    expect(reapply.applied).toEqual(['012_weapon_stats.sql']);
 
     const countAfterReapply = db.prepare('SELECT COUNT(*) as count FROM achievements').get().count;
     expect(countAfterReapply).toBe(25);
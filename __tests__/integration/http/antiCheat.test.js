@@ -0,0 +1,113 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initAntiCheatRoutes = require('../../../transport/http/antiCheat');
+const CheatViolation = require('../../../lib/domain/entities/CheatViolation');
+const LeaderboardEntry = require('../../../lib/domain/entities/LeaderboardEntry');
+
+function makeViolation(overrides = {}) {
+  return new CheatViolation({ id: 1, playerId: 'p1', type: 'movement_budget', magnitude: 2, createdAt: 1000, ...overrides });
+}
+
+function makeEntry(overrides = {}) {
+  return new LeaderboardEntry({
+    id: 7, playerId: 'p1', playerUsername: 'Alice', wave: 9, level: 4, kills: 80, survivalTime: 300,
+    score: 2000, createdAt: 1000, flagged: true, ...overrides
+  });
+}
+
+function buildApp(serviceOverrides = {}, repositoryOverrides = {}) {
+  const app = express();
+  app.use(express.json());
+  const mockRepository = {
+    getFlagged: jest.fn().mockResolvedValue([makeEntry()]),
+    ...repositoryOverrides
+  };
+  const mockService = {
+    listSuspiciousAccounts: jest.fn().mockResolvedValue([
+      { playerId: 'p1', trustScore: 12.5, violationCount: 3, lastViolationAt: 1000, evidence: [makeViolation().toObject()] }
+    ]),
+    getTrustScore: jest.fn().mockResolvedValue(42.345),
+    getViolations: jest.fn().mockResolvedValue([makeViolation({ id: 2, createdAt: 2000 }), makeViolation()]),
+    ...serviceOverrides
+  };
+  const services = { antiCheatService: mockService, leaderboardRepository: mockRepository };
+  app.use('/', initAntiCheatRoutes({ get: name => services[name] }));
+  return { app, mockService, mockRepository };
+}
+
+describe('GET /suspicious', () => {
+  test('lists_accounts_below_the_threshold_with_their_evidence', async () => {
+    const { app, mockService } = buildApp();
+
+    const res = await request(app).get('/suspicious?limit=5&evidence=3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data[0]).toMatchObject({ playerId: 'p1', trustScore: 12.5 });
+    expect(res.body.data[0].evidence).toHaveLength(1);
+    expect(mockService.listSuspiciousAccounts).toHaveBeenCalledWith({ limit: 5, evidenceLimit: 3 });
+  });
+
+  test('rejects_an_out_of_range_limit', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).get('/suspicious?limit=0');
+
+    expect(res.status).toBe(400);
+    expect(mockService.listSuspiciousAccounts).not.toHaveBeenCalled();
+  });
+
+  test('returns_500_when_the_service_fails', async () => {
+    const { app } = buildApp({ listSuspiciousAccounts: jest.fn().mockRejectedValue(new Error('db')) });
+    const res = await request(app).get('/suspicious');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('SUSPICIOUS_FETCH_FAILED');
+  });
+});
+
+describe('GET /players/:playerId', () => {
+  test('returns_the_trust_score_and_a_page_of_violations', async () => {
+    const { app, mockService } = buildApp();
+
+    const res = await request(app).get('/players/p1?limit=2&before=5000');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.playerId).toBe('p1');
+    expect(res.body.data.trustScore).toBe(42.3);
+    expect(res.body.data.violations.map(v => v.id)).toEqual([2, 1]);
+    expect(res.body.nextBefore).toBe(1000);
+    expect(mockService.getViolations).toHaveBeenCalledWith('p1', { limit: 2, before: 5000 });
+  });
+
+  test('returns_a_null_cursor_without_violations', async () => {
+    const { app } = buildApp({ getViolations: jest.fn().mockResolvedValue([]) });
+    const res = await request(app).get('/players/p1');
+
+    expect(res.body.data.violations).toEqual([]);
+    expect(res.body.nextBefore).toBeNull();
+  });
+});
+
+describe('GET /leaderboard', () => {
+  test('lists_flagged_entries_with_their_flag', async () => {
+    const { app, mockRepository } = buildApp();
+
+    const res = await request(app).get('/leaderboard?limit=20');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ id: 7, playerUsername: 'Alice', flagged: true })]);
+    expect(mockRepository.getFlagged).toHaveBeenCalledWith(20);
+  });
+
+  test('returns_500_when_the_repository_fails', async () => {
+    const { app } = buildApp({}, { getFlagged: jest.fn().mockRejectedValue(new Error('db')) });
+    const res = await request(app).get('/leaderboard');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('FLAGGED_FETCH_FAILED');
+  });
+});
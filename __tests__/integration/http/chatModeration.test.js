@@ -0,0 +1,59 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initChatModerationRoutes = require('../../../transport/http/chatModeration');
+const ChatMessage = require('../../../lib/domain/entities/ChatMessage');
+
+function buildApp(serviceOverrides = {}) {
+  const app = express();
+  const mockService = {
+    getFlaggedMessages: jest.fn().mockResolvedValue([
+      new ChatMessage({ id: 2, playerId: 'p1', nickname: 'Alice', message: '*****', rawMessage: 'merde', flagged: true, flagReason: 'profanity', createdAt: 2000 }),
+      new ChatMessage({ id: 1, nickname: 'Guest', message: '****', rawMessage: 'shit', flagged: true, flagReason: 'profanity', createdAt: 1000 })
+    ]),
+    ...serviceOverrides
+  };
+  app.use('/', initChatModerationRoutes({ get: () => mockService }));
+  return { app, mockService };
+}
+
+describe('GET /flagged', () => {
+  test('returns_flagged_messages_with_next_cursor', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).get('/flagged');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data[0]).toMatchObject({ nickname: 'Alice', rawMessage: 'merde', flagReason: 'profanity' });
+    expect(res.body.nextBefore).toBe(1000);
+    expect(mockService.getFlaggedMessages).toHaveBeenCalledWith({ limit: 50, before: undefined });
+  });
+
+  test('forwards_limit_and_before_query', async () => {
+    const { app, mockService } = buildApp();
+    await request(app).get('/flagged?limit=10&before=5000');
+    expect(mockService.getFlaggedMessages).toHaveBeenCalledWith({ limit: 10, before: 5000 });
+  });
+
+  test('returns_400_on_invalid_limit', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get('/flagged?limit=1000');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns_null_cursor_on_empty_page', async () => {
+    const { app } = buildApp({ getFlaggedMessages: jest.fn().mockResolvedValue([]) });
+    const res = await request(app).get('/flagged');
+    expect(res.body).toEqual({ success: true, data: [], nextBefore: null });
+  });
+
+  test('returns_500_when_service_throws', async () => {
+    const { app } = buildApp({ getFlaggedMessages: jest.fn().mockRejectedValue(new Error('DB fail')) });
+    const res = await request(app).get('/flagged');
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('CHAT_LOG_FETCH_FAILED');
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initContractsRoutes = require('../../../transport/http/contracts');
+const ContractProgress = require('../../../lib/domain/entities/ContractProgress');
+
+const VALID_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000001';
+const OTHER_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000002';
+
+function makeContract() {
+  return new ContractProgress({
+    playerId: VALID_UUID,
+    weekStart: '2026-10-19',
+    contractId: 'endurance',
+    stages: [{ id: 'endurance_stage_1', type: 'runs', target: 3, reward: { gems: 10 } }]
+  });
+}
+
+function buildApp(serviceOverrides = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const mockService = {
+    getCurrentContract: jest.fn().mockResolvedValue(makeContract()),
+    claimStage: jest.fn().mockResolvedValue({ reward: { gems: 10 }, contract: makeContract(), wallet: { balance: 42 } }),
+    ...serviceOverrides
+  };
+  const container = { get: () => mockService };
+  const injectUserId = (req, _res, next) => {
+ req.userId = VALID_UUID; next();
+};
+  app.use('/', initContractsRoutes(container, { requireAuth: injectUserId }));
+  return { app, mockService };
+}
+
+describe('GET /:playerId', () => {
+  test('returns_contract_with_template_name', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${VALID_UUID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ contractId: 'endurance', name: 'Contrat: Endurance', currentStage: 0 });
+  });
+
+  test('returns_403_when_userId_mismatch', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${OTHER_UUID}`);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /:playerId/claim', () => {
+  test('returns_reward_and_gem_balance', async () => {
+    const { app } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/claim`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.reward).toEqual({ gems: 10 });
+    expect(res.body.data.gemBalance).toBe(42);
+  });
+
+  test('returns_409_when_nothing_to_claim', async () => {
+    const { app } = buildApp({ claimStage: jest.fn().mockResolvedValue(null) });
+    const res = await request(app).post(`/${VALID_UUID}/claim`);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('CONTRACT_NOT_CLAIMABLE');
+  });
+
+  test('returns_500_when_service_throws', async () => {
+    const { app } = buildApp({ claimStage: jest.fn().mockRejectedValue(new Error('DB fail')) });
+    const res = await request(app).post(`/${VALID_UUID}/claim`);
+    expect(res.status).toBe(500);
+  });
+});
@@ -8,24 +8,29 @@ const initDailyChallengesRoutes = require('../../../transport/http/dailyChalleng
 
 const VALID_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000001';
 const OTHER_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000002';
+const ADMIN_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000003';
 
-function buildApp(serviceOverrides = {}) {
+process.env.ADMIN_USER_IDS = ADMIN_UUID;
+
+function buildApp(serviceOverrides = {}, userId = VALID_UUID) {
   const app = express();
   app.use(express.json());
 
   const mockService = {
     getTodayChallenges: jest.fn().mockResolvedValue([{ id: 'ch1', type: 'zombies_killed', target: 10, progress: 0 }]),
     applyEvent: jest.fn().mockReturnValue({ updated: true }),
+    getClaimableReward: jest.fn().mockReturnValue({ date: '2026-10-19', reward: { xp: 100, coins: 50 } }),
     claimReward: jest.fn().mockReturnValue({ xp: 100, coins: 50 }),
     ...serviceOverrides
   };
-  const container = { get: () => mockService };
+  const mockGemService = { credit: jest.fn().mockResolvedValue({ balance: 25 }) };
+  const container = { get: name => (name === 'gemService' ? mockGemService : mockService) };
   const injectUserId = (req, _res, next) => {
- req.userId = VALID_UUID; next();
+ req.userId = userId; next();
 };
   const router = initDailyChallengesRoutes(container, { requireAuth: injectUserId });
   app.use('/', router);
-  return { app, mockService };
+  return { app, mockService, mockGemService };
 }
 
 describe('GET /:playerId', () => {
@@ -60,43 +65,45 @@ describe('GET /:playerId', () => {
   });
 });
 
-describe('POST /:playerId/event', () => {
+describe('POST /:playerId/event (admin only)', () => {
   const validBody = { eventType: 'zombies_killed', delta: 3, meta: {} };
 
-  test('applies_event_and_returns_success', async () => {
-    const { app } = buildApp();
+  test('applies_event_for_an_admin', async () => {
+    const { app, mockService } = buildApp({}, ADMIN_UUID);
     const res = await request(app).post(`/${VALID_UUID}/event`).send(validBody);
     expect(res.status).toBe(200);
+    expect(mockService.applyEvent).toHaveBeenCalledWith(VALID_UUID, 'zombies_killed', 3, {});
+  });
+
+  test('returns_403_when_player_reports_own_progress', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/event`).send(validBody);
+    expect(res.status).toBe(403);
+    expect(mockService.applyEvent).not.toHaveBeenCalled();
   });
 
   test('returns_400_when_eventType_invalid', async () => {
-    const { app } = buildApp();
+    const { app } = buildApp({}, ADMIN_UUID);
     const res = await request(app).post(`/${VALID_UUID}/event`).send({ eventType: 'invalid_type', delta: 1 });
     expect(res.status).toBe(400);
   });
 
   test('returns_400_when_delta_zero', async () => {
-    const { app } = buildApp();
+    const { app } = buildApp({}, ADMIN_UUID);
     const res = await request(app).post(`/${VALID_UUID}/event`).send({ eventType: 'zombies_killed', delta: 0 });
     expect(res.status).toBe(400);
   });
 
   test('returns_400_when_eventType_missing', async () => {
-    const { app } = buildApp();
+    const { app } = buildApp({}, ADMIN_UUID);
     const res = await request(app).post(`/${VALID_UUID}/event`).send({ delta: 1 });
     expect(res.status).toBe(400);
   });
 
-  test('returns_403_when_userId_mismatch', async () => {
-    const { app } = buildApp();
-    const res = await request(app).post(`/${OTHER_UUID}/event`).send(validBody);
-    expect(res.status).toBe(403);
-  });
-
   test('uses_default_delta_1_when_not_provided', async () => {
-    const { app, mockService } = buildApp();
-    await request(app).post(`/${VALID_UUID}/event`).send({ eventType: 'boss_kill' });
-    expect(mockService.applyEvent).toHaveBeenCalledWith(VALID_UUID, 'boss_kill', 1, {});
+    const { app, mockService } = buildApp({}, ADMIN_UUID);
+    await request(app).post(`/${VALID_UUID}/event`).send({ eventType: 'bosses_defeated' });
+    expect(mockService.applyEvent).toHaveBeenCalledWith(VALID_UUID, 'bosses_defeated', 1, {});
   });
 });
 
@@ -107,7 +114,43 @@ describe('POST /:playerId/claim', () => {
     expect(res.status).toBe(200);
   });
 
+  test('credits_reward_gems_to_the_server_wallet', async () => {
+    const reward = { gold: 100, gems: 10 };
+    const { app, mockService, mockGemService } = buildApp({
+      getClaimableReward: jest.fn().mockReturnValue({ date: '2026-10-19', reward }),
+      claimReward: jest.fn().mockReturnValue(reward)
+    });
+    const res = await request(app).post(`/${VALID_UUID}/claim`).send({ challengeId: 'ch1' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.gemBalance).toBe(25);
+    expect(mockGemService.credit).toHaveBeenCalledWith(VALID_UUID, 10, 'daily_challenge', '2026-10-19:ch1');
+    expect(mockService.claimReward).toHaveBeenCalledWith(VALID_UUID, 'ch1', '2026-10-19');
+  });
+
+  test('leaves_the_claim_open_when_the_gem_credit_fails', async () => {
+    const { app, mockService, mockGemService } = buildApp({
+      getClaimableReward: jest.fn().mockReturnValue({ date: '2026-10-19', reward: { gold: 100, gems: 10 } })
+    });
+    mockGemService.credit.mockRejectedValue(new Error('db down'));
+    const res = await request(app).post(`/${VALID_UUID}/claim`).send({ challengeId: 'ch1' });
+    expect(res.status).toBe(500);
+    expect(mockService.claimReward).not.toHaveBeenCalled();
+  });
+
+  test('skips_gem_credit_when_reward_has_no_gems', async () => {
+    const { app, mockGemService } = buildApp();
+    await request(app).post(`/${VALID_UUID}/claim`).send({ challengeId: 'ch1' });
+    expect(mockGemService.credit).not.toHaveBeenCalled();
+  });
+
   test('returns_409_when_reward_not_claimable', async () => {
+    const { app, mockGemService } = buildApp({ getClaimableReward: jest.fn().mockReturnValue(null) });
+    const res = await request(app).post(`/${VALID_UUID}/claim`).send({ challengeId: 'ch1' });
+    expect(res.status).toBe(409);
+    expect(mockGemService.credit).not.toHaveBeenCalled();
+  });
+
+  test('returns_409_when_a_concurrent_claim_won', async () => {
     const { app } = buildApp({ claimReward: jest.fn().mockReturnValue(null) });
     const res = await request(app).post(`/${VALID_UUID}/claim`).send({ challengeId: 'ch1' });
     expect(res.status).toBe(409);
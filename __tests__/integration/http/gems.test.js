@@ -0,0 +1,88 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initGemsRoutes = require('../../../transport/http/gems');
+const GemWallet = require('../../../lib/domain/entities/GemWallet');
+const { BusinessLogicError, ConflictError, NotFoundError } = require('../../../lib/domain/errors/DomainErrors');
+
+const VALID_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000001';
+const OTHER_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000002';
+
+function buildApp(serviceOverrides = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const mockService = {
+    getWallet: jest.fn().mockResolvedValue(new GemWallet({ playerId: VALID_UUID, balance: 120, totalEarned: 150, totalSpent: 30 })),
+    getTransactions: jest.fn().mockResolvedValue([{ amount: -30, reason: 'shop', reference: 'xp_boost', createdAt: 1 }]),
+    getOwnedPermanentItems: jest.fn().mockResolvedValue(['starter_boost']),
+    purchaseItem: jest.fn().mockResolvedValue({ itemId: 'revive', cost: 50, permanent: false, wallet: { balance: 70 } }),
+    ...serviceOverrides
+  };
+  const container = { get: () => mockService };
+  const injectUserId = (req, _res, next) => {
+ req.userId = VALID_UUID; next();
+};
+  app.use('/', initGemsRoutes(container, { requireAuth: injectUserId }));
+  return { app, mockService };
+}
+
+describe('GET /:playerId', () => {
+  test('returns_balance_transactions_and_permanent_items', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${VALID_UUID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ balance: 120, totalSpent: 30, ownedPermanents: ['starter_boost'] });
+    expect(res.body.data.transactions).toHaveLength(1);
+  });
+
+  test('returns_403_when_userId_mismatch', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${OTHER_UUID}`);
+    expect(res.status).toBe(403);
+  });
+
+  test('returns_500_when_service_throws', async () => {
+    const { app } = buildApp({ getWallet: jest.fn().mockRejectedValue(new Error('DB fail')) });
+    const res = await request(app).get(`/${VALID_UUID}`);
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('POST /:playerId/purchase', () => {
+  test('spends_gems_and_returns_new_balance', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ itemId: 'revive', cost: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ itemId: 'revive', cost: 50, permanent: false, balance: 70 });
+    expect(mockService.purchaseItem).toHaveBeenCalledWith(VALID_UUID, 'revive');
+  });
+
+  test('returns_400_when_itemId_missing', async () => {
+    const { app } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({});
+    expect(res.status).toBe(400);
+  });
+
+  test('returns_404_for_unknown_item', async () => {
+    const { app } = buildApp({ purchaseItem: jest.fn().mockRejectedValue(new NotFoundError('Gem shop item', 'x')) });
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ itemId: 'x' });
+    expect(res.status).toBe(404);
+  });
+
+  test('returns_409_for_owned_permanent_item', async () => {
+    const { app } = buildApp({ purchaseItem: jest.fn().mockRejectedValue(new ConflictError('owned', 'gem_shop_item')) });
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ itemId: 'starter_boost' });
+    expect(res.status).toBe(409);
+  });
+
+  test('returns_422_when_balance_too_low', async () => {
+    const { app } = buildApp({ purchaseItem: jest.fn().mockRejectedValue(new BusinessLogicError('Not enough gems')) });
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ itemId: 'revive' });
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('INSUFFICIENT_GEMS');
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initModerationRoutes = require('../../../transport/http/moderation');
+const Ban = require('../../../lib/domain/entities/Ban');
+
+function makeBan(overrides = {}) {
+  return new Ban({ id: 1, playerId: 'p1', reason: 'cheating', bannedBy: 'api', createdAt: 1000, ...overrides });
+}
+
+function buildApp(serviceOverrides = {}, sockets = []) {
+  const app = express();
+  app.use(express.json());
+  const mockService = {
+    recordKick: jest.fn().mockResolvedValue({}),
+    banPlayer: jest.fn(async ({ playerId, reason, durationMs }) =>
+      makeBan({ playerId, reason, expiresAt: durationMs ? 1000 + durationMs : null })),
+    listBans: jest.fn().mockResolvedValue([makeBan({ id: 2, createdAt: 2000 }), makeBan()]),
+    unbanPlayer: jest.fn().mockResolvedValue(true),
+    getAuditLog: jest.fn().mockResolvedValue([]),
+    ...serviceOverrides
+  };
+  const io = { sockets: { sockets: new Map(sockets.map(s => [s.id, s])) } };
+  app.use('/', initModerationRoutes({ get: () => mockService }, { io }));
+  return { app, mockService };
+}
+
+function makeSocket(id, userId) {
+  return { id, userId, emit: jest.fn(), disconnect: jest.fn() };
+}
+
+describe('POST /kick', () => {
+  test('disconnects_the_target_and_audits_the_kick', async () => {
+    const target = makeSocket('s1', 'p1');
+    const { app, mockService } = buildApp({}, [target]);
+
+    const res = await request(app).post('/kick').send({ targetId: 'p1', reason: 'AFK' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, kicked: 1 });
+    expect(target.disconnect).toHaveBeenCalledWith(true);
+    expect(mockService.recordKick).toHaveBeenCalledWith({ targetId: 'p1', reason: 'AFK', actor: 'api' });
+  });
+
+  test('returns_404_when_nobody_matches', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).post('/kick').send({ targetId: 'ghost' });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('TARGET_NOT_CONNECTED');
+    expect(mockService.recordKick).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /bans', () => {
+  test('creates_a_temporary_ban_and_kicks_the_account', async () => {
+    const target = makeSocket('s1', 'p1');
+    const { app, mockService } = buildApp({}, [target]);
+
+    const res = await request(app).post('/bans').send({ playerId: 'p1', reason: 'cheating', durationMinutes: 30 });
+
+    expect(res.status).toBe(201);
+    expect(mockService.banPlayer).toHaveBeenCalledWith({ playerId: 'p1', reason: 'cheating', durationMs: 30 * 60 * 1000, actor: 'api' });
+    expect(res.body.data).toMatchObject({ playerId: 'p1', permanent: false, expiresAt: 1000 + 30 * 60 * 1000 });
+    expect(res.body.kicked).toBe(1);
+    expect(target.emit).toHaveBeenCalledWith('kicked', expect.objectContaining({ banned: true }));
+  });
+
+  test('no_duration_means_permanent', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).post('/bans').send({ playerId: 'p1', reason: 'cheating' });
+    expect(res.status).toBe(201);
+    expect(mockService.banPlayer).toHaveBeenCalledWith(expect.objectContaining({ durationMs: null }));
+    expect(res.body.data.permanent).toBe(true);
+  });
+
+  test('returns_400_without_reason', async () => {
+    const { app } = buildApp();
+    const res = await request(app).post('/bans').send({ playerId: 'p1' });
+    expect(res.status).toBe(400);
+  });
+
+  test('returns_500_when_service_throws', async () => {
+    const { app } = buildApp({ banPlayer: jest.fn().mockRejectedValue(new Error('DB fail')) });
+    const res = await request(app).post('/bans').send({ playerId: 'p1', reason: 'x' });
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('BAN_FAILED');
+  });
+});
+
+describe('GET /bans', () => {
+  test('lists_bans_with_next_cursor', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).get('/bans?active=true&limit=10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.nextBefore).toBe(1000);
+    expect(mockService.listBans).toHaveBeenCalledWith({ activeOnly: true, limit: 10, before: undefined });
+  });
+});
+
+describe('DELETE /bans/:playerId', () => {
+  test('lifts_the_ban', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).delete('/bans/p1');
+    expect(res.status).toBe(200);
+    expect(mockService.unbanPlayer).toHaveBeenCalledWith({ playerId: 'p1', actor: 'api' });
+  });
+
+  test('returns_404_when_not_banned', async () => {
+    const { app } = buildApp({ unbanPlayer: jest.fn().mockResolvedValue(false) });
+    const res = await request(app).delete('/bans/p1');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('BAN_NOT_FOUND');
+  });
+});
+
+describe('GET /audit', () => {
+  test('returns_the_audit_log_page', async () => {
+    const entries = [{ id: 2, action: 'unban', createdAt: 2000 }, { id: 1, action: 'ban', createdAt: 1000 }];
+    const { app, mockService } = buildApp({ getAuditLog: jest.fn().mockResolvedValue(entries) });
+    const res = await request(app).get('/audit?before=5000');
+    expect(res.body).toEqual({ success: true, data: entries, nextBefore: 1000 });
+    expect(mockService.getAuditLog).toHaveBeenCalledWith({ limit: 50, before: 5000 });
+  });
+});
@@ -7,6 +7,7 @@ const request = require('supertest');
 
 const VALID_UUID = 'c1b2c3d4-e5f6-4a7b-8c9d-000000000001';
 const OTHER_UUID = 'c1b2c3d4-e5f6-4a7b-8c9d-000000000002';
+const RUN_UUID = 'c1b2c3d4-e5f6-4a7b-8c9d-0000000000aa';
 
 function makeFakeProgression(overrides = {}) {
   return {
@@ -51,11 +52,20 @@ function buildApp(repoOverrides = {}, options = {}) {
 
   const app = express();
   app.use(express.json());
+  const runRecordService = options.runRecordService || {
+    grantXP: jest.fn().mockResolvedValue({
+      record: { runId: RUN_UUID, xpEarned: 420 },
+      result: { success: true, levelsGained: 1, newLevel: 6 }
+    })
+  };
   const container = {
     get: (key) => {
       if (key === 'database') {
 return {};
 }
+      if (key === 'runRecordService') {
+        return runRecordService;
+      }
       throw new Error('not registered');
     }
   };
@@ -65,7 +75,7 @@ return {};
   const initProgressionRoutes = require('../../../transport/http/progression');
   const router = initProgressionRoutes(container, { requireAuth: injectUserId });
   app.use('/', router);
-  return { app, mockRepoInstance };
+  return { app, mockRepoInstance, runRecordService };
 }
 
 describe('GET /skills/all', () => {
@@ -156,27 +166,53 @@ describe('GET /:playerId', () => {
 });
 
 describe('POST /:playerId/add-xp', () => {
-  test('adds_xp_and_returns_result_success', async () => {
-    const { app } = buildApp();
-    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ xp: 100 });
+  function domainError(name) {
+    const err = new Error(name);
+    err.name = name;
+    return err;
+  }
+
+  test('grants_xp_from_server_run_record', async () => {
+    const { app, runRecordService } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ runId: RUN_UUID });
     expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ runId: RUN_UUID, xpEarned: 420, levelsGained: 1 });
+    expect(runRecordService.grantXP).toHaveBeenCalledWith(RUN_UUID, VALID_UUID);
   });
 
-  test('returns_400_when_xp_missing', async () => {
-    const { app } = buildApp();
-    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({});
-    expect(res.status).toBe(400);
+  test('ignores_client_supplied_xp_amount', async () => {
+    const { app, runRecordService } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ runId: RUN_UUID, xp: 99999999 });
+    expect(res.status).toBe(200);
+    expect(res.body.data.xpEarned).toBe(420);
+    expect(runRecordService.grantXP).toHaveBeenCalledTimes(1);
   });
 
-  test('returns_400_when_xp_negative', async () => {
+  test('returns_400_when_runId_missing', async () => {
     const { app } = buildApp();
-    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ xp: -10 });
+    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ xp: 100 });
     expect(res.status).toBe(400);
   });
 
+  test('returns_404_when_run_unknown_or_not_owned', async () => {
+    const runRecordService = { grantXP: jest.fn().mockRejectedValue(domainError('NotFoundError')) };
+    const { app } = buildApp({}, { runRecordService });
+    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ runId: RUN_UUID });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('RUN_NOT_FOUND');
+  });
+
+  test('returns_409_when_xp_already_granted', async () => {
+    const runRecordService = { grantXP: jest.fn().mockRejectedValue(domainError('ConflictError')) };
+    const { app } = buildApp({}, { runRecordService });
+    const res = await request(app).post(`/${VALID_UUID}/add-xp`).send({ runId: RUN_UUID });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('RUN_XP_ALREADY_GRANTED');
+  });
+
   test('returns_403_when_userId_mismatch', async () => {
     const { app } = buildApp();
-    const res = await request(app).post(`/${OTHER_UUID}/add-xp`).send({ xp: 50 });
+    const res = await request(app).post(`/${OTHER_UUID}/add-xp`).send({ runId: RUN_UUID });
     expect(res.status).toBe(403);
   });
 });
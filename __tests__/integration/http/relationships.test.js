@@ -0,0 +1,184 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initRelationshipRoutes = require('../../../transport/http/relationships');
+const Relationship = require('../../../lib/domain/entities/Relationship');
+const presenceStore = require('../../../sockets/presenceStore');
+const { BusinessLogicError, ConflictError, NotFoundError } = require('../../../lib/domain/errors/DomainErrors');
+
+const VALID_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000001';
+const FRIEND_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000002';
+const OTHER_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000003';
+
+function friendOf(playerId, targetPlayerId, status = 'active') {
+  return new Relationship({ playerId, targetPlayerId, type: 'friend', status, targetUsername: 'Bob' });
+}
+
+function buildApp(overrides = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const services = {
+    relationshipRepository: { find: jest.fn().mockResolvedValue(null) },
+    getRelationshipsUseCase: {
+      execute: jest.fn().mockResolvedValue({
+        friends: [friendOf(VALID_UUID, FRIEND_UUID)],
+        outgoingRequests: [],
+        incomingRequests: [],
+        blocked: [],
+        muted: []
+      })
+    },
+    sendFriendRequestUseCase: { execute: jest.fn().mockResolvedValue(friendOf(VALID_UUID, FRIEND_UUID, 'pending')) },
+    acceptFriendRequestUseCase: { execute: jest.fn().mockResolvedValue(friendOf(VALID_UUID, FRIEND_UUID)) },
+    removeFriendUseCase: { execute: jest.fn().mockResolvedValue(undefined) },
+    blockPlayerUseCase: {
+      execute: jest.fn(async ({ playerId, targetPlayerId, blocked }) =>
+        blocked ? new Relationship({ playerId, targetPlayerId, type: 'blocked' }) : null)
+    },
+    mutePlayerUseCase: {
+      execute: jest.fn(async ({ playerId, targetPlayerId, muted }) =>
+        muted ? new Relationship({ playerId, targetPlayerId, type: 'muted' }) : null)
+    },
+    ...overrides
+  };
+  const container = { get: name => services[name] };
+  const injectUserId = (req, _res, next) => {
+    req.userId = VALID_UUID;
+    next();
+  };
+  app.use('/', initRelationshipRoutes(container, { requireAuth: injectUserId }));
+  return { app, services };
+}
+
+beforeEach(() => {
+  presenceStore.clear();
+});
+
+describe('GET /:playerId', () => {
+  test('returns_lists_with_friend_presence', async () => {
+    presenceStore.trackConnection('sock-f', FRIEND_UUID, 'lobby-1');
+    const { app } = buildApp();
+    const res = await request(app).get(`/${VALID_UUID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.friends).toEqual([
+      expect.objectContaining({ targetPlayerId: FRIEND_UUID, online: true, instanceId: 'lobby-1' })
+    ]);
+    expect(res.body.data.blocked).toEqual([]);
+  });
+
+  test('returns_403_when_userId_mismatch', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${OTHER_UUID}`);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /:playerId/friends', () => {
+  test('sends_request_by_username', async () => {
+    const { app, services } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/friends`).send({ username: 'Bob' });
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('pending');
+    expect(services.sendFriendRequestUseCase.execute).toHaveBeenCalledWith({
+      playerId: VALID_UUID,
+      targetPlayerId: undefined,
+      targetUsername: 'Bob'
+    });
+  });
+
+  test('returns_400_without_target', async () => {
+    const { app } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/friends`).send({});
+    expect(res.status).toBe(400);
+  });
+
+  test.each([
+    [new NotFoundError('Player', 'x'), 404],
+    [new ConflictError('Already friends', 'Relationship'), 409],
+    [new BusinessLogicError('Blocked'), 422]
+  ])('maps_%s_to_status', async (error, status) => {
+    const { app } = buildApp({ sendFriendRequestUseCase: { execute: jest.fn().mockRejectedValue(error) } });
+    const res = await request(app).post(`/${VALID_UUID}/friends`).send({ targetPlayerId: FRIEND_UUID });
+    expect(res.status).toBe(status);
+  });
+});
+
+describe('friend accept / remove', () => {
+  test('accept_updates_presence_friend_lists', async () => {
+    presenceStore.trackConnection('sock-me', VALID_UUID);
+    presenceStore.setRelationships(VALID_UUID, { friends: [], hidden: [] });
+    presenceStore.trackConnection('sock-f', FRIEND_UUID);
+    const { app } = buildApp();
+
+    const res = await request(app).post(`/${VALID_UUID}/friends/${FRIEND_UUID}/accept`);
+    expect(res.status).toBe(200);
+    expect(presenceStore.getOnlineFriendSockets(VALID_UUID)).toEqual(['sock-f']);
+  });
+
+  test('accept_returns_404_without_request', async () => {
+    const { app } = buildApp({
+      acceptFriendRequestUseCase: { execute: jest.fn().mockRejectedValue(new NotFoundError('Friend request', FRIEND_UUID)) }
+    });
+    const res = await request(app).post(`/${VALID_UUID}/friends/${FRIEND_UUID}/accept`);
+    expect(res.status).toBe(404);
+  });
+
+  test('remove_returns_success', async () => {
+    const { app, services } = buildApp();
+    const res = await request(app).delete(`/${VALID_UUID}/friends/${FRIEND_UUID}`);
+    expect(res.status).toBe(200);
+    expect(services.removeFriendUseCase.execute).toHaveBeenCalledWith({ playerId: VALID_UUID, targetPlayerId: FRIEND_UUID });
+  });
+});
+
+describe('block / mute', () => {
+  beforeEach(() => {
+    presenceStore.trackConnection('sock-me', VALID_UUID);
+    presenceStore.setRelationships(VALID_UUID, { friends: [OTHER_UUID], hidden: [] });
+    presenceStore.trackConnection('sock-o', OTHER_UUID);
+  });
+
+  test('block_hides_the_target_and_ends_the_friendship', async () => {
+    const { app, services } = buildApp({
+      relationshipRepository: { find: jest.fn(async (_p, _t, type) => (type === 'blocked' ? {} : null)) }
+    });
+    const res = await request(app).put(`/${VALID_UUID}/blocked/${OTHER_UUID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.type).toBe('blocked');
+    expect(services.blockPlayerUseCase.execute).toHaveBeenCalledWith({
+      playerId: VALID_UUID, targetPlayerId: OTHER_UUID, blocked: true
+    });
+    expect(presenceStore.getSocketsHiding(OTHER_UUID)).toEqual(['sock-me']);
+    expect(presenceStore.getOnlineFriendSockets(VALID_UUID)).toEqual([]);
+  });
+
+  test('unmute_keeps_the_target_hidden_while_blocked', async () => {
+    presenceStore.setHidden(VALID_UUID, OTHER_UUID, true);
+    const { app } = buildApp({
+      relationshipRepository: { find: jest.fn(async (_p, _t, type) => (type === 'blocked' ? {} : null)) }
+    });
+    const res = await request(app).delete(`/${VALID_UUID}/muted/${OTHER_UUID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toBeNull();
+    expect(presenceStore.getSocketsHiding(OTHER_UUID)).toEqual(['sock-me']);
+  });
+
+  test('unblock_returns_404_when_not_blocked', async () => {
+    const { app } = buildApp({
+      blockPlayerUseCase: { execute: jest.fn().mockRejectedValue(new NotFoundError('Block', OTHER_UUID)) }
+    });
+    const res = await request(app).delete(`/${VALID_UUID}/blocked/${OTHER_UUID}`);
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Ce joueur n\'est pas bloqué.');
+  });
+
+  test('returns_400_for_invalid_target_id', async () => {
+    const { app } = buildApp();
+    const res = await request(app).put(`/${VALID_UUID}/muted/not-a-uuid`);
+    expect(res.status).toBe(400);
+  });
+});
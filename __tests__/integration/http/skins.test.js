@@ -0,0 +1,90 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const express = require('express');
+const request = require('supertest');
+const initSkinsRoutes = require('../../../transport/http/skins');
+const SkinCollection = require('../../../lib/domain/entities/SkinCollection');
+const { BusinessLogicError, ConflictError, NotFoundError } = require('../../../lib/domain/errors/DomainErrors');
+
+const VALID_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000001';
+const OTHER_UUID = 'b1b2c3d4-e5f6-4a7b-8c9d-000000000002';
+
+function buildApp(serviceOverrides = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const collection = SkinCollection.fromRows(VALID_UUID, [
+    { skin_type: 'player', skin_id: 'neon', equipped: 1 }
+  ]);
+  const mockService = {
+    getCollection: jest.fn().mockResolvedValue(collection),
+    purchase: jest.fn().mockResolvedValue({ collection, wallet: { balance: 15 } }),
+    equip: jest.fn().mockResolvedValue(collection),
+    ...serviceOverrides
+  };
+  const container = { get: () => mockService };
+  const injectUserId = (req, _res, next) => {
+ req.userId = VALID_UUID; next();
+};
+  app.use('/', initSkinsRoutes(container, { requireAuth: injectUserId }));
+  return { app, mockService };
+}
+
+describe('GET /:playerId', () => {
+  test('returns_owned_and_equipped_skins', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${VALID_UUID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.owned.player).toEqual(['default', 'neon']);
+    expect(res.body.data.equipped).toEqual({ player: 'neon', weapon: 'default' });
+  });
+
+  test('returns_403_when_userId_mismatch', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get(`/${OTHER_UUID}`);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /:playerId/purchase', () => {
+  test('buys_skin_and_returns_balance', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ type: 'player', skinId: 'neon' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.balance).toBe(15);
+    expect(mockService.purchase).toHaveBeenCalledWith(VALID_UUID, 'player', 'neon');
+  });
+
+  test('returns_400_for_unknown_type', async () => {
+    const { app } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ type: 'hat', skinId: 'neon' });
+    expect(res.status).toBe(400);
+  });
+
+  test.each([
+    [new NotFoundError('Skin', 'player:x'), 404],
+    [new ConflictError('Skin already owned', 'skin'), 409],
+    [new BusinessLogicError('Not enough gems'), 422]
+  ])('maps_%s_to_status', async (error, status) => {
+    const { app } = buildApp({ purchase: jest.fn().mockRejectedValue(error) });
+    const res = await request(app).post(`/${VALID_UUID}/purchase`).send({ type: 'player', skinId: 'neon' });
+    expect(res.status).toBe(status);
+  });
+});
+
+describe('POST /:playerId/equip', () => {
+  test('equips_owned_skin', async () => {
+    const { app, mockService } = buildApp();
+    const res = await request(app).post(`/${VALID_UUID}/equip`).send({ type: 'player', skinId: 'neon' });
+    expect(res.status).toBe(200);
+    expect(mockService.equip).toHaveBeenCalledWith(VALID_UUID, 'player', 'neon');
+  });
+
+  test('returns_404_when_skin_not_owned', async () => {
+    const { app } = buildApp({ equip: jest.fn().mockRejectedValue(new NotFoundError('Owned skin', 'player:fire')) });
+    const res = await request(app).post(`/${VALID_UUID}/equip`).send({ type: 'player', skinId: 'fire' });
+    expect(res.status).toBe(404);
+  });
+});
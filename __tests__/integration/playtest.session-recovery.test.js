@@ -155,6 +155,38 @@ describe('playtest — session recovery apres reconnexion', () => {
     c2.disconnect();
   });
 
+  test('test_session_recovery_weapon_run_stats_survive_reconnect', async () => {
+    // Arrange
+    const sessionId = randomUUID();
+    const accountId = 'account-WeaponRecover';
+    const { client: c1, playerId: p1 } = await spawnPlayer('WeaponRecover');
+
+    const player = ctx.gameState.players[p1];
+    player.alive = true;
+    player.weaponRunStats = {
+      shotgun: { shotsFired: 80, shotsHit: 50, kills: 12, damageDealt: 1500, activeTime: 9000, lastShotAt: 1000 }
+    };
+
+    saveSession(sessionId, accountId, player, p1);
+    c1.disconnect();
+    await new Promise(r => setTimeout(r, 200));
+
+    // Act
+    const { client: c2, initData } = await reconnectWithSession(
+      ctx.createClient,
+      sessionId,
+      accountId
+    );
+    const restoredPlayer = ctx.gameState.players[initData.playerId];
+
+    // Assert
+    expect(restoredPlayer.weaponRunStats).toEqual({
+      shotgun: { shotsFired: 80, shotsHit: 50, kills: 12, damageDealt: 1500, activeTime: 9000, lastShotAt: 1000 }
+    });
+
+    c2.disconnect();
+  });
+
   test('test_no_recovery_without_sessionId_new_player_created', async () => {
     // Arrange + Act — connect without sessionId
     const { client, initData } = await connectAndInit(ctx.createClient);
@@ -116,4 +116,24 @@ describe('playtest — achat upgrade valide', () => {
 
     client.disconnect();
   });
+
+  test('test_selectUpgrade_completing_pair_emits_synergyUnlocked', async () => {
+    // Arrange
+    const { client, playerId } = await spawnPlayer('Upgrader02');
+    const player = ctx.gameState.players[playerId];
+    player.pendingUpgradeChoices = [['lifeSteal', 'damageBoost', 'speedBoost'], ['thorns', 'healthBoost', 'speedBoost']];
+    client.emit('selectUpgrade', { upgradeId: 'lifeSteal' });
+    await waitForEvent(client, 'upgradeSelected');
+
+    // Act
+    const unlockedPromise = waitForEvent(client, 'synergyUnlocked');
+    client.emit('selectUpgrade', { upgradeId: 'thorns' });
+    const synergy = await unlockedPromise;
+
+    // Assert
+    expect(synergy).toMatchObject({ synergyId: 'vampire_tank', requires: ['lifeSteal', 'thorns'] });
+    expect(player.synergyEffects).toEqual({ lifeStealMultiplier: 2, thornsMultiplier: 2 });
+
+    client.disconnect();
+  });
 });
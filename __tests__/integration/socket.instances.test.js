@@ -0,0 +1,108 @@
+/**
+ * Integration tests — game instances (lobbies)
+ *
+ * Flows covered:
+ *  1. No instanceId → player lands in the default instance
+ *  2. instanceId in the handshake → player lands in that instance's world only
+ *  3. Broadcasts from one instance do not reach sockets of another
+ *  4. Full instance → instanceFull + disconnect
+ *  5. Unknown instance → instanceNotFound + disconnect
+ */
+
+'use strict';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'integration-test-secret-32chars-xx';
+process.env.DB_PATH = ':memory:';
+process.env.REQUIRE_DATABASE = 'false';
+
+const { createTestServer, connectAndInit, waitForEvent } = require('./testServerFactory');
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await createTestServer({
+    instances: {
+      maxInstances: 4,
+      defaultMaxPlayers: 1,
+      maxPlayersCap: 8,
+      idleTimeoutMs: 60000,
+      reapIntervalMs: 60000
+    }
+  });
+}, 10000);
+
+afterAll(async () => {
+  await ctx.stop();
+}, 5000);
+
+describe('instance routing', () => {
+  test('test_connect_without_instanceId_joins_default_instance', async () => {
+    const { client, initData } = await connectAndInit(ctx.createClient);
+    const def = ctx.instanceManager.getDefaultInstance();
+
+    expect(initData.instanceId).toBe('default');
+    expect(def.gameState.players[initData.playerId]).toBeDefined();
+
+    client.disconnect();
+  });
+
+  test('test_connect_with_instanceId_uses_that_world_only', async () => {
+    const squad = ctx.instanceManager.createInstance({ maxPlayers: 2 });
+    const { client, initData } = await connectAndInit(ctx.createClient, {
+      auth: { instanceId: squad.id }
+    });
+
+    expect(initData.instanceId).toBe(squad.id);
+    expect(squad.gameState.players[initData.playerId]).toBeDefined();
+    expect(ctx.instanceManager.getDefaultInstance().gameState.players[initData.playerId]).toBeUndefined();
+
+    client.disconnect();
+    ctx.instanceManager.removeInstance(squad.id);
+  });
+
+  test('test_instance_broadcast_does_not_leak_to_other_instances', async () => {
+    const squad = ctx.instanceManager.createInstance({ maxPlayers: 2 });
+    const inSquad = await connectAndInit(ctx.createClient, { auth: { instanceId: squad.id } });
+    const inPublic = await connectAndInit(ctx.createClient);
+
+    let leaked = false;
+    inPublic.client.on('newWave', () => {
+      leaked = true;
+    });
+    const received = waitForEvent(inSquad.client, 'newWave');
+    squad.io.emit('newWave', { wave: 2 });
+
+    await expect(received).resolves.toEqual({ wave: 2 });
+    await new Promise(r => setTimeout(r, 100));
+    expect(leaked).toBe(false);
+
+    inSquad.client.disconnect();
+    inPublic.client.disconnect();
+    ctx.instanceManager.removeInstance(squad.id);
+  });
+
+  test('test_full_instance_rejects_with_instanceFull', async () => {
+    const duo = ctx.instanceManager.createInstance({ maxPlayers: 1 });
+    const first = await connectAndInit(ctx.createClient, { auth: { instanceId: duo.id } });
+
+    const second = ctx.createClient({ auth: { instanceId: duo.id } });
+    const payload = await waitForEvent(second, 'instanceFull');
+
+    expect(payload.instanceId).toBe(duo.id);
+    expect(Object.keys(duo.gameState.players)).toHaveLength(1);
+
+    second.disconnect();
+    first.client.disconnect();
+    ctx.instanceManager.removeInstance(duo.id);
+  });
+
+  test('test_unknown_instance_rejects_with_instanceNotFound', async () => {
+    const client = ctx.createClient({ auth: { instanceId: 'deadbeef' } });
+    const payload = await waitForEvent(client, 'instanceNotFound');
+
+    expect(payload.instanceId).toBe('deadbeef');
+
+    client.disconnect();
+  });
+});
@@ -18,14 +18,40 @@ const RoomManager = require('../../contexts/wave/RoomManager');
 const MetricsCollector = require('../../infrastructure/metrics/MetricsCollector');
 const perfIntegration = require('../../lib/server/PerformanceIntegration');
 const { initSocketHandlers, stopSessionCleanupInterval } = require('../../transport/websocket');
+const { createInstanceManager } = require('../../server/instanceManager');
 
 const { CONFIG } = ConfigManager;
 
+/**
+ * Build an instance registry whose instances never tick (no game loop),
+ * so lobby routing can be asserted deterministically.
+ */
+function buildInstanceManager(io, settings) {
+  return createInstanceManager(
+    {
+      io,
+      config: CONFIG,
+      zombieTypes: ConfigManager.ZOMBIE_TYPES,
+      perfIntegration,
+      metricsCollector: MetricsCollector.getInstance(),
+      gameLoop: () => {},
+      startGameLoop: () => ({ stop: () => {}, getMetrics: () => null }),
+      container: null,
+      dbAvailable: false,
+      inactivityTimeout: 60000,
+      heartbeatCheckInterval: 60000
+    },
+    settings
+  );
+}
+
 /**
  * Start a test server on an ephemeral port.
- * @returns {{ server, io, gameState, port, createClient, stop }}
+ * @param {{ instances?: Object }} [options] - pass instance settings to route
+ *   sockets through a real instance registry (lobbies)
+ * @returns {{ server, io, gameState, instanceManager, port, createClient, stop }}
  */
-function createTestServer() {
+function createTestServer(options = {}) {
   const app = express();
   const server = http.createServer(app);
   const io = socketIO(server, {
@@ -45,6 +71,13 @@ function createTestServer() {
   gameState.roomManager = roomManager;
   loadRoom(0, roomManager);
 
+  const instanceManager = options.instances
+    ? buildInstanceManager(io, options.instances)
+    : null;
+  if (instanceManager) {
+    instanceManager.startDefaultInstance();
+  }
+
   const socketHandler = initSocketHandlers(
     io,
     gameState,
@@ -52,7 +85,9 @@ function createTestServer() {
     roomManager,
     metricsCollector,
     perfIntegration,
-    null
+    null,
+    null,
+    instanceManager
   );
   io.on('connection', socketHandler);
 
@@ -70,12 +105,15 @@ function createTestServer() {
 
       function stop() {
         stopSessionCleanupInterval();
+        if (instanceManager) {
+          instanceManager.stopAll();
+        }
         return new Promise(res => {
           io.close(() => server.close(res));
         });
       }
 
-      resolve({ server, io, gameState, port, createClient, stop });
+      resolve({ server, io, gameState, instanceManager, port, createClient, stop });
     });
   });
 }
@@ -0,0 +1,128 @@
+/**
+ * ANTI-CHEAT SERVICE - Unit Tests
+ * Ledger throttling, weighted penalties, trust decay and the suspicious list
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const AntiCheatService = require('../../../lib/application/AntiCheatService');
+const CheatViolation = require('../../../lib/domain/entities/CheatViolation');
+const TrustScore = require('../../../lib/domain/entities/TrustScore');
+
+const HOUR = 60 * 60 * 1000;
+const SETTINGS = {
+  trustThreshold: 50,
+  halfLifeMs: HOUR,
+  weights: { movement_budget: 4, speed_multiplier: 15 },
+  defaultWeight: 2,
+  maxMagnitude: 10,
+  ledgerIntervalMs: 1000
+};
+
+/** In-memory stand-in keeping the last trust row per account */
+function makeRepo() {
+  const trust = new Map();
+  const violations = [];
+  return {
+    trust,
+    violations,
+    recordViolation: jest.fn(async (violation, amount, halfLifeMs) => {
+      const { playerId, createdAt } = violation;
+      const current = trust.get(playerId) || new TrustScore({ playerId, updatedAt: createdAt });
+      const next = current.withViolation(amount, createdAt, halfLifeMs);
+      violations.push(violation);
+      trust.set(playerId, next);
+      return next;
+    }),
+    findTrust: jest.fn(async playerId => trust.get(playerId) || null),
+    findTrustByMinPenalty: jest.fn(async minPenalty =>
+      [...trust.values()].filter(t => t.penalty >= minPenalty).sort((a, b) => b.penalty - a.penalty)),
+    findViolations: jest.fn(async (playerId, { limit = 50 } = {}) =>
+      violations.filter(v => v.playerId === playerId).reverse().slice(0, limit))
+  };
+}
+
+describe('AntiCheatService', () => {
+  let repo;
+  let service;
+
+  beforeEach(() => {
+    repo = makeRepo();
+    service = new AntiCheatService(repo, SETTINGS);
+  });
+
+  test('penaltyFor weighs the magnitude by type and caps it', () => {
+    expect(service.penaltyFor('movement_budget', 2)).toBe(8);
+    expect(service.penaltyFor('unknown', 1)).toBe(2);
+    expect(service.penaltyFor('speed_multiplier', 1000)).toBe(150);
+    expect(service.penaltyFor('movement_budget', -5)).toBe(0);
+  });
+
+  test('recordViolation writes the evidence and lowers the trust score', async () => {
+    const violation = await service.recordViolation({
+      playerId: 'p1', type: 'movement_budget', magnitude: 2, snapshot: { x: 1 }, now: 1000
+    });
+
+    expect(violation).toBeInstanceOf(CheatViolation);
+    expect(violation.snapshot).toEqual({ x: 1 });
+    expect(repo.recordViolation).toHaveBeenCalledWith(violation, 8, HOUR);
+    expect(await service.getTrustScore('p1', 1000)).toBe(92);
+  });
+
+  test('recordViolation writes at most once per account and type per interval', async () => {
+    await service.recordViolation({ playerId: 'p1', type: 'movement_budget', now: 1000 });
+    expect(await service.recordViolation({ playerId: 'p1', type: 'movement_budget', now: 1500 })).toBeNull();
+    await service.recordViolation({ playerId: 'p1', type: 'speed_multiplier', now: 1500 });
+    await service.recordViolation({ playerId: 'p2', type: 'movement_budget', now: 1500 });
+    await service.recordViolation({ playerId: 'p1', type: 'movement_budget', now: 2000 });
+
+    expect(repo.recordViolation).toHaveBeenCalledTimes(4);
+  });
+
+  test('recordViolation ignores reports without an account', async () => {
+    expect(await service.recordViolation({ playerId: null, type: 'movement_budget' })).toBeNull();
+    expect(repo.findTrust).not.toHaveBeenCalled();
+  });
+
+  test('trust recovers over time and penalties stack on the decayed value', async () => {
+    await service.recordViolation({ playerId: 'p1', type: 'speed_multiplier', magnitude: 4, now: 0 });
+    expect(await service.getTrustScore('p1', 0)).toBe(40);
+    expect(await service.isTrusted('p1', 0)).toBe(false);
+
+    // One half-life later the 60-point penalty is down to 30
+    expect(await service.getTrustScore('p1', HOUR)).toBeCloseTo(70);
+    expect(await service.isTrusted('p1', HOUR)).toBe(true);
+
+    await service.recordViolation({ playerId: 'p1', type: 'movement_budget', magnitude: 1, now: HOUR });
+    expect(await service.getTrustScore('p1', HOUR)).toBeCloseTo(66);
+  });
+
+  test('an account never flagged has full trust', async () => {
+    expect(await service.getTrustScore('clean')).toBe(TrustScore.MAX_TRUST);
+    expect(await service.isTrusted('clean')).toBe(true);
+  });
+
+  test('listSuspiciousAccounts lists accounts under the threshold, lowest trust first, with evidence', async () => {
+    await service.recordViolation({ playerId: 'p1', type: 'speed_multiplier', magnitude: 4, now: 0 });
+    await service.recordViolation({ playerId: 'p2', type: 'speed_multiplier', magnitude: 6, now: 0 });
+    await service.recordViolation({ playerId: 'p3', type: 'movement_budget', magnitude: 1, now: 0 });
+
+    const list = await service.listSuspiciousAccounts({ now: 0, evidenceLimit: 5 });
+
+    expect(list.map(a => a.playerId)).toEqual(['p2', 'p1']);
+    expect(list[0]).toMatchObject({ trustScore: 10, violationCount: 1 });
+    expect(list[0].evidence).toEqual([expect.objectContaining({ type: 'speed_multiplier', magnitude: 6 })]);
+    expect(repo.findTrustByMinPenalty).toHaveBeenCalledWith(50, expect.any(Number));
+  });
+
+  test('listSuspiciousAccounts drops accounts whose trust has recovered', async () => {
+    await service.recordViolation({ playerId: 'p1', type: 'speed_multiplier', magnitude: 4, now: 0 });
+
+    expect(await service.listSuspiciousAccounts({ now: 2 * HOUR })).toEqual([]);
+  });
+});
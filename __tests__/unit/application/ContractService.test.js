@@ -0,0 +1,117 @@
+/**
+ * CONTRACT SERVICE - Unit Tests
+ * Weekly contract assignment, progress from recorded runs and stage claims
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const ContractService = require('../../../lib/application/ContractService');
+const { weekStartUTC } = require('../../../lib/application/ContractService');
+const ContractProgress = require('../../../lib/domain/entities/ContractProgress');
+
+const MONDAY = Date.UTC(2026, 9, 19, 12);
+
+function makeRepo() {
+  const rows = new Map();
+  return {
+    rows,
+    findByPlayerAndWeek: jest.fn(async (playerId, weekStart) => {
+      const row = rows.get(`${playerId}:${weekStart}`);
+      return row ? new ContractProgress(JSON.parse(row)) : null;
+    }),
+    save: jest.fn(async contract => {
+      rows.set(`${contract.playerId}:${contract.weekStart}`, JSON.stringify(contract.toObject()));
+      return contract;
+    })
+  };
+}
+
+function seedContract(repo, stages, playerId = 'p1') {
+  const contract = new ContractProgress({ playerId, weekStart: weekStartUTC(), contractId: 'elite_hunt', stages });
+  repo.rows.set(`${playerId}:${contract.weekStart}`, JSON.stringify(contract.toObject()));
+}
+
+describe('weekStartUTC', () => {
+  test('returns the Monday of the week', () => {
+    expect(weekStartUTC(Date.UTC(2026, 9, 21))).toBe('2026-10-19');
+    expect(weekStartUTC(Date.UTC(2026, 9, 25, 23, 59))).toBe('2026-10-19');
+    expect(weekStartUTC(MONDAY)).toBe('2026-10-19');
+  });
+});
+
+describe('ContractService', () => {
+  let repo;
+  let gemService;
+  let service;
+
+  beforeEach(() => {
+    repo = makeRepo();
+    gemService = { credit: jest.fn().mockResolvedValue({ balance: 30 }) };
+    service = new ContractService(repo, gemService);
+  });
+
+  test('getCurrentContract assigns a stable template per player and week', async () => {
+    const first = await service.getCurrentContract('p1', MONDAY);
+    const again = await service.getCurrentContract('p1', MONDAY + 3600_000);
+
+    expect(again.contractId).toBe(first.contractId);
+    expect(first.weekStart).toBe('2026-10-19');
+    expect(first.stages[0].id).toBe(`${first.contractId}_stage_1`);
+    expect(repo.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('applyRun advances the current stage from the matching run stat', async () => {
+    seedContract(repo, [{ id: 's1', type: 'gold', target: 1000, reward: { gems: 8 } }]);
+
+    const { contract, stageCompleted } = await service.applyRun(
+      { playerId: 'p1', kills: 500, wave: 12, bossKills: 0, endedAt: Date.now() },
+      { goldEarned: 400 }
+    );
+
+    expect(stageCompleted).toBe(false);
+    expect(contract.getCurrentStage().progress).toBe(400);
+  });
+
+  test('applyRun reports the completed stage', async () => {
+    seedContract(repo, [{ id: 's1', type: 'runs', target: 1, reward: { gems: 8 } }]);
+
+    const { stageCompleted } = await service.applyRun({ playerId: 'p1', kills: 0, wave: 1, bossKills: 0, endedAt: Date.now() });
+
+    expect(stageCompleted).toBe(true);
+  });
+
+  test('claimStage credits the stage gems once and unlocks the next stage', async () => {
+    seedContract(repo, [
+      { id: 's1', type: 'runs', target: 1, reward: { gems: 8 }, progress: 1, completed: true },
+      { id: 's2', type: 'runs', target: 2, reward: { gems: 12 } }
+    ]);
+
+    const result = await service.claimStage('p1');
+
+    expect(result.reward).toEqual({ gems: 8 });
+    expect(result.wallet.balance).toBe(30);
+    expect(result.contract.currentStage).toBe(1);
+    expect(gemService.credit).toHaveBeenCalledWith('p1', 8, 'contract', `${weekStartUTC()}:s1`);
+    expect(await service.claimStage('p1')).toBeNull();
+  });
+
+  test('claimStage returns null while the stage is incomplete', async () => {
+    seedContract(repo, [{ id: 's1', type: 'kills', target: 100, reward: { gems: 8 } }]);
+
+    expect(await service.claimStage('p1')).toBeNull();
+    expect(gemService.credit).not.toHaveBeenCalled();
+  });
+
+  test('describe adds the template name and description', async () => {
+    const contract = await service.getCurrentContract('p1', MONDAY);
+    const described = ContractService.describe(contract);
+
+    expect(described.name).toMatch(/^Contrat/);
+    expect(described.stages).toHaveLength(3);
+  });
+});
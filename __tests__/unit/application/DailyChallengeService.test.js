@@ -0,0 +1,95 @@
+/**
+ * DAILY CHALLENGE SERVICE - Unit Tests
+ * Progress events against today's challenge set, claimable rewards
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { DailyChallengeService } = require('../../../lib/application/DailyChallengeService');
+
+const CHALLENGES = [
+  { id: 'kill_50_zombies', type: 'zombies_killed', target: 50, reward: { gold: 100, gems: 10 } },
+  { id: 'kill_fast_zombies', type: 'zombies_killed_type', zombieType: 'fast', target: 30, reward: { gold: 120, gems: 12 } },
+  { id: 'reach_level_15', type: 'reach_level', target: 15, reward: { gold: 150, gems: 15 } },
+  { id: 'no_damage_5min', type: 'no_damage_time', target: 300, reward: { gold: 250, gems: 25 } }
+];
+
+function makeRepo() {
+  const progress = {};
+  return {
+    progress,
+    getChallengesForDate: jest.fn(() => CHALLENGES),
+    getPlayerProgress: jest.fn(() => progress),
+    applyDelta: jest.fn((playerId, date, challengeId, delta, target) => {
+      const prev = progress[challengeId] ? progress[challengeId].progress : 0;
+      const next = Math.min(prev + delta, target);
+      const justCompleted = next >= target && prev < target;
+      progress[challengeId] = { progress: next, completed: next >= target };
+      return { progress: next, completed: next >= target, justCompleted };
+    })
+  };
+}
+
+describe('DailyChallengeService.applyEvent', () => {
+  let repo;
+  let service;
+
+  beforeEach(() => {
+    repo = makeRepo();
+    service = new DailyChallengeService(repo);
+  });
+
+  test('adds the delta to matching challenges and returns target and reward', () => {
+    const results = service.applyEvent('p1', 'zombies_killed', 50);
+    expect(results).toEqual([
+      expect.objectContaining({
+        challengeId: 'kill_50_zombies',
+        progress: 50,
+        target: 50,
+        reward: { gold: 100, gems: 10 },
+        justCompleted: true
+      })
+    ]);
+  });
+
+  test('only counts the challenge zombie type', () => {
+    expect(service.applyEvent('p1', 'zombies_killed_type', 3, { zombieType: 'tank' })).toEqual([]);
+    expect(service.applyEvent('p1', 'zombies_killed_type', 3, { zombieType: 'fast' })[0].progress).toBe(3);
+  });
+
+  test('reach_level keeps the highest level instead of summing', () => {
+    service.applyEvent('p1', 'reach_level', 8);
+    expect(service.applyEvent('p1', 'reach_level', 5)).toEqual([]);
+    expect(service.applyEvent('p1', 'reach_level', 12)[0].progress).toBe(12);
+    expect(repo.applyDelta).toHaveBeenLastCalledWith('p1', expect.any(String), 'reach_level_15', 4, 15);
+  });
+
+  test('no_damage_time keeps the longest streak instead of summing', () => {
+    service.applyEvent('p1', 'no_damage_time', 120);
+    expect(service.applyEvent('p1', 'no_damage_time', 60)).toEqual([]);
+    expect(service.applyEvent('p1', 'no_damage_time', 300)[0].justCompleted).toBe(true);
+  });
+});
+
+describe('DailyChallengeService.getClaimableReward', () => {
+  test('returns the day and reward of a completed, unclaimed challenge only', () => {
+    const repo = makeRepo();
+    const service = new DailyChallengeService(repo);
+    expect(service.getClaimableReward('p1', 'kill_50_zombies')).toBeNull();
+
+    service.applyEvent('p1', 'zombies_killed', 50);
+    expect(service.getClaimableReward('p1', 'kill_50_zombies')).toEqual({
+      date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      reward: { gold: 100, gems: 10 }
+    });
+
+    repo.progress.kill_50_zombies.reward_claimed = 1;
+    expect(service.getClaimableReward('p1', 'kill_50_zombies')).toBeNull();
+    expect(service.getClaimableReward('p1', 'unknown')).toBeNull();
+  });
+});
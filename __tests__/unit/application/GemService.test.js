@@ -0,0 +1,148 @@
+/**
+ * GEM SERVICE - Unit Tests
+ * Server-side gem credits, spending and gem shop purchases
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const GemService = require('../../../lib/application/GemService');
+const GemWallet = require('../../../lib/domain/entities/GemWallet');
+const { BusinessLogicError, ConflictError, NotFoundError } = require('../../../lib/domain/errors/DomainErrors');
+
+function makeRepo(balance = 0) {
+  const owned = new Set();
+  const wallet = () => new GemWallet({ playerId: 'p1', balance, totalEarned: 0, totalSpent: 0 });
+  return {
+    findByPlayerId: jest.fn(async () => wallet()),
+    credit: jest.fn(async (_playerId, amount) => {
+      balance += amount;
+      return wallet();
+    }),
+    debit: jest.fn(async (_playerId, amount) => {
+      if (balance < amount) {
+        return null;
+      }
+      balance -= amount;
+      return wallet();
+    }),
+    debitOnce: jest.fn(async (_playerId, amount, _reason, itemId) => {
+      if (owned.has(itemId) || balance < amount) {
+        return null;
+      }
+      owned.add(itemId);
+      balance -= amount;
+      return wallet();
+    }),
+    hasTransaction: jest.fn().mockResolvedValue(false),
+    getTransactions: jest.fn().mockResolvedValue([])
+  };
+}
+
+describe('GemService', () => {
+  describe('calculateRunGems', () => {
+    test('1 per 5 waves, 5 per boss kill, 1 per 100 kills', () => {
+      expect(GemService.calculateRunGems({ wave: 12, bossKills: 2, kills: 250 })).toBe(2 + 10 + 2);
+    });
+
+    test('a short run earns nothing', () => {
+      expect(GemService.calculateRunGems({ wave: 4, bossKills: 0, kills: 30 })).toBe(0);
+    });
+  });
+
+  describe('credit', () => {
+    test('skips zero amounts without touching the repository', async () => {
+      const repo = makeRepo();
+      const service = new GemService(repo);
+
+      expect(await service.credit('p1', 0, 'run', 'run-1')).toBeNull();
+      expect(repo.credit).not.toHaveBeenCalled();
+    });
+
+    test('returns null for an already credited reference', async () => {
+      const repo = makeRepo();
+      repo.credit.mockResolvedValue(null);
+      const service = new GemService(repo);
+
+      expect(await service.credit('p1', 5, 'run', 'run-1')).toBeNull();
+    });
+  });
+
+  describe('awardRunGems', () => {
+    test('credits the run gems keyed on the run id', async () => {
+      const repo = makeRepo();
+      const service = new GemService(repo);
+
+      const result = await service.awardRunGems({ runId: 'run-1', playerId: 'p1', wave: 10, bossKills: 1, kills: 120 });
+
+      expect(result.amount).toBe(8);
+      expect(result.wallet.balance).toBe(8);
+      expect(repo.credit).toHaveBeenCalledWith('p1', 8, 'run', 'run-1');
+    });
+  });
+
+  describe('purchaseItem', () => {
+    test('spends the catalog cost, not a client amount', async () => {
+      const repo = makeRepo(100);
+      const service = new GemService(repo);
+
+      const result = await service.purchaseItem('p1', 'revive');
+
+      expect(repo.debit).toHaveBeenCalledWith('p1', 50, 'shop', 'revive');
+      expect(result).toMatchObject({ itemId: 'revive', cost: 50, permanent: false });
+      expect(result.wallet.balance).toBe(50);
+    });
+
+    test('rejects unknown items', async () => {
+      const service = new GemService(makeRepo(1000));
+      await expect(service.purchaseItem('p1', 'free_gems')).rejects.toThrow(NotFoundError);
+    });
+
+    test('rejects a permanent item bought before', async () => {
+      const repo = makeRepo(1000);
+      repo.debitOnce.mockResolvedValue(null);
+      repo.hasTransaction.mockResolvedValue(true);
+      const service = new GemService(repo);
+
+      await expect(service.purchaseItem('p1', 'permanent_gold_boost')).rejects.toThrow(ConflictError);
+      expect(repo.debit).not.toHaveBeenCalled();
+    });
+
+    test('two concurrent purchases of a permanent item debit it once', async () => {
+      const repo = makeRepo(1000);
+      repo.hasTransaction.mockImplementation(async () => repo.debitOnce.mock.calls.length > 0);
+      const service = new GemService(repo);
+
+      const results = await Promise.allSettled([
+        service.purchaseItem('p1', 'permanent_gold_boost'),
+        service.purchaseItem('p1', 'permanent_gold_boost')
+      ]);
+
+      expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(r => r.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+      expect(repo.debitOnce).toHaveBeenCalledWith('p1', expect.any(Number), 'shop', 'permanent_gold_boost');
+    });
+
+    test('rejects a permanent item the balance cannot cover', async () => {
+      const service = new GemService(makeRepo(0));
+      await expect(service.purchaseItem('p1', 'permanent_gold_boost')).rejects.toThrow(BusinessLogicError);
+    });
+
+    test('rejects a purchase the balance cannot cover', async () => {
+      const service = new GemService(makeRepo(10));
+      await expect(service.purchaseItem('p1', 'revive')).rejects.toThrow(BusinessLogicError);
+    });
+  });
+
+  test('getOwnedPermanentItems lists bought permanent items only', async () => {
+    const repo = makeRepo();
+    repo.hasTransaction.mockImplementation(async (_playerId, _reason, itemId) => itemId === 'starter_boost');
+    const service = new GemService(repo);
+
+    expect(await service.getOwnedPermanentItems('p1')).toEqual(['starter_boost']);
+  });
+});
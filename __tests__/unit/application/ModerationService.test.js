@@ -0,0 +1,108 @@
+/**
+ * MODERATION SERVICE - Unit Tests
+ * Ban cache, ban replacement, unban and the audit trail
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const ModerationService = require('../../../lib/application/ModerationService');
+const Ban = require('../../../lib/domain/entities/Ban');
+
+function makeRepo(activeBans = []) {
+  return {
+    saveBan: jest.fn(async ban => ban),
+    findActiveBans: jest.fn().mockResolvedValue(activeBans),
+    findBans: jest.fn().mockResolvedValue([]),
+    liftBans: jest.fn().mockResolvedValue(0),
+    logAction: jest.fn(async entry => ({ id: 1, ...entry })),
+    findAuditLog: jest.fn().mockResolvedValue([])
+  };
+}
+
+describe('ModerationService', () => {
+  test('loadActiveBans keeps the newest ban of each account', async () => {
+    const newest = new Ban({ playerId: 'p1', reason: 'b', bannedBy: 'a', createdAt: 2000 });
+    const older = new Ban({ playerId: 'p1', reason: 'a', bannedBy: 'a', createdAt: 1000, expiresAt: 5000 });
+    const service = new ModerationService(makeRepo([newest, older]));
+
+    expect(await service.loadActiveBans(3000)).toBe(1);
+    expect(service.getActiveBan('p1', 3000)).toBe(newest);
+  });
+
+  test('banPlayer replaces the ban in force, caches it and audits it', async () => {
+    const repo = makeRepo();
+    const service = new ModerationService(repo);
+
+    const ban = await service.banPlayer({ playerId: 'p1', reason: 'spam', durationMs: 60000, actor: 'admin', now: 1000 });
+
+    expect(ban.expiresAt).toBe(61000);
+    expect(repo.liftBans).toHaveBeenCalledWith('p1', 'admin', 1000);
+    expect(repo.saveBan).toHaveBeenCalledWith(ban);
+    expect(repo.logAction).toHaveBeenCalledWith({
+      action: 'ban', actor: 'admin', targetId: 'p1', reason: 'spam', expiresAt: 61000, createdAt: 1000
+    });
+    expect(service.getActiveBan('p1', 2000)).toBe(ban);
+  });
+
+  test('temporary bans fall out of the cache once expired', async () => {
+    const service = new ModerationService(makeRepo());
+    await service.banPlayer({ playerId: 'p1', reason: 'spam', durationMs: 1000, actor: 'admin', now: 0 });
+
+    expect(service.getActiveBan('p1', 999)).not.toBeNull();
+    expect(service.getActiveBan('p1', 1000)).toBeNull();
+    expect(service.activeBans.size).toBe(0);
+  });
+
+  test('banPlayer without duration is permanent', async () => {
+    const service = new ModerationService(makeRepo());
+    const ban = await service.banPlayer({ playerId: 'p1', reason: 'cheat', actor: 'admin', now: 0 });
+    expect(ban.isPermanent()).toBe(true);
+    expect(service.getActiveBan('p1', Number.MAX_SAFE_INTEGER)).toBe(ban);
+  });
+
+  test('banPlayer rejects an empty reason', async () => {
+    const repo = makeRepo();
+    const service = new ModerationService(repo);
+    await expect(service.banPlayer({ playerId: 'p1', reason: '', actor: 'admin' })).rejects.toThrow('reason is required');
+    expect(repo.saveBan).not.toHaveBeenCalled();
+  });
+
+  test('unbanPlayer clears the cache and audits only a lifted ban', async () => {
+    const repo = makeRepo();
+    const service = new ModerationService(repo);
+    await service.banPlayer({ playerId: 'p1', reason: 'spam', actor: 'admin', now: 0 });
+    repo.logAction.mockClear();
+
+    repo.liftBans.mockResolvedValueOnce(1);
+    expect(await service.unbanPlayer({ playerId: 'p1', actor: 'admin', now: 10 })).toBe(true);
+    expect(service.getActiveBan('p1', 10)).toBeNull();
+    expect(repo.logAction).toHaveBeenCalledWith({ action: 'unban', actor: 'admin', targetId: 'p1', createdAt: 10 });
+
+    repo.logAction.mockClear();
+    expect(await service.unbanPlayer({ playerId: 'p2', actor: 'admin' })).toBe(false);
+    expect(repo.logAction).not.toHaveBeenCalled();
+  });
+
+  test('recordKick writes a kick entry', async () => {
+    const repo = makeRepo();
+    const service = new ModerationService(repo);
+    await service.recordKick({ targetId: 'sock-1', actor: 'api', now: 5 });
+    expect(repo.logAction).toHaveBeenCalledWith({ action: 'kick', actor: 'api', targetId: 'sock-1', reason: null, createdAt: 5 });
+  });
+
+  test('listBans clamps the page size and supports active-only', async () => {
+    const repo = makeRepo();
+    const service = new ModerationService(repo);
+
+    await service.listBans({ limit: 1000, before: 50 });
+    expect(repo.findBans).toHaveBeenCalledWith({ limit: 200, before: 50 });
+
+    await service.listBans({ activeOnly: true, now: 7 });
+    expect(repo.findActiveBans).toHaveBeenCalledWith(7);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * RELATIONSHIP USE CASES - Unit Tests
+ * Friend requests, unfriending, blocking, muting and the lists view,
+ * run against an in-memory SQLite relationship repository
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteRelationshipRepository = require('../../../lib/infrastructure/repositories/SQLiteRelationshipRepository');
+const SendFriendRequestUseCase = require('../../../lib/application/use-cases/SendFriendRequestUseCase');
+const AcceptFriendRequestUseCase = require('../../../lib/application/use-cases/AcceptFriendRequestUseCase');
+const RemoveFriendUseCase = require('../../../lib/application/use-cases/RemoveFriendUseCase');
+const BlockPlayerUseCase = require('../../../lib/application/use-cases/BlockPlayerUseCase');
+const MutePlayerUseCase = require('../../../lib/application/use-cases/MutePlayerUseCase');
+const GetRelationshipsUseCase = require('../../../lib/application/use-cases/GetRelationshipsUseCase');
+const {
+  BusinessLogicError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../../../lib/domain/errors/DomainErrors');
+
+const PLAYERS = [
+  { id: 'p1', username: 'Alice' },
+  { id: 'p2', username: 'Bob' },
+  { id: 'p3', username: 'Carol' }
+];
+
+function buildRepo() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(__dirname, '../../../database/migrations/009_player_relationships.sql'), 'utf8'));
+  const insert = db.prepare('INSERT INTO players (id, username) VALUES (?, ?)');
+  PLAYERS.forEach(p => insert.run(p.id, p.username));
+  return { db, repo: new SQLiteRelationshipRepository(db) };
+}
+
+const playerRepository = {
+  findById: jest.fn(async id => PLAYERS.find(p => p.id === id) || null),
+  findByUsername: jest.fn(async username => PLAYERS.find(p => p.username === username) || null)
+};
+
+describe('relationship use cases', () => {
+  let db;
+  let repo;
+  let send;
+  let accept;
+  let remove;
+  let block;
+  let mute;
+  let list;
+
+  beforeEach(() => {
+    ({ db, repo } = buildRepo());
+    send = new SendFriendRequestUseCase(repo, playerRepository);
+    accept = new AcceptFriendRequestUseCase(repo);
+    remove = new RemoveFriendUseCase(repo);
+    block = new BlockPlayerUseCase(repo, playerRepository);
+    mute = new MutePlayerUseCase(repo, playerRepository);
+    list = new GetRelationshipsUseCase(repo);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('SendFriendRequestUseCase', () => {
+    test('creates a pending request found by username', async () => {
+      const request = await send.execute({ playerId: 'p1', targetUsername: 'Bob' });
+      expect(request.toObject()).toMatchObject({ targetPlayerId: 'p2', status: 'pending', targetUsername: 'Bob' });
+
+      const bob = await list.execute({ playerId: 'p2' });
+      expect(bob.incomingRequests.map(r => r.playerUsername)).toEqual(['Alice']);
+    });
+
+    test('a crossed request completes the friendship', async () => {
+      await send.execute({ playerId: 'p1', targetPlayerId: 'p2' });
+      const result = await send.execute({ playerId: 'p2', targetPlayerId: 'p1' });
+      expect(result.status).toBe('active');
+      expect((await list.execute({ playerId: 'p1' })).friends.map(r => r.targetPlayerId)).toEqual(['p2']);
+    });
+
+    test('rejects duplicates, self requests, unknown and blocked players', async () => {
+      await send.execute({ playerId: 'p1', targetPlayerId: 'p2' });
+      await expect(send.execute({ playerId: 'p1', targetPlayerId: 'p2' })).rejects.toBeInstanceOf(ConflictError);
+      await expect(send.execute({ playerId: 'p1', targetPlayerId: 'p1' })).rejects.toBeInstanceOf(ValidationError);
+      await expect(send.execute({ playerId: 'p1', targetUsername: 'Nobody' })).rejects.toBeInstanceOf(NotFoundError);
+
+      await block.execute({ playerId: 'p3', targetPlayerId: 'p1' });
+      await expect(send.execute({ playerId: 'p1', targetPlayerId: 'p3' })).rejects.toBeInstanceOf(BusinessLogicError);
+    });
+  });
+
+  describe('AcceptFriendRequestUseCase / RemoveFriendUseCase', () => {
+    test('accepting makes both players friends; removing ends it for both', async () => {
+      await send.execute({ playerId: 'p2', targetPlayerId: 'p1' });
+      const friendship = await accept.execute({ playerId: 'p1', requesterId: 'p2' });
+      expect(friendship.toObject()).toMatchObject({ playerId: 'p1', targetPlayerId: 'p2', status: 'active' });
+
+      await remove.execute({ playerId: 'p2', targetPlayerId: 'p1' });
+      expect((await list.execute({ playerId: 'p1' })).friends).toEqual([]);
+      expect((await list.execute({ playerId: 'p2' })).friends).toEqual([]);
+    });
+
+    test('accepting without a request or removing a stranger is NotFound', async () => {
+      await expect(accept.execute({ playerId: 'p1', requesterId: 'p2' })).rejects.toBeInstanceOf(NotFoundError);
+      await expect(remove.execute({ playerId: 'p1', targetPlayerId: 'p2' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('BlockPlayerUseCase / MutePlayerUseCase', () => {
+    test('blocking ends the friendship; unblocking lifts only the block', async () => {
+      await send.execute({ playerId: 'p1', targetPlayerId: 'p2' });
+      await accept.execute({ playerId: 'p2', requesterId: 'p1' });
+
+      const blocked = await block.execute({ playerId: 'p1', targetPlayerId: 'p2' });
+      expect(blocked.targetUsername).toBe('Bob');
+      const lists = await list.execute({ playerId: 'p1' });
+      expect(lists.friends).toEqual([]);
+      expect(lists.blocked.map(r => r.targetPlayerId)).toEqual(['p2']);
+      expect((await list.execute({ playerId: 'p2' })).friends).toEqual([]);
+
+      expect(await block.execute({ playerId: 'p1', targetPlayerId: 'p2', blocked: false })).toBeNull();
+      await expect(block.execute({ playerId: 'p1', targetPlayerId: 'p2', blocked: false }))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('muting keeps friends and is one-sided', async () => {
+      await send.execute({ playerId: 'p1', targetPlayerId: 'p2' });
+      await accept.execute({ playerId: 'p2', requesterId: 'p1' });
+
+      await mute.execute({ playerId: 'p1', targetPlayerId: 'p2' });
+      const lists = await list.execute({ playerId: 'p1' });
+      expect(lists.friends).toHaveLength(1);
+      expect(lists.muted.map(r => r.targetPlayerId)).toEqual(['p2']);
+      expect((await list.execute({ playerId: 'p2' })).muted).toEqual([]);
+
+      await mute.execute({ playerId: 'p1', targetPlayerId: 'p2', muted: false });
+      expect((await list.execute({ playerId: 'p1' })).muted).toEqual([]);
+    });
+
+    test('rejects unknown targets and self-targeting', async () => {
+      await expect(mute.execute({ playerId: 'p1', targetPlayerId: 'ghost' })).rejects.toBeInstanceOf(NotFoundError);
+      await expect(block.execute({ playerId: 'p1', targetPlayerId: 'p1' })).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+});
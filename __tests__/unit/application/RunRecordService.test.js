@@ -0,0 +1,110 @@
+/**
+ * RUN RECORD SERVICE - Unit Tests
+ * Server-side run recording and single-use XP grants
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const RunRecordService = require('../../../lib/application/RunRecordService');
+const RunRecord = require('../../../lib/domain/entities/RunRecord');
+const AddAccountXPUseCase = require('../../../lib/application/use-cases/AddAccountXPUseCase');
+const LeaderboardEntry = require('../../../lib/domain/entities/LeaderboardEntry');
+const { ConflictError, NotFoundError, ValidationError } = require('../../../lib/domain/errors/DomainErrors');
+
+const STATS = { wave: 6, level: 9, kills: 42, survivalTimeSeconds: 310, comboMax: 7, bossKills: 1 };
+
+function makeRepo() {
+  const rows = new Map();
+  return {
+    rows,
+    save: jest.fn(async record => {
+      if (!rows.has(record.runId)) {
+        rows.set(record.runId, record);
+      }
+      return rows.get(record.runId);
+    }),
+    findById: jest.fn(async runId => rows.get(runId) || null),
+    claimXpGrant: jest.fn(async (runId, playerId) => {
+      const r = rows.get(runId);
+      if (!r || r.playerId !== playerId || r.xpGrantedAt !== null) {
+        return false;
+      }
+      r.xpGrantedAt = Date.now();
+      return true;
+    }),
+    releaseXpGrant: jest.fn(async runId => {
+      rows.get(runId).xpGrantedAt = null;
+    })
+  };
+}
+
+describe('RunRecordService', () => {
+  let repo;
+  let progressionService;
+  let service;
+
+  beforeEach(() => {
+    repo = makeRepo();
+    progressionService = {
+      grantXP: jest.fn().mockResolvedValue({ success: true, levelsGained: 0, currentXP: 10 })
+    };
+    service = new RunRecordService(repo, progressionService);
+  });
+
+  describe('recordRun', () => {
+    test('derives score and XP from server stats', async () => {
+      const record = await service.recordRun({ runId: 'r1', playerId: 'p1', instanceId: 'default', stats: STATS });
+
+      expect(record).toBeInstanceOf(RunRecord);
+      expect(record.score).toBe(LeaderboardEntry.calculateScore(6, 9, 42, 310));
+      expect(record.xpEarned).toBe(AddAccountXPUseCase.calculateXPFromGameStats(STATS));
+      expect(record.instanceId).toBe('default');
+      expect(record.outcome).toBe('death');
+    });
+
+    test('replaying the same run keeps the first record', async () => {
+      await service.recordRun({ runId: 'r1', playerId: 'p1', stats: STATS });
+      const replay = await service.recordRun({ runId: 'r1', playerId: 'p1', stats: { ...STATS, kills: 5000 } });
+      expect(replay.kills).toBe(42);
+    });
+
+    test('requires runId, playerId and stats', async () => {
+      await expect(service.recordRun({ playerId: 'p1', stats: STATS })).rejects.toThrow(ValidationError);
+      await expect(service.recordRun({ runId: 'r1', stats: STATS })).rejects.toThrow(ValidationError);
+      await expect(service.recordRun({ runId: 'r1', playerId: 'p1' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('grantXP', () => {
+    beforeEach(async () => {
+      await service.recordRun({ runId: 'r1', playerId: 'p1', stats: STATS });
+    });
+
+    test('grants the recorded XP amount once', async () => {
+      const { record, result } = await service.grantXP('r1', 'p1');
+      expect(result.success).toBe(true);
+      expect(progressionService.grantXP).toHaveBeenCalledWith('p1', record.xpEarned, expect.objectContaining({ kills: 42 }));
+
+      await expect(service.grantXP('r1', 'p1')).rejects.toThrow(ConflictError);
+      expect(progressionService.grantXP).toHaveBeenCalledTimes(1);
+    });
+
+    test('unknown run or another player\'s run is NotFound', async () => {
+      await expect(service.grantXP('missing', 'p1')).rejects.toThrow(NotFoundError);
+      await expect(service.grantXP('r1', 'p2')).rejects.toThrow(NotFoundError);
+    });
+
+    test('failed grant releases the claim for a retry', async () => {
+      progressionService.grantXP.mockResolvedValueOnce(null);
+      await expect(service.grantXP('r1', 'p1')).rejects.toThrow('XP grant failed');
+      expect(repo.releaseXpGrant).toHaveBeenCalledWith('r1');
+
+      await expect(service.grantXP('r1', 'p1')).resolves.toMatchObject({ result: { success: true } });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * RUN REWARD SERVICE - Unit Tests
+ * Single application of a run's gems, contract progress, lifetime and weapon stats
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const RunRewardService = require('../../../lib/application/RunRewardService');
+
+const RECORD = { runId: 'run-1', playerId: 'p1', wave: 10, kills: 120, bossKills: 1 };
+
+describe('RunRewardService', () => {
+  let runRecordRepository;
+  let gemService;
+  let contractService;
+  let lifetimeStatsService;
+  let weaponStatsService;
+  let service;
+
+  beforeEach(() => {
+    runRecordRepository = {
+      claimRewards: jest.fn().mockResolvedValue(true),
+      releaseRewards: jest.fn().mockResolvedValue()
+    };
+    gemService = { awardRunGems: jest.fn().mockResolvedValue({ amount: 8, wallet: { balance: 20 } }) };
+    contractService = { applyRun: jest.fn().mockResolvedValue({ contract: { contractId: 'endurance' }, stageCompleted: true }) };
+    lifetimeStatsService = { recordRun: jest.fn().mockResolvedValue({}) };
+    weaponStatsService = { recordRun: jest.fn().mockResolvedValue(1) };
+    service = new RunRewardService(runRecordRepository, gemService, contractService, lifetimeStatsService, weaponStatsService);
+  });
+
+  test('applies every reward for a new run', async () => {
+    const result = await service.applyRun(RECORD, { goldEarned: 350 });
+
+    expect(runRecordRepository.claimRewards).toHaveBeenCalledWith('run-1', 'p1');
+    expect(gemService.awardRunGems).toHaveBeenCalledWith(RECORD);
+    expect(contractService.applyRun).toHaveBeenCalledWith(RECORD, { goldEarned: 350 });
+    expect(lifetimeStatsService.recordRun).toHaveBeenCalledWith(RECORD, { goldEarned: 350 });
+    expect(weaponStatsService.recordRun).toHaveBeenCalledWith(RECORD, { goldEarned: 350 });
+    expect(result).toMatchObject({ gemsEarned: 8, wallet: { balance: 20 }, stageCompleted: true });
+  });
+
+  test('reports zero gems when the run earned none', async () => {
+    gemService.awardRunGems.mockResolvedValue(null);
+
+    const result = await service.applyRun(RECORD);
+
+    expect(result.gemsEarned).toBe(0);
+    expect(result.wallet).toBeNull();
+  });
+
+  test('does nothing for a run already rewarded', async () => {
+    runRecordRepository.claimRewards.mockResolvedValue(false);
+
+    expect(await service.applyRun(RECORD)).toBeNull();
+    expect(gemService.awardRunGems).not.toHaveBeenCalled();
+    expect(lifetimeStatsService.recordRun).not.toHaveBeenCalled();
+    expect(weaponStatsService.recordRun).not.toHaveBeenCalled();
+  });
+
+  test('releases the claim when a reward fails', async () => {
+    lifetimeStatsService.recordRun.mockRejectedValue(new Error('db down'));
+
+    await expect(service.applyRun(RECORD)).rejects.toThrow('db down');
+    expect(runRecordRepository.releaseRewards).toHaveBeenCalledWith('run-1');
+  });
+});
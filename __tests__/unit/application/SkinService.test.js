@@ -0,0 +1,91 @@
+/**
+ * SKIN SERVICE - Unit Tests
+ * Skin purchases with gems and equipping owned skins
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const SkinService = require('../../../lib/application/SkinService');
+const SkinCollection = require('../../../lib/domain/entities/SkinCollection');
+const { BusinessLogicError, ConflictError, NotFoundError, ValidationError } = require('../../../lib/domain/errors/DomainErrors');
+
+function makeSkinRepo(rows = []) {
+  return {
+    findByPlayerId: jest.fn(async playerId => SkinCollection.fromRows(playerId, rows)),
+    grant: jest.fn(async (playerId, type, skinId) => {
+      rows.push({ player_id: playerId, skin_type: type, skin_id: skinId, equipped: 0 });
+      return true;
+    }),
+    equip: jest.fn().mockResolvedValue()
+  };
+}
+
+function makeGemService() {
+  return {
+    spend: jest.fn().mockResolvedValue({ balance: 40 }),
+    credit: jest.fn().mockResolvedValue({ balance: 140 })
+  };
+}
+
+describe('SkinService', () => {
+  test('purchase spends the catalog cost and grants the skin', async () => {
+    const skinRepo = makeSkinRepo();
+    const gemService = makeGemService();
+    const service = new SkinService(skinRepo, gemService);
+
+    const { collection, wallet } = await service.purchase('p1', 'player', 'neon');
+
+    expect(gemService.spend).toHaveBeenCalledWith('p1', 100, 'skin', 'player:neon');
+    expect(collection.owns('player', 'neon')).toBe(true);
+    expect(wallet.balance).toBe(40);
+  });
+
+  test('purchase rejects unknown and already owned skins before spending', async () => {
+    const gemService = makeGemService();
+    const service = new SkinService(
+      makeSkinRepo([{ player_id: 'p1', skin_type: 'weapon', skin_id: 'laser', equipped: 0 }]),
+      gemService
+    );
+
+    await expect(service.purchase('p1', 'player', 'golden_god')).rejects.toThrow(NotFoundError);
+    await expect(service.purchase('p1', 'weapon', 'laser')).rejects.toThrow(ConflictError);
+    await expect(service.purchase('p1', 'hat', 'neon')).rejects.toThrow(ValidationError);
+    expect(gemService.spend).not.toHaveBeenCalled();
+  });
+
+  test('purchase propagates an insufficient balance', async () => {
+    const gemService = makeGemService();
+    gemService.spend.mockRejectedValue(new BusinessLogicError('Not enough gems'));
+    const skinRepo = makeSkinRepo();
+    const service = new SkinService(skinRepo, gemService);
+
+    await expect(service.purchase('p1', 'player', 'neon')).rejects.toThrow(BusinessLogicError);
+    expect(skinRepo.grant).not.toHaveBeenCalled();
+  });
+
+  test('purchase refunds the gems when the grant fails', async () => {
+    const skinRepo = makeSkinRepo();
+    skinRepo.grant.mockRejectedValue(new Error('db down'));
+    const gemService = makeGemService();
+    const service = new SkinService(skinRepo, gemService);
+
+    await expect(service.purchase('p1', 'player', 'neon')).rejects.toThrow('db down');
+    expect(gemService.credit).toHaveBeenCalledWith('p1', 100, 'refund', expect.stringMatching(/^player:neon:/));
+  });
+
+  test('equip requires an owned skin', async () => {
+    const skinRepo = makeSkinRepo([{ player_id: 'p1', skin_type: 'player', skin_id: 'fire', equipped: 0 }]);
+    const service = new SkinService(skinRepo, makeGemService());
+
+    await service.equip('p1', 'player', 'fire');
+    await service.equip('p1', 'player', 'default');
+    await expect(service.equip('p1', 'player', 'shadow')).rejects.toThrow(NotFoundError);
+
+    expect(skinRepo.equip).toHaveBeenCalledTimes(2);
+  });
+});
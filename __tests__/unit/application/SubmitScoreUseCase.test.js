@@ -1,9 +1,11 @@
 /**
  * SUBMIT SCORE USE CASE - Unit Tests
- * Tests leaderboard score submission with mocked repositories
+ * Tests leaderboard submission from server run records with mocked repositories
  */
 
 const SubmitScoreUseCase = require('../../../contexts/leaderboard/SubmitScoreUseCase');
+const LeaderboardEntry = require('../../../lib/domain/entities/LeaderboardEntry');
+const { ConflictError, NotFoundError } = require('../../../lib/domain/errors/DomainErrors');
 
 // Mock Logger
 jest.mock('../../../infrastructure/logging/Logger', () => ({
@@ -17,12 +19,23 @@ describe('SubmitScoreUseCase', () => {
   let useCase;
   let mockLeaderboardRepository;
   let mockPlayerRepository;
+  let mockRunRecordRepository;
 
   const existingPlayer = {
     id: 'player-001',
     username: 'ScorePlayer'
   };
 
+  const serverRun = {
+    runId: 'run-001',
+    playerId: 'player-001',
+    wave: 10,
+    level: 15,
+    kills: 200,
+    survivalTime: 600,
+    score: LeaderboardEntry.calculateScore(10, 15, 200, 600)
+  };
+
   beforeEach(() => {
     mockLeaderboardRepository = {
       submit: jest.fn().mockResolvedValue(undefined),
@@ -31,13 +44,19 @@ describe('SubmitScoreUseCase', () => {
     };
 
     mockPlayerRepository = {
-      findById: jest.fn(),
+      findById: jest.fn().mockResolvedValue(existingPlayer),
       findByUsername: jest.fn(),
       create: jest.fn(),
       update: jest.fn()
     };
 
-    useCase = new SubmitScoreUseCase(mockLeaderboardRepository, mockPlayerRepository);
+    mockRunRecordRepository = {
+      findById: jest.fn().mockResolvedValue(serverRun),
+      claimLeaderboardSubmission: jest.fn().mockResolvedValue(true),
+      releaseLeaderboardSubmission: jest.fn().mockResolvedValue(undefined)
+    };
+
+    useCase = new SubmitScoreUseCase(mockLeaderboardRepository, mockPlayerRepository, mockRunRecordRepository);
   });
 
   afterEach(() => {
@@ -45,16 +64,8 @@ describe('SubmitScoreUseCase', () => {
   });
 
   describe('execute - valid submission', () => {
-    it('should submit a valid score and return a LeaderboardEntry', async () => {
-      mockPlayerRepository.findById.mockResolvedValue(existingPlayer);
-
-      const entry = await useCase.execute({
-        playerId: 'player-001',
-        wave: 10,
-        level: 15,
-        kills: 200,
-        survivalTime: 600
-      });
+    it('should build the entry from the server run record', async () => {
+      const entry = await useCase.execute({ playerId: 'player-001', runId: 'run-001' });
 
       expect(entry).toBeDefined();
       expect(entry.playerId).toBe('player-001');
@@ -63,183 +74,109 @@ describe('SubmitScoreUseCase', () => {
       expect(entry.level).toBe(15);
       expect(entry.kills).toBe(200);
       expect(entry.survivalTime).toBe(600);
-      expect(entry.score).toBeGreaterThan(0);
+      expect(entry.score).toBe(serverRun.score);
     });
 
-    it('should calculate score using LeaderboardEntry.calculateScore', async () => {
-      mockPlayerRepository.findById.mockResolvedValue(existingPlayer);
+    it('should ignore any client-supplied stats', async () => {
+      const entry = await useCase.execute({ playerId: 'player-001', runId: 'run-001', wave: 9999, kills: 9999 });
 
-      const entry = await useCase.execute({
-        playerId: 'player-001',
-        wave: 5,
-        level: 10,
-        kills: 50,
-        survivalTime: 120
-      });
-
-      // wave*100 + level*50 + kills*10 + floor(120/60)*5
-      const expectedScore = 5 * 100 + 10 * 50 + 50 * 10 + Math.floor(120 / 60) * 5;
-      expect(entry.score).toBe(expectedScore);
+      expect(entry.wave).toBe(10);
+      expect(entry.kills).toBe(200);
     });
 
-    it('should call leaderboardRepository.submit with the entry', async () => {
-      mockPlayerRepository.findById.mockResolvedValue(existingPlayer);
-
-      await useCase.execute({
-        playerId: 'player-001',
-        wave: 3,
-        level: 5,
-        kills: 30,
-        survivalTime: 90
-      });
+    it('should claim the run and call leaderboardRepository.submit once', async () => {
+      await useCase.execute({ playerId: 'player-001', runId: 'run-001' });
 
+      expect(mockRunRecordRepository.claimLeaderboardSubmission).toHaveBeenCalledWith('run-001', 'player-001');
       expect(mockLeaderboardRepository.submit).toHaveBeenCalledTimes(1);
-      const submittedEntry = mockLeaderboardRepository.submit.mock.calls[0][0];
-      expect(submittedEntry.playerId).toBe('player-001');
-      expect(submittedEntry.wave).toBe(3);
-    });
-
-    it('should call playerRepository.findById to resolve username', async () => {
-      mockPlayerRepository.findById.mockResolvedValue(existingPlayer);
-
-      await useCase.execute({
-        playerId: 'player-001',
-        wave: 1,
-        level: 1,
-        kills: 1,
-        survivalTime: 10
-      });
-
-      expect(mockPlayerRepository.findById).toHaveBeenCalledWith('player-001');
     });
   });
 
-  describe('execute - validation: invalid data', () => {
+  describe('execute - validation', () => {
     it('should throw when playerId is missing', async () => {
-      await expect(
-        useCase.execute({
-          playerId: null,
-          wave: 1,
-          level: 1,
-          kills: 1,
-          survivalTime: 10
-        })
-      ).rejects.toThrow('Invalid score data');
+      await expect(useCase.execute({ playerId: null, runId: 'run-001' })).rejects.toThrow('Invalid score data');
     });
 
-    it('should throw when wave is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-001',
-          wave: -1,
-          level: 1,
-          kills: 1,
-          survivalTime: 10
-        })
-      ).rejects.toThrow('Invalid score data');
+    it('should throw when runId is missing', async () => {
+      await expect(useCase.execute({ playerId: 'player-001' })).rejects.toThrow('Invalid score data');
+      expect(mockRunRecordRepository.findById).not.toHaveBeenCalled();
     });
+  });
 
-    it('should throw when level is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-001',
-          wave: 1,
-          level: -1,
-          kills: 1,
-          survivalTime: 10
-        })
-      ).rejects.toThrow('Invalid score data');
-    });
+  describe('execute - run ownership and reuse', () => {
+    it('should throw NotFoundError for an unknown run', async () => {
+      mockRunRecordRepository.findById.mockResolvedValue(null);
 
-    it('should throw when kills is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-001',
-          wave: 1,
-          level: 1,
-          kills: -5,
-          survivalTime: 10
-        })
-      ).rejects.toThrow('Invalid score data');
+      await expect(useCase.execute({ playerId: 'player-001', runId: 'nope' })).rejects.toThrow(NotFoundError);
+      expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
 
-    it('should throw when survivalTime is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-001',
-          wave: 1,
-          level: 1,
-          kills: 1,
-          survivalTime: -10
-        })
-      ).rejects.toThrow('Invalid score data');
+    it('should throw NotFoundError for another player\'s run', async () => {
+      await expect(useCase.execute({ playerId: 'player-002', runId: 'run-001' })).rejects.toThrow(NotFoundError);
+      expect(mockRunRecordRepository.claimLeaderboardSubmission).not.toHaveBeenCalled();
     });
 
-    it('should not call any repository on invalid data', async () => {
-      try {
-        await useCase.execute({
-          playerId: null,
-          wave: -1,
-          level: -1,
-          kills: -1,
-          survivalTime: -1
-        });
-      } catch {
-        // expected
-      }
-
-      expect(mockPlayerRepository.findById).not.toHaveBeenCalled();
+    it('should throw ConflictError when the run was already submitted', async () => {
+      mockRunRecordRepository.claimLeaderboardSubmission.mockResolvedValue(false);
+
+      await expect(useCase.execute({ playerId: 'player-001', runId: 'run-001' })).rejects.toThrow(ConflictError);
       expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
-  });
 
-  describe('execute - validation: player not found', () => {
+    it('should release the claim when the leaderboard insert fails', async () => {
+      mockLeaderboardRepository.submit.mockRejectedValue(new Error('disk I/O error'));
+
+      await expect(useCase.execute({ playerId: 'player-001', runId: 'run-001' })).rejects.toThrow('disk I/O error');
+      expect(mockRunRecordRepository.releaseLeaderboardSubmission).toHaveBeenCalledWith('run-001');
+    });
+
     it('should throw when player does not exist', async () => {
       mockPlayerRepository.findById.mockResolvedValue(null);
 
       await expect(
-        useCase.execute({
-          playerId: 'nonexistent',
-          wave: 5,
-          level: 5,
-          kills: 50,
-          survivalTime: 120
-        })
-      ).rejects.toThrow("Player with identifier 'nonexistent' not found");
+        useCase.execute({ playerId: 'player-001', runId: 'run-001' })
+      ).rejects.toThrow("Player with identifier 'player-001' not found");
+      expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('execute - anti-cheat trust score', () => {
+    let mockAntiCheatService;
+
+    beforeEach(() => {
+      mockAntiCheatService = { isTrusted: jest.fn().mockResolvedValue(true) };
+      useCase = new SubmitScoreUseCase(
+        mockLeaderboardRepository,
+        mockPlayerRepository,
+        mockRunRecordRepository,
+        null,
+        mockAntiCheatService
+      );
     });
 
-    it('should not submit to leaderboard when player not found', async () => {
-      mockPlayerRepository.findById.mockResolvedValue(null);
+    it('should not flag a trusted account', async () => {
+      const entry = await useCase.execute({ playerId: 'player-001', runId: 'run-001' });
 
-      try {
-        await useCase.execute({
-          playerId: 'ghost',
-          wave: 1,
-          level: 1,
-          kills: 1,
-          survivalTime: 10
-        });
-      } catch {
-        // expected
-      }
+      expect(mockAntiCheatService.isTrusted).toHaveBeenCalledWith('player-001');
+      expect(entry.flagged).toBe(false);
+    });
 
-      expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
+    it('should flag the entry of an account below the trust threshold', async () => {
+      mockAntiCheatService.isTrusted.mockResolvedValue(false);
+
+      const entry = await useCase.execute({ playerId: 'player-001', runId: 'run-001' });
+
+      expect(entry.flagged).toBe(true);
+      expect(mockLeaderboardRepository.submit).toHaveBeenCalledWith(expect.objectContaining({ flagged: true }));
     });
-  });
 
-  describe('execute - edge cases', () => {
-    it('should accept zero values for all numeric fields', async () => {
-      mockPlayerRepository.findById.mockResolvedValue(existingPlayer);
+    it('should still accept the entry when the trust lookup fails', async () => {
+      mockAntiCheatService.isTrusted.mockRejectedValue(new Error('db down'));
 
-      const entry = await useCase.execute({
-        playerId: 'player-001',
-        wave: 0,
-        level: 0,
-        kills: 0,
-        survivalTime: 0
-      });
+      const entry = await useCase.execute({ playerId: 'player-001', runId: 'run-001' });
 
-      expect(entry.score).toBe(0);
+      expect(entry.flagged).toBe(false);
+      expect(mockLeaderboardRepository.submit).toHaveBeenCalledTimes(1);
     });
   });
 });
@@ -0,0 +1,79 @@
+/**
+ * WEAPON STATS SERVICE - Unit Tests
+ * Run flush sanitising and per-weapon leaderboards
+ */
+
+const WeaponStatsService = require('../../../lib/application/WeaponStatsService');
+const WeaponStats = require('../../../lib/domain/entities/WeaponStats');
+
+const RECORD = { runId: 'run-1', playerId: 'p1', endedAt: 5000 };
+const SETTINGS = { activeGapMs: 2000, minShotsForRatio: 200, leaderboardMaxLimit: 100 };
+
+describe('WeaponStatsService', () => {
+  let repository;
+  let antiCheatService;
+  let service;
+
+  beforeEach(() => {
+    repository = {
+      findByPlayerId: jest.fn().mockResolvedValue([]),
+      addRunTotals: jest.fn().mockResolvedValue(),
+      findTopByWeapon: jest.fn().mockResolvedValue([])
+    };
+    antiCheatService = { isTrusted: jest.fn().mockResolvedValue(true) };
+    service = new WeaponStatsService(repository, antiCheatService, SETTINGS);
+  });
+
+  test('recordRun writes the weapons that fired, as integers', async () => {
+    const written = await service.recordRun(RECORD, {
+      weaponStats: [
+        { weaponId: 'pistol', shotsFired: 10, shotsHit: 12, kills: 2, damageDealt: 99.7, activeTime: 3000 },
+        { weaponId: 'rifle', shotsFired: 0, shotsHit: 0, kills: 0, damageDealt: 0, activeTime: 0 },
+        { shotsFired: 5 }
+      ]
+    });
+
+    expect(written).toBe(1);
+    expect(repository.addRunTotals).toHaveBeenCalledWith('p1', [
+      { weaponId: 'pistol', shotsFired: 10, shotsHit: 10, kills: 2, damageDealt: 99, activeTime: 3000 }
+    ], 5000, false);
+  });
+
+  test('recordRun flags the totals of an account below the trust threshold', async () => {
+    antiCheatService.isTrusted.mockResolvedValue(false);
+    await service.recordRun(RECORD, { weaponStats: [{ weaponId: 'pistol', shotsFired: 10 }] });
+
+    expect(antiCheatService.isTrusted).toHaveBeenCalledWith('p1');
+    expect(repository.addRunTotals).toHaveBeenCalledWith('p1', expect.any(Array), 5000, true);
+  });
+
+  test('recordRun adds the totals unflagged when the trust lookup fails', async () => {
+    antiCheatService.isTrusted.mockRejectedValue(new Error('db down'));
+    await service.recordRun(RECORD, { weaponStats: [{ weaponId: 'pistol', shotsFired: 10 }] });
+
+    expect(repository.addRunTotals).toHaveBeenCalledWith('p1', expect.any(Array), 5000, false);
+  });
+
+  test('recordRun skips the write for a run without shots', async () => {
+    expect(await service.recordRun(RECORD, { goldEarned: 100 })).toBe(0);
+    expect(repository.addRunTotals).not.toHaveBeenCalled();
+  });
+
+  test('getLeaderboard ranks entries and only requires volume for ratios', async () => {
+    repository.findTopByWeapon.mockResolvedValue([
+      { stats: new WeaponStats({ playerId: 'p2', weaponId: 'rifle', shotsFired: 300, shotsHit: 240 }), username: 'Bob' }
+    ]);
+
+    const entries = await service.getLeaderboard('rifle', { sort: 'accuracy', limit: 500 });
+    expect(repository.findTopByWeapon).toHaveBeenCalledWith('rifle', { sort: 'accuracy', limit: 100, minShots: 200 });
+    expect(entries[0]).toMatchObject({ rank: 1, username: 'Bob', accuracy: 0.8 });
+
+    await service.getLeaderboard('rifle', { sort: 'kills' });
+    expect(repository.findTopByWeapon).toHaveBeenLastCalledWith('rifle', { sort: 'kills', limit: 10, minShots: 1 });
+  });
+
+  test('getLeaderboard falls back to kills for an unknown sort', async () => {
+    await service.getLeaderboard('rifle', { sort: 'headshots' });
+    expect(repository.findTopByWeapon).toHaveBeenCalledWith('rifle', expect.objectContaining({ sort: 'kills' }));
+  });
+});
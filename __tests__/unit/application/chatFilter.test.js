@@ -0,0 +1,52 @@
+'use strict';
+
+const { filterChatMessage, isBlockedWord, MAX_CHAT_LENGTH } = require('../../../lib/application/chatFilter');
+
+describe('filterChatMessage', () => {
+  test('passes clean messages through unflagged', () => {
+    expect(filterChatMessage('  gg   tout le monde ')).toEqual({
+      ok: true,
+      text: 'gg tout le monde',
+      raw: 'gg tout le monde',
+      flagged: false,
+      flagReason: null
+    });
+  });
+
+  test('rejects empty and non-string payloads', () => {
+    expect(filterChatMessage('   ')).toEqual({ ok: false, reason: 'empty' });
+    expect(filterChatMessage(42)).toEqual({ ok: false, reason: 'empty' });
+    expect(filterChatMessage(undefined)).toEqual({ ok: false, reason: 'empty' });
+  });
+
+  test(`rejects messages longer than ${MAX_CHAT_LENGTH} characters`, () => {
+    expect(filterChatMessage('a'.repeat(MAX_CHAT_LENGTH))).toMatchObject({ ok: true });
+    expect(filterChatMessage('a'.repeat(MAX_CHAT_LENGTH + 1))).toEqual({ ok: false, reason: 'too_long' });
+  });
+
+  test('strips control characters', () => {
+    expect(filterChatMessage('hello\u0000\nworld').text).toBe('hello world');
+  });
+
+  test('masks profanity and flags the message', () => {
+    const result = filterChatMessage('quelle merde ce boss');
+    expect(result).toMatchObject({ ok: true, text: 'quelle ***** ce boss', flagged: true, flagReason: 'profanity' });
+    expect(result.raw).toBe('quelle merde ce boss');
+  });
+});
+
+describe('isBlockedWord', () => {
+  test.each(['FUCK', 'fuuuuck', 'sh1t', 'Put@in', 'enculé', 'merdeux', 'connard!'])('catches %s', word => {
+    expect(isBlockedWord(word)).toBe(true);
+  });
+
+  test.each(['computer', 'retarder', 'unique', 'class', 'gg', '123'])('lets %s through', word => {
+    expect(isBlockedWord(word)).toBe(false);
+  });
+
+  test('blocks the forms of "nique" but not "niquel"', () => {
+    expect(['nique', 'NIQUÉ', 'niquer', 'n1quez'].every(isBlockedWord)).toBe(true);
+    expect(isBlockedWord('niquel')).toBe(false);
+    expect(filterChatMessage('niquel, bien joué')).toMatchObject({ text: 'niquel, bien joué', flagged: false });
+  });
+});
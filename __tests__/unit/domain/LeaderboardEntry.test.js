@@ -259,4 +259,13 @@ describe('LeaderboardEntry Entity', () => {
       });
     });
   });
+
+  describe('toAdminObject', () => {
+    it('should add the anti-cheat flag to the plain object', () => {
+      const entry = new LeaderboardEntry({ ...validEntryData, createdAt: 5000, flagged: true });
+
+      expect(entry.toAdminObject()).toEqual({ ...entry.toObject(), flagged: true });
+      expect(entry.toObject()).not.toHaveProperty('flagged');
+    });
+  });
 });
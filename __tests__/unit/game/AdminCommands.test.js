@@ -1,6 +1,8 @@
 'use strict';
 
 const AdminCommands = require('../../../game/modules/admin/AdminCommands');
+const { parseBanDuration } = AdminCommands;
+const Ban = require('../../../lib/domain/entities/Ban');
 
 function makeSocket(userId, emitMock) {
   return { userId, emit: emitMock || jest.fn(), on: jest.fn() };
@@ -47,3 +49,87 @@ describe('AdminCommands', () => {
     expect(emit).toHaveBeenCalledWith('adminResponse', expect.objectContaining({ success: false, message: expect.stringContaining('Unknown command') }));
   });
 });
+
+describe('AdminCommands moderation', () => {
+  function makeIo(sockets) {
+    return { sockets: { sockets: new Map(sockets.map(s => [s.id, s])) } };
+  }
+
+  function makeTarget(id, userId) {
+    return { id, userId, emit: jest.fn(), disconnect: jest.fn() };
+  }
+
+  function makeModeration() {
+    return {
+      recordKick: jest.fn().mockResolvedValue({}),
+      banPlayer: jest.fn(async ({ playerId, reason, durationMs }) =>
+        new Ban({ playerId, reason, bannedBy: 'admin-1', createdAt: 1000, expiresAt: durationMs ? 1000 + durationMs : null })),
+      unbanPlayer: jest.fn().mockResolvedValue(true),
+      listBans: jest.fn().mockResolvedValue([])
+    };
+  }
+
+  test('parseBanDuration accepts minutes, hours, days and perm', () => {
+    expect(parseBanDuration('30m')).toBe(30 * 60 * 1000);
+    expect(parseBanDuration('2h')).toBe(2 * 60 * 60 * 1000);
+    expect(parseBanDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseBanDuration('perm')).toBeNull();
+    expect(parseBanDuration('0d')).toBeUndefined();
+    expect(parseBanDuration('soon')).toBeUndefined();
+  });
+
+  test('kick disconnects every socket of the account and audits it', async () => {
+    const a = makeTarget('s1', 'victim');
+    const b = makeTarget('s2', 'victim');
+    const other = makeTarget('s3', 'someone');
+    const moderation = makeModeration();
+    const ac = new AdminCommands(makeIo([a, b, other]), {}, null, moderation);
+    const socket = makeSocket('admin-1');
+
+    await ac.handleKick(socket, ['victim', 'AFK', 'farming']);
+
+    expect(a.emit).toHaveBeenCalledWith('kicked', { reason: 'AFK farming', banned: false, expiresAt: null });
+    expect(a.disconnect).toHaveBeenCalledWith(true);
+    expect(b.disconnect).toHaveBeenCalled();
+    expect(other.disconnect).not.toHaveBeenCalled();
+    expect(moderation.recordKick).toHaveBeenCalledWith({ targetId: 'victim', reason: 'AFK farming', actor: 'admin-1' });
+    expect(socket.emit).toHaveBeenCalledWith('adminResponse', expect.objectContaining({ success: true }));
+  });
+
+  test('ban stores the ban and kicks the account', async () => {
+    const target = makeTarget('s1', 'victim');
+    const moderation = makeModeration();
+    const ac = new AdminCommands(makeIo([target]), {}, null, moderation);
+    const socket = makeSocket('admin-1');
+
+    await ac.handleBan(socket, ['victim', '2h', 'aimbot']);
+
+    expect(moderation.banPlayer).toHaveBeenCalledWith({
+      playerId: 'victim', reason: 'aimbot', durationMs: 2 * 60 * 60 * 1000, actor: 'admin-1'
+    });
+    expect(target.emit).toHaveBeenCalledWith('kicked', expect.objectContaining({ banned: true, reason: 'aimbot' }));
+    expect(socket.emit).toHaveBeenCalledWith('adminResponse', expect.objectContaining({ success: true }));
+  });
+
+  test('ban rejects an invalid duration without touching the service', async () => {
+    const moderation = makeModeration();
+    const ac = new AdminCommands(makeIo([]), {}, null, moderation);
+    const socket = makeSocket('admin-1');
+
+    await ac.handleBan(socket, ['victim', 'forever']);
+
+    expect(moderation.banPlayer).not.toHaveBeenCalled();
+    expect(socket.emit).toHaveBeenCalledWith('adminResponse', expect.objectContaining({ success: false }));
+  });
+
+  test('ban and unban report a missing database or a failing service', async () => {
+    const socket = makeSocket('admin-1');
+    await new AdminCommands(makeIo([]), {}, null).handleUnban(socket, ['victim']);
+    expect(socket.emit).toHaveBeenLastCalledWith('adminResponse', { success: false, message: 'Moderation requires the database' });
+
+    const moderation = makeModeration();
+    moderation.unbanPlayer.mockRejectedValue(new Error('db down'));
+    await new AdminCommands(makeIo([]), {}, null, moderation).handleUnban(socket, ['victim']);
+    expect(socket.emit).toHaveBeenLastCalledWith('adminResponse', { success: false, message: 'Moderation failed: db down' });
+  });
+});
@@ -8,6 +8,7 @@
 'use strict';
 
 const HazardManager = require('../../../game/modules/hazards/HazardManager');
+const { GameEventBus, GAME_EVENTS } = require('../../../lib/server/GameEventBus');
 
 function makePlayer(overrides = {}) {
   return {
@@ -116,7 +117,7 @@ describe('HazardManager — updateHazards mixed expiry', () => {
 // ---------------------------------------------------------------------------
 
 describe('HazardManager — hazard kills player', () => {
-  test('test_updateHazards_playerHealthReachesZero_deathIncremented', () => {
+  test('test_updateHazards_playerHealthReachesZero_playerDies', () => {
     // Arrange
     const gs = makeGameState({
       players: { p1: makePlayer({ health: 5 }) }
@@ -140,7 +141,45 @@ describe('HazardManager — hazard kills player', () => {
 
     // Assert
     expect(gs.players.p1.alive).toBe(false);
-    expect(gs.players.p1.deaths).toBe(1);
+  });
+
+  test('test_updateHazards_lethalHitWithStandingTeammate_playerDowned', () => {
+    // Arrange
+    const gs = makeGameState({
+      players: {
+        p1: makePlayer({ health: 5, hasNickname: true }),
+        p2: makePlayer({ x: 900, y: 900, hasNickname: true })
+      }
+    });
+    const hm = new HazardManager(gs, makeEntityManager());
+    const now = Date.now();
+    gs.hazards.push({ type: 'meteor', x: 100, y: 100, radius: 50, damage: 50, createdAt: now, duration: 5000 });
+
+    // Act
+    hm.updateHazards(now);
+
+    // Assert
+    expect(gs.players.p1.alive).toBe(true);
+    expect(gs.players.p1.downed).toBe(true);
+    expect(gs.players.p1.health).toBe(0);
+  });
+
+  test('test_updateToxicPools_downedPlayer_notHit', () => {
+    // Arrange
+    const gs = makeGameState({
+      players: { p1: makePlayer({ health: 0, downed: true }) }
+    });
+    const hm = new HazardManager(gs, makeEntityManager());
+    const now = Date.now();
+    gs.toxicPools.push({ id: 't1', x: 100, y: 100, radius: 50, damage: 20, createdAt: now, duration: 5000 });
+
+    // Act
+    hm.updateToxicPools(now);
+
+    // Assert
+    expect(gs.players.p1.health).toBe(0);
+    expect(gs.players.p1.alive).toBe(true);
+    expect(gs.toxicPools[0].lastDamageTick).toBeUndefined();
   });
 });
 
@@ -175,6 +214,32 @@ describe('HazardManager — toxic pool damage rate', () => {
     expect(gs.players.p1.health).toBe(80);
   });
 
+  test('test_updateToxicPools_playerInRange_publishesPlayerDamaged', () => {
+    // Arrange
+    const gs = makeGameState({ events: new GameEventBus() });
+    const damaged = jest.fn();
+    gs.events.on(GAME_EVENTS.PLAYER_DAMAGED, damaged);
+    const hm = new HazardManager(gs, makeEntityManager());
+    const now = Date.now();
+
+    gs.toxicPools.push({
+      id: 'pool1',
+      x: 100,
+      y: 100,
+      radius: 200,
+      damage: 40,
+      createdAt: now,
+      duration: 10000,
+      lastDamageTick: null
+    });
+
+    // Act
+    hm.updateToxicPools(now);
+
+    // Assert
+    expect(damaged).toHaveBeenCalledWith({ playerId: 'p1', damage: 20 });
+  });
+
   test('test_updateToxicPools_playerOutOfRange_noDamage', () => {
     // Arrange
     const gs = makeGameState({
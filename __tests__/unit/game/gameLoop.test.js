@@ -99,7 +99,8 @@ describe('Player Death Progression Handler', () => {
         survivalTimeSeconds: expect.any(Number),
         comboMax: 10,
         bossKills: 0
-      })
+      }),
+      { instanceId: null, seed: null, endedAt: now, party: null }
     );
   });
 
@@ -159,7 +160,8 @@ describe('Player Death Progression Handler', () => {
       mockPlayer.accountId,
       expect.objectContaining({
         bossKills: 1
-      })
+      }),
+      expect.any(Object)
     );
   });
 
@@ -175,7 +177,8 @@ describe('Player Death Progression Handler', () => {
       mockPlayer.accountId,
       expect.objectContaining({
         comboMax: 15
-      })
+      }),
+      expect.any(Object)
     );
   });
 });
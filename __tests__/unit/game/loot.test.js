@@ -96,6 +96,15 @@ describe('createLoot — drop rate NaN guard', () => {
     expect(Object.keys(gs.loot)).toHaveLength(1);
     expect(gs.loot[0].xp).toBe(10);
   });
+
+  test('the golden_famine mutator doubles the gold, not the xp', () => {
+    const RunMutatorManager = require('../../../lib/server/RunMutatorManager');
+    const gs = makeGameState();
+    gs.mutatorManager = new RunMutatorManager(gs, null);
+    gs.mutatorManager.restore({ activeMutatorIds: ['golden_famine'] });
+    createLoot(100, 100, 5, 10, gs);
+    expect(gs.loot[0]).toMatchObject({ gold: 10, xp: 10 });
+  });
 });
 
 // ---------------------------------------------------------------------------
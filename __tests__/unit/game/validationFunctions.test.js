@@ -5,6 +5,7 @@ const {
   isValidString,
   isPlainObject,
   validateMovementData,
+  validateInputFrame,
   validateShootData,
   validateUpgradeData,
   validateBuyItemData
@@ -143,6 +144,31 @@ describe('validationFunctions', () => {
     });
   });
 
+  // validateInputFrame
+  describe('validateInputFrame', () => {
+    test('test_validateInputFrame_validData_returnsFrame', () => {
+      const frame = { seq: 4, mx: 1, my: 0, dt: 16, angle: 0.5 };
+      expect(validateInputFrame(frame)).toEqual(frame);
+    });
+
+    test('test_validateInputFrame_diagonalOverOne_isNormalized', () => {
+      const result = validateInputFrame({ seq: 1, mx: 1, my: 1, dt: 16, angle: 0 });
+      expect(Math.hypot(result.mx, result.my)).toBeCloseTo(1);
+    });
+
+    test('test_validateInputFrame_invalidSeq_returnsNull', () => {
+      expect(validateInputFrame({ seq: 0, mx: 0, my: 0, dt: 16, angle: 0 })).toBeNull();
+      expect(validateInputFrame({ seq: 1.5, mx: 0, my: 0, dt: 16, angle: 0 })).toBeNull();
+    });
+
+    test('test_validateInputFrame_outOfRange_returnsNull', () => {
+      expect(validateInputFrame({ seq: 1, mx: 2, my: 0, dt: 16, angle: 0 })).toBeNull();
+      expect(validateInputFrame({ seq: 1, mx: 0, my: 0, dt: 5000, angle: 0 })).toBeNull();
+      expect(validateInputFrame({ seq: 1, mx: 0, my: 0, dt: 16, angle: 7 })).toBeNull();
+      expect(validateInputFrame(null)).toBeNull();
+    });
+  });
+
   // validateShootData
   describe('validateShootData', () => {
     test('test_validateShootData_validAngle_returnsObject', () => {
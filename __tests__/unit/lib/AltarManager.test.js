@@ -0,0 +1,284 @@
+/**
+ * Unit tests for lib/server/AltarManager.js and lib/server/config/AltarConfig.js
+ * Focus: placement, activation by standing, challenge tracking, reward/curse
+ * through the mutator effect pipeline, config validation.
+ */
+
+const { AltarManager, generateRoomAltars, toPublicAltar } = require('../../../lib/server/AltarManager');
+const {
+  ALTAR_CONFIG,
+  ALTAR_CHALLENGES,
+  ALTAR_EFFECT_KEYS,
+  validateAltarConfig
+} = require('../../../lib/server/config/AltarConfig');
+const { GameEventBus, GAME_EVENTS } = require('../../../lib/server/GameEventBus');
+const RunMutatorManager = require('../../../lib/server/RunMutatorManager');
+const { createRunRandom } = require('../../../lib/runPRNG');
+
+const challenges = {
+  unhurt: {
+    name: 'Unhurt',
+    description: 'x',
+    icon: '🛡️',
+    type: 'no_damage',
+    durationMs: 30000,
+    reward: { gold: 150, effects: { playerDamageMultiplier: 1.2 }, effectDurationMs: 60000 },
+    curse: { effects: { zombieDamageMultiplier: 1.25 }, effectDurationMs: 45000 }
+  },
+  rush: {
+    name: 'Rush',
+    description: 'x',
+    icon: '⚔️',
+    type: 'kills',
+    target: 3,
+    durationMs: 20000,
+    reward: { gold: 120 },
+    curse: { effects: { spawnCountMultiplier: 1.25 }, effectDurationMs: 45000 }
+  }
+};
+
+function setup(challengeId) {
+  const io = { emit: jest.fn() };
+  const gameState = {
+    wave: 1,
+    events: new GameEventBus(),
+    players: {
+      p1: { x: 0, y: 0, alive: true, downed: false, health: 100, gold: 0 },
+      p2: { x: 500, y: 500, alive: true, downed: false, health: 100, gold: 0 }
+    },
+    altars: [{ id: 'altar-0', x: 0, y: 0, radius: 45, challengeId, state: 'idle' }]
+  };
+  gameState.mutatorManager = new RunMutatorManager(gameState, null);
+  gameState.mutatorManager.cleanupWave();
+  const manager = new AltarManager(gameState, io, { challenges });
+  return { io, gameState, manager };
+}
+
+function activate(manager) {
+  manager.update(0);
+  manager.update(ALTAR_CONFIG.activationMs);
+}
+
+function emitted(io, event) {
+  return io.emit.mock.calls.filter(([name]) => name === event).map(([, payload]) => payload);
+}
+
+describe('generateRoomAltars', () => {
+  const room = { width: 3000, height: 2400, obstacles: [] };
+
+  test('no altar when the spawn roll fails', () => {
+    const rng = { chance: () => false };
+    expect(generateRoomAltars(room, rng, 40)).toEqual([]);
+  });
+
+  test('same seed, same altar, in the middle band of the room', () => {
+    const a = generateRoomAltars(room, createRunRandom(42).altars, 40, { ...ALTAR_CONFIG, spawnChance: 1 });
+    const b = generateRoomAltars(room, createRunRandom(42).altars, 40, { ...ALTAR_CONFIG, spawnChance: 1 });
+    expect(a).toEqual(b);
+    expect(a).toHaveLength(1);
+    expect(a[0].y).toBeGreaterThanOrEqual(room.height * 0.25);
+    expect(a[0].y).toBeLessThanOrEqual(room.height * 0.65);
+    expect(Object.keys(ALTAR_CHALLENGES)).toContain(a[0].challengeId);
+  });
+
+  test('gives up when obstacles cover the room', () => {
+    const blocked = { ...room, obstacles: [{ x: 0, y: 0, width: 3000, height: 2400 }] };
+    const rng = createRunRandom(7).altars;
+    expect(generateRoomAltars(blocked, rng, 40, { ...ALTAR_CONFIG, spawnChance: 1 })).toEqual([]);
+  });
+});
+
+describe('toPublicAltar', () => {
+  test('adds the challenge texts', () => {
+    const altar = { id: 'altar-0', x: 1, y: 2, radius: 45, challengeId: 'kill_rush', state: 'idle' };
+    expect(toPublicAltar(altar)).toMatchObject({
+      id: 'altar-0',
+      state: 'idle',
+      name: ALTAR_CHALLENGES.kill_rush.name,
+      icon: ALTAR_CHALLENGES.kill_rush.icon
+    });
+  });
+});
+
+describe('AltarManager activation', () => {
+  test('standing on the altar for activationMs starts its challenge', () => {
+    const { io, gameState, manager } = setup('unhurt');
+    manager.update(0);
+    manager.update(ALTAR_CONFIG.activationMs - 1);
+    expect(manager.challenge).toBeNull();
+
+    manager.update(ALTAR_CONFIG.activationMs);
+
+    expect(gameState.altars[0].state).toBe('active');
+    expect(emitted(io, 'altarChallengeStarted')).toEqual([
+      expect.objectContaining({ altarId: 'altar-0', challengeId: 'unhurt', playerId: 'p1', durationMs: 30000, target: null })
+    ]);
+  });
+
+  test('stepping off resets the activation timer', () => {
+    const { gameState, manager } = setup('unhurt');
+    manager.update(0);
+    gameState.players.p1.x = 300;
+    manager.update(1000);
+    gameState.players.p1.x = 0;
+    manager.update(1200);
+    manager.update(1200 + ALTAR_CONFIG.activationMs - 1);
+    expect(manager.challenge).toBeNull();
+  });
+
+  test('downed players cannot activate', () => {
+    const { gameState, manager } = setup('unhurt');
+    gameState.players.p1.downed = true;
+    activate(manager);
+    expect(manager.challenge).toBeNull();
+  });
+
+  test('bot players cannot activate', () => {
+    const { gameState, manager } = setup('unhurt');
+    gameState.players.p1.isBot = true;
+    activate(manager);
+    expect(manager.challenge).toBeNull();
+  });
+});
+
+describe('AltarManager no_damage challenge', () => {
+  test('survived unhurt: gold for the challenger, reward effects for everyone', () => {
+    const { io, gameState, manager } = setup('unhurt');
+    activate(manager);
+    const start = ALTAR_CONFIG.activationMs;
+
+    manager.update(start + 30000);
+
+    expect(gameState.players.p1.gold).toBe(150);
+    expect(gameState.players.p2.gold).toBe(0);
+    expect(gameState.mutatorEffects.playerDamageMultiplier).toBeCloseTo(1.2);
+    expect(gameState.altars[0].state).toBe('spent');
+    expect(emitted(io, 'altarChallengeEnded')).toEqual([
+      expect.objectContaining({ success: true, reason: 'completed', gold: 150 })
+    ]);
+  });
+
+  test('a health drop fails it and applies the curse', () => {
+    const { io, gameState, manager } = setup('unhurt');
+    activate(manager);
+    gameState.players.p1.health = 90;
+
+    manager.update(ALTAR_CONFIG.activationMs + 100);
+
+    expect(gameState.players.p1.gold).toBe(0);
+    expect(gameState.mutatorEffects.zombieDamageMultiplier).toBeCloseTo(1.25);
+    expect(emitted(io, 'altarChallengeEnded')[0]).toMatchObject({ success: false, reason: 'damaged' });
+  });
+
+  test('healing does not count as damage', () => {
+    const { manager, gameState } = setup('unhurt');
+    gameState.players.p1.health = 80;
+    activate(manager);
+    gameState.players.p1.health = 95;
+    manager.update(ALTAR_CONFIG.activationMs + 100);
+    expect(manager.challenge).not.toBeNull();
+  });
+
+  test('curse effects expire with time', () => {
+    const { gameState, manager } = setup('unhurt');
+    activate(manager);
+    gameState.players.p1.health = 90;
+    const failedAt = ALTAR_CONFIG.activationMs + 100;
+    manager.update(failedAt);
+
+    manager.update(failedAt + 45000);
+
+    expect(gameState.mutatorEffects.zombieDamageMultiplier).toBe(1);
+  });
+});
+
+describe('AltarManager kills challenge', () => {
+  test('counts only the challenger kills and succeeds on the next tick', () => {
+    const { io, gameState, manager } = setup('rush');
+    activate(manager);
+
+    gameState.events.emit(GAME_EVENTS.ZOMBIE_KILLED, { playerId: 'p2' });
+    for (let i = 0; i < 3; i++) {
+      gameState.events.emit(GAME_EVENTS.ZOMBIE_KILLED, { playerId: 'p1' });
+    }
+    expect(emitted(io, 'altarChallengeProgress').map(p => p.kills)).toEqual([1, 2, 3]);
+
+    manager.update(ALTAR_CONFIG.activationMs + 16);
+
+    expect(gameState.players.p1.gold).toBe(120);
+    expect(emitted(io, 'altarChallengeEnded')[0]).toMatchObject({ success: true, effects: null });
+  });
+
+  test('fails at the deadline', () => {
+    const { io, gameState, manager } = setup('rush');
+    activate(manager);
+    gameState.events.emit(GAME_EVENTS.ZOMBIE_KILLED, { playerId: 'p1' });
+
+    manager.update(ALTAR_CONFIG.activationMs + 20000);
+
+    expect(gameState.mutatorEffects.spawnCountMultiplier).toBe(1.25);
+    expect(emitted(io, 'altarChallengeEnded')[0]).toMatchObject({ success: false, reason: 'timeout' });
+  });
+
+  test('fails when the challenger leaves or dies', () => {
+    const { io, gameState, manager } = setup('rush');
+    activate(manager);
+    delete gameState.players.p1;
+
+    manager.update(ALTAR_CONFIG.activationMs + 16);
+
+    expect(emitted(io, 'altarChallengeEnded')[0]).toMatchObject({ success: false, reason: 'player_down' });
+  });
+});
+
+describe('AltarManager reset / stop', () => {
+  test('reset drops the running challenge without outcome', () => {
+    const { io, gameState, manager } = setup('rush');
+    activate(manager);
+
+    manager.reset();
+
+    expect(manager.challenge).toBeNull();
+    expect(gameState.mutatorEffects.spawnCountMultiplier).toBe(1);
+    expect(emitted(io, 'altarChallengeEnded')[0]).toMatchObject({ reason: 'room_changed', gold: 0, effects: null });
+  });
+
+  test('stop unsubscribes from kills', () => {
+    const { io, gameState, manager } = setup('rush');
+    activate(manager);
+    manager.stop();
+    gameState.events.emit(GAME_EVENTS.ZOMBIE_KILLED, { playerId: 'p1' });
+    expect(emitted(io, 'altarChallengeProgress')).toEqual([]);
+  });
+});
+
+describe('validateAltarConfig', () => {
+  test('the shipped config is valid', () => {
+    expect(validateAltarConfig(ALTAR_CHALLENGES)).toEqual([]);
+  });
+
+  test('effect keys are the run mutator effect keys', () => {
+    expect(ALTAR_EFFECT_KEYS.sort()).toEqual(Object.keys(new RunMutatorManager({}, null).defaultEffects).sort());
+  });
+
+  test('rejects a kill challenge without target, unknown effects and missing durations', () => {
+    const errors = validateAltarConfig({
+      bad: {
+        name: 'Bad',
+        description: 'x',
+        icon: '?',
+        type: 'kills',
+        durationMs: 1000,
+        reward: { effects: { goldMultiplier: 2 } },
+        curse: { effects: { zombieDamageMultiplier: 1.2 } }
+      }
+    }).join('\n');
+    expect(errors).toMatch(/bad: "target" is required/);
+    expect(errors).toMatch(/"reward.effects.goldMultiplier" is not allowed/);
+    expect(errors).toMatch(/"curse.effectDurationMs" is required/);
+  });
+
+  test('rejects an empty challenge list', () => {
+    expect(validateAltarConfig({})).toEqual(['au moins un défi est requis']);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for lib/server/config/BossConfig.js
+ * Scripted boss files: Joi validation, phase ordering, merge into ZOMBIE_TYPES.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BOSS_DEFINITIONS,
+  validateBossDefinition,
+  loadBossDefinitions
+} = require('../../../lib/server/config/BossConfig');
+const { ZOMBIE_TYPES } = require('../../../lib/server/ConfigManager');
+
+function makeBoss(overrides = {}) {
+  return {
+    wave: 42,
+    stats: { name: 'TEST', health: 1000, speed: 1, damage: 10, xp: 10, gold: 10, size: 60, color: '#123456' },
+    phases: [
+      {
+        healthBelow: 1,
+        sequence: [{ use: 'pulse', params: { radius: 100, damage: 5 }, telegraph: 500, cooldown: 1000 }]
+      }
+    ],
+    ...overrides
+  };
+}
+
+describe('validateBossDefinition', () => {
+  test('applies defaults to a valid file', () => {
+    const { value, errors } = validateBossDefinition('bossTest', makeBoss());
+    expect(errors).toEqual([]);
+    expect(value.aggroRange).toBe(600);
+    expect(value.phases[0]).toMatchObject({ speedMultiplier: 1, damageMultiplier: 1, onEnter: [] });
+    expect(value.phases[0].sequence[0].params.pull).toBe(0);
+  });
+
+  test('rejects unknown primitives and bad params', () => {
+    const bad = makeBoss();
+    bad.phases[0].sequence = [
+      { use: 'nuke', params: {} },
+      { use: 'radialHazard', params: { hazard: 'lava', count: 3, distance: 10, radius: 10, damage: 1, duration: 100 } },
+      { use: 'coneStrike', params: { range: 200, arc: 270, damage: 10 }, telegraph: 500 }
+    ];
+    const { value, errors } = validateBossDefinition('bossTest', bad);
+    expect(value).toBeNull();
+    expect(errors.join('\n')).toMatch(/use/);
+    expect(errors.join('\n')).toMatch(/hazard/);
+    expect(errors.join('\n')).toMatch(/arc/);
+  });
+
+  test('requires decreasing HP thresholds starting at 1', () => {
+    const phases = [
+      { healthBelow: 0.9, sequence: [] },
+      { healthBelow: 0.95, sequence: [] }
+    ];
+    const { errors } = validateBossDefinition('bossTest', makeBoss({ phases }));
+    expect(errors).toEqual([
+      'bossTest: phases[0].healthBelow must be 1',
+      'bossTest: phases[1].healthBelow must be lower than the previous phase'
+    ]);
+  });
+
+  test('rejects a sequence that would cast every tick', () => {
+    const boss = makeBoss();
+    boss.phases[0].sequence[0].telegraph = 0;
+    boss.phases[0].sequence[0].cooldown = 0;
+    const { errors } = validateBossDefinition('bossTest', boss);
+    expect(errors).toEqual(['bossTest: phases[0].sequence needs a telegraph or cooldown somewhere']);
+  });
+});
+
+describe('loadBossDefinitions', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bosses-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys bosses by file name and refuses two bosses on one wave', () => {
+    fs.writeFileSync(path.join(dir, 'bossAlpha.json'), JSON.stringify(makeBoss()));
+    fs.writeFileSync(path.join(dir, 'bossBeta.json'), JSON.stringify(makeBoss()));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const { definitions, errors } = loadBossDefinitions(dir);
+    expect(Object.keys(definitions)).toEqual(['bossAlpha', 'bossBeta']);
+    expect(errors).toEqual(['bossBeta: wave 42 already belongs to bossAlpha']);
+  });
+
+  test('reports unparsable files', () => {
+    fs.writeFileSync(path.join(dir, 'bossBroken.json'), '{');
+    const { definitions, errors } = loadBossDefinitions(dir);
+    expect(definitions).toEqual({});
+    expect(errors[0]).toMatch(/^bossBroken: /);
+  });
+});
+
+describe('shipped boss files', () => {
+  test('are merged into ZOMBIE_TYPES as scripted bosses', () => {
+    expect(Object.keys(BOSS_DEFINITIONS).length).toBeGreaterThan(0);
+    for (const [key, def] of Object.entries(BOSS_DEFINITIONS)) {
+      expect(ZOMBIE_TYPES[key]).toMatchObject({ ...def.stats, isBoss: true, scripted: true, wave: def.wave });
+    }
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for lib/server/bots/BotBrain.js
+ * Focus: target choice, movement priorities (kite, revive, pickup, range, follow).
+ */
+
+const { decide, scanZombies, findPickup, wrapAngle } = require('../../../lib/server/bots/BotBrain');
+const { BOT_DIFFICULTIES } = require('../../../lib/server/config/BotConfig');
+
+const profile = BOT_DIFFICULTIES.normal; // engage 700, preferred 300, kite 150, pickup 300
+const options = { strafeDir: 1, followDistance: 160 };
+
+function makeState(extra = {}) {
+  const bot = { id: 'bot', x: 1000, y: 1000, alive: true, isBot: true };
+  return {
+    bot,
+    gameState: {
+      players: { bot, ...(extra.players || {}) },
+      zombies: extra.zombies || {},
+      loot: extra.loot || {},
+      powerups: extra.powerups || {}
+    }
+  };
+}
+
+describe('scanZombies', () => {
+  test('targets the closest zombie in range, bosses first', () => {
+    const { bot } = makeState();
+    const zombies = {
+      near: { x: 1100, y: 1000, health: 10 },
+      boss: { x: 1190, y: 1000, health: 500, isBoss: true },
+      far: { x: 1900, y: 1000, health: 10 }
+    };
+    const scan = scanZombies(bot, zombies, profile);
+    expect(scan.targetId).toBe('boss');
+    expect(scan.nearest).toBe(zombies.near);
+    delete zombies.boss;
+    delete zombies.near;
+    expect(scanZombies(bot, zombies, profile).targetId).toBeNull();
+  });
+});
+
+describe('decide', () => {
+  test('backs away from a zombie inside the kite distance', () => {
+    const { bot, gameState } = makeState({ zombies: { z: { x: 1100, y: 1000, health: 10 } } });
+    const decision = decide('bot', bot, gameState, profile, options);
+    expect(decision.targetId).toBe('z');
+    expect(decision.moveX).toBeLessThan(0);
+    expect(Math.hypot(decision.moveX, decision.moveY)).toBeCloseTo(1);
+  });
+
+  test('closes in beyond the preferred range and strafes within it', () => {
+    const far = makeState({ zombies: { z: { x: 1600, y: 1000, health: 10 } } });
+    expect(decide('bot', far.bot, far.gameState, profile, options)).toEqual({ targetId: 'z', moveX: 1, moveY: 0 });
+
+    const close = makeState({ zombies: { z: { x: 1250, y: 1000, health: 10 } } });
+    const strafe = decide('bot', close.bot, close.gameState, profile, options);
+    expect(strafe.moveX).toBeCloseTo(0);
+    expect(Math.abs(strafe.moveY)).toBeCloseTo(1);
+  });
+
+  test('goes to a downed teammate before anything but a close zombie', () => {
+    const { bot, gameState } = makeState({
+      players: { mate: { x: 1000, y: 600, alive: true, downed: true } },
+      zombies: { z: { x: 1600, y: 1000, health: 10 } },
+      loot: { l: { x: 1050, y: 1000 } }
+    });
+    expect(decide('bot', bot, gameState, profile, options)).toEqual({ targetId: 'z', moveX: 0, moveY: -1 });
+
+    // Standing next to them: stay put while the revive fills
+    gameState.players.mate.y = 980;
+    expect(decide('bot', bot, gameState, profile, options)).toMatchObject({ moveX: 0, moveY: 0 });
+  });
+
+  test('picks up loot and powerups within the pickup radius', () => {
+    const { bot, gameState } = makeState({ powerups: { p: { x: 1000, y: 1200 } }, loot: { l: { x: 1400, y: 1000 } } });
+    expect(decide('bot', bot, gameState, profile, options)).toMatchObject({ moveX: 0, moveY: 1 });
+    expect(findPickup(bot, gameState, 100)).toBeNull();
+  });
+
+  test('follows the closest human with nothing to fight', () => {
+    const { bot, gameState } = makeState({
+      players: {
+        human: { x: 1000, y: 1400, alive: true, hasNickname: true },
+        otherBot: { x: 1000, y: 1100, alive: true, hasNickname: true, isBot: true }
+      }
+    });
+    expect(decide('bot', bot, gameState, profile, options)).toEqual({ targetId: null, moveX: 0, moveY: 1 });
+    gameState.players.human.y = 1100;
+    expect(decide('bot', bot, gameState, profile, options)).toEqual({ targetId: null, moveX: 0, moveY: 0 });
+  });
+
+  test('a downed bot crawls but does not shoot', () => {
+    const { bot, gameState } = makeState({ zombies: { z: { x: 1600, y: 1000, health: 10 } } });
+    bot.downed = true;
+    expect(decide('bot', bot, gameState, profile, options).targetId).toBeNull();
+  });
+});
+
+test('wrapAngle keeps angles within [-PI, PI]', () => {
+  expect(wrapAngle(Math.PI + 0.1)).toBeCloseTo(-Math.PI + 0.1);
+  expect(wrapAngle(-0.5)).toBeCloseTo(-0.5);
+});
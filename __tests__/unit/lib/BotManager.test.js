@@ -0,0 +1,205 @@
+/**
+ * Unit tests for lib/server/bots/BotManager.js and lib/server/config/BotConfig.js
+ * Focus: filling / draining the instance, acting through the real socket
+ * handlers (nickname, move, shoot, respawn, upgrade), config validation.
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const BotManager = require('../../../lib/server/bots/BotManager');
+const { BOT_CONFIG, BOT_DIFFICULTIES, validateBotConfig } = require('../../../lib/server/config/BotConfig');
+const { initializeGameState } = require('../../../game/gameState');
+const { createRunRandom } = require('../../../lib/runPRNG');
+const { cleanupRateLimits } = require('../../../sockets/rateLimitStore');
+
+const config = { ...BOT_CONFIG, fillTo: 3, maxBots: 3, respawnDelayMs: 1000 };
+
+function setup(options = {}) {
+  const gameState = initializeGameState();
+  gameState.instanceId = 'test';
+  gameState.rng = createRunRandom(1);
+  const deps = {
+    io: { emit: jest.fn(), to: () => ({ emit: jest.fn() }) },
+    entityManager: { createBullet: jest.fn(), destroyBullet: jest.fn() },
+    roomManager: { checkWallCollision: () => false },
+    networkManager: { cleanupPlayer: jest.fn() },
+    maxPlayers: options.maxPlayers || 8
+  };
+  const manager = new BotManager(gameState, deps, {
+    config,
+    difficulty: 'hard',
+    movementMode: options.movementMode || 'position'
+  });
+  return { gameState, deps, manager };
+}
+
+function addHuman(gameState, id, extra = {}) {
+  gameState.players[id] = { id, x: 1500, y: 1500, alive: true, hasNickname: true, nickname: id, ...extra };
+}
+
+function onlyBot(gameState) {
+  return Object.values(gameState.players).find(p => p.isBot);
+}
+
+afterEach(() => {
+  for (let i = 1; i <= 5; i++) {
+    cleanupRateLimits(`bot-test-${i}`);
+  }
+});
+
+describe('reconcile', () => {
+  test('no humans, no bots', () => {
+    const { gameState, manager } = setup();
+    manager.reconcile();
+    expect(manager.getBotCount()).toBe(0);
+    expect(gameState.players).toEqual({});
+  });
+
+  test('fills up to fillTo players with nicknamed bots', async () => {
+    const { gameState, deps, manager } = setup();
+    addHuman(gameState, 'h1');
+    manager.reconcile();
+
+    const bots = Object.values(gameState.players).filter(p => p.isBot);
+    expect(bots).toHaveLength(2);
+    for (const bot of bots) {
+      expect(bot.hasNickname).toBe(true);
+      expect(bot.accountId).toBeNull();
+      expect(config.names).toContain(bot.nickname);
+    }
+    expect(bots[0].nickname).not.toBe(bots[1].nickname);
+    // The nickname broadcast follows the handler's account lookup
+    await new Promise(resolve => setImmediate(resolve));
+    expect(deps.io.emit).toHaveBeenCalledWith('playerNicknameSet', expect.objectContaining({ nickname: bots[0].nickname }));
+  });
+
+  test('bots leave, newest first, as humans join and when the last one leaves', () => {
+    const { gameState, deps, manager } = setup();
+    addHuman(gameState, 'h1');
+    manager.reconcile();
+    // A human in the nickname screen already holds a slot
+    addHuman(gameState, 'h2', { hasNickname: false, nickname: null });
+    manager.reconcile();
+    expect(Object.keys(gameState.players)).toEqual(['h1', 'bot-test-1', 'h2']);
+    expect(deps.networkManager.cleanupPlayer).toHaveBeenCalledWith('bot-test-2');
+
+    delete gameState.players.h1;
+    delete gameState.players.h2;
+    manager.reconcile();
+    expect(gameState.players).toEqual({});
+  });
+
+  test('never takes more than the free slots or maxBots', () => {
+    const full = setup({ maxPlayers: 2 });
+    addHuman(full.gameState, 'h1');
+    full.manager.reconcile();
+    expect(full.manager.getBotCount()).toBe(1);
+
+    const capped = setup();
+    capped.manager.config = { ...config, fillTo: 8, maxBots: 2 };
+    addHuman(capped.gameState, 'h1');
+    capped.manager.reconcile();
+    expect(capped.manager.getBotCount()).toBe(2);
+  });
+
+  test('forgets bots evicted by the heartbeat', () => {
+    const { gameState, manager } = setup();
+    addHuman(gameState, 'h1');
+    manager.reconcile();
+    delete gameState.players['bot-test-1'];
+    manager.reconcile();
+    expect(manager.getBotCount()).toBe(2);
+    expect(manager.bots.has('bot-test-1')).toBe(false);
+  });
+
+  test('stop removes every bot', () => {
+    const { gameState, manager } = setup();
+    addHuman(gameState, 'h1');
+    manager.reconcile();
+    manager.stop();
+    expect(Object.keys(gameState.players)).toEqual(['h1']);
+  });
+});
+
+describe('update', () => {
+  function setupWithBot(options) {
+    const ctx = setup(options);
+    ctx.manager.config = { ...config, fillTo: 2 };
+    addHuman(ctx.gameState, 'h1', { x: 2900, y: 100 });
+    ctx.manager.reconcile();
+    const bot = onlyBot(ctx.gameState);
+    bot.x = 1000;
+    bot.y = 1000;
+    bot.spawnProtection = false;
+    return { ...ctx, bot };
+  }
+
+  test('moves and shoots at a zombie in range through the handlers', () => {
+    const { gameState, deps, manager, bot } = setupWithBot();
+    gameState.zombies.z = { id: 'z', x: 1500, y: 1000, health: 50 };
+    const now = Date.now();
+    manager._nextReconcileAt = Infinity;
+    manager.update(now);
+    manager.update(now + 60);
+
+    expect(bot.x).toBeGreaterThan(1000);
+    expect(Math.abs(bot.angle)).toBeLessThanOrEqual(BOT_DIFFICULTIES.hard.aimError);
+    expect(deps.entityManager.createBullet).toHaveBeenCalledWith(expect.objectContaining({ playerId: bot.id }));
+  });
+
+  test('sends input frames in input mode', () => {
+    const { gameState, manager, bot } = setupWithBot({ movementMode: 'input' });
+    gameState.zombies.z = { id: 'z', x: 1000, y: 1600, health: 50 };
+    const now = Date.now();
+    manager._nextReconcileAt = Infinity;
+    manager.update(now);
+    manager.update(now + 60);
+    expect(bot.lastInputSeq).toBe(1);
+    expect(bot.y).toBeGreaterThan(1000);
+  });
+
+  test('picks a pending level-up upgrade', () => {
+    const { manager, bot } = setupWithBot();
+    bot.pendingUpgradeChoices = [['damageBoost', 'healthBoost']];
+    bot.invisible = true;
+    manager._nextReconcileAt = Infinity;
+    manager.update(Date.now());
+    expect(bot.pendingUpgradeChoices).toEqual([]);
+    expect(bot.invisible).toBe(false);
+  });
+
+  test('respawns after the delay and picks its nickname again', () => {
+    const { manager, bot } = setupWithBot();
+    const nickname = bot.nickname;
+    bot.alive = false;
+    const now = Date.now();
+    manager._nextReconcileAt = Infinity;
+    manager.update(now);
+    manager.update(now + 500);
+    expect(bot.alive).toBe(false);
+    manager.update(now + 1000);
+    expect(bot.alive).toBe(true);
+    expect(bot.hasNickname).toBe(true);
+    expect(bot.nickname).toBe(nickname);
+  });
+});
+
+describe('validateBotConfig', () => {
+  test('the shipped config is valid', () => {
+    expect(validateBotConfig(BOT_CONFIG, BOT_DIFFICULTIES)).toEqual([]);
+  });
+
+  test('rejects bad values, unknown difficulties and kiting beyond the preferred range', () => {
+    const errors = validateBotConfig(
+      { ...BOT_CONFIG, fillTo: -1, shootIntervalMs: 50, difficulty: 'insane', names: ['B@d'] },
+      { easy: { ...BOT_DIFFICULTIES.easy, kiteDistance: 400 } }
+    ).join('\n');
+    expect(errors).toMatch(/"fillTo" must be greater than or equal to 0/);
+    expect(errors).toMatch(/"shootIntervalMs" must be greater than or equal to 100/);
+    expect(errors).toMatch(/"names\[0\]"/);
+    expect(errors).toMatch(/easy: kiteDistance doit être inférieur à preferredRange/);
+    expect(errors).toMatch(/difficulté inconnue : insane/);
+  });
+});
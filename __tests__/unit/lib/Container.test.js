@@ -28,12 +28,21 @@ jest.mock('../../../lib/infrastructure/repositories/SQLiteProgressionRepository'
 jest.mock('../../../lib/infrastructure/repositories/SQLiteAchievementRepository', () =>
   jest.fn().mockImplementation(() => ({ _type: 'achievementRepository' }))
 );
+jest.mock('../../../lib/infrastructure/repositories/SQLiteRunRecordRepository', () =>
+  jest.fn().mockImplementation(() => ({ _type: 'runRecordRepository' }))
+);
+jest.mock('../../../lib/infrastructure/repositories/SQLiteAntiCheatRepository', () =>
+  jest.fn().mockImplementation(() => ({ _type: 'antiCheatRepository' }))
+);
 jest.mock('../../../lib/application/AccountProgressionService', () =>
   jest.fn().mockImplementation(() => ({ _type: 'accountProgressionService' }))
 );
 jest.mock('../../../lib/application/AchievementService', () =>
   jest.fn().mockImplementation(() => ({ _type: 'achievementService' }))
 );
+jest.mock('../../../lib/application/RunRecordService', () =>
+  jest.fn().mockImplementation(() => ({ _type: 'runRecordService' }))
+);
 jest.mock('../../../lib/application/use-cases/CreatePlayerUseCase', () =>
   jest.fn().mockImplementation(() => ({ _type: 'createPlayerUseCase' }))
 );
@@ -89,12 +98,18 @@ beforeEach(() => {
   jest.mock('../../../lib/infrastructure/repositories/SQLiteAchievementRepository', () =>
     jest.fn().mockImplementation(() => ({ _type: 'achievementRepository' }))
   );
+  jest.mock('../../../lib/infrastructure/repositories/SQLiteRunRecordRepository', () =>
+    jest.fn().mockImplementation(() => ({ _type: 'runRecordRepository' }))
+  );
   jest.mock('../../../lib/application/AccountProgressionService', () =>
     jest.fn().mockImplementation(() => ({ _type: 'accountProgressionService' }))
   );
   jest.mock('../../../lib/application/AchievementService', () =>
     jest.fn().mockImplementation(() => ({ _type: 'achievementService' }))
   );
+  jest.mock('../../../lib/application/RunRecordService', () =>
+    jest.fn().mockImplementation(() => ({ _type: 'runRecordService' }))
+  );
   jest.mock('../../../lib/application/use-cases/CreatePlayerUseCase', () =>
     jest.fn().mockImplementation(() => ({ _type: 'createPlayerUseCase' }))
   );
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for lib/server/DailyChallengeIntegration.js and the GameEventBus it listens to
+ *
+ * Mocks: dailyChallengeService, io, Logger (infra)
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const logger = require('../../../infrastructure/logging/Logger');
+const DailyChallengeIntegration = require('../../../lib/server/DailyChallengeIntegration');
+const { GameEventBus, GAME_EVENTS, publishZombieKill, publishPlayerDamage } = require('../../../lib/server/GameEventBus');
+
+function makeSetup(applyEvent = jest.fn(() => [])) {
+  const socketEmit = jest.fn();
+  const io = { to: jest.fn(() => ({ emit: socketEmit })) };
+  const gameState = {
+    wave: 3,
+    events: new GameEventBus(),
+    players: {
+      s1: { id: 's1', alive: true, accountId: 'acc-1' },
+      s2: { id: 's2', alive: false, accountId: 'acc-2' },
+      s3: { id: 's3', alive: true, accountId: null }
+    }
+  };
+  const service = { applyEvent };
+  const integration = new DailyChallengeIntegration({ get: () => service }, io, gameState, { flushIntervalMs: 60000 });
+  return { integration, gameState, service, io, socketEmit };
+}
+
+describe('GameEventBus', () => {
+  test('a throwing listener does not stop the others', () => {
+    const bus = new GameEventBus();
+    const second = jest.fn();
+    bus.on('x', () => {
+      throw new Error('boom');
+    });
+    bus.on('x', second);
+    bus.emit('x', { a: 1 });
+    expect(second).toHaveBeenCalledWith({ a: 1 });
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test('publishZombieKill adds a boss kill and skips unknown killers', () => {
+    const gameState = { wave: 4, events: new GameEventBus() };
+    const kills = jest.fn();
+    const bosses = jest.fn();
+    gameState.events.on(GAME_EVENTS.ZOMBIE_KILLED, kills);
+    gameState.events.on(GAME_EVENTS.BOSS_KILLED, bosses);
+
+    publishZombieKill(gameState, 's1', { type: 'bossCharnier', isBoss: true });
+    publishZombieKill(gameState, null, { type: 'fast' });
+
+    expect(kills).toHaveBeenCalledTimes(1);
+    expect(kills).toHaveBeenCalledWith({ playerId: 's1', zombieType: 'bossCharnier', isBoss: true, wave: 4 });
+    expect(bosses).toHaveBeenCalledWith({ playerId: 's1', zombieType: 'bossCharnier', wave: 4 });
+  });
+
+  test('publishPlayerDamage skips damage that did not land', () => {
+    const gameState = { events: new GameEventBus() };
+    const damaged = jest.fn();
+    gameState.events.on(GAME_EVENTS.PLAYER_DAMAGED, damaged);
+
+    publishPlayerDamage(gameState, 's1', 12);
+    publishPlayerDamage(gameState, 's1', 0);
+    publishPlayerDamage(gameState, null, 5);
+    publishPlayerDamage({}, 's1', 5);
+
+    expect(damaged).toHaveBeenCalledTimes(1);
+    expect(damaged).toHaveBeenCalledWith({ playerId: 's1', damage: 12 });
+  });
+});
+
+describe('DailyChallengeIntegration', () => {
+  let setup;
+
+  afterEach(() => {
+    setup.integration.stop();
+  });
+
+  test('batches kills per account until flush', () => {
+    setup = makeSetup();
+    const { integration, gameState, service } = setup;
+    publishZombieKill(gameState, 's1', { type: 'fast' });
+    publishZombieKill(gameState, 's1', { type: 'fast' });
+    publishZombieKill(gameState, 's1', { type: 'tank' });
+    publishZombieKill(gameState, 's3', { type: 'fast' }); // anonymous
+    expect(service.applyEvent).not.toHaveBeenCalled();
+
+    integration.flush();
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'zombies_killed', 3, {});
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'zombies_killed_type', 2, { zombieType: 'fast' });
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'zombies_killed_type', 1, { zombieType: 'tank' });
+    expect(service.applyEvent).toHaveBeenCalledTimes(3);
+  });
+
+  test('boss kills, cleared waves and deaths map to their challenge types', () => {
+    setup = makeSetup();
+    const { integration, gameState, service } = setup;
+    gameState.events.emit(GAME_EVENTS.BOSS_KILLED, { playerId: 's1', zombieType: 'boss', wave: 3 });
+    gameState.events.emit(GAME_EVENTS.WAVE_COMPLETED, { wave: 3 });
+    gameState.events.emit(GAME_EVENTS.PLAYER_DIED, { playerId: 's2', accountId: 'acc-2', level: 7, wave: 3, goldEarned: 0 });
+    gameState.events.emit(GAME_EVENTS.PLAYER_DIED, { playerId: 's2', accountId: 'acc-2', level: 5, wave: 3, goldEarned: 400 });
+    integration.flush();
+
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'bosses_defeated', 1, {});
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'waves_survived', 1, {});
+    expect(service.applyEvent).not.toHaveBeenCalledWith('acc-2', 'waves_survived', expect.anything(), expect.anything());
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-2', 'reach_level', 7, {});
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-2', 'gold_earned', 400, {});
+  });
+
+  test('critical hits count per account', () => {
+    setup = makeSetup();
+    const { integration, gameState, service } = setup;
+    gameState.events.emit(GAME_EVENTS.CRITICAL_HIT, { playerId: 's1' });
+    gameState.events.emit(GAME_EVENTS.CRITICAL_HIT, { playerId: 's1' });
+    gameState.events.emit(GAME_EVENTS.CRITICAL_HIT, { playerId: 's3' }); // anonymous
+    integration.flush();
+
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'critical_hits', 2, {});
+    expect(service.applyEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('a wave cleared without a shop purchase since the last one counts as no_shop_purchase', () => {
+    setup = makeSetup();
+    const { integration, gameState, service } = setup;
+    gameState.players.s4 = { id: 's4', alive: true, accountId: 'acc-4' };
+    gameState.events.emit(GAME_EVENTS.SHOP_PURCHASE, { playerId: 's1', itemId: 'damage', category: 'permanent' });
+    gameState.events.emit(GAME_EVENTS.WAVE_COMPLETED, { wave: 3 });
+    integration.flush();
+
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-4', 'no_shop_purchase', 1, {});
+    expect(service.applyEvent).not.toHaveBeenCalledWith('acc-1', 'no_shop_purchase', expect.anything(), expect.anything());
+
+    // The purchase only spoils the wave it happened in
+    service.applyEvent.mockClear();
+    gameState.events.emit(GAME_EVENTS.WAVE_COMPLETED, { wave: 4 });
+    integration.flush();
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'no_shop_purchase', 1, {});
+  });
+
+  test('the damage-free streak of living players is queued in whole steps as no_damage_time', () => {
+    setup = makeSetup();
+    const { integration, service } = setup;
+    integration.checkNoDamage(0);
+    integration.checkNoDamage(29000);
+    integration.flush();
+    expect(service.applyEvent).not.toHaveBeenCalled();
+
+    integration.checkNoDamage(65000);
+    integration.checkNoDamage(70000);
+    integration.flush();
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'no_damage_time', 60, {});
+    expect(service.applyEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('taking damage, dying or going down restarts the damage-free streak', () => {
+    setup = makeSetup();
+    const { integration, gameState, service } = setup;
+    integration.checkNoDamage(0);
+    integration.checkNoDamage(40000);
+    integration.flush();
+    expect(service.applyEvent).toHaveBeenLastCalledWith('acc-1', 'no_damage_time', 30, {});
+
+    service.applyEvent.mockClear();
+    publishPlayerDamage(gameState, 's1', 8);
+    integration.checkNoDamage(50000);
+    integration.checkNoDamage(70000);
+    integration.flush();
+    expect(service.applyEvent).not.toHaveBeenCalled();
+
+    gameState.players.s1.downed = true;
+    integration.checkNoDamage(75000);
+    gameState.players.s1.downed = false;
+    integration.checkNoDamage(80000);
+    integration.checkNoDamage(105000);
+    integration.flush();
+    expect(service.applyEvent).not.toHaveBeenCalled();
+  });
+
+  test('pushes completed challenges to the player socket', () => {
+    setup = makeSetup(jest.fn(() => [
+      { challengeId: 'kill_50_zombies', progress: 50, target: 50, reward: { gems: 10 }, completed: true, justCompleted: true },
+      { challengeId: 'other', progress: 2, target: 10, reward: {}, completed: false, justCompleted: false }
+    ]));
+    const { integration, gameState, io, socketEmit } = setup;
+    gameState.events.emit(GAME_EVENTS.BOSS_KILLED, { playerId: 's1' });
+    integration.flush();
+
+    expect(io.to).toHaveBeenCalledWith('s1');
+    expect(socketEmit).toHaveBeenCalledTimes(1);
+    expect(socketEmit).toHaveBeenCalledWith('dailyChallengeCompleted', {
+      challengeId: 'kill_50_zombies', progress: 50, target: 50, reward: { gems: 10 }
+    });
+  });
+
+  test('a failing service call is logged and the batch continues', () => {
+    setup = makeSetup(jest.fn(() => {
+      throw new Error('SQLITE_BUSY');
+    }));
+    const { integration, gameState, service } = setup;
+    publishZombieKill(gameState, 's1', { type: 'fast' });
+    expect(() => integration.flush()).not.toThrow();
+    expect(service.applyEvent).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith('Failed to apply daily challenge progress', expect.any(Object));
+  });
+
+  test('stop flushes pending progress and detaches from the bus', () => {
+    setup = makeSetup();
+    const { integration, gameState, service } = setup;
+    publishZombieKill(gameState, 's1', { type: 'fast' });
+    integration.stop();
+    expect(service.applyEvent).toHaveBeenCalledTimes(2);
+
+    publishZombieKill(gameState, 's1', { type: 'fast' });
+    integration.flush();
+    expect(service.applyEvent).toHaveBeenCalledTimes(2);
+  });
+});
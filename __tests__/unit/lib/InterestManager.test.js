@@ -0,0 +1,183 @@
+'use strict';
+
+const DeltaBuilder = require('../../../lib/server/network/DeltaBuilder');
+const InterestManager = require('../../../lib/server/network/InterestManager');
+
+function makeState(players, zombies = {}) {
+  return {
+    players,
+    zombies,
+    bullets: {},
+    particles: {},
+    poisonTrails: {},
+    explosions: {},
+    powerups: {},
+    loot: {},
+    wave: 1,
+    currentRoom: 0,
+    bossSpawned: false,
+    walls: []
+  };
+}
+
+// Default viewport 1920×1080 + 400 margin → visible half-extents 1360 × 940
+const PLAYER = { id: 'p1', x: 1000, y: 1000, health: 100 };
+
+function setup(zombies) {
+  const builder = new DeltaBuilder();
+  const interest = new InterestManager(builder);
+  const state = makeState({ p1: PLAYER }, zombies);
+  return { builder, interest, state };
+}
+
+/** Run one broadcast tick: shared delta → per-socket delta. */
+function tick(builder, interest, state, prev, socketId = 'p1') {
+  interest.beginTick();
+  const shared = builder.calculateDelta(state, prev);
+  return interest.buildSocketDelta(socketId, state, shared);
+}
+
+describe('InterestManager', () => {
+  test('keyframe only contains entities inside viewport + margin', () => {
+    const { interest, state } = setup({
+      near: { id: 'near', x: 1200, y: 1100, type: 'normal' },
+      far: { id: 'far', x: 2500, y: 1000, type: 'normal' }
+    });
+
+    expect(interest.needsKeyframe('p1')).toBe(true);
+    const visible = interest.buildVisibleState('p1', state);
+
+    expect(Object.keys(visible.zombies)).toEqual(['near']);
+    expect(interest.needsKeyframe('p1')).toBe(false);
+  });
+
+  test('entity entering the view is sent with its static fields', () => {
+    const { builder, interest, state } = setup({
+      z1: { id: 'z1', x: 2500, y: 1000, type: 'tank', maxHealth: 300, health: 300 }
+    });
+    interest.buildVisibleState('p1', state);
+    const prev = builder.cloneState(state);
+
+    state.zombies.z1 = { ...state.zombies.z1, x: 2300 };
+    const delta = tick(builder, interest, state, prev);
+
+    expect(delta.updated.zombies.z1).toEqual(expect.objectContaining({
+      _new: true, type: 'tank', maxHealth: 300, x: 2300
+    }));
+  });
+
+  test('entity leaving the view is sent as a removal, then ignored', () => {
+    const { builder, interest, state } = setup({ z1: { id: 'z1', x: 1200, y: 1000 } });
+    interest.buildVisibleState('p1', state);
+    let prev = builder.cloneState(state);
+
+    state.zombies.z1 = { ...state.zombies.z1, x: 2500 };
+    const delta = tick(builder, interest, state, prev);
+    expect(delta.removed.zombies).toEqual(['z1']);
+    expect(delta.updated.zombies).toEqual({});
+
+    prev = builder.cloneState(state);
+    state.zombies.z1 = { ...state.zombies.z1, x: 2600 };
+    expect(tick(builder, interest, state, prev)).toBeNull();
+  });
+
+  test('world removal is only forwarded to sockets that could see the entity', () => {
+    const { builder, interest, state } = setup({
+      near: { id: 'near', x: 1100, y: 1000 },
+      far: { id: 'far', x: 4000, y: 4000 }
+    });
+    interest.buildVisibleState('p1', state);
+    const prev = builder.cloneState(state);
+
+    delete state.zombies.near;
+    delete state.zombies.far;
+    const delta = tick(builder, interest, state, prev);
+
+    expect(delta.removed.zombies).toEqual(['near']);
+  });
+
+  test('players are never culled', () => {
+    const builder = new DeltaBuilder();
+    const interest = new InterestManager(builder);
+    const state = makeState({ p1: PLAYER, p2: { id: 'p2', x: 9000, y: 9000, health: 100 } });
+    interest.buildVisibleState('p1', state);
+    const prev = builder.cloneState(state);
+
+    state.players.p2 = { ...state.players.p2, x: 9050 };
+    const delta = tick(builder, interest, state, prev);
+
+    expect(delta.updated.players.p2).toEqual(expect.objectContaining({ x: 9050 }));
+  });
+
+  test('reported viewport is clamped and widens the view', () => {
+    const { interest, state } = setup({ z1: { id: 'z1', x: 2500, y: 1000 } });
+    interest.setViewport('p1', 99999, 99999);
+    const rect = interest.getViewRect('p1', state.players);
+    expect(rect.maxX - rect.minX).toBe(2560 + 2 * InterestManager.AOI_MARGIN);
+    expect(Object.keys(interest.buildVisibleState('p1', state).zombies)).toEqual(['z1']);
+
+    interest.setViewport('p1', 'junk', NaN);
+    expect(interest.getViewRect('p1', state.players).maxX).toBe(1000 + 960 + InterestManager.AOI_MARGIN);
+  });
+
+  test('spectator follows its camera target and sees everything in free camera', () => {
+    const builder = new DeltaBuilder();
+    const interest = new InterestManager(builder);
+    const state = makeState(
+      { p1: PLAYER, p2: { id: 'p2', x: 5000, y: 5000 } },
+      { byP1: { id: 'byP1', x: 1000, y: 1000 }, byP2: { id: 'byP2', x: 5000, y: 5000 } }
+    );
+    interest.addSpectator('spec');
+
+    expect(Object.keys(interest.buildVisibleState('spec', state).zombies)).toEqual(['byP1', 'byP2']);
+
+    interest.setCameraTarget('spec', 'p2');
+    expect(Object.keys(interest.buildVisibleState('spec', state).zombies)).toEqual(['byP2']);
+    expect(interest.getSpectatorIds()).toEqual(['spec']);
+  });
+
+  test('free camera culls around the reported position and following clears it', () => {
+    const interest = new InterestManager(new DeltaBuilder());
+    const state = makeState(
+      { p1: PLAYER },
+      { byP1: { id: 'byP1', x: 1000, y: 1000 }, byCam: { id: 'byCam', x: 9000, y: 9000 } }
+    );
+    interest.addSpectator('spec');
+
+    interest.setCameraPosition('spec', 9000, 9000);
+    expect(Object.keys(interest.collectVisible('spec', state).zombies)).toEqual(['byCam']);
+
+    interest.setCameraTarget('spec', 'p1');
+    expect(interest.getCameraTarget('spec')).toBe('p1');
+    expect(Object.keys(interest.collectVisible('spec', state).zombies)).toEqual(['byP1']);
+
+    interest.setCameraPosition('spec', 'junk', 0);
+    expect(interest.getCameraTarget('spec')).toBeNull();
+    expect(interest.getViewRect('spec', state.players)).toBeNull();
+  });
+
+  test('players that have not joined yet are not culled', () => {
+    const builder = new DeltaBuilder();
+    const interest = new InterestManager(builder);
+    const state = makeState(
+      { p1: { ...PLAYER, hasNickname: false } },
+      { far: { id: 'far', x: 8000, y: 8000 } }
+    );
+    expect(interest.buildVisibleState('p1', state).zombies).toHaveProperty('far');
+  });
+
+  test('resync and cleanup drop the baseline', () => {
+    const { interest, state } = setup({});
+    interest.buildVisibleState('p1', state);
+    interest.resyncSocket('p1');
+    expect(interest.needsKeyframe('p1')).toBe(true);
+
+    interest.buildVisibleState('p1', state);
+    interest.resetVisibility();
+    expect(interest.needsKeyframe('p1')).toBe(true);
+
+    interest.addSpectator('spec');
+    interest.cleanupSocket('spec');
+    expect(interest.getSpectatorIds()).toEqual([]);
+  });
+});
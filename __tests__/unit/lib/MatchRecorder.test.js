@@ -0,0 +1,194 @@
+'use strict';
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MatchRecorder = require('../../../lib/server/replay/MatchRecorder');
+const ReplayStore = require('../../../lib/server/replay/ReplayStore');
+
+function makeState(overrides = {}) {
+  return {
+    players: { p1: { id: 'p1', nickname: 'Alice', hasNickname: true, x: 100, y: 100, angle: 0, health: 100 } },
+    zombies: {},
+    bullets: {},
+    particles: {},
+    poisonTrails: {},
+    explosions: {},
+    powerups: {},
+    loot: {},
+    wave: 1,
+    walls: [{ x: 0, y: 0, width: 10, height: 10 }],
+    currentRoom: 0,
+    bossSpawned: false,
+    ...overrides
+  };
+}
+
+describe('MatchRecorder', () => {
+  let dir;
+  let store;
+
+  function makeRecorder(overrides = {}) {
+    return new MatchRecorder({
+      instanceId: 'default',
+      instanceName: 'Public',
+      isPrivate: false,
+      seed: 42,
+      store,
+      recordIntervalMs: 50,
+      keyframeIntervalMs: 200,
+      minDurationMs: 100,
+      maxDurationMs: 60000,
+      ...overrides
+    });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    store = new ReplayStore({ dir, maxReplays: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('test_capture_withoutPlayingPlayers_doesNotRecord', () => {
+    const recorder = makeRecorder();
+    recorder.capture(makeState({ players: { p1: { hasNickname: false, x: 0, y: 0 } } }), 1000);
+    expect(recorder.isRecording()).toBe(false);
+  });
+
+  test('test_match_isSavedWhenLastPlayerLeaves_andSeekable', async () => {
+    const recorder = makeRecorder();
+    const state = makeState();
+    for (let t = 0; t <= 500; t += 25) {
+      state.players.p1.x = 100 + t;
+      state.wave = t >= 300 ? 2 : 1;
+      state.zombies = t === 100 ? { z1: { id: 'z1', x: 5, y: 5, health: 10 } } : {};
+      recorder.capture(state, 1000 + t);
+    }
+    expect(recorder.isRecording()).toBe(true);
+
+    recorder.capture(makeState({ players: {} }), 1600);
+    expect(recorder.isRecording()).toBe(false);
+    expect(await recorder.finish()).toBeNull(); // already finished by the empty capture
+
+    await recorder.settled();
+    const [saved] = store.list();
+    expect(saved).toEqual(expect.objectContaining({
+      instanceId: 'default', seed: 42, startedAt: 1000, durationMs: 500,
+      endReason: 'empty', maxWave: 2, players: ['Alice'], keyframes: [0, 200, 400]
+    }));
+    expect(fs.existsSync(store.filePath(saved.id))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'))[0].id).toBe(saved.id);
+
+    const replay = await store.load(saved.id);
+    expect(replay.header).toEqual(expect.objectContaining({ id: saved.id, seed: 42, startedAt: 1000 }));
+    expect(replay.frames[0].k).toBe(1);
+
+    const atZombie = await store.seek(saved.id, 120);
+    expect(atZombie.state.zombies.z1).toBeDefined();
+    expect(atZombie.state.players.p1.x).toBe(200);
+
+    const atEnd = await store.seek(saved.id, 10000);
+    expect(atEnd.keyframeT).toBe(400);
+    expect(atEnd.state.players.p1.x).toBe(600);
+    expect(atEnd.state.zombies).toEqual({});
+    expect(atEnd.state.wave).toBe(2);
+  });
+
+  test('test_finish_discardsMatchesShorterThanMinDuration', async () => {
+    const recorder = makeRecorder();
+    recorder.capture(makeState(), 1000);
+    recorder.capture(makeState(), 1050);
+    expect(await recorder.finish()).toBeNull();
+    expect(store.list()).toEqual([]);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('test_capture_rollsOverAfterMaxDuration', async () => {
+    const recorder = makeRecorder({ maxDurationMs: 300 });
+    const state = makeState();
+    for (let t = 0; t <= 550; t += 50) {
+      state.players.p1.x = t;
+      recorder.capture(state, t);
+    }
+    const last = await recorder.finish('stopped');
+    await recorder.settled();
+    expect(last).toEqual(expect.objectContaining({ startedAt: 300, durationMs: 250, endReason: 'stopped' }));
+    expect(store.list().map(e => e.endReason)).toEqual(['stopped', 'maxDuration']);
+  });
+
+  test('test_store_prunesOldestBeyondMaxReplays', async () => {
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const recorder = makeRecorder();
+      recorder.capture(makeState(), 0);
+      recorder.capture(makeState({ wave: 2 }), 150);
+      ids.push((await recorder.finish()).id);
+    }
+    expect(store.list().map(e => e.id)).toEqual([ids[2], ids[1]]);
+    expect(fs.existsSync(store.filePath(ids[0]))).toBe(false);
+
+    const reopened = new ReplayStore({ dir, maxReplays: 2 });
+    expect(reopened.get(ids[2])).toEqual(expect.objectContaining({ id: ids[2] }));
+  });
+
+  test('test_store_seek_decompressesAReplayOnceForRepeatedSeeks', async () => {
+    const recorder = makeRecorder();
+    const state = makeState();
+    for (let t = 0; t <= 500; t += 50) {
+      state.players.p1.x = t;
+      recorder.capture(state, t);
+    }
+    const { id } = await recorder.finish();
+    const decompress = jest.spyOn(store, '_decompress');
+
+    const [a, b] = await Promise.all([store.seek(id, 100), store.seek(id, 450)]);
+    const c = await store.seek(id, 300);
+
+    expect(decompress).toHaveBeenCalledTimes(1);
+    expect([a.state.players.p1.x, b.state.players.p1.x, c.state.players.p1.x]).toEqual([100, 450, 300]);
+    expect(c.keyframeT).toBe(200);
+  });
+
+  test('test_store_seek_unknownReplay_isNotCached', async () => {
+    expect(await store.seek('0123456789abcdef', 0)).toBeNull();
+    expect(store._seekCache.size).toBe(0);
+  });
+
+  test('test_store_seek_cacheIsCappedInBytes', async () => {
+    const ids = [];
+    for (let i = 0; i < 2; i++) {
+      const recorder = makeRecorder();
+      const state = makeState();
+      for (let t = 0; t <= 500; t += 50) {
+        state.players.p1.x = t;
+        recorder.capture(state, t);
+      }
+      ids.push((await recorder.finish()).id);
+    }
+    const size = (await store._decompress(ids[0])).length;
+    store.seekCacheBytes = size + 10;
+
+    await store.seek(ids[0], 100);
+    expect([...store._seekCache.keys()]).toEqual([ids[0]]);
+
+    // The second replay pushes the total past the cap: the least recently sought goes
+    await store.seek(ids[1], 100);
+    expect([...store._seekCache.keys()]).toEqual([ids[1]]);
+
+    // A replay larger than the cap alone still answers, without being kept
+    store.seekCacheBytes = 1;
+    expect((await store.seek(ids[0], 450)).state.players.p1.x).toBe(450);
+    expect(store._seekCache.size).toBe(0);
+  });
+
+  test('test_store_load_unknownId_returnsNull', async () => {
+    expect(await store.load('0123456789abcdef')).toBeNull();
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for lib/server/MutatorRules.js and lib/server/config/MutatorConfig.js
+ * Focus: each rule's hooks, the no-manager fallbacks, config validation.
+ */
+
+jest.mock('../../../game/lootFunctions', () => ({
+  createExplosion: jest.fn(),
+  createParticles: jest.fn()
+}));
+
+jest.mock('../../../contexts/player/modules/DeathProgressionHandler', () => ({
+  handlePlayerDeathProgression: jest.fn()
+}));
+
+const {
+  createRule,
+  createRules,
+  runMutatorHook,
+  applyMutatorHook
+} = require('../../../lib/server/MutatorRules');
+const {
+  RUN_MUTATORS,
+  MUTATOR_RULE_SCHEMAS,
+  validateMutatorConfig
+} = require('../../../lib/server/config/MutatorConfig');
+const { createExplosion } = require('../../../game/lootFunctions');
+const { handlePlayerDeathProgression } = require('../../../contexts/player/modules/DeathProgressionHandler');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('deathExplosion', () => {
+  const rule = createRule('deathExplosion', { radius: 70, damage: 15 });
+
+  function makeGameState() {
+    return {
+      players: {
+        near: { x: 40, y: 0, alive: true, health: 100 },
+        far: { x: 200, y: 0, alive: true, health: 100 },
+        shielded: { x: 10, y: 0, alive: true, health: 100, spawnProtection: true },
+        dying: { x: 0, y: 10, alive: true, health: 10 }
+      }
+    };
+  }
+
+  test('hurts the players inside the radius', () => {
+    const gameState = makeGameState();
+    rule.onZombieDeath({ type: 'normal', x: 0, y: 0 }, gameState, {});
+
+    expect(createExplosion).toHaveBeenCalledWith(0, 0, 70, false, {});
+    expect(gameState.players.near.health).toBe(85);
+    expect(gameState.players.far.health).toBe(100);
+    expect(gameState.players.shielded.health).toBe(100);
+    expect(handlePlayerDeathProgression).toHaveBeenCalledWith(
+      gameState.players.dying, 'dying', gameState, expect.any(Number), false
+    );
+  });
+
+  test('explosive zombies keep their own explosion', () => {
+    const gameState = makeGameState();
+    rule.onZombieDeath({ type: 'explosive', x: 0, y: 0 }, gameState, {});
+    expect(createExplosion).not.toHaveBeenCalled();
+    expect(gameState.players.near.health).toBe(100);
+  });
+});
+
+describe('bulletRicochet', () => {
+  const rule = createRule('bulletRicochet', { bounces: 1 });
+  // Wall at x >= 100
+  const isBlocked = (x) => x >= 100;
+
+  test('flips only the axis that crossed the wall', () => {
+    const bullet = { x: 102, y: 52, vx: 4, vy: 2 };
+    expect(rule.onBulletWallHit(bullet, 98, 50, isBlocked)).toBe(true);
+    expect(bullet).toEqual({ x: 98, y: 50, vx: -4, vy: 2, ricochets: 1 });
+  });
+
+  test('flips both axes on a corner hit', () => {
+    const bullet = { x: 102, y: 52, vx: 4, vy: 2 };
+    rule.onBulletWallHit(bullet, 98, 50, (x, y) => x >= 100 && y >= 51);
+    expect(bullet).toMatchObject({ vx: -4, vy: -2 });
+  });
+
+  test('stops once the bounces are used up', () => {
+    const bullet = { x: 102, y: 50, vx: 4, vy: 0, ricochets: 1 };
+    expect(rule.onBulletWallHit(bullet, 98, 50, isBlocked)).toBe(false);
+    expect(bullet.x).toBe(102);
+  });
+});
+
+describe('other rules', () => {
+  test('noRegen and lootGold', () => {
+    expect(createRule('noRegen', {}).modifyRegen(12)).toBe(0);
+    expect(createRule('lootGold', { multiplier: 2 }).modifyLootGold(7)).toBe(14);
+  });
+
+  test('darkness sets then clears the vision radius', () => {
+    const rule = createRule('darkness', { visionRadius: 420 });
+    const gameState = {};
+    rule.onActivate(gameState);
+    expect(gameState.visionRadius).toBe(420);
+    rule.onDeactivate(gameState);
+    expect(gameState.visionRadius).toBeNull();
+  });
+
+  test('eliteEvery forces every count-th spawn, restarting on activation', () => {
+    const rule = createRule('eliteEvery', { count: 3 });
+    const rolls = [false, false, false, true, false, false].map(roll => rule.modifyEliteRoll(roll));
+    expect(rolls).toEqual([false, false, true, true, false, true]);
+    rule.onActivate();
+    expect(rule.modifyEliteRoll(false)).toBe(false);
+  });
+
+  test('unknown rules throw', () => {
+    expect(() => createRule('gravityFlip', {})).toThrow('Unknown mutator rule: gravityFlip');
+  });
+
+  test('createRules flattens the rules of every mutator', () => {
+    const rules = createRules([
+      { id: 'a', rules: { noRegen: {}, lootGold: { multiplier: 2 } } },
+      { id: 'b', effects: {} }
+    ]);
+    expect(rules.map(r => r.name)).toEqual(['noRegen', 'lootGold']);
+  });
+});
+
+describe('runMutatorHook / applyMutatorHook', () => {
+  test('no-ops without a mutator manager', () => {
+    expect(runMutatorHook({}, 'onZombieDeath')).toBe(false);
+    expect(runMutatorHook(null, 'onZombieDeath')).toBe(false);
+    expect(applyMutatorHook({ mutatorManager: null }, 'modifyLootGold', 5)).toBe(5);
+  });
+
+  test('delegate to the manager', () => {
+    const mutatorManager = { runHook: jest.fn(() => true), applyHook: jest.fn(() => 10) };
+    expect(runMutatorHook({ mutatorManager }, 'onBulletWallHit', 1, 2)).toBe(true);
+    expect(mutatorManager.runHook).toHaveBeenCalledWith('onBulletWallHit', 1, 2);
+    expect(applyMutatorHook({ mutatorManager }, 'modifyLootGold', 5)).toBe(10);
+  });
+});
+
+describe('validateMutatorConfig', () => {
+  test('the shipped pool is valid and every rule has a factory', () => {
+    expect(validateMutatorConfig(RUN_MUTATORS)).toEqual([]);
+    for (const name of Object.keys(MUTATOR_RULE_SCHEMAS)) {
+      expect(() => createRule(name, { radius: 1, damage: 1, multiplier: 1, bounces: 1, visionRadius: 100, count: 2 }))
+        .not.toThrow();
+    }
+  });
+
+  test('rejects unknown rules, bad params, duplicates and empty mutators', () => {
+    const errors = validateMutatorConfig([
+      { id: 'a', name: 'A', description: 'x', effects: {}, rules: { gravityFlip: {} } },
+      { id: 'b', name: 'B', description: 'x', effects: {}, rules: { lootGold: { multiplier: -1 } } },
+      { id: 'c', name: 'C', description: 'x', effects: {} },
+      { id: 'c', name: 'C2', description: 'x', effects: { goldMultiplier: 2 } },
+      { id: 'd', name: 'D', description: 'x', effects: { zombieSpeedMultiplier: 1.1 } },
+      { id: 'd', name: 'D2', description: 'x', effects: { zombieSpeedMultiplier: 1.1 } }
+    ]).join('\n');
+    expect(errors).toMatch(/a: "rules.gravityFlip" is not allowed/);
+    expect(errors).toMatch(/b: "rules.lootGold.multiplier" must be a positive number/);
+    expect(errors).toMatch(/c: ni effet ni règle/);
+    expect(errors).toMatch(/c: "effects.goldMultiplier" is not allowed/);
+    expect(errors).toMatch(/d: id en double/);
+  });
+
+  test('needs two mutators', () => {
+    expect(validateMutatorConfig([])).toEqual(['au moins deux mutateurs sont requis (deux sont actifs à la fois)']);
+  });
+});
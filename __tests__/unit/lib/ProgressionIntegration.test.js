@@ -34,6 +34,12 @@ function makeContainer(overrides = {}) {
           }
         );
       }
+      if (name === 'runRecordService') {
+        return overrides.runRecordService !== undefined ? overrides.runRecordService : makeRunRecordService();
+      }
+      if (name === 'runRewardService') {
+        return overrides.runRewardService || null;
+      }
       if (name === 'achievementService') {
         return (
           overrides.achievementService || {
@@ -46,6 +52,34 @@ function makeContainer(overrides = {}) {
   };
 }
 
+function makeRunRecordService(overrides = {}) {
+  return {
+    recordRun: jest.fn(async ({ runId, playerId }) => ({
+      runId,
+      playerId,
+      outcome: 'death',
+      wave: 3,
+      level: 4,
+      kills: 12,
+      survivalTime: 90,
+      score: 620,
+      xpEarned: 459
+    })),
+    grantXP: jest.fn().mockResolvedValue({
+      record: {},
+      result: {
+        success: true,
+        currentXP: 100,
+        levelsGained: 0,
+        skillPointsGained: 0,
+        newLevel: 1,
+        progression: {}
+      }
+    }),
+    ...overrides
+  };
+}
+
 function makeIo(sockets = new Map()) {
   return {
     sockets: { sockets },
@@ -56,6 +90,7 @@ function makeIo(sockets = new Map()) {
 function makePlayer(overrides = {}) {
   return {
     id: 'socket1',
+    runId: 'run-1',
     health: 100,
     maxHealth: 100,
     gold: 0,
@@ -252,29 +287,79 @@ describe('ProgressionIntegration handlePlayerDeath', () => {
     expect(player.survivalTime).toBe(99);
   });
 
-  test('handlePlayerDeath_callsAccountProgressionService', async () => {
-    const handlePlayerDeathSvc = jest
-      .fn()
-      .mockResolvedValue({
-        success: true,
-        currentXP: 50,
-        levelsGained: 0,
-        skillPointsGained: 0,
-        newLevel: 1,
-        progression: {}
-      });
+  test('handlePlayerDeath_recordsRunFromServerStats', async () => {
+    const runRecordService = makeRunRecordService();
+    const pi = new ProgressionIntegration(makeContainer({ runRecordService }), makeIo());
+    const stats = { wave: 3, level: 4, kills: 12, survivalTimeSeconds: 90 };
+
+    await pi.handlePlayerDeath(makePlayer(), 'uuid', stats, { instanceId: 'lobby-a', endedAt: 5000 });
+
+    expect(runRecordService.recordRun).toHaveBeenCalledWith(expect.objectContaining({
+      runId: 'run-1',
+      playerId: 'uuid',
+      instanceId: 'lobby-a',
+      outcome: 'death',
+      stats,
+      endedAt: 5000
+    }));
+  });
+
+  test('handlePlayerDeath_grantsXPFromRunRecord_notFromPlayerObject', async () => {
+    const runRecordService = makeRunRecordService();
+    const handlePlayerDeathSvc = jest.fn();
     const container = makeContainer({
-      accountProgressionService: {
-        getPlayerSkillBonuses: jest.fn(),
-        handlePlayerDeath: handlePlayerDeathSvc
-      }
+      runRecordService,
+      accountProgressionService: { getPlayerSkillBonuses: jest.fn(), handlePlayerDeath: handlePlayerDeathSvc }
     });
     const pi = new ProgressionIntegration(container, makeIo());
-    const player = makePlayer();
 
-    await pi.handlePlayerDeath(player, 'uuid', {});
+    await pi.handlePlayerDeath(makePlayer({ kills: 99999 }), 'uuid', {});
 
-    expect(handlePlayerDeathSvc).toHaveBeenCalledWith(player, 'uuid');
+    expect(runRecordService.grantXP).toHaveBeenCalledWith('run-1', 'uuid');
+    expect(handlePlayerDeathSvc).not.toHaveBeenCalled();
+  });
+
+  test('handlePlayerDeath_noRunId_grantsNoXP', async () => {
+    const runRecordService = makeRunRecordService();
+    const pi = new ProgressionIntegration(makeContainer({ runRecordService }), makeIo());
+
+    await pi.handlePlayerDeath(makePlayer({ runId: undefined }), 'uuid', {});
+
+    expect(runRecordService.recordRun).not.toHaveBeenCalled();
+    expect(runRecordService.grantXP).not.toHaveBeenCalled();
+  });
+
+  test('handlePlayerDeath_recordFailure_rejectsForRetryQueue', async () => {
+    const runRecordService = makeRunRecordService({ recordRun: jest.fn().mockRejectedValue(new Error('db down')) });
+    const pi = new ProgressionIntegration(makeContainer({ runRecordService }), makeIo());
+
+    await expect(pi.handlePlayerDeath(makePlayer(), 'uuid', {})).rejects.toThrow('db down');
+  });
+
+  test('handlePlayerDeath_alreadyGrantedRun_isQuiet', async () => {
+    const conflict = new Error('XP already granted for this run');
+    conflict.name = 'ConflictError';
+    const runRecordService = makeRunRecordService({ grantXP: jest.fn().mockRejectedValue(conflict) });
+    const socket = { emit: jest.fn() };
+    const pi = new ProgressionIntegration(
+      makeContainer({ runRecordService }),
+      makeIo(new Map([['socket1', socket]]))
+    );
+
+    await expect(pi.handlePlayerDeath(makePlayer(), 'uuid', {})).resolves.toBeUndefined();
+    expect(socket.emit).not.toHaveBeenCalledWith('accountXPGained', expect.anything());
+  });
+
+  test('handlePlayerDeath_emitsRunCompletedWithRunId', async () => {
+    const socket = { emit: jest.fn() };
+    const pi = new ProgressionIntegration(makeContainer(), makeIo(new Map([['socket1', socket]])));
+
+    await pi.handlePlayerDeath(makePlayer({ gold: 77 }), 'uuid', {});
+
+    expect(socket.emit).toHaveBeenCalledWith(
+      'runCompleted',
+      expect.objectContaining({ runId: 'run-1', outcome: 'death', score: 620, gold: 77 })
+    );
   });
 
   test('handlePlayerDeath_callsAchievementService', async () => {
@@ -318,15 +403,52 @@ describe('ProgressionIntegration handlePlayerDeath', () => {
     );
   });
 
+  test('handlePlayerDeath_appliesRunRewards_andEmitsGemsEarned', async () => {
+    const runRewardService = {
+      applyRun: jest.fn().mockResolvedValue({ gemsEarned: 7, wallet: { balance: 42 }, contract: {}, stageCompleted: false })
+    };
+    const socket = { emit: jest.fn() };
+    const pi = new ProgressionIntegration(
+      makeContainer({ runRewardService }),
+      makeIo(new Map([['socket1', socket]]))
+    );
+
+    const weaponStats = [{ weaponId: 'shotgun', shotsFired: 40, shotsHit: 25, kills: 6, damageDealt: 900, activeTime: 12000 }];
+    await pi.handlePlayerDeath(makePlayer(), 'uuid', { goldEarned: 350, weaponStats });
+
+    expect(runRewardService.applyRun).toHaveBeenCalledWith(
+      expect.objectContaining({ runId: 'run-1', playerId: 'uuid' }),
+      { goldEarned: 350, weaponStats }
+    );
+    expect(socket.emit).toHaveBeenCalledWith('gemsEarned', { runId: 'run-1', amount: 7, balance: 42 });
+  });
+
+  test('handlePlayerDeath_alreadyRewardedRun_emitsNoGems', async () => {
+    const runRewardService = { applyRun: jest.fn().mockResolvedValue(null) };
+    const socket = { emit: jest.fn() };
+    const pi = new ProgressionIntegration(
+      makeContainer({ runRewardService }),
+      makeIo(new Map([['socket1', socket]]))
+    );
+
+    await pi.handlePlayerDeath(makePlayer(), 'uuid', {});
+
+    expect(socket.emit).not.toHaveBeenCalledWith('gemsEarned', expect.anything());
+    expect(socket.emit).toHaveBeenCalledWith('runCompleted', expect.anything());
+  });
+
+  test('handlePlayerDeath_rewardFailure_stillGrantsXP', async () => {
+    const runRecordService = makeRunRecordService();
+    const runRewardService = { applyRun: jest.fn().mockRejectedValue(new Error('db down')) };
+    const pi = new ProgressionIntegration(makeContainer({ runRecordService, runRewardService }), makeIo());
+
+    await expect(pi.handlePlayerDeath(makePlayer(), 'uuid', {})).resolves.toBeUndefined();
+    expect(runRecordService.grantXP).toHaveBeenCalled();
+  });
+
   test('handlePlayerDeath_serviceThrows_doesNotPropagateError', async () => {
-    const handlePlayerDeathSvc = jest.fn().mockRejectedValue(new Error('fail'));
-    const container = makeContainer({
-      accountProgressionService: {
-        getPlayerSkillBonuses: jest.fn(),
-        handlePlayerDeath: handlePlayerDeathSvc
-      }
-    });
-    const pi = new ProgressionIntegration(container, makeIo());
+    const runRecordService = makeRunRecordService({ grantXP: jest.fn().mockRejectedValue(new Error('fail')) });
+    const pi = new ProgressionIntegration(makeContainer({ runRecordService }), makeIo());
 
     await expect(pi.handlePlayerDeath(makePlayer(), 'uuid', {})).resolves.not.toThrow();
   });
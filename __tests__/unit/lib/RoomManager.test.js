@@ -113,6 +113,21 @@ describe('RoomManager.generateRoom', () => {
       }
     }
   });
+  test('test_generateRoom_altars_clearOfObstacles', () => {
+    const rm = new RoomManager(makeGameState(), makeConfig(), makeIo());
+
+    for (let i = 0; i < 20; i++) {
+      const room = rm.generateRoom();
+      expect(room.altars.length).toBeLessThanOrEqual(1);
+      for (const altar of room.altars) {
+        for (const obs of room.obstacles) {
+          const nearestX = Math.max(obs.x, Math.min(altar.x, obs.x + obs.width));
+          const nearestY = Math.max(obs.y, Math.min(altar.y, obs.y + obs.height));
+          expect(Math.hypot(altar.x - nearestX, altar.y - nearestY)).toBeGreaterThanOrEqual(altar.radius);
+        }
+      }
+    }
+  });
 });
 
 // --- initializeRooms ---
@@ -228,6 +243,34 @@ describe('RoomManager.loadRoom', () => {
     expect(gameState.walls).toEqual([...room.walls, ...room.obstacles]);
   });
 
+  test('test_loadRoom_validIndex_exposesFreshAltarCopies', () => {
+    const { rm, gameState, io } = buildRmWithRooms();
+    gameState.rooms[1].altars = [
+      { id: 'altar-0', x: 900, y: 1000, radius: 45, challengeId: 'kill_rush', state: 'idle' }
+    ];
+
+    rm.loadRoom(1);
+    gameState.altars[0].state = 'spent';
+    rm.loadRoom(1);
+
+    expect(gameState.altars[0].state).toBe('idle');
+    expect(io.emit).toHaveBeenLastCalledWith(
+      'roomChanged',
+      expect.objectContaining({
+        altars: [expect.objectContaining({ id: 'altar-0', state: 'idle', name: 'Massacre express' })]
+      })
+    );
+  });
+
+  test('test_loadRoom_validIndex_resetsAltarManager', () => {
+    const { rm, gameState } = buildRmWithRooms();
+    gameState.altarManager = { reset: jest.fn() };
+
+    rm.loadRoom(1);
+
+    expect(gameState.altarManager.reset).toHaveBeenCalled();
+  });
+
   test('test_loadRoom_negativeIndex_doesNotChangeCurrentRoom', () => {
     const { rm, gameState } = buildRmWithRooms();
     gameState.currentRoom = 0;
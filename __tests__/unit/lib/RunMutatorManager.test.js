@@ -3,6 +3,7 @@
  */
 
 const RunMutatorManager = require('../../../lib/server/RunMutatorManager');
+const { RUN_MUTATORS } = require('../../../lib/server/config/MutatorConfig');
 
 function makeGameState(overrides = {}) {
   return { wave: 1, ...overrides };
@@ -67,10 +68,11 @@ describe('RunMutatorManager clamp', () => {
 // --- getMutatorPool ---
 
 describe('RunMutatorManager getMutatorPool', () => {
-  test('getMutatorPool_returns_fiveEntries', () => {
+  test('getMutatorPool_returns_configuredPool', () => {
     const mgr = makeManager(makeGameState());
 
-    expect(mgr.getMutatorPool()).toHaveLength(5);
+    expect(mgr.getMutatorPool()).toBe(RUN_MUTATORS);
+    expect(mgr.getMutatorPool()).toHaveLength(10);
   });
 
   test('getMutatorPool_eachEntry_hasRequiredFields', () => {
@@ -438,6 +440,65 @@ describe('RunMutatorManager cleanupWave', () => {
   });
 });
 
+// --- timed effects (altar rewards and curses) ---
+
+describe('RunMutatorManager timed effects', () => {
+  test('addTimedEffect_stacksOnActiveMutators_andBroadcasts', () => {
+    const io = { emit: jest.fn() };
+    const gameState = makeGameState({ wave: 3 });
+    const mgr = makeManager(gameState, io);
+    mgr.activeMutators = [{ id: 'm', effects: { zombieDamageMultiplier: 1.2 } }];
+
+    mgr.addTimedEffect('altar:x:curse', { zombieDamageMultiplier: 1.1 }, 5000);
+
+    expect(gameState.mutatorEffects.zombieDamageMultiplier).toBeCloseTo(1.32);
+    expect(io.emit).toHaveBeenCalledWith('mutatorsUpdated', expect.objectContaining({ wave: 3 }));
+  });
+
+  test('addTimedEffect_sameId_replacesInsteadOfStacking', () => {
+    const gameState = makeGameState();
+    const mgr = makeManager(gameState);
+
+    mgr.addTimedEffect('altar:x:reward', { playerDamageMultiplier: 1.2 }, 5000);
+    mgr.addTimedEffect('altar:x:reward', { playerDamageMultiplier: 1.2 }, 9000);
+
+    expect(mgr.timedEffects).toHaveLength(1);
+    expect(gameState.mutatorEffects.playerDamageMultiplier).toBeCloseTo(1.2);
+  });
+
+  test('expireTimedEffects_dropsEntriesPastTheirTime', () => {
+    const gameState = makeGameState();
+    const mgr = makeManager(gameState);
+    mgr.addTimedEffect('a', { playerDamageMultiplier: 1.2 }, 5000);
+
+    expect(mgr.expireTimedEffects(4999)).toBe(false);
+    expect(mgr.expireTimedEffects(5000)).toBe(true);
+    expect(gameState.mutatorEffects.playerDamageMultiplier).toBe(1);
+  });
+
+  test('rotation_keepsTimedEffects', () => {
+    const gameState = makeGameState();
+    const mgr = makeManager(gameState);
+    mgr.getMutatorPool = () => [];
+    mgr.addTimedEffect('a', { spawnCountMultiplier: 1.25 }, 5000);
+
+    mgr.rotateIfNeeded(10, true);
+
+    expect(gameState.mutatorEffects.spawnCountMultiplier).toBe(1.25);
+  });
+
+  test('cleanupWave_dropsTimedEffects', () => {
+    const gameState = makeGameState();
+    const mgr = makeManager(gameState);
+    mgr.addTimedEffect('a', { spawnCountMultiplier: 1.25 }, 5000);
+
+    mgr.cleanupWave();
+
+    expect(mgr.timedEffects).toEqual([]);
+    expect(gameState.mutatorEffects.spawnCountMultiplier).toBe(1);
+  });
+});
+
 // --- pickMutators deduplication ---
 
 describe('RunMutatorManager pickMutators deduplication', () => {
@@ -452,6 +513,74 @@ describe('RunMutatorManager pickMutators deduplication', () => {
   });
 });
 
+// --- rules ---
+
+describe('RunMutatorManager rules', () => {
+  function withPool(mgr, pool) {
+    mgr.getMutatorPool = () => pool;
+    mgr.pickMutators = () => pool.slice(0, 2);
+    return mgr;
+  }
+
+  test('rotation_activatesNewRules_andDeactivatesOldOnes', () => {
+    const gameState = makeGameState();
+    const mgr = withPool(makeManager(gameState), [
+      { id: 'dark', effects: {}, rules: { darkness: { visionRadius: 300 } } },
+      { id: 'gold', effects: {}, rules: { lootGold: { multiplier: 2 } } }
+    ]);
+
+    mgr.rotateIfNeeded(1, true);
+    expect(gameState.visionRadius).toBe(300);
+    expect(mgr.activeRules.map(r => r.name)).toEqual(['darkness', 'lootGold']);
+
+    mgr.cleanupWave();
+    expect(gameState.visionRadius).toBeNull();
+    expect(mgr.activeRules).toEqual([]);
+  });
+
+  test('applyHook_foldsThroughEveryRule', () => {
+    const mgr = withPool(makeManager(makeGameState()), [
+      { id: 'a', effects: {}, rules: { lootGold: { multiplier: 2 } } },
+      { id: 'b', effects: {}, rules: { lootGold: { multiplier: 3 } } }
+    ]);
+    mgr.rotateIfNeeded(1, true);
+
+    expect(mgr.applyHook('modifyLootGold', 5)).toBe(30);
+    expect(mgr.applyHook('modifyRegen', 4)).toBe(4);
+  });
+
+  test('runHook_reportsWhetherARuleHandledIt', () => {
+    const mgr = makeManager(makeGameState());
+    mgr.activeRules = [{ name: 'x', onBulletWallHit: () => false }];
+    expect(mgr.runHook('onBulletWallHit')).toBe(false);
+
+    mgr.activeRules.push({ name: 'y', onBulletWallHit: () => true });
+    expect(mgr.runHook('onBulletWallHit')).toBe(true);
+    expect(mgr.runHook('onZombieDeath')).toBe(false);
+  });
+
+  test('broadcast_includesVisionRadius', () => {
+    const io = { emit: jest.fn() };
+    const mgr = withPool(makeManager(makeGameState(), io), [
+      { id: 'dark', effects: {}, rules: { darkness: { visionRadius: 300 } } },
+      { id: 'plain', effects: { zombieHealthMultiplier: 1.1 } }
+    ]);
+
+    mgr.rotateIfNeeded(1, true);
+
+    expect(io.emit).toHaveBeenCalledWith('mutatorsUpdated', expect.objectContaining({ visionRadius: 300 }));
+  });
+
+  test('restore_reactivatesRules', () => {
+    const gameState = makeGameState();
+    const mgr = makeManager(gameState);
+
+    mgr.restore({ activeMutatorIds: ['darkness'] });
+
+    expect(gameState.visionRadius).toBe(RUN_MUTATORS.find(m => m.id === 'darkness').rules.darkness.visionRadius);
+  });
+});
+
 // --- serialize / restore ---
 
 describe('RunMutatorManager serialize and restore', () => {
@@ -484,6 +613,23 @@ describe('RunMutatorManager serialize and restore', () => {
     expect(gameState2.activeMutators.length).toBeGreaterThan(0);
   });
 
+  test('restore_keepsTimedEffectsUntilTheyExpire', () => {
+    const original = makeManager(makeGameState());
+    original.addTimedEffect('altar:test:reward', { playerDamageMultiplier: 1.2 }, 5000);
+    const snap = JSON.parse(JSON.stringify(original.serialize()));
+
+    const gameState2 = makeGameState();
+    const restored = makeManager(gameState2);
+    restored.restore(snap);
+
+    expect(restored.timedEffects).toEqual([
+      { id: 'altar:test:reward', effects: { playerDamageMultiplier: 1.2 }, expiresAt: 5000 }
+    ]);
+    expect(gameState2.mutatorEffects.playerDamageMultiplier).toBeCloseTo(1.2);
+    restored.expireTimedEffects(5000);
+    expect(gameState2.mutatorEffects.playerDamageMultiplier).toBe(1);
+  });
+
   test('restore_null_doesNotThrow', () => {
     const mgr = makeManager(makeGameState());
 
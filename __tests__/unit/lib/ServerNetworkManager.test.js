@@ -102,3 +102,34 @@ describe('ServerNetworkManager — latency throttle', () => {
     expect(after2).toBeGreaterThanOrEqual(after1);
   });
 });
+
+describe('ServerNetworkManager — replay recorder', () => {
+  test('emitGameState feeds the public state to the recorder', () => {
+    const nm = new NetworkManager(makeIo(), makeGameState());
+    const recorder = { capture: jest.fn() };
+    nm.setRecorder(recorder);
+    nm.gameState.players['p1'] = { x: 0, y: 0, health: 100, accountId: 'secret' };
+
+    nm.emitGameState();
+
+    expect(recorder.capture).toHaveBeenCalledTimes(1);
+    const [state, serverTime] = recorder.capture.mock.calls[0];
+    expect(state.players.p1.x).toBe(0);
+    expect(state.players.p1.accountId).toBeUndefined();
+    expect(typeof serverTime).toBe('number');
+  });
+
+  test('a failing recorder does not break the broadcast', () => {
+    const emitFn = jest.fn();
+    const nm = new NetworkManager(makeIo(emitFn), makeGameState());
+    nm.setRecorder({
+      capture: jest.fn(() => {
+        throw new Error('disk full');
+      })
+    });
+    nm.gameState.players['p1'] = { x: 0, y: 0, health: 100 };
+
+    expect(() => nm.emitGameState()).not.toThrow();
+    expect(emitFn).toHaveBeenCalled();
+  });
+});
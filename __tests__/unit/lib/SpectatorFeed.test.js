@@ -0,0 +1,117 @@
+'use strict';
+
+const DeltaBuilder = require('../../../lib/server/network/DeltaBuilder');
+const InterestManager = require('../../../lib/server/network/InterestManager');
+const SpectatorFeed = require('../../../lib/server/network/SpectatorFeed');
+
+const INTERVAL = 100;
+
+function makeState(players, zombies = {}) {
+  return {
+    players,
+    zombies,
+    bullets: {},
+    particles: {},
+    poisonTrails: {},
+    explosions: {},
+    powerups: {},
+    loot: {},
+    wave: 1,
+    walls: [],
+    currentRoom: 0,
+    bossSpawned: false
+  };
+}
+
+const P1 = { id: 'p1', x: 1000, y: 1000, health: 100, hasNickname: true };
+const P2 = { id: 'p2', x: 9000, y: 9000, health: 100, hasNickname: true };
+
+function setup() {
+  const interest = new InterestManager(new DeltaBuilder());
+  const feed = new SpectatorFeed(interest, INTERVAL);
+  interest.addSpectator('spec');
+  feed.add('spec');
+  return { interest, feed };
+}
+
+describe('SpectatorFeed', () => {
+  test('first state is a keyframe culled around the followed player', () => {
+    const { interest, feed } = setup();
+    interest.setCameraTarget('spec', 'p2');
+    const state = makeState({ p1: P1, p2: P2 }, { near1: { id: 'near1', x: 1000, y: 1000 }, near2: { id: 'near2', x: 9000, y: 9000 } });
+
+    const payload = feed.build('spec', state, 1000);
+
+    expect(payload.full).toBe(true);
+    expect(Object.keys(payload.zombies)).toEqual(['near2']);
+    expect(Object.keys(payload.players)).toEqual(['p1', 'p2']);
+    expect(payload.camera).toEqual({ targetId: 'p2' });
+    expect(payload.serverTime).toBe(1000);
+  });
+
+  test('states are rate-limited and deltas carry the changes since the last one sent', () => {
+    const { interest, feed } = setup();
+    interest.setCameraTarget('spec', 'p1');
+    const zombie = { id: 'z1', x: 1100, y: 1100, health: 50 };
+    const state = makeState({ p1: { ...P1 } }, { z1: zombie });
+
+    feed.build('spec', state, 1000);
+    zombie.x = 1150;
+    expect(feed.build('spec', state, 1050)).toBeNull();
+    zombie.x = 1200;
+
+    const delta = feed.build('spec', state, 1100);
+
+    expect(delta.full).toBeUndefined();
+    expect(delta.updated.zombies.z1.x).toBe(1200);
+    expect(delta.updated.players).toEqual({});
+  });
+
+  test('entities leaving the view are sent as removals', () => {
+    const { interest, feed } = setup();
+    interest.setCameraTarget('spec', 'p1');
+    const zombie = { id: 'z1', x: 1100, y: 1100, health: 50 };
+    const state = makeState({ p1: { ...P1 } }, { z1: zombie });
+    feed.build('spec', state, 1000);
+
+    zombie.x = 8000;
+    const delta = feed.build('spec', state, 1200);
+
+    expect(delta.removed.zombies).toEqual(['z1']);
+  });
+
+  test('returns null when nothing changed in the view', () => {
+    const { interest, feed } = setup();
+    interest.setCameraTarget('spec', 'p1');
+    const state = makeState({ p1: { ...P1 } });
+    feed.build('spec', state, 1000);
+
+    expect(feed.build('spec', state, 1200)).toBeNull();
+  });
+
+  test('drops a target that left the world', () => {
+    const { interest, feed } = setup();
+    interest.setCameraTarget('spec', 'gone');
+
+    const payload = feed.build('spec', makeState({ p1: P1 }), 1000);
+
+    expect(payload.camera).toEqual({ targetId: null });
+    expect(interest.getCameraTarget('spec')).toBeNull();
+  });
+
+  test('resync, reset and remove', () => {
+    const { feed } = setup();
+    const state = makeState({ p1: P1 });
+    feed.build('spec', state, 1000);
+
+    feed.resync('spec');
+    expect(feed.build('spec', state, 1010).full).toBe(true);
+
+    feed.reset();
+    expect(feed.build('spec', state, 1020).full).toBe(true);
+
+    feed.remove('spec');
+    expect(feed.size).toBe(0);
+    expect(feed.build('spec', state, 5000)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for lib/server/SynergyRegistry.js and lib/server/config/SynergyConfig.js
+ * Focus: unlock on the completing pick, modifier folding, neutral defaults,
+ * config validation against LEVEL_UP_UPGRADES.
+ */
+
+const {
+  recordUpgradePick,
+  getSynergyModifier,
+  buildSynergyEffects
+} = require('../../../lib/server/SynergyRegistry');
+const { SYNERGIES, validateSynergyConfig } = require('../../../lib/server/config/SynergyConfig');
+
+describe('recordUpgradePick', () => {
+  test('unlocks a synergy once every required upgrade was picked', () => {
+    const player = {};
+    expect(recordUpgradePick(player, 'explosiveRounds')).toEqual([]);
+    const unlocked = recordUpgradePick(player, 'extraBullets');
+    expect(unlocked).toEqual([
+      {
+        synergyId: 'missile_barrage',
+        name: SYNERGIES.missile_barrage.name,
+        description: SYNERGIES.missile_barrage.description,
+        icon: SYNERGIES.missile_barrage.icon,
+        rarity: 'epic',
+        requires: ['explosiveRounds', 'extraBullets']
+      }
+    ]);
+    expect(player.synergyEffects).toEqual({ explosionRadiusMultiplier: 1.5 });
+  });
+
+  test('announces a synergy only once, however often its upgrades are picked again', () => {
+    const player = {};
+    recordUpgradePick(player, 'lifeSteal');
+    recordUpgradePick(player, 'thorns');
+    expect(recordUpgradePick(player, 'thorns')).toEqual([]);
+    expect(recordUpgradePick(player, 'lifeSteal')).toEqual([]);
+    expect(player.levelUpUpgrades).toEqual(['lifeSteal', 'thorns']);
+    expect(player.synergies).toEqual(['vampire_tank']);
+  });
+
+  test('one pick can complete several synergies', () => {
+    const player = {};
+    recordUpgradePick(player, 'explosiveRounds');
+    recordUpgradePick(player, 'fireRateBoost');
+    const unlocked = recordUpgradePick(player, 'extraBullets');
+    expect(unlocked.map(s => s.synergyId).sort()).toEqual(['bullet_storm', 'missile_barrage']);
+  });
+});
+
+describe('buildSynergyEffects', () => {
+  const synergies = {
+    a: { requires: [], modifiers: { lifeStealMultiplier: 2, killHeal: 5 } },
+    b: { requires: [], modifiers: { lifeStealMultiplier: 1.5, killHeal: 3 } }
+  };
+
+  test('multiplies multipliers and adds bonuses', () => {
+    expect(buildSynergyEffects(['a', 'b'], synergies)).toEqual({ lifeStealMultiplier: 3, killHeal: 8 });
+  });
+
+  test('skips unknown ids', () => {
+    expect(buildSynergyEffects(['gone'], synergies)).toEqual({});
+  });
+});
+
+describe('getSynergyModifier', () => {
+  test('neutral value without the synergy', () => {
+    expect(getSynergyModifier({}, 'explosionRadiusMultiplier')).toBe(1);
+    expect(getSynergyModifier(null, 'critPierceBonus')).toBe(0);
+  });
+
+  test('reads the folded effects', () => {
+    expect(getSynergyModifier({ synergyEffects: { critPierceBonus: 3 } }, 'critPierceBonus')).toBe(3);
+  });
+});
+
+describe('validateSynergyConfig', () => {
+  test('the shipped config is valid', () => {
+    expect(validateSynergyConfig(SYNERGIES)).toEqual([]);
+  });
+
+  test('rejects unknown upgrades, single requirements and unknown modifiers', () => {
+    const errors = validateSynergyConfig({
+      bad: {
+        name: 'Bad',
+        description: 'x',
+        icon: '?',
+        rarity: 'epic',
+        requires: ['multishot'],
+        modifiers: { speedBonus: 1 }
+      }
+    });
+    expect(errors.join('\n')).toMatch(/bad: "requires\[0\]" must be one of/);
+    expect(errors.join('\n')).toMatch(/must contain at least 2 items/);
+    expect(errors.join('\n')).toMatch(/"modifiers.speedBonus" is not allowed/);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for lib/server/snapshot/WorldSnapshotStore.js
+ * Focus: a periodic save still writing at shutdown neither corrupts nor
+ * replaces the blocking shutdown save.
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorldSnapshotStore = require('../../../lib/server/snapshot/WorldSnapshotStore');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('WorldSnapshotStore', () => {
+  test('saveSync during a pending save keeps the shutdown snapshot', async () => {
+    const store = new WorldSnapshotStore({ file: path.join(dir, 'world.json') });
+    const pending = store.save({ savedAt: 1 });
+    store.saveSync({ savedAt: 2 });
+    await pending;
+
+    expect(store.load()).toEqual({ savedAt: 2 });
+    expect(fs.readdirSync(dir)).toEqual(['world.json']);
+  });
+
+  test('later saves replace earlier ones', async () => {
+    const store = new WorldSnapshotStore({ file: path.join(dir, 'world.json') });
+    store.save({ savedAt: 1 });
+    await store.save({ savedAt: 2 });
+
+    expect(store.load()).toEqual({ savedAt: 2 });
+  });
+});
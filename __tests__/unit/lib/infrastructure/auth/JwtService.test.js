@@ -126,6 +126,28 @@ describe('JwtService', () => {
       expect(socket.username).toBe(VALID_PAYLOAD.username);
     });
 
+    test('test_socketMiddleware_bannedAccount_callsNextWithBanData', () => {
+      const svc = makeService();
+      svc.setBanChecker(id => (id === VALID_PAYLOAD.userId ? { reason: 'cheating', expiresAt: 5000 } : null));
+      const middleware = svc.socketMiddleware();
+      const socket = makeSocket(svc.generateToken(VALID_PAYLOAD));
+      const next = jest.fn();
+      middleware(socket, next);
+      const err = next.mock.calls[0][0];
+      expect(err).toBeInstanceOf(Error);
+      expect(err.data).toEqual({ code: 'ACCOUNT_BANNED', reason: 'cheating', expiresAt: 5000 });
+      expect(socket.userId).toBeUndefined();
+    });
+
+    test('test_readUserId_expiredToken_stillReturnsUserId', () => {
+      const svc = makeService();
+      svc.expiresIn = '-1s';
+      const token = svc.generateToken(VALID_PAYLOAD);
+      expect(svc.verifyToken(token)).toBeNull();
+      expect(svc.readUserId(token)).toBe(VALID_PAYLOAD.userId);
+      expect(svc.readUserId('bad.token.value')).toBeNull();
+    });
+
     test('test_socketMiddleware_invalidToken_callsNextWithError', () => {
       const svc = makeService();
       const middleware = svc.socketMiddleware();
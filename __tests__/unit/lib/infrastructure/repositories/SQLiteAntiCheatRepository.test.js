@@ -0,0 +1,111 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteAntiCheatRepository = require('../../../../../lib/infrastructure/repositories/SQLiteAntiCheatRepository');
+const CheatViolation = require('../../../../../lib/domain/entities/CheatViolation');
+const TrustScore = require('../../../../../lib/domain/entities/TrustScore');
+const { DatabaseError } = require('../../../../../lib/domain/errors/DomainErrors');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  // 011 adds leaderboard.flagged: only the table needs to exist
+  db.exec('CREATE TABLE leaderboard (id INTEGER PRIMARY KEY AUTOINCREMENT, player_id TEXT NOT NULL)');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '011_anticheat.sql'), 'utf8'));
+  return db;
+}
+
+function violation(overrides = {}) {
+  return new CheatViolation({ playerId: 'p1', type: 'movement_budget', magnitude: 2, snapshot: { x: 1, y: 2 }, createdAt: 1000, ...overrides });
+}
+
+const HOUR = 60 * 60 * 1000;
+
+describe('SQLiteAntiCheatRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteAntiCheatRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('recordViolation stores the evidence and the trust score together', async () => {
+    const v = violation();
+    const trust = await repo.recordViolation(v, 8, HOUR);
+
+    expect(v.id).toEqual(expect.any(Number));
+    const row = db.prepare('SELECT * FROM anticheat_violations WHERE id = ?').get(v.id);
+    expect(row).toMatchObject({ player_id: 'p1', type: 'movement_budget', magnitude: 2, created_at: 1000 });
+    expect(JSON.parse(row.snapshot)).toEqual({ x: 1, y: 2 });
+    expect(trust).toMatchObject({ playerId: 'p1', penalty: 8, violationCount: 1, lastViolationAt: 1000 });
+    expect(await repo.findTrust('p1')).toMatchObject({ playerId: 'p1', penalty: 8, violationCount: 1 });
+  });
+
+  test('recordViolation adds the penalty to the decayed one of the account', async () => {
+    await repo.recordViolation(violation({ createdAt: 0 }), 60, HOUR);
+    // One half-life later: 60 -> 30, plus 4
+    const trust = await repo.recordViolation(violation({ createdAt: HOUR }), 4, HOUR);
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM player_trust').get().n).toBe(1);
+    expect(trust.penalty).toBeCloseTo(34);
+    expect(await repo.findTrust('p1')).toMatchObject({ violationCount: 2, lastViolationAt: HOUR, updatedAt: HOUR });
+  });
+
+  test('recordViolation counts every concurrent report', async () => {
+    await Promise.all([
+      repo.recordViolation(violation(), 10, HOUR),
+      repo.recordViolation(violation(), 15, HOUR),
+      repo.recordViolation(violation(), 20, HOUR)
+    ]);
+
+    expect(await repo.findTrust('p1')).toMatchObject({ penalty: 45, violationCount: 3 });
+  });
+
+  test('recordViolation caps the stored penalty', async () => {
+    await repo.recordViolation(violation(), 150, HOUR);
+    const trust = await repo.recordViolation(violation(), 150, HOUR);
+
+    expect(trust.penalty).toBe(TrustScore.MAX_PENALTY);
+  });
+
+  test('findTrust returns null for an account never flagged', async () => {
+    expect(await repo.findTrust('nobody')).toBeNull();
+  });
+
+  test('findTrustByMinPenalty returns the worst accounts first', async () => {
+    await repo.recordViolation(violation(), 40, HOUR);
+    await repo.recordViolation(violation({ playerId: 'p2' }), 90, HOUR);
+    await repo.recordViolation(violation({ playerId: 'p3' }), 5, HOUR);
+
+    const rows = await repo.findTrustByMinPenalty(30, 10);
+
+    expect(rows.map(t => t.playerId)).toEqual(['p2', 'p1']);
+  });
+
+  test('findViolations pages newest first with a before cursor', async () => {
+    for (const createdAt of [1000, 2000, 3000]) {
+      await repo.recordViolation(violation({ createdAt }), 8, HOUR);
+    }
+    await repo.recordViolation(violation({ playerId: 'p2' }), 8, HOUR);
+
+    const firstPage = await repo.findViolations('p1', { limit: 2 });
+    expect(firstPage.map(v => v.createdAt)).toEqual([3000, 2000]);
+
+    const nextPage = await repo.findViolations('p1', { limit: 2, before: 2000 });
+    expect(nextPage.map(v => v.createdAt)).toEqual([1000]);
+  });
+
+  test('wraps driver errors in DatabaseError', async () => {
+    db.close();
+    await expect(repo.findTrust('p1')).rejects.toThrow(DatabaseError);
+    db = new Database(':memory:');
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteChatLogRepository = require('../../../../../lib/infrastructure/repositories/SQLiteChatLogRepository');
+const ChatMessage = require('../../../../../lib/domain/entities/ChatMessage');
+const { DatabaseError } = require('../../../../../lib/domain/errors/DomainErrors');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '008_chat_logs.sql'), 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice')").run();
+  return db;
+}
+
+function message(overrides = {}) {
+  return new ChatMessage({ playerId: 'p1', nickname: 'Alice', message: 'salut', createdAt: 1000, ...overrides });
+}
+
+describe('SQLiteChatLogRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteChatLogRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('save assigns an id and stores raw and filtered text', async () => {
+    const saved = await repo.save(message({ message: '***** !', rawMessage: 'merde !', flagged: true, flagReason: 'profanity' }));
+
+    expect(saved.id).toEqual(expect.any(Number));
+    const row = db.prepare('SELECT * FROM chat_logs WHERE id = ?').get(saved.id);
+    expect(row).toMatchObject({ message: '***** !', raw_message: 'merde !', flagged: 1, flag_reason: 'profanity' });
+  });
+
+  test('save accepts guest messages without an account', async () => {
+    const saved = await repo.save(message({ playerId: null, nickname: 'Guest' }));
+    expect(saved.id).toBeGreaterThan(0);
+  });
+
+  test('findFlagged returns only flagged messages, newest first', async () => {
+    await repo.save(message({ createdAt: 1000, message: 'a', flagged: true, flagReason: 'profanity' }));
+    await repo.save(message({ createdAt: 2000, message: 'clean' }));
+    await repo.save(message({ createdAt: 3000, message: 'b', flagged: true, flagReason: 'profanity' }));
+
+    const flagged = await repo.findFlagged();
+
+    expect(flagged.map(m => m.message)).toEqual(['b', 'a']);
+    expect(flagged[0]).toBeInstanceOf(ChatMessage);
+    expect(flagged[0].flagged).toBe(true);
+  });
+
+  test('findFlagged pages with limit and before cursor', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await repo.save(message({ createdAt: i * 1000, message: `m${i}`, flagged: true }));
+    }
+
+    const firstPage = await repo.findFlagged({ limit: 2 });
+    const nextPage = await repo.findFlagged({ limit: 2, before: firstPage[1].createdAt });
+
+    expect(firstPage.map(m => m.message)).toEqual(['m5', 'm4']);
+    expect(nextPage.map(m => m.message)).toEqual(['m3', 'm2']);
+  });
+
+  test('wraps SQLite failures in DatabaseError', async () => {
+    db.exec('DROP TABLE chat_logs');
+    await expect(repo.findFlagged()).rejects.toBeInstanceOf(DatabaseError);
+  });
+});
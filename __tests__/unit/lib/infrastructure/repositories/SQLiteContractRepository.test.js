@@ -0,0 +1,72 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteContractRepository = require('../../../../../lib/infrastructure/repositories/SQLiteContractRepository');
+const ContractProgress = require('../../../../../lib/domain/entities/ContractProgress');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '006_run_records.sql'), 'utf8'));
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '007_player_economy.sql'), 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice')").run();
+  return db;
+}
+
+function makeContract(overrides = {}) {
+  return new ContractProgress({
+    playerId: 'p1',
+    weekStart: '2026-10-19',
+    contractId: 'elite_hunt',
+    stages: [
+      { id: 'elite_hunt_stage_1', type: 'kills', target: 10, reward: { gems: 5 } },
+      { id: 'elite_hunt_stage_2', type: 'boss', target: 1, reward: { gems: 10 } }
+    ],
+    ...overrides
+  });
+}
+
+describe('SQLiteContractRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteContractRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('findByPlayerAndWeek returns null before the contract exists', async () => {
+    expect(await repo.findByPlayerAndWeek('p1', '2026-10-19')).toBeNull();
+  });
+
+  test('save round-trips stages and progress', async () => {
+    const contract = makeContract();
+    contract.applyProgress('kills', 12);
+    await repo.save(contract);
+
+    const stored = await repo.findByPlayerAndWeek('p1', '2026-10-19');
+    expect(stored.contractId).toBe('elite_hunt');
+    expect(stored.getCurrentStage()).toMatchObject({ id: 'elite_hunt_stage_1', progress: 10, completed: true });
+  });
+
+  test('save overwrites the same week and keeps weeks apart', async () => {
+    const contract = makeContract();
+    await repo.save(contract);
+    contract.applyProgress('kills', 10);
+    contract.claimCurrentStage();
+    await repo.save(contract);
+    await repo.save(makeContract({ weekStart: '2026-10-26', contractId: 'gold_route' }));
+
+    expect((await repo.findByPlayerAndWeek('p1', '2026-10-19')).currentStage).toBe(1);
+    expect((await repo.findByPlayerAndWeek('p1', '2026-10-26')).contractId).toBe('gold_route');
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteGemWalletRepository = require('../../../../../lib/infrastructure/repositories/SQLiteGemWalletRepository');
+const { ValidationError } = require('../../../../../lib/domain/errors/DomainErrors');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '006_run_records.sql'), 'utf8'));
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '007_player_economy.sql'), 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice')").run();
+  return db;
+}
+
+describe('SQLiteGemWalletRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteGemWalletRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('findByPlayerId returns an empty wallet for a player without gems', async () => {
+    const wallet = await repo.findByPlayerId('p1');
+    expect(wallet.balance).toBe(0);
+    expect(wallet.totalEarned).toBe(0);
+  });
+
+  test('credit adds to the balance and total earned', async () => {
+    await repo.credit('p1', 10, 'run', 'run-1');
+    const wallet = await repo.credit('p1', 5, 'run', 'run-2');
+    expect(wallet.balance).toBe(15);
+    expect(wallet.totalEarned).toBe(15);
+  });
+
+  test('credit is idempotent on (reason, reference)', async () => {
+    await repo.credit('p1', 10, 'run', 'run-1');
+    const duplicate = await repo.credit('p1', 10, 'run', 'run-1');
+    expect(duplicate).toBeNull();
+    expect((await repo.findByPlayerId('p1')).balance).toBe(10);
+  });
+
+  test('debit spends gems and records a negative transaction', async () => {
+    await repo.credit('p1', 50, 'run', 'run-1');
+    const wallet = await repo.debit('p1', 30, 'shop', 'revive');
+    expect(wallet.balance).toBe(20);
+    expect(wallet.totalSpent).toBe(30);
+    expect(await repo.hasTransaction('p1', 'shop', 'revive')).toBe(true);
+  });
+
+  test('debit allows repeated purchases of the same item', async () => {
+    await repo.credit('p1', 100, 'run', 'run-1');
+    await repo.debit('p1', 30, 'shop', 'revive');
+    const wallet = await repo.debit('p1', 30, 'shop', 'revive');
+    expect(wallet.balance).toBe(40);
+  });
+
+  test('debit returns null and changes nothing when the balance is too low', async () => {
+    await repo.credit('p1', 10, 'run', 'run-1');
+    expect(await repo.debit('p1', 11, 'shop', 'revive')).toBeNull();
+    expect((await repo.findByPlayerId('p1')).balance).toBe(10);
+    expect(await repo.hasTransaction('p1', 'shop', 'revive')).toBe(false);
+  });
+
+  test('debitOnce refuses a second purchase of the same item', async () => {
+    await repo.credit('p1', 100, 'run', 'run-1');
+    expect((await repo.debitOnce('p1', 30, 'shop', 'permanent_gold_boost')).balance).toBe(70);
+    expect(await repo.debitOnce('p1', 30, 'shop', 'permanent_gold_boost')).toBeNull();
+    expect((await repo.findByPlayerId('p1')).balance).toBe(70);
+  });
+
+  test('getTransactions lists newest first', async () => {
+    await repo.credit('p1', 10, 'run', 'run-1');
+    await repo.debit('p1', 4, 'shop', 'xp_boost');
+    const transactions = await repo.getTransactions('p1');
+    expect(transactions.map(t => t.amount)).toEqual([-4, 10]);
+    expect(transactions[0]).toMatchObject({ reason: 'shop', reference: 'xp_boost' });
+  });
+
+  test('rejects non-positive or fractional amounts', async () => {
+    await expect(repo.credit('p1', 0, 'run', 'run-1')).rejects.toThrow(ValidationError);
+    await expect(repo.debit('p1', 1.5, 'shop', 'revive')).rejects.toThrow(ValidationError);
+  });
+});
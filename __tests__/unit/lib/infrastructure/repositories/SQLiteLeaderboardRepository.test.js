@@ -29,6 +29,7 @@ function buildDB() {
       survival_time INTEGER NOT NULL,
       score INTEGER NOT NULL,
       created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      flagged INTEGER NOT NULL DEFAULT 0,
       FOREIGN KEY (player_id) REFERENCES players(id)
     );
   `);
@@ -154,7 +155,45 @@ describe('SQLiteLeaderboardRepository', () => {
     expect(typeof deleted).toBe('number');
   });
 
+  test('cleanup_flaggedEntries_doNotTakeTheKeptSlots', async () => {
+    for (let i = 0; i < 101; i++) {
+      await repo.submit(makeEntry({ score: i }));
+    }
+    await repo.submit(makeEntry({ playerId: 'p2', score: 9999, flagged: true }));
+
+    expect(await repo.cleanup(100)).toBe(1);
+    expect(await repo.getFlagged()).toHaveLength(1);
+    expect(db.prepare('SELECT MIN(score) AS min FROM leaderboard WHERE flagged = 0').get().min).toBe(1);
+  });
+
+  test('getFlagged_listsOnlyFlaggedEntries_bestFirst', async () => {
+    await repo.submit(makeEntry({ playerId: 'p1', score: 500 }));
+    await repo.submit(makeEntry({ playerId: 'p2', score: 300, flagged: true }));
+    await repo.submit(makeEntry({ playerId: 'p2', score: 700, flagged: true }));
+
+    const flagged = await repo.getFlagged(10);
+    expect(flagged.map(e => e.score)).toEqual([700, 300]);
+    expect(flagged.every(e => e.flagged)).toBe(true);
+  });
+
   test('cleanup_keepCountBelow100_throwsValidationError', async () => {
     await expect(repo.cleanup(50)).rejects.toBeInstanceOf(ValidationError);
   });
+
+  test('flagged_entries_are_listed_by_default', async () => {
+    await repo.submit(makeEntry({ playerId: 'p2', score: 9999, flagged: true }));
+    const top = await repo.getTop(10);
+    expect(top).toHaveLength(1);
+    expect(top[0].flagged).toBe(true);
+  });
+
+  test('hideFlagged_shadowExcludesFlaggedEntries_exceptForTheirOwner', async () => {
+    const shadowRepo = new SQLiteLeaderboardRepository(db, { hideFlagged: true });
+    await shadowRepo.submit(makeEntry({ playerId: 'p2', score: 9999, flagged: true }));
+    await shadowRepo.submit(makeEntry({ playerId: 'p1', score: 100 }));
+
+    expect((await shadowRepo.getTop(10)).map(e => e.playerId)).toEqual(['p1']);
+    expect(await shadowRepo.getPlayerRank('p1')).toBe(1);
+    expect(await shadowRepo.getByPlayer('p2')).toHaveLength(1);
+  });
 });
@@ -0,0 +1,57 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteLifetimeStatsRepository = require('../../../../../lib/infrastructure/repositories/SQLiteLifetimeStatsRepository');
+const LifetimeStats = require('../../../../../lib/domain/entities/LifetimeStats');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '006_run_records.sql'), 'utf8'));
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '007_player_economy.sql'), 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice')").run();
+  return db;
+}
+
+describe('SQLiteLifetimeStatsRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteLifetimeStatsRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('findByPlayerId returns null before the first run', async () => {
+    expect(await repo.findByPlayerId('p1')).toBeNull();
+  });
+
+  test('save round-trips accumulated totals', async () => {
+    const stats = new LifetimeStats({ playerId: 'p1' });
+    const run = { outcome: 'death', wave: 7, level: 9, kills: 80, bossKills: 1, score: 2000, survivalTime: 400, startedAt: 1000, endedAt: 401000 };
+    stats.recordRun(run, 300);
+    stats.recordRun({ ...run, wave: 3, kills: 20, score: 500 }, 100);
+    await repo.save(stats);
+
+    const stored = await repo.findByPlayerId('p1');
+    expect(stored.toObject()).toMatchObject({
+      totalRuns: 2,
+      totalDeaths: 2,
+      totalKills: 100,
+      highestWave: 7,
+      bestScore: 2000,
+      totalGoldEarned: 400,
+      firstPlayedAt: 1000,
+      lastPlayedAt: 401000
+    });
+  });
+});
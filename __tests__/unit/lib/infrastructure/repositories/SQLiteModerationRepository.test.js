@@ -0,0 +1,99 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteModerationRepository = require('../../../../../lib/infrastructure/repositories/SQLiteModerationRepository');
+const Ban = require('../../../../../lib/domain/entities/Ban');
+const { DatabaseError } = require('../../../../../lib/domain/errors/DomainErrors');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '010_moderation.sql'), 'utf8'));
+  return db;
+}
+
+function ban(overrides = {}) {
+  return new Ban({ playerId: 'p1', reason: 'cheating', bannedBy: 'admin', createdAt: 1000, expiresAt: null, ...overrides });
+}
+
+describe('SQLiteModerationRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteModerationRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('saveBan assigns an id and stores permanent bans with a NULL expiry', async () => {
+    const saved = await repo.saveBan(ban());
+
+    expect(saved.id).toEqual(expect.any(Number));
+    const row = db.prepare('SELECT * FROM player_bans WHERE id = ?').get(saved.id);
+    expect(row).toMatchObject({ player_id: 'p1', reason: 'cheating', banned_by: 'admin', expires_at: null, lifted_at: null });
+  });
+
+  test('findActiveBans skips expired and lifted bans, newest first', async () => {
+    await repo.saveBan(ban({ playerId: 'expired', createdAt: 1000, expiresAt: 2000 }));
+    await repo.saveBan(ban({ playerId: 'temp', createdAt: 2000, expiresAt: 9000 }));
+    await repo.saveBan(ban({ playerId: 'perm', createdAt: 3000 }));
+    await repo.saveBan(ban({ playerId: 'lifted', createdAt: 4000 }));
+    await repo.liftBans('lifted', 'admin', 4500);
+
+    const active = await repo.findActiveBans(5000);
+
+    expect(active.map(b => b.playerId)).toEqual(['perm', 'temp']);
+    expect(active[0]).toBeInstanceOf(Ban);
+    expect(active[0].isPermanent()).toBe(true);
+  });
+
+  test('liftBans returns the number of bans lifted', async () => {
+    await repo.saveBan(ban({ expiresAt: 9000 }));
+
+    expect(await repo.liftBans('p1', 'mod', 5000)).toBe(1);
+    expect(await repo.liftBans('p1', 'mod', 6000)).toBe(0);
+    const [lifted] = await repo.findBans();
+    expect(lifted).toMatchObject({ liftedAt: 5000, liftedBy: 'mod' });
+  });
+
+  test('findBans pages with limit and before cursor', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await repo.saveBan(ban({ playerId: `p${i}`, createdAt: i * 1000 }));
+    }
+
+    const firstPage = await repo.findBans({ limit: 2 });
+    const nextPage = await repo.findBans({ limit: 2, before: firstPage[1].createdAt });
+
+    expect(firstPage.map(b => b.playerId)).toEqual(['p4', 'p3']);
+    expect(nextPage.map(b => b.playerId)).toEqual(['p2', 'p1']);
+  });
+
+  test('logAction writes the audit log, read back newest first', async () => {
+    await repo.logAction({ action: 'ban', actor: 'admin', targetId: 'p1', reason: 'cheating', expiresAt: 9000, createdAt: 1000 });
+    const kick = await repo.logAction({ action: 'kick', actor: 'api', targetId: 'sock-1', createdAt: 2000 });
+
+    expect(kick).toMatchObject({ id: expect.any(Number), reason: null, expiresAt: null });
+    const log = await repo.findAuditLog();
+    expect(log).toEqual([
+      { id: kick.id, action: 'kick', actor: 'api', targetId: 'sock-1', reason: null, expiresAt: null, createdAt: 2000 },
+      expect.objectContaining({ action: 'ban', targetId: 'p1', reason: 'cheating', expiresAt: 9000 })
+    ]);
+  });
+
+  test('the audit log only accepts known actions', async () => {
+    await expect(repo.logAction({ action: 'mute', actor: 'admin', targetId: 'p1', createdAt: 1000 }))
+      .rejects.toBeInstanceOf(DatabaseError);
+  });
+
+  test('wraps SQLite failures in DatabaseError', async () => {
+    db.exec('DROP TABLE player_bans');
+    await expect(repo.findActiveBans(0)).rejects.toBeInstanceOf(DatabaseError);
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteRelationshipRepository = require('../../../../../lib/infrastructure/repositories/SQLiteRelationshipRepository');
+const Relationship = require('../../../../../lib/domain/entities/Relationship');
+const { DatabaseError } = require('../../../../../lib/domain/errors/DomainErrors');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '009_player_relationships.sql'), 'utf8'));
+  const insert = db.prepare('INSERT INTO players (id, username) VALUES (?, ?)');
+  insert.run('p1', 'Alice');
+  insert.run('p2', 'Bob');
+  insert.run('p3', 'Carol');
+  return db;
+}
+
+function rel(playerId, targetPlayerId, type, status = 'active', createdAt = 1000) {
+  return new Relationship({ playerId, targetPlayerId, type, status, createdAt });
+}
+
+describe('SQLiteRelationshipRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteRelationshipRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('save then find round-trips a relationship', async () => {
+    await repo.save(rel('p1', 'p2', 'muted'));
+    const found = await repo.find('p1', 'p2', 'muted');
+    expect(found).toBeInstanceOf(Relationship);
+    expect(found.toObject()).toMatchObject({ playerId: 'p1', targetPlayerId: 'p2', type: 'muted', status: 'active' });
+    expect(await repo.find('p2', 'p1', 'muted')).toBeNull();
+  });
+
+  test('findByPlayer joins the target username', async () => {
+    await repo.save(rel('p1', 'p2', 'friend', 'active', 1));
+    await repo.save(rel('p1', 'p3', 'blocked', 'active', 2));
+    const list = await repo.findByPlayer('p1');
+    expect(list.map(r => [r.type, r.targetUsername])).toEqual([['friend', 'Bob'], ['blocked', 'Carol']]);
+  });
+
+  test('findIncomingRequests returns pending requests with the requester username', async () => {
+    await repo.save(rel('p2', 'p1', 'friend', 'pending'));
+    await repo.save(rel('p3', 'p1', 'friend', 'active'));
+    const incoming = await repo.findIncomingRequests('p1');
+    expect(incoming).toHaveLength(1);
+    expect(incoming[0]).toMatchObject({ playerId: 'p2', playerUsername: 'Bob', status: 'pending' });
+  });
+
+  test('acceptFriendRequest activates the request and adds the reverse row', async () => {
+    await repo.save(rel('p2', 'p1', 'friend', 'pending'));
+    expect(await repo.acceptFriendRequest('p2', 'p1')).toBe(true);
+    expect((await repo.find('p2', 'p1', 'friend')).status).toBe('active');
+    expect((await repo.find('p1', 'p2', 'friend')).status).toBe('active');
+  });
+
+  test('acceptFriendRequest is a no-op without a pending request', async () => {
+    expect(await repo.acceptFriendRequest('p2', 'p1')).toBe(false);
+    expect(await repo.find('p1', 'p2', 'friend')).toBeNull();
+  });
+
+  test('removeFriendship deletes both directions but keeps blocks', async () => {
+    await repo.save(rel('p1', 'p2', 'friend'));
+    await repo.save(rel('p2', 'p1', 'friend'));
+    await repo.save(rel('p1', 'p2', 'blocked'));
+    expect(await repo.removeFriendship('p2', 'p1')).toBe(true);
+    expect(await repo.findByPlayer('p2')).toEqual([]);
+    expect((await repo.findByPlayer('p1')).map(r => r.type)).toEqual(['blocked']);
+  });
+
+  test('remove reports whether a row was deleted', async () => {
+    await repo.save(rel('p1', 'p2', 'muted'));
+    expect(await repo.remove('p1', 'p2', 'muted')).toBe(true);
+    expect(await repo.remove('p1', 'p2', 'muted')).toBe(false);
+  });
+
+  test('relationships are deleted with the player', async () => {
+    await repo.save(rel('p1', 'p2', 'blocked'));
+    db.prepare("DELETE FROM players WHERE id = 'p2'").run();
+    expect(await repo.findByPlayer('p1')).toEqual([]);
+  });
+
+  test('wraps SQLite failures in DatabaseError', async () => {
+    db.exec('DROP TABLE player_relationships');
+    await expect(repo.findByPlayer('p1')).rejects.toBeInstanceOf(DatabaseError);
+  });
+});
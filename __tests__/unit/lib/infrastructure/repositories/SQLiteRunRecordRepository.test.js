@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteRunRecordRepository = require('../../../../../lib/infrastructure/repositories/SQLiteRunRecordRepository');
+const RunRecord = require('../../../../../lib/domain/entities/RunRecord');
+const { ValidationError } = require('../../../../../lib/domain/errors/DomainErrors');
+
+const MIGRATION = path.join(__dirname, '../../../../../database/migrations/006_run_records.sql');
+const ECONOMY_MIGRATION = path.join(__dirname, '../../../../../database/migrations/007_player_economy.sql');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(MIGRATION, 'utf8'));
+  db.exec(fs.readFileSync(ECONOMY_MIGRATION, 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice')").run();
+  db.prepare("INSERT INTO players (id, username) VALUES ('p2', 'Bob')").run();
+  return db;
+}
+
+function makeRecord(overrides = {}) {
+  return new RunRecord({
+    runId: 'run-1',
+    playerId: 'p1',
+    instanceId: 'default',
+    wave: 5,
+    level: 8,
+    kills: 40,
+    survivalTime: 300,
+    score: 1325,
+    xpEarned: 1250,
+    startedAt: 1000,
+    endedAt: 301000,
+    ...overrides
+  });
+}
+
+describe('SQLiteRunRecordRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteRunRecordRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('save persists and findById hydrates a RunRecord', async () => {
+    await repo.save(makeRecord());
+    const found = await repo.findById('run-1');
+    expect(found).toBeInstanceOf(RunRecord);
+    expect(found).toMatchObject({ playerId: 'p1', wave: 5, kills: 40, score: 1325, xpEarned: 1250 });
+    expect(found.isXpGranted()).toBe(false);
+    expect(found.isSubmitted()).toBe(false);
+  });
+
+  test('save is idempotent on runId — first record wins', async () => {
+    await repo.save(makeRecord());
+    const second = await repo.save(makeRecord({ kills: 9999, score: 99999 }));
+    expect(second.kills).toBe(40);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM run_records').get().n).toBe(1);
+  });
+
+  test('save rejects records without ids', async () => {
+    await expect(repo.save({})).rejects.toThrow(ValidationError);
+  });
+
+  test('findById returns null for unknown runs', async () => {
+    expect(await repo.findById('nope')).toBeNull();
+  });
+
+  test('claimXpGrant succeeds once, only for the owner, and can be released', async () => {
+    await repo.save(makeRecord());
+    expect(await repo.claimXpGrant('run-1', 'p2')).toBe(false);
+    expect(await repo.claimXpGrant('run-1', 'p1')).toBe(true);
+    expect(await repo.claimXpGrant('run-1', 'p1')).toBe(false);
+
+    await repo.releaseXpGrant('run-1');
+    expect(await repo.claimXpGrant('run-1', 'p1')).toBe(true);
+  });
+
+  test('claimRewards succeeds once, only for the owner, and can be released', async () => {
+    await repo.save(makeRecord());
+    expect(await repo.claimRewards('run-1', 'p2')).toBe(false);
+    expect(await repo.claimRewards('run-1', 'p1')).toBe(true);
+    expect(await repo.claimRewards('run-1', 'p1')).toBe(false);
+
+    await repo.releaseRewards('run-1');
+    expect(await repo.claimRewards('run-1', 'p1')).toBe(true);
+  });
+
+  test('claimLeaderboardSubmission is single-use and owner-bound', async () => {
+    await repo.save(makeRecord());
+    expect(await repo.claimLeaderboardSubmission('run-1', 'p2')).toBe(false);
+    expect(await repo.claimLeaderboardSubmission('run-1', 'p1')).toBe(true);
+    expect(await repo.claimLeaderboardSubmission('run-1', 'p1')).toBe(false);
+    expect((await repo.findById('run-1')).isSubmitted()).toBe(true);
+  });
+
+  test('a released leaderboard submission can be claimed again', async () => {
+    await repo.save(makeRecord());
+    expect(await repo.claimLeaderboardSubmission('run-1', 'p1')).toBe(true);
+    await repo.releaseLeaderboardSubmission('run-1');
+    expect((await repo.findById('run-1')).isSubmitted()).toBe(false);
+    expect(await repo.claimLeaderboardSubmission('run-1', 'p1')).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteSkinRepository = require('../../../../../lib/infrastructure/repositories/SQLiteSkinRepository');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '006_run_records.sql'), 'utf8'));
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '007_player_economy.sql'), 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice')").run();
+  return db;
+}
+
+describe('SQLiteSkinRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteSkinRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('a new player owns and wears the default skins only', async () => {
+    const collection = await repo.findByPlayerId('p1');
+    expect(collection.toObject()).toEqual({
+      playerId: 'p1',
+      owned: { player: ['default'], weapon: ['default'] },
+      equipped: { player: 'default', weapon: 'default' }
+    });
+  });
+
+  test('grant adds a skin once', async () => {
+    expect(await repo.grant('p1', 'player', 'neon')).toBe(true);
+    expect(await repo.grant('p1', 'player', 'neon')).toBe(false);
+    expect((await repo.findByPlayerId('p1')).owns('player', 'neon')).toBe(true);
+  });
+
+  test('equip keeps a single equipped skin per type', async () => {
+    await repo.grant('p1', 'player', 'neon');
+    await repo.grant('p1', 'player', 'fire');
+    await repo.grant('p1', 'weapon', 'laser');
+    await repo.equip('p1', 'player', 'neon');
+    await repo.equip('p1', 'player', 'fire');
+    await repo.equip('p1', 'weapon', 'laser');
+
+    expect((await repo.findByPlayerId('p1')).equipped).toEqual({ player: 'fire', weapon: 'laser' });
+  });
+
+  test('equipping the default skin unequips the owned one', async () => {
+    await repo.grant('p1', 'player', 'neon');
+    await repo.equip('p1', 'player', 'neon');
+    await repo.equip('p1', 'player', 'default');
+
+    expect((await repo.findByPlayerId('p1')).equipped.player).toBe('default');
+  });
+
+  test('revoke removes an owned skin', async () => {
+    await repo.grant('p1', 'weapon', 'plasma');
+    await repo.revoke('p1', 'weapon', 'plasma');
+    expect((await repo.findByPlayerId('p1')).owns('weapon', 'plasma')).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SQLiteWeaponStatsRepository = require('../../../../../lib/infrastructure/repositories/SQLiteWeaponStatsRepository');
+
+const MIGRATIONS = path.join(__dirname, '../../../../../database/migrations');
+
+function buildDB() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec('CREATE TABLE players (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL);');
+  db.exec(fs.readFileSync(path.join(MIGRATIONS, '012_weapon_stats.sql'), 'utf8'));
+  db.prepare("INSERT INTO players (id, username) VALUES ('p1', 'Alice'), ('p2', 'Bob')").run();
+  return db;
+}
+
+function run(weaponId, overrides = {}) {
+  return { weaponId, shotsFired: 100, shotsHit: 50, kills: 10, damageDealt: 2000, activeTime: 20000, ...overrides };
+}
+
+describe('SQLiteWeaponStatsRepository', () => {
+  let db;
+  let repo;
+
+  beforeEach(() => {
+    db = buildDB();
+    repo = new SQLiteWeaponStatsRepository(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('findByPlayerId is empty before the first run', async () => {
+    expect(await repo.findByPlayerId('p1')).toEqual([]);
+  });
+
+  test('addRunTotals accumulates runs per weapon', async () => {
+    await repo.addRunTotals('p1', [run('pistol'), run('shotgun', { kills: 30 })], 1000);
+    await repo.addRunTotals('p1', [run('pistol', { shotsHit: 70 })], 2000);
+
+    const [shotgun, pistol] = await repo.findByPlayerId('p1');
+    expect(shotgun.toObject()).toMatchObject({ weaponId: 'shotgun', timesUsed: 1, kills: 30 });
+    expect(pistol.toObject()).toMatchObject({
+      weaponId: 'pistol',
+      timesUsed: 2,
+      shotsFired: 200,
+      shotsHit: 120,
+      kills: 20,
+      damageDealt: 4000,
+      activeTime: 40000,
+      accuracy: 0.6,
+      dps: 100,
+      updatedAt: 2000
+    });
+  });
+
+  test('addRunTotals writes nothing when a row fails', async () => {
+    await expect(repo.addRunTotals('ghost', [run('pistol')], 1000)).rejects.toThrow('Failed to save weapon stats');
+    await expect(repo.addRunTotals('p1', [run('pistol'), run('rifle', { shotsFired: null })], 1000)).rejects.toThrow();
+    expect(await repo.findByPlayerId('p1')).toEqual([]);
+  });
+
+  test('findTopByWeapon ranks by the requested stat, with usernames', async () => {
+    await repo.addRunTotals('p1', [run('rifle', { kills: 50, shotsHit: 40 })], 1000);
+    await repo.addRunTotals('p2', [run('rifle', { kills: 20, shotsHit: 90 }), run('pistol')], 1000);
+
+    const byKills = await repo.findTopByWeapon('rifle', { sort: 'kills', limit: 10, minShots: 1 });
+    expect(byKills.map(e => e.username)).toEqual(['Alice', 'Bob']);
+
+    const byAccuracy = await repo.findTopByWeapon('rifle', { sort: 'accuracy', limit: 1, minShots: 1 });
+    expect(byAccuracy).toHaveLength(1);
+    expect(byAccuracy[0].username).toBe('Bob');
+
+    expect(await repo.findTopByWeapon('rifle', { sort: 'dps', limit: 10, minShots: 101 })).toEqual([]);
+  });
+
+  test('a flagged run marks the rows for good; hideFlagged leaves them out of the leaderboards', async () => {
+    await repo.addRunTotals('p1', [run('rifle', { kills: 50 })], 1000, true);
+    await repo.addRunTotals('p1', [run('rifle')], 2000);
+    await repo.addRunTotals('p2', [run('rifle')], 1000);
+
+    const [rifle] = await repo.findByPlayerId('p1');
+    expect(rifle.flagged).toBe(true);
+    expect(rifle.toObject()).not.toHaveProperty('flagged');
+
+    const all = await repo.findTopByWeapon('rifle', { sort: 'kills', limit: 10, minShots: 1 });
+    expect(all.map(e => e.username)).toEqual(['Alice', 'Bob']);
+
+    const hiding = new SQLiteWeaponStatsRepository(db, { hideFlagged: true });
+    const visible = await hiding.findTopByWeapon('rifle', { sort: 'kills', limit: 10, minShots: 1 });
+    expect(visible.map(e => e.username)).toEqual(['Bob']);
+  });
+});
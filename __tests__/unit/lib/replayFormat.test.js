@@ -0,0 +1,100 @@
+'use strict';
+
+const {
+  REPLAY_VERSION,
+  createEmptyState,
+  applyDelta,
+  findKeyframeIndex,
+  indexKeyframes,
+  stateAt,
+  parseReplay,
+  indexReplayBuffer,
+  stateAtOffset
+} = require('../../../lib/server/replay/replayFormat');
+
+function delta(updated = {}, removed = {}, meta = {}) {
+  return { updated, removed, meta };
+}
+
+const frames = [
+  { t: 0, k: 1, d: delta({ players: { p1: { x: 10, y: 10, _new: true } } }, {}, { wave: 1, walls: ['w'] }) },
+  { t: 50, d: delta({ players: { p1: { x: 20 } }, zombies: { z1: { x: 5, y: 5, _new: true } } }) },
+  { t: 100, d: delta({}, { zombies: ['z1'] }, { wave: 2 }) },
+  { t: 150, k: 1, d: delta({ players: { p1: { x: 40, y: 10, _new: true } } }, {}, { wave: 2, walls: ['w'] }) },
+  { t: 200, d: delta({ players: { p1: { x: 50 } } }) }
+];
+
+describe('replayFormat', () => {
+  test('test_applyDelta_createsPatchesAndRemovesEntities', () => {
+    const state = createEmptyState();
+    applyDelta(state, frames[0].d);
+    applyDelta(state, frames[1].d);
+    expect(state.players.p1).toEqual({ x: 20, y: 10 });
+    expect(state.zombies.z1).toEqual({ x: 5, y: 5 });
+    expect(state.walls).toEqual(['w']);
+
+    applyDelta(state, frames[2].d);
+    expect(state.zombies).toEqual({});
+    expect(state.wave).toBe(2);
+  });
+
+  test('test_findKeyframeIndex_returnsLastKeyframeBeforeT', () => {
+    expect(findKeyframeIndex(frames, 120)).toBe(0);
+    expect(findKeyframeIndex(frames, 150)).toBe(3);
+    expect(findKeyframeIndex(frames, 999)).toBe(3);
+  });
+
+  test('test_findKeyframeIndex_withKeyframeIndex_matchesTheScan', () => {
+    const keyframes = indexKeyframes(frames);
+    expect(keyframes).toEqual(frames.map((f, i) => (f.k ? i : -1)).filter(i => i >= 0));
+    for (const t of [-1, 0, 120, 150, 151, 999]) {
+      expect(findKeyframeIndex(frames, t, keyframes)).toBe(findKeyframeIndex(frames, t));
+    }
+    expect(stateAt(frames, 220, keyframes)).toEqual(stateAt(frames, 220));
+  });
+
+  test('test_stateAt_rebuildsFromNearestKeyframe', () => {
+    const mid = stateAt(frames, 75);
+    expect(mid.t).toBe(50);
+    expect(mid.keyframeT).toBe(0);
+    expect(mid.state.zombies.z1).toBeDefined();
+
+    const late = stateAt(frames, 220);
+    expect(late.keyframeT).toBe(150);
+    expect(late.state.players.p1.x).toBe(50);
+    expect(late.state.zombies).toEqual({});
+  });
+
+  test('test_stateAt_emptyReplay_returnsNull', () => {
+    expect(stateAt([], 0)).toBeNull();
+  });
+
+  test('test_parseReplay_readsHeaderAndFrames', () => {
+    const text = [{ v: REPLAY_VERSION, id: 'abc' }, frames[0], frames[1]].map(l => JSON.stringify(l)).join('\n');
+    const replay = parseReplay(`${text}\n`);
+    expect(replay.header.id).toBe('abc');
+    expect(replay.frames).toHaveLength(2);
+  });
+
+  test('test_stateAtOffset_matchesStateAt', () => {
+    const text = [{ v: REPLAY_VERSION, id: 'abc' }, ...frames].map(l => JSON.stringify(l)).join('\n');
+    const buffer = Buffer.from(`${text}\n`);
+    const index = indexReplayBuffer(buffer);
+
+    expect(index.header.id).toBe('abc');
+    expect(index.first.t).toBe(0);
+    expect(index.keyframes.map(k => k.t)).toEqual([0, 150]);
+    for (const t of [-1, 0, 75, 120, 150, 151, 999]) {
+      expect(stateAtOffset(buffer, index, t)).toEqual(stateAt(frames, t));
+    }
+  });
+
+  test('test_stateAtOffset_emptyReplay_returnsNull', () => {
+    const buffer = Buffer.from(`${JSON.stringify({ v: REPLAY_VERSION })}\n`);
+    expect(stateAtOffset(buffer, indexReplayBuffer(buffer), 0)).toBeNull();
+  });
+
+  test('test_parseReplay_rejectsUnknownVersion', () => {
+    expect(() => parseReplay(JSON.stringify({ v: 99 }))).toThrow('Unsupported replay version 99');
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const {
+  RUN_STREAMS,
+  createRunRandom,
+  serializeRunRandom,
+  restoreRunRandom,
+  runStream,
+  normalizeSeed,
+  generateSeed,
+  unseeded
+} = require('../../../lib/runPRNG');
+
+function draw(stream, n = 5) {
+  return Array.from({ length: n }, () => stream.random());
+}
+
+describe('runPRNG', () => {
+  describe('createRunRandom', () => {
+    test('test_sameSeed_replaysEveryStream', () => {
+      const a = createRunRandom(1234);
+      const b = createRunRandom(1234);
+      for (const name of RUN_STREAMS) {
+        expect(draw(a[name])).toEqual(draw(b[name]));
+      }
+    });
+
+    test('test_differentSeeds_diverge', () => {
+      expect(draw(createRunRandom(1).spawns)).not.toEqual(draw(createRunRandom(2).spawns));
+    });
+
+    test('test_streams_areIndependent', () => {
+      const a = createRunRandom(99);
+      const b = createRunRandom(99);
+      draw(a.combat, 50); // extra combat rolls in run a only
+      expect(draw(a.layout)).toEqual(draw(b.layout));
+      expect(draw(a.layout)).not.toEqual(draw(a.spawns));
+    });
+
+    test('test_helpers_stayInRange', () => {
+      const { loot } = createRunRandom(7);
+      for (let i = 0; i < 200; i++) {
+        const r = loot.random();
+        expect(r).toBeGreaterThanOrEqual(0);
+        expect(r).toBeLessThan(1);
+        const n = loot.randInt(3, 7);
+        expect(n).toBeGreaterThanOrEqual(3);
+        expect(n).toBeLessThanOrEqual(7);
+      }
+      expect(['a', 'b']).toContain(loot.pick(['a', 'b']));
+    });
+  });
+
+  describe('runStream', () => {
+    test('test_seededGameState_returnsNamedStream', () => {
+      const gameState = { rng: createRunRandom(5) };
+      expect(runStream(gameState, 'ai')).toBe(gameState.rng.ai);
+    });
+
+    test('test_unseededGameState_fallsBackToMathRandom', () => {
+      const spy = jest.spyOn(Math, 'random').mockReturnValue(0.25);
+      try {
+        expect(runStream({}, 'loot')).toBe(unseeded);
+        expect(runStream(null, 'loot').random()).toBe(0.25);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+
+  describe('serializeRunRandom / restoreRunRandom', () => {
+    test('test_restoredStreams_continueWhereTheyStopped', () => {
+      const run = createRunRandom(99);
+      draw(run.loot, 3);
+      draw(run.layout, 7);
+      const saved = JSON.parse(JSON.stringify(serializeRunRandom(run)));
+      const restored = restoreRunRandom(saved);
+
+      expect(restored.seed).toBe(99);
+      for (const name of RUN_STREAMS) {
+        expect(draw(restored[name])).toEqual(draw(run[name]));
+      }
+    });
+
+    test('test_missingStream_startsFromTheRunSeed', () => {
+      const saved = serializeRunRandom(createRunRandom(7));
+      delete saved.streams.bots;
+      expect(draw(restoreRunRandom(saved).bots)).toEqual(draw(createRunRandom(7).bots));
+    });
+  });
+
+  describe('normalizeSeed', () => {
+    test('test_integers_passThrough', () => {
+      expect(normalizeSeed(0)).toBe(0);
+      expect(normalizeSeed(4294967295)).toBe(4294967295);
+      expect(normalizeSeed('123')).toBe(123);
+    });
+
+    test('test_strings_areHashedStably', () => {
+      const seed = normalizeSeed('friday-race');
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(normalizeSeed('  friday-race ')).toBe(seed);
+    });
+
+    test('test_invalidInput_returnsNull', () => {
+      expect(normalizeSeed(-1)).toBeNull();
+      expect(normalizeSeed(1.5)).toBeNull();
+      expect(normalizeSeed('   ')).toBeNull();
+      expect(normalizeSeed(null)).toBeNull();
+      expect(normalizeSeed(undefined)).toBeNull();
+    });
+  });
+
+  test('test_generateSeed_returnsUint32', () => {
+    const seed = generateSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThanOrEqual(0xffffffff);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for lib/server/snapshot/worldSnapshot.js
+ * Focus: which fields get rebased onto the new loop clock, what a saved zombie keeps, restoring over a
+ * freshly loaded room.
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const { captureWorld, restoreWorld, rebasePlayerState } = require('../../../lib/server/snapshot/worldSnapshot');
+const { initializeGameState } = require('../../../game/gameState');
+const { createRunRandom } = require('../../../lib/runPRNG');
+
+describe('rebasePlayerState', () => {
+  test('shifts the loop clock fields only', () => {
+    const wall = Date.now();
+    const copy = rebasePlayerState({
+      lastRegenTick: 5000,
+      lastAutoShot: 0,
+      comboTimer: wall,
+      survivalTime: 4500,
+      lastShot: 4800,
+      reloadingUntil: 6000,
+      spawnProtectionEndTime: wall,
+      upgrades: { regen: 1 }
+    }, -4000);
+
+    expect(copy).toEqual({
+      lastRegenTick: 1000,
+      lastAutoShot: 0,
+      comboTimer: wall,
+      survivalTime: 4500,
+      lastShot: 4800,
+      reloadingUntil: 6000,
+      spawnProtectionEndTime: wall,
+      upgrades: { regen: 1 }
+    });
+  });
+});
+
+describe('captureWorld', () => {
+  test('zombies lose their caches and a boss its pending cast', () => {
+    const gameState = initializeGameState();
+    const player = { id: 'p1' };
+    gameState.zombies = {
+      1: { id: 1, type: 'normal', health: 30, _cachedNearestPlayer: player, _prevX: 4, lastShot: 900 },
+      2: {
+        id: 2,
+        type: 'inferno',
+        isBoss: true,
+        health: 900,
+        _bossScript: { phase: 1, step: 2, queue: [], nextCastAt: 1200, pending: { impactAt: 1300 } }
+      }
+    };
+    const world = captureWorld(gameState);
+
+    expect(world.zombies[1]).toEqual({ id: 1, type: 'normal', health: 30, lastShot: 900 });
+    expect(world.zombies[2]._bossScript).toEqual({ phase: 1, step: 2, queue: [], nextCastAt: 1200, pending: null });
+    expect(gameState.zombies[2]._bossScript.pending).not.toBeNull();
+    expect(() => JSON.stringify(world)).not.toThrow();
+  });
+});
+
+describe('restoreWorld', () => {
+  function savedWorld() {
+    const gameState = initializeGameState();
+    gameState.rng = createRunRandom(5);
+    gameState.rooms = [{ walls: [{ x: 0 }] }, { walls: [{ x: 1 }] }];
+    gameState.currentRoom = 1;
+    gameState.altars = [{ id: 'a', state: 'active' }, { id: 'b', state: 'spent' }];
+    gameState.wave = 6;
+    gameState.bossSpawned = true;
+    gameState.nextZombieId = 40;
+    gameState.zombies = {
+      39: { id: 39, health: 9000, lastSpecial: 9000, slowed: { endTime: 9500, slowAmount: 0.5 } }
+    };
+    gameState.mutatorManager = {
+      serialize: () => ({ lastRotationWave: 5, timedEffects: [{ mutatorId: 'fog', expiresAt: 9200 }] })
+    };
+    gameState.loot = { 3: { id: 3, lifetime: Date.now() + 1000 } };
+    gameState.rng.spawns.random();
+    return { world: JSON.parse(JSON.stringify(captureWorld(gameState))), source: gameState };
+  }
+
+  test('loads the saved room, then puts the saved state over it', () => {
+    const { world, source } = savedWorld();
+    const gameState = initializeGameState();
+    const roomManager = {
+      loadRoom: jest.fn(index => {
+        gameState.currentRoom = index;
+        gameState.walls = gameState.rooms[index].walls;
+        gameState.zombies = {};
+        gameState.bossSpawned = false;
+      })
+    };
+
+    gameState.mutatorManager = { restore: jest.fn() };
+
+    restoreWorld(gameState, world, roomManager, -8000);
+
+    expect(roomManager.loadRoom).toHaveBeenCalledWith(1);
+    expect(gameState.walls).toEqual([{ x: 1 }]);
+    expect(gameState.altars.map(a => a.state)).toEqual(['idle', 'spent']);
+    expect(gameState).toMatchObject({ wave: 6, bossSpawned: true, nextZombieId: 40 });
+    expect(gameState.zombies[39]).toEqual({
+      id: 39, health: 9000, lastSpecial: 1000, slowed: { endTime: 1500, slowAmount: 0.5 }
+    });
+    expect(gameState.mutatorManager.restore).toHaveBeenCalledWith({
+      lastRotationWave: 5,
+      timedEffects: [{ mutatorId: 'fog', expiresAt: 1200 }]
+    });
+    expect(gameState.loot[3].lifetime).toBe(source.loot[3].lifetime);
+    expect(gameState.rng.spawns.random()).toBe(source.rng.spawns.random());
+  });
+});
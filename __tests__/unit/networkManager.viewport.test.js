@@ -1,10 +1,10 @@
 'use strict';
 
 /**
- * Tests for NetworkManager shared-state broadcasting.
+ * Tests for NetworkManager state broadcasting.
  *
- * AOI per-player filtering was removed for performance reasons. These tests
- * lock the current shared-broadcast contract and the simplified emit path.
+ * The public state is built once per tick, then culled per socket to the
+ * client's viewport (InterestManager).
  */
 
 const NetworkManager = require('../../lib/server/NetworkManager');
@@ -58,15 +58,15 @@ const PLAYER_B_ID = 'playerB';
 const playerA = { id: PLAYER_A_ID, x: 0, y: 0, health: 100 };
 const playerB = { id: PLAYER_B_ID, x: 10000, y: 10000, health: 100 };
 
-// Extra players keep the shape close to live lobbies, but shared broadcasting
-// now ignores per-player AOI entirely.
+// Extra players keep the shape close to live lobbies; they are far from
+// every zombie.
 const PADDING_PLAYERS = {
   pad1: { id: 'pad1', x: -50000, y: -50000, health: 100 },
   pad2: { id: 'pad2', x: -50000, y: 50000, health: 100 },
   pad3: { id: 'pad3', x: 50000, y: -50000, health: 100 }
 };
 
-// Distributed on purpose to prove there is no per-player filtering.
+// z1 is near playerA, z2 near playerB, z3 near nobody.
 const z1 = { id: 'z1', x: 100, y: 100, health: 50 };
 const z2 = { id: 'z2', x: 10100, y: 10100, health: 50 };
 const z3 = { id: 'z3', x: 50000, y: 50000, health: 50 };
@@ -128,7 +128,7 @@ describe('_buildPublicState', () => {
   });
 });
 
-describe('emitGameState — shared broadcast without AOI filtering', () => {
+describe('emitGameState — per-socket area-of-interest culling', () => {
   let socketA, socketB, mockIo, nm;
 
   beforeEach(() => {
@@ -152,47 +152,83 @@ describe('emitGameState — shared broadcast without AOI filtering', () => {
     jest.useRealTimers();
   });
 
-  test('uses a shared compressed broadcast instead of per-socket emits', () => {
+  function lastPayload(socket, event) {
+    const calls = socket.emit.mock.calls.filter(c => c[0] === event);
+    return calls.length ? calls[calls.length - 1][1] : undefined;
+  }
+
+  test('emits to each socket instead of a shared room broadcast', () => {
     nm.emitGameState();
 
-    expect(socketA.emit).not.toHaveBeenCalled();
-    expect(socketB.emit).not.toHaveBeenCalled();
-    expect(mockIo.compress).toHaveBeenCalledWith(false);
-    expect(mockIo.broadcastEmit).toHaveBeenCalled();
+    expect(socketA.emit).toHaveBeenCalledWith('gameState', expect.any(Object));
+    expect(socketB.emit).toHaveBeenCalledWith('gameState', expect.any(Object));
+    expect(mockIo.broadcastEmit).not.toHaveBeenCalled();
     expect(mockIo.emit).not.toHaveBeenCalled();
   });
 
-  test('full broadcast payload contains every zombie, not a per-player subset', () => {
+  test('keyframe only contains the zombies near each player', () => {
     nm.emitGameState();
 
-    const callArgs = mockIo.broadcastEmit.mock.calls[0];
-    expect(callArgs[0]).toBe('gameState');
-    const payload = callArgs[1];
-    expect(payload.zombies).toHaveProperty('z1');
-    expect(payload.zombies).toHaveProperty('z2');
-    expect(payload.zombies).toHaveProperty('z3');
+    const payloadA = lastPayload(socketA, 'gameState');
+    const payloadB = lastPayload(socketB, 'gameState');
+    expect(Object.keys(payloadA.zombies)).toEqual(['z1']);
+    expect(Object.keys(payloadB.zombies)).toEqual(['z2']);
+    expect(payloadA.full).toBe(true);
   });
 
-  test('full state payload has full:true flag', () => {
+  test('every socket still receives all players', () => {
     nm.emitGameState();
-    const payload = mockIo.broadcastEmit.mock.calls[0][1];
-    expect(payload.full).toBe(true);
+
+    const payloadA = lastPayload(socketA, 'gameState');
+    expect(Object.keys(payloadA.players).sort()).toEqual(
+      [PLAYER_A_ID, PLAYER_B_ID, 'pad1', 'pad2', 'pad3'].sort()
+    );
   });
 
-  test('delta is sent on subsequent tick', () => {
-    nm.emitGameState(); // full state (tick 10)
+  test('delta only reaches sockets that can see the change', () => {
+    nm.emitGameState(); // keyframe
 
-    // Move z1 so there's a change to detect
     nm.gameState.zombies.z1 = { ...z1, x: 110 };
-
     nm.emitGameState(); // delta tick
-    const deltaCall = mockIo.broadcastEmit.mock.calls.find(c => c[0] === 'gameStateDelta');
-    expect(deltaCall).toBeDefined();
+
+    const deltaA = lastPayload(socketA, 'gameStateDelta');
+    expect(deltaA.updated.zombies.z1).toEqual(expect.objectContaining({ x: 110 }));
+    expect(deltaA.serverTime).toEqual(expect.any(Number));
+    const deltaB = lastPayload(socketB, 'gameStateDelta');
+    expect(deltaB === undefined || deltaB.updated.zombies.z1 === undefined).toBe(true);
+
+    nm.gameState.zombies.z1 = { ...z1, x: 120 };
+    socketB.emit.mockClear();
+    nm.emitGameState();
+    expect(socketB.emit).not.toHaveBeenCalled();
+  });
+
+  test('zombie walking out of view is removed, walking in is sent whole', () => {
+    nm.emitGameState(); // keyframe
+
+    nm.gameState.zombies.z1 = { ...z1, x: 9900, y: 9900 };
+    nm.emitGameState();
+
+    expect(lastPayload(socketA, 'gameStateDelta').removed.zombies).toEqual(['z1']);
+    const deltaB = lastPayload(socketB, 'gameStateDelta');
+    expect(deltaB.updated.zombies.z1).toEqual(
+      expect.objectContaining({ _new: true, x: 9900, y: 9900, health: 50 })
+    );
+  });
+
+  test('resetDelta forces a culled keyframe on the next broadcast', () => {
+    nm.emitGameState();
+    socketA.emit.mockClear();
+
+    nm.resetDelta();
+    nm.emitGameState();
+
+    expect(lastPayload(socketA, 'gameState').zombies).toEqual({ z1: expect.any(Object) });
   });
 
-  test('falls back to plain io.emit when compress helper is absent', () => {
+  test('falls back to an unculled room broadcast without a socket registry', () => {
     const emit = jest.fn();
-    const io = { emit, sockets: { sockets: new Map() } };
+    const io = { emit, sockets: null };
     const gameState = makeGameState(makePlayersFixture(), { z1, z2, z3 });
     const instance = new NetworkManager(io, gameState);
     instance.fullStateCounter = instance.FULL_STATE_INTERVAL - 1;
@@ -212,3 +248,52 @@ describe('emitGameState — shared broadcast without AOI filtering', () => {
     );
   });
 });
+
+describe('viewport and spectator camera', () => {
+  test('spectator socket follows the chosen player', () => {
+    const spectator = makeSocket('spec');
+    const io = makeMockIo([spectator]);
+    const nm = new NetworkManager(io, makeGameState(makePlayersFixture(), { z1, z2, z3 }));
+    nm.fullStateCounter = nm.FULL_STATE_INTERVAL - 1;
+
+    nm.addSpectator('spec');
+    nm.setCameraTarget('spec', PLAYER_B_ID);
+    nm.emitGameState();
+
+    const payload = spectator.emit.mock.calls[0][1];
+    expect(Object.keys(payload.zombies)).toEqual(['z2']);
+  });
+
+  test('spectators are left out of the per-tick player broadcast', () => {
+    const player = makeSocket(PLAYER_A_ID);
+    const spectator = makeSocket('spec');
+    const io = makeMockIo([player, spectator]);
+    const nm = new NetworkManager(io, makeGameState({ [PLAYER_A_ID]: { ...playerA } }, { z1: { ...z1 } }));
+    nm.addSpectator('spec');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    nm.emitGameState();
+    nm.gameState.zombies.z1.x += 5;
+    nm.emitGameState();
+    now.mockRestore();
+
+    expect(player.emit.mock.calls.map(c => c[0])).toEqual(['gameState', 'gameStateDelta']);
+    expect(spectator.emit.mock.calls.map(c => c[0])).toEqual(['spectatorState']);
+    expect(spectator.emit.mock.calls[0][1].full).toBe(true);
+    expect(nm.getSpectatorCount()).toBe(1);
+  });
+
+  test('cleanupPlayer forgets the spectator', () => {
+    const spectator = makeSocket('spec');
+    const io = makeMockIo([spectator]);
+    const nm = new NetworkManager(io, makeGameState({}, { z1 }));
+    nm.fullStateCounter = nm.FULL_STATE_INTERVAL - 1;
+
+    nm.addSpectator('spec');
+    nm.cleanupPlayer('spec');
+    nm.emitGameState();
+
+    expect(spectator.emit).not.toHaveBeenCalled();
+    expect(nm.getSpectatorCount()).toBe(0);
+  });
+});
@@ -23,6 +23,8 @@ jest.mock('../../../game/lootFunctions', () => ({ spawnPowerup: mockSpawnPowerup
 
 const {
   buildContainer,
+  createReplayStore,
+  setupWorldPersistence,
   attachProgression,
   attachAdminCommands,
   startPowerupSpawner,
@@ -51,6 +53,47 @@ describe('buildContainer', () => {
   });
 });
 
+describe('createReplayStore', () => {
+  test('returns null when recording is disabled', () => {
+    expect(createReplayStore({ enabled: false })).toBeNull();
+  });
+
+  test('opens the replay directory when enabled', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'replays-')), 'nested');
+    try {
+      const store = createReplayStore({ enabled: true, dir, maxReplays: 5 });
+      expect(store.list()).toEqual([]);
+      expect(fs.existsSync(dir)).toBe(true);
+    } finally {
+      fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+    }
+  });
+});
+
+describe('setupWorldPersistence', () => {
+  test('returns null when world snapshots are disabled', () => {
+    expect(setupWorldPersistence({}, { enabled: false })).toBeNull();
+  });
+
+  test('opens the snapshot directory when enabled', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-'));
+    try {
+      const file = path.join(dir, 'nested', 'world.json');
+      const persistence = setupWorldPersistence({}, { enabled: true, file, intervalMs: 1000, maxAgeMs: 1000 });
+      expect(persistence.restore()).toEqual({ instances: 0, sessions: 0 });
+      expect(fs.existsSync(path.dirname(file))).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
 describe('attachProgression', () => {
   test('warns and skips when db unavailable', () => {
     const gameState = {};
@@ -76,7 +119,7 @@ describe('attachAdminCommands', () => {
     const gameState = {};
     const io = {}; const zombieManager = {};
     attachAdminCommands(io, gameState, zombieManager);
-    expect(mockAdminCommands).toHaveBeenCalledWith(io, gameState, zombieManager);
+    expect(mockAdminCommands).toHaveBeenCalledWith(io, gameState, zombieManager, null);
     expect(gameState.adminCommands).toBeInstanceOf(mockAdminCommands);
     expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Admin commands initialized'));
   });
@@ -9,6 +9,7 @@ jest.mock('../../../infrastructure/logging/Logger', () => ({
 const {
   createCleanup,
   stopTimers,
+  saveWorld,
   stopPerfIntegration,
   stopHazards
 } = require('../../../server/cleanup');
@@ -31,6 +32,19 @@ describe('stopTimers', () => {
   });
 });
 
+describe('saveWorld', () => {
+  test('stops the periodic saves and writes the final snapshot', () => {
+    const worldPersistence = { stop: jest.fn(), saveSync: jest.fn() };
+    saveWorld(worldPersistence);
+    expect(worldPersistence.stop).toHaveBeenCalled();
+    expect(worldPersistence.saveSync).toHaveBeenCalled();
+  });
+
+  test('no-op when world snapshots are disabled', () => {
+    expect(() => saveWorld(null)).not.toThrow();
+  });
+});
+
 describe('stopPerfIntegration', () => {
   test('calls cleanup() when present', () => {
     const perf = { cleanup: jest.fn() };
@@ -115,6 +129,21 @@ describe('createCleanup', () => {
     jest.useRealTimers();
   });
 
+  test('cleanupServer saves the world after the loops stopped, before the sockets drain', () => {
+    const deps = makeDeps();
+    const order = [];
+    const worldPersistence = { stop: jest.fn(), saveSync: jest.fn(() => order.push('save')) };
+    deps.getState = () => ({ gameState: {}, worldPersistence, stopGameLoop: () => order.push('loops') });
+    deps.io.close = jest.fn(() => order.push('sockets'));
+    const { cleanupServer } = createCleanup(deps);
+    jest.useFakeTimers();
+    const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    cleanupServer();
+    expect(order).toEqual(['loops', 'save', 'sockets']);
+    exitSpy.mockRestore();
+    jest.useRealTimers();
+  });
+
   test('install() registers SIGTERM + SIGINT + uncaughtException + unhandledRejection', () => {
     const deps = makeDeps();
     const { install } = createCleanup(deps);
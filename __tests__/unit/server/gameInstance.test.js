@@ -0,0 +1,244 @@
+/**
+ * Unit tests for server/gameInstance.js
+ * Focus: room-scoped io facade, per-instance tick counter, world isolation.
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const {
+  createGameInstance,
+  createInstanceIo,
+  createInstancePerf,
+  instanceRoom,
+  attachDailyChallenges
+} = require('../../../server/gameInstance');
+const { initializeGameState } = require('../../../game/gameState');
+const ConfigManager = require('../../../lib/server/ConfigManager');
+
+const { CONFIG, ZOMBIE_TYPES } = ConfigManager;
+
+function makeIo() {
+  const roomEmit = jest.fn();
+  const compressEmit = jest.fn();
+  const exceptEmit = jest.fn();
+  const except = jest.fn(() => ({ emit: exceptEmit }));
+  const io = {
+    sockets: { sockets: new Map() },
+    engine: {},
+    to: jest.fn(() => ({ emit: roomEmit, except, compress: jest.fn(() => ({ emit: compressEmit })) })),
+    in: jest.fn(() => ({}))
+  };
+  return { io, roomEmit, compressEmit, except, exceptEmit };
+}
+
+function makeDeps(io) {
+  return {
+    io,
+    config: CONFIG,
+    zombieTypes: ZOMBIE_TYPES,
+    perfIntegration: {
+      tickCounter: 0,
+      incrementTick() {
+        this.tickCounter++;
+      },
+      shouldBroadcast: () => false,
+      getTickInterval: () => 16,
+      canSpawnZombie: () => true,
+      canSpawnPowerup: () => true
+    },
+    metricsCollector: {},
+    gameLoop: jest.fn(),
+    startGameLoop: jest.fn(() => ({ stop: jest.fn(), getMetrics: () => ({ ticksPerSecond: 60 }) })),
+    container: null,
+    dbAvailable: false,
+    inactivityTimeout: 60000,
+    heartbeatCheckInterval: 60000
+  };
+}
+
+describe('createInstanceIo', () => {
+  test('emit broadcasts to the instance room only', () => {
+    const { io, roomEmit } = makeIo();
+    const scoped = createInstanceIo(io, 'instance:a');
+    scoped.emit('newWave', { wave: 2 });
+    expect(io.to).toHaveBeenCalledWith('instance:a');
+    expect(roomEmit).toHaveBeenCalledWith('newWave', { wave: 2 });
+  });
+
+  test('compress targets the room; to() and sockets pass through', () => {
+    const { io, compressEmit } = makeIo();
+    const scoped = createInstanceIo(io, 'instance:a');
+    scoped.compress(false).emit('gameStateDelta', {});
+    expect(compressEmit).toHaveBeenCalledWith('gameStateDelta', {});
+    scoped.to('socket-1');
+    expect(io.to).toHaveBeenLastCalledWith('socket-1');
+    expect(scoped.sockets).toBe(io.sockets);
+  });
+
+  test('except broadcasts to the room minus the given sockets', () => {
+    const { io, except, exceptEmit } = makeIo();
+    const scoped = createInstanceIo(io, 'instance:a');
+    scoped.except(['socket-2']).emit('chatMessage', {});
+    expect(io.to).toHaveBeenCalledWith('instance:a');
+    expect(except).toHaveBeenCalledWith(['socket-2']);
+    expect(exceptEmit).toHaveBeenCalledWith('chatMessage', {});
+  });
+});
+
+describe('createInstancePerf', () => {
+  test('owns its tick counter but shares behaviour', () => {
+    const shared = {
+      tickCounter: 5,
+      incrementTick() {
+        this.tickCounter++;
+      },
+      getTickInterval: () => 16
+    };
+    const view = createInstancePerf(shared);
+    view.incrementTick();
+    view.incrementTick();
+    expect(view.tickCounter).toBe(2);
+    expect(shared.tickCounter).toBe(5);
+    expect(view.getTickInterval()).toBe(16);
+  });
+});
+
+describe('createGameInstance', () => {
+  const started = [];
+  afterEach(() => {
+    started.splice(0).forEach(instance => instance.stop());
+  });
+
+  function startInstance(id, io, extra = {}) {
+    const instance = createGameInstance(
+      { id, name: id, maxPlayers: 2, ...extra },
+      makeDeps(io)
+    ).start();
+    started.push(instance);
+    return instance;
+  }
+
+  test('each instance gets its own world, rooms and managers', () => {
+    const { io } = makeIo();
+    const a = startInstance('a', io);
+    const b = startInstance('b', io);
+
+    expect(a.gameState).not.toBe(b.gameState);
+    expect(a.gameState.instanceId).toBe('a');
+    expect(a.gameState.rooms).toHaveLength(CONFIG.ROOMS_PER_RUN);
+    expect(a.roomManager).not.toBe(b.roomManager);
+    expect(a.gameState.mutatorManager).toBe(a.mutatorManager);
+
+    a.gameState.wave = 7;
+    expect(b.gameState.wave).toBe(1);
+  });
+
+  test('roomChanged on load is broadcast to the instance room', () => {
+    const { io, roomEmit } = makeIo();
+    startInstance('c', io);
+    expect(io.to).toHaveBeenCalledWith(instanceRoom('c'));
+    expect(roomEmit).toHaveBeenCalledWith('roomChanged', expect.objectContaining({ roomIndex: 0 }));
+  });
+
+  test('start wires a dedicated tick and stop tears it down', () => {
+    const { io } = makeIo();
+    const deps = makeDeps(io);
+    const instance = createGameInstance({ id: 'd', name: 'd', maxPlayers: 2 }, deps).start();
+    expect(deps.startGameLoop).toHaveBeenCalledTimes(1);
+    expect(instance.isRunning()).toBe(true);
+    expect(instance.getLoopMetrics()).toEqual({ ticksPerSecond: 60 });
+
+    const loop = deps.startGameLoop.mock.results[0].value;
+    instance.stop();
+    expect(loop.stop).toHaveBeenCalled();
+    expect(instance.isRunning()).toBe(false);
+  });
+
+  test('isFull honours maxPlayers and toPublic exposes counts', () => {
+    const { io } = makeIo();
+    const instance = startInstance('e', io, { isPrivate: true });
+    instance.gameState.players.p1 = {};
+    expect(instance.isFull()).toBe(false);
+    instance.gameState.players.p2 = {};
+    expect(instance.isFull()).toBe(true);
+    expect(instance.toPublic()).toEqual(expect.objectContaining({
+      id: 'e', players: 2, maxPlayers: 2, wave: 1, isPrivate: true, isDefault: false
+    }));
+  });
+
+  test('bots fill in for missing humans without taking their slots', () => {
+    const { io } = makeIo();
+    const instance = startInstance('l', io);
+    expect(instance.botManager).toBe(instance.gameState.botManager);
+    instance.gameState.players.p1 = { id: 'p1', x: 500, y: 500, alive: true, hasNickname: true, nickname: 'Alice' };
+    instance.botManager.reconcile();
+
+    expect(instance.getPlayerCount()).toBe(1);
+    expect(instance.isFull()).toBe(false);
+    expect(instance.toPublic()).toEqual(expect.objectContaining({ players: 1, bots: 1 }));
+
+    instance.stop();
+    expect(Object.keys(instance.gameState.players)).toEqual(['p1']);
+  });
+
+  test('non-default instances do not advance the shared tick counter', () => {
+    const { io } = makeIo();
+    const deps = makeDeps(io);
+    const instance = createGameInstance({ id: 'f', name: 'f', maxPlayers: 2 }, deps).start();
+    started.push(instance);
+    instance.perfIntegration.incrementTick();
+    expect(deps.perfIntegration.tickCounter).toBe(0);
+  });
+
+  test('instances sharing a seed generate identical runs', () => {
+    const { io } = makeIo();
+    const a = startInstance('g', io, { seed: 'friday-race' });
+    const b = startInstance('h', io, { seed: 'friday-race' });
+    const c = startInstance('i', io, { seed: 42 });
+
+    expect(a.seed).toBe(b.seed);
+    expect(a.gameState.rng.seed).toBe(a.seed);
+    expect(c.toPublic().seed).toBe(42);
+    expect(a.gameState.rooms).toEqual(b.gameState.rooms);
+    expect(a.gameState.rooms).not.toEqual(c.gameState.rooms);
+  });
+
+  test('an instance without a seed picks a random one', () => {
+    const { io } = makeIo();
+    const instance = startInstance('j', io);
+    expect(Number.isInteger(instance.seed)).toBe(true);
+    expect(instance.gameState.rng.seed).toBe(instance.seed);
+  });
+
+  test('a replay store turns on match recording for the instance', () => {
+    const { io } = makeIo();
+    const deps = makeDeps(io);
+    deps.replayStore = { filePath: id => `/tmp/${id}` };
+    const instance = createGameInstance({ id: 'k', name: 'k', maxPlayers: 2, seed: 7 }, deps).start();
+    started.push(instance);
+    expect(instance.recorder).not.toBeNull();
+    expect(instance.recorder.seed).toBe(7);
+    expect(instance.networkManager.recorder).toBe(instance.recorder);
+  });
+});
+
+describe('attachDailyChallenges', () => {
+  test('skips when the database is unavailable', () => {
+    const gameState = initializeGameState();
+    attachDailyChallenges(false, null, {}, gameState);
+    expect(gameState.dailyChallengeIntegration).toBeUndefined();
+  });
+
+  test('feeds server kill events to the daily challenge service', () => {
+    const gameState = initializeGameState();
+    gameState.players.s1 = { id: 's1', alive: true, accountId: 'acc-1' };
+    const service = { applyEvent: jest.fn(() => []) };
+    attachDailyChallenges(true, { get: () => service }, {}, gameState);
+
+    gameState.events.emit('zombieKilled', { playerId: 's1', zombieType: 'fast', isBoss: false, wave: 1 });
+    gameState.dailyChallengeIntegration.stop();
+    expect(service.applyEvent).toHaveBeenCalledWith('acc-1', 'zombies_killed', 1, {});
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for server/instanceManager.js
+ * Focus: default instance, creation cap, listing, resolution, idle reaping.
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const {
+  createInstanceManager,
+  normalizeInstanceId,
+  DEFAULT_INSTANCE_ID
+} = require('../../../server/instanceManager');
+const { ConflictError, NotFoundError } = require('../../../lib/domain/errors/DomainErrors');
+
+const SETTINGS = {
+  maxInstances: 3,
+  defaultMaxPlayers: 4,
+  maxPlayersCap: 8,
+  idleTimeoutMs: 1000,
+  reapIntervalMs: 500
+};
+
+function fakeFactory(options) {
+  const players = {};
+  return {
+    ...options,
+    isPrivate: options.isPrivate || false,
+    isDefault: options.isDefault || false,
+    emptySince: 0,
+    gameState: { players },
+    start: jest.fn(),
+    stop: jest.fn(),
+    getPlayerCount: () => Object.keys(players).length,
+    toPublic() {
+      return { id: options.id, name: options.name, players: this.getPlayerCount() };
+    }
+  };
+}
+
+function makeManager(settings = SETTINGS) {
+  return createInstanceManager({}, settings, jest.fn(fakeFactory));
+}
+
+describe('normalizeInstanceId', () => {
+  test('accepts lowercase ids and trims', () => {
+    expect(normalizeInstanceId(' AB12-cd ')).toBe('ab12-cd');
+  });
+
+  test('rejects non-strings and invalid characters', () => {
+    expect(normalizeInstanceId(42)).toBeNull();
+    expect(normalizeInstanceId('bad id!')).toBeNull();
+    expect(normalizeInstanceId('')).toBeNull();
+  });
+});
+
+describe('createInstanceManager', () => {
+  test('startDefaultInstance creates and starts the default world once', () => {
+    const manager = makeManager();
+    const first = manager.startDefaultInstance();
+    const second = manager.startDefaultInstance();
+    expect(first).toBe(second);
+    expect(first.id).toBe(DEFAULT_INSTANCE_ID);
+    expect(first.start).toHaveBeenCalledTimes(1);
+  });
+
+  test('createInstance clamps maxPlayers and records the owner', () => {
+    const manager = makeManager();
+    const instance = manager.createInstance({ maxPlayers: 50, ownerId: 'owner-1' });
+    expect(instance.maxPlayers).toBe(SETTINGS.maxPlayersCap);
+    expect(instance.ownerId).toBe('owner-1');
+    expect(instance.start).toHaveBeenCalled();
+    expect(manager.getInstance(instance.id)).toBe(instance);
+  });
+
+  test('createInstance uses the default cap when none is given', () => {
+    const manager = makeManager();
+    expect(manager.createInstance().maxPlayers).toBe(SETTINGS.defaultMaxPlayers);
+  });
+
+  test('createInstance throws ConflictError at the instance limit', () => {
+    const manager = makeManager();
+    manager.startDefaultInstance();
+    manager.createInstance();
+    manager.createInstance();
+    expect(() => manager.createInstance()).toThrow(ConflictError);
+  });
+
+  test('listInstances hides private instances', () => {
+    const manager = makeManager();
+    manager.startDefaultInstance();
+    const priv = manager.createInstance({ isPrivate: true });
+    const ids = manager.listInstances().map(i => i.id);
+    expect(ids).toContain(DEFAULT_INSTANCE_ID);
+    expect(ids).not.toContain(priv.id);
+  });
+
+  test('resolveInstance falls back to default and rejects unknown ids', () => {
+    const manager = makeManager();
+    const def = manager.startDefaultInstance();
+    expect(manager.resolveInstance(null)).toBe(def);
+    expect(() => manager.resolveInstance('nope')).toThrow(NotFoundError);
+  });
+
+  test('removeInstance never removes the default instance', () => {
+    const manager = makeManager();
+    manager.startDefaultInstance();
+    expect(manager.removeInstance(DEFAULT_INSTANCE_ID)).toBe(false);
+    const extra = manager.createInstance();
+    expect(manager.removeInstance(extra.id)).toBe(true);
+    expect(extra.stop).toHaveBeenCalled();
+    expect(manager.getInstance(extra.id)).toBeNull();
+  });
+
+  test('reapIdleInstances removes instances empty for idleTimeoutMs', () => {
+    const manager = makeManager();
+    manager.startDefaultInstance();
+    const idle = manager.createInstance();
+    const busy = manager.createInstance();
+    busy.gameState.players.p1 = {};
+    idle.emptySince = 0;
+
+    expect(manager.reapIdleInstances(500)).toBe(0);
+    expect(manager.reapIdleInstances(1500)).toBe(1);
+    expect(manager.getInstance(idle.id)).toBeNull();
+    expect(manager.getInstance(busy.id)).toBe(busy);
+    expect(manager.getDefaultInstance()).not.toBeNull();
+  });
+
+  test('getTotalPlayerCount sums every instance', () => {
+    const manager = makeManager();
+    const def = manager.startDefaultInstance();
+    const extra = manager.createInstance();
+    def.gameState.players.a = {};
+    extra.gameState.players.b = {};
+    extra.gameState.players.c = {};
+    expect(manager.getTotalPlayerCount()).toBe(3);
+  });
+
+  test('restoreInstance re-creates an instance under its saved id', () => {
+    const manager = makeManager();
+    const restored = manager.restoreInstance({ id: 'ab12cd34', name: 'Squad', maxPlayers: 50, isPrivate: true, seed: 7 });
+    expect(restored.start).toHaveBeenCalled();
+    expect(restored).toMatchObject({ id: 'ab12cd34', name: 'Squad', maxPlayers: 8, isPrivate: true, seed: 7 });
+    expect(manager.resolveInstance('ab12cd34')).toBe(restored);
+
+    const def = manager.restoreInstance({ id: 'whatever', name: 'Public', isDefault: true, seed: 3 });
+    expect(def).toMatchObject({ id: DEFAULT_INSTANCE_ID, isDefault: true, seed: 3 });
+    expect(manager.startDefaultInstance()).toBe(def);
+  });
+
+  test('restoreInstance refuses invalid or taken ids and the instance limit', () => {
+    const manager = makeManager();
+    manager.restoreInstance({ id: 'aaaa' });
+    expect(manager.restoreInstance({ id: 'aaaa' })).toBeNull();
+    expect(manager.restoreInstance({ id: 'Bad id!' })).toBeNull();
+    manager.restoreInstance({ id: 'bbbb' });
+    manager.restoreInstance({ id: 'cccc' });
+    expect(manager.restoreInstance({ id: 'dddd' })).toBeNull();
+  });
+
+  test('stopAll stops every instance', () => {
+    const manager = makeManager();
+    const def = manager.startDefaultInstance();
+    const extra = manager.createInstance();
+    manager.stopAll();
+    expect(def.stop).toHaveBeenCalled();
+    expect(extra.stop).toHaveBeenCalled();
+  });
+});
@@ -22,12 +22,24 @@ jest.mock('../../../transport/http/players', () => jest.fn(() => 'playersRouter'
 jest.mock('../../../transport/http/progression', () => jest.fn(() => 'progressionRouter'));
 jest.mock('../../../transport/http/achievements', () => jest.fn(() => 'achievementsRouter'));
 jest.mock('../../../transport/http/dailyChallenges', () => jest.fn(() => 'dailyChallengesRouter'));
+jest.mock('../../../transport/http/gems', () => jest.fn(() => 'gemsRouter'));
+jest.mock('../../../transport/http/skins', () => jest.fn(() => 'skinsRouter'));
+jest.mock('../../../transport/http/contracts', () => jest.fn(() => 'contractsRouter'));
+jest.mock('../../../transport/http/lifetimeStats', () => jest.fn(() => 'lifetimeStatsRouter'));
+jest.mock('../../../transport/http/relationships', () => jest.fn(() => 'relationshipsRouter'));
+jest.mock('../../../transport/http/chatModeration', () => jest.fn(() => 'chatModerationRouter'));
+jest.mock('../../../transport/http/moderation', () => jest.fn(() => 'moderationRouter'));
+jest.mock('../../../transport/http/antiCheat', () => jest.fn(() => 'antiCheatRouter'));
 jest.mock('../../../transport/http/features', () => 'featuresRouter');
+jest.mock('../../../transport/http/instances', () => jest.fn(() => 'instancesRouter'));
+jest.mock('../../../transport/http/replays', () => jest.fn(() => 'replaysRouter'));
 
 const {
   configureRoutes,
   mountAuthRoutes,
   mountDbRoutes,
+  mountInstanceRoutes,
+  mountReplayRoutes,
   mountSystemRoutes
 } = require('../../../server/routes');
 
@@ -55,9 +67,41 @@ describe('mountDbRoutes', () => {
     expect(paths).toContain('/api/v1/progression');
     expect(paths).toContain('/api/v1/achievements');
     expect(paths).toContain('/api/v1/daily-challenges');
+    expect(paths).toContain('/api/v1/gems');
+    expect(paths).toContain('/api/v1/skins');
+    expect(paths).toContain('/api/v1/contracts');
+    expect(paths).toContain('/api/v1/lifetime-stats');
+    expect(paths).toContain('/api/v1/relationships');
     expect(paths).not.toContain('/api/leaderboard');
     expect(paths).not.toContain('/api/players');
   });
+
+  test('chat moderation route is behind requireMetricsToken middleware', () => {
+    const app = makeApp();
+    mountDbRoutes(app, {}, () => {});
+    const chatCall = app.use.mock.calls.find(c => c[0] === '/admin/chat');
+    expect(chatCall).toBeDefined();
+    expect(chatCall[1]).toBe(mockRequireMetricsToken);
+  });
+
+  test('account moderation route is behind requireMetricsToken and gets io', () => {
+    const app = makeApp();
+    const io = { sockets: {} };
+    mountDbRoutes(app, {}, () => {}, io);
+    const call = app.use.mock.calls.find(c => c[0] === '/admin/moderation');
+    expect(call).toBeDefined();
+    expect(call[1]).toBe(mockRequireMetricsToken);
+    expect(require('../../../transport/http/moderation')).toHaveBeenCalledWith({}, { io });
+  });
+
+  test('anti-cheat route is behind requireMetricsToken middleware', () => {
+    const app = makeApp();
+    mountDbRoutes(app, {}, () => {});
+    const call = app.use.mock.calls.find(c => c[0] === '/admin/anticheat');
+    expect(call).toBeDefined();
+    expect(call[1]).toBe(mockRequireMetricsToken);
+    expect(call[2]).toBe('antiCheatRouter');
+  });
 });
 
 describe('mountSystemRoutes', () => {
@@ -92,6 +136,36 @@ describe('mountSystemRoutes', () => {
   });
 });
 
+describe('mountInstanceRoutes', () => {
+  test('mounts instances under /api/v1 when a registry is provided', () => {
+    const app = makeApp();
+    mountInstanceRoutes(app, { instanceManager: {}, requireAuth: () => {} });
+    expect(app.use).toHaveBeenCalledWith('/api/v1/instances', 'instancesRouter');
+  });
+
+  test('is a no-op without an instance manager', () => {
+    const app = makeApp();
+    mountInstanceRoutes(app, {});
+    expect(app.use).not.toHaveBeenCalled();
+  });
+});
+
+describe('mountReplayRoutes', () => {
+  test('mounts replays under /api/v1 when recording is enabled', () => {
+    const app = makeApp();
+    const requireAuth = jest.fn();
+    mountReplayRoutes(app, { replayStore: {}, requireAuth });
+    expect(app.use).toHaveBeenCalledWith('/api/v1/replays', 'replaysRouter');
+    expect(require('../../../transport/http/replays')).toHaveBeenCalledWith({}, { requireAuth });
+  });
+
+  test('is a no-op without a replay store', () => {
+    const app = makeApp();
+    mountReplayRoutes(app, {});
+    expect(app.use).not.toHaveBeenCalled();
+  });
+});
+
 describe('configureRoutes', () => {
   test('mounts all routes when dbAvailable = true', () => {
     const app = makeApp();
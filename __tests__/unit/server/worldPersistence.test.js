@@ -0,0 +1,216 @@
+/**
+ * Unit tests for server/worldPersistence.js
+ * Focus: a world saved by one instance manager comes back in another
+ * (instances, room, wave, zombies, random streams), sessions waiting for
+ * their players, stale snapshots ignored.
+ */
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorldPersistence, SNAPSHOT_VERSION } = require('../../../server/worldPersistence');
+const { createInstanceManager } = require('../../../server/instanceManager');
+const WorldSnapshotStore = require('../../../lib/server/snapshot/WorldSnapshotStore');
+const ConfigManager = require('../../../lib/server/ConfigManager');
+const { restoreRecoverablePlayerState } = require('../../../contexts/session/sessionRecovery');
+const { handlePlayerDeathProgression } = require('../../../contexts/player/modules/DeathProgressionHandler');
+
+const { CONFIG, ZOMBIE_TYPES } = ConfigManager;
+
+const SETTINGS = { enabled: true, intervalMs: 1000, maxAgeMs: 60000 };
+const INSTANCE_SETTINGS = {
+  maxInstances: 4,
+  defaultMaxPlayers: 4,
+  maxPlayersCap: 8,
+  idleTimeoutMs: 60000,
+  reapIntervalMs: 60000,
+  defaultSeed: null
+};
+const SESSION_ID = '6f1c2a9e-8b7d-4c3e-9a1f-2b3c4d5e6f70';
+
+function makeDeps() {
+  const emit = jest.fn();
+  return {
+    io: {
+      sockets: { sockets: new Map() },
+      engine: {},
+      to: jest.fn(() => ({ emit, except: () => ({ emit }), compress: () => ({ emit }) })),
+      in: jest.fn(() => ({}))
+    },
+    config: CONFIG,
+    zombieTypes: ZOMBIE_TYPES,
+    perfIntegration: {
+      tickCounter: 0,
+      shouldBroadcast: () => false,
+      canSpawnZombie: () => true,
+      canSpawnPowerup: () => true
+    },
+    metricsCollector: {},
+    gameLoop: jest.fn(),
+    startGameLoop: jest.fn(() => ({ stop: jest.fn(), getMetrics: () => null })),
+    container: null,
+    dbAvailable: false,
+    inactivityTimeout: 60000,
+    heartbeatCheckInterval: 60000
+  };
+}
+
+let dir;
+let managers;
+
+function makeWorld(clock) {
+  const instanceManager = createInstanceManager(makeDeps(), INSTANCE_SETTINGS);
+  managers.push(instanceManager);
+  const store = new WorldSnapshotStore({ file: path.join(dir, 'world.json') });
+  const sessions = new Map();
+  const persistence = createWorldPersistence({
+    instanceManager,
+    store,
+    settings: SETTINGS,
+    sessions,
+    loopClock: () => clock
+  });
+  return { instanceManager, store, sessions, persistence };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-snapshot-'));
+  managers = [];
+});
+
+afterEach(() => {
+  managers.forEach(manager => manager.stopAll());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function playSomeRun(instanceManager) {
+  const def = instanceManager.startDefaultInstance();
+  const lobby = instanceManager.createInstance({ name: 'Squad', isPrivate: true, maxPlayers: 3, seed: 42 });
+  const gs = def.gameState;
+  def.roomManager.loadRoom(2);
+  gs.wave = 7;
+  gs.zombiesKilledThisWave = 12;
+  gs.zombies = {
+    900: { id: 900, type: 'normal', x: 500, y: 600, health: 20, maxHealth: 40, lastSpecial: 59000 }
+  };
+  gs.nextZombieId = 901;
+  gs.players.sock1 = {
+    id: 'sock1', sessionId: SESSION_ID, accountId: 'acc-1', nickname: 'Alice', hasNickname: true,
+    alive: true, x: 300, y: 400, health: 80, maxHealth: 120, level: 5, xp: 40, gold: 250,
+    lastRegenTick: 59500, survivalTime: 42, upgrades: {}
+  };
+  gs.players.bot = { id: 'bot', isBot: true, sessionId: null, hasNickname: true, nickname: 'Bot Ash' };
+  return { def, lobby };
+}
+
+describe('createWorldPersistence', () => {
+  test('a saved run comes back under the same instances after a restart', () => {
+    const before = makeWorld(60000);
+    const { def, lobby } = playSomeRun(before.instanceManager);
+    before.sessions.set('gone-session', {
+      playerState: { id: 'old', nickname: 'Bob', hasNickname: true },
+      disconnectedAt: 1000,
+      accountId: null,
+      instanceId: lobby.id
+    });
+    before.persistence.saveSync();
+    const expectedRoll = def.gameState.rng.spawns.random();
+
+    const after = makeWorld(500);
+    const savedAt = JSON.parse(fs.readFileSync(after.store.file, 'utf8')).savedAt;
+    expect(after.persistence.restore(savedAt + 5000)).toEqual({ instances: 2, sessions: 2 });
+
+    const restoredDefault = after.instanceManager.startDefaultInstance();
+    const gs = restoredDefault.gameState;
+    expect(restoredDefault.seed).toBe(def.seed);
+    expect(gs.currentRoom).toBe(2);
+    expect(gs.walls).toEqual(def.gameState.walls);
+    expect(gs).toMatchObject({ wave: 7, zombiesKilledThisWave: 12, nextZombieId: 901 });
+    // 1000 ms since its last special, on the new loop clock too
+    expect(gs.zombies[900]).toMatchObject({ health: 20, lastSpecial: -500 });
+    expect(gs.players).toEqual({});
+    expect(gs.rng.spawns.random()).toBe(expectedRoll);
+
+    const restoredLobby = after.instanceManager.getInstance(lobby.id);
+    expect(restoredLobby).toMatchObject({ name: 'Squad', isPrivate: true, maxPlayers: 3, seed: 42 });
+
+    const alice = after.sessions.get(SESSION_ID);
+    expect(alice).toMatchObject({ accountId: 'acc-1', instanceId: 'default', disconnectedAt: savedAt + 5000 });
+    expect(alice.playerState).toMatchObject({ nickname: 'Alice', level: 5, gold: 250, lastRegenTick: 0, survivalTime: 42 });
+    expect(after.sessions.get('gone-session')).toMatchObject({ instanceId: lobby.id, disconnectedAt: 6000 });
+  });
+
+  test('a run resumed after a restart is recorded with its pre-restart counters', () => {
+    const before = makeWorld(60000);
+    const { def } = playSomeRun(before.instanceManager);
+    Object.assign(def.gameState.players.sock1, {
+      runId: 'run-1',
+      survivalStartedAt: Date.now() - 120000,
+      zombiesKilled: 31,
+      kills: 31,
+      highestCombo: 9,
+      maxCombo: 9,
+      bossKills: 0,
+      goldEarned: 480,
+      weaponRunStats: {
+        shotgun: { shotsFired: 80, shotsHit: 50, kills: 12, damageDealt: 1500.4, activeTime: 9000, lastShotAt: 1000 }
+      }
+    });
+    before.persistence.saveSync();
+
+    const after = makeWorld(500);
+    after.persistence.restore();
+    const gs = after.instanceManager.startDefaultInstance().gameState;
+    const player = restoreRecoverablePlayerState(after.sessions.get(SESSION_ID).playerState, 'sock2', SESSION_ID, 'acc-1');
+    gs.players.sock2 = player;
+    const handlePlayerDeath = jest.fn().mockResolvedValue();
+    gs.progressionIntegration = { checkSecondChance: () => false, handlePlayerDeath };
+
+    player.health = 0;
+    handlePlayerDeathProgression(player, 'sock2', gs, Date.now(), true);
+
+    expect(handlePlayerDeath).toHaveBeenCalledWith(
+      expect.objectContaining({ runId: 'run-1' }),
+      'acc-1',
+      expect.objectContaining({
+        wave: 7,
+        kills: 31,
+        comboMax: 9,
+        bossKills: 1,
+        goldEarned: 480,
+        weaponStats: [{ weaponId: 'shotgun', shotsFired: 80, shotsHit: 50, kills: 12, damageDealt: 1500, activeTime: 9000 }]
+      }),
+      expect.any(Object)
+    );
+    expect(handlePlayerDeath.mock.calls[0][2].survivalTimeSeconds).toBeGreaterThanOrEqual(120);
+  });
+
+  test('stale or foreign snapshots are ignored', () => {
+    const before = makeWorld(1000);
+    playSomeRun(before.instanceManager);
+    before.persistence.saveSync();
+    const snapshot = JSON.parse(fs.readFileSync(before.store.file, 'utf8'));
+
+    const late = makeWorld(0);
+    expect(late.persistence.restore(snapshot.savedAt + SETTINGS.maxAgeMs + 1)).toEqual({ instances: 0, sessions: 0 });
+    expect(late.instanceManager.getDefaultInstance()).toBeNull();
+
+    fs.writeFileSync(before.store.file, JSON.stringify({ ...snapshot, version: SNAPSHOT_VERSION + 1 }));
+    expect(makeWorld(0).persistence.restore(snapshot.savedAt)).toEqual({ instances: 0, sessions: 0 });
+
+    fs.writeFileSync(before.store.file, '{ truncated');
+    expect(makeWorld(0).persistence.restore()).toEqual({ instances: 0, sessions: 0 });
+  });
+
+  test('save writes the snapshot without blocking the loop', async () => {
+    const world = makeWorld(0);
+    world.instanceManager.startDefaultInstance();
+    expect(world.store.load()).toBeNull();
+    await world.persistence.save();
+    expect(world.store.load()).toMatchObject({ version: SNAPSHOT_VERSION, instances: [{ id: 'default' }] });
+  });
+});
@@ -54,7 +54,7 @@ describe('Bug 2 – counter overflow prevention (CounterCollector)', () => {
 // ------------------------------------------------------------------ Bugs 1 & 3
 // ENABLE_ANTICHEAT is read at module-load time, so we set env then reset modules.
 describe('Anti-cheat flag tests (ENABLE_ANTICHEAT=true)', () => {
-  let registerPlayerMoveHandler, SOCKET_EVENTS;
+  let registerPlayerMoveHandler, SOCKET_EVENTS, reportViolation;
 
   beforeAll(() => {
     process.env.ENABLE_ANTICHEAT = 'true';
@@ -69,6 +69,7 @@ return null;
       }
     }));
     jest.mock('../../../sockets/rateLimitStore', () => ({ checkRateLimit: () => true }));
+    jest.mock('../../../sockets/antiCheatLedger', () => ({ reportViolation: jest.fn() }));
     jest.mock('../../../infrastructure/logging/Logger', () => ({
       warn: jest.fn(), info: jest.fn(), debug: jest.fn(), error: jest.fn()
     }));
@@ -78,6 +79,7 @@ return null;
 
     ({ registerPlayerMoveHandler } = require('../../../transport/websocket/handlers/playerMove'));
     ({ SOCKET_EVENTS } = require('../../../transport/websocket/events'));
+    ({ reportViolation } = require('../../../sockets/antiCheatLedger'));
   });
 
   afterAll(() => {
@@ -130,4 +132,21 @@ return null;
     expect(correction).toBeDefined();
     expect(player.x).toBe(500);
   });
+
+  it('attributes a rejected move to the account in the evidence ledger', () => {
+    reportViolation.mockClear();
+    const socket = makeSocket();
+    socket.userId = 'account-1';
+    const player = makePlayer({ x: 500, y: 500, moveBudget: 0, lastMoveTime: Date.now() });
+    const gameState = { players: { [socket.id]: player } };
+    registerPlayerMoveHandler(socket, gameState, roomManager);
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_MOVE, { x: 1500, y: 500, angle: 0 });
+
+    expect(reportViolation).toHaveBeenCalledWith('account-1', 'movement_budget', expect.any(Number), expect.objectContaining({
+      from: { x: 500, y: 500 },
+      to: expect.objectContaining({ y: 500 })
+    }));
+    expect(reportViolation.mock.calls[0][2]).toBeGreaterThan(1);
+  });
 });
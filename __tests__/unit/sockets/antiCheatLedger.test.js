@@ -0,0 +1,46 @@
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  error: jest.fn()
+}));
+
+const logger = require('../../../infrastructure/logging/Logger');
+const { setViolationSink, reportViolation } = require('../../../sockets/antiCheatLedger');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('antiCheatLedger', () => {
+  afterEach(() => {
+    setViolationSink(null);
+    jest.clearAllMocks();
+  });
+
+  test('forwards reports with an account to the sink', async () => {
+    const sink = { recordViolation: jest.fn().mockResolvedValue(null) };
+    setViolationSink(sink);
+
+    reportViolation('account-1', 'rate_limit', 1.2, { event: 'shoot' });
+    await flush();
+
+    expect(sink.recordViolation).toHaveBeenCalledWith({
+      playerId: 'account-1', type: 'rate_limit', magnitude: 1.2, snapshot: { event: 'shoot' }
+    });
+  });
+
+  test('drops reports without sink or account', async () => {
+    const sink = { recordViolation: jest.fn() };
+    reportViolation('account-1', 'rate_limit', 1);
+    setViolationSink(sink);
+    reportViolation(null, 'rate_limit', 1);
+    await flush();
+
+    expect(sink.recordViolation).not.toHaveBeenCalled();
+  });
+
+  test('logs sink failures instead of throwing', async () => {
+    setViolationSink({ recordViolation: jest.fn().mockRejectedValue(new Error('db down')) });
+
+    expect(() => reportViolation('account-1', 'movement_budget', 2)).not.toThrow();
+    await flush();
+
+    expect(logger.error).toHaveBeenCalledWith('Failed to record anti-cheat violation', expect.objectContaining({ error: 'db down' }));
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Emote + chat socket handlers — validation, rate limit, channel routing
+ * and moderation log.
+ */
+'use strict';
+
+const mockCheckRateLimit = jest.fn(() => true);
+jest.mock('../../../sockets/rateLimitStore', () => ({
+  checkRateLimit: (...args) => mockCheckRateLimit(...args)
+}));
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+}));
+
+const { registerEmoteHandler, registerChatHandler } = require('../../../transport/websocket/handlers/chat');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const presenceStore = require('../../../sockets/presenceStore');
+
+function makeSocket(id = 'sock-a') {
+  const handlers = {};
+  const emitted = [];
+  return {
+    id,
+    userId: null,
+    emitted,
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit(event, data) {
+      emitted.push({ event, data });
+    },
+    trigger(event, data) {
+      return handlers[event](data);
+    }
+  };
+}
+
+function makeIo() {
+  const broadcast = [];
+  const direct = [];
+  return {
+    broadcast,
+    direct,
+    emit(event, data) {
+      broadcast.push({ event, data });
+    },
+    except(excluded) {
+      return { emit: (event, data) => broadcast.push({ event, data, excluded }) };
+    },
+    to(target) {
+      return { emit: (event, data) => direct.push({ target, event, data }) };
+    }
+  };
+}
+
+function makeGameState() {
+  return {
+    instanceId: 'lobby-1',
+    players: {
+      'sock-a': { alive: true, hasNickname: true, nickname: 'Alice', accountId: 'acc-1' },
+      'sock-b': { alive: true, hasNickname: true, nickname: 'Bob' },
+      'sock-c': { alive: true, hasNickname: false }
+    }
+  };
+}
+
+beforeEach(() => {
+  mockCheckRateLimit.mockReset().mockReturnValue(true);
+  presenceStore.clear();
+});
+
+/** Bob (acc-2, sock-b) hides Alice (acc-1). */
+function bobHidesAlice() {
+  presenceStore.trackConnection('sock-b', 'acc-2');
+  presenceStore.setRelationships('acc-2', { friends: [], hidden: ['acc-1'] });
+}
+
+describe('emote handler', () => {
+  let socket;
+  let io;
+  let gameState;
+
+  beforeEach(() => {
+    socket = makeSocket();
+    io = makeIo();
+    gameState = makeGameState();
+    registerEmoteHandler(socket, gameState, io);
+  });
+
+  test('broadcasts a known emote to the instance', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.EMOTE, { id: 'laugh' });
+    expect(io.broadcast).toEqual([
+      { event: SOCKET_EVENTS.SERVER.PLAYER_EMOTE, data: { playerId: 'sock-a', emoteId: 'laugh' } }
+    ]);
+    expect(mockCheckRateLimit).toHaveBeenCalledWith('sock-a', 'emote');
+  });
+
+  test('ignores unknown emote ids', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.EMOTE, { id: '<img onerror=alert(1)>' });
+    expect(io.broadcast).toHaveLength(0);
+  });
+
+  test('ignores dead players', () => {
+    gameState.players['sock-a'].alive = false;
+    socket.trigger(SOCKET_EVENTS.CLIENT.EMOTE, { id: 'hello' });
+    expect(io.broadcast).toHaveLength(0);
+  });
+
+  test('skips players who muted or blocked the sender', () => {
+    bobHidesAlice();
+    socket.trigger(SOCKET_EVENTS.CLIENT.EMOTE, { id: 'hello' });
+    expect(io.broadcast).toEqual([
+      { event: SOCKET_EVENTS.SERVER.PLAYER_EMOTE, data: { playerId: 'sock-a', emoteId: 'hello' }, excluded: ['sock-b'] }
+    ]);
+  });
+
+  test('drops rate-limited emotes', () => {
+    mockCheckRateLimit.mockReturnValue(false);
+    socket.trigger(SOCKET_EVENTS.CLIENT.EMOTE, { id: 'hello' });
+    expect(io.broadcast).toHaveLength(0);
+  });
+});
+
+describe('chat handler', () => {
+  let socket;
+  let io;
+  let gameState;
+  let chatService;
+  let container;
+
+  beforeEach(() => {
+    socket = makeSocket();
+    io = makeIo();
+    gameState = makeGameState();
+    chatService = { logMessage: jest.fn().mockResolvedValue({}) };
+    container = { get: jest.fn(() => chatService) };
+    registerChatHandler(socket, gameState, io, container);
+  });
+
+  test('broadcasts global messages to the whole instance and logs them', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { channel: 'global', message: ' salut ' });
+
+    expect(io.broadcast).toHaveLength(1);
+    expect(io.broadcast[0]).toMatchObject({
+      event: SOCKET_EVENTS.SERVER.CHAT_MESSAGE,
+      data: { playerId: 'sock-a', nickname: 'Alice', channel: 'global', message: 'salut' }
+    });
+    expect(chatService.logMessage).toHaveBeenCalledWith(expect.objectContaining({
+      playerId: 'acc-1',
+      nickname: 'Alice',
+      instanceId: 'lobby-1',
+      channel: 'global',
+      message: 'salut',
+      flagged: false
+    }));
+  });
+
+  test('sends team messages only to in-game players', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { channel: 'team', message: 'on regroupe' });
+
+    expect(io.broadcast).toHaveLength(0);
+    expect(io.direct.map(d => d.target)).toEqual(['sock-a', 'sock-b']);
+    expect(io.direct[0].data).toMatchObject({ channel: 'team', message: 'on regroupe' });
+  });
+
+  test('hides global messages from players who muted or blocked the sender', () => {
+    bobHidesAlice();
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { message: 'salut' });
+    expect(io.broadcast).toHaveLength(1);
+    expect(io.broadcast[0].excluded).toEqual(['sock-b']);
+  });
+
+  test('hides team messages from players who muted or blocked the sender', () => {
+    bobHidesAlice();
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { channel: 'team', message: 'go' });
+    expect(io.direct.map(d => d.target)).toEqual(['sock-a']);
+  });
+
+  test('falls back to the global channel for unknown channels', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { channel: 'private', message: 'yo' });
+    expect(io.broadcast[0].data.channel).toBe('global');
+  });
+
+  test('masks profanity and logs the message as flagged', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { message: 'quelle merde' });
+
+    expect(io.broadcast[0].data.message).toBe('quelle *****');
+    expect(chatService.logMessage).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'quelle *****',
+      rawMessage: 'quelle merde',
+      flagged: true,
+      flagReason: 'profanity'
+    }));
+  });
+
+  test('rejects over-long messages without broadcasting', () => {
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { message: 'a'.repeat(500) });
+
+    expect(io.broadcast).toHaveLength(0);
+    expect(socket.emitted).toEqual([
+      { event: SOCKET_EVENTS.SERVER.CHAT_REJECTED, data: expect.objectContaining({ reason: 'too_long' }) }
+    ]);
+    expect(chatService.logMessage).not.toHaveBeenCalled();
+  });
+
+  test('rejects rate-limited messages', () => {
+    mockCheckRateLimit.mockReturnValue(false);
+    socket.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { message: 'spam' });
+
+    expect(mockCheckRateLimit).toHaveBeenCalledWith('sock-a', 'chatMessage');
+    expect(io.broadcast).toHaveLength(0);
+    expect(socket.emitted[0].data.reason).toBe('rate_limited');
+  });
+
+  test('ignores players still on the nickname screen', () => {
+    const pending = makeSocket('sock-c');
+    registerChatHandler(pending, gameState, io, container);
+    pending.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { message: 'hello' });
+    expect(io.broadcast).toHaveLength(0);
+  });
+
+  test('still broadcasts when the database is unavailable', () => {
+    const offline = makeSocket('sock-b');
+    registerChatHandler(offline, gameState, io, null);
+    offline.trigger(SOCKET_EVENTS.CLIENT.CHAT_MESSAGE, { message: 'gg' });
+    expect(io.broadcast).toHaveLength(1);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Party socket events
+ *
+ *   - create / accept / leave / transfer push partyUpdate to the members.
+ *   - invites reach the target unless they hide the inviter.
+ *   - a disconnected session stays in its party and rebinds on reconnect.
+ */
+'use strict';
+
+jest.mock('../../../sockets/rateLimitStore', () => ({
+  checkRateLimit: () => true
+}));
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+}));
+
+const { registerPartyHandlers } = require('../../../transport/websocket/handlers/party');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const partyStore = require('../../../contexts/party');
+const presenceStore = require('../../../sockets/presenceStore');
+
+function makeSocket(id) {
+  const handlers = {};
+  return {
+    id,
+    instanceId: 'lobby',
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit: jest.fn(),
+    trigger(event, payload) {
+      handlers[event](payload);
+    }
+  };
+}
+
+function makeIo() {
+  const emit = jest.fn();
+  return { to: jest.fn(() => ({ emit })), emit };
+}
+
+function lastPartyUpdate(io) {
+  const calls = io.emit.mock.calls.filter(([event]) => event === SOCKET_EVENTS.SERVER.PARTY_UPDATE);
+  return calls.length > 0 ? calls[calls.length - 1][1] : undefined;
+}
+
+let gameState;
+let io;
+
+beforeEach(() => {
+  partyStore.clear();
+  presenceStore.clear();
+  io = makeIo();
+  gameState = {
+    players: {
+      s1: { id: 's1', sessionId: 'sess-a', nickname: 'Alice', hasNickname: true, accountId: 'acc-a' },
+      s2: { id: 's2', sessionId: 'sess-b', nickname: 'Bob', hasNickname: true },
+      lobby: { id: 'lobby', hasNickname: false }
+    }
+  };
+});
+
+describe('party handlers', () => {
+  test('create and accept push the party to every member', () => {
+    const alice = makeSocket('s1');
+    const bob = makeSocket('s2');
+    registerPartyHandlers(alice, gameState, io, 'sess-a');
+    registerPartyHandlers(bob, gameState, io, 'sess-b');
+
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_CREATE);
+    const created = lastPartyUpdate(io);
+    expect(io.to).toHaveBeenLastCalledWith(['s1']);
+    expect(created.members).toEqual([{ id: 's1', nickname: 'Alice', online: true, leader: true }]);
+
+    bob.trigger(SOCKET_EVENTS.CLIENT.PARTY_ACCEPT, { code: created.code });
+    expect(io.to).toHaveBeenLastCalledWith(['s1', 's2']);
+    expect(lastPartyUpdate(io).members.map(m => m.id)).toEqual(['s1', 's2']);
+  });
+
+  test('players without a nickname cannot form a party', () => {
+    const socket = makeSocket('lobby');
+    registerPartyHandlers(socket, gameState, io, null);
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.PARTY_CREATE);
+    expect(socket.emit).toHaveBeenCalledWith(
+      SOCKET_EVENTS.SERVER.PARTY_ERROR,
+      expect.objectContaining({ reason: 'not_playing' })
+    );
+  });
+
+  test('invite sends the code to the target unless they hide the inviter', () => {
+    const alice = makeSocket('s1');
+    registerPartyHandlers(alice, gameState, io, 'sess-a');
+
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_INVITE, { playerId: 's2' });
+    expect(alice.emit).toHaveBeenCalledWith(
+      SOCKET_EVENTS.SERVER.PARTY_ERROR,
+      expect.objectContaining({ reason: 'not_in_party' })
+    );
+
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_CREATE);
+    const { code } = lastPartyUpdate(io);
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_INVITE, { playerId: 's2' });
+    expect(io.to).toHaveBeenLastCalledWith('s2');
+    expect(io.emit).toHaveBeenLastCalledWith(SOCKET_EVENTS.SERVER.PARTY_INVITE_RECEIVED, {
+      code,
+      fromId: 's1',
+      fromNickname: 'Alice'
+    });
+
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_INVITE, { playerId: 'lobby' });
+    expect(alice.emit).toHaveBeenLastCalledWith(
+      SOCKET_EVENTS.SERVER.PARTY_ERROR,
+      expect.objectContaining({ reason: 'unknown_player' })
+    );
+
+    presenceStore.trackConnection('s2', 'acc-b');
+    presenceStore.setRelationships('acc-b', { friends: [], hidden: ['acc-a'] });
+    io.emit.mockClear();
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_INVITE, { playerId: 's2' });
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+
+  test('leave and transfer update the remaining members', () => {
+    const alice = makeSocket('s1');
+    const bob = makeSocket('s2');
+    registerPartyHandlers(alice, gameState, io, 'sess-a');
+    registerPartyHandlers(bob, gameState, io, 'sess-b');
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_CREATE);
+    bob.trigger(SOCKET_EVENTS.CLIENT.PARTY_ACCEPT, { code: lastPartyUpdate(io).code });
+
+    bob.trigger(SOCKET_EVENTS.CLIENT.PARTY_TRANSFER_LEADER, { playerId: 's1' });
+    expect(bob.emit).toHaveBeenLastCalledWith(
+      SOCKET_EVENTS.SERVER.PARTY_ERROR,
+      expect.objectContaining({ reason: 'not_leader' })
+    );
+
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_TRANSFER_LEADER, { playerId: 's2' });
+    expect(lastPartyUpdate(io).leaderId).toBe('s2');
+
+    bob.trigger(SOCKET_EVENTS.CLIENT.PARTY_LEAVE);
+    expect(bob.emit).toHaveBeenLastCalledWith(SOCKET_EVENTS.SERVER.PARTY_UPDATE, null);
+    expect(io.to).toHaveBeenLastCalledWith(['s1']);
+    expect(lastPartyUpdate(io).leaderId).toBe('s1');
+  });
+
+  test('a disconnected session stays in the party and rebinds on reconnect', () => {
+    const alice = makeSocket('s1');
+    const bob = makeSocket('s2');
+    registerPartyHandlers(alice, gameState, io, 'sess-a');
+    registerPartyHandlers(bob, gameState, io, 'sess-b');
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_CREATE);
+    bob.trigger(SOCKET_EVENTS.CLIENT.PARTY_ACCEPT, { code: lastPartyUpdate(io).code });
+
+    bob.trigger(SOCKET_EVENTS.SYSTEM.DISCONNECT);
+    expect(lastPartyUpdate(io).members[1]).toEqual({ id: null, nickname: 'Bob', online: false, leader: false });
+
+    gameState.players.s3 = { id: 's3', sessionId: 'sess-b', nickname: 'Bob', hasNickname: true };
+    registerPartyHandlers(makeSocket('s3'), gameState, io, 'sess-b');
+    expect(io.to).toHaveBeenLastCalledWith(['s1', 's3']);
+    expect(lastPartyUpdate(io).members[1].online).toBe(true);
+  });
+
+  test('a guest without a session leaves the party on disconnect', () => {
+    const alice = makeSocket('s1');
+    const guest = makeSocket('s2');
+    registerPartyHandlers(alice, gameState, io, 'sess-a');
+    registerPartyHandlers(guest, gameState, io, null);
+    alice.trigger(SOCKET_EVENTS.CLIENT.PARTY_CREATE);
+    guest.trigger(SOCKET_EVENTS.CLIENT.PARTY_ACCEPT, { code: lastPartyUpdate(io).code });
+
+    guest.trigger(SOCKET_EVENTS.SYSTEM.DISCONNECT);
+    expect(lastPartyUpdate(io).members).toHaveLength(1);
+    expect(partyStore.getParty('s2')).toBeNull();
+  });
+});
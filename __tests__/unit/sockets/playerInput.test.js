@@ -0,0 +1,149 @@
+/**
+ * Input-driven movement (MOVEMENT_MODE=input)
+ *
+ *   - The server simulates sequenced input frames with wall sliding.
+ *   - Simulated time is capped by real elapsed time (no speed hack via dt).
+ *   - moveAck carries the last processed seq and the authoritative position.
+ *   - Each mode ignores the other mode's events.
+ */
+'use strict';
+
+jest.mock('../../../sockets/rateLimitStore', () => ({
+  checkRateLimit: () => true
+}));
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+}));
+
+const { registerPlayerMoveHandler } = require('../../../transport/websocket/handlers/playerMove');
+const { applyInputFrames } = require('../../../contexts/player/modules/InputMovement');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const { MOVEMENT_CONFIG } = require('../../../config/constants');
+const { CONFIG } = require('../../../lib/server/ConfigManager');
+
+function makeSocket() {
+  const handlers = {};
+  const emitted = [];
+  return {
+    id: 'socket-input',
+    emitted,
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit(event, data) {
+      emitted.push({ event, data });
+    },
+    disconnect() {},
+    trigger(event, payload) {
+      handlers[event](payload);
+    }
+  };
+}
+
+function makePlayer(overrides = {}) {
+  return {
+    x: 500,
+    y: 500,
+    angle: 0,
+    alive: true,
+    hasNickname: true,
+    speedMultiplier: 1,
+    ...overrides
+  };
+}
+
+const openRoom = { checkWallCollision: () => false };
+
+function frames(count, startSeq, frame = {}) {
+  return Array.from({ length: count }, (_, i) => ({ seq: startSeq + i, mx: 1, my: 0, dt: 1000 / 60, angle: 0, ...frame }));
+}
+
+describe('applyInputFrames', () => {
+  test('moves PLAYER_SPEED px per 60 FPS frame', () => {
+    const player = makePlayer();
+    applyInputFrames(player, frames(3, 1), openRoom, 10000);
+    expect(player.x).toBeCloseTo(500 + 3 * CONFIG.PLAYER_SPEED);
+    expect(player.lastInputSeq).toBe(3);
+  });
+
+  test('skips frames already processed', () => {
+    const player = makePlayer({ lastInputSeq: 5 });
+    expect(applyInputFrames(player, frames(3, 4), openRoom, 10000)).toBe(1);
+    expect(player.x).toBeCloseTo(500 + CONFIG.PLAYER_SPEED);
+  });
+
+  test('inflated dt is clamped to the real elapsed time', () => {
+    const player = makePlayer();
+    applyInputFrames(player, frames(1, 1, { mx: 0 }), openRoom, 10000); // fills the banked budget
+    const startX = player.x;
+    player.inputBudgetMs = 0;
+    applyInputFrames(player, frames(10, 2, { dt: 1000 }), openRoom, 10050);
+    const moved = player.x - startX;
+    expect(moved).toBeCloseTo(CONFIG.PLAYER_SPEED * (50 / (1000 / 60)));
+    expect(MOVEMENT_CONFIG.maxFrameMs).toBeLessThanOrEqual(100);
+  });
+
+  test('slides along a wall on the free axis', () => {
+    const player = makePlayer();
+    const wallOnRight = { checkWallCollision: x => x > 502 };
+    applyInputFrames(player, frames(1, 1, { mx: 0.6, my: 0.8 }), wallOnRight, 10000);
+    expect(player.x).toBe(500);
+    expect(player.y).toBeGreaterThan(500);
+  });
+
+  test('a stunned player consumes its frames without moving', () => {
+    const player = makePlayer({ stunned: true, stunnedUntil: 20000 });
+    applyInputFrames(player, frames(2, 1), openRoom, 10000);
+    expect(player.x).toBe(500);
+    expect(player.lastInputSeq).toBe(2);
+  });
+});
+
+describe('playerInput handler', () => {
+  test('acks the last processed seq with the server position', () => {
+    const socket = makeSocket();
+    const player = makePlayer();
+    registerPlayerMoveHandler(socket, { players: { [socket.id]: player } }, openRoom, 'input');
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, [frames(1, 2)[0], frames(1, 1)[0]]);
+
+    const ack = socket.emitted.find(e => e.event === SOCKET_EVENTS.SERVER.MOVE_ACK);
+    expect(ack.data).toEqual({ seq: 2, x: player.x, y: player.y });
+    expect(player.x).toBeGreaterThan(500);
+  });
+
+  test('drops invalid frames and oversized packets', () => {
+    const socket = makeSocket();
+    const player = makePlayer();
+    registerPlayerMoveHandler(socket, { players: { [socket.id]: player } }, openRoom, 'input');
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, frames(MOVEMENT_CONFIG.maxFramesPerPacket + 1, 1));
+    socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, [{ seq: 1, mx: 5, my: 0, dt: 16, angle: 0 }]);
+
+    expect(player.x).toBe(500);
+    expect(socket.emitted).toHaveLength(0);
+  });
+
+  test('absolute moves are ignored in input mode', () => {
+    const socket = makeSocket();
+    const player = makePlayer();
+    registerPlayerMoveHandler(socket, { players: { [socket.id]: player } }, openRoom, 'input');
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_MOVE, { x: 900, y: 900, angle: 0, seq: 1 });
+    expect(player.x).toBe(500);
+  });
+
+  test('input frames are ignored in position mode', () => {
+    const socket = makeSocket();
+    const player = makePlayer();
+    registerPlayerMoveHandler(socket, { players: { [socket.id]: player } }, openRoom, 'position');
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, frames(2, 1));
+    expect(player.x).toBe(500);
+    expect(socket.emitted).toHaveLength(0);
+  });
+});
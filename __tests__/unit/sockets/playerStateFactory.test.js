@@ -34,6 +34,8 @@ describe('playerStateFactory', () => {
     expect(player.survivalTime).toBe(1234567890);
     expect(player.lastRegenTick).toBe(1234567890);
     expect(player.lastAutoShot).toBe(1234567890);
+    expect(player.survivalStartedAt).toBe(1234567890);
+    expect(player.runId).toMatch(/^[0-9a-f-]{36}$/);
   });
 
   test('keeps spawn coordinates inside configured bounds', () => {
@@ -106,4 +108,21 @@ describe('playerStateFactory', () => {
     expect(nearestDist).toBeGreaterThan(300);
     expect(spawn.y).toBeLessThan(1000);
   });
+
+  test('spawns next to a party mate when an anchor is given', () => {
+    const config = {
+      ROOM_WIDTH: 3000,
+      ROOM_HEIGHT: 2400,
+      WALL_THICKNESS: 40,
+      PLAYER_SIZE: 20,
+      PLAYER_MAX_HEALTH: 100
+    };
+    const gameState = { zombies: {}, walls: [] };
+
+    const spawn = resolvePlayerSpawnPosition(config, gameState, { x: 800, y: 900 });
+    expect(Math.hypot(spawn.x - 800, spawn.y - 900)).toBeLessThanOrEqual(61);
+
+    const player = createPlayerState(config, 'socket-d', null, null, gameState, { x: 800, y: 900 });
+    expect(Math.hypot(player.x - 800, player.y - 900)).toBeLessThanOrEqual(61);
+  });
 });
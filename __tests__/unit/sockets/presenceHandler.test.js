@@ -0,0 +1,114 @@
+/**
+ * Friend presence handler — tracking, relationship loading and
+ * online/offline notifications to friends.
+ */
+'use strict';
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+}));
+
+const { registerPresenceHandler } = require('../../../transport/websocket/handlers/presence');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const presenceStore = require('../../../sockets/presenceStore');
+const Relationship = require('../../../lib/domain/entities/Relationship');
+
+function makeSocket(id) {
+  const handlers = {};
+  return {
+    id,
+    instanceId: 'lobby',
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    trigger(event, data) {
+      return handlers[event](data);
+    }
+  };
+}
+
+function makeIo() {
+  const sent = [];
+  return {
+    sent,
+    to(target) {
+      return { emit: (event, data) => sent.push({ target, event, data }) };
+    }
+  };
+}
+
+function makeContainer(relationships) {
+  const repo = { findByPlayer: jest.fn(async accountId => relationships[accountId] || []) };
+  return { repo, get: jest.fn(() => repo) };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  presenceStore.clear();
+});
+
+describe('presence handler', () => {
+  const relationships = {
+    'acc-1': [
+      new Relationship({ playerId: 'acc-1', targetPlayerId: 'acc-2', type: 'friend' }),
+      new Relationship({ playerId: 'acc-1', targetPlayerId: 'acc-3', type: 'friend', status: 'pending' }),
+      new Relationship({ playerId: 'acc-1', targetPlayerId: 'acc-4', type: 'muted' })
+    ],
+    'acc-2': [new Relationship({ playerId: 'acc-2', targetPlayerId: 'acc-1', type: 'friend' })]
+  };
+
+  test('loads relationships and tells online friends when the account connects and leaves', async () => {
+    const io = makeIo();
+    const container = makeContainer(relationships);
+
+    registerPresenceHandler(makeSocket('s2'), io, container, 'acc-2');
+    await flush();
+    expect(io.sent).toEqual([]); // no friend online yet
+
+    const socket = makeSocket('s1');
+    registerPresenceHandler(socket, io, container, 'acc-1');
+    await flush();
+
+    expect(container.repo.findByPlayer).toHaveBeenCalledWith('acc-1');
+    expect(presenceStore.getSocketsHiding('acc-4')).toEqual(['s1']);
+    expect(io.sent).toEqual([{
+      target: ['s2'],
+      event: SOCKET_EVENTS.SERVER.FRIEND_PRESENCE,
+      data: { playerId: 'acc-1', online: true, instanceId: 'lobby' }
+    }]);
+
+    socket.trigger(SOCKET_EVENTS.SYSTEM.DISCONNECT);
+    expect(io.sent[1]).toEqual({
+      target: ['s2'],
+      event: SOCKET_EVENTS.SERVER.FRIEND_PRESENCE,
+      data: { playerId: 'acc-1', online: false, instanceId: null }
+    });
+    expect(presenceStore.getPresence('acc-1').online).toBe(false);
+  });
+
+  test('a second tab does not re-announce the account', async () => {
+    const io = makeIo();
+    const container = makeContainer(relationships);
+    registerPresenceHandler(makeSocket('s2'), io, container, 'acc-2');
+    registerPresenceHandler(makeSocket('s1'), io, container, 'acc-1');
+    await flush();
+    const sentBefore = io.sent.length;
+
+    const secondTab = makeSocket('s1b');
+    registerPresenceHandler(secondTab, io, container, 'acc-1');
+    await flush();
+    secondTab.trigger(SOCKET_EVENTS.SYSTEM.DISCONNECT);
+    expect(io.sent).toHaveLength(sentBefore);
+  });
+
+  test('guests and database-less servers are not tracked', () => {
+    const io = makeIo();
+    registerPresenceHandler(makeSocket('s1'), io, makeContainer({}), null);
+    registerPresenceHandler(makeSocket('s2'), io, null, 'acc-2');
+    expect(presenceStore.getPresence('acc-2').online).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Presence store — online accounts, friend lists and mute/block lookups.
+ */
+'use strict';
+
+const presenceStore = require('../../../sockets/presenceStore');
+
+beforeEach(() => {
+  presenceStore.clear();
+});
+
+describe('presenceStore', () => {
+  test('an account is online from its first socket to its last', () => {
+    expect(presenceStore.trackConnection('s1', 'acc-1', 'lobby')).toBe(true);
+    expect(presenceStore.trackConnection('s2', 'acc-1', 'arena')).toBe(false);
+    expect(presenceStore.getPresence('acc-1')).toEqual({ online: true, instanceId: 'arena' });
+
+    expect(presenceStore.untrackConnection('s1')).toBeNull();
+    expect(presenceStore.untrackConnection('s2')).toBe('acc-1');
+    expect(presenceStore.getPresence('acc-1')).toEqual({ online: false, instanceId: null });
+    expect(presenceStore.untrackConnection('unknown')).toBeNull();
+  });
+
+  test('getOnlineFriendSockets lists the sockets of online friends only', () => {
+    presenceStore.trackConnection('s1', 'acc-1');
+    presenceStore.trackConnection('s2', 'acc-2');
+    presenceStore.setRelationships('acc-1', { friends: ['acc-2', 'acc-3'], hidden: [] });
+    expect(presenceStore.getOnlineFriendSockets('acc-1')).toEqual(['s2']);
+
+    presenceStore.setFriendship('acc-1', 'acc-2', false);
+    expect(presenceStore.getOnlineFriendSockets('acc-1')).toEqual([]);
+  });
+
+  test('setFriendship updates whichever side is online', () => {
+    presenceStore.trackConnection('s1', 'acc-1');
+    presenceStore.trackConnection('s2', 'acc-2');
+    presenceStore.setRelationships('acc-1', { friends: [], hidden: [] });
+    presenceStore.setRelationships('acc-2', { friends: [], hidden: [] });
+
+    presenceStore.setFriendship('acc-1', 'acc-2', true);
+    expect(presenceStore.getOnlineFriendSockets('acc-1')).toEqual(['s2']);
+    expect(presenceStore.getOnlineFriendSockets('acc-2')).toEqual(['s1']);
+  });
+
+  test('getSocketsHiding returns the sockets of accounts that hid the sender', () => {
+    presenceStore.trackConnection('s1', 'acc-1');
+    presenceStore.trackConnection('s2', 'acc-2');
+    presenceStore.setRelationships('acc-2', { friends: [], hidden: ['acc-1'] });
+
+    expect(presenceStore.getSocketsHiding('acc-1')).toEqual(['s2']);
+    expect(presenceStore.getSocketsHiding(null)).toEqual([]);
+
+    presenceStore.setHidden('acc-2', 'acc-1', false);
+    expect(presenceStore.getSocketsHiding('acc-1')).toEqual([]);
+  });
+
+  test('relationships are ignored for offline accounts and dropped on disconnect', () => {
+    presenceStore.setRelationships('acc-2', { friends: [], hidden: ['acc-1'] });
+    expect(presenceStore.getSocketsHiding('acc-1')).toEqual([]);
+
+    presenceStore.trackConnection('s2', 'acc-2');
+    presenceStore.setRelationships('acc-2', { friends: [], hidden: ['acc-1'] });
+    presenceStore.untrackConnection('s2');
+    presenceStore.trackConnection('s3', 'acc-2');
+    expect(presenceStore.getSocketsHiding('acc-1')).toEqual([]);
+  });
+});
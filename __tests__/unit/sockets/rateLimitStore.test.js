@@ -2,9 +2,14 @@ jest.mock('../../../infrastructure/logging/Logger', () => ({
   warn: jest.fn()
 }));
 
+jest.mock('../../../sockets/antiCheatLedger', () => ({
+  reportViolation: jest.fn()
+}));
+
 const logger = require('../../../infrastructure/logging/Logger');
+const { reportViolation } = require('../../../sockets/antiCheatLedger');
 const { RATE_LIMIT_CONFIG } = require('../../../config/constants');
-const { checkRateLimit, cleanupRateLimits } = require('../../../sockets/rateLimitStore');
+const { checkRateLimit, bindRateLimitAccount, cleanupRateLimits } = require('../../../sockets/rateLimitStore');
 
 describe('rateLimitStore', () => {
   afterEach(() => {
@@ -37,6 +42,29 @@ describe('rateLimitStore', () => {
     );
   });
 
+  test('attributes blocks to the bound account until cleanup', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const shootLimit = RATE_LIMIT_CONFIG.shoot.maxRequests;
+    bindRateLimitAccount('socket-1', 'account-1');
+
+    for (let i = 0; i <= shootLimit; i++) {
+      checkRateLimit('socket-1', 'shoot');
+    }
+
+    expect(reportViolation).toHaveBeenCalledWith('account-1', 'rate_limit', (shootLimit + 1) / shootLimit, {
+      event: 'shoot',
+      count: shootLimit + 1,
+      limit: shootLimit,
+      windowMs: RATE_LIMIT_CONFIG.shoot.windowMs
+    });
+
+    cleanupRateLimits('socket-1');
+    for (let i = 0; i <= shootLimit; i++) {
+      checkRateLimit('socket-1', 'shoot');
+    }
+    expect(reportViolation).toHaveBeenLastCalledWith(undefined, 'rate_limit', expect.any(Number), expect.any(Object));
+  });
+
   test('resets counter when request lands at window boundary', () => {
     let now = 1000;
     jest.spyOn(Date, 'now').mockImplementation(() => now);
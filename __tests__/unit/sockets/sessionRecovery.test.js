@@ -6,7 +6,8 @@ const {
   sanitizePlayersState,
   createRecoverablePlayerState,
   restoreRecoverablePlayerState,
-  getDisconnectedSessionCount
+  getDisconnectedSessionCount,
+  dropSessionsForAccount
 } = require('../../../contexts/session/sessionRecovery');
 
 describe('sessionRecovery', () => {
@@ -36,6 +37,7 @@ describe('sessionRecovery', () => {
         socketId: 'socketA',
         sessionId: 'sessionA',
         accountId: 'accountA',
+        runId: 'runA',
         nickname: 'A'
       }
     };
@@ -45,6 +47,7 @@ describe('sessionRecovery', () => {
     expect(sanitized.socketA.socketId).toBeUndefined();
     expect(sanitized.socketA.sessionId).toBeUndefined();
     expect(sanitized.socketA.accountId).toBeUndefined();
+    expect(sanitized.socketA.runId).toBeUndefined();
   });
 
   test('create/restore recoverable player state preserves gameplay fields', () => {
@@ -53,6 +56,7 @@ describe('sessionRecovery', () => {
       socketId: 'socket-old',
       sessionId: '550e8400-e29b-41d4-a716-446655440000',
       accountId: 'account-1',
+      runId: 'run-1',
       nickname: 'Tester',
       hasNickname: true,
       spawnProtection: false,
@@ -115,6 +119,42 @@ describe('sessionRecovery', () => {
     expect(restored.accountId).toBe('account-1');
     expect(restored.nickname).toBe('Tester');
     expect(restored.level).toBe(3);
+    expect(restored.runId).toBe('run-1');
+  });
+
+  test('createRecoverablePlayerState deep-copies the per-weapon run counters', () => {
+    const player = {
+      id: 'sock',
+      runId: 'run-1',
+      alive: true,
+      health: 50,
+      upgrades: {},
+      weaponRunStats: { pistol: { shotsFired: 10, shotsHit: 6, kills: 2, damageDealt: 120, activeTime: 3000, lastShotAt: 900 } }
+    };
+
+    const snapshot = createRecoverablePlayerState(player);
+    player.weaponRunStats.pistol.kills = 99;
+    const restored = restoreRecoverablePlayerState(snapshot, 'socket-new', null, 'account-1');
+
+    expect(restored.weaponRunStats.pistol).toEqual({
+      shotsFired: 10, shotsHit: 6, kills: 2, damageDealt: 120, activeTime: 3000, lastShotAt: 900
+    });
+  });
+
+  test('restoring a dead snapshot starts a new run', () => {
+    const snapshot = createRecoverablePlayerState({
+      id: 'socket-old',
+      runId: 'run-dead',
+      alive: false,
+      health: 0,
+      maxHealth: 100,
+      upgrades: {}
+    });
+    const restored = restoreRecoverablePlayerState(snapshot, 'socket-new', null, 'account-1');
+
+    expect(restored.alive).toBe(true);
+    expect(restored.runId).toEqual(expect.any(String));
+    expect(restored.runId).not.toBe('run-dead');
   });
 
   test('createRecoverablePlayerState preserves pendingUpgradeChoices batches', () => {
@@ -209,4 +249,14 @@ describe('sessionRecovery', () => {
       expect.objectContaining({ cleanedCount: 1 })
     );
   });
+
+  test('dropSessionsForAccount forgets every session of a banned account', () => {
+    disconnectedPlayers.set('s1', { accountId: 'banned', disconnectedAt: 0, playerState: {} });
+    disconnectedPlayers.set('s2', { accountId: 'banned', disconnectedAt: 0, playerState: {} });
+    disconnectedPlayers.set('s3', { accountId: 'other', disconnectedAt: 0, playerState: {} });
+
+    expect(dropSessionsForAccount('banned')).toBe(2);
+    expect([...disconnectedPlayers.keys()]).toEqual(['s3']);
+    expect(dropSessionsForAccount(null)).toBe(0);
+  });
 });
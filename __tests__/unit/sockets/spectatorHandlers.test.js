@@ -0,0 +1,110 @@
+/**
+ * Spectator protocol socket events
+ *
+ *   - spectateList lists the players past the nickname screen.
+ *   - spectateCamera moves the free camera.
+ *   - spectateTarget only follows active players.
+ *   - the instance is told how many spectators are watching.
+ */
+'use strict';
+
+jest.mock('../../../sockets/rateLimitStore', () => ({
+  checkRateLimit: () => true
+}));
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  registerSpectatorHandlers,
+  broadcastSpectatorCount
+} = require('../../../transport/websocket/handlers/spectator');
+const { registerSpectateTargetHandler } = require('../../../transport/websocket/handlers/viewport');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const { SPECTATOR_CONFIG } = require('../../../config/constants');
+
+function makeSocket() {
+  const handlers = {};
+  return {
+    id: 'spec-1',
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit: jest.fn(),
+    trigger(event, payload) {
+      handlers[event](payload);
+    }
+  };
+}
+
+function makeNetworkManager() {
+  return {
+    getCameraTarget: jest.fn(() => 'p1'),
+    setCameraTarget: jest.fn(),
+    setCameraPosition: jest.fn(),
+    getSpectatorCount: jest.fn(() => 3)
+  };
+}
+
+const gameState = {
+  players: {
+    p1: { nickname: 'Alice', hasNickname: true, alive: true, downed: false, level: 4 },
+    p2: { nickname: 'Bob', hasNickname: true, alive: false, level: 2 },
+    lobby: { hasNickname: false, alive: true }
+  }
+};
+
+describe('spectator handlers', () => {
+  test('spectateList answers with the players that can be followed', () => {
+    const socket = makeSocket();
+    registerSpectatorHandlers(socket, makeNetworkManager(), gameState);
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.SPECTATE_LIST);
+
+    expect(socket.emit).toHaveBeenCalledWith(SOCKET_EVENTS.SERVER.SPECTATOR_PLAYERS, {
+      players: [
+        { id: 'p1', nickname: 'Alice', alive: true, downed: false, level: 4 },
+        { id: 'p2', nickname: 'Bob', alive: false, downed: false, level: 2 }
+      ],
+      targetId: 'p1'
+    });
+  });
+
+  test('spectateCamera moves the free camera', () => {
+    const socket = makeSocket();
+    const networkManager = makeNetworkManager();
+    registerSpectatorHandlers(socket, networkManager, gameState);
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.SPECTATE_CAMERA, { x: 400, y: 300 });
+    socket.trigger(SOCKET_EVENTS.CLIENT.SPECTATE_CAMERA, 'junk');
+
+    expect(networkManager.setCameraPosition).toHaveBeenCalledTimes(1);
+    expect(networkManager.setCameraPosition).toHaveBeenCalledWith('spec-1', 400, 300);
+  });
+
+  test('spectateTarget refuses players still on the nickname screen', () => {
+    const socket = makeSocket();
+    const networkManager = makeNetworkManager();
+    registerSpectateTargetHandler(socket, networkManager, gameState);
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.SPECTATE_TARGET, { playerId: 'p2' });
+    socket.trigger(SOCKET_EVENTS.CLIENT.SPECTATE_TARGET, { playerId: 'lobby' });
+
+    expect(networkManager.setCameraTarget.mock.calls).toEqual([['spec-1', 'p2'], ['spec-1', null]]);
+  });
+
+  test('broadcastSpectatorCount tells the instance', () => {
+    const io = { emit: jest.fn() };
+
+    broadcastSpectatorCount(io, makeNetworkManager());
+
+    expect(io.emit).toHaveBeenCalledWith(SOCKET_EVENTS.SERVER.SPECTATOR_COUNT, {
+      count: 3,
+      max: SPECTATOR_CONFIG.maxPerInstance
+    });
+  });
+});
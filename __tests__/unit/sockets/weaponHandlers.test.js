@@ -0,0 +1,105 @@
+/**
+ * Weapon inventory socket events
+ *
+ *   - switchWeapon only equips weapons the server says the player owns.
+ *   - reload starts a server-timed reload.
+ *   - shoot spends a round and refuses to fire while reloading.
+ *   - shoot tags its bullets with the weapon and counts them for the run stats.
+ */
+'use strict';
+
+jest.mock('../../../sockets/rateLimitStore', () => ({
+  checkRateLimit: () => true
+}));
+
+jest.mock('../../../infrastructure/logging/Logger', () => ({
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+}));
+
+const { registerWeaponHandlers } = require('../../../transport/websocket/handlers/weapons');
+const { registerShootHandler } = require('../../../transport/websocket/handlers/shoot');
+const { createInventory, addWeapon } = require('../../../contexts/weapons/modules/WeaponInventory');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const { WEAPONS } = require('../../../lib/server/ConfigManager');
+
+function makeSocket() {
+  const handlers = {};
+  return {
+    id: 'weapons-1',
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit: jest.fn(),
+    trigger(event, payload) {
+      handlers[event](payload);
+    }
+  };
+}
+
+function setup() {
+  const socket = makeSocket();
+  const player = {
+    x: 500,
+    y: 500,
+    alive: true,
+    hasNickname: true,
+    weapon: 'pistol',
+    weapons: createInventory(),
+    reloadingUntil: 0,
+    weaponReadyAt: 0,
+    lastShot: 0
+  };
+  const gameState = { players: { [socket.id]: player } };
+  const entityManager = { createBullet: jest.fn() };
+  registerWeaponHandlers(socket, gameState);
+  registerShootHandler(socket, gameState, entityManager, null);
+  return { socket, player, entityManager };
+}
+
+describe('switchWeapon', () => {
+  test('equips an owned weapon', () => {
+    const { socket, player } = setup();
+    addWeapon(player, 'rifle', 0);
+    socket.trigger(SOCKET_EVENTS.CLIENT.SWITCH_WEAPON, { weaponId: 'pistol' });
+    expect(player.weapon).toBe('pistol');
+  });
+
+  test('ignores weapons not in the inventory or unknown', () => {
+    const { socket, player } = setup();
+    socket.trigger(SOCKET_EVENTS.CLIENT.SWITCH_WEAPON, { weaponId: 'sniper' });
+    socket.trigger(SOCKET_EVENTS.CLIENT.SWITCH_WEAPON, { weaponId: '__proto__' });
+    socket.trigger(SOCKET_EVENTS.CLIENT.SWITCH_WEAPON, 'sniper');
+    expect(player.weapon).toBe('pistol');
+  });
+});
+
+describe('reload and shoot', () => {
+  test('shoot spends a round', () => {
+    const { socket, player, entityManager } = setup();
+    socket.trigger(SOCKET_EVENTS.CLIENT.SHOOT, { angle: 0 });
+    expect(entityManager.createBullet).toHaveBeenCalledTimes(1);
+    expect(player.weapons[0].ammo).toBe(WEAPONS.pistol.magazineSize - 1);
+  });
+
+  test('shoot tags the bullets with the weapon and counts them', () => {
+    const { socket, player, entityManager } = setup();
+    socket.trigger(SOCKET_EVENTS.CLIENT.SHOOT, { angle: 0 });
+    expect(entityManager.createBullet).toHaveBeenCalledWith(expect.objectContaining({ weaponId: 'pistol' }));
+    expect(player.weaponRunStats.pistol.shotsFired).toBe(WEAPONS.pistol.bulletCount);
+    expect(player.weaponRunStats.pistol.activeTime).toBeGreaterThan(0);
+  });
+
+  test('no bullet while reloading', () => {
+    const { socket, player, entityManager } = setup();
+    player.weapons[0].ammo = 5;
+    socket.trigger(SOCKET_EVENTS.CLIENT.RELOAD);
+    expect(player.reloadingUntil).toBeGreaterThan(Date.now());
+
+    socket.trigger(SOCKET_EVENTS.CLIENT.SHOOT, { angle: 0 });
+    expect(entityManager.createBullet).not.toHaveBeenCalled();
+    expect(player.weapons[0].ammo).toBe(5);
+  });
+});
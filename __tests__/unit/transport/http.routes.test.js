@@ -67,6 +67,21 @@ describe('POST /login (auth)', () => {
     expect(res.body.error).toBe('USERNAME_CHARS_INVALID');
   });
 
+  test('refuses a banned account presenting its previous token', async () => {
+    const jwtService = {
+      generateToken: jest.fn(() => 'tok'),
+      readUserId: jest.fn(() => 'banned-id'),
+      getActiveBan: jest.fn(() => ({ playerId: 'banned-id', reason: 'cheating', expiresAt: null }))
+    };
+    const app = buildApp(initAuthRoutes(null, jwtService));
+
+    const res = await request(app).post('/login').set('Authorization', 'Bearer old.token').send({ username: 'Eve' });
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ error: 'ACCOUNT_BANNED', reason: 'cheating', expiresAt: null });
+    expect(jwtService.readUserId).toHaveBeenCalledWith('old.token');
+    expect(jwtService.generateToken).not.toHaveBeenCalled();
+  });
+
   test('returns 500 when jwtService throws', async () => {
     const badJwt = { generateToken: jest.fn(() => {
  throw new Error('jwt fail');
@@ -120,12 +135,10 @@ describe('POST / (leaderboard score submission)', () => {
   let app;
   let mockExecute;
 
+  const RUN_UUID = '9b2e4c1a-7d3f-4e8a-9c6b-1f2a3b4c5d6e';
   const validPayload = {
     playerId: VALID_UUID,
-    wave: 3,
-    level: 2,
-    kills: 10,
-    survivalTime: 120
+    runId: RUN_UUID
   };
 
   beforeEach(() => {
@@ -133,7 +146,7 @@ describe('POST / (leaderboard score submission)', () => {
       initLeaderboardRoutes = require('../../../transport/http/leaderboard');
     });
     mockExecute = jest.fn().mockResolvedValue({
-      toObject: () => ({ ...validPayload, score: 500 })
+      toObject: () => ({ playerId: VALID_UUID, wave: 3, score: 500 })
     });
     const container = { get: jest.fn(() => ({ execute: mockExecute })) };
     app = buildApp(initLeaderboardRoutes(container, {
@@ -153,6 +166,49 @@ describe('POST / (leaderboard score submission)', () => {
     const res = await request(app).post('/').send({ playerId: VALID_UUID });
     expect(res.status).toBe(400);
   });
+
+  test('drops client-supplied run stats', async () => {
+    const res = await request(app).post('/').send({ ...validPayload, wave: 999, kills: 10000 });
+    expect(res.status).toBe(201);
+    expect(mockExecute).toHaveBeenCalledWith({ playerId: VALID_UUID, runId: RUN_UUID });
+  });
+});
+
+// ─── leaderboard per weapon ──────────────────────────────────────────────────
+
+describe('GET /weapons/:weaponId (leaderboard)', () => {
+  let initLeaderboardRoutes;
+  let app;
+  let weaponStatsService;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      initLeaderboardRoutes = require('../../../transport/http/leaderboard');
+    });
+    weaponStatsService = {
+      getLeaderboard: jest.fn().mockResolvedValue([{ rank: 1, username: 'Alice', kills: 420 }])
+    };
+    const container = { get: jest.fn(() => weaponStatsService) };
+    app = buildApp(initLeaderboardRoutes(container));
+  });
+
+  test('happy path — ranks by kills by default', async () => {
+    const res = await request(app).get('/weapons/shotgun');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ weaponId: 'shotgun', sort: 'kills', entries: [{ rank: 1, username: 'Alice', kills: 420 }] });
+    expect(weaponStatsService.getLeaderboard).toHaveBeenCalledWith('shotgun', { sort: 'kills', limit: 10 });
+  });
+
+  test('passes sort and limit', async () => {
+    const res = await request(app).get('/weapons/rifle?sort=accuracy&limit=25');
+    expect(res.status).toBe(200);
+    expect(weaponStatsService.getLeaderboard).toHaveBeenCalledWith('rifle', { sort: 'accuracy', limit: 25 });
+  });
+
+  test('rejects an unknown weapon or sort', async () => {
+    expect((await request(app).get('/weapons/bazooka9000')).status).toBe(400);
+    expect((await request(app).get('/weapons/pistol?sort=headshots')).status).toBe(400);
+  });
 });
 
 // ─── players ─────────────────────────────────────────────────────────────────
@@ -193,3 +249,233 @@ describe('GET /:id (players)', () => {
     expect(res.status).toBe(400);
   });
 });
+
+describe('GET /:id/weapons (players)', () => {
+  let initPlayerRoutes;
+  let app;
+  let weaponStatsService;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      initPlayerRoutes = require('../../../transport/http/players');
+    });
+    weaponStatsService = {
+      getPlayerWeapons: jest.fn().mockResolvedValue([
+        { toObject: () => ({ weaponId: 'pistol', shotsFired: 100, shotsHit: 60, accuracy: 0.6, dps: 42.5 }) }
+      ])
+    };
+    const container = { get: jest.fn(() => weaponStatsService) };
+    app = buildApp(initPlayerRoutes(container, {
+      requireAuth: (req, _res, next) => {
+        req.userId = VALID_UUID; next();
+      }
+    }), '/');
+  });
+
+  test('happy path — returns the per-weapon stats', async () => {
+    const res = await request(app).get(`/${VALID_UUID}/weapons`);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      playerId: VALID_UUID,
+      weapons: [{ weaponId: 'pistol', shotsFired: 100, shotsHit: 60, accuracy: 0.6, dps: 42.5 }]
+    });
+    expect(weaponStatsService.getPlayerWeapons).toHaveBeenCalledWith(VALID_UUID);
+  });
+
+  test('another account cannot read them', async () => {
+    const res = await request(app).get('/9b2e4c1a-7d3f-4e8a-9c6b-1f2a3b4c5d6e/weapons');
+    expect(res.status).toBe(403);
+    expect(weaponStatsService.getPlayerWeapons).not.toHaveBeenCalled();
+  });
+});
+
+// ─── instances ───────────────────────────────────────────────────────────────
+
+describe('instances routes', () => {
+  const initInstanceRoutes = require('../../../transport/http/instances');
+  const { apiErrorHandler } = require('../../../middleware/errorHandlers');
+  const { ConflictError } = require('../../../lib/domain/errors/DomainErrors');
+
+  function buildInstancesApp(instanceManager) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.userId = VALID_UUID;
+      next();
+    });
+    app.use('/api/v1/instances', initInstanceRoutes(instanceManager));
+    app.use(apiErrorHandler);
+    return app;
+  }
+
+  const publicView = { id: 'ab12cd34', name: 'Squad', players: 1, maxPlayers: 4 };
+
+  test('GET / lists public instances', async () => {
+    const manager = { listInstances: jest.fn(() => [publicView]) };
+    const res = await request(buildInstancesApp(manager)).get('/api/v1/instances');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, data: [publicView] });
+  });
+
+  test('GET /:id returns 404 for unknown instance', async () => {
+    const manager = { getInstance: jest.fn(() => null) };
+    const res = await request(buildInstancesApp(manager)).get('/api/v1/instances/missing');
+    expect(res.status).toBe(404);
+  });
+
+  test('POST / creates an instance owned by the caller', async () => {
+    const manager = { createInstance: jest.fn(() => ({ toPublic: () => publicView })) };
+    const res = await request(buildInstancesApp(manager))
+      .post('/api/v1/instances')
+      .send({ name: 'Squad', maxPlayers: 4, isPrivate: true });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toEqual(publicView);
+    expect(manager.createInstance).toHaveBeenCalledWith({
+      name: 'Squad', maxPlayers: 4, isPrivate: true, ownerId: VALID_UUID
+    });
+  });
+
+  test('POST / forwards a run seed', async () => {
+    const manager = { createInstance: jest.fn(() => ({ toPublic: () => publicView })) };
+    const res = await request(buildInstancesApp(manager))
+      .post('/api/v1/instances')
+      .send({ name: 'Race', seed: 'friday-race' });
+    expect(res.status).toBe(201);
+    expect(manager.createInstance).toHaveBeenCalledWith(expect.objectContaining({ seed: 'friday-race' }));
+  });
+
+  test('POST / rejects an out-of-range seed', async () => {
+    const manager = { createInstance: jest.fn() };
+    const res = await request(buildInstancesApp(manager))
+      .post('/api/v1/instances')
+      .send({ seed: -1 });
+    expect(res.status).toBe(400);
+    expect(manager.createInstance).not.toHaveBeenCalled();
+  });
+
+  test('POST / rejects maxPlayers above the cap', async () => {
+    const manager = { createInstance: jest.fn() };
+    const res = await request(buildInstancesApp(manager))
+      .post('/api/v1/instances')
+      .send({ maxPlayers: 999 });
+    expect(res.status).toBe(400);
+    expect(manager.createInstance).not.toHaveBeenCalled();
+  });
+
+  test('POST / maps the instance limit to 409', async () => {
+    const manager = {
+      createInstance: jest.fn(() => {
+        throw new ConflictError('Instance limit reached (8)', 'instance');
+      })
+    };
+    const res = await request(buildInstancesApp(manager)).post('/api/v1/instances').send({});
+    expect(res.status).toBe(409);
+  });
+});
+
+// ─── replays ─────────────────────────────────────────────────────────────────
+
+describe('replays routes', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const zlib = require('zlib');
+  const initReplayRoutes = require('../../../transport/http/replays');
+  const { apiErrorHandler } = require('../../../middleware/errorHandlers');
+
+  const REPLAY_ID = '0123456789abcdef';
+  const entry = (id, extra = {}) => ({ id, instanceId: 'default', keyframes: [0, 10000], durationMs: 12000, ...extra });
+  let dir;
+
+  function buildReplaysApp(store, options) {
+    const app = express();
+    app.use('/api/v1/replays', initReplayRoutes(store, options));
+    app.use(apiErrorHandler);
+    return app;
+  }
+
+  function makeStore(entries = [entry(REPLAY_ID)]) {
+    return {
+      list: jest.fn(({ instanceId, limit } = {}) =>
+        (instanceId ? entries.filter(e => e.instanceId === instanceId) : entries).slice(0, limit)),
+      get: jest.fn(id => entries.find(e => e.id === id) || null),
+      filePath: id => path.join(dir, `${id}.ndjson.gz`),
+      seek: jest.fn(async (_id, t) => ({ t, keyframeT: 0, state: { wave: 3 } }))
+    };
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-routes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('GET / lists public replays without keyframe times', async () => {
+    const store = makeStore([entry(REPLAY_ID), entry('fedcba9876543210', { instanceId: 'ab12cd34', isPrivate: true })]);
+    const res = await request(buildReplaysApp(store)).get('/api/v1/replays');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ id: REPLAY_ID, keyframeCount: 2 })]);
+    expect(res.body.data[0].keyframes).toBeUndefined();
+  });
+
+  test('GET / lists private replays when asked by instance id', async () => {
+    const store = makeStore([entry('fedcba9876543210', { instanceId: 'ab12cd34', isPrivate: true })]);
+    const res = await request(buildReplaysApp(store)).get('/api/v1/replays?instanceId=ab12cd34');
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  test('GET /:id returns metadata and 404 for unknown ids', async () => {
+    const app = buildReplaysApp(makeStore());
+    const ok = await request(app).get(`/api/v1/replays/${REPLAY_ID}`);
+    expect(ok.body.data.keyframes).toEqual([0, 10000]);
+    expect((await request(app).get('/api/v1/replays/ffffffffffffffff')).status).toBe(404);
+    expect((await request(app).get('/api/v1/replays/not-an-id')).status).toBe(400);
+  });
+
+  test('GET /:id/download streams the gzip file', async () => {
+    const content = zlib.gzipSync('{"v":1}\n');
+    fs.writeFileSync(path.join(dir, `${REPLAY_ID}.ndjson.gz`), content);
+    const res = await request(buildReplaysApp(makeStore()))
+      .get(`/api/v1/replays/${REPLAY_ID}/download`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/gzip');
+    expect(res.headers['content-disposition']).toContain(`replay-${REPLAY_ID}.ndjson.gz`);
+    expect(Buffer.compare(res.body, content)).toBe(0);
+  });
+
+  test('GET /:id/download returns 404 when the file is gone', async () => {
+    const res = await request(buildReplaysApp(makeStore())).get(`/api/v1/replays/${REPLAY_ID}/download`);
+    expect(res.status).toBe(404);
+  });
+
+  test('GET /:id/state seeks by timestamp', async () => {
+    const store = makeStore();
+    const res = await request(buildReplaysApp(store)).get(`/api/v1/replays/${REPLAY_ID}/state?t=4500`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ t: 4500, keyframeT: 0, state: { wave: 3 } });
+    expect(store.seek).toHaveBeenCalledWith(REPLAY_ID, 4500);
+  });
+
+  test('GET /:id/state is behind auth', async () => {
+    const store = makeStore();
+    const requireAuth = jest.fn((_req, res) => res.status(401).json({ error: 'Unauthorized' }));
+    const app = buildReplaysApp(store, { requireAuth });
+
+    expect((await request(app).get(`/api/v1/replays/${REPLAY_ID}/state?t=0`)).status).toBe(401);
+    expect(store.seek).not.toHaveBeenCalled();
+    expect((await request(app).get(`/api/v1/replays/${REPLAY_ID}`)).status).toBe(200);
+  });
+
+  test('GET /:id/state requires t', async () => {
+    const res = await request(buildReplaysApp(makeStore())).get(`/api/v1/replays/${REPLAY_ID}/state`);
+    expect(res.status).toBe(400);
+  });
+});
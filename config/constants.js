@@ -34,9 +34,18 @@ const RATE_LIMIT_CONFIG = {
   playerMove: { maxRequests: 60, windowMs: 1000 }, // 60/s — matches 60 FPS client updates
   setNickname: { maxRequests: 3, windowMs: 60000 }, // 3/min — prevents nickname spam
   emote: { maxRequests: 1, windowMs: 1000 }, // 1/s — cosmetic, no need for more
+  chatMessage: { maxRequests: 3, windowMs: 5000 }, // chat spam guard
   selectUpgrade: { maxRequests: 10, windowMs: 5000 },
   buyItem: { maxRequests: 20, windowMs: 5000 }, // 4/s eff. — within 5/s target
-  shopOpened: { maxRequests: 5, windowMs: 10000 } // Prevent invisible-spam abuse
+  shopOpened: { maxRequests: 5, windowMs: 10000 }, // Prevent invisible-spam abuse
+  playerInput: { maxRequests: 40, windowMs: 1000 }, // input frames are sent in ~30Hz packets
+  switchWeapon: { maxRequests: 10, windowMs: 1000 },
+  reload: { maxRequests: 5, windowMs: 1000 },
+  viewport: { maxRequests: 5, windowMs: 1000 }, // window resizes fire in bursts
+  spectateTarget: { maxRequests: 10, windowMs: 1000 },
+  spectateList: { maxRequests: 5, windowMs: 1000 },
+  spectateCamera: { maxRequests: 10, windowMs: 1000 }, // free camera, throttled client-side
+  party: { maxRequests: 5, windowMs: 2000 } // create / invite / accept / leave / transfer
 };
 
 // API Rate limiter configuration.
@@ -82,6 +91,105 @@ const INACTIVITY_TIMEOUT = 5 * 60 * 1000;
 // Heartbeat check interval (30 seconds)
 const HEARTBEAT_CHECK_INTERVAL = 30 * 1000;
 
+// Game instances (lobbies). The default instance always exists; extra ones are
+// created on demand and reaped once they have been empty for idleTimeoutMs.
+// MAX_INSTANCES / INSTANCE_MAX_PLAYERS / RUN_SEED override the defaults.
+const INSTANCE_CONFIG = {
+  maxInstances: parseInt(process.env.MAX_INSTANCES, 10) || 8,
+  defaultMaxPlayers: parseInt(process.env.INSTANCE_MAX_PLAYERS, 10) || 8,
+  maxPlayersCap: 32,
+  idleTimeoutMs: 5 * 60 * 1000,
+  reapIntervalMs: 60 * 1000,
+  // Run seed of the default (public) instance; random when unset
+  defaultSeed: process.env.RUN_SEED || null
+};
+
+// Match replays (lib/server/replay). ENABLE_REPLAY=true records every match of
+// every instance to REPLAY_DIR; the oldest files beyond REPLAY_MAX_FILES are
+// deleted.
+const REPLAY_CONFIG = {
+  enabled: process.env.ENABLE_REPLAY === 'true',
+  dir: process.env.REPLAY_DIR || './data/replays',
+  maxReplays: parseInt(process.env.REPLAY_MAX_FILES, 10) || 100,
+  recordIntervalMs: 50, // 20 frames/s
+  keyframeIntervalMs: 10 * 1000,
+  minDurationMs: 10 * 1000,
+  maxDurationMs: 2 * 60 * 60 * 1000
+};
+
+// World snapshots (server/worldPersistence). ENABLE_WORLD_SNAPSHOT=true saves
+// the running instances and the sessions awaiting recovery to
+// WORLD_SNAPSHOT_FILE every intervalMs and at shutdown, and restores them at
+// boot. An older snapshot than the session recovery window is ignored.
+const WORLD_SNAPSHOT_CONFIG = {
+  enabled: process.env.ENABLE_WORLD_SNAPSHOT === 'true',
+  file: process.env.WORLD_SNAPSHOT_FILE || './data/world-snapshot.json',
+  intervalMs: parseInt(process.env.WORLD_SNAPSHOT_INTERVAL_MS, 10) || 30 * 1000,
+  maxAgeMs: SESSION_RECOVERY_TIMEOUT
+};
+
+// Watch-only sockets (handshake auth.spectator). They have no player entity and
+// are served by lib/server/network/SpectatorFeed at feedIntervalMs instead of
+// the per-tick broadcast. SPECTATOR_MAX_PER_INSTANCE overrides the cap.
+const SPECTATOR_CONFIG = {
+  maxPerInstance: parseInt(process.env.SPECTATOR_MAX_PER_INSTANCE, 10) || 16,
+  feedIntervalMs: 100 // 10 states/s
+};
+
+// Parties (contexts/party). Members play in the same instance and spawn next
+// to each other; PARTY_MAX_SIZE overrides the size cap.
+const PARTY_CONFIG = {
+  maxSize: parseInt(process.env.PARTY_MAX_SIZE, 10) || 4
+};
+
+// Player movement. MOVEMENT_MODE=input makes movement server-authoritative:
+// clients send sequenced input frames that the server simulates (see
+// contexts/player/modules/InputMovement), instead of absolute positions
+// checked by the ENABLE_ANTICHEAT move budget.
+const MOVEMENT_CONFIG = {
+  mode: process.env.MOVEMENT_MODE === 'input' ? 'input' : 'position',
+  maxFrameMs: 100, // longest dt simulated for one frame
+  maxBufferedMs: 1000, // simulation time a client may bank (lag bursts)
+  maxFramesPerPacket: 16
+};
+
+// Server-side weapon inventory (contexts/weapons/modules/WeaponInventory).
+// Magazine size, reserve and reload time are per weapon in WeaponConfig.
+const WEAPON_INVENTORY_CONFIG = {
+  maxSlots: 4, // slot 0 is always the pistol
+  switchDelayMs: 250 // no shot right after a switch (draw time)
+};
+
+// Per-weapon stats (contexts/weapons/modules/WeaponRunStats, WeaponStatsService).
+// Firing time only counts gaps of at most activeGapMs between two shots of a
+// weapon, so the idle time between fights does not dilute its DPS. Accuracy and
+// DPS leaderboards only rank accounts with minShotsForRatio bullets fired.
+const WEAPON_STATS_CONFIG = {
+  activeGapMs: 2000,
+  minShotsForRatio: 200,
+  leaderboardMaxLimit: 100
+};
+
+// Anti-cheat evidence ledger (lib/application/AntiCheatService). Each detection
+// (move budget, speed multiplier, rate limit) costs the account
+// weight × magnitude trust points out of 100; the penalty halves every
+// halfLifeMs. Below trustThreshold, leaderboard submissions (and weapon stats) are flagged —
+// ANTICHEAT_LEADERBOARD_ACTION=flag keeps them listed, the default 'exclude'
+// hides them from everyone but their owner.
+const ANTICHEAT_CONFIG = {
+  trustThreshold: parseInt(process.env.ANTICHEAT_TRUST_THRESHOLD, 10) || 50,
+  halfLifeMs: 24 * 60 * 60 * 1000,
+  weights: {
+    movement_budget: 4,
+    speed_multiplier: 15,
+    rate_limit: 0.5
+  },
+  defaultWeight: 2,
+  maxMagnitude: 10, // a single event costs at most weight × 10
+  ledgerIntervalMs: 1000, // one ledger row per account and type per second
+  leaderboardAction: process.env.ANTICHEAT_LEADERBOARD_ACTION === 'flag' ? 'flag' : 'exclude'
+};
+
 module.exports = {
   PORT,
   ALLOWED_ORIGINS,
@@ -91,5 +199,14 @@ module.exports = {
   METRICS_TOKEN,
   SESSION_RECOVERY_TIMEOUT,
   INACTIVITY_TIMEOUT,
-  HEARTBEAT_CHECK_INTERVAL
+  HEARTBEAT_CHECK_INTERVAL,
+  INSTANCE_CONFIG,
+  REPLAY_CONFIG,
+  WORLD_SNAPSHOT_CONFIG,
+  SPECTATOR_CONFIG,
+  PARTY_CONFIG,
+  MOVEMENT_CONFIG,
+  WEAPON_INVENTORY_CONFIG,
+  WEAPON_STATS_CONFIG,
+  ANTICHEAT_CONFIG
 };
@@ -25,6 +25,7 @@ const FEATURES = {
   telemetry: envBool('FEATURE_TELEMETRY', true),
   runMutators: envBool('FEATURE_MUTATORS', true),
   riskReward: envBool('FEATURE_RISK_REWARD', true),
+  bots: envBool('FEATURE_BOTS', true),
 
   // Debug
   adminPanel: envBool('FEATURE_ADMIN', process.env.NODE_ENV !== 'production')
@@ -5,76 +5,98 @@
 
 const LeaderboardEntry = require('../../lib/domain/entities/LeaderboardEntry');
 const logger = require('../../infrastructure/logging/Logger');
-const { ValidationError, NotFoundError } = require('../../lib/domain/errors/DomainErrors');
+const { ValidationError, NotFoundError, ConflictError } = require('../../lib/domain/errors/DomainErrors');
 
 /**
  * Use case de soumission d'un score au classement.
- * Valide les donnees, recupere le joueur, calcule le score et persiste l'entree.
+ * Les statistiques proviennent exclusivement du RunRecord enregistre par le
+ * serveur a la fin de la run ; le client ne fournit que l'identifiant de run.
+ * Chaque run ne peut etre soumise qu'une seule fois.
+ * Un compte sous le seuil de confiance anti-triche voit son entree marquee
+ * `flagged` (masquee ou signalee selon ANTICHEAT_CONFIG.leaderboardAction).
  * @class
  */
-const THROTTLE_MS = 60 * 1000; // 1 submit/min per player
-
 class SubmitScoreUseCase {
-  constructor(leaderboardRepository, playerRepository, cache = null) {
+  constructor(leaderboardRepository, playerRepository, runRecordRepository, cache = null, antiCheatService = null) {
     this.leaderboardRepository = leaderboardRepository;
     this.playerRepository = playerRepository;
+    this.runRecordRepository = runRecordRepository;
     this.cache = cache;
-    this._throttle = new Map(); // playerId -> lastSubmitMs
-  }
-
-  _checkThrottle(playerId) {
-    const now = Date.now();
-    // Purge expired entries to prevent unbounded Map growth
-    for (const [id, ts] of this._throttle) {
-      if (now - ts >= THROTTLE_MS) {
-this._throttle.delete(id);
-}
-    }
-    const last = this._throttle.get(playerId) || 0;
-    if (now - last < THROTTLE_MS) {
-      throw new Error('Rate limit: 1 submit per minute');
-    }
-    this._throttle.set(playerId, now);
+    this.antiCheatService = antiCheatService;
   }
 
   /**
-   * Execute la soumission d'un score au classement.
-   * Valide les donnees d'entree, recupere le joueur associe, calcule le score
-   * composite et cree une entree LeaderboardEntry persistee via le repository.
-   * @param {Object} data - Donnees du score a soumettre
-   * @param {string} data.playerId - UUID du joueur
-   * @param {number} data.wave - Vague atteinte (>= 0)
-   * @param {number} data.level - Niveau atteint (>= 0)
-   * @param {number} data.kills - Nombre de kills (>= 0)
-   * @param {number} data.survivalTime - Temps de survie en secondes (>= 0)
+   * Execute la soumission d'une run au classement.
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du joueur (doit posseder la run)
+   * @param {string} data.runId - UUID de la run enregistree par le serveur
    * @returns {Promise<LeaderboardEntry>} Entree de classement creee et persistee
-   * @throws {Error} Si les donnees sont invalides (valeurs negatives ou playerId manquant)
-   * @throws {Error} Si le joueur n'existe pas
+   * @throws {ValidationError} Si playerId ou runId manquant
+   * @throws {NotFoundError} Si la run ou le joueur n'existe pas (ou run d'un autre joueur)
+   * @throws {ConflictError} Si la run a deja ete soumise
    */
-  async execute({ playerId, wave, level, kills, survivalTime }) {
-    if (!playerId || wave < 0 || level < 0 || kills < 0 || survivalTime < 0) {
+  async execute({ playerId, runId }) {
+    if (!playerId || !runId) {
       throw new ValidationError('Invalid score data');
     }
 
-    this._checkThrottle(playerId);
+    const record = await this.runRecordRepository.findById(runId);
+    if (!record || record.playerId !== playerId) {
+      throw new NotFoundError('Run', runId);
+    }
 
     const player = await this.playerRepository.findById(playerId);
     if (!player) {
-throw new NotFoundError('Player', playerId);
-}
+      throw new NotFoundError('Player', playerId);
+    }
+
+    const flagged = await this._isSuspicious(playerId);
 
-    const score = LeaderboardEntry.calculateScore(wave, level, kills, survivalTime);
-    const entry = new LeaderboardEntry({ playerId, playerUsername: player.username, wave, level, kills, survivalTime, score });
+    const claimed = await this.runRecordRepository.claimLeaderboardSubmission(runId, playerId);
+    if (!claimed) {
+      throw new ConflictError('Run already submitted to leaderboard', 'run');
+    }
+
+    const { wave, level, kills, survivalTime, score } = record;
+    const entry = new LeaderboardEntry({ playerId, playerUsername: player.username, wave, level, kills, survivalTime, score, flagged });
 
-    await this.leaderboardRepository.submit(entry);
+    try {
+      await this.leaderboardRepository.submit(entry);
+    } catch (err) {
+      // Insert failed — leave the run submittable for a retry
+      await this.runRecordRepository.releaseLeaderboardSubmission(runId);
+      throw err;
+    }
 
     if (this.cache?.isActive() && this.cache.shouldInvalidate(score)) {
       this.cache.invalidate();
     }
 
-    logger.info('Score submitted to leaderboard', { playerId, username: player.username, wave, level, score });
+    if (flagged) {
+      logger.warn('Leaderboard entry flagged by anti-cheat', { playerId, runId, score });
+    }
+    logger.info('Score submitted to leaderboard', { playerId, runId, username: player.username, wave, level, score });
     return entry;
   }
+
+  /**
+   * Score de confiance sous le seuil ? Une erreur de lecture ne bloque pas
+   * la soumission : l'entree est alors acceptee sans marquage.
+   * @param {string} playerId
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isSuspicious(playerId) {
+    if (!this.antiCheatService) {
+      return false;
+    }
+    try {
+      return !(await this.antiCheatService.isTrusted(playerId));
+    } catch (err) {
+      logger.error('Trust score lookup failed, entry not flagged', { playerId, error: err.message });
+      return false;
+    }
+  }
 }
 
 module.exports = SubmitScoreUseCase;
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for contexts/party/partyStore.js
+ */
+'use strict';
+
+const partyStore = require('../partyStore');
+const { PARTY_CONFIG, SESSION_RECOVERY_TIMEOUT } = require('../../../config/constants');
+
+function member(socketId, nickname = socketId) {
+  return { socketId, nickname, instanceId: 'lobby' };
+}
+
+beforeEach(() => {
+  partyStore.clear();
+});
+
+describe('create / join / leave', () => {
+  test('a player creates a party and others join with its code', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1', 'Alice'));
+    expect(party.code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    expect(partyStore.createParty('sess-a', member('s1')).error).toBe('already_in_party');
+
+    const joined = partyStore.joinParty('sess-b', party.code.toLowerCase(), member('s2', 'Bob'));
+    expect(joined.party).toBe(party);
+    expect(partyStore.getParty('sess-b')).toBe(party);
+    expect(partyStore.getMemberSocketIds(party)).toEqual(['s1', 's2']);
+    expect(partyStore.getMateSocketIds('sess-a')).toEqual(['s2']);
+  });
+
+  test('joining rejects unknown codes, full parties and players already in one', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    expect(partyStore.joinParty('sess-x', 'ZZZZZZ', member('sx')).error).toBe('not_found');
+    expect(partyStore.joinParty('sess-x', 42, member('sx')).error).toBe('not_found');
+    expect(partyStore.joinParty('sess-a', party.code, member('s1')).error).toBe('already_in_party');
+
+    for (let i = 1; i < PARTY_CONFIG.maxSize; i++) {
+      expect(partyStore.joinParty(`sess-${i}`, party.code, member(`s-${i}`)).party).toBe(party);
+    }
+    expect(partyStore.joinParty('sess-late', party.code, member('s-late')).error).toBe('full');
+  });
+
+  test('the leader leaving hands over to a connected member, the last one disbands', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.joinParty('sess-b', party.code, member('s2'));
+    partyStore.joinParty('sess-c', party.code, member('s3'));
+    partyStore.markDisconnected('sess-b', 's2');
+
+    expect(partyStore.leaveParty('sess-a')).toBe(party);
+    expect(party.leaderKey).toBe('sess-c');
+
+    partyStore.leaveParty('sess-b');
+    expect(partyStore.leaveParty('sess-c')).toBeNull();
+    expect(partyStore.getParty('sess-c')).toBeNull();
+    expect(partyStore.joinParty('sess-d', party.code, member('s4')).error).toBe('not_found');
+  });
+});
+
+describe('transferLeader', () => {
+  test('only the leader hands the lead to a connected member', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.joinParty('sess-b', party.code, member('s2'));
+
+    expect(partyStore.transferLeader('sess-x', 's2').error).toBe('not_in_party');
+    expect(partyStore.transferLeader('sess-b', 's1').error).toBe('not_leader');
+    expect(partyStore.transferLeader('sess-a', 's9').error).toBe('not_member');
+
+    expect(partyStore.transferLeader('sess-a', 's2').party).toBe(party);
+    expect(partyStore.toPublic(party).leaderId).toBe('s2');
+  });
+});
+
+describe('disconnects', () => {
+  test('a session keeps its place until SESSION_RECOVERY_TIMEOUT and rebinds on reconnect', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.joinParty('sess-b', party.code, member('s2'));
+
+    expect(partyStore.markDisconnected('sess-b', 's2', 1000)).toBe(party);
+    expect(partyStore.getMemberSocketIds(party)).toEqual(['s1']);
+    expect(partyStore.sweepExpired(1000 + SESSION_RECOVERY_TIMEOUT)).toEqual([]);
+
+    expect(partyStore.bindSocket('sess-b', { socketId: 's2b', nickname: 'Bob' })).toBe(party);
+    expect(partyStore.getMemberSocketIds(party)).toEqual(['s1', 's2b']);
+  });
+
+  test('a stale socket of a replaced tab does not disconnect the member', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.bindSocket('sess-a', { socketId: 's1b', instanceId: 'arena' });
+
+    expect(partyStore.markDisconnected('sess-a', 's1')).toBeNull();
+    expect(party.instanceId).toBe('arena');
+  });
+
+  test('expired members are dropped and leadership moves on', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.joinParty('sess-b', party.code, member('s2'));
+    partyStore.markDisconnected('sess-a', 's1', 1000);
+
+    expect(partyStore.sweepExpired(1001 + SESSION_RECOVERY_TIMEOUT)).toEqual([party]);
+    expect(partyStore.getParty('sess-a')).toBeNull();
+    expect(party.leaderKey).toBe('sess-b');
+
+    partyStore.markDisconnected('sess-b', 's2', 2000);
+    expect(partyStore.sweepExpired(2001 + SESSION_RECOVERY_TIMEOUT)).toEqual([]);
+    expect(partyStore.getParty('sess-b')).toBeNull();
+  });
+});
+
+describe('in-game helpers', () => {
+  test('getSpawnAnchor picks a standing mate', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.joinParty('sess-b', party.code, member('s2'));
+    partyStore.joinParty('sess-c', party.code, member('s3'));
+    const players = {
+      s1: { x: 10, y: 10, alive: true, hasNickname: true },
+      s2: { x: 20, y: 20, alive: true, hasNickname: true, downed: true },
+      s3: { x: 30, y: 30, alive: true, hasNickname: true }
+    };
+
+    expect(partyStore.getSpawnAnchor('sess-a', players)).toEqual({ x: 30, y: 30 });
+    expect(partyStore.getSpawnAnchor('sess-x', players)).toBeNull();
+  });
+
+  test('getPartyScore sums the run scores of the members in the instance', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1'));
+    partyStore.joinParty('sess-b', party.code, member('s2'));
+    partyStore.joinParty('sess-c', party.code, member('s3'));
+    const players = {
+      s1: { id: 's1', sessionId: 'sess-a', totalScore: 120 },
+      s2: { id: 's2', sessionId: 'sess-b', totalScore: 80 }
+    };
+
+    expect(partyStore.getPartyScore('sess-b', players)).toEqual({ partyId: party.id, score: 200, members: 2 });
+    expect(partyStore.getPartyScore('sess-x', players)).toBeNull();
+  });
+
+  test('toPublic never exposes session ids', () => {
+    const { party } = partyStore.createParty('sess-a', member('s1', 'Alice'));
+    partyStore.joinParty('sess-b', party.code, member('s2', 'Bob'));
+    partyStore.markDisconnected('sess-b', 's2');
+
+    const view = partyStore.toPublic(party);
+    expect(view).toEqual({
+      id: party.id,
+      code: party.code,
+      instanceId: 'lobby',
+      leaderId: 's1',
+      members: [
+        { id: 's1', nickname: 'Alice', online: true, leader: true },
+        { id: null, nickname: 'Bob', online: false, leader: false }
+      ]
+    });
+    expect(JSON.stringify(view)).not.toContain('sess-');
+  });
+});
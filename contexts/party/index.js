@@ -0,0 +1,7 @@
+/**
+ * @fileoverview Party bounded context — public facade.
+ * @description Parties of players who queue into the same game instance,
+ * spawn next to each other and share a run score.
+ */
+
+module.exports = require('./partyStore');
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Party store
+ * @description Process-wide parties: a leader and up to PARTY_CONFIG.maxSize
+ * members who play in the same game instance. Members are keyed by session
+ * id (guests without one by socket id, see memberKey) so a party outlives a
+ * disconnect for SESSION_RECOVERY_TIMEOUT, like the session itself: the
+ * socket id is bound again when the session reconnects. Members gone for
+ * longer are dropped by sweepExpired(); leadership then passes to the
+ * longest-standing member and an empty party is deleted.
+ */
+
+const crypto = require('crypto');
+const { PARTY_CONFIG, SESSION_RECOVERY_TIMEOUT } = require('../../config/constants');
+
+// No 0/O or 1/I: codes are read out to friends
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * @typedef {Object} PartyMember
+ * @property {string|null} socketId - null while disconnected
+ * @property {string|null} nickname
+ * @property {number|null} disconnectedAt
+ */
+
+/**
+ * @typedef {Object} Party
+ * @property {string} id
+ * @property {string} code - invite code
+ * @property {string} leaderKey
+ * @property {string|null} instanceId - game instance of the leader
+ * @property {Map<string, PartyMember>} members - member key → member, in join order
+ */
+
+/** @type {Map<string, Party>} partyId → party */
+const parties = new Map();
+/** @type {Map<string, string>} invite code → partyId */
+const codes = new Map();
+/** @type {Map<string, string>} member key → partyId */
+const memberParties = new Map();
+
+/**
+ * Identity of a player in parties: the session survives reconnects, the
+ * socket id does not.
+ * @param {string|null} sessionId
+ * @param {string} socketId
+ * @returns {string}
+ */
+function memberKey(sessionId, socketId) {
+  return sessionId || socketId;
+}
+
+function generateCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+  } while (codes.has(code));
+  return code;
+}
+
+/**
+ * @param {string} code - as typed by the player
+ * @returns {string|null}
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const trimmed = code.trim().toUpperCase();
+  return trimmed.length === CODE_LENGTH ? trimmed : null;
+}
+
+/**
+ * @param {string} key
+ * @returns {Party|null}
+ */
+function getParty(key) {
+  const partyId = memberParties.get(key);
+  return partyId ? parties.get(partyId) || null : null;
+}
+
+/**
+ * Start a party led by this player.
+ * @param {string} key
+ * @param {{socketId: string, nickname: string|null, instanceId: string|null}} member
+ * @returns {{party?: Party, error?: string}}
+ */
+function createParty(key, { socketId, nickname, instanceId }) {
+  if (memberParties.has(key)) {
+    return { error: 'already_in_party' };
+  }
+  const party = {
+    id: crypto.randomUUID(),
+    code: generateCode(),
+    leaderKey: key,
+    instanceId: instanceId || null,
+    members: new Map([[key, { socketId, nickname, disconnectedAt: null }]])
+  };
+  parties.set(party.id, party);
+  codes.set(party.code, party.id);
+  memberParties.set(key, party.id);
+  return { party };
+}
+
+/**
+ * Join the party behind an invite code.
+ * @param {string} key
+ * @param {string} code
+ * @param {{socketId: string, nickname: string|null}} member
+ * @returns {{party?: Party, error?: string}}
+ */
+function joinParty(key, code, { socketId, nickname }) {
+  if (memberParties.has(key)) {
+    return { error: 'already_in_party' };
+  }
+  const partyId = codes.get(normalizeCode(code));
+  const party = partyId ? parties.get(partyId) : null;
+  if (!party) {
+    return { error: 'not_found' };
+  }
+  if (party.members.size >= PARTY_CONFIG.maxSize) {
+    return { error: 'full' };
+  }
+  party.members.set(key, { socketId, nickname, disconnectedAt: null });
+  memberParties.set(key, party.id);
+  return { party };
+}
+
+function removeMember(party, key) {
+  party.members.delete(key);
+  memberParties.delete(key);
+  if (party.members.size === 0) {
+    parties.delete(party.id);
+    codes.delete(party.code);
+    return null;
+  }
+  if (party.leaderKey === key) {
+    // Oldest remaining member, preferring one who is connected
+    const members = [...party.members.entries()];
+    const next = members.find(([, member]) => member.socketId) || members[0];
+    party.leaderKey = next[0];
+  }
+  return party;
+}
+
+/**
+ * Leave the party (the leader hands over to the longest-standing member).
+ * @param {string} key
+ * @returns {Party|null} the party left behind, null when it was disbanded or
+ *   the player was in no party
+ */
+function leaveParty(key) {
+  const party = getParty(key);
+  return party ? removeMember(party, key) : null;
+}
+
+/**
+ * @param {string} key - current leader
+ * @param {string} targetSocketId - player id of the new leader
+ * @returns {{party?: Party, error?: string}}
+ */
+function transferLeader(key, targetSocketId) {
+  const party = getParty(key);
+  if (!party) {
+    return { error: 'not_in_party' };
+  }
+  if (party.leaderKey !== key) {
+    return { error: 'not_leader' };
+  }
+  for (const [memberId, member] of party.members) {
+    if (member.socketId && member.socketId === targetSocketId) {
+      party.leaderKey = memberId;
+      return { party };
+    }
+  }
+  return { error: 'not_member' };
+}
+
+/**
+ * Bind a (re)connected socket to its party membership.
+ * @param {string} key
+ * @param {{socketId: string, nickname?: string|null, instanceId?: string|null}} member
+ * @returns {Party|null}
+ */
+function bindSocket(key, { socketId, nickname, instanceId = null }) {
+  const party = getParty(key);
+  if (!party) {
+    return null;
+  }
+  const member = party.members.get(key);
+  member.socketId = socketId;
+  member.disconnectedAt = null;
+  if (nickname) {
+    member.nickname = nickname;
+  }
+  if (party.leaderKey === key) {
+    party.instanceId = instanceId;
+  }
+  return party;
+}
+
+/**
+ * Keep the membership of a disconnected session until it expires.
+ * @param {string} key
+ * @param {string} socketId - socket that went away; ignored when the
+ *   session is already bound to a newer one (tab replaced)
+ * @param {number} [now=Date.now()]
+ * @returns {Party|null} the party, null when nothing changed
+ */
+function markDisconnected(key, socketId, now = Date.now()) {
+  const party = getParty(key);
+  if (!party) {
+    return null;
+  }
+  const member = party.members.get(key);
+  if (member.socketId !== socketId) {
+    return null;
+  }
+  member.socketId = null;
+  member.disconnectedAt = now;
+  return party;
+}
+
+/**
+ * Drop the members disconnected for longer than SESSION_RECOVERY_TIMEOUT.
+ * @param {number} [now=Date.now()]
+ * @returns {Party[]} parties that lost members and still exist
+ */
+function sweepExpired(now = Date.now()) {
+  const changed = [];
+  for (const party of [...parties.values()]) {
+    let lostMember = false;
+    for (const [key, member] of [...party.members]) {
+      if (member.disconnectedAt !== null && now - member.disconnectedAt > SESSION_RECOVERY_TIMEOUT) {
+        removeMember(party, key);
+        lostMember = true;
+      }
+    }
+    if (lostMember && parties.has(party.id)) {
+      changed.push(party);
+    }
+  }
+  return changed;
+}
+
+/**
+ * @param {Party} party
+ * @returns {string[]} socket ids of the connected members
+ */
+function getMemberSocketIds(party) {
+  const ids = [];
+  for (const member of party.members.values()) {
+    if (member.socketId) {
+      ids.push(member.socketId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Socket ids of the connected party mates of a player (self excluded).
+ * @param {string} key
+ * @returns {string[]}
+ */
+function getMateSocketIds(key) {
+  const party = getParty(key);
+  if (!party) {
+    return [];
+  }
+  const ids = [];
+  for (const [memberId, member] of party.members) {
+    if (memberId !== key && member.socketId) {
+      ids.push(member.socketId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Party mate a player should spawn next to: the first one standing in the
+ * instance.
+ * @param {string} key
+ * @param {Object} players - gameState.players of the instance
+ * @returns {{x: number, y: number}|null}
+ */
+function getSpawnAnchor(key, players) {
+  for (const socketId of getMateSocketIds(key)) {
+    const mate = players[socketId];
+    if (mate && mate.alive && mate.hasNickname && !mate.downed) {
+      return { x: mate.x, y: mate.y };
+    }
+  }
+  return null;
+}
+
+/**
+ * Shared score of the party members playing in an instance: the sum of
+ * their run scores.
+ * @param {string} key
+ * @param {Object} players - gameState.players of the instance
+ * @returns {{partyId: string, score: number, members: number}|null} null outside a party
+ */
+function getPartyScore(key, players) {
+  const party = getParty(key);
+  if (!party) {
+    return null;
+  }
+  let score = 0;
+  let members = 0;
+  for (const [memberId, member] of party.members) {
+    const player = member.socketId ? players[member.socketId] : null;
+    if (player && memberKey(player.sessionId, player.id) === memberId) {
+      score += player.totalScore || 0;
+      members++;
+    }
+  }
+  return { partyId: party.id, score, members };
+}
+
+/**
+ * Client view of a party. Session ids never leave the server: members are
+ * identified by player (socket) id, null while disconnected.
+ * @param {Party} party
+ * @returns {{id: string, code: string, instanceId: string|null, leaderId: string|null,
+ *   members: Array<{id: string|null, nickname: string|null, online: boolean, leader: boolean}>}}
+ */
+function toPublic(party) {
+  const members = [];
+  for (const [key, member] of party.members) {
+    members.push({
+      id: member.socketId,
+      nickname: member.nickname,
+      online: member.socketId !== null,
+      leader: key === party.leaderKey
+    });
+  }
+  const leader = party.members.get(party.leaderKey);
+  return {
+    id: party.id,
+    code: party.code,
+    instanceId: party.instanceId,
+    leaderId: leader ? leader.socketId : null,
+    members
+  };
+}
+
+/** Reset all state (tests). */
+function clear() {
+  parties.clear();
+  codes.clear();
+  memberParties.clear();
+}
+
+module.exports = {
+  memberKey,
+  normalizeCode,
+  getParty,
+  createParty,
+  joinParty,
+  leaveParty,
+  transferLeader,
+  bindSocket,
+  markDisconnected,
+  sweepExpired,
+  getMemberSocketIds,
+  getMateSocketIds,
+  getSpawnAnchor,
+  getPartyScore,
+  toPublic,
+  clear
+};
@@ -4,6 +4,10 @@
  * @version 1.0.0
  */
 
+const { runStream } = require('../../lib/runPRNG');
+const { createInventory } = require('../weapons/modules/WeaponInventory');
+const { recordUpgradePick } = require('../../lib/server/SynergyRegistry');
+
 class PlayerManager {
   constructor(gameState, config, levelUpgrades) {
     this.gameState = gameState;
@@ -111,13 +115,14 @@ class PlayerManager {
    *   });
    */
   generateUpgradeChoices() {
+    const rng = runStream(this.gameState, 'upgrades');
     const upgradeKeys = Object.keys(this.levelUpgrades);
     const choices = [];
     const selectedKeys = new Set();
 
     // Pondération : 60% common, 30% rare, 10% legendary
     while (choices.length < 3 && selectedKeys.size < upgradeKeys.length) {
-      const rand = Math.random();
+      const rand = rng.random();
       let targetRarity;
 
       if (rand < 0.6) {
@@ -134,7 +139,7 @@ class PlayerManager {
       );
 
       if (availableUpgrades.length > 0) {
-        const selectedKey = availableUpgrades[Math.floor(Math.random() * availableUpgrades.length)];
+        const selectedKey = rng.pick(availableUpgrades);
         selectedKeys.add(selectedKey);
         choices.push({
           id: selectedKey,
@@ -149,7 +154,7 @@ class PlayerManager {
     while (choices.length < 3 && selectedKeys.size < upgradeKeys.length) {
       const availableUpgrades = upgradeKeys.filter(key => !selectedKeys.has(key));
       if (availableUpgrades.length > 0) {
-        const selectedKey = availableUpgrades[Math.floor(Math.random() * availableUpgrades.length)];
+        const selectedKey = rng.pick(availableUpgrades);
         selectedKeys.add(selectedKey);
         choices.push({
           id: selectedKey,
@@ -170,14 +175,14 @@ class PlayerManager {
    *
    * @param {Object} player - Player object to receive upgrade
    * @param {string} upgradeId - Upgrade identifier from levelUpgrades
-   * @returns {void}
+   * @returns {Array<Object>} Synergies unlocked by this pick (SynergyRegistry)
    *
    * @description
    * Executes the effect function of a chosen upgrade:
    * - Looks up upgrade definition from levelUpgrades by ID
    * - Calls upgrade.effect(player) to modify player stats
    * - Upgrade effect directly mutates player object
-   * - No return value (side effects on player)
+   * - Records the pick and returns the synergies it completes
    *
    * Upgrade effects typically modify:
    * - damageMultiplier, speedMultiplier, fireRateMultiplier
@@ -199,15 +204,18 @@ class PlayerManager {
    * @example
    *   // Handle upgrade selection from client
    *   socket.on('selectUpgrade', (upgradeId) => {
-   *     playerManager.applyUpgrade(player, upgradeId);
+   *     const unlocked = playerManager.applyUpgrade(player, upgradeId);
    *     socket.emit('upgradeApplied', upgradeId);
+   *     unlocked.forEach(synergy => socket.emit('synergyUnlocked', synergy));
    *   });
    */
   applyUpgrade(player, upgradeId) {
     const upgrade = this.levelUpgrades[upgradeId];
     if (upgrade && upgrade.effect) {
       upgrade.effect(player);
+      return recordUpgradePick(player, upgradeId);
     }
+    return [];
   }
 
   /**
@@ -354,7 +362,9 @@ class PlayerManager {
       alive: true,
       angle: 0,
       weapon: 'pistol',
-      weaponTimer: null,
+      weapons: createInventory(),
+      reloadingUntil: 0,
+      weaponReadyAt: 0,
       speedBoost: null,
       lastShot: 0,
       // CORRECTION: Ajout des propriétés manquantes pour le système de combo
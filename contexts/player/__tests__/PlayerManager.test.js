@@ -153,6 +153,16 @@ describe('applyUpgrade', () => {
     const pm = new PlayerManager(makeGS(), CONFIG, { bad: { rarity: 'common' } });
     expect(() => pm.applyUpgrade({}, 'bad')).not.toThrow();
   });
+
+  test('returns the synergies the pick completes', () => {
+    const effect = jest.fn();
+    const pm = new PlayerManager(makeGS(), CONFIG, { lifeSteal: { effect }, thorns: { effect } });
+    const player = {};
+    expect(pm.applyUpgrade(player, 'lifeSteal')).toEqual([]);
+    const unlocked = pm.applyUpgrade(player, 'thorns');
+    expect(unlocked.map(s => s.synergyId)).toEqual(['vampire_tank']);
+    expect(player.synergies).toEqual(['vampire_tank']);
+  });
 });
 
 describe('addXP', () => {
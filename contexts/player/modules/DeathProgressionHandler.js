@@ -1,9 +1,12 @@
 /**
- * @fileoverview Player death progression - second chance, retry queue, and cleanup
+ * @fileoverview Player death progression - second chance, downed state, retry queue, and cleanup
  */
 
-const { GAMEPLAY_CONSTANTS } = require('../../../lib/server/ConfigManager');
+const { CONFIG, GAMEPLAY_CONSTANTS } = require('../../../lib/server/ConfigManager');
 const { getTelemetryCollector } = require('../../../infrastructure/telemetry/TelemetryCollector');
+const { GAME_EVENTS } = require('../../../lib/server/GameEventBus');
+const { memberKey, getPartyScore } = require('../../party');
+const { snapshotWeaponRunStats } = require('../../weapons/modules/WeaponRunStats');
 
 const RETRY_INTERVAL_MS = 30000;
 const MAX_RETRIES = 3;
@@ -13,7 +16,7 @@ const MAX_RETRIES = 3;
  * @param {Object} player - Player state object
  * @param {string} playerId - Socket ID of the player
  * @param {Object} gameState - Global game state
- * @param {number} now - Current timestamp (ms)
+ * @param {number} now - Current wall-clock timestamp (Date.now()), not the game loop clock
  * @param {boolean} [isBoss=false] - Whether death was caused by a boss
  * @param {Object} [logger] - Logger instance
  * @returns {boolean} True if player was revived by second chance
@@ -37,7 +40,7 @@ function handlePlayerDeathProgression(player, playerId, gameState, now, isBoss =
     return false;
   }
 
-  if (!player.alive) {
+  if (!player.alive || player.downed) {
     player.health = 0;
     return false;
   }
@@ -52,28 +55,92 @@ function handlePlayerDeathProgression(player, playerId, gameState, now, isBoss =
   }
 
   if (!revived) {
-    _markPlayerDead(player, gameState, now, isBoss, playerId, logger);
+    if (_hasStandingTeammate(gameState, player)) {
+      _markPlayerDowned(player, now, isBoss);
+    } else {
+      _markPlayerDead(player, gameState, now, isBoss, playerId, logger);
+    }
   }
 
   return revived;
 }
 
 /**
- * Mark player dead and trigger progression save (async, with retry on failure)
+ * A teammate who can still revive: in the game and not downed themselves
+ */
+function _hasStandingTeammate(gameState, player) {
+  for (const id in gameState.players) {
+    const other = gameState.players[id];
+    if (other !== player && other.alive && other.hasNickname && !other.downed) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Put the player on the ground; DownedStateHandler runs the revive / bleed-out from here
+ */
+function _markPlayerDowned(player, now, isBoss) {
+  player.downed = true;
+  player.downedUntil = now + CONFIG.DOWNED_BLEED_OUT_MS;
+  player.reviveProgress = 0;
+  player.reviverId = null;
+  player._downedByBoss = isBoss;
+}
+
+/**
+ * End a downed player's run (bleed-out, or nobody left standing).
+ * @param {Object} player - Downed player state object
+ * @param {string} playerId - Socket ID of the player
+ * @param {Object} gameState - Global game state
+ * @param {number} now - Current timestamp (ms)
+ * @param {Object} [logger] - Logger instance
+ * @returns {void}
+ */
+function finalizeDownedPlayer(player, playerId, gameState, now, logger) {
+  const isBoss = Boolean(player._downedByBoss);
+  player.downed = false;
+  player.downedUntil = 0;
+  player.reviveProgress = 0;
+  player.reviverId = null;
+  player._downedByBoss = false;
+  _markPlayerDead(player, gameState, now, isBoss, playerId, logger);
+}
+
+/**
+ * Mark player dead, publish the death and trigger progression save (async, with retry on failure)
  */
 function _markPlayerDead(player, gameState, now, isBoss, playerId, logger) {
   player.alive = false;
 
+  if (player.accountId) {
+    gameState.events?.emit(GAME_EVENTS.PLAYER_DIED, {
+      playerId,
+      accountId: player.accountId,
+      level: Math.max(1, player.level || 1),
+      wave: gameState.wave,
+      goldEarned: Math.max(0, player.goldEarned || 0)
+    });
+  }
+
   if (!gameState.progressionIntegration || !player.accountId) {
     return;
   }
 
   const sessionStats = _buildSessionStats(player, gameState, now, isBoss);
+  const runContext = {
+    instanceId: gameState.instanceId || null,
+    seed: gameState.rng ? gameState.rng.seed : null,
+    endedAt: now,
+    // Shared score of the party mates in this instance, at the time of death
+    party: getPartyScore(memberKey(player.sessionId, playerId), gameState.players)
+  };
 
   gameState.progressionIntegration
-    .handlePlayerDeath(player, player.accountId, sessionStats)
+    .handlePlayerDeath(player, player.accountId, sessionStats, runContext)
     .catch(err => {
-      _onDeathSaveFailed(err, player, playerId, sessionStats, now, gameState, logger);
+      _onDeathSaveFailed(err, player, playerId, sessionStats, runContext, now, gameState, logger);
     });
 }
 
@@ -98,14 +165,16 @@ function _buildSessionStats(player, gameState, now, isBoss) {
     kills: Math.max(0, player.zombiesKilled || player.kills || 0),
     survivalTimeSeconds: survivalSeconds,
     comboMax: Math.max(0, player.maxCombo || 0),
-    bossKills: player.bossKills
+    bossKills: player.bossKills,
+    goldEarned: Math.max(0, player.goldEarned || 0),
+    weaponStats: snapshotWeaponRunStats(player)
   };
 }
 
 /**
  * Handle failed death save: log and enqueue for retry
  */
-function _onDeathSaveFailed(err, player, playerId, sessionStats, now, gameState, logger) {
+function _onDeathSaveFailed(err, player, playerId, sessionStats, runContext, now, gameState, logger) {
   logger.error('CRITICAL: Failed to handle player death', {
     error: err.message,
     stack: err.stack,
@@ -128,9 +197,17 @@ function _onDeathSaveFailed(err, player, playerId, sessionStats, now, gameState,
   }
 
   gameState.failedDeathQueue.push({
-    player: { id: player.id, accountId: player.accountId, nickname: player.nickname },
+    player: {
+      id: player.id,
+      accountId: player.accountId,
+      nickname: player.nickname,
+      runId: player.runId,
+      survivalStartedAt: player.survivalStartedAt,
+      gold: player.gold
+    },
     accountId: player.accountId,
     stats: sessionStats,
+    runContext,
     timestamp: now,
     retryCount: 0
   });
@@ -198,7 +275,7 @@ function _processQueueEntry(entry, index, gameState, now, logger) {
   entry.lastRetry = now;
 
   gameState.progressionIntegration
-    .handlePlayerDeath(entry.player, entry.accountId, entry.stats)
+    .handlePlayerDeath(entry.player, entry.accountId, entry.stats, entry.runContext)
     .then(() => {
       const idx = gameState.failedDeathQueue.indexOf(entry);
       if (idx > -1) {
@@ -288,6 +365,7 @@ function _cleanupPlayerTracking(player, activeZombieIds, activePoisonTrailIds) {
 
 module.exports = {
   handlePlayerDeathProgression,
+  finalizeDownedPlayer,
   processFailedDeathQueue,
   cleanupOrphanedTrackingData
 };
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Co-op downed state - revives, bleed-out and the all-down run end
+ * @description DeathProgressionHandler downs a player instead of killing them
+ *   while a teammate is still standing. Each tick the nearest standing teammate
+ *   within CONFIG.REVIVE_RADIUS fills `reviveProgress`; taking damage or walking
+ *   away starts it over. A downed player dies at `downedUntil`, and everyone
+ *   still down dies once nobody is left standing.
+ *
+ *   Timestamps are wall-clock (Date.now()), like the rest of the death path.
+ */
+
+const { CONFIG } = require('../../../lib/server/ConfigManager');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const { distanceSquared } = require('../../../lib/MathUtils');
+const { finalizeDownedPlayer } = require('./DeathProgressionHandler');
+
+/** Minimum delay between two reviveProgress broadcasts for the same player. */
+const REVIVE_PROGRESS_INTERVAL_MS = 250;
+
+function _isStanding(player) {
+  return Boolean(player) && player.alive && player.hasNickname && !player.downed;
+}
+
+/**
+ * Nearest standing teammate close enough to revive
+ */
+function _findReviver(players, downedPlayer) {
+  const maxSq = CONFIG.REVIVE_RADIUS * CONFIG.REVIVE_RADIUS;
+  let best = null;
+  let bestSq = maxSq;
+  for (const id in players) {
+    const other = players[id];
+    if (!_isStanding(other)) {
+      continue;
+    }
+    const dSq = distanceSquared(other.x, other.y, downedPlayer.x, downedPlayer.y);
+    if (dSq <= bestSq) {
+      bestSq = dSq;
+      best = id;
+    }
+  }
+  return best;
+}
+
+function _emitProgress(io, player, playerId, now) {
+  player._lastReviveEmit = now;
+  io.emit(SOCKET_EVENTS.SERVER.REVIVE_PROGRESS, {
+    playerId,
+    reviverId: player.reviverId,
+    progress: player.reviveProgress
+  });
+}
+
+function _resetRevive(player, reviverId, reviver) {
+  player.reviveProgress = 0;
+  player.reviverId = reviverId;
+  player._reviverHealth = reviver ? reviver.health : null;
+}
+
+function _revive(player, playerId, io) {
+  const reviverId = player.reviverId;
+  player.downed = false;
+  player.downedUntil = 0;
+  player.reviveProgress = 0;
+  player.reviverId = null;
+  player._reviverHealth = null;
+  player._downedByBoss = false;
+  player.health = Math.max(1, Math.round(player.maxHealth * CONFIG.REVIVE_HEALTH_PERCENT));
+  io.emit(SOCKET_EVENTS.SERVER.PLAYER_REVIVED, { playerId, reviverId, health: player.health });
+}
+
+/**
+ * Advance (or interrupt) the revive of one downed player.
+ * @returns {boolean} true when the player got back up
+ */
+function _updateRevive(player, playerId, players, io, now, elapsed) {
+  const reviverId = _findReviver(players, player);
+  const reviver = reviverId ? players[reviverId] : null;
+
+  if (!reviver) {
+    if (player.reviverId) {
+      _resetRevive(player, null, null);
+      _emitProgress(io, player, playerId, now);
+    }
+    return false;
+  }
+
+  const hurt = typeof player._reviverHealth === 'number' && reviver.health < player._reviverHealth;
+  if (reviverId !== player.reviverId || hurt) {
+    _resetRevive(player, reviverId, reviver);
+    _emitProgress(io, player, playerId, now);
+    return false;
+  }
+
+  player._reviverHealth = reviver.health;
+  player.reviveProgress = Math.min(1, player.reviveProgress + elapsed / CONFIG.REVIVE_DURATION_MS);
+  if (player.reviveProgress >= 1) {
+    _revive(player, playerId, io);
+    return true;
+  }
+  if (now - (player._lastReviveEmit || 0) >= REVIVE_PROGRESS_INTERVAL_MS) {
+    _emitProgress(io, player, playerId, now);
+  }
+  return false;
+}
+
+function _clearTracking(player) {
+  player._downedAnnounced = false;
+  player._downedTickAt = null;
+  player._lastReviveEmit = 0;
+  player._reviverHealth = null;
+}
+
+/**
+ * Update every downed player: announce new downs, run revives, bleed out,
+ * and end the run for everyone down once nobody is standing.
+ * @param {Object} gameState - Global game state
+ * @param {Object} io - Socket.IO server (or namespace) to broadcast on
+ * @param {Object} [logger] - Logger instance
+ * @param {number} [now=Date.now()] - Wall-clock timestamp (ms)
+ * @returns {void}
+ */
+function updateDownedPlayers(gameState, io, logger, now = Date.now()) {
+  const players = gameState.players;
+  const downedIds = [];
+  let standing = 0;
+
+  for (const id in players) {
+    const player = players[id];
+    if (player.alive && player.downed) {
+      downedIds.push(id);
+    } else if (_isStanding(player)) {
+      standing++;
+    }
+  }
+
+  for (const id of downedIds) {
+    const player = players[id];
+    const elapsed = typeof player._downedTickAt === 'number' ? Math.max(0, now - player._downedTickAt) : 0;
+    player._downedTickAt = now;
+
+    if (!player._downedAnnounced) {
+      player._downedAnnounced = true;
+      io.emit(SOCKET_EVENTS.SERVER.PLAYER_DOWNED, {
+        playerId: id,
+        downedUntil: player.downedUntil,
+        x: player.x,
+        y: player.y
+      });
+    }
+
+    if (standing === 0 || now >= player.downedUntil) {
+      _clearTracking(player);
+      finalizeDownedPlayer(player, id, gameState, now, logger);
+      continue;
+    }
+    if (_updateRevive(player, id, players, io, now, elapsed)) {
+      _clearTracking(player);
+    }
+  }
+}
+
+module.exports = {
+  updateDownedPlayers,
+  REVIVE_PROGRESS_INTERVAL_MS
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Input-driven player movement (MOVEMENT_MODE=input)
+ * @description The client sends sequenced input frames ({seq, mx, my, dt, angle})
+ *   and the server moves the player itself: same speed modifiers, wall sliding
+ *   and room clamp as the client prediction in PlayerController. Simulated time
+ *   is capped by the wall-clock time the socket has actually been connected
+ *   (`inputBudgetMs`), so inflated dt values or extra frames cannot speed a
+ *   player up; the client reconciles from the moveAck position instead.
+ */
+
+const ConfigManager = require('../../../lib/server/ConfigManager');
+const { MOVEMENT_CONFIG } = require('../../../config/constants');
+
+const { CONFIG } = ConfigManager;
+
+/** Client prediction runs its speed values per 60 FPS frame. */
+const FRAME_MS = 1000 / 60;
+
+/**
+ * Effective speed in px per 60 FPS frame, mirroring PlayerController._computeMovementVector.
+ * @param {Object} player
+ * @param {number} now - server timestamp (ms)
+ * @returns {number}
+ */
+function getFrameSpeed(player, now) {
+  let speed = CONFIG.PLAYER_SPEED * (player.speedMultiplier || 1);
+  if (player.speedBoost && now < player.speedBoost) {
+    speed *= 1.5;
+  }
+  if (player.slowedUntil && now < player.slowedUntil) {
+    speed *= player.slowAmount || 1;
+  }
+  if (player.downed) {
+    speed *= CONFIG.DOWNED_CRAWL_SPEED;
+  }
+  return speed;
+}
+
+/**
+ * Move towards (newX, newY) sliding along walls, then clamp to the room.
+ * @param {Object} player
+ * @param {number} newX
+ * @param {number} newY
+ * @param {Object} roomManager
+ */
+function moveWithCollision(player, newX, newY, roomManager) {
+  const size = CONFIG.PLAYER_SIZE;
+  let finalX = player.x;
+  let finalY = player.y;
+  if (!roomManager.checkWallCollision(newX, newY, size)) {
+    finalX = newX;
+    finalY = newY;
+  } else {
+    if (!roomManager.checkWallCollision(newX, player.y, size)) {
+      finalX = newX;
+    }
+    if (!roomManager.checkWallCollision(player.x, newY, size)) {
+      finalY = newY;
+    }
+  }
+
+  const wallThickness = CONFIG.WALL_THICKNESS || 40;
+  const playerSize = CONFIG.PLAYER_SIZE || 20;
+  player.x = Math.max(wallThickness + playerSize, Math.min(CONFIG.ROOM_WIDTH - wallThickness - playerSize, finalX));
+  player.y = Math.max(wallThickness + playerSize, Math.min(CONFIG.ROOM_HEIGHT - wallThickness - playerSize, finalY));
+}
+
+/**
+ * Refill the player's simulation budget with the time elapsed since the last packet.
+ * @param {Object} player
+ * @param {number} now
+ */
+function accrueInputBudget(player, now) {
+  const elapsed = typeof player.lastInputAt === 'number' ? Math.max(0, now - player.lastInputAt) : MOVEMENT_CONFIG.maxBufferedMs;
+  player.inputBudgetMs = Math.min(MOVEMENT_CONFIG.maxBufferedMs, (player.inputBudgetMs || 0) + elapsed);
+  player.lastInputAt = now;
+}
+
+/**
+ * Simulate validated input frames in seq order. Frames at or below
+ * `player.lastInputSeq` (replays, reordering) are skipped; a stunned player
+ * consumes its frames without moving so the ack still advances.
+ *
+ * @param {Object} player
+ * @param {Array<{seq: number, mx: number, my: number, dt: number, angle: number}>} frames
+ * @param {Object} roomManager
+ * @param {number} [now=Date.now()]
+ * @returns {number} number of frames applied
+ */
+function applyInputFrames(player, frames, roomManager, now = Date.now()) {
+  accrueInputBudget(player, now);
+  const stunned = player.stunned && player.stunnedUntil > now;
+  let applied = 0;
+
+  for (const frame of frames) {
+    if (frame.seq <= (player.lastInputSeq || 0)) {
+      continue;
+    }
+    player.lastInputSeq = frame.seq;
+    player.angle = frame.angle;
+    applied++;
+
+    const dt = Math.min(frame.dt, MOVEMENT_CONFIG.maxFrameMs, player.inputBudgetMs);
+    player.inputBudgetMs -= dt;
+    if (stunned || dt <= 0 || (frame.mx === 0 && frame.my === 0)) {
+      continue;
+    }
+    const distance = getFrameSpeed(player, now) * (dt / FRAME_MS);
+    moveWithCollision(player, player.x + frame.mx * distance, player.y + frame.my * distance, roomManager);
+  }
+
+  if (applied > 0) {
+    player.lastActivityTime = now;
+  }
+  return applied;
+}
+
+module.exports = {
+  applyInputFrames,
+  // Exported for unit tests
+  getFrameSpeed,
+  moveWithCollision,
+  accrueInputBudget
+};
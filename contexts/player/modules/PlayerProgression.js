@@ -5,6 +5,7 @@
 
 const { getXPForLevel, generateUpgradeChoices } = require('../../../game/utilityFunctions');
 const { getTelemetryCollector } = require('../../../infrastructure/telemetry/TelemetryCollector');
+const { runStream } = require('../../../lib/runPRNG');
 
 /**
  * Update player combo on zombie kill
@@ -119,8 +120,9 @@ function emitComboUpdate(shooter, playerId, comboMultiplier, goldBonus, xpBonus,
 /**
  * Handle player level up
  * BUG FIX: Added validation for player and XP values
+ * @param {Object} [gameState] - run state; its 'upgrades' stream rolls the choices
  */
-function handlePlayerLevelUp(player, playerId, io) {
+function handlePlayerLevelUp(player, playerId, io, gameState = null) {
   // BUG FIX: Validate player object
   if (!player || typeof player !== 'object') {
     return;
@@ -146,7 +148,7 @@ function handlePlayerLevelUp(player, playerId, io) {
     levelUps++;
 
     const milestoneBonus = checkMilestoneBonus(player);
-    const upgradeChoices = generateUpgradeChoices();
+    const upgradeChoices = generateUpgradeChoices(runStream(gameState, 'upgrades'));
 
     // ANTI-CHEAT: Store valid choices server-side so selectUpgrade can verify.
     // BUGFIX: store batches as grouped sub-arrays. Multiple level-ups in one
@@ -5,9 +5,13 @@
 const { GAMEPLAY_CONSTANTS } = require('../../../lib/server/ConfigManager');
 const { updateAutoTurrets } = require('./AutoTurretHandler');
 const { updateTeslaCoil } = require('./TeslaCoilHandler');
+const { updateReload, syncInventory } = require('../../weapons/modules/WeaponInventory');
+const { getSynergyModifier } = require('../../../lib/server/SynergyRegistry');
+const { applyMutatorHook } = require('../../../lib/server/MutatorRules');
 
 /**
  * Update all alive players each game loop tick
+ * `now` is the game loop clock; `wallNow` the wall clock the socket handlers stamp reloads with
  */
 function updatePlayers(
   gameState,
@@ -16,7 +20,8 @@ function updatePlayers(
   collisionManager,
   entityManager,
   deltaMultiplier = 1,
-  zombieManager = null
+  zombieManager = null,
+  wallNow = Date.now()
 ) {
 
   for (const playerId in gameState.players) {
@@ -25,8 +30,12 @@ function updatePlayers(
       continue;
     }
 
-    updatePlayerTimers(player, now, io, playerId);
-    updatePlayerRegeneration(player, now, deltaMultiplier);
+    updatePlayerTimers(player, now, io, playerId, wallNow);
+    // Downed players neither heal nor fire; DownedStateHandler owns them
+    if (player.downed) {
+      continue;
+    }
+    updatePlayerRegeneration(player, now, deltaMultiplier, gameState);
     updateAutoTurrets(player, playerId, now, collisionManager, entityManager, gameState);
     updateTeslaCoil(
       player,
@@ -42,9 +51,9 @@ function updatePlayers(
 }
 
 /**
- * Update player timers and effects (weapon expiry, buffs, combo)
+ * Update player timers and effects (reload, buffs, combo)
  */
-function updatePlayerTimers(player, now, io, playerId) {
+function updatePlayerTimers(player, now, io, playerId, wallNow = Date.now()) {
   if (player.spawnProtection && now > player.spawnProtectionEndTime) {
     player.spawnProtection = false;
   }
@@ -53,10 +62,8 @@ function updatePlayerTimers(player, now, io, playerId) {
     player.invisible = false;
   }
 
-  if (player.weaponTimer && now > player.weaponTimer) {
-    player.weapon = 'pistol';
-    player.weaponTimer = null;
-  }
+  updateReload(player, wallNow);
+  syncInventory(player, io, playerId);
 
   if (player.speedBoost && now > player.speedBoost) {
     player.speedBoost = null;
@@ -95,9 +102,11 @@ function _updateComboTimer(player, now, io, playerId) {
 }
 
 /**
- * Update player health regeneration with lag compensation (max 3 missed ticks)
+ * Update player health regeneration with lag compensation (max 3 missed ticks).
+ * The rapid_regeneration synergy multiplies the heal per tick; run mutator
+ * rules (modifyRegen) get the last word.
  */
-function updatePlayerRegeneration(player, now, _deltaMultiplier = 1) {
+function updatePlayerRegeneration(player, now, _deltaMultiplier = 1, gameState = null) {
   if (player.regeneration <= 0) {
     return;
   }
@@ -115,7 +124,12 @@ function updatePlayerRegeneration(player, now, _deltaMultiplier = 1) {
     timeSinceLastRegen / GAMEPLAY_CONSTANTS.REGENERATION_TICK_INTERVAL
   );
   const ticksToApply = Math.min(missedTicks, 3);
-  const healAmount = player.regeneration * ticksToApply;
+  const healAmount = applyMutatorHook(
+    gameState,
+    'modifyRegen',
+    player.regeneration * getSynergyModifier(player, 'regenMultiplier') * ticksToApply,
+    player
+  );
 
   player.health = Math.min(player.health + healAmount, player.maxHealth);
   player.lastRegenTick = now;
@@ -2,7 +2,9 @@
  * @fileoverview Pure helpers for player respawn logic
  */
 
+const crypto = require('crypto');
 const { resolvePlayerSpawnPosition } = require('../../session/playerStateFactory');
+const { resetInventory } = require('../../weapons/modules/WeaponInventory');
 
 /**
  * Captures upgrades, multipliers, level/xp and level-up stats from a player.
@@ -33,7 +35,10 @@ function savePlayerProgressionSnapshot(player) {
       explosionDamagePercent: player.explosionDamagePercent,
       extraBullets: player.extraBullets,
       thorns: player.thorns,
-      autoTurrets: player.autoTurrets
+      autoTurrets: player.autoTurrets,
+      levelUpUpgrades: [...(player.levelUpUpgrades || [])],
+      synergies: [...(player.synergies || [])],
+      synergyEffects: { ...player.synergyEffects }
     }
   };
 }
@@ -43,8 +48,10 @@ function savePlayerProgressionSnapshot(player) {
  * @param {object} player
  * @param {object} config - CONFIG object
  * @param {number} totalMaxHealth - pre-computed max health
+ * @param {object|null} [gameState]
+ * @param {{x: number, y: number}|null} [near] - party mate to respawn next to
  */
-function resetPlayerRunState(player, config, totalMaxHealth, gameState = null) {
+function resetPlayerRunState(player, config, totalMaxHealth, gameState = null, near = null) {
   player.nickname = null;
   player.hasNickname = false;
   player.spawnProtection = false;
@@ -52,17 +59,21 @@ function resetPlayerRunState(player, config, totalMaxHealth, gameState = null) {
   player.invisible = false;
   player.invisibleEndTime = 0;
 
-  const spawn = resolvePlayerSpawnPosition(config, gameState);
+  const spawn = resolvePlayerSpawnPosition(config, gameState, near);
   player.x = spawn.x;
   player.y = spawn.y;
 
   player.health = totalMaxHealth;
   player.maxHealth = totalMaxHealth;
   player.alive = true;
+  player.downed = false;
+  player.downedUntil = 0;
+  player.reviveProgress = 0;
+  player.reviverId = null;
   player.gold = 0;
-  player.weapon = 'pistol';
+  player.goldEarned = 0;
+  resetInventory(player);
   player.speedBoost = null;
-  player.weaponTimer = null;
   player.lastShot = 0;
   player.zombiesKilled = 0;
   player.kills = 0;
@@ -70,6 +81,11 @@ function resetPlayerRunState(player, config, totalMaxHealth, gameState = null) {
   player.comboTimer = 0;
   player.highestCombo = 0;
   player.totalScore = 0;
+  player.weaponRunStats = {};
+
+  // New run: fresh id for the server run record, survival clock restarts
+  player.runId = crypto.randomUUID();
+  player.survivalStartedAt = Date.now();
 }
 
 /**
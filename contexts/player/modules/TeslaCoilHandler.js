@@ -4,6 +4,8 @@
 
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const { createParticles, createLoot } = require('../../../game/lootFunctions');
+const { publishZombieKill } = require('../../../lib/server/GameEventBus');
+const { runMutatorHook } = require('../../../lib/server/MutatorRules');
 
 /**
  * Update tesla coil for a player: check cooldown and fire if ready.
@@ -180,6 +182,8 @@ function _handleTeslaKill(zombie, player, gameState, entityManager, now, io, zom
     player.zombiesKilled = (player.zombiesKilled || 0) + 1;
   }
 
+  publishZombieKill(gameState, player && player.id, zombie);
+  runMutatorHook(gameState, 'onZombieDeath', zombie, gameState, entityManager);
   createLoot(zombie.x, zombie.y, zombie.goldDrop, zombie.xpDrop, gameState);
   delete gameState.zombies[zombie.id];
   gameState.collisionManager?.invalidatePathfindingCache(zombie.id);
@@ -3,6 +3,7 @@
  */
 
 jest.mock('../../../../lib/server/ConfigManager', () => ({
+  CONFIG: { DOWNED_BLEED_OUT_MS: 30000 },
   GAMEPLAY_CONSTANTS: {
     SURVIVAL_TIME_MULTIPLIER: 1000,
     FAILED_DEATH_QUEUE_MAX_SIZE: 3
@@ -11,6 +12,7 @@ jest.mock('../../../../lib/server/ConfigManager', () => ({
 
 const {
   handlePlayerDeathProgression,
+  finalizeDownedPlayer,
   processFailedDeathQueue,
   cleanupOrphanedTrackingData
 } = require('../DeathProgressionHandler');
@@ -74,6 +76,30 @@ describe('handlePlayerDeathProgression', () => {
     expect(gameState.progressionIntegration.handlePlayerDeath).toHaveBeenCalled();
   });
 
+  test('puts the per-weapon run counters in the session stats', () => {
+    const player = {
+      alive: true,
+      health: 0,
+      accountId: 'acc1',
+      weaponRunStats: {
+        shotgun: { shotsFired: 48, shotsHit: 30, kills: 7, damageDealt: 1234.6, activeTime: 9000.4, lastShotAt: 1900 },
+        rifle: { shotsFired: 0, shotsHit: 0, kills: 0, damageDealt: 0, activeTime: 0, lastShotAt: 0 }
+      }
+    };
+    const gameState = {
+      wave: 3,
+      progressionIntegration: {
+        checkSecondChance: () => false,
+        handlePlayerDeath: jest.fn(() => ({ catch: () => {} }))
+      }
+    };
+    handlePlayerDeathProgression(player, 'p1', gameState, 2000);
+    const sessionStats = gameState.progressionIntegration.handlePlayerDeath.mock.calls[0][2];
+    expect(sessionStats.weaponStats).toEqual([
+      { weaponId: 'shotgun', shotsFired: 48, shotsHit: 30, kills: 7, damageDealt: 1235, activeTime: 9000 }
+    ]);
+  });
+
   test('skips save when no accountId', () => {
     const player = { alive: true, health: 0 };
     const gameState = {
@@ -86,6 +112,53 @@ describe('handlePlayerDeathProgression', () => {
     expect(gameState.progressionIntegration.handlePlayerDeath).not.toHaveBeenCalled();
     expect(player.alive).toBe(false);
   });
+
+  test('publishes the death of an account player on the event bus', () => {
+    const player = { alive: true, health: 0, accountId: 'acc1', level: 6, goldEarned: 320 };
+    const gameState = { wave: 4, events: { emit: jest.fn() } };
+    handlePlayerDeathProgression(player, 'p1', gameState, 1000);
+    expect(gameState.events.emit).toHaveBeenCalledWith('playerDied', {
+      playerId: 'p1', accountId: 'acc1', level: 6, wave: 4, goldEarned: 320
+    });
+  });
+});
+
+describe('downed state', () => {
+  test('downs the player while a teammate is standing', () => {
+    const player = { alive: true, health: -5, hasNickname: true };
+    const gameState = {
+      players: { p1: player, p2: { alive: true, hasNickname: true, downed: false } },
+      events: { emit: jest.fn() }
+    };
+    const now = Date.now();
+    handlePlayerDeathProgression(player, 'p1', gameState, now, true);
+    expect(player).toMatchObject({
+      alive: true, downed: true, downedUntil: now + 30000, reviveProgress: 0, health: 0
+    });
+    expect(gameState.events.emit).not.toHaveBeenCalled();
+
+    // Further hits while downed change nothing
+    player.health = -20;
+    expect(handlePlayerDeathProgression(player, 'p1', gameState, now + 500)).toBe(false);
+    expect(player.health).toBe(0);
+    expect(player.downedUntil).toBe(now + 30000);
+  });
+
+  test('dies outright when every teammate is already down', () => {
+    const player = { alive: true, health: 0, hasNickname: true };
+    const gameState = { players: { p1: player, p2: { alive: true, hasNickname: true, downed: true } } };
+    handlePlayerDeathProgression(player, 'p1', gameState, 1000);
+    expect(player.alive).toBe(false);
+    expect(player.downed).toBeUndefined();
+  });
+
+  test('finalizeDownedPlayer clears the downed fields and publishes the death', () => {
+    const player = { alive: true, health: 0, accountId: 'acc1', level: 2, downed: true, downedUntil: 5000, reviveProgress: 0.5 };
+    const gameState = { wave: 2, events: { emit: jest.fn() } };
+    finalizeDownedPlayer(player, 'p1', gameState, 5000);
+    expect(player).toMatchObject({ alive: false, downed: false, downedUntil: 0, reviveProgress: 0 });
+    expect(gameState.events.emit).toHaveBeenCalledWith('playerDied', expect.objectContaining({ playerId: 'p1' }));
+  });
 });
 
 describe('processFailedDeathQueue', () => {
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for contexts/player/modules/DownedStateHandler.js
+ * Focus: revive progress, interruption by damage or distance, bleed-out, all-down run end.
+ */
+
+const { performance } = require('perf_hooks');
+const { updateDownedPlayers } = require('../DownedStateHandler');
+const { CONFIG } = require('../../../../lib/server/ConfigManager');
+const { updateZombies } = require('../../../zombie/modules/ZombieUpdater');
+const { initializeGameState } = require('../../../../game/gameState');
+const CollisionManager = require('../../../weapons/CollisionManager');
+
+function makePlayer(overrides = {}) {
+  return { alive: true, hasNickname: true, downed: false, x: 500, y: 500, health: 100, maxHealth: 100, ...overrides };
+}
+
+function makeDowned(overrides = {}) {
+  return makePlayer({ downed: true, downedUntil: 100000, reviveProgress: 0, reviverId: null, health: 0, ...overrides });
+}
+
+function makeSetup(players) {
+  return {
+    gameState: { wave: 1, players, events: { emit: jest.fn() } },
+    io: { emit: jest.fn() }
+  };
+}
+
+function emitted(io, event) {
+  return io.emit.mock.calls.filter(([name]) => name === event).map(([, payload]) => payload);
+}
+
+describe('updateDownedPlayers', () => {
+  test('announces a new downed player once', () => {
+    const { gameState, io } = makeSetup({ a: makeDowned(), b: makePlayer({ x: 2000 }) });
+    updateDownedPlayers(gameState, io, null, 0);
+    updateDownedPlayers(gameState, io, null, 50);
+    expect(emitted(io, 'playerDowned')).toEqual([{ playerId: 'a', downedUntil: 100000, x: 500, y: 500 }]);
+  });
+
+  test('a teammate standing nearby revives after REVIVE_DURATION_MS', () => {
+    const { gameState, io } = makeSetup({ a: makeDowned(), b: makePlayer({ x: 520 }) });
+    updateDownedPlayers(gameState, io, null, 0);
+    expect(gameState.players.a.reviverId).toBe('b');
+
+    updateDownedPlayers(gameState, io, null, CONFIG.REVIVE_DURATION_MS / 2);
+    expect(gameState.players.a.reviveProgress).toBeCloseTo(0.5);
+
+    updateDownedPlayers(gameState, io, null, CONFIG.REVIVE_DURATION_MS);
+    const revived = gameState.players.a;
+    expect(revived.downed).toBe(false);
+    expect(revived.health).toBe(Math.round(100 * CONFIG.REVIVE_HEALTH_PERCENT));
+    expect(emitted(io, 'playerRevived')).toEqual([{ playerId: 'a', reviverId: 'b', health: revived.health }]);
+  });
+
+  test('damage to the reviver restarts the revive', () => {
+    const { gameState, io } = makeSetup({ a: makeDowned(), b: makePlayer({ x: 520 }) });
+    updateDownedPlayers(gameState, io, null, 0);
+    updateDownedPlayers(gameState, io, null, 1000);
+    expect(gameState.players.a.reviveProgress).toBeGreaterThan(0);
+
+    gameState.players.b.health = 80;
+    updateDownedPlayers(gameState, io, null, 2000);
+    expect(gameState.players.a.reviveProgress).toBe(0);
+    expect(emitted(io, 'reviveProgress').pop()).toEqual({ playerId: 'a', reviverId: 'b', progress: 0 });
+  });
+
+  test('walking out of range cancels the revive', () => {
+    const { gameState, io } = makeSetup({ a: makeDowned(), b: makePlayer({ x: 520 }) });
+    updateDownedPlayers(gameState, io, null, 0);
+    updateDownedPlayers(gameState, io, null, 1000);
+
+    gameState.players.b.x = 500 + CONFIG.REVIVE_RADIUS + 1;
+    updateDownedPlayers(gameState, io, null, 1500);
+    expect(gameState.players.a).toMatchObject({ reviveProgress: 0, reviverId: null });
+  });
+
+  test('bleeds out at downedUntil', () => {
+    const { gameState, io } = makeSetup({ a: makeDowned({ downedUntil: 5000 }), b: makePlayer({ x: 2000 }) });
+    updateDownedPlayers(gameState, io, null, 4999);
+    expect(gameState.players.a.alive).toBe(true);
+    updateDownedPlayers(gameState, io, null, 5000);
+    expect(gameState.players.a).toMatchObject({ alive: false, downed: false });
+  });
+
+  test('the run ends for everyone down once nobody is standing', () => {
+    const { gameState, io } = makeSetup({
+      a: makeDowned(),
+      b: makeDowned(),
+      c: makePlayer({ alive: false })
+    });
+    updateDownedPlayers(gameState, io, null, 0);
+    expect(gameState.players.a.alive).toBe(false);
+    expect(gameState.players.b.alive).toBe(false);
+  });
+});
+
+describe('downed by a zombie during a game loop tick', () => {
+  // The loop hands zombies its performance.now() clock and the downed update Date.now()
+  test('the player stays down until the bleed-out delay, not one tick', () => {
+    const gameState = initializeGameState();
+    const a = makePlayer({ id: 'a', health: 1 });
+    const b = makePlayer({ id: 'b', x: 900, y: 900 });
+    gameState.players = { a, b };
+    gameState.zombies = {
+      1: { id: 1, type: 'normal', x: 500, y: 500, size: 25, speed: 0, damage: 50, health: 10, maxHealth: 10 }
+    };
+    const collisionManager = new CollisionManager(gameState, CONFIG);
+    collisionManager.rebuildQuadtree();
+    const io = { emit: jest.fn(), to: jest.fn().mockReturnThis() };
+
+    updateZombies(gameState, performance.now(), io, collisionManager, {}, {}, { tickCounter: 1 });
+    expect(a.downed).toBe(true);
+
+    updateDownedPlayers(gameState, io, null, Date.now());
+    expect(a).toMatchObject({ alive: true, downed: true });
+
+    updateDownedPlayers(gameState, io, null, Date.now() + CONFIG.DOWNED_BLEED_OUT_MS + 1);
+    expect(a).toMatchObject({ alive: false, downed: false });
+  });
+});
@@ -48,11 +48,39 @@ describe('updatePlayerTimers', () => {
     expect(player.invisible).toBe(false);
   });
 
-  test('reverts to pistol when weaponTimer elapses', () => {
-    const player = { weapon: 'rocketLauncher', weaponTimer: 100, combo: 0 };
-    updatePlayerTimers(player, 200, makeIO(), 'p1');
-    expect(player.weapon).toBe('pistol');
-    expect(player.weaponTimer).toBeNull();
+  test('completes a due reload and pushes the inventory once', () => {
+    const wallNow = Date.now();
+    const player = {
+      weapon: 'rifle',
+      weapons: [{ id: 'pistol', ammo: 12, reserve: null }, { id: 'rifle', ammo: 0, reserve: 100 }],
+      reloadingUntil: wallNow - 100,
+      combo: 0
+    };
+    const io = makeIO();
+    updatePlayerTimers(player, 200, io, 'p1', wallNow);
+    expect(player.weapons[1]).toEqual({ id: 'rifle', ammo: 30, reserve: 70 });
+    expect(player.reloadingUntil).toBe(0);
+    expect(io.__emit).toHaveBeenCalledWith('weaponInventory', expect.objectContaining({ current: 'rifle' }));
+
+    updatePlayerTimers(player, 300, io, 'p1', wallNow + 100);
+    expect(io.__emit).toHaveBeenCalledTimes(1);
+  });
+
+  test('times reloads on the wall clock, not the game loop clock', () => {
+    const wallNow = Date.now();
+    const player = {
+      weapon: 'rifle',
+      weapons: [{ id: 'rifle', ammo: 0, reserve: 100 }],
+      reloadingUntil: wallNow + 500,
+      combo: 0
+    };
+    // Loop timestamps are far below the reload end stamped by the socket handler
+    updatePlayerTimers(player, 30000, makeIO(), 'p1', wallNow + 499);
+    expect(player.reloadingUntil).toBe(wallNow + 500);
+
+    updatePlayerTimers(player, 30016, makeIO(), 'p1', wallNow + 500);
+    expect(player.reloadingUntil).toBe(0);
+    expect(player.weapons[0].ammo).toBe(30);
   });
 
   test('clears speedBoost when elapsed', () => {
@@ -81,7 +109,7 @@ describe('updatePlayerTimers', () => {
     const player = { combo: 0 };
     const io = makeIO();
     updatePlayerTimers(player, 10000, io, 'p1');
-    expect(io.__emit).not.toHaveBeenCalled();
+    expect(io.__emit).not.toHaveBeenCalledWith('comboReset', expect.anything());
   });
 });
 
@@ -108,6 +136,29 @@ describe('updatePlayerRegeneration', () => {
     expect(player.health).toBe(55);
   });
 
+  test('rapid_regeneration triples the heal per tick', () => {
+    const player = {
+      regeneration: 5, health: 50, maxHealth: 100,
+      lastRegenTick: 1, synergyEffects: { regenMultiplier: 3 }
+    };
+    updatePlayerRegeneration(player, 1100);
+    expect(player.health).toBe(65);
+  });
+
+  test('the golden_famine mutator stops regeneration', () => {
+    const RunMutatorManager = require('../../../../lib/server/RunMutatorManager');
+    const gameState = { wave: 1 };
+    gameState.mutatorManager = new RunMutatorManager(gameState, null);
+    gameState.mutatorManager.restore({ activeMutatorIds: ['golden_famine'] });
+    const player = {
+      regeneration: 5, health: 50, maxHealth: 100,
+      lastRegenTick: 1
+    };
+    updatePlayerRegeneration(player, 1100, 1, gameState);
+    expect(player.health).toBe(50);
+    expect(player.lastRegenTick).toBe(1100);
+  });
+
   test('caps at maxHealth', () => {
     const player = {
       regeneration: 50, health: 95, maxHealth: 100,
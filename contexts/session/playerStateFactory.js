@@ -3,6 +3,9 @@
  * @description Builds initial player state for new socket connections.
  */
 
+const crypto = require('crypto');
+const { createInventory } = require('../weapons/modules/WeaponInventory');
+
 /**
  * Clamp a value between min and max (inclusive). Returns min when min > max.
  * @param {number} value
@@ -79,8 +82,45 @@ function _candidateScore(x, y, bounds, gameState) {
   return _nearestZombieDistanceSq(x, y, gameState);
 }
 
-function resolvePlayerSpawnPosition(config, gameState = null) {
+// Party members spawn this far from the mate they join (px)
+const NEAR_SPAWN_DISTANCE = 60;
+
+/**
+ * Free spot on a ring around `near`, the one furthest from zombies.
+ * @returns {{x: number, y: number}|null} null when the ring is blocked
+ */
+function _spawnNextTo(near, bounds, gameState) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (let i = 0; i < 8; i++) {
+    const angle = (i / 8) * Math.PI * 2;
+    const x = near.x + Math.cos(angle) * NEAR_SPAWN_DISTANCE;
+    const y = near.y + Math.sin(angle) * NEAR_SPAWN_DISTANCE;
+    const score = _candidateScore(x, y, bounds, gameState);
+    if (score > bestScore) {
+      best = { x, y };
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick a spawn point: next to `near` (party mate) when there is room,
+ * otherwise the spot furthest from the zombies.
+ * @param {Object} config - Server CONFIG object
+ * @param {Object|null} [gameState]
+ * @param {{x: number, y: number}|null} [near]
+ * @returns {{x: number, y: number}}
+ */
+function resolvePlayerSpawnPosition(config, gameState = null, near = null) {
   const bounds = _getSpawnBounds(config);
+  if (near) {
+    const spot = _spawnNextTo(near, bounds, gameState);
+    if (spot) {
+      return spot;
+    }
+  }
   const spawnOffsetX = (Math.random() - 0.5) * 100;
   const spawnOffsetY = Math.random() * 40;
   const fallback = {
@@ -155,16 +195,19 @@ function resolvePlayerSpawnPosition(config, gameState = null) {
  * @param {string} socketId - Socket.IO socket ID (used as playerId)
  * @param {string|null} [sessionId] - Session UUID for reconnect recovery
  * @param {string|null} [accountId] - Persistent account UUID (nullable for guests)
+ * @param {Object|null} [gameState]
+ * @param {{x: number, y: number}|null} [near] - party mate to spawn next to
  * @returns {import('../../types/jsdoc-types').PlayerState} Fresh player state
  */
-function createPlayerState(config, socketId, sessionId = null, accountId = null, gameState = null) {
-  const spawn = resolvePlayerSpawnPosition(config, gameState);
+function createPlayerState(config, socketId, sessionId = null, accountId = null, gameState = null, near = null) {
+  const spawn = resolvePlayerSpawnPosition(config, gameState, near);
 
   return {
     id: socketId,
     socketId,
     sessionId,
     accountId,
+    runId: crypto.randomUUID(),
     nickname: null,
     hasNickname: false,
     spawnProtection: false,
@@ -179,19 +222,28 @@ function createPlayerState(config, socketId, sessionId = null, accountId = null,
     level: 1,
     xp: 0,
     gold: 0,
+    goldEarned: 0, // total gold picked up this run (gold is spent in the shop)
     alive: true,
+    downed: false,
+    downedUntil: 0,
+    reviveProgress: 0,
+    reviverId: null,
     angle: 0,
     weapon: 'pistol',
+    weapons: createInventory(),
+    reloadingUntil: 0,
+    weaponReadyAt: 0,
     lastShot: 0,
     speedBoost: null,
-    weaponTimer: null,
     kills: 0,
     zombiesKilled: 0,
     combo: 0,
     comboTimer: 0,
     highestCombo: 0,
     totalScore: 0,
+    weaponRunStats: {},
     survivalTime: Date.now(),
+    survivalStartedAt: Date.now(),
     upgrades: {
       maxHealth: 0,
       damage: 0,
@@ -214,7 +266,10 @@ function createPlayerState(config, socketId, sessionId = null, accountId = null,
     thorns: 0,
     lastRegenTick: Date.now(),
     autoTurrets: 0,
-    lastAutoShot: Date.now()
+    lastAutoShot: Date.now(),
+    levelUpUpgrades: [],
+    synergies: [],
+    synergyEffects: {}
   };
 }
 
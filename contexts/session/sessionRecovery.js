@@ -3,6 +3,7 @@
  * @description Shared helpers/state for disconnect recovery workflow.
  */
 
+const crypto = require('crypto');
 const { SESSION_RECOVERY_TIMEOUT } = require('../../config/constants');
 
 const disconnectedPlayers = new Map();
@@ -54,7 +55,7 @@ function normalizeSessionId(sessionId) {
 /**
  * Strip sensitive fields from a single player object for broadcast.
  * @param {Object} player - Raw player state
- * @returns {Object} Player object without sessionId/socketId/accountId
+ * @returns {Object} Player object without sessionId/socketId/accountId/runId
  */
 function sanitizePlayerState(player) {
   if (!player || typeof player !== 'object') {
@@ -64,6 +65,7 @@ function sanitizePlayerState(player) {
   delete sanitized.sessionId;
   delete sanitized.socketId;
   delete sanitized.accountId;
+  delete sanitized.runId;
   return sanitized;
 }
 
@@ -81,8 +83,10 @@ function sanitizePlayersState(players) {
 }
 
 /**
- * Snapshot recoverable player state for disconnect storage.
- * Captures all game-relevant fields; excludes ephemeral socket/session IDs.
+ * Snapshot recoverable player state for disconnect storage and world snapshots.
+ * Captures all game-relevant fields, including every per-run counter the run
+ * record reads at death (DeathProgressionHandler); excludes ephemeral
+ * socket/session IDs.
  * @param {Object} player - Full live player state
  * @returns {Object} Serialisable snapshot for reconnect recovery
  */
@@ -90,6 +94,8 @@ function createRecoverablePlayerState(player) {
   return {
     id: player.id,
     accountId: player.accountId || null,
+    runId: player.runId,
+    survivalStartedAt: player.survivalStartedAt,
     nickname: player.nickname,
     hasNickname: player.hasNickname,
     spawnProtection: player.spawnProtection,
@@ -104,17 +110,24 @@ function createRecoverablePlayerState(player) {
     level: player.level,
     xp: player.xp,
     gold: player.gold,
+    goldEarned: player.goldEarned,
     alive: player.alive,
     angle: player.angle,
     weapon: player.weapon,
+    weapons: Array.isArray(player.weapons) ? player.weapons.map(slot => ({ ...slot })) : undefined,
+    weaponRunStats: Object.fromEntries(
+      Object.entries(player.weaponRunStats || {}).map(([weaponId, entry]) => [weaponId, { ...entry }])
+    ),
+    reloadingUntil: player.reloadingUntil,
     lastShot: player.lastShot,
     speedBoost: player.speedBoost,
-    weaponTimer: player.weaponTimer,
     kills: player.kills,
     zombiesKilled: player.zombiesKilled,
     combo: player.combo,
     comboTimer: player.comboTimer,
     highestCombo: player.highestCombo,
+    maxCombo: player.maxCombo,
+    bossKills: player.bossKills,
     totalScore: player.totalScore,
     survivalTime: player.survivalTime,
     upgrades: { ...player.upgrades },
@@ -135,6 +148,9 @@ function createRecoverablePlayerState(player) {
     lastRegenTick: player.lastRegenTick,
     autoTurrets: player.autoTurrets,
     lastAutoShot: player.lastAutoShot,
+    levelUpUpgrades: [...(player.levelUpUpgrades || [])],
+    synergies: [...(player.synergies || [])],
+    synergyEffects: { ...player.synergyEffects },
     pendingUpgradeChoices: Array.isArray(player.pendingUpgradeChoices)
       ? player.pendingUpgradeChoices.map(b => (Array.isArray(b) ? [...b] : b))
       : []
@@ -156,7 +172,13 @@ function restoreRecoverablePlayerState(savedState, socketId, sessionId, accountI
     accountId,
     lastActivityTime: now,
     moveBudget: undefined,
-    lastMoveTime: now
+    lastMoveTime: now,
+    // A reloaded client restarts its input seq at 1 (MOVEMENT_MODE=input).
+    lastInputSeq: undefined,
+    lastInputAt: undefined,
+    inputBudgetMs: undefined,
+    // The new socket has not received the inventory yet.
+    _inventorySentVersion: undefined
   };
   if (wasDead) {
     restored.alive = true;
@@ -165,6 +187,10 @@ function restoreRecoverablePlayerState(savedState, socketId, sessionId, accountI
     restored.spawnProtectionEndTime = now + 8000;
     restored.combo = 0;
     restored.comboTimer = 0;
+    restored.runId = crypto.randomUUID();
+    restored.goldEarned = 0;
+    restored.weaponRunStats = {};
+    restored.survivalStartedAt = now;
   }
   return restored;
 }
@@ -177,6 +203,22 @@ function getDisconnectedSessionCount() {
   return disconnectedPlayers.size;
 }
 
+/**
+ * Forget the recoverable sessions of an account (ban): its run cannot be resumed.
+ * @param {string} accountId
+ * @returns {number} number of sessions dropped
+ */
+function dropSessionsForAccount(accountId) {
+  let dropped = 0;
+  for (const [sessionId, data] of disconnectedPlayers.entries()) {
+    if (accountId && data.accountId === accountId) {
+      disconnectedPlayers.delete(sessionId);
+      dropped++;
+    }
+  }
+  return dropped;
+}
+
 module.exports = {
   disconnectedPlayers,
   startSessionCleanupInterval,
@@ -185,5 +227,6 @@ module.exports = {
   sanitizePlayersState,
   createRecoverablePlayerState,
   restoreRecoverablePlayerState,
-  getDisconnectedSessionCount
+  getDisconnectedSessionCount,
+  dropSessionsForAccount
 };
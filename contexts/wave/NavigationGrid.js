@@ -0,0 +1,227 @@
+/**
+ * NAVIGATION GRID - Grille de navigation par salle + flow fields
+ * Construite depuis l'index spatial du RoomManager ; donne aux zombies une
+ * direction qui contourne les murs et obstacles au lieu de les longer.
+ * @version 1.0.0
+ */
+
+const NAV_CELL_SIZE = 50; // px par cellule de navigation
+const NAV_CLEARANCE = 20; // marge autour des murs (≈ rayon d'un zombie standard)
+const MAX_CACHED_FIELDS = 32;
+const UNREACHABLE = Infinity;
+
+// 8 voisins : [dc, dr]
+const NEIGHBOURS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+class NavigationGrid {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Largeur de la salle (px)
+   * @param {number} options.height - Hauteur de la salle (px)
+   * @param {function(number, number, number, number): boolean} options.isBlocked -
+   *   true si un mur chevauche le rectangle (x0, y0)-(x1, y1)
+   * @param {number} [options.cellSize=NAV_CELL_SIZE]
+   * @param {number} [options.clearance=NAV_CLEARANCE]
+   */
+  constructor({ width, height, isBlocked, cellSize = NAV_CELL_SIZE, clearance = NAV_CLEARANCE }) {
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    /** @type {Uint8Array} 1 = cellule bloquée */
+    this.blocked = new Uint8Array(this.cols * this.rows);
+    /** @type {Map<number, Float32Array>} flow fields indexés par cellule cible (ordre = LRU) */
+    this._fields = new Map();
+    this._queue = new Int32Array(this.cols * this.rows);
+
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        const x0 = c * cellSize - clearance;
+        const y0 = r * cellSize - clearance;
+        const x1 = (c + 1) * cellSize + clearance;
+        const y1 = (r + 1) * cellSize + clearance;
+        if (isBlocked(x0, y0, x1, y1)) {
+          this.blocked[r * this.cols + c] = 1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Construit la grille d'une salle à partir de l'index spatial du RoomManager.
+   * @param {import('./RoomManager')} roomManager
+   * @returns {NavigationGrid}
+   */
+  static fromRoomManager(roomManager) {
+    return new NavigationGrid({
+      width: roomManager.config.ROOM_WIDTH || 3000,
+      height: roomManager.config.ROOM_HEIGHT || 2400,
+      isBlocked: (x0, y0, x1, y1) => {
+        const halfW = (x1 - x0) / 2;
+        const halfH = (y1 - y0) / 2;
+        const candidates = roomManager._wallsInRegion(x0 + halfW, y0 + halfH, Math.max(halfW, halfH));
+        for (const wall of candidates) {
+          if (x1 > wall.x && x0 < wall.x + wall.width && y1 > wall.y && y0 < wall.y + wall.height) {
+            return true;
+          }
+        }
+        return false;
+      }
+    });
+  }
+
+  /**
+   * @param {number} x @param {number} y
+   * @returns {number} Index de cellule (coordonnées bornées à la salle)
+   */
+  cellIndexAt(x, y) {
+    const c = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    const r = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    return r * this.cols + c;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isPassable(index) {
+    return this.blocked[index] === 0;
+  }
+
+  /**
+   * Flow field (distance en cellules jusqu'à la cible) pour la cellule contenant
+   * (x, y). Les joueurs d'une même cellule partagent le même champ ; un champ
+   * n'est recalculé que lorsqu'une cible entre dans une cellule sans champ en cache.
+   * @param {number} x @param {number} y
+   * @returns {Float32Array}
+   */
+  getFlowField(x, y) {
+    const goal = this.cellIndexAt(x, y);
+    let field = this._fields.get(goal);
+    if (field) {
+      // Rafraîchit la position LRU
+      this._fields.delete(goal);
+      this._fields.set(goal, field);
+      return field;
+    }
+
+    field = this._computeField(goal);
+    this._fields.set(goal, field);
+    if (this._fields.size > MAX_CACHED_FIELDS) {
+      this._fields.delete(this._fields.keys().next().value);
+    }
+    return field;
+  }
+
+  /**
+   * BFS 4-connexe depuis la cellule cible. La cible est toujours source, même
+   * si elle est bloquée (joueur collé à un mur), pour rester atteignable.
+   * @param {number} goal
+   * @returns {Float32Array}
+   * @private
+   */
+  _computeField(goal) {
+    const { cols, rows } = this;
+    const field = new Float32Array(cols * rows).fill(UNREACHABLE);
+    const queue = this._queue;
+    let head = 0;
+    let tail = 0;
+
+    field[goal] = 0;
+    queue[tail++] = goal;
+
+    while (head < tail) {
+      const current = queue[head++];
+      const c = current % cols;
+      const r = (current - c) / cols;
+      const next = field[current] + 1;
+
+      for (let i = 0; i < 4; i++) {
+        const nc = c + NEIGHBOURS[i][0];
+        const nr = r + NEIGHBOURS[i][1];
+        if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) {
+          continue;
+        }
+        const n = nr * cols + nc;
+        if (this.blocked[n] === 0 && field[n] === UNREACHABLE) {
+          field[n] = next;
+          queue[tail++] = n;
+        }
+      }
+    }
+    return field;
+  }
+
+  /**
+   * Vérifie qu'aucune cellule bloquée ne coupe le segment (échantillonné à la
+   * demi-cellule). Les cellules de départ et d'arrivée sont ignorées : une
+   * entité collée à un mur occupe souvent une cellule marquée bloquée.
+   * @returns {boolean}
+   */
+  hasLineOfSight(fromX, fromY, toX, toY) {
+    const dx = toX - fromX;
+    const dy = toY - fromY;
+    const start = this.cellIndexAt(fromX, fromY);
+    const end = this.cellIndexAt(toX, toY);
+    const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / (this.cellSize / 2));
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const index = this.cellIndexAt(fromX + dx * t, fromY + dy * t);
+      if (index !== start && index !== end && this.blocked[index] === 1) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Angle de déplacement de (fromX, fromY) vers (toX, toY) en suivant le flow field.
+   * Retourne null quand la ligne droite suffit (cible visible, voisine, ou inaccessible).
+   * @returns {number|null}
+   */
+  getSteeringAngle(fromX, fromY, toX, toY) {
+    if (this.hasLineOfSight(fromX, fromY, toX, toY)) {
+      return null;
+    }
+
+    const field = this.getFlowField(toX, toY);
+    const { cols, rows, cellSize } = this;
+    const start = this.cellIndexAt(fromX, fromY);
+    const c = start % cols;
+    const r = (start - c) / cols;
+
+    let best = -1;
+    let bestDist = field[start];
+    for (const [dc, dr] of NEIGHBOURS) {
+      const nc = c + dc;
+      const nr = r + dr;
+      if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) {
+        continue;
+      }
+      // Pas de coupe de coin : les deux cellules orthogonales doivent être libres
+      if (dc !== 0 && dr !== 0 &&
+        (this.blocked[r * cols + nc] === 1 || this.blocked[nr * cols + c] === 1)) {
+        continue;
+      }
+      const n = nr * cols + nc;
+      if (field[n] < bestDist) {
+        bestDist = field[n];
+        best = n;
+      }
+    }
+
+    if (best === -1 || bestDist === UNREACHABLE) {
+      return null;
+    }
+
+    const bc = best % cols;
+    const br = (best - bc) / cols;
+    return Math.atan2((br + 0.5) * cellSize - fromY, (bc + 0.5) * cellSize - fromX);
+  }
+}
+
+NavigationGrid.NAV_CELL_SIZE = NAV_CELL_SIZE;
+
+module.exports = NavigationGrid;
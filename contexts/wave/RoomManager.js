@@ -1,9 +1,13 @@
 /**
  * ROOM MANAGER - Gestion de la génération procédurale des salles
  * Génère et gère les salles Rogue-like avec obstacles et portes
- * @version 1.1.0 — spatial grid index pour checkWallCollision O(log n)
+ * @version 1.3.0 — autels du risque (AltarManager)
  */
 
+const NavigationGrid = require('./NavigationGrid');
+const { runStream } = require('../../lib/runPRNG');
+const { generateRoomAltars, toPublicAltar } = require('../../lib/server/AltarManager');
+
 const GRID_CELL_SIZE = 200; // px par cellule de la grille spatiale
 
 class RoomManager {
@@ -15,6 +19,8 @@ class RoomManager {
     this._grid = new Map();
     this._gridCols = 0;
     this._gridRows = 0;
+    /** @type {NavigationGrid|null} grille de navigation de la salle courante (construite à la demande) */
+    this._navGrid = null;
     /** @type {boolean} Guard against room transition race (two players hitting door simultaneously) */
     this._roomTransitionInProgress = false;
   }
@@ -27,6 +33,7 @@ class RoomManager {
    */
   _buildSpatialIndex(walls) {
     this._grid = new Map();
+    this._navGrid = null;
     const W = this.config.ROOM_WIDTH || 3000;
     const H = this.config.ROOM_HEIGHT || 2400;
     this._gridCols = Math.ceil(W / GRID_CELL_SIZE);
@@ -84,6 +91,18 @@ candidates.add(w);
     return candidates;
   }
 
+  /**
+   * Grille de navigation de la salle courante, construite à la première demande
+   * après chaque reconstruction de l'index spatial (changement de salle).
+   * @returns {NavigationGrid}
+   */
+  getNavigationGrid() {
+    if (!this._navGrid) {
+      this._navGrid = NavigationGrid.fromRoomManager(this);
+    }
+    return this._navGrid;
+  }
+
   /**
    * Generate a procedural rogue-like room with walls, obstacles, and exit door
    *
@@ -93,6 +112,7 @@ candidates.add(w);
    * @returns {Array<Object>} returns.walls - Outer wall rectangles
    * @returns {Array<Object>} returns.obstacles - Interior obstacle rectangles
    * @returns {Array<Object>} returns.doors - Exit door rectangles with activation state
+   * @returns {Array<Object>} returns.altars - Risk/reward altars (0 or 1, see AltarManager)
    *
    * @description
    * Creates a procedurally generated room layout:
@@ -117,6 +137,10 @@ candidates.add(w);
    * - Position: Random within safe zone (100px margin from walls)
    * - Creates varied tactical environments
    *
+   * Altar placement:
+   * - Drawn from the 'altars' run stream, so layouts stay those of the seed
+   * - Clear of obstacles, in the middle band of the room (see generateRoomAltars)
+   *
    * Design rationale:
    * - Procedural generation: Each room feels unique
    * - Obstacles create cover and strategic positioning
@@ -141,7 +165,8 @@ candidates.add(w);
       height: this.config.ROOM_HEIGHT,
       walls: [],
       obstacles: [],
-      doors: []
+      doors: [],
+      altars: []
     };
 
     const w = this.config.WALL_THICKNESS;
@@ -173,12 +198,13 @@ candidates.add(w);
     // Safe margin: wall thickness + buffer to avoid spawning on walls
     const obstacleMargin = w + 60; // 60px buffer from wall interior
 
-    const numObstacles = Math.floor(Math.random() * 5) + 3;
+    const rng = runStream(this.gameState, 'layout');
+    const numObstacles = Math.floor(rng.random() * 5) + 3;
     for (let i = 0; i < numObstacles; i++) {
-      const obsWidth = 40 + Math.random() * 40;
-      const obsHeight = 40 + Math.random() * 40;
-      const obsX = obstacleMargin + Math.random() * (room.width - obstacleMargin * 2 - obsWidth);
-      const obsY = obstacleMargin + Math.random() * (room.height - obstacleMargin * 2 - obsHeight);
+      const obsWidth = 40 + rng.random() * 40;
+      const obsHeight = 40 + rng.random() * 40;
+      const obsX = obstacleMargin + rng.random() * (room.width - obstacleMargin * 2 - obsWidth);
+      const obsY = obstacleMargin + rng.random() * (room.height - obstacleMargin * 2 - obsHeight);
 
       room.obstacles.push({
         x: obsX,
@@ -188,6 +214,9 @@ candidates.add(w);
       });
     }
 
+    // Autel du risque (flux dédié : ne décale pas les obstacles des salles suivantes)
+    room.altars = generateRoomAltars(room, runStream(this.gameState, 'altars'), w);
+
     return room;
   }
 
@@ -263,6 +292,7 @@ candidates.add(w);
    * - gameState.zombies: Cleared to empty object
    * - gameState.bossSpawned: Reset to false
    * - gameState.zombiesKilledThisWave: Reset to 0
+   * - gameState.altars: Fresh copies of the room's altars (running challenge dropped)
    *
    * Safety checks (CORRECTION v1.0.1):
    * - Validates roomIndex >= 0 and < rooms.length
@@ -272,7 +302,7 @@ candidates.add(w);
    *
    * Client notification:
    * - Emits 'roomChanged' with room data
-   * - Includes: roomIndex, totalRooms, walls, doors
+   * - Includes: roomIndex, totalRooms, walls, doors, altars
    * - Clients update rendering and collision
    *
    * Called when:
@@ -327,6 +357,12 @@ candidates.add(w);
       this.gameState.mutatorManager.cleanupWave();
     }
 
+    // Autels : copies fraîches (un autel consommé le reste jusqu'au rechargement)
+    if (this.gameState.altarManager) {
+      this.gameState.altarManager.reset();
+    }
+    this.gameState.altars = (room.altars || []).map(altar => ({ ...altar }));
+
     // Charger tous les murs (extérieurs + obstacles)
     this.gameState.walls = [...room.walls, ...room.obstacles];
 
@@ -340,7 +376,8 @@ candidates.add(w);
       roomIndex: roomIndex,
       totalRooms: this.config.ROOMS_PER_RUN,
       walls: this.gameState.walls,
-      doors: room.doors
+      doors: room.doors,
+      altars: this.gameState.altars.map(altar => toPublicAltar(altar))
     });
 
     this._roomTransitionInProgress = false;
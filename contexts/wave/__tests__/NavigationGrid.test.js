@@ -0,0 +1,69 @@
+/**
+ * Unit tests for contexts/wave/NavigationGrid.js
+ */
+
+const NavigationGrid = require('../NavigationGrid');
+const RoomManager = require('../RoomManager');
+
+const config = { ROOM_WIDTH: 1000, ROOM_HEIGHT: 1000, WALL_THICKNESS: 40, DOOR_WIDTH: 120, ROOMS_PER_RUN: 1 };
+
+function makeRoomManager(walls) {
+  const gameState = { rooms: [], walls, zombies: {} };
+  return new RoomManager(gameState, config, { emit: jest.fn() });
+}
+
+describe('NavigationGrid', () => {
+  test('sizes the grid from room dimensions and cell size', () => {
+    const grid = new NavigationGrid({ width: 1000, height: 480, isBlocked: () => false });
+    expect(grid.cols).toBe(1000 / NavigationGrid.NAV_CELL_SIZE);
+    expect(grid.rows).toBe(Math.ceil(480 / NavigationGrid.NAV_CELL_SIZE));
+    expect(grid.blocked.every(cell => cell === 0)).toBe(true);
+  });
+
+  test('marks cells covered by walls (plus clearance) as blocked', () => {
+    const grid = makeRoomManager([{ x: 500, y: 0, width: 40, height: 1000 }]).getNavigationGrid();
+    expect(grid.isPassable(grid.cellIndexAt(525, 500))).toBe(false);
+    expect(grid.isPassable(grid.cellIndexAt(475, 500))).toBe(false); // clearance
+    expect(grid.isPassable(grid.cellIndexAt(200, 500))).toBe(true);
+  });
+
+  test('flow field distances grow away from the goal and stay unreachable past a full wall', () => {
+    const grid = makeRoomManager([{ x: 500, y: 0, width: 40, height: 1000 }]).getNavigationGrid();
+    const field = grid.getFlowField(100, 100);
+    expect(field[grid.cellIndexAt(100, 100)]).toBe(0);
+    expect(field[grid.cellIndexAt(300, 100)]).toBe(4);
+    expect(field[grid.cellIndexAt(800, 100)]).toBe(Infinity);
+  });
+
+  test('caches one field per goal cell', () => {
+    const grid = makeRoomManager([]).getNavigationGrid();
+    const spy = jest.spyOn(grid, '_computeField');
+    const a = grid.getFlowField(110, 110);
+    const b = grid.getFlowField(120, 130); // same cell
+    expect(a).toBe(b);
+    expect(spy).toHaveBeenCalledTimes(1);
+    grid.getFlowField(400, 400);
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns null steering when the target is in sight', () => {
+    const grid = makeRoomManager([]).getNavigationGrid();
+    expect(grid.getSteeringAngle(100, 100, 800, 800)).toBeNull();
+  });
+
+  test('steers around a wall blocking the straight line', () => {
+    // Wall with a gap at the top: straight right is blocked, path goes up
+    const grid = makeRoomManager([{ x: 480, y: 300, width: 40, height: 700 }]).getNavigationGrid();
+    const angle = grid.getSteeringAngle(300, 700, 700, 700);
+    expect(angle).not.toBeNull();
+    expect(Math.sin(angle)).toBeLessThan(0); // heading up (negative y)
+  });
+
+  test('RoomManager rebuilds the grid when the room changes', () => {
+    const rm = makeRoomManager([]);
+    const first = rm.getNavigationGrid();
+    expect(rm.getNavigationGrid()).toBe(first);
+    rm._buildSpatialIndex([{ x: 0, y: 0, width: 100, height: 100 }]);
+    expect(rm.getNavigationGrid()).not.toBe(first);
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 const RoomManager = require('./RoomManager');
+const NavigationGrid = require('./NavigationGrid');
 const { handleNewWave } = require('./modules/WaveManager');
 
-module.exports = { RoomManager, handleNewWave };
+module.exports = { RoomManager, NavigationGrid, handleNewWave };
@@ -5,6 +5,7 @@
 
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const { CONFIG } = ConfigManager;
+const { GAME_EVENTS } = require('../../../lib/server/GameEventBus');
 
 /**
  * Handle new wave when boss is killed.
@@ -24,6 +25,7 @@ function handleNewWave(gameState, io, zombieManager) {
   }
   gameState._waveTransitionInProgress = true;
 
+  const clearedWave = gameState.wave;
   incrementWave(gameState);
   if (gameState.mutatorManager) {
     gameState.mutatorManager.handleWaveChange(gameState.wave);
@@ -31,6 +33,7 @@ function handleNewWave(gameState, io, zombieManager) {
   restartSpawner(zombieManager);
   notifyPlayers(gameState, io);
   rewardSurvivors(gameState);
+  gameState.events?.emit(GAME_EVENTS.WAVE_COMPLETED, { wave: clearedWave });
 
   gameState._waveTransitionInProgress = false;
 }
@@ -78,6 +81,7 @@ function rewardSurvivors(gameState) {
     if (player.alive) {
       player.health = Math.min(player.health + 50, player.maxHealth);
       player.gold += 50;
+      player.goldEarned = (player.goldEarned || 0) + 50;
     }
   }
 }
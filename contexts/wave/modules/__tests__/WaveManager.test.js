@@ -228,3 +228,16 @@ describe('handleNewWave — mutatorManager', () => {
     expect(() => handleNewWave(gs, makeIo(), makeZombieManager())).not.toThrow();
   });
 });
+
+// ---------------------------------------------------------------------------
+// game event bus
+// ---------------------------------------------------------------------------
+
+describe('handleNewWave — events', () => {
+  test('publishes the cleared wave number', () => {
+    const events = { emit: jest.fn() };
+    const gs = makeGameState({ wave: 6, events });
+    handleNewWave(gs, makeIo(), makeZombieManager());
+    expect(events.emit).toHaveBeenCalledWith('waveCompleted', { wave: 6 });
+  });
+});
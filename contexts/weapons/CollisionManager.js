@@ -235,7 +235,7 @@ class CollisionManager {
         if (!options.ignoreInvisible && player.invisible) {
           continue;
         }
-        if (!player.alive) {
+        if (!player.alive || player.downed) {
           continue;
         }
 
@@ -272,7 +272,7 @@ class CollisionManager {
       // BUG FIX: respect options flags instead of hardcoded checks
       const spawnOk = options.ignoreSpawnProtection || !player?.spawnProtection;
       const invisOk = options.ignoreInvisible || !player?.invisible;
-      if (player && player.alive && spawnOk && invisOk) {
+      if (player && player.alive && !player.downed && spawnOk && invisOk) {
         return player;
       }
     }
@@ -8,6 +8,11 @@ const ConfigManager = require('../../../lib/server/ConfigManager');
 const { distance } = require('../../../game/utilityFunctions');
 const { createParticles, createLoot, createExplosion } = require('../../../game/lootFunctions');
 const MathUtils = require('../../../lib/MathUtils');
+const { runStream } = require('../../../lib/runPRNG');
+const { GAME_EVENTS, publishZombieKill, publishPlayerDamage } = require('../../../lib/server/GameEventBus');
+const { recordDamage, recordKill } = require('./WeaponRunStats');
+const { getSynergyModifier } = require('../../../lib/server/SynergyRegistry');
+const { runMutatorHook } = require('../../../lib/server/MutatorRules');
 
 let _deadZombieCounter = 0;
 
@@ -66,12 +71,13 @@ function handleZombieBulletCollisions(
       continue;
     }
 
-    if (Math.random() < (player.dodgeChance || 0)) {
+    if (runStream(gameState, 'combat').chance(player.dodgeChance || 0)) {
       entityManager.destroyBullet(bulletId);
       break;
     }
 
     player.health -= bullet.damage;
+    publishPlayerDamage(gameState, player.id, bullet.damage);
 
     if (player.health <= 0) {
       handlePlayerDeathProgression(player, player.id, gameState, Date.now(), false);
@@ -86,6 +92,7 @@ function handleZombieBulletCollisions(
 /**
  * Handle player bullet collisions with zombies.
  * Applies damage, piercing logic, special effects, and triggers zombie death.
+ * Hits, damage and kills are attributed to the weapon that fired the bullet.
  * @param {Object} bullet
  * @param {string} bulletId
  * @param {Object} gameState
@@ -106,6 +113,8 @@ function handlePlayerBulletCollisions(
   _perfIntegration
 ) {
   const hitZombies = collisionManager.checkBulletZombieCollisions(bullet);
+  // handlePiercing may release the bullet to the pool, which resets it
+  const { playerId: shooterId, weaponId } = bullet;
 
   for (const { id: zombieId, zombie } of hitZombies) {
     // FIX: Check if bullet was destroyed (e.g., by exceeding pierce limit)
@@ -118,10 +127,14 @@ function handlePlayerBulletCollisions(
     }
 
     const finalDamage = calculateFinalDamage(bullet, zombie, entityManager);
+    const landed = !(bullet.piercedZombies && bullet.piercedZombies.length > 0);
+    recordDamage(gameState, shooterId, weaponId, Math.min(finalDamage, Math.max(0, zombie.health)), landed);
     zombie.health -= finalDamage;
+    if (bullet.isCritical && shooterId) {
+      gameState.events?.emit(GAME_EVENTS.CRITICAL_HIT, { playerId: shooterId });
+    }
 
     applyLifeSteal(bullet, gameState, finalDamage);
-    handlePiercing(bullet, bulletId, zombieId, entityManager);
 
     // OPTIMIZATION: BulletEffects already imported at module level
     BulletEffects.handleExplosiveBullet(
@@ -147,6 +160,8 @@ function handlePlayerBulletCollisions(
     createParticles(zombie.x, zombie.y, zombie.color, 5, entityManager);
 
     if (zombie.health <= 0) {
+      recordKill(gameState, shooterId, weaponId);
+      applyKillHeal(gameState, shooterId);
       handleZombieDeath(
         zombie,
         zombieId,
@@ -159,6 +174,10 @@ function handlePlayerBulletCollisions(
       );
     }
 
+    // Last: a bullet that stops here goes back to the pool and is reset, so
+    // the effects and the death handling above must still see it intact
+    handlePiercing(bullet, bulletId, zombieId, entityManager, gameState);
+
     // FIX: Only break if bullet has no piercing or was destroyed
     // Piercing bullets continue to hit multiple zombies in the same frame
     if (!gameState.bullets[bulletId]) {
@@ -201,25 +220,51 @@ function calculateFinalDamage(bullet, zombie, entityManager) {
 }
 
 /**
- * Apply life steal to shooter
+ * Apply life steal to shooter (doubled by the vampire_tank synergy)
  */
 function applyLifeSteal(bullet, gameState, damage) {
   if (bullet.playerId) {
     const shooter = gameState.players[bullet.playerId];
     if (shooter && shooter.lifeSteal > 0) {
-      const lifeStolen = damage * shooter.lifeSteal;
+      const lifeStolen = damage * shooter.lifeSteal * getSynergyModifier(shooter, 'lifeStealMultiplier');
       shooter.health = Math.min(shooter.health + lifeStolen, shooter.maxHealth);
     }
   }
 }
 
 /**
- * Handle piercing bullets
+ * Heal the shooter on a kill (healing_aura synergy)
+ * @param {Object} gameState
+ * @param {string|null} shooterId
  */
-function handlePiercing(bullet, bulletId, zombieId, entityManager) {
-  if (bullet.piercing > 0 && bullet.piercedZombies) {
+function applyKillHeal(gameState, shooterId) {
+  const shooter = shooterId ? gameState.players[shooterId] : null;
+  if (!shooter || !shooter.alive) {
+    return;
+  }
+  const heal = getSynergyModifier(shooter, 'killHeal');
+  if (heal > 0) {
+    shooter.health = Math.min(shooter.health + heal, shooter.maxHealth);
+  }
+}
+
+/**
+ * Handle piercing bullets. Critical bullets pierce further with the
+ * assassins_mark synergy.
+ * @param {Object} bullet
+ * @param {string} bulletId
+ * @param {string} zombieId
+ * @param {Object} entityManager
+ * @param {Object} [gameState] - resolves the shooter's synergies
+ */
+function handlePiercing(bullet, bulletId, zombieId, entityManager, gameState = null) {
+  let piercing = bullet.piercing || 0;
+  if (bullet.isCritical && bullet.playerId && gameState) {
+    piercing += getSynergyModifier(gameState.players[bullet.playerId], 'critPierceBonus');
+  }
+  if (piercing > 0 && bullet.piercedZombies) {
     bullet.piercedZombies.push(zombieId);
-    if (bullet.piercedZombies.length > bullet.piercing) {
+    if (bullet.piercedZombies.length > piercing) {
       entityManager.destroyBullet(bulletId);
     }
   } else {
@@ -249,6 +294,8 @@ function handleZombieDeath(
   _perfIntegration
 ) {
   createParticles(zombie.x, zombie.y, zombie.color, 15, entityManager);
+  publishZombieKill(gameState, bullet.playerId, zombie);
+  runMutatorHook(gameState, 'onZombieDeath', zombie, gameState, entityManager);
 
   if (zombie.type === 'explosive') {
     handleExplosiveZombieDeath(zombie, zombieId, gameState, entityManager);
@@ -398,6 +445,7 @@ function _applyExplosiveZombieDamageToPlayers(zombie, explosiveType, gameState,
     const dist = distance(zombie.x, zombie.y, player.x, player.y);
     if (dist < explosiveType.explosionRadius) {
       player.health -= explosiveType.explosionDamage;
+      publishPlayerDamage(gameState, playerId, explosiveType.explosionDamage);
       createParticles(player.x, player.y, '#ff8800', 10, entityManager);
       if (player.health <= 0) {
         handlePlayerDeathProgression(player, playerId, gameState, Date.now(), false);
@@ -478,6 +526,7 @@ module.exports = {
   // Exported for unit tests
   calculateFinalDamage,
   applyLifeSteal,
+  applyKillHeal,
   handlePiercing,
   saveDeadZombie,
   evictExpiredDeadZombies,
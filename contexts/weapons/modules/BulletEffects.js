@@ -7,9 +7,14 @@
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const MathUtils = require('../../../lib/MathUtils');
 const { createParticles, createExplosion, createLoot } = require('../../../game/lootFunctions');
+const { runStream } = require('../../../lib/runPRNG');
+const { recordDamage, recordKill } = require('./WeaponRunStats');
+const { getSynergyModifier } = require('../../../lib/server/SynergyRegistry');
+const { runMutatorHook } = require('../../../lib/server/MutatorRules');
 
 /**
  * Handle explosive bullet effect: creates explosion visuals and deals AoE damage.
+ * The shooter's explosionRadiusMultiplier (missile_barrage synergy) widens it.
  * @param {Object} bullet - Bullet with explosiveRounds, explosionRadius flags
  * @param {Object} zombie - Primary hit zombie
  * @param {string} zombieId
@@ -24,13 +29,15 @@ function handleExplosiveBullet(bullet, zombie, zombieId, gameState, entityManage
 
   const explosionColor = bullet.isRocket ? '#ff0000' : '#ff8800';
   const particleCount = bullet.isRocket ? 40 : 20;
+  const shooter = bullet.playerId ? gameState.players[bullet.playerId] : null;
+  const radius = bullet.explosionRadius * getSynergyModifier(shooter, 'explosionRadiusMultiplier');
 
-  createExplosion(zombie.x, zombie.y, bullet.explosionRadius, bullet.isRocket, entityManager);
+  createExplosion(zombie.x, zombie.y, radius, bullet.isRocket, entityManager);
   // PERF: batch les particles rocket en un seul appel (40+30+20 = 90 → 1 appel à 90)
   const totalParticles = bullet.isRocket ? particleCount + 50 : particleCount;
   createParticles(zombie.x, zombie.y, explosionColor, totalParticles, entityManager);
 
-  applyExplosionDamage(bullet, zombie, zombieId, gameState, entityManager, collisionManager);
+  applyExplosionDamage(bullet, zombie, zombieId, radius, gameState, entityManager, collisionManager);
 }
 
 /**
@@ -39,8 +46,7 @@ function handleExplosiveBullet(bullet, zombie, zombieId, gameState, entityManage
  * over every zombie. Falls back to the scan when the quadtree isn't available
  * (tests / bootstrap phases).
  */
-function applyExplosionDamage(bullet, zombie, zombieId, gameState, entityManager, collisionManager) {
-  const radius = bullet.explosionRadius;
+function applyExplosionDamage(bullet, zombie, zombieId, radius, gameState, entityManager, collisionManager) {
   const radiusSq = radius * radius;
   const explosionDmg = (bullet.rocketExplosionDamage !== null && bullet.rocketExplosionDamage !== undefined) ?
     bullet.rocketExplosionDamage :
@@ -60,6 +66,7 @@ function applyExplosionDamage(bullet, zombie, zombieId, gameState, entityManager
       if (!other) {
         continue;
       }
+      recordDamage(gameState, bullet.playerId, bullet.weaponId, Math.min(explosionDmg, Math.max(0, other.health)));
       other.health -= explosionDmg;
       createParticles(other.x, other.y, other.color, 8, entityManager);
       if (other.health <= 0) {
@@ -77,6 +84,7 @@ function applyExplosionDamage(bullet, zombie, zombieId, gameState, entityManager
     const other = gameState.zombies[otherId];
     const distSq = MathUtils.distanceSquared(zombie.x, zombie.y, other.x, other.y);
     if (distSq < radiusSq) {
+      recordDamage(gameState, bullet.playerId, bullet.weaponId, Math.min(explosionDmg, Math.max(0, other.health)));
       other.health -= explosionDmg;
       createParticles(other.x, other.y, other.color, 8, entityManager);
       if (other.health <= 0) {
@@ -165,6 +173,7 @@ function processChainJump(bullet, sourceZombie, target, weapon, gameState, entit
   // FIX: Use chainDamage for current chain effect without modifying bullet.damage
   // This preserves original damage for any subsequent piercing hits
   const chainDamage = (bullet.chainDamage || bullet.damage) * weapon.chainDamageReduction;
+  recordDamage(gameState, bullet.playerId, bullet.weaponId, Math.min(chainDamage, Math.max(0, target.zombie.health)));
   target.zombie.health -= chainDamage;
 
   applyChainLifeSteal(bullet, chainDamage, gameState);
@@ -186,7 +195,7 @@ function applyChainLifeSteal(bullet, chainDamage, gameState) {
   if (bullet.playerId) {
     const shooter = gameState.players[bullet.playerId];
     if (shooter && shooter.lifeSteal > 0) {
-      const lifeStolen = chainDamage * shooter.lifeSteal;
+      const lifeStolen = chainDamage * shooter.lifeSteal * getSynergyModifier(shooter, 'lifeStealMultiplier');
       shooter.health = Math.min(shooter.health + lifeStolen, shooter.maxHealth);
     }
   }
@@ -211,6 +220,7 @@ function createChainVisuals(sourceZombie, targetZombie, weapon, entityManager) {
  */
 function handleChainKill(zombie, zombieId, bullet, gameState, entityManager) {
   createParticles(zombie.x, zombie.y, zombie.color, 15, entityManager);
+  recordKill(gameState, bullet.playerId, bullet.weaponId);
 
   if (bullet.playerId) {
     const shooter = gameState.players[bullet.playerId];
@@ -219,9 +229,14 @@ function handleChainKill(zombie, zombieId, bullet, gameState, entityManager) {
       shooter.comboTimer = Date.now();
       shooter.kills = (shooter.kills || 0) + 1;
       shooter.zombiesKilled = (shooter.zombiesKilled || 0) + 1;
+      const heal = getSynergyModifier(shooter, 'killHeal');
+      if (heal > 0 && shooter.alive) {
+        shooter.health = Math.min(shooter.health + heal, shooter.maxHealth);
+      }
     }
   }
 
+  runMutatorHook(gameState, 'onZombieDeath', zombie, gameState, entityManager);
   createLoot(zombie.x, zombie.y, zombie.goldDrop, zombie.xpDrop, gameState);
   delete gameState.zombies[zombieId];
   gameState.collisionManager?.invalidatePathfindingCache(zombieId);
@@ -288,7 +303,7 @@ function applyPoison(zombie, weapon, now, entityManager) {
  * @param {Object} entityManager
  */
 function spreadPoison(zombie, zombieId, weapon, gameState, now, entityManager) {
-  if (Math.random() >= weapon.poisonSpreadChance) {
+  if (!runStream(gameState, 'combat').chance(weapon.poisonSpreadChance)) {
     return;
   }
 
@@ -333,7 +348,7 @@ function handleIceCannon(bullet, zombie, zombieId, gameState, entityManager) {
   const weapon = ConfigManager.WEAPONS.iceCannon;
   const now = Date.now();
 
-  const isFrozen = Math.random() < weapon.freezeChance;
+  const isFrozen = runStream(gameState, 'combat').chance(weapon.freezeChance);
 
   if (isFrozen) {
     freezeZombie(zombie, weapon, now, entityManager);
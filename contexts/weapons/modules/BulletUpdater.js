@@ -6,11 +6,15 @@
  * - Added deltaTime-based movement for consistent speed regardless of frame rate
  * - Added swept collision detection to prevent fast bullets from tunneling through targets
  * - Added sub-step collision for high-speed projectiles (sniper, laser)
+ *
+ * Wall hits go through the run mutator rules first (onBulletWallHit), which
+ * may bounce the bullet instead of destroying it.
  */
 
 const ConfigManager = require('../../../lib/server/ConfigManager');
 
 const { createParticles } = require('../../../game/lootFunctions');
+const { runMutatorHook } = require('../../../lib/server/MutatorRules');
 
 const { CONFIG } = ConfigManager;
 
@@ -142,22 +146,14 @@ function updateBulletPositionWithCollision(
 
   // For slow bullets or very small movements, use simple position update
   if (totalDistance <= MAX_SUBSTEP_DISTANCE) {
+    const prevX = bullet.x;
+    const prevY = bullet.y;
     bullet.x += totalVx;
     bullet.y += totalVy;
 
     // Check wall collision before entity collision (same logic as substep path)
-    const shouldCheckWalls = !bullet.ignoresWalls;
-    if (
-      bullet.x < 0 ||
-      bullet.x > CONFIG.ROOM_WIDTH ||
-      bullet.y < 0 ||
-      bullet.y > CONFIG.ROOM_HEIGHT ||
-      (shouldCheckWalls &&
-        roomManager &&
-        roomManager.checkWallCollision(bullet.x, bullet.y, CONFIG.BULLET_SIZE))
-    ) {
-      entityManager.destroyBullet(bulletId);
-      return true;
+    if (isBlockedAt(bullet, bullet.x, bullet.y, roomManager)) {
+      return handleWallHit(bullet, bulletId, prevX, prevY, roomManager, gameState, entityManager);
     }
 
     // Check collision at final position
@@ -181,22 +177,14 @@ function updateBulletPositionWithCollision(
 
   // Move in substeps, checking collision at each step
   for (let step = 0; step < numSubsteps; step++) {
+    const prevX = bullet.x;
+    const prevY = bullet.y;
     bullet.x += substepVx;
     bullet.y += substepVy;
 
-    // Check wall collision at intermediate position
-    const shouldCheckWalls = !bullet.ignoresWalls;
-    if (
-      bullet.x < 0 ||
-      bullet.x > CONFIG.ROOM_WIDTH ||
-      bullet.y < 0 ||
-      bullet.y > CONFIG.ROOM_HEIGHT ||
-      (shouldCheckWalls &&
-        roomManager &&
-        roomManager.checkWallCollision(bullet.x, bullet.y, CONFIG.BULLET_SIZE))
-    ) {
-      entityManager.destroyBullet(bulletId);
-      return true;
+    // Check wall collision at intermediate position; a bounce ends this frame's move
+    if (isBlockedAt(bullet, bullet.x, bullet.y, roomManager)) {
+      return handleWallHit(bullet, bulletId, prevX, prevY, roomManager, gameState, entityManager);
     }
 
     // Check entity collision at intermediate position
@@ -219,6 +207,36 @@ function updateBulletPositionWithCollision(
   return false;
 }
 
+/**
+ * Whether (x, y) is out of the room or, unless the bullet ignores walls, in a wall
+ * @returns {boolean}
+ */
+function isBlockedAt(bullet, x, y, roomManager) {
+  return (
+    x < 0 ||
+    x > CONFIG.ROOM_WIDTH ||
+    y < 0 ||
+    y > CONFIG.ROOM_HEIGHT ||
+    Boolean(!bullet.ignoresWalls && roomManager && roomManager.checkWallCollision(x, y, CONFIG.BULLET_SIZE))
+  );
+}
+
+/**
+ * Bullet moved from (prevX, prevY) into a wall: let the mutator rules bounce
+ * it (ricochet), otherwise destroy it
+ * @returns {boolean} True if bullet was destroyed
+ */
+function handleWallHit(bullet, bulletId, prevX, prevY, roomManager, gameState, entityManager) {
+  const bounced = runMutatorHook(gameState, 'onBulletWallHit', bullet, prevX, prevY, (x, y) =>
+    isBlockedAt(bullet, x, y, roomManager)
+  );
+  if (bounced) {
+    return false;
+  }
+  entityManager.destroyBullet(bulletId);
+  return true;
+}
+
 /**
  * Check bullet collision at current position
  * @returns {boolean} True if bullet was destroyed
@@ -265,20 +283,7 @@ function shouldDestroyBullet(bullet, now, roomManager) {
     return true;
   }
 
-  const shouldCheckWalls = !bullet.ignoresWalls;
-  if (
-    bullet.x < 0 ||
-    bullet.x > CONFIG.ROOM_WIDTH ||
-    bullet.y < 0 ||
-    bullet.y > CONFIG.ROOM_HEIGHT ||
-    (shouldCheckWalls &&
-      roomManager &&
-      roomManager.checkWallCollision(bullet.x, bullet.y, CONFIG.BULLET_SIZE))
-  ) {
-    return true;
-  }
-
-  return false;
+  return isBlockedAt(bullet, bullet.x, bullet.y, roomManager);
 }
 
 /**
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Server-side weapon inventory
+ * @description Each player carries up to WEAPON_INVENTORY_CONFIG.maxSlots weapons
+ *   (`player.weapons`, slot 0 is always the pistol). A slot holds the magazine
+ *   (`ammo`) and the spare rounds (`reserve`, null = infinite); magazine size,
+ *   reserve on pickup and reload time come from WeaponConfig. `player.weapon`
+ *   stays the id of the equipped weapon so the rest of the game reads it as before.
+ *
+ *   Every mutation bumps `player.inventoryVersion`; syncInventory() pushes the
+ *   owner's inventory once per change from the player update tick.
+ */
+
+const { WEAPONS } = require('../../../lib/server/config/WeaponConfig');
+const { WEAPON_INVENTORY_CONFIG } = require('../../../config/constants');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+
+const DEFAULT_WEAPON = 'pistol';
+
+/** Passive weapons (teslaCoil) have no magazine. */
+function usesAmmo(weapon) {
+  return Boolean(weapon) && typeof weapon.magazineSize === 'number';
+}
+
+function createSlot(weaponId) {
+  const weapon = WEAPONS[weaponId];
+  return {
+    id: weaponId,
+    ammo: usesAmmo(weapon) ? weapon.magazineSize : null,
+    reserve: usesAmmo(weapon) ? weapon.reserveAmmo : null
+  };
+}
+
+/** @returns {Array<Object>} a fresh pistol-only inventory */
+function createInventory() {
+  return [createSlot(DEFAULT_WEAPON)];
+}
+
+function markDirty(player) {
+  player.inventoryVersion = (player.inventoryVersion || 0) + 1;
+}
+
+/**
+ * Reset the player to a fresh pistol-only inventory (spawn, respawn).
+ * @param {Object} player
+ */
+function resetInventory(player) {
+  player.weapons = createInventory();
+  player.weapon = DEFAULT_WEAPON;
+  player.reloadingUntil = 0;
+  player.weaponReadyAt = 0;
+  markDirty(player);
+}
+
+/**
+ * Players created before the inventory existed (recovered sessions, fixtures)
+ * get one built from their current weapon.
+ * @param {Object} player
+ * @returns {Array<Object>} player.weapons
+ */
+function ensureInventory(player) {
+  if (!Array.isArray(player.weapons)) {
+    player.weapons = createInventory();
+    if (player.weapon && player.weapon !== DEFAULT_WEAPON && WEAPONS[player.weapon]) {
+      player.weapons.push(createSlot(player.weapon));
+    } else {
+      player.weapon = DEFAULT_WEAPON;
+    }
+    markDirty(player);
+  }
+  return player.weapons;
+}
+
+function getSlot(player, weaponId) {
+  return ensureInventory(player).find(slot => slot.id === weaponId) || null;
+}
+
+function equip(player, weaponId, now) {
+  player.weapon = weaponId;
+  player.reloadingUntil = 0;
+  player.weaponReadyAt = now + WEAPON_INVENTORY_CONFIG.switchDelayMs;
+  markDirty(player);
+}
+
+/**
+ * Pick up a weapon (powerup, shop) and equip it. An owned weapon is restocked;
+ * with every slot taken, the equipped weapon is dropped — or the last slot
+ * when the pistol is in hand, the pistol is never dropped.
+ * @param {Object} player
+ * @param {string} weaponId
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} false for an unknown weapon
+ */
+function addWeapon(player, weaponId, now = Date.now()) {
+  const weapon = WEAPONS[weaponId];
+  if (!weapon) {
+    return false;
+  }
+  const slots = ensureInventory(player);
+  const owned = getSlot(player, weaponId);
+
+  if (owned) {
+    if (usesAmmo(weapon) && owned.reserve !== null) {
+      owned.reserve = Math.max(owned.reserve, weapon.reserveAmmo);
+    }
+  } else if (slots.length < WEAPON_INVENTORY_CONFIG.maxSlots) {
+    slots.push(createSlot(weaponId));
+  } else {
+    const activeIndex = slots.findIndex(slot => slot.id === player.weapon);
+    const replaceIndex = activeIndex > 0 ? activeIndex : slots.length - 1;
+    slots[replaceIndex] = createSlot(weaponId);
+  }
+
+  equip(player, weaponId, now);
+  return true;
+}
+
+/**
+ * Equip an owned weapon. Cancels a reload in progress.
+ * @param {Object} player
+ * @param {string} weaponId
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} false if not owned or already equipped
+ */
+function switchWeapon(player, weaponId, now = Date.now()) {
+  if (player.weapon === weaponId || !getSlot(player, weaponId)) {
+    return false;
+  }
+  equip(player, weaponId, now);
+  return true;
+}
+
+/**
+ * Start reloading the equipped weapon.
+ * @param {Object} player
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} false if already reloading, full, out of reserve or passive
+ */
+function startReload(player, now = Date.now()) {
+  const weapon = WEAPONS[player.weapon];
+  const slot = getSlot(player, player.weapon);
+  if (!slot || !usesAmmo(weapon) || player.reloadingUntil > 0) {
+    return false;
+  }
+  if (slot.ammo >= weapon.magazineSize || slot.reserve === 0) {
+    return false;
+  }
+  player.reloadingUntil = now + weapon.reloadTime;
+  markDirty(player);
+  return true;
+}
+
+/**
+ * Complete a due reload: move rounds from the reserve into the magazine.
+ * @param {Object} player
+ * @param {number} now
+ * @returns {boolean} true when a reload completed this call
+ */
+function updateReload(player, now) {
+  if (!player.reloadingUntil || now < player.reloadingUntil) {
+    return false;
+  }
+  player.reloadingUntil = 0;
+  const weapon = WEAPONS[player.weapon];
+  const slot = getSlot(player, player.weapon);
+  if (slot && usesAmmo(weapon)) {
+    const missing = weapon.magazineSize - slot.ammo;
+    const loaded = slot.reserve === null ? missing : Math.min(missing, slot.reserve);
+    slot.ammo += loaded;
+    if (slot.reserve !== null) {
+      slot.reserve -= loaded;
+    }
+  }
+  markDirty(player);
+  return true;
+}
+
+/**
+ * Spend one round of the equipped weapon for a shot. An empty magazine
+ * starts the reload automatically.
+ * @param {Object} player
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} false if the shot must be refused (switching, reloading, empty)
+ */
+function consumeShot(player, now = Date.now()) {
+  if (player.weaponReadyAt && now < player.weaponReadyAt) {
+    return false;
+  }
+  const weapon = WEAPONS[player.weapon];
+  const slot = getSlot(player, player.weapon);
+  if (!slot || !usesAmmo(weapon)) {
+    return Boolean(slot);
+  }
+  if (player.reloadingUntil > 0) {
+    return false;
+  }
+  if (slot.ammo <= 0) {
+    startReload(player, now);
+    return false;
+  }
+  slot.ammo--;
+  markDirty(player);
+  if (slot.ammo === 0) {
+    startReload(player, now);
+  }
+  return true;
+}
+
+/**
+ * Client view of the inventory (weaponInventory event).
+ * @param {Object} player
+ * @returns {{current: string, reloadingUntil: number, slots: Array<Object>}}
+ */
+function getInventoryState(player) {
+  return {
+    current: player.weapon,
+    reloadingUntil: player.reloadingUntil || 0,
+    slots: ensureInventory(player).map(slot => ({
+      id: slot.id,
+      name: WEAPONS[slot.id]?.name || slot.id,
+      ammo: slot.ammo,
+      magazineSize: WEAPONS[slot.id]?.magazineSize ?? null,
+      reserve: slot.reserve
+    }))
+  };
+}
+
+/**
+ * Push the inventory to its owner when it changed since the last push.
+ * @param {Object} player
+ * @param {Object} io
+ * @param {string} playerId - socket id
+ */
+function syncInventory(player, io, playerId) {
+  ensureInventory(player);
+  if (player.inventoryVersion === undefined) {
+    markDirty(player);
+  }
+  if (player._inventorySentVersion === player.inventoryVersion) {
+    return;
+  }
+  player._inventorySentVersion = player.inventoryVersion;
+  io.to(playerId).emit(SOCKET_EVENTS.SERVER.WEAPON_INVENTORY, getInventoryState(player));
+}
+
+module.exports = {
+  createInventory,
+  resetInventory,
+  ensureInventory,
+  addWeapon,
+  switchWeapon,
+  startReload,
+  updateReload,
+  consumeShot,
+  getInventoryState,
+  syncInventory
+};
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Per-weapon stats of the current run
+ * @description `player.weaponRunStats` counts, for each weapon the player
+ *   fired this run, the bullets fired (shoot.js), the bullets that landed,
+ *   the damage dealt and the kills (BulletCollisionHandler, BulletEffects for
+ *   splash and chain damage). Bullets carry the id of the weapon that fired
+ *   them (`bullet.weaponId`); turret bullets have none and are not counted.
+ *
+ *   At run end DeathProgressionHandler puts snapshotWeaponRunStats() into the
+ *   session stats, and RunRewardService flushes it to `weapon_stats` once.
+ */
+
+const { WEAPON_STATS_CONFIG } = require('../../../config/constants');
+
+function _entry(player, weaponId) {
+  if (!player.weaponRunStats) {
+    player.weaponRunStats = {};
+  }
+  let entry = player.weaponRunStats[weaponId];
+  if (!entry) {
+    entry = { shotsFired: 0, shotsHit: 0, kills: 0, damageDealt: 0, activeTime: 0, lastShotAt: 0 };
+    player.weaponRunStats[weaponId] = entry;
+  }
+  return entry;
+}
+
+function _shooterEntry(gameState, playerId, weaponId) {
+  if (!weaponId || !playerId) {
+    return null;
+  }
+  const shooter = gameState.players[playerId];
+  return shooter ? _entry(shooter, weaponId) : null;
+}
+
+/**
+ * Count a shot. Firing time grows by the gap since the weapon's previous shot,
+ * capped at WEAPON_STATS_CONFIG.activeGapMs; the first shot counts one fire
+ * interval.
+ * @param {Object} player
+ * @param {string} weaponId
+ * @param {number} bullets - bullets spawned by the shot
+ * @param {number} now
+ * @param {number} fireRate - effective ms between two shots
+ */
+function recordShot(player, weaponId, bullets, now, fireRate) {
+  const entry = _entry(player, weaponId);
+  entry.shotsFired += bullets;
+  entry.activeTime += entry.lastShotAt
+    ? Math.min(Math.max(0, now - entry.lastShotAt), WEAPON_STATS_CONFIG.activeGapMs)
+    : Math.min(fireRate, WEAPON_STATS_CONFIG.activeGapMs);
+  entry.lastShotAt = now;
+}
+
+/**
+ * Attribute damage to the weapon that fired a bullet. Takes the ids rather
+ * than the bullet: a destroyed bullet goes back to the pool and is reset.
+ * @param {Object} gameState
+ * @param {string|null} playerId - bullet.playerId (shooter socket id)
+ * @param {string|null} weaponId - bullet.weaponId
+ * @param {number} damage - damage actually taken (overkill excluded)
+ * @param {boolean} [landed=false] - first zombie this bullet hits
+ */
+function recordDamage(gameState, playerId, weaponId, damage, landed = false) {
+  const entry = _shooterEntry(gameState, playerId, weaponId);
+  if (!entry) {
+    return;
+  }
+  entry.damageDealt += Math.max(0, damage);
+  if (landed) {
+    entry.shotsHit++;
+  }
+}
+
+/**
+ * Attribute a kill to the weapon that fired a bullet.
+ * @param {Object} gameState
+ * @param {string|null} playerId
+ * @param {string|null} weaponId
+ */
+function recordKill(gameState, playerId, weaponId) {
+  const entry = _shooterEntry(gameState, playerId, weaponId);
+  if (entry) {
+    entry.kills++;
+  }
+}
+
+/**
+ * Run totals ready for WeaponStatsService.recordRun (integers, weapons that fired).
+ * @param {Object} player
+ * @returns {Array<{weaponId: string, shotsFired: number, shotsHit: number, kills: number,
+ *   damageDealt: number, activeTime: number}>}
+ */
+function snapshotWeaponRunStats(player) {
+  const totals = [];
+  for (const weaponId in player.weaponRunStats || {}) {
+    const entry = player.weaponRunStats[weaponId];
+    if (entry.shotsFired === 0) {
+      continue;
+    }
+    totals.push({
+      weaponId,
+      shotsFired: entry.shotsFired,
+      shotsHit: Math.min(entry.shotsHit, entry.shotsFired),
+      kills: entry.kills,
+      damageDealt: Math.round(entry.damageDealt),
+      activeTime: Math.round(entry.activeTime)
+    });
+  }
+  return totals;
+}
+
+module.exports = { recordShot, recordDamage, recordKill, snapshotWeaponRunStats };
@@ -1,6 +1,7 @@
 /**
  * Unit tests for contexts/weapons/modules/BulletCollisionHandler.js
- * Focus: damage math, life-steal, piercing, dead-zombie TTL, combo loot bonus.
+ * Focus: damage math, life-steal, piercing, dead-zombie TTL, combo loot bonus,
+ * synergy modifiers.
  */
 
 jest.mock('../../../../lib/server/ConfigManager', () => ({
@@ -59,6 +60,7 @@ const {
   handlePlayerBulletCollisions,
   calculateFinalDamage,
   applyLifeSteal,
+  applyKillHeal,
   handlePiercing,
   saveDeadZombie,
   evictExpiredDeadZombies,
@@ -68,6 +70,7 @@ const {
 } = require('../BulletCollisionHandler');
 
 const { updatePlayerCombo } = require('../../../player/modules/PlayerProgression');
+const BulletEffects = require('../BulletEffects');
 
 describe('calculateFinalDamage', () => {
   test('baseline returns bullet damage', () => {
@@ -132,6 +135,26 @@ describe('applyLifeSteal', () => {
   });
 });
 
+describe('applyLifeSteal / applyKillHeal with synergies', () => {
+  test('vampire_tank doubles the life stolen', () => {
+    const shooter = { health: 10, maxHealth: 100, lifeSteal: 0.1, synergyEffects: { lifeStealMultiplier: 2 } };
+    applyLifeSteal({ playerId: 'p1' }, { players: { p1: shooter } }, 100);
+    expect(shooter.health).toBe(30);
+  });
+
+  test('healing_aura heals the living shooter on a kill, capped at max health', () => {
+    const shooter = { alive: true, health: 97, maxHealth: 100, synergyEffects: { killHeal: 5 } };
+    applyKillHeal({ players: { p1: shooter } }, 'p1');
+    expect(shooter.health).toBe(100);
+  });
+
+  test('no kill heal without the synergy', () => {
+    const shooter = { alive: true, health: 50, maxHealth: 100 };
+    applyKillHeal({ players: { p1: shooter } }, 'p1');
+    expect(shooter.health).toBe(50);
+  });
+});
+
 describe('handlePiercing', () => {
   test('destroys non-piercing bullet', () => {
     const bullet = { piercing: 0 };
@@ -154,6 +177,24 @@ describe('handlePiercing', () => {
     handlePiercing(bullet, 'b1', 'c', em);
     expect(em.destroyBullet).toHaveBeenCalledWith('b1');
   });
+
+  test('assassins_mark: a critical bullet pierces 3 more zombies', () => {
+    const gameState = { players: { p1: { synergyEffects: { critPierceBonus: 3 } } } };
+    const bullet = { piercing: 1, isCritical: true, playerId: 'p1', piercedZombies: ['a', 'b', 'c'] };
+    const em = { destroyBullet: jest.fn() };
+    handlePiercing(bullet, 'b1', 'd', em, gameState);
+    expect(em.destroyBullet).not.toHaveBeenCalled();
+    handlePiercing(bullet, 'b1', 'e', em, gameState);
+    expect(em.destroyBullet).toHaveBeenCalledWith('b1');
+  });
+
+  test('the crit pierce bonus ignores normal hits', () => {
+    const gameState = { players: { p1: { synergyEffects: { critPierceBonus: 3 } } } };
+    const bullet = { piercing: 1, isCritical: false, playerId: 'p1', piercedZombies: ['a'] };
+    const em = { destroyBullet: jest.fn() };
+    handlePiercing(bullet, 'b1', 'b', em, gameState);
+    expect(em.destroyBullet).toHaveBeenCalledWith('b1');
+  });
 });
 
 describe('evictExpiredDeadZombies', () => {
@@ -291,6 +332,99 @@ describe('handlePlayerBulletCollisions integration', () => {
     handlePlayerBulletCollisions(bullet, 'b1', gameState, {}, cm, { destroyBullet: jest.fn() }, {});
     expect(zombie.health).toBe(100);
   });
+
+  test('a lethal hit publishes the kill for the shooter', () => {
+    const bullet = {
+      damage: 50, piercing: 0, piercedZombies: [], playerId: 'p1',
+      vx: 1, vy: 0
+    };
+    const zombie = { id: 'z1', type: 'fast', health: 40, x: 0, y: 0, color: '#f00' };
+    const events = { emit: jest.fn() };
+    const gameState = {
+      bullets: { b1: bullet }, zombies: { z1: zombie }, players: {}, wave: 2, zombiesKilledThisWave: 0, events
+    };
+    const cm = { checkBulletZombieCollisions: () => [{ id: 'z1', zombie }] };
+    handlePlayerBulletCollisions(bullet, 'b1', gameState, {}, cm, { destroyBullet: jest.fn() }, {});
+    expect(gameState.zombies.z1).toBeUndefined();
+    expect(events.emit).toHaveBeenCalledWith('zombieKilled', { playerId: 'p1', zombieType: 'fast', isBoss: false, wave: 2 });
+  });
+
+  test('a critical hit is published for the shooter', () => {
+    const bullet = {
+      damage: 50, piercing: 0, piercedZombies: [], playerId: 'p1', isCritical: true,
+      vx: 1, vy: 0
+    };
+    const zombie = { id: 'z1', type: 'fast', health: 100, x: 0, y: 0, color: '#f00' };
+    const events = { emit: jest.fn() };
+    const gameState = { bullets: { b1: bullet }, zombies: { z1: zombie }, players: {}, events };
+    const cm = { checkBulletZombieCollisions: () => [{ id: 'z1', zombie }] };
+    handlePlayerBulletCollisions(bullet, 'b1', gameState, {}, cm, { destroyBullet: jest.fn() }, {});
+    expect(events.emit).toHaveBeenCalledWith('criticalHit', { playerId: 'p1' });
+  });
+
+  test('attributes the hit, damage and kill to the weapon, even once the bullet is released', () => {
+    const bullet = {
+      damage: 50, piercing: 0, piercedZombies: [], playerId: 'p1', weaponId: 'shotgun',
+      vx: 1, vy: 0
+    };
+    const zombie = { id: 'z1', type: 'fast', health: 40, x: 0, y: 0, color: '#f00' };
+    const shooter = { weaponRunStats: {} };
+    const gameState = {
+      bullets: { b1: bullet }, zombies: { z1: zombie }, players: { p1: shooter }, wave: 2, zombiesKilledThisWave: 0
+    };
+    const cm = { checkBulletZombieCollisions: () => [{ id: 'z1', zombie }] };
+    // Pool release resets the bullet
+    const em = {
+      destroyBullet: jest.fn(() => {
+        delete gameState.bullets.b1;
+        bullet.playerId = null;
+        bullet.weaponId = null;
+      })
+    };
+    handlePlayerBulletCollisions(bullet, 'b1', gameState, {}, cm, em, {});
+    expect(shooter.weaponRunStats.shotgun).toMatchObject({ shotsHit: 1, damageDealt: 40, kills: 1 });
+  });
+
+  test('effects and death handling run before a stopped bullet is released', () => {
+    const bullet = {
+      damage: 50, piercing: 0, piercedZombies: [], playerId: 'p1', explosiveRounds: 1, explosionRadius: 80,
+      vx: 1, vy: 0
+    };
+    const zombie = { id: 'z1', type: 'fast', health: 40, x: 0, y: 0, color: '#f00' };
+    const events = { emit: jest.fn() };
+    const gameState = {
+      bullets: { b1: bullet }, zombies: { z1: zombie }, players: {}, wave: 2, zombiesKilledThisWave: 0, events
+    };
+    const cm = { checkBulletZombieCollisions: () => [{ id: 'z1', zombie }] };
+    const seen = [];
+    BulletEffects.handleExplosiveBullet.mockImplementationOnce(b => seen.push(b.explosiveRounds));
+    // Pool release resets the bullet
+    const em = {
+      destroyBullet: jest.fn(() => {
+        delete gameState.bullets.b1;
+        bullet.playerId = null;
+        bullet.explosiveRounds = false;
+      })
+    };
+    handlePlayerBulletCollisions(bullet, 'b1', gameState, {}, cm, em, {});
+    expect(seen).toEqual([1]);
+    expect(events.emit).toHaveBeenCalledWith('zombieKilled', expect.objectContaining({ playerId: 'p1' }));
+    expect(em.destroyBullet).toHaveBeenCalledWith('b1');
+  });
+
+  test('a piercing bullet counts as one hit however many zombies it crosses', () => {
+    const bullet = {
+      damage: 10, piercing: 5, piercedZombies: [], playerId: 'p1', weaponId: 'sniper',
+      vx: 1, vy: 0
+    };
+    const z1 = { type: 'normal', health: 100, x: 0, y: 0, color: '#f00' };
+    const z2 = { type: 'normal', health: 100, x: 5, y: 0, color: '#f00' };
+    const shooter = {};
+    const gameState = { bullets: { b1: bullet }, zombies: { z1, z2 }, players: { p1: shooter } };
+    const cm = { checkBulletZombieCollisions: () => [{ id: 'z1', zombie: z1 }, { id: 'z2', zombie: z2 }] };
+    handlePlayerBulletCollisions(bullet, 'b1', gameState, {}, cm, { destroyBullet: jest.fn() }, {});
+    expect(shooter.weaponRunStats.sniper).toMatchObject({ shotsHit: 1, damageDealt: 20, kills: 0 });
+  });
 });
 
 // REGRESSION (audit round 2): explosive zombie death must use quadtree broad-phase
@@ -1,6 +1,7 @@
 /**
  * Unit tests for contexts/weapons/modules/BulletEffects.js
- * Focus: explosive, chain lightning, poison dart, ice cannon side effects.
+ * Focus: explosive, chain lightning, poison dart, ice cannon side effects,
+ * synergy modifiers on explosions and chain kills.
  */
 
 jest.mock('../../../../lib/server/ConfigManager', () => ({
@@ -110,6 +111,39 @@ describe('handleExplosiveBullet', () => {
     expect(shooter.combo).toBe(1);
     expect(gameState.zombiesKilledThisWave).toBe(1);
   });
+
+  test('missile_barrage widens the shooter explosions by 50%', () => {
+    const { createExplosion } = require('../../../../game/lootFunctions');
+    const bullet = {
+      explosiveRounds: true, explosionRadius: 100,
+      damage: 50, explosionDamagePercent: 0.5,
+      rocketExplosionDamage: null, playerId: 'p1'
+    };
+    const edge = { x: 130, y: 0, color: '#f00', health: 100 };
+    const gameState = {
+      zombies: { z1: { x: 0, y: 0 }, z2: edge },
+      players: { p1: { synergyEffects: { explosionRadiusMultiplier: 1.5 } } }
+    };
+    handleExplosiveBullet(bullet, { x: 0, y: 0 }, 'z1', gameState, {});
+    expect(createExplosion).toHaveBeenLastCalledWith(0, 0, 150, undefined, {});
+    expect(edge.health).toBe(75);
+  });
+
+  test('healing_aura heals the shooter on an explosion kill', () => {
+    const bullet = {
+      explosiveRounds: true, explosionRadius: 100,
+      damage: 200, explosionDamagePercent: 1.0,
+      rocketExplosionDamage: null, playerId: 'p1'
+    };
+    const shooter = { alive: true, health: 50, maxHealth: 100, synergyEffects: { killHeal: 5 } };
+    const gameState = {
+      zombies: { z1: { x: 0, y: 0 }, z2: { x: 20, y: 0, color: '#f00', health: 10 } },
+      players: { p1: shooter },
+      zombiesKilledThisWave: 0
+    };
+    handleExplosiveBullet(bullet, { x: 0, y: 0 }, 'z1', gameState, {});
+    expect(shooter.health).toBe(55);
+  });
 });
 
 describe('handleChainLightning', () => {
@@ -119,4 +119,45 @@ describe('updateBullets integration', () => {
     updateBullets(gameState, 17.67, {}, {}, entityManager, {}, {});
     expect(entityManager.destroyBullet).toHaveBeenCalledWith('b1');
   });
+
+  test('the ricochet mutator bounces a player bullet off the room edge, twice', () => {
+    const RunMutatorManager = require('../../../../lib/server/RunMutatorManager');
+    const bullet = {
+      x: 990, y: 500, vx: 12, vy: 0,
+      createdAt: 1, lastUpdateTime: 1
+    };
+    const gameState = { wave: 1, bullets: { b1: bullet }, roomManager: null };
+    gameState.mutatorManager = new RunMutatorManager(gameState, null);
+    gameState.mutatorManager.restore({ activeMutatorIds: ['ricochet'] });
+    const entityManager = { destroyBullet: jest.fn() };
+
+    updateBullets(gameState, 17.67, {}, {}, entityManager, {}, {});
+
+    expect(entityManager.destroyBullet).not.toHaveBeenCalled();
+    expect(bullet).toMatchObject({ x: 990, y: 500, vx: -12, vy: 0, ricochets: 1 });
+
+    bullet.x = 10;
+    updateBullets(gameState, 34.34, {}, {}, entityManager, {}, {});
+    expect(bullet).toMatchObject({ x: 10, vx: 12, ricochets: 2 });
+
+    bullet.x = 990;
+    updateBullets(gameState, 51.01, {}, {}, entityManager, {}, {});
+    expect(entityManager.destroyBullet).toHaveBeenCalledWith('b1');
+  });
+
+  test('zombie bullets never ricochet', () => {
+    const RunMutatorManager = require('../../../../lib/server/RunMutatorManager');
+    const bullet = {
+      x: 990, y: 500, vx: 12, vy: 0, isZombieBullet: true,
+      createdAt: 1, lastUpdateTime: 1
+    };
+    const gameState = { wave: 1, bullets: { b1: bullet }, roomManager: null };
+    gameState.mutatorManager = new RunMutatorManager(gameState, null);
+    gameState.mutatorManager.restore({ activeMutatorIds: ['ricochet'] });
+    const entityManager = { destroyBullet: jest.fn() };
+
+    updateBullets(gameState, 17.67, {}, {}, entityManager, {}, {});
+
+    expect(entityManager.destroyBullet).toHaveBeenCalledWith('b1');
+  });
 });
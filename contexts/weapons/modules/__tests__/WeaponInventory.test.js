@@ -0,0 +1,158 @@
+/**
+ * Unit tests for contexts/weapons/modules/WeaponInventory.js
+ * Focus: pickup/slot replacement, switch, ammo consumption, reload, sync.
+ */
+
+const {
+  createInventory,
+  resetInventory,
+  ensureInventory,
+  addWeapon,
+  switchWeapon,
+  startReload,
+  updateReload,
+  consumeShot,
+  syncInventory
+} = require('../WeaponInventory');
+const { WEAPONS } = require('../../../../lib/server/config/WeaponConfig');
+const { WEAPON_INVENTORY_CONFIG } = require('../../../../config/constants');
+
+function makePlayer() {
+  return { weapon: 'pistol', weapons: createInventory(), reloadingUntil: 0, weaponReadyAt: 0 };
+}
+
+describe('addWeapon', () => {
+  test('adds a loaded slot and equips it', () => {
+    const player = makePlayer();
+    expect(addWeapon(player, 'shotgun', 1000)).toBe(true);
+    expect(player.weapon).toBe('shotgun');
+    expect(player.weapons[1]).toEqual({ id: 'shotgun', ammo: WEAPONS.shotgun.magazineSize, reserve: WEAPONS.shotgun.reserveAmmo });
+    expect(player.weaponReadyAt).toBe(1000 + WEAPON_INVENTORY_CONFIG.switchDelayMs);
+  });
+
+  test('restocks the reserve of an owned weapon', () => {
+    const player = makePlayer();
+    addWeapon(player, 'rifle', 0);
+    player.weapons[1].reserve = 3;
+    addWeapon(player, 'rifle', 0);
+    expect(player.weapons).toHaveLength(2);
+    expect(player.weapons[1].reserve).toBe(WEAPONS.rifle.reserveAmmo);
+  });
+
+  test('replaces the equipped weapon when full, never the pistol', () => {
+    const player = makePlayer();
+    ['shotgun', 'rifle', 'sniper'].forEach(id => addWeapon(player, id, 0));
+    expect(player.weapons).toHaveLength(WEAPON_INVENTORY_CONFIG.maxSlots);
+
+    addWeapon(player, 'laser', 0); // sniper in hand
+    expect(player.weapons.map(s => s.id)).toEqual(['pistol', 'shotgun', 'rifle', 'laser']);
+
+    switchWeapon(player, 'pistol', 0);
+    addWeapon(player, 'minigun', 0);
+    expect(player.weapons.map(s => s.id)).toEqual(['pistol', 'shotgun', 'rifle', 'minigun']);
+  });
+
+  test('rejects unknown weapons', () => {
+    const player = makePlayer();
+    expect(addWeapon(player, 'bfg9000', 0)).toBe(false);
+    expect(player.weapons).toHaveLength(1);
+  });
+});
+
+describe('switchWeapon', () => {
+  test('only equips owned weapons and cancels a reload', () => {
+    const player = makePlayer();
+    expect(switchWeapon(player, 'rifle', 0)).toBe(false);
+
+    addWeapon(player, 'rifle', 0);
+    player.reloadingUntil = 5000;
+    expect(switchWeapon(player, 'pistol', 100)).toBe(true);
+    expect(player.weapon).toBe('pistol');
+    expect(player.reloadingUntil).toBe(0);
+  });
+});
+
+describe('consumeShot and reload', () => {
+  test('refuses shots during the switch delay', () => {
+    const player = makePlayer();
+    addWeapon(player, 'rifle', 1000);
+    expect(consumeShot(player, 1001)).toBe(false);
+    expect(consumeShot(player, 1000 + WEAPON_INVENTORY_CONFIG.switchDelayMs)).toBe(true);
+    expect(player.weapons[1].ammo).toBe(WEAPONS.rifle.magazineSize - 1);
+  });
+
+  test('the last round starts the reload, which refills from the reserve', () => {
+    const player = makePlayer();
+    addWeapon(player, 'sniper', 0);
+    player.weapons[1].ammo = 1;
+    player.weapons[1].reserve = 3;
+
+    expect(consumeShot(player, 1000)).toBe(true);
+    expect(player.reloadingUntil).toBe(1000 + WEAPONS.sniper.reloadTime);
+    expect(consumeShot(player, 1100)).toBe(false);
+
+    expect(updateReload(player, 1000 + WEAPONS.sniper.reloadTime)).toBe(true);
+    expect(player.weapons[1]).toEqual({ id: 'sniper', ammo: 3, reserve: 0 });
+    expect(startReload(player, 9000)).toBe(false); // reserve empty
+  });
+
+  test('cannot reload a full magazine or without reserve', () => {
+    const player = makePlayer();
+    expect(startReload(player, 0)).toBe(false); // pistol full
+    addWeapon(player, 'launcher', 0);
+    player.weapons[1].ammo = 0;
+    player.weapons[1].reserve = 0;
+    expect(startReload(player, 0)).toBe(false);
+    expect(consumeShot(player, 1000)).toBe(false);
+  });
+
+  test('the pistol reserve is infinite and passive weapons use no ammo', () => {
+    const player = makePlayer();
+    player.weapons[0].ammo = 0;
+    expect(startReload(player, 0)).toBe(true);
+    updateReload(player, WEAPONS.pistol.reloadTime);
+    expect(player.weapons[0]).toEqual({ id: 'pistol', ammo: WEAPONS.pistol.magazineSize, reserve: null });
+
+    addWeapon(player, 'teslaCoil', 0);
+    expect(consumeShot(player, 1000)).toBe(true);
+    expect(player.weapons[1].ammo).toBeNull();
+  });
+});
+
+describe('inventory bootstrap and sync', () => {
+  test('legacy players get an inventory from their current weapon', () => {
+    const player = { weapon: 'minigun' };
+    expect(ensureInventory(player).map(s => s.id)).toEqual(['pistol', 'minigun']);
+  });
+
+  test('resetInventory goes back to the pistol', () => {
+    const player = makePlayer();
+    addWeapon(player, 'rifle', 0);
+    resetInventory(player);
+    expect(player.weapon).toBe('pistol');
+    expect(player.weapons).toHaveLength(1);
+  });
+
+  test('syncInventory emits to the owner only when the inventory changed', () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const player = makePlayer();
+
+    syncInventory(player, io, 'p1');
+    syncInventory(player, io, 'p1');
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(io.to).toHaveBeenCalledWith('p1');
+
+    addWeapon(player, 'rifle', 0);
+    syncInventory(player, io, 'p1');
+    expect(emit).toHaveBeenCalledTimes(2);
+    expect(emit).toHaveBeenLastCalledWith('weaponInventory', {
+      current: 'rifle',
+      reloadingUntil: 0,
+      slots: [
+        { id: 'pistol', name: WEAPONS.pistol.name, ammo: 12, magazineSize: 12, reserve: null },
+        { id: 'rifle', name: WEAPONS.rifle.name, ammo: 30, magazineSize: 30, reserve: 150 }
+      ]
+    });
+  });
+});
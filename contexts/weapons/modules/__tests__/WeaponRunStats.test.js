@@ -0,0 +1,76 @@
+/**
+ * Unit tests for contexts/weapons/modules/WeaponRunStats.js
+ * Focus: shot counting and firing time, attribution through the shooter id,
+ * run snapshot.
+ */
+
+const { recordShot, recordDamage, recordKill, snapshotWeaponRunStats } = require('../WeaponRunStats');
+const { WEAPON_STATS_CONFIG } = require('../../../../config/constants');
+
+describe('recordShot', () => {
+  test('counts every bullet of the shot', () => {
+    const player = {};
+    recordShot(player, 'shotgun', 8, 1000, 600);
+    recordShot(player, 'shotgun', 8, 1600, 600);
+    expect(player.weaponRunStats.shotgun.shotsFired).toBe(16);
+  });
+
+  test('firing time: one interval for the first shot, then the gaps', () => {
+    const player = {};
+    recordShot(player, 'pistol', 1, 1000, 300);
+    recordShot(player, 'pistol', 1, 1300, 300);
+    recordShot(player, 'pistol', 1, 1700, 300);
+    expect(player.weaponRunStats.pistol.activeTime).toBe(300 + 300 + 400);
+  });
+
+  test('idle time between fights is capped', () => {
+    const player = {};
+    recordShot(player, 'pistol', 1, 1000, 300);
+    recordShot(player, 'pistol', 1, 60000, 300);
+    expect(player.weaponRunStats.pistol.activeTime).toBe(300 + WEAPON_STATS_CONFIG.activeGapMs);
+  });
+
+  test('weapons are counted apart', () => {
+    const player = {};
+    recordShot(player, 'pistol', 1, 1000, 300);
+    recordShot(player, 'rifle', 1, 1100, 100);
+    expect(Object.keys(player.weaponRunStats)).toEqual(['pistol', 'rifle']);
+  });
+});
+
+describe('recordDamage / recordKill', () => {
+  test('credit the shooter weapon', () => {
+    const shooter = {};
+    const gameState = { players: { s1: shooter } };
+    recordDamage(gameState, 's1', 'rifle', 25, true);
+    recordDamage(gameState, 's1', 'rifle', 10);
+    recordKill(gameState, 's1', 'rifle');
+    expect(shooter.weaponRunStats.rifle).toMatchObject({ shotsHit: 1, damageDealt: 35, kills: 1 });
+  });
+
+  test('ignore bullets without weapon (turrets) or with a departed shooter', () => {
+    const shooter = {};
+    const gameState = { players: { s1: shooter } };
+    recordDamage(gameState, 's1', null, 25, true);
+    recordKill(gameState, 'gone', 'rifle');
+    expect(shooter.weaponRunStats).toBeUndefined();
+  });
+});
+
+describe('snapshotWeaponRunStats', () => {
+  test('rounds the totals and drops weapons that never fired', () => {
+    const player = {
+      weaponRunStats: {
+        pistol: { shotsFired: 10, shotsHit: 4, kills: 1, damageDealt: 99.6, activeTime: 3000.2, lastShotAt: 5 },
+        minigun: { shotsFired: 0, shotsHit: 0, kills: 0, damageDealt: 0, activeTime: 0, lastShotAt: 0 }
+      }
+    };
+    expect(snapshotWeaponRunStats(player)).toEqual([
+      { weaponId: 'pistol', shotsFired: 10, shotsHit: 4, kills: 1, damageDealt: 100, activeTime: 3000 }
+    ]);
+  });
+
+  test('empty for a player who never fired', () => {
+    expect(snapshotWeaponRunStats({})).toEqual([]);
+  });
+});
@@ -6,7 +6,8 @@
  */
 
 const { getMutatorEffect } = require('./utils');
-const { runPRNG } = require('../../lib/runPRNG');
+const { runStream } = require('../../lib/runPRNG');
+const { applyMutatorHook } = require('../../lib/server/MutatorRules');
 const logger = require('../../infrastructure/logging/Logger');
 
 class ZombieFactory {
@@ -41,10 +42,11 @@ class ZombieFactory {
     let x, y;
     let attempts = 0;
     const maxAttempts = 50;
+    const rng = runStream(this.gameState, 'spawns');
 
     do {
-      x = safetyMargin + runPRNG.random() * (this.config.ROOM_WIDTH - 2 * safetyMargin);
-      y = safetyMargin + runPRNG.random() * (this.config.ROOM_HEIGHT - 2 * safetyMargin);
+      x = safetyMargin + rng.random() * (this.config.ROOM_WIDTH - 2 * safetyMargin);
+      y = safetyMargin + rng.random() * (this.config.ROOM_HEIGHT - 2 * safetyMargin);
       attempts++;
 
       if (this.checkWallCollision(x, y, zombieSize)) {
@@ -75,7 +77,9 @@ break;
       }
     }
 
-    const isElite = this.gameState.wave >= 5 && runPRNG.chance(0.05);
+    // Les règles de mutateur (eliteEvery) peuvent forcer un élite après le tirage
+    const rolledElite = this.gameState.wave >= 5 && rng.chance(0.05);
+    const isElite = applyMutatorHook(this.gameState, 'modifyEliteRoll', rolledElite, this.gameState);
     const zombieId = this.gameState.nextZombieId++;
 
     // CORRECTION: Plafonner l'escalade à la vague 130 pour éviter les valeurs démesurées
@@ -223,10 +227,11 @@ return false;
     let x, y;
     let attempts = 0;
     const maxAttempts = 10;
+    const rng = runStream(this.gameState, 'spawns');
 
     do {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = 50 + Math.random() * 50;
+      const angle = rng.random() * Math.PI * 2;
+      const distance = 50 + rng.random() * 50;
       x = summonerX + Math.cos(angle) * distance;
       y = summonerY + Math.sin(angle) * distance;
 
@@ -310,6 +315,11 @@ return false;
       isBoss: true
     };
 
+    // Scripted bosses are unknown to the client's name table
+    if (type.scripted) {
+      bossData.name = type.name;
+    }
+
     if (bossType === 'bossCharnier') {
       bossData.lastSpawn = Date.now();
     } else if (bossType === 'bossInfect') {
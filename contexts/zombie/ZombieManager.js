@@ -25,7 +25,7 @@ class ZombieManager {
     this.checkWallCollision = checkWallCollision;
     this.io = io;
     this.zombieSpawnTimer = null;
-    this.spawnManager = new ZombieSpawnManager();
+    this.spawnManager = new ZombieSpawnManager(gameState);
 
     this.factory = new ZombieFactory(gameState, config, zombieTypes, checkWallCollision, this.spawnManager);
     this.lifecycle = new ZombieLifecycle(gameState);
@@ -22,16 +22,16 @@ jest.mock('../modules/ZombieSpawnManager', () => {
   }));
 });
 
+const mockStream = {
+  random: jest.fn(() => 0.5),
+  chance: jest.fn(() => false)
+};
+
 jest.mock('../../../lib/runPRNG', () => ({
-  runPRNG: {
-    random: jest.fn(() => 0.5),
-    chance: jest.fn(() => false)
-  },
-  resetRunPRNG: jest.fn()
+  runStream: jest.fn(() => mockStream)
 }));
 
 const ZombieManager = require('../ZombieManager');
-const { runPRNG } = require('../../../lib/runPRNG');
 
 const ZOMBIE_TYPES = {
   normal: { health: 100, damage: 10, speed: 2, gold: 5, xp: 10, color: '#ff0000', size: 20 },
@@ -307,7 +307,7 @@ describe('spawnSingleZombie', () => {
     const gs = makeGameState({ wave: 200 });
     const zm = new ZombieManager(gs, CONFIG, ZOMBIE_TYPES, noCollision);
     zm.spawnManager.selectZombieType.mockReturnValue('normal');
-    runPRNG.chance.mockReturnValue(false);
+    mockStream.chance.mockReturnValue(false);
 
     zm.spawnSingleZombie();
 
@@ -372,6 +372,23 @@ describe('spawnSingleZombie', () => {
     const zombie = Object.values(gs.zombies)[0];
     expect(zombie.health).toBe(Math.floor(100 * 1 * 3));
   });
+
+  test('the elite_cadence mutator makes every 10th spawn an elite', () => {
+    const RunMutatorManager = require('../../../lib/server/RunMutatorManager');
+    const gs = makeGameState({ wave: 1 });
+    gs.mutatorManager = new RunMutatorManager(gs, null);
+    gs.mutatorManager.restore({ activeMutatorIds: ['elite_cadence'] });
+    const zm = new ZombieManager(gs, CONFIG, ZOMBIE_TYPES, noCollision);
+    zm.spawnManager.selectZombieType.mockReturnValue('normal');
+    mockStream.chance.mockReturnValue(false);
+
+    for (let i = 0; i < 20; i++) {
+      zm.spawnSingleZombie();
+    }
+
+    const elites = Object.values(gs.zombies).filter(z => z.isElite).map(z => z.id);
+    expect(elites).toEqual([10, 20]);
+  });
 });
 
 // ─── spawnSpecificZombie ──────────────────────────────────────────────────────
@@ -1,10 +1,12 @@
 /**
  * @fileoverview Boss zombie updaters - Main entry point
- * @description Delegates to specialized boss updaters
+ * @description Delegates to specialized boss updaters; bosses defined as JSON
+ * (lib/server/config/bosses) all go through updateScriptedBoss
  */
 
 const { updateBossCharnier, updateBossInfect, updateBossColosse, updateBossRoi, updateBossOmega } = require('./BossUpdaterSimple');
 const { updateBossInfernal, updateBossCryos, updateBossVortex, updateBossNexus, updateBossApocalypse } = require('./BossAbilities');
+const { updateScriptedBoss } = require('./bosses/scriptedBoss');
 
 module.exports = {
   // Original bosses
@@ -19,5 +21,8 @@ module.exports = {
   updateBossCryos,
   updateBossVortex,
   updateBossNexus,
-  updateBossApocalypse
+  updateBossApocalypse,
+
+  // Data-driven bosses
+  updateScriptedBoss
 };
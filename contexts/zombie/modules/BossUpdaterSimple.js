@@ -7,7 +7,10 @@ const ConfigManager = require('../../../lib/server/ConfigManager');
 const { distance } = require('../../../game/utilityFunctions');
 const { createParticles } = require('../../../game/lootFunctions');
 const { handlePlayerDeathProgression } = require('../../player/modules/DeathProgressionHandler');
-const { clampToRoomBounds, moveZombieSafely, canPlaceZombieAt } = require('./bosses/shared');
+const { publishPlayerDamage } = require('../../../lib/server/GameEventBus');
+const { clampToRoomBounds, moveZombieSafely, canPlaceZombieAt, telegraphAttack } = require('./bosses/shared');
+const { line, isInShape } = require('./TelegraphManager');
+const { runStream } = require('../../../lib/runPRNG');
 const {
   AURA_EFFECT_INTERVAL,
   MULTIPLIER_70_PCT,
@@ -75,9 +78,10 @@ function _infectDeathAura(zombie, now, bossType, entityManager, gameState) {
     if (distance(zombie.x, zombie.y, player.x, player.y) < bossType.deathAuraRadius) {
       player.lastKillerType = zombie.type;
       player.health -= bossType.deathAuraDamage;
+      publishPlayerDamage(gameState, playerId, bossType.deathAuraDamage);
       createParticles(player.x, player.y, '#00ff00', 5, entityManager);
       if (player.health <= 0) {
-        handlePlayerDeathProgression(player, playerId, gameState, now, true);
+        handlePlayerDeathProgression(player, playerId, gameState, Date.now(), true);
       }
     }
   }
@@ -161,7 +165,7 @@ function _roiTeleport(zombie, now, bossType, collisionManager, entityManager, ga
     return;
   }
   const a = Math.atan2(p.y - zombie.y, p.x - zombie.x);
-  const d = 200 + Math.random() * 200;
+  const d = 200 + runStream(gameState, 'ai').random() * 200;
   const oldX = zombie.x,
     oldY = zombie.y;
   if (moveZombieSafely(zombie, p.x - Math.cos(a) * d, p.y - Math.sin(a) * d, gameState)) {
@@ -368,7 +372,7 @@ function _omegaTeleport(zombie, now, bossType, collisionManager, entityManager,
     return;
   }
   const a = Math.atan2(p.y - zombie.y, p.x - zombie.x);
-  const d = 150 + Math.random() * 200;
+  const d = 150 + runStream(gameState, 'ai').random() * 200;
   const oldX = zombie.x,
     oldY = zombie.y;
   if (moveZombieSafely(zombie, p.x - Math.cos(a) * d, p.y - Math.sin(a) * d, gameState)) {
@@ -377,7 +381,10 @@ function _omegaTeleport(zombie, now, bossType, collisionManager, entityManager,
   }
 }
 
-/** Fire laser at closest player and apply damage (Phase 4). */
+/**
+ * Aim the laser at the closest player (Phase 4): the beam line is telegraphed
+ * for laserWindup ms, then fires along it and damages whoever stands inside.
+ */
 function _omegaLaser(
   zombie,
   zombieId,
@@ -398,11 +405,27 @@ function _omegaLaser(
   }
 
   const angle = Math.atan2(p.y - zombie.y, p.x - zombie.x);
+  const beam = line(zombie.x, zombie.y, angle, bossType.laserRange, bossType.laserWidth);
+  telegraphAttack(io, gameState, {
+    bossId: zombieId,
+    ability: 'laser',
+    shapes: [beam],
+    windup: bossType.laserWindup,
+    now,
+    x: zombie.x,
+    y: zombie.y,
+    color: bossType.laserColor,
+    onImpact: impactAt => _fireOmegaLaser(zombie, zombieId, beam, impactAt, bossType, io, entityManager, gameState)
+  });
+}
+
+/** Fire the telegraphed laser beam. */
+function _fireOmegaLaser(zombie, zombieId, beam, now, bossType, io, entityManager, gameState) {
   const steps = 40;
   for (let i = 0; i < steps; i++) {
     createParticles(
-      zombie.x + Math.cos(angle) * ((i * bossType.laserRange) / steps),
-      zombie.y + Math.sin(angle) * ((i * bossType.laserRange) / steps),
+      beam.x + Math.cos(beam.angle) * ((i * beam.length) / steps),
+      beam.y + Math.sin(beam.angle) * ((i * beam.length) / steps),
       bossType.laserColor,
       2,
       entityManager
@@ -414,26 +437,24 @@ function _omegaLaser(
     if (!player.alive || player.spawnProtection || player.invisible) {
       continue;
     }
-    const playerAngle = Math.atan2(player.y - zombie.y, player.x - zombie.x);
-    const angleDiff = Math.abs(playerAngle - angle);
-    const dist = distance(zombie.x, zombie.y, player.x, player.y);
-    if (angleDiff < bossType.laserWidth / 2 / dist && dist < bossType.laserRange) {
+    if (isInShape(beam, player.x, player.y)) {
       player.lastKillerType = zombie.type;
       player.health -= bossType.laserDamage;
+      publishPlayerDamage(gameState, playerId, bossType.laserDamage);
       createParticles(player.x, player.y, '#ff0000', PARTICLES_DEFAULT_COUNT, entityManager);
       if (player.health <= 0) {
-        handlePlayerDeathProgression(player, playerId, gameState, now, true);
+        handlePlayerDeathProgression(player, playerId, gameState, Date.now(), true);
       }
     }
   }
 
-  createParticles(zombie.x, zombie.y, bossType.laserColor, 30, entityManager);
+  createParticles(beam.x, beam.y, bossType.laserColor, 30, entityManager);
   io.emit('bossLaser', {
     bossId: zombieId,
-    x: zombie.x,
-    y: zombie.y,
-    angle,
-    range: bossType.laserRange,
+    x: beam.x,
+    y: beam.y,
+    angle: beam.angle,
+    range: beam.length,
     color: bossType.laserColor
   });
 }
@@ -7,6 +7,8 @@ const ConfigManager = require('../../../lib/server/ConfigManager');
 const { distance } = require('../../../game/utilityFunctions');
 const { createParticles } = require('../../../game/lootFunctions');
 const { clampToRoomBounds, moveZombieSafely, canPlaceZombieAt } = require('./bosses/shared');
+const { publishPlayerDamage } = require('../../../lib/server/GameEventBus');
+const { runStream } = require('../../../lib/runPRNG');
 const {
   MULTIPLIER_70_PCT,
   CLONE_DAMAGE_MULTIPLIER,
@@ -56,7 +58,7 @@ function executeTeleport(zombie, closestPlayer, teleporterType, now, gameState,
   const angleToPlayer = Math.atan2(closestPlayer.y - zombie.y, closestPlayer.x - zombie.x);
   const teleportDistance =
     teleporterType.teleportMinRange +
-    Math.random() * (teleporterType.teleportRange - teleporterType.teleportMinRange);
+    runStream(gameState, 'ai').random() * (teleporterType.teleportRange - teleporterType.teleportMinRange);
 
   const newX = closestPlayer.x - Math.cos(angleToPlayer) * teleportDistance;
   const newY = closestPlayer.y - Math.sin(angleToPlayer) * teleportDistance;
@@ -373,6 +375,7 @@ function executeGroundSlam(zombie, _zombieId, now, bruteType, gameState, entityM
     const dist = distance(zombie.x, zombie.y, player.x, player.y);
     if (dist <= bruteType.slamRange) {
       player.health -= bruteType.slamDamage;
+      publishPlayerDamage(gameState, playerId, bruteType.slamDamage);
       player.stunnedUntil = now + bruteType.slamStunDuration;
       createParticles(player.x, player.y, '#ffaa00', 10, entityManager);
     }
@@ -397,11 +400,11 @@ function updateMimicZombie(zombie, _zombieId, now, _collisionManager, entityMana
 /**
  * Transform mimic to random zombie type
  */
-function transformMimic(zombie, now, _mimicType, _gameState, entityManager) {
+function transformMimic(zombie, now, _mimicType, gameState, entityManager) {
   zombie.lastTransform = now;
 
   const availableTypes = ['tank', 'fast', 'healer', 'shooter', 'slower'];
-  const randomType = availableTypes[Math.floor(Math.random() * availableTypes.length)];
+  const randomType = runStream(gameState, 'ai').pick(availableTypes);
   const targetType = ZOMBIE_TYPES[randomType];
 
   zombie.mimickedType = randomType;
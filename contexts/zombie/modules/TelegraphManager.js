@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Telegraphed boss attacks
+ * @description A telegraphed attack is announced before it lands: the server
+ * emits its warning shapes (circle, cone, line) with a start and an impact
+ * timestamp (`bossTelegraph`), waits for the wind-up, then resolves it.
+ * Wind-ups run on the game loop clock; the timestamps sent to clients are
+ * server epoch ms, which clients map onto their own clock through the ping
+ * ack (GameStateManager.syncServerClock) so every player sees the same
+ * impact moment whatever their latency. The attacks of a boss that dies
+ * during the wind-up fizzle (`bossTelegraphCancel`), and so does the oldest
+ * one when too many are pending.
+ */
+
+const { emitAOI } = require('./bosses/shared');
+
+// Pending telegraphs cap: past it the oldest is cancelled
+const MAX_TELEGRAPHS = 64;
+
+/**
+ * @typedef {Object} TelegraphShape
+ * @property {'circle'|'cone'|'line'} shape
+ * @property {number} x - centre (circle) or origin (cone, line)
+ * @property {number} y
+ * @property {number} [radius] - circle
+ * @property {number} [angle] - cone/line direction (radians)
+ * @property {number} [arc] - cone opening (radians)
+ * @property {number} [range] - cone length
+ * @property {number} [length] - line length
+ * @property {number} [width] - line width
+ */
+
+/** @returns {TelegraphShape} */
+function circle(x, y, radius) {
+  return { shape: 'circle', x, y, radius };
+}
+
+/** @returns {TelegraphShape} */
+function cone(x, y, angle, arc, range) {
+  return { shape: 'cone', x, y, angle, arc, range };
+}
+
+/** @returns {TelegraphShape} */
+function line(x, y, angle, length, width) {
+  return { shape: 'line', x, y, angle, length, width };
+}
+
+/**
+ * Whether a point lies inside a warning shape.
+ * @param {TelegraphShape} s
+ * @param {number} px
+ * @param {number} py
+ * @returns {boolean}
+ */
+function isInShape(s, px, py) {
+  const dx = px - s.x;
+  const dy = py - s.y;
+  switch (s.shape) {
+    case 'circle':
+      return dx * dx + dy * dy < s.radius * s.radius;
+    case 'cone': {
+      const dist = Math.hypot(dx, dy);
+      if (dist >= s.range) {
+        return false;
+      }
+      const diff = Math.atan2(dy, dx) - s.angle;
+      return dist === 0 || Math.abs(Math.atan2(Math.sin(diff), Math.cos(diff))) <= s.arc / 2;
+    }
+    case 'line': {
+      const along = dx * Math.cos(s.angle) + dy * Math.sin(s.angle);
+      const across = dy * Math.cos(s.angle) - dx * Math.sin(s.angle);
+      return along >= 0 && along <= s.length && Math.abs(across) <= s.width / 2;
+    }
+    default:
+      return false;
+  }
+}
+
+class TelegraphManager {
+  /**
+   * @param {Object} gameState - Shared game state
+   */
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.pending = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Announce an attack and land it after its wind-up.
+   * @param {import('socket.io').Server} io
+   * @param {Object} spec
+   * @param {string} spec.bossId
+   * @param {string} spec.ability - label for the client (meteor, laser, primitive name...)
+   * @param {TelegraphShape[]} spec.shapes
+   * @param {number} spec.windup - ms between the warning and the impact
+   * @param {number} spec.now - game loop clock
+   * @param {number} spec.x - AOI centre (usually the boss)
+   * @param {number} spec.y
+   * @param {string} [spec.color]
+   * @param {function(number): void} spec.onImpact - receives the game loop clock
+   * @param {function(number): void} [spec.onCancel] - the attack will not land
+   *   (overflow, boss gone); receives the game loop clock
+   * @returns {Object} the telegraph as sent to clients
+   */
+  schedule(io, spec) {
+    if (this.pending.length >= MAX_TELEGRAPHS) {
+      this._cancel(this.pending.shift(), spec.now);
+    }
+    const startAt = Date.now();
+    const telegraph = {
+      id: `tg_${this._nextId++}`,
+      bossId: spec.bossId,
+      ability: spec.ability,
+      shapes: spec.shapes,
+      startAt,
+      impactAt: startAt + spec.windup
+    };
+    if (spec.color) {
+      telegraph.color = spec.color;
+    }
+    this.pending.push({
+      telegraph,
+      dueAt: spec.now + spec.windup,
+      io,
+      x: spec.x,
+      y: spec.y,
+      onImpact: spec.onImpact,
+      onCancel: spec.onCancel || null
+    });
+    emitAOI(io, 'bossTelegraph', telegraph, spec.x, spec.y, this.gameState);
+    return telegraph;
+  }
+
+  /**
+   * Land the telegraphs whose wind-up is over; drop those of dead bosses.
+   * @param {number} now - game loop clock
+   */
+  update(now) {
+    const zombies = this.gameState.zombies || {};
+    for (let i = 0; i < this.pending.length;) {
+      const entry = this.pending[i];
+      if (!zombies[entry.telegraph.bossId]) {
+        this.pending.splice(i, 1);
+        this._cancel(entry, now);
+        continue;
+      }
+      if (now < entry.dueAt) {
+        i++;
+        continue;
+      }
+      this.pending.splice(i, 1);
+      entry.onImpact(now);
+    }
+  }
+
+  /** Tell the clients and the caster a dropped telegraph will not land */
+  _cancel(entry, now) {
+    if (entry.onCancel) {
+      entry.onCancel(now);
+    }
+    emitAOI(entry.io, 'bossTelegraphCancel', { id: entry.telegraph.id }, entry.x, entry.y, this.gameState);
+  }
+
+  /** Drop every pending telegraph */
+  clearAll() {
+    this.pending = [];
+  }
+
+  /** @returns {number} */
+  getCount() {
+    return this.pending.length;
+  }
+}
+
+module.exports = { TelegraphManager, circle, cone, line, isInShape };
@@ -7,11 +7,13 @@ const { createParticles, createLoot } = require('../../../game/lootFunctions');
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const { PARTICLES_DEFAULT_COUNT } = require('../constants');
 const { distance } = require('../../../game/utilityFunctions');
+const { runMutatorHook } = require('../../../lib/server/MutatorRules');
 // Direct imports — DeathProgressionHandler and WaveManager are both leaf
 // modules (only depend on ConfigManager), so no cycle is possible here.
 // gameLoop re-exports handlePlayerDeathProgression, which previously forced
 // the lazy-load workaround.
 const { handlePlayerDeathProgression } = require('../../player/modules/DeathProgressionHandler');
+const { publishPlayerDamage } = require('../../../lib/server/GameEventBus');
 const { handleNewWave } = require('../../wave/modules/WaveManager');
 
 const { ZOMBIE_TYPES } = ConfigManager;
@@ -58,11 +60,12 @@ function updatePoisonTrails(gameState, now, collisionManager, entityManager) {
         if (now - lastDamage >= 500) {
           player.lastKillerType = trail.zombieType || 'ghost';
           player.health -= trail.damage;
+          publishPlayerDamage(gameState, player.id, trail.damage);
           player.lastPoisonDamage[trailId] = now;
           createParticles(player.x, player.y, '#00ff00', 3, entityManager);
 
           if (player.health <= 0) {
-            handlePlayerDeathProgression(player, player.id, gameState, now, false);
+            handlePlayerDeathProgression(player, player.id, gameState, Date.now(), false);
           }
         }
       }
@@ -112,6 +115,7 @@ function updatePoisonedZombies(gameState, now, entityManager, io = null, zombieM
  */
 function killPoisonedZombie(zombie, zombieId, gameState, entityManager, io, zombieManager) {
   createParticles(zombie.x, zombie.y, zombie.color, PARTICLES_DEFAULT_COUNT, entityManager);
+  runMutatorHook(gameState, 'onZombieDeath', zombie, gameState, entityManager);
   createLoot(zombie.x, zombie.y, zombie.goldDrop, zombie.xpDrop, gameState);
   delete gameState.zombies[zombieId];
   gameState.collisionManager?.invalidatePathfindingCache(zombieId);
@@ -207,6 +211,7 @@ function applySplitExplosionDamage(zombie, splitterType, gameState, entityManage
       const explosionDamage = 20;
       player.lastKillerType = zombie.type;
       player.health -= explosionDamage;
+      publishPlayerDamage(gameState, playerId, explosionDamage);
 
       createParticles(player.x, player.y, '#ff8800', 10, entityManager);
 
@@ -5,10 +5,14 @@
 
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const { ZOMBIE_TYPES } = ConfigManager;
-const { runPRNG } = require('../../../lib/runPRNG');
+const { runStream } = require('../../../lib/runPRNG');
 
 class ZombieSpawnManager {
-  constructor() {
+  /**
+   * @param {Object|null} [gameState] - run state; its 'spawns' stream drives type rolls
+   */
+  constructor(gameState = null) {
+    this.gameState = gameState;
     this.waveConfig = this.buildWaveProgression();
     // PERF: cache { elites, normals } splits per wave to avoid re-filtering on every spawn
     this._eliteCache = new Map();
@@ -122,7 +126,7 @@ class ZombieSpawnManager {
     // Mode ALL (chaos waves)
     if (wavePhase.types === 'ALL') {
       const allTypes = Object.keys(ZOMBIE_TYPES).filter(type => !ZOMBIE_TYPES[type].isBoss);
-      return runPRNG.pick(allTypes);
+      return runStream(this.gameState, 'spawns').pick(allTypes);
     }
 
     // Sélection pondérée normale
@@ -168,12 +172,13 @@ class ZombieSpawnManager {
       this._eliteCache.set(cacheKey, split);
     }
 
-    if (split.elites.length > 0 && runPRNG.chance(eliteChance)) {
-      return runPRNG.pick(split.elites);
+    const rng = runStream(this.gameState, 'spawns');
+    if (split.elites.length > 0 && rng.chance(eliteChance)) {
+      return rng.pick(split.elites);
     }
     return split.normals.length > 0
-      ? runPRNG.pick(split.normals)
-      : runPRNG.pick(availableTypes);
+      ? rng.pick(split.normals)
+      : rng.pick(availableTypes);
   }
 
   /**
@@ -190,7 +195,20 @@ class ZombieSpawnManager {
    */
   shouldSpawnBoss(currentWave) {
     const bossWaves = [25, 50, 75, 100, 115, 130, 140, 160, 180, 200];
-    return bossWaves.includes(currentWave);
+    return bossWaves.includes(currentWave) || this.getScriptedBossType(currentWave) !== null;
+  }
+
+  /**
+   * Boss scripté (lib/server/config/bosses) prévu pour cette wave
+   */
+  getScriptedBossType(currentWave) {
+    for (const key in ZOMBIE_TYPES) {
+      const type = ZOMBIE_TYPES[key];
+      if (type.scripted && type.wave === currentWave) {
+        return key;
+      }
+    }
+    return null;
   }
 
   /**
@@ -209,7 +227,8 @@ class ZombieSpawnManager {
       180: 'bossNexus',
       200: 'bossApocalypse'
     };
-    return bossMap[currentWave] || null;
+    // Un boss codé à la main garde sa wave
+    return bossMap[currentWave] || this.getScriptedBossType(currentWave);
   }
 }
 
@@ -17,12 +17,15 @@ const ConfigManager = require('../../../lib/server/ConfigManager');
 const MathUtils = require('../../../lib/MathUtils');
 const { DAMAGE_INTERVAL, ZOMBIE_MAX_SPEED } = require('../constants');
 const { distance } = require('../../../game/utilityFunctions');
+const { runStream } = require('../../../lib/runPRNG');
+const { getSynergyModifier } = require('../../../lib/server/SynergyRegistry');
 // Direct import — DeathProgressionHandler is a leaf module (only depends on
 // ConfigManager) so no cycle is possible here. gameLoop re-exports it, which
 // is what previously forced the lazy-load workaround.
 const { handlePlayerDeathProgression } = require('../../player/modules/DeathProgressionHandler');
+const { publishPlayerDamage } = require('../../../lib/server/GameEventBus');
 
-const { CONFIG, ZOMBIE_TYPES } = ConfigManager;
+const { CONFIG, ZOMBIE_TYPES, BOSS_DEFINITIONS } = ConfigManager;
 
 // AOI bounds for far-freeze optimization.
 // FIX: must be >= NetworkManager's broadcast AOI (1600+400 bucket = 2000 × 900+400 = 1300)
@@ -53,12 +56,16 @@ const {
   updateBossCryos,
   updateBossVortex,
   updateBossNexus,
-  updateBossApocalypse
+  updateBossApocalypse,
+  updateScriptedBoss
 } = require('./BossUpdater');
 
 // Wall-collision resolver moved to ./updater/wallCollision.js for SRP + lint compliance.
 const { resolveWallCollisions } = require('./updater/wallCollision');
 
+// Flow-field steering around obstacles (per-room NavigationGrid).
+const { resolveChaseAngle } = require('./updater/navigation');
+
 // Per-type ability processors (healer/slower/shooter/poison) — SRP extract.
 const {
   processHealerAbility: _processHealerAbility,
@@ -121,7 +128,7 @@ function getNearestPlayer(zombie, players, tick) {
   // PERF: for-in avoids Object.keys() allocation on this hot path.
   for (const id in players) {
     const p = players[id];
-    if (!p || !p.alive) {
+    if (!p || !p.alive || p.downed) {
       continue;
     }
     const dx = zombie.x - p.x;
@@ -151,7 +158,7 @@ function getNearestPlayer(zombie, players, tick) {
 function resolveLockedTarget(zombie, players) {
   if (zombie._lockedTargetId !== null && zombie._lockedTargetId !== undefined) {
     const p = players[zombie._lockedTargetId];
-    if (p && p.alive && !p.spawnProtection && !p.invisible) {
+    if (p && p.alive && !p.downed && !p.spawnProtection && !p.invisible) {
       return p;
     }
     zombie._lockedTargetId = null;
@@ -313,6 +320,13 @@ const BOSS_HANDLERS = {
     )
 };
 
+// Bosses defined as JSON share one runner (a hand-coded boss keeps its own)
+for (const bossType of Object.keys(BOSS_DEFINITIONS)) {
+  if (!BOSS_HANDLERS[bossType]) {
+    BOSS_HANDLERS[bossType] = (zombie, id, ctx) => updateScriptedBoss(zombie, id, ctx);
+  }
+}
+
 function updateZombies(
   gameState,
   now,
@@ -397,6 +411,8 @@ function moveZombie(
 /**
  * Move zombie towards closest player
  * FIX: Added deltaTime parameter for frame-rate independent movement
+ * Follows the room flow field when the player is behind a wall; shielded
+ * zombies keep facing the player itself.
  */
 function moveTowardsPlayer(
   zombie,
@@ -408,19 +424,18 @@ function moveTowardsPlayer(
   now,
   deltaTime
 ) {
-  const angle = Math.atan2(closestPlayer.y - zombie.y, closestPlayer.x - zombie.x);
-
   if (zombie.type === 'shielded') {
     // PERF: recalculate facingAngle only when player moved > 8px since last update
     const dx = closestPlayer.x - (zombie._shieldPx || 0);
     const dy = closestPlayer.y - (zombie._shieldPy || 0);
     if (dx * dx + dy * dy > 64) {
-      zombie.facingAngle = angle;
+      zombie.facingAngle = Math.atan2(closestPlayer.y - zombie.y, closestPlayer.x - zombie.x);
       zombie._shieldPx = closestPlayer.x;
       zombie._shieldPy = closestPlayer.y;
     }
   }
 
+  const angle = resolveChaseAngle(zombie, closestPlayer, roomManager);
   const effectiveSpeed = calculateEffectiveSpeed(zombie, angle);
   const { newX, newY } = calculateNewPosition(zombie, angle, effectiveSpeed, deltaTime);
   const { finalX, finalY } = resolveWallCollisions(zombie, newX, newY, roomManager);
@@ -496,7 +511,7 @@ function checkPlayerCollisions(zombie, zombieId, collisionManager, gameState, no
     // Sinon le joueur doit etre DANS le zombie pour prendre des degats
     const collisionDistance = zombie.size + CONFIG.PLAYER_SIZE;
     if (distance(zombie.x, zombie.y, player.x, player.y) < collisionDistance) {
-      if (Math.random() < (player.dodgeChance || 0)) {
+      if (runStream(gameState, 'combat').chance(player.dodgeChance || 0)) {
         continue;
       }
 
@@ -523,16 +538,17 @@ function applyPlayerDamage(zombie, zombieId, player, gameState, now) {
     }
 
     player.health -= damageDealt;
+    publishPlayerDamage(gameState, player.id, damageDealt);
     player.lastDamageTime[zombieId] = now;
     player.lastKillerType = zombie.type;
 
     if (player.thorns > 0) {
-      const thornsDamage = damageDealt * player.thorns;
+      const thornsDamage = damageDealt * player.thorns * getSynergyModifier(player, 'thornsMultiplier');
       zombie.health -= thornsDamage;
     }
 
     if (player.health <= 0) {
-      handlePlayerDeathProgression(player, player.id, gameState, now, false);
+      handlePlayerDeathProgression(player, player.id, gameState, Date.now(), false);
     }
   }
 }
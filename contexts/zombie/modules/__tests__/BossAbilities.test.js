@@ -28,6 +28,7 @@ const {
   updateBossNexus,
   updateBossApocalypse
 } = require('../BossAbilities');
+const { TelegraphManager } = require('../TelegraphManager');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -136,7 +137,7 @@ describe('updateBossInfernal — fire aura', () => {
     expect(player.health).toBe(100);
   });
 
-  test('test_fireAura_playerKilled_setsDeadAndIncrementsDeaths', () => {
+  test('test_fireAura_playerKilled_goesThroughDeathProgression', () => {
     const zombie = { type: 'bossInfernal', x: 0, y: 0, health: 100, maxHealth: 100 };
     const player = makeLivePlayer({ x: 50, y: 0, health: 5, deaths: 0 });
     const gameState = makeGameState({ players: { p1: player } });
@@ -144,7 +145,18 @@ describe('updateBossInfernal — fire aura', () => {
     updateBossInfernal(zombie, 'z1', 2000, makeIo(), makeZombieManager(), makePerfIntegration(), makeEntityManager(), gameState);
 
     expect(player.alive).toBe(false);
-    expect(player.deaths).toBe(1);
+    expect(player.health).toBe(0);
+  });
+
+  test('test_fireAura_downedPlayer_skipped', () => {
+    const zombie = { type: 'bossInfernal', x: 0, y: 0, health: 100, maxHealth: 100 };
+    const player = makeLivePlayer({ x: 50, y: 0, health: 0, downed: true });
+    const gameState = makeGameState({ players: { p1: player } });
+
+    updateBossInfernal(zombie, 'z1', 2000, makeIo(), makeZombieManager(), makePerfIntegration(), makeEntityManager(), gameState);
+
+    expect(player.alive).toBe(true);
+    expect(player.health).toBe(0);
   });
 });
 
@@ -189,6 +201,32 @@ describe('updateBossInfernal — meteor strike', () => {
   });
 });
 
+describe('updateBossInfernal — telegraphed meteor', () => {
+  test('test_meteorStrike_telegraphManager_landsAfterWindupOnAnnouncedSpot', () => {
+    const zombie = { type: 'bossInfernal', x: 0, y: 0, health: 100, maxHealth: 100, lastAuraDamage: 9999999 };
+    const player = makeLivePlayer({ x: 300, y: 400 });
+    const hazardManager = { createHazard: jest.fn() };
+    const gameState = makeGameState({ players: { p1: player }, zombies: { z1: zombie }, hazardManager });
+    gameState.telegraphManager = new TelegraphManager(gameState);
+    const io = makeIo();
+
+    updateBossInfernal(zombie, 'z1', 9000, io, makeZombieManager(), makePerfIntegration(), makeEntityManager(), gameState);
+
+    expect(io.emit).toHaveBeenCalledWith('bossTelegraph', expect.objectContaining({
+      ability: 'meteor',
+      shapes: [{ shape: 'circle', x: 300, y: 400, radius: 100 }]
+    }));
+    expect(hazardManager.createHazard).not.toHaveBeenCalled();
+
+    player.x = 900;
+    gameState.telegraphManager.update(10499);
+    expect(hazardManager.createHazard).not.toHaveBeenCalled();
+    gameState.telegraphManager.update(10500);
+    expect(hazardManager.createHazard).toHaveBeenCalledWith('meteor', 300, 400, 100, 60, 2000);
+    expect(io.emit).toHaveBeenCalledWith('bossMeteor', { bossId: 'z1', x: 300, y: 400 });
+  });
+});
+
 describe('updateBossInfernal — fire minions (phase 2)', () => {
   beforeEach(() => jest.clearAllMocks());
 
@@ -408,7 +446,7 @@ describe('updateBossVortex — tornado pull', () => {
     expect(player.health).toBe(100);
   });
 
-  test('test_tornadoPull_playerKilled_setsDeadAndIncrementsDeaths', () => {
+  test('test_tornadoPull_playerKilled_goesThroughDeathProgression', () => {
     const zombie = { type: 'bossVortex', x: 0, y: 0, health: 100, maxHealth: 100 };
     const player = makeLivePlayer({ x: 100, y: 0, health: 15, deaths: 0 });
     const gameState = makeGameState({ players: { p1: player } });
@@ -416,7 +454,7 @@ describe('updateBossVortex — tornado pull', () => {
     updateBossVortex(zombie, 'z1', 8000, makeIo(), makeEntityManager(), gameState);
 
     expect(player.alive).toBe(false);
-    expect(player.deaths).toBe(1);
+    expect(player.health).toBe(0);
   });
 
   test('test_tornadoPull_cooldownNotElapsed_skips', () => {
@@ -718,7 +756,7 @@ describe('updateBossApocalypse — apocalypse ultimate (phase 4)', () => {
     expect(player.health).toBe(300);
   });
 
-  test('test_apocalypseUltimate_playerKilled_setsDeadAndIncrementsDeaths', () => {
+  test('test_apocalypseUltimate_playerKilled_goesThroughDeathProgression', () => {
     const now = 31000;
     const zombie = { type: 'bossApocalypse', x: 0, y: 0, health: 20, maxHealth: 100, lastMeteorShower: 9999999, lastIcePrison: 9999999, lastChainLightning: 9999999 };
     const player = makeLivePlayer({ x: 100, y: 0, health: 100, deaths: 2 });
@@ -727,7 +765,7 @@ describe('updateBossApocalypse — apocalypse ultimate (phase 4)', () => {
     updateBossApocalypse(zombie, 'z1', now, makeIo(), makeZombieManager(), makePerfIntegration(), makeEntityManager(), gameState, null);
 
     expect(player.alive).toBe(false);
-    expect(player.deaths).toBe(3);
+    expect(player.health).toBe(0);
   });
 
   test('test_apocalypseUltimate_cooldownNotElapsed_skips', () => {
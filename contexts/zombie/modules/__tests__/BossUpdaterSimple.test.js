@@ -52,6 +52,7 @@ jest.mock('../../../../lib/server/ConfigManager', () => ({
       laserRange: 600,
       laserColor: '#ff00ff',
       laserWidth: 30,
+      laserWindup: 1000,
       laserDamage: 40
     }
   }
@@ -76,6 +77,7 @@ const {
   updateBossRoi,
   updateBossOmega
 } = require('../BossUpdaterSimple');
+const { TelegraphManager } = require('../TelegraphManager');
 
 describe('updateBossCharnier', () => {
   test('type-guard: no-op on wrong type', () => {
@@ -475,6 +477,35 @@ describe('updateBossOmega', () => {
     expect(player.health).toBeLessThan(200);
   });
 
+  test('laser_withTelegraphManager_firesAlongAnnouncedLineAfterWindup', () => {
+    const zombie = makeBossOmega({
+      health: 50, phase: 4,
+      lastTeleport: 8000, lastToxicPool: 8000, lastSummon: 8000,
+      x: 200, y: 200
+    });
+    const io = { emit: jest.fn() };
+    const stays = { alive: true, spawnProtection: false, invisible: false, x: 400, y: 200, health: 200 };
+    const dodges = { alive: true, spawnProtection: false, invisible: false, x: 500, y: 205, health: 200 };
+    const cm = makeCollisionManager(stays);
+    const gameState = { players: { p1: stays, p2: dodges }, zombies: { z1: zombie } };
+    gameState.telegraphManager = new TelegraphManager(gameState);
+
+    updateBossOmega(zombie, 'z1', 9000, io, {}, {}, {}, gameState, cm);
+    expect(io.emit).toHaveBeenCalledWith('bossTelegraph', expect.objectContaining({
+      ability: 'laser',
+      shapes: [{ shape: 'line', x: 200, y: 200, angle: 0, length: 600, width: 30 }]
+    }));
+    expect(stays.health).toBe(200);
+
+    // The boss keeps moving and p2 steps out of the line during the wind-up
+    zombie.x = 800;
+    dodges.y = 300;
+    gameState.telegraphManager.update(10000);
+    expect(stays.health).toBe(160);
+    expect(dodges.health).toBe(200);
+    expect(io.emit).toHaveBeenCalledWith('bossLaser', expect.objectContaining({ x: 200, y: 200, angle: 0 }));
+  });
+
   test('laser_phase3_doesNotFire', () => {
     const zombie = makeBossOmega({
       health: 250, phase: 3,
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for contexts/zombie/modules/TelegraphManager.js
+ * Focus: shape hit tests, wind-up → impact timing, client timestamps,
+ * attacks of a dead boss fizzling, pending cap.
+ */
+
+jest.mock('../../../../lib/server/ConfigManager', () => ({
+  CONFIG: { ROOM_WIDTH: 3000, ROOM_HEIGHT: 3000, ZOMBIE_SIZE: 20 }
+}));
+
+const { TelegraphManager, circle, cone, line, isInShape } = require('../TelegraphManager');
+
+function setup() {
+  const gameState = { players: {}, zombies: { boss1: { type: 'bossTest' } } };
+  const manager = new TelegraphManager(gameState);
+  const io = { emit: jest.fn() };
+  return { gameState, manager, io };
+}
+
+function spec(overrides = {}) {
+  return {
+    bossId: 'boss1',
+    ability: 'meteor',
+    shapes: [circle(100, 100, 50)],
+    windup: 1000,
+    now: 5000,
+    x: 100,
+    y: 100,
+    onImpact: jest.fn(),
+    ...overrides
+  };
+}
+
+describe('isInShape', () => {
+  test('circle: strictly inside the radius', () => {
+    const s = circle(0, 0, 50);
+    expect(isInShape(s, 30, 30)).toBe(true);
+    expect(isInShape(s, 50, 0)).toBe(false);
+  });
+
+  test('cone: within range and half the arc of the direction', () => {
+    const s = cone(0, 0, 0, Math.PI / 2, 200);
+    expect(isInShape(s, 100, 90)).toBe(true);
+    expect(isInShape(s, 100, 120)).toBe(false);
+    expect(isInShape(s, 250, 0)).toBe(false);
+    expect(isInShape(s, -100, 0)).toBe(false);
+  });
+
+  test('cone: angles wrap around ±π', () => {
+    const s = cone(0, 0, Math.PI, Math.PI / 2, 200);
+    expect(isInShape(s, -100, 10)).toBe(true);
+    expect(isInShape(s, -100, -10)).toBe(true);
+  });
+
+  test('line: along the direction, within half the width', () => {
+    const s = line(0, 0, Math.PI / 2, 300, 40);
+    expect(isInShape(s, 15, 200)).toBe(true);
+    expect(isInShape(s, 25, 200)).toBe(false);
+    expect(isInShape(s, 0, -10)).toBe(false);
+    expect(isInShape(s, 0, 310)).toBe(false);
+  });
+});
+
+describe('TelegraphManager', () => {
+  test('announces the shapes with start and impact timestamps', () => {
+    const { manager, io } = setup();
+    jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_000);
+
+    const telegraph = manager.schedule(io, spec({ color: '#ff4500' }));
+
+    expect(io.emit).toHaveBeenCalledWith('bossTelegraph', {
+      id: telegraph.id,
+      bossId: 'boss1',
+      ability: 'meteor',
+      shapes: [{ shape: 'circle', x: 100, y: 100, radius: 50 }],
+      startAt: 1_700_000_000_000,
+      impactAt: 1_700_000_001_000,
+      color: '#ff4500'
+    });
+    Date.now.mockRestore();
+  });
+
+  test('lands the attack once the wind-up is over, on the loop clock', () => {
+    const { manager, io } = setup();
+    const s = spec();
+    manager.schedule(io, s);
+
+    manager.update(5999);
+    expect(s.onImpact).not.toHaveBeenCalled();
+
+    manager.update(6000);
+    expect(s.onImpact).toHaveBeenCalledWith(6000);
+    expect(manager.getCount()).toBe(0);
+
+    manager.update(7000);
+    expect(s.onImpact).toHaveBeenCalledTimes(1);
+  });
+
+  test('the attacks of a dead boss fizzle and are cancelled client-side', () => {
+    const { gameState, manager, io } = setup();
+    const s = spec();
+    const telegraph = manager.schedule(io, s);
+
+    delete gameState.zombies.boss1;
+    manager.update(5500);
+
+    expect(io.emit).toHaveBeenCalledWith('bossTelegraphCancel', { id: telegraph.id });
+    expect(manager.getCount()).toBe(0);
+    manager.update(6000);
+    expect(s.onImpact).not.toHaveBeenCalled();
+  });
+
+  test('past the cap the oldest telegraph is cancelled, not landed', () => {
+    const { manager, io } = setup();
+    const first = spec({ onCancel: jest.fn() });
+    const firstTelegraph = manager.schedule(io, first);
+    for (let i = 1; i < 64; i++) {
+      manager.schedule(io, spec());
+    }
+
+    manager.schedule(io, spec({ now: 5100 }));
+    expect(io.emit).toHaveBeenCalledWith('bossTelegraphCancel', { id: firstTelegraph.id });
+    expect(manager.getCount()).toBe(64);
+
+    expect(first.onCancel).toHaveBeenCalledWith(5100);
+
+    manager.update(7000);
+    expect(first.onImpact).not.toHaveBeenCalled();
+  });
+
+  test('the caster hears about a telegraph dropped with its boss', () => {
+    const { gameState, manager, io } = setup();
+    const s = spec({ onCancel: jest.fn() });
+    manager.schedule(io, s);
+
+    delete gameState.zombies.boss1;
+    manager.update(5500);
+
+    expect(s.onCancel).toHaveBeenCalledWith(5500);
+  });
+
+  test('clearAll drops every pending telegraph', () => {
+    const { manager, io } = setup();
+    const s = spec();
+    manager.schedule(io, s);
+    manager.clearAll();
+    manager.update(10000);
+    expect(s.onImpact).not.toHaveBeenCalled();
+  });
+});
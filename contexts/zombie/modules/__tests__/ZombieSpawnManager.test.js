@@ -194,6 +194,12 @@ describe('ZombieSpawnManager', () => {
       expect(spawnManager.getBossType(30)).toBeNull();
     });
 
+    it('getBossType picks the scripted boss of a wave without hand-coded boss', () => {
+      expect(spawnManager.getBossType(90)).toBe('bossSepulcre');
+      expect(spawnManager.shouldSpawnBoss(90)).toBe(true);
+      expect(spawnManager.selectZombieType(190)).not.toBe('bossSepulcre');
+    });
+
     it('getSpawnCount increases with wave number', () => {
       const count1 = spawnManager.getSpawnCount(1);
       const count50 = spawnManager.getSpawnCount(50);
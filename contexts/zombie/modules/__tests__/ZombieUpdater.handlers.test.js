@@ -12,7 +12,8 @@ jest.mock('../../../../lib/server/ConfigManager', () => ({
     poison:   { poisonTrailInterval: 500, poisonRadius: 40, poisonDamage: 5, poisonDuration: 3000, color: '#0f0' },
     berserker:{ dashSpeed: 10 },
     brute:    { chargeSpeed: 8 }
-  }
+  },
+  BOSS_DEFINITIONS: {}
 }));
 
 jest.mock('../../../../lib/MathUtils', () => ({
@@ -51,7 +52,8 @@ jest.mock('../BossUpdater', () => ({
   updateBossCryos: jest.fn(),
   updateBossVortex: jest.fn(),
   updateBossNexus: jest.fn(),
-  updateBossApocalypse: jest.fn()
+  updateBossApocalypse: jest.fn(),
+  updateScriptedBoss: jest.fn()
 }));
 
 const {
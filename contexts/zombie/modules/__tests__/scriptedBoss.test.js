@@ -0,0 +1,286 @@
+/**
+ * Unit tests for contexts/zombie/modules/bosses/scriptedBoss.js
+ * Focus: phase thresholds, telegraph → resolve timing (through a real
+ * TelegraphManager), sequence looping, aggro gating, primitives landing on
+ * the telegraphed zones.
+ */
+
+const TEST_BOSS = {
+  wave: 42,
+  aggroRange: 500,
+  stats: { name: 'TEST BOSS' },
+  phases: [
+    {
+      healthBelow: 1,
+      speedMultiplier: 1,
+      damageMultiplier: 1,
+      onEnter: [],
+      sequence: [
+        {
+          use: 'targetedHazard',
+          params: { hazard: 'meteor', targets: 'all', radius: 80, damage: 30, duration: 1000 },
+          telegraph: 1000,
+          cooldown: 2000
+        },
+        { use: 'slow', params: { amount: 0.5, duration: 1500 }, telegraph: 0, cooldown: 500 }
+      ]
+    },
+    {
+      healthBelow: 0.5,
+      speedMultiplier: 2,
+      damageMultiplier: 1.5,
+      onEnter: [{ use: 'summon', params: { type: 'skeleton', count: 3, radius: 100 }, telegraph: 0, cooldown: 0 }],
+      sequence: [{ use: 'pulse', params: { radius: 150, damage: 40, pull: 0 }, telegraph: 500, cooldown: 1000 }]
+    }
+  ]
+};
+
+jest.mock('../../../../lib/server/ConfigManager', () => ({
+  CONFIG: { ROOM_WIDTH: 3000, ROOM_HEIGHT: 3000, ZOMBIE_SIZE: 20 },
+  BOSS_DEFINITIONS: {}
+}));
+
+jest.mock('../../../../game/lootFunctions', () => ({
+  createParticles: jest.fn()
+}));
+
+const ConfigManager = require('../../../../lib/server/ConfigManager');
+const { updateScriptedBoss, resolvePhaseIndex } = require('../bosses/scriptedBoss');
+const { TelegraphManager } = require('../TelegraphManager');
+
+ConfigManager.BOSS_DEFINITIONS.bossTest = TEST_BOSS;
+
+function makeBoss(overrides = {}) {
+  return {
+    type: 'bossTest',
+    name: 'TEST BOSS',
+    x: 1000,
+    y: 1000,
+    size: 80,
+    color: '#123456',
+    health: 1000,
+    maxHealth: 1000,
+    speed: 1.5,
+    baseSpeed: 1.5,
+    damage: 100,
+    isBoss: true,
+    ...overrides
+  };
+}
+
+function makeCtx(now, { players, inRange = true, canSpawn = 3 } = {}) {
+  let spawned = 0;
+  const gameState = {
+    players: players || {
+      p1: { alive: true, x: 1100, y: 1000, health: 100 },
+      p2: { alive: true, x: 900, y: 1200, health: 100 }
+    },
+    zombies: {},
+    hazardManager: { createHazard: jest.fn(), createToxicPool: jest.fn() }
+  };
+  gameState.telegraphManager = new TelegraphManager(gameState);
+  return {
+    now,
+    io: { emit: jest.fn() },
+    gameState,
+    zombieManager: { spawnSpecificZombie: jest.fn(() => spawned++) },
+    perfIntegration: { canSpawnZombie: jest.fn(count => count < canSpawn) },
+    entityManager: {},
+    collisionManager: { findClosestPlayer: jest.fn(() => (inRange ? { x: 1100, y: 1000 } : null)) }
+  };
+}
+
+/** One game loop tick: zombie update, then the telegraphs */
+function tick(boss, ctx, now) {
+  ctx.now = now;
+  ctx.gameState.zombies.z1 = boss;
+  updateScriptedBoss(boss, 'z1', ctx);
+  ctx.gameState.telegraphManager.update(now);
+}
+
+describe('resolvePhaseIndex', () => {
+  test('picks the deepest threshold reached', () => {
+    expect(resolvePhaseIndex(TEST_BOSS, 1)).toBe(0);
+    expect(resolvePhaseIndex(TEST_BOSS, 0.51)).toBe(0);
+    expect(resolvePhaseIndex(TEST_BOSS, 0.5)).toBe(1);
+    expect(resolvePhaseIndex(TEST_BOSS, 0.1)).toBe(1);
+  });
+});
+
+describe('updateScriptedBoss', () => {
+  test('ignores bosses without a definition', () => {
+    const boss = makeBoss({ type: 'bossCryos' });
+    updateScriptedBoss(boss, 'z1', makeCtx(1000));
+    expect(boss._bossScript).toBeUndefined();
+  });
+
+  test('stays idle until a player is in aggro range', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000, { inRange: false });
+    updateScriptedBoss(boss, 'z1', ctx);
+
+    expect(boss.aiState).toBe('idle');
+    expect(boss.phase).toBe(1);
+    expect(ctx.io.emit).not.toHaveBeenCalled();
+  });
+
+  test('telegraphs the zones, then lands the hazards there', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000);
+    tick(boss, ctx, 1000);
+
+    expect(boss.aiState).toBe('special');
+    const [event, telegraph] = ctx.io.emit.mock.calls[0];
+    expect(event).toBe('bossTelegraph');
+    expect(telegraph).toMatchObject({
+      bossId: 'z1',
+      ability: 'targetedHazard',
+      shapes: [
+        { shape: 'circle', x: 1100, y: 1000, radius: 80 },
+        { shape: 'circle', x: 900, y: 1200, radius: 80 }
+      ]
+    });
+    expect(telegraph.impactAt - telegraph.startAt).toBe(1000);
+    expect(ctx.gameState.hazardManager.createHazard).not.toHaveBeenCalled();
+
+    // Players move away: the strike still lands on the announced spots
+    ctx.gameState.players.p1.x = 1500;
+    tick(boss, ctx, 1999);
+    expect(ctx.gameState.hazardManager.createHazard).not.toHaveBeenCalled();
+
+    tick(boss, ctx, 2000);
+    expect(ctx.gameState.hazardManager.createHazard).toHaveBeenCalledWith('meteor', 1100, 1000, 80, 30, 1000);
+    expect(ctx.gameState.hazardManager.createHazard).toHaveBeenCalledTimes(2);
+    tick(boss, ctx, 2001);
+    expect(boss.aiState).toBe('cooldown');
+  });
+
+  test('a boss killed during the wind-up never lands its cast', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000);
+    tick(boss, ctx, 1000);
+
+    delete ctx.gameState.zombies.z1;
+    ctx.gameState.telegraphManager.update(2000);
+
+    expect(ctx.gameState.hazardManager.createHazard).not.toHaveBeenCalled();
+    expect(ctx.io.emit).toHaveBeenCalledWith('bossTelegraphCancel', { id: expect.any(String) });
+  });
+
+  test('a cast dropped by the telegraph cap frees the boss for its next step', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000);
+    tick(boss, ctx, 1000);
+    expect(boss._bossScript.pending).not.toBeNull();
+
+    // Another boss floods the manager: the oldest telegraph (ours) is dropped
+    ctx.gameState.zombies.z2 = makeBoss();
+    for (let i = 0; i < 64; i++) {
+      ctx.gameState.telegraphManager.schedule(ctx.io, {
+        bossId: 'z2', ability: 'flood', shapes: [], windup: 60000, now: 1500, x: 0, y: 0, onImpact: jest.fn()
+      });
+    }
+    expect(boss._bossScript.pending).toBeNull();
+    expect(boss._bossScript.nextCastAt).toBe(3500);
+    expect(ctx.gameState.hazardManager.createHazard).not.toHaveBeenCalled();
+
+    tick(boss, ctx, 3000);
+    expect(boss.aiState).toBe('cooldown');
+
+    // The timeline goes on with the slow, which has no telegraph
+    tick(boss, ctx, 3500);
+    expect(ctx.gameState.players.p2).toMatchObject({ slowAmount: 0.5, slowedUntil: 5000 });
+  });
+
+  test('loops the sequence after each cooldown', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000);
+    tick(boss, ctx, 1000);
+    tick(boss, ctx, 2000);
+
+    // Slow has no telegraph: lands as soon as the cooldown is over
+    tick(boss, ctx, 4000);
+    expect(ctx.gameState.players.p2).toMatchObject({ slowAmount: 0.5, slowedUntil: 5500 });
+    expect(boss.aiState).toBe('aggro');
+
+    tick(boss, ctx, 4500);
+    expect(boss._bossScript.pending.step.use).toBe('targetedHazard');
+  });
+
+  test('entering a phase applies multipliers, plays onEnter and announces it', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000);
+    tick(boss, ctx, 1000);
+
+    boss.health = 400;
+    ctx.io.emit.mockClear();
+    tick(boss, ctx, 5000);
+
+    expect(boss.phase).toBe(2);
+    expect(boss.speed).toBe(3);
+    expect(boss.damage).toBe(150);
+    expect(ctx.io.emit).toHaveBeenCalledWith('bossPhaseChange', expect.objectContaining({ bossId: 'z1', phase: 2 }));
+    // The pending meteor resolves, then the summon waits for its cooldown
+    tick(boss, ctx, 7000);
+    expect(ctx.zombieManager.spawnSpecificZombie).toHaveBeenCalledTimes(2);
+    expect(ctx.zombieManager.spawnSpecificZombie).toHaveBeenCalledWith('skeleton', expect.any(Number), expect.any(Number));
+
+    // Healing back does not return to phase 1
+    boss.health = 1000;
+    tick(boss, ctx, 7000);
+    expect(boss.phase).toBe(2);
+  });
+
+  test('a slowed boss keeps its slow across a phase change', () => {
+    const boss = makeBoss({ health: 400, slowed: { originalSpeed: 1.5, slowAmount: 0.5 }, speed: 0.75 });
+    updateScriptedBoss(boss, 'z1', makeCtx(1000));
+
+    expect(boss.slowed.originalSpeed).toBe(3);
+    expect(boss.speed).toBe(1.5);
+  });
+
+  test('pulse hits players inside the telegraphed circle only', () => {
+    const boss = makeBoss({ health: 400 });
+    const players = {
+      near: { alive: true, x: 1050, y: 1000, health: 30, deaths: 0 },
+      far: { alive: true, x: 1400, y: 1000, health: 100 }
+    };
+    const ctx = makeCtx(1000, { players, canSpawn: 0 });
+    tick(boss, ctx, 1000);
+    tick(boss, ctx, 1000);
+    expect(boss._bossScript.pending.step.use).toBe('pulse');
+
+    tick(boss, ctx, 1500);
+    expect(players.near).toMatchObject({ alive: false, health: 0 });
+    expect(players.far.health).toBe(100);
+    expect(ctx.zombieManager.spawnSpecificZombie).not.toHaveBeenCalled();
+  });
+
+  test('a lethal strike downs the player while a teammate stands', () => {
+    const boss = makeBoss({ health: 400 });
+    const players = {
+      near: { alive: true, hasNickname: true, x: 1050, y: 1000, health: 30 },
+      mate: { alive: true, hasNickname: true, x: 1400, y: 1000, health: 100 }
+    };
+    const ctx = makeCtx(1000, { players, canSpawn: 0 });
+    tick(boss, ctx, 1000);
+    tick(boss, ctx, 1000);
+    tick(boss, ctx, 1500);
+
+    expect(players.near).toMatchObject({ alive: true, downed: true, health: 0 });
+  });
+
+  test('downed players are not targeted', () => {
+    const boss = makeBoss();
+    const ctx = makeCtx(1000, {
+      players: {
+        p1: { alive: true, x: 1100, y: 1000, health: 100 },
+        p2: { alive: true, downed: true, x: 900, y: 1200, health: 0 }
+      }
+    });
+    tick(boss, ctx, 1000);
+
+    const [, telegraph] = ctx.io.emit.mock.calls[0];
+    expect(telegraph.shapes).toEqual([{ shape: 'circle', x: 1100, y: 1000, radius: 80 }]);
+  });
+});
@@ -4,7 +4,9 @@
 
 const { createParticles } = require('../../../../game/lootFunctions');
 const { distance } = require('../../../../game/utilityFunctions');
-const { emitAOI, applyDamage, killPlayer } = require('./shared');
+const { emitAOI, applyDamage } = require('./shared');
+const { handlePlayerDeathProgression } = require('../../../player/modules/DeathProgressionHandler');
+const { runStream } = require('../../../../lib/runPRNG');
 
 const METEOR_SHOWER_COOLDOWN = 6000;
 const METEOR_SHOWER_COUNT = 5;
@@ -34,9 +36,10 @@ return;
 }
   zombie.lastMeteorShower = now;
 
+  const rng = runStream(gameState, 'ai');
   for (let i = 0; i < METEOR_SHOWER_COUNT; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const dist = Math.random() * METEOR_SHOWER_RADIUS;
+    const angle = rng.random() * Math.PI * 2;
+    const dist = rng.random() * METEOR_SHOWER_RADIUS;
     const meteorX = zombie.x + Math.cos(angle) * dist;
     const meteorY = zombie.y + Math.sin(angle) * dist;
 
@@ -111,7 +114,7 @@ return;
   const hitTargets = new Set([firstTarget]);
 
   while (jumps < CHAIN_LIGHTNING_MAX_JUMPS) {
-    applyDamage(currentTarget, CHAIN_LIGHTNING_DAMAGE * Math.pow(CHAIN_LIGHTNING_FALLOFF, jumps));
+    applyDamage(currentTarget, CHAIN_LIGHTNING_DAMAGE * Math.pow(CHAIN_LIGHTNING_FALLOFF, jumps), gameState);
     createParticles(currentTarget.x, currentTarget.y, '#ffff00', 15, entityManager);
 
     const nextTarget = _findNearestUnhitPlayer(currentTarget, hitTargets, gameState);
@@ -172,15 +175,15 @@ return;
 
   for (const playerId in gameState.players) {
     const player = gameState.players[playerId];
-    if (!player.alive) {
+    if (!player.alive || player.downed) {
 continue;
 }
 
     if (distance(zombie.x, zombie.y, player.x, player.y) < APOCALYPSE_RADIUS) {
-      applyDamage(player, APOCALYPSE_DAMAGE);
+      applyDamage(player, APOCALYPSE_DAMAGE, gameState);
       createParticles(player.x, player.y, '#8b0000', 30, entityManager);
       if (player.health <= 0) {
-killPlayer(player);
+handlePlayerDeathProgression(player, playerId, gameState, Date.now(), true);
 }
     }
   }
@@ -4,11 +4,15 @@
 
 const { createParticles } = require('../../../../game/lootFunctions');
 const { distance } = require('../../../../game/utilityFunctions');
-const { emitAOI, applyDamage, killPlayer } = require('./shared');
+const { emitAOI, applyDamage, telegraphAttack } = require('./shared');
+const { handlePlayerDeathProgression } = require('../../../player/modules/DeathProgressionHandler');
+const { circle } = require('../TelegraphManager');
 
 const ICE_SPIKES_COOLDOWN = 6000;
 const ICE_SPIKES_COUNT = 8;
 const ICE_SPIKES_RADIUS = 200;
+const ICE_SPIKES_WINDUP = 1000;
+const ICE_SPIKE_SIZE = 50;
 const ICE_CLONES_COOLDOWN = 20000;
 const ICE_CLONES_COUNT = 3;
 const ICE_CLONES_RADIUS = 120;
@@ -20,7 +24,8 @@ const BLIZZARD_TICK_INTERVAL = 500;
 const BLIZZARD_DAMAGE_PER_SEC = 15;
 
 /**
- * Spawn radial ice spike hazards around the boss.
+ * Spawn radial ice spike hazards around the boss, telegraphed for
+ * ICE_SPIKES_WINDUP ms.
  * @param {object} zombie
  * @param {string} zombieId
  * @param {number} now
@@ -34,18 +39,35 @@ return;
 }
   zombie.lastSpikes = now;
 
+  const shapes = [];
   for (let i = 0; i < ICE_SPIKES_COUNT; i++) {
     const angle = (Math.PI * 2 * i) / ICE_SPIKES_COUNT;
-    const spikeX = zombie.x + Math.cos(angle) * ICE_SPIKES_RADIUS;
-    const spikeY = zombie.y + Math.sin(angle) * ICE_SPIKES_RADIUS;
-
-    if (gameState.hazardManager) {
-      gameState.hazardManager.createHazard('iceSpike', spikeX, spikeY, 50, 50, 3000);
-    }
-    createParticles(spikeX, spikeY, '#00bfff', 20, entityManager);
+    shapes.push(circle(
+      zombie.x + Math.cos(angle) * ICE_SPIKES_RADIUS,
+      zombie.y + Math.sin(angle) * ICE_SPIKES_RADIUS,
+      ICE_SPIKE_SIZE
+    ));
   }
 
-  emitAOI(io, 'bossIceSpikes', { bossId: zombieId }, zombie.x, zombie.y, gameState);
+  telegraphAttack(io, gameState, {
+    bossId: zombieId,
+    ability: 'iceSpikes',
+    shapes,
+    windup: ICE_SPIKES_WINDUP,
+    now,
+    x: zombie.x,
+    y: zombie.y,
+    color: '#00bfff',
+    onImpact: () => {
+      for (const spike of shapes) {
+        if (gameState.hazardManager) {
+          gameState.hazardManager.createHazard('iceSpike', spike.x, spike.y, ICE_SPIKE_SIZE, 50, 3000);
+        }
+        createParticles(spike.x, spike.y, '#00bfff', 20, entityManager);
+      }
+      emitAOI(io, 'bossIceSpikes', { bossId: zombieId }, zombie.x, zombie.y, gameState);
+    }
+  });
 }
 
 /**
@@ -169,14 +191,14 @@ return;
   const tickDamage = BLIZZARD_DAMAGE_PER_SEC / 2;
   for (const playerId in gameState.players) {
     const player = gameState.players[playerId];
-    if (!player.alive) {
+    if (!player.alive || player.downed) {
 continue;
 }
 
-    applyDamage(player, tickDamage);
+    applyDamage(player, tickDamage, gameState);
     createParticles(player.x, player.y, '#aaddff', 3, entityManager);
     if (player.health <= 0) {
-killPlayer(player);
+handlePlayerDeathProgression(player, playerId, gameState, Date.now(), true);
 }
   }
 }
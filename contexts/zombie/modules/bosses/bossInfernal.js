@@ -5,7 +5,10 @@
 const ConfigManager = require('../../../../lib/server/ConfigManager');
 const { createParticles } = require('../../../../game/lootFunctions');
 const { distance } = require('../../../../game/utilityFunctions');
-const { emitAOI, applyDamage, killPlayer } = require('./shared');
+const { emitAOI, applyDamage, telegraphAttack } = require('./shared');
+const { handlePlayerDeathProgression } = require('../../../player/modules/DeathProgressionHandler');
+const { circle } = require('../TelegraphManager');
+const { runStream } = require('../../../../lib/runPRNG');
 
 const { CONFIG: _CONFIG, ZOMBIE_TYPES } = ConfigManager;
 
@@ -13,6 +16,10 @@ const FIRE_AURA_COOLDOWN = 1000;
 const FIRE_AURA_RADIUS = 120;
 const FIRE_AURA_DAMAGE = 8;
 const METEOR_COOLDOWN = 8000;
+const METEOR_WINDUP = 1500;
+const METEOR_RADIUS = 100;
+const METEOR_DAMAGE = 60;
+const METEOR_DURATION = 2000;
 const FIRE_MINIONS_COOLDOWN = 15000;
 const FIRE_MINIONS_COUNT = 5;
 const FIRE_MINIONS_SPAWN_RADIUS = 150;
@@ -33,7 +40,7 @@ aliveCount++;
 return null;
 }
 
-  let pick = Math.floor(Math.random() * aliveCount);
+  let pick = Math.floor(runStream(gameState, 'ai').random() * aliveCount);
   for (const id in gameState.players) {
     if (gameState.players[id].alive && pick-- === 0) {
       return gameState.players[id];
@@ -57,15 +64,15 @@ return;
 
   for (const playerId in gameState.players) {
     const player = gameState.players[playerId];
-    if (!player.alive || player.spawnProtection || player.invisible) {
+    if (!player.alive || player.downed || player.spawnProtection || player.invisible) {
 continue;
 }
 
     if (distance(zombie.x, zombie.y, player.x, player.y) < FIRE_AURA_RADIUS) {
-      applyDamage(player, FIRE_AURA_DAMAGE);
+      applyDamage(player, FIRE_AURA_DAMAGE, gameState);
       createParticles(player.x, player.y, '#ff4500', 6, entityManager);
       if (player.health <= 0) {
-killPlayer(player);
+handlePlayerDeathProgression(player, playerId, gameState, Date.now(), true);
 }
     }
   }
@@ -74,7 +81,8 @@ killPlayer(player);
 }
 
 /**
- * Launch a meteor strike at a random alive player.
+ * Launch a meteor strike at a random alive player: the impact zone is
+ * telegraphed for METEOR_WINDUP ms, then the meteor lands there.
  * @param {object} zombie
  * @param {string} zombieId
  * @param {number} now
@@ -93,12 +101,25 @@ return;
 return;
 }
 
-  if (gameState.hazardManager) {
-    gameState.hazardManager.createHazard('meteor', target.x, target.y, 100, 60, 2000);
-  }
-
-  createParticles(target.x, target.y, '#ff0000', 40, entityManager);
-  emitAOI(io, 'bossMeteor', { bossId: zombieId, x: target.x, y: target.y }, target.x, target.y, gameState);
+  const x = target.x;
+  const y = target.y;
+  telegraphAttack(io, gameState, {
+    bossId: zombieId,
+    ability: 'meteor',
+    shapes: [circle(x, y, METEOR_RADIUS)],
+    windup: METEOR_WINDUP,
+    now,
+    x,
+    y,
+    color: '#ff4500',
+    onImpact: () => {
+      if (gameState.hazardManager) {
+        gameState.hazardManager.createHazard('meteor', x, y, METEOR_RADIUS, METEOR_DAMAGE, METEOR_DURATION);
+      }
+      createParticles(x, y, '#ff0000', 40, entityManager);
+      emitAOI(io, 'bossMeteor', { bossId: zombieId, x, y }, x, y, gameState);
+    }
+  });
 }
 
 /**
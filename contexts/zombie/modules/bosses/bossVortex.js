@@ -4,7 +4,9 @@
 
 const { createParticles } = require('../../../../game/lootFunctions');
 const { distance } = require('../../../../game/utilityFunctions');
-const { applyDamage, killPlayer } = require('./shared');
+const { applyDamage } = require('./shared');
+const { handlePlayerDeathProgression } = require('../../../player/modules/DeathProgressionHandler');
+const { runStream } = require('../../../../lib/runPRNG');
 
 const TORNADO_COOLDOWN = 7000;
 const TORNADO_RADIUS = 180;
@@ -31,7 +33,7 @@ return;
 
   for (const playerId in gameState.players) {
     const player = gameState.players[playerId];
-    if (!player.alive) {
+    if (!player.alive || player.downed) {
 continue;
 }
 
@@ -40,10 +42,10 @@ continue;
       player.x += Math.cos(angle) * TORNADO_PULL_SPEED;
       player.y += Math.sin(angle) * TORNADO_PULL_SPEED;
 
-      applyDamage(player, TORNADO_DAMAGE);
+      applyDamage(player, TORNADO_DAMAGE, gameState);
       createParticles(player.x, player.y, '#00ced1', 8, entityManager);
       if (player.health <= 0) {
-killPlayer(player);
+handlePlayerDeathProgression(player, playerId, gameState, Date.now(), true);
 }
     }
   }
@@ -68,9 +70,10 @@ return;
 }
   zombie.lastLightning = now;
 
+  const rng = runStream(gameState, 'ai');
   for (let i = 0; i < LIGHTNING_COUNT; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const dist = Math.random() * LIGHTNING_MAX_DIST;
+    const angle = rng.random() * Math.PI * 2;
+    const dist = rng.random() * LIGHTNING_MAX_DIST;
     const strikeX = zombie.x + Math.cos(angle) * dist;
     const strikeY = zombie.y + Math.sin(angle) * dist;
 
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Ability primitives for scripted bosses
+ * @description The building blocks a boss file (lib/server/config/bosses)
+ * sequences, taken from the hand-written bosses: hazard rings (Cryos ice
+ * spikes), scattered hazards (Vortex lightning), hazards on players
+ * (Infernal meteors), damage/pull pulses (Vortex tornado), slows (Cryos
+ * freeze aura), minion summons, teleports (Nexus), toxic pools and
+ * frontal cone strikes.
+ *
+ * Each primitive is `{ aim, resolve }`. `aim` picks the zones (TelegraphManager
+ * shapes) when the cast is announced; `resolve` lands the effect on those same
+ * zones once the telegraph is over, so players dodge what they were shown.
+ * Params are validated at boot by lib/server/config/BossConfig.js
+ * (ABILITY_PARAMS).
+ */
+
+const { createParticles } = require('../../../../game/lootFunctions');
+const { distance } = require('../../../../game/utilityFunctions');
+const { runStream } = require('../../../../lib/runPRNG');
+const { emitAOI, applyDamage, moveZombieSafely, canPlaceZombieAt } = require('./shared');
+const { circle, cone, isInShape } = require('../TelegraphManager');
+const { handlePlayerDeathProgression } = require('../../../player/modules/DeathProgressionHandler');
+
+/**
+ * @typedef {Object} BossTickContext
+ * @property {number} now
+ * @property {Object} io
+ * @property {Object} gameState
+ * @property {Object} zombieManager
+ * @property {Object} perfIntegration
+ * @property {Object} entityManager
+ * @property {Object|null} collisionManager
+ */
+
+function _targetablePlayers(gameState) {
+  const players = [];
+  for (const playerId in gameState.players) {
+    const player = gameState.players[playerId];
+    if (player.alive && !player.downed && !player.spawnProtection && !player.invisible) {
+      players.push(player);
+    }
+  }
+  return players;
+}
+
+function _placeHazards(params, zones, ctx) {
+  for (const zone of zones) {
+    if (ctx.gameState.hazardManager) {
+      ctx.gameState.hazardManager.createHazard(params.hazard, zone.x, zone.y, zone.radius, params.damage, params.duration);
+    }
+  }
+}
+
+function _circleAround(x, y, count, dist, radius) {
+  const zones = [];
+  for (let i = 0; i < count; i++) {
+    const angle = (Math.PI * 2 * i) / count;
+    zones.push(circle(x + Math.cos(angle) * dist, y + Math.sin(angle) * dist, radius));
+  }
+  return zones;
+}
+
+/**
+ * Damage (and optionally pull toward the zone origin) the players inside a zone.
+ * A lethal hit goes through the death progression (second chance, downed state).
+ * @returns {number} players hit
+ */
+function _strikeZone(zone, params, ctx) {
+  let hits = 0;
+  for (const playerId in ctx.gameState.players) {
+    const player = ctx.gameState.players[playerId];
+    if (!player.alive || player.downed || player.spawnProtection) {
+      continue;
+    }
+    if (!isInShape(zone, player.x, player.y)) {
+      continue;
+    }
+    if (params.pull > 0) {
+      const angle = Math.atan2(zone.y - player.y, zone.x - player.x);
+      player.x += Math.cos(angle) * params.pull;
+      player.y += Math.sin(angle) * params.pull;
+    }
+    applyDamage(player, params.damage, ctx.gameState);
+    if (player.health <= 0) {
+      handlePlayerDeathProgression(player, playerId, ctx.gameState, Date.now(), true);
+    }
+    hits++;
+  }
+  return hits;
+}
+
+const PRIMITIVES = {
+  radialHazard: {
+    aim: (boss, params) => _circleAround(boss.x, boss.y, params.count, params.distance, params.radius),
+    resolve: (_boss, _bossId, params, zones, ctx) => _placeHazards(params, zones, ctx)
+  },
+
+  scatterHazard: {
+    aim: (boss, params, ctx) => {
+      const rng = runStream(ctx.gameState, 'ai');
+      const zones = [];
+      for (let i = 0; i < params.count; i++) {
+        const angle = rng.random() * Math.PI * 2;
+        const dist = rng.random() * params.maxDistance;
+        zones.push(circle(boss.x + Math.cos(angle) * dist, boss.y + Math.sin(angle) * dist, params.radius));
+      }
+      return zones;
+    },
+    resolve: (_boss, _bossId, params, zones, ctx) => _placeHazards(params, zones, ctx)
+  },
+
+  targetedHazard: {
+    aim: (boss, params, ctx) => {
+      const players = _targetablePlayers(ctx.gameState);
+      if (players.length === 0) {
+        return [];
+      }
+      let targets = players;
+      if (params.targets === 'random') {
+        targets = [runStream(ctx.gameState, 'ai').pick(players)];
+      } else if (params.targets === 'nearest') {
+        targets = [players.reduce((best, p) =>
+          (distance(boss.x, boss.y, p.x, p.y) < distance(boss.x, boss.y, best.x, best.y) ? p : best))];
+      }
+      return targets.map(p => circle(p.x, p.y, params.radius));
+    },
+    resolve: (_boss, _bossId, params, zones, ctx) => _placeHazards(params, zones, ctx)
+  },
+
+  pulse: {
+    aim: (boss, params) => [circle(boss.x, boss.y, params.radius)],
+    resolve: (boss, _bossId, params, zones, ctx) => {
+      for (const zone of zones) {
+        _strikeZone(zone, params, ctx);
+        createParticles(zone.x, zone.y, params.color || boss.color, 30, ctx.entityManager);
+      }
+    }
+  },
+
+  slow: {
+    // No radius: every player of the room
+    aim: (boss, params) => (params.radius ? [circle(boss.x, boss.y, params.radius)] : []),
+    resolve: (_boss, _bossId, params, zones, ctx) => {
+      const zone = zones[0] || null;
+      for (const player of _targetablePlayers(ctx.gameState)) {
+        if (zone && !isInShape(zone, player.x, player.y)) {
+          continue;
+        }
+        player.slowedUntil = ctx.now + params.duration;
+        player.slowAmount = params.amount;
+        createParticles(player.x, player.y, '#aaddff', 4, ctx.entityManager);
+      }
+    }
+  },
+
+  summon: {
+    aim: (boss, params) => _circleAround(boss.x, boss.y, params.count, params.radius, 30),
+    resolve: (boss, bossId, params, zones, ctx) => {
+      let zombieCount = 0;
+      for (const _ in ctx.gameState.zombies) {
+        zombieCount++;
+      }
+      for (const zone of zones) {
+        if (!ctx.perfIntegration.canSpawnZombie(zombieCount)) {
+          break;
+        }
+        if (!canPlaceZombieAt(boss, zone.x, zone.y, ctx.gameState)) {
+          continue;
+        }
+        ctx.zombieManager.spawnSpecificZombie(params.type, zone.x, zone.y);
+        zombieCount++;
+      }
+      createParticles(boss.x, boss.y, boss.color, 40, ctx.entityManager);
+      emitAOI(ctx.io, 'bossSummon', { bossId, type: params.type }, boss.x, boss.y, ctx.gameState);
+    }
+  },
+
+  teleport: {
+    aim: (boss, params, ctx) => {
+      const target = ctx.collisionManager?.findClosestPlayer(boss.x, boss.y, Infinity, {
+        ignoreSpawnProtection: true,
+        ignoreInvisible: false
+      });
+      if (!target) {
+        return [];
+      }
+      const angle = Math.atan2(target.y - boss.y, target.x - boss.x);
+      return [circle(
+        target.x - Math.cos(angle) * params.distance,
+        target.y - Math.sin(angle) * params.distance,
+        boss.size || 40
+      )];
+    },
+    resolve: (boss, _bossId, _params, zones, ctx) => {
+      const zone = zones[0];
+      if (!zone) {
+        return;
+      }
+      const oldX = boss.x;
+      const oldY = boss.y;
+      if (moveZombieSafely(boss, zone.x, zone.y, ctx.gameState)) {
+        createParticles(oldX, oldY, boss.color, 30, ctx.entityManager);
+        createParticles(boss.x, boss.y, boss.color, 30, ctx.entityManager);
+      }
+    }
+  },
+
+  toxicPool: {
+    aim: (boss, params) => [circle(boss.x, boss.y, params.radius)],
+    resolve: (_boss, _bossId, params, zones, ctx) => {
+      for (const zone of zones) {
+        if (ctx.gameState.hazardManager) {
+          ctx.gameState.hazardManager.createToxicPool(zone.x, zone.y, zone.radius, params.damage, params.duration);
+        }
+      }
+    }
+  },
+
+  coneStrike: {
+    // Frontal cone toward the nearest player, fixed when announced
+    aim: (boss, params, ctx) => {
+      const players = _targetablePlayers(ctx.gameState);
+      if (players.length === 0) {
+        return [];
+      }
+      const target = players.reduce((best, p) =>
+        (distance(boss.x, boss.y, p.x, p.y) < distance(boss.x, boss.y, best.x, best.y) ? p : best));
+      const angle = Math.atan2(target.y - boss.y, target.x - boss.x);
+      return [cone(boss.x, boss.y, angle, (params.arc * Math.PI) / 180, params.range)];
+    },
+    resolve: (boss, _bossId, params, zones, ctx) => {
+      for (const zone of zones) {
+        _strikeZone(zone, params, ctx);
+        const mid = zone.range / 2;
+        createParticles(zone.x + Math.cos(zone.angle) * mid, zone.y + Math.sin(zone.angle) * mid,
+          params.color || boss.color, 30, ctx.entityManager);
+      }
+    }
+  }
+};
+
+module.exports = { PRIMITIVES };
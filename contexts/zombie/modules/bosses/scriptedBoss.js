@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Scripted boss runner
+ * @description Plays the timeline of a boss defined in
+ * lib/server/config/bosses/<type>.json (see BossConfig.js): the phase follows
+ * the HP thresholds (never back), entering a phase applies its multipliers
+ * and queues its `onEnter` steps, then its `sequence` loops. A step announces
+ * its zones through the TelegraphManager, resolves after `telegraph` ms, and
+ * the next one starts `cooldown` ms later. The timeline drives `aiState` itself, in
+ * place of BossStateMachine: idle until a player is in `aggroRange`,
+ * special while telegraphing, cooldown while waiting, aggro when ready.
+ */
+
+const ConfigManager = require('../../../../lib/server/ConfigManager');
+const { createParticles } = require('../../../../game/lootFunctions');
+const { BOSS_STATES } = require('../BossStateMachine');
+const { PRIMITIVES } = require('./primitives');
+const { emitAOI, telegraphAttack } = require('./shared');
+
+const { BOSS_DEFINITIONS } = ConfigManager;
+
+// Warning particles on each telegraphed zone
+const TELEGRAPH_COLOR = '#ff3b3b';
+
+/**
+ * Timeline state kept on the boss (server-internal, see DeltaBuilder).
+ * @typedef {Object} BossScriptState
+ * @property {number} phase - index in definition.phases, -1 before the first tick
+ * @property {number} step - next index in the phase sequence
+ * @property {Object[]} queue - onEnter steps still to play
+ * @property {number} nextCastAt
+ * @property {{step: Object, impactAt: number}|null} pending - cast waiting for its impact
+ * @property {number} baseSpeed
+ * @property {number} baseDamage
+ */
+
+/**
+ * @param {Object} boss
+ * @param {number} now
+ * @returns {BossScriptState}
+ */
+function initBossScript(boss, now) {
+  boss._bossScript = {
+    phase: -1,
+    step: 0,
+    queue: [],
+    nextCastAt: now,
+    pending: null,
+    baseSpeed: boss.baseSpeed || boss.speed,
+    baseDamage: boss.damage
+  };
+  return boss._bossScript;
+}
+
+/**
+ * Index of the deepest phase the boss HP has reached.
+ * @param {Object} definition
+ * @param {number} healthPercent - 0..1
+ * @returns {number}
+ */
+function resolvePhaseIndex(definition, healthPercent) {
+  let index = 0;
+  definition.phases.forEach((phase, i) => {
+    if (healthPercent <= phase.healthBelow) {
+      index = i;
+    }
+  });
+  return index;
+}
+
+function _setSpeed(boss, speed) {
+  boss.baseSpeed = speed;
+  // Freeze/slow restore to originalSpeed (BulletEffects): keep them in step
+  if (boss.frozen) {
+    boss.frozen.originalSpeed = speed;
+  } else if (boss.slowed) {
+    boss.slowed.originalSpeed = speed;
+    boss.speed = speed * (1 - (boss.slowed.slowAmount || 0));
+  } else {
+    boss.speed = speed;
+  }
+}
+
+function _enterPhase(boss, bossId, definition, index, ctx) {
+  const script = boss._bossScript;
+  const phase = definition.phases[index];
+  const announce = script.phase >= 0;
+  script.phase = index;
+  script.step = 0;
+  script.queue = phase.onEnter.slice();
+  boss.phase = index + 1;
+  _setSpeed(boss, script.baseSpeed * phase.speedMultiplier);
+  boss.damage = Math.floor(script.baseDamage * phase.damageMultiplier);
+
+  if (announce) {
+    createParticles(boss.x, boss.y, boss.color, 60, ctx.entityManager);
+    emitAOI(ctx.io, 'bossPhaseChange', {
+      bossId,
+      phase: boss.phase,
+      message: `${boss.name || 'BOSS'} - PHASE ${boss.phase}!`
+    }, boss.x, boss.y, ctx.gameState);
+  }
+}
+
+function _nextStep(script, definition) {
+  if (script.queue.length > 0) {
+    return script.queue.shift();
+  }
+  const sequence = definition.phases[script.phase].sequence;
+  if (sequence.length === 0) {
+    return null;
+  }
+  const step = sequence[script.step % sequence.length];
+  script.step = (script.step + 1) % sequence.length;
+  return step;
+}
+
+function _resolve(boss, bossId, step, zones, ctx) {
+  boss._bossScript.pending = null;
+  PRIMITIVES[step.use].resolve(boss, bossId, step.params, zones, ctx);
+  boss._bossScript.nextCastAt = ctx.now + step.cooldown;
+}
+
+function _cast(boss, bossId, step, ctx) {
+  const zones = PRIMITIVES[step.use].aim(boss, step.params, ctx);
+  if (step.telegraph === 0) {
+    _resolve(boss, bossId, step, zones, ctx);
+    return;
+  }
+  boss._bossScript.pending = { step, impactAt: ctx.now + step.telegraph };
+  for (const zone of zones) {
+    createParticles(zone.x, zone.y, TELEGRAPH_COLOR, 10, ctx.entityManager);
+  }
+  telegraphAttack(ctx.io, ctx.gameState, {
+    bossId,
+    ability: step.use,
+    shapes: zones,
+    windup: step.telegraph,
+    now: ctx.now,
+    x: boss.x,
+    y: boss.y,
+    onImpact: now => _resolve(boss, bossId, step, zones, { ...ctx, now }),
+    // Dropped before landing: the step is spent, the boss goes on with its timeline
+    onCancel: now => {
+      boss._bossScript.pending = null;
+      boss._bossScript.nextCastAt = now + step.cooldown;
+    }
+  });
+}
+
+function _isPlayerInRange(boss, range, ctx) {
+  if (!ctx.collisionManager) {
+    return true;
+  }
+  return Boolean(ctx.collisionManager.findClosestPlayer(boss.x, boss.y, range, {
+    ignoreSpawnProtection: true,
+    ignoreInvisible: false
+  }));
+}
+
+/**
+ * Update a scripted boss each game tick.
+ * @param {Object} boss
+ * @param {string} bossId
+ * @param {import('./primitives').BossTickContext} ctx
+ */
+function updateScriptedBoss(boss, bossId, ctx) {
+  const definition = BOSS_DEFINITIONS[boss.type];
+  if (!definition) {
+    return;
+  }
+  const script = boss._bossScript || initBossScript(boss, ctx.now);
+
+  const phaseIndex = resolvePhaseIndex(definition, boss.health / boss.maxHealth);
+  if (phaseIndex > script.phase) {
+    _enterPhase(boss, bossId, definition, phaseIndex, ctx);
+  }
+
+  // The TelegraphManager lands the pending cast
+  if (script.pending) {
+    boss.aiState = BOSS_STATES.SPECIAL;
+    return;
+  }
+
+  if (ctx.now < script.nextCastAt) {
+    boss.aiState = BOSS_STATES.COOLDOWN;
+    return;
+  }
+  if (!_isPlayerInRange(boss, definition.aggroRange, ctx)) {
+    boss.aiState = BOSS_STATES.IDLE;
+    return;
+  }
+  boss.aiState = BOSS_STATES.AGGRO;
+  const step = _nextStep(script, definition);
+  if (step) {
+    _cast(boss, bossId, step, ctx);
+    if (script.pending) {
+      boss.aiState = BOSS_STATES.SPECIAL;
+    }
+  }
+}
+
+module.exports = { updateScriptedBoss, initBossScript, resolvePhaseIndex };
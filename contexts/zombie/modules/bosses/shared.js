@@ -3,6 +3,7 @@
  */
 
 const ConfigManager = require('../../../../lib/server/ConfigManager');
+const { publishPlayerDamage } = require('../../../../lib/server/GameEventBus');
 
 const { CONFIG } = ConfigManager;
 
@@ -76,29 +77,21 @@ function moveZombieSafely(zombie, targetX, targetY, gameState) {
 }
 
 /**
- * Apply damage to a player, respecting armor if present.
+ * Apply damage to a player, respecting armor if present, and publish it.
  * Armor reduces incoming damage multiplicatively (0 = no armor, 1 = full immunity).
  * @param {object} player
  * @param {number} amount  Raw damage before armor reduction.
+ * @param {object} gameState
  * @returns {number} Actual damage applied.
  */
-function applyDamage(player, amount) {
+function applyDamage(player, amount, gameState) {
   const reduction = player.armor > 0 ? player.armor : 0;
   const actual = amount * (1 - reduction);
   player.health -= actual;
+  publishPlayerDamage(gameState, player.id, actual);
   return actual;
 }
 
-/**
- * Kill a player: mark as dead and increment death counter.
- * Must only be called when player.health <= 0.
- * @param {object} player
- */
-function killPlayer(player) {
-  player.alive = false;
-  player.deaths = (player.deaths || 0) + 1;
-}
-
 /**
  * Check whether a zombie-shaped entity can be placed at (x, y).
  * Returns true if no room manager is available.
@@ -116,11 +109,28 @@ function canPlaceZombieAt(zombie, x, y, gameState) {
   return !roomManager.checkWallCollision(x, y, zombie.size);
 }
 
+/**
+ * Announce a telegraphed attack through gameState.telegraphManager (see
+ * TelegraphManager.schedule). Without a manager (unit tests, tools) the
+ * attack lands at once.
+ * @param {import('socket.io').Server} io
+ * @param {object} gameState
+ * @param {object} spec - TelegraphManager.schedule spec
+ * @returns {object|null} the telegraph sent to clients
+ */
+function telegraphAttack(io, gameState, spec) {
+  if (gameState.telegraphManager) {
+    return gameState.telegraphManager.schedule(io, spec);
+  }
+  spec.onImpact(spec.now);
+  return null;
+}
+
 module.exports = {
   emitAOI,
+  telegraphAttack,
   clampToRoomBounds,
   moveZombieSafely,
   applyDamage,
-  killPlayer,
   canPlaceZombieAt
 };
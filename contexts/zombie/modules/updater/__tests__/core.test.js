@@ -129,6 +129,17 @@ describe('updateZombies orchestrator', () => {
     expect(bossOmega).toHaveBeenCalled();
   });
 
+  test('leaves aiState to the timeline of scripted bosses', () => {
+    const zombie = makeZombie({ type: 'bossTest', isBoss: true, _bossScript: {}, aiState: 'cooldown' });
+    const gameState = { zombies: { z1: zombie }, players: { p1: makeAlivePlayer() } };
+    const bossTest = jest.fn();
+    updateZombies(gameState, now, io, makeCollisionManager(), entityManager, zombieManager, perfIntegration, makeHandlers({
+      bossHandlers: { bossTest }
+    }));
+    expect(bossTest).toHaveBeenCalled();
+    expect(zombie.aiState).toBe('cooldown');
+  });
+
   test('skips move if ability handler deleted the zombie', () => {
     const zombie = makeZombie({ type: 'bossRoi', isBoss: true });
     const gameState = { zombies: { z1: zombie }, players: { p1: makeAlivePlayer() } };
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for contexts/zombie/modules/updater/navigation.js
+ * Focus: zombies chasing through the real RoomManager + wall resolver.
+ */
+
+jest.mock('../../../../../infrastructure/logging/Logger', () => ({
+  info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const { resolveChaseAngle } = require('../navigation');
+const { moveTowardsPlayer } = require('../../ZombieUpdater');
+const RoomManager = require('../../../../wave/RoomManager');
+const { CONFIG } = require('../../../../../lib/server/ConfigManager');
+
+const W = CONFIG.WALL_THICKNESS;
+const OUTER_WALLS = [
+  { x: 0, y: 0, width: CONFIG.ROOM_WIDTH, height: W },
+  { x: 0, y: CONFIG.ROOM_HEIGHT - W, width: CONFIG.ROOM_WIDTH, height: W },
+  { x: 0, y: 0, width: W, height: CONFIG.ROOM_HEIGHT },
+  { x: CONFIG.ROOM_WIDTH - W, y: 0, width: W, height: CONFIG.ROOM_HEIGHT }
+];
+// L-shaped wall: vertical leg on the right, horizontal leg along the bottom.
+// The player hides in the inner corner; a straight chase from the right is
+// pushed flat against the vertical leg.
+const L_WALL = [
+  { x: 1500, y: 800, width: 40, height: 1000 },
+  { x: 900, y: 1760, width: 640, height: 40 }
+];
+
+function makeRoomManager(walls) {
+  return new RoomManager({ rooms: [], walls, zombies: {} }, CONFIG, { emit: jest.fn() });
+}
+
+function chase(zombie, player, roomManager, maxTicks) {
+  const collisionManager = { findPlayersInRadius: () => [] };
+  const reach = zombie.size + CONFIG.PLAYER_SIZE;
+  for (let tick = 1; tick <= maxTicks; tick++) {
+    moveTowardsPlayer(zombie, 'z1', player, roomManager, collisionManager, {}, tick * 16, 1);
+    if (Math.hypot(zombie.x - player.x, zombie.y - player.y) < reach) {
+      return tick;
+    }
+  }
+  return null;
+}
+
+describe('resolveChaseAngle', () => {
+  test('falls back to the straight heading without a navigation grid', () => {
+    expect(resolveChaseAngle({ x: 0, y: 0 }, { x: 0, y: 10 }, null)).toBeCloseTo(Math.PI / 2);
+    expect(resolveChaseAngle({ x: 0, y: 0 }, { x: 10, y: 0 }, { checkWallCollision: () => false })).toBe(0);
+  });
+
+  test('goes straight when the target is in sight', () => {
+    const rm = makeRoomManager([...OUTER_WALLS]);
+    expect(resolveChaseAngle({ x: 500, y: 500 }, { x: 900, y: 500 }, rm)).toBeCloseTo(0);
+  });
+});
+
+describe('flow-field chase around an L-shaped wall', () => {
+  const player = { x: 1300, y: 1500 };
+
+  test('zombie reaches a player hidden behind the wall in bounded ticks', () => {
+    const rm = makeRoomManager([...OUTER_WALLS, ...L_WALL]);
+    const zombie = { x: 1750, y: 1500, size: CONFIG.ZOMBIE_SIZE, speed: 2.5, type: 'normal', damage: 5 };
+
+    const ticks = chase(zombie, player, rm, 1500);
+
+    expect(ticks).not.toBeNull();
+  });
+
+  test('zombie starting below the horizontal leg also gets around', () => {
+    const rm = makeRoomManager([...OUTER_WALLS, ...L_WALL]);
+    const zombie = { x: 1200, y: 2100, size: CONFIG.ZOMBIE_SIZE, speed: 2.5, type: 'normal', damage: 5 };
+
+    expect(chase(zombie, player, rm, 1500)).not.toBeNull();
+  });
+
+  test('a straight-line chase stays pinned against the wall', () => {
+    const walls = [...OUTER_WALLS, ...L_WALL];
+    const rm = makeRoomManager(walls);
+    const bare = {
+      checkWallCollision: (...args) => rm.checkWallCollision(...args),
+      getWallCollisionInfo: (...args) => rm.getWallCollisionInfo(...args)
+    };
+    const zombie = { x: 1750, y: 1500, size: CONFIG.ZOMBIE_SIZE, speed: 2.5, type: 'normal', damage: 5 };
+
+    expect(chase(zombie, player, bare, 1500)).toBeNull();
+  });
+});
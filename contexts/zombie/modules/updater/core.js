@@ -69,7 +69,8 @@ function dispatchBoss(zombie, zombieId, ctx, bossHandlers) {
   if (!handler) {
  return;
 }
-  if (zombie.isBoss) {
+  // Scripted bosses drive aiState from their own timeline
+  if (zombie.isBoss && !zombie._bossScript) {
     updateBossStateMachine(zombie, ctx.now, ctx.collisionManager);
   }
   handler(zombie, zombieId, ctx);
@@ -7,6 +7,7 @@
  */
 
 const { applyZombieSeparation } = require('./separation');
+const { runStream } = require('../../../../lib/runPRNG');
 
 const TARGET_FRAME_MS = 16.67;
 const MAX_DELTA_CAP = 3;
@@ -82,7 +83,7 @@ function moveZombie(zombie, zombieId, collisionManager, gameState, now, tick, pa
       collisionManager, gameState, now, deltaTime
     );
   } else {
-    deps.moveRandomly(zombie, now, gameState.roomManager, deltaTime);
+    deps.moveRandomly(zombie, now, gameState.roomManager, deltaTime, runStream(gameState, 'ai'));
   }
 }
 
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Zombie chase heading — flow-field steering around room walls.
+ * @description Picks the heading a chasing zombie should move along: straight
+ *   at the target when it is in sight, otherwise the next cell of the room's
+ *   flow field (see contexts/wave/NavigationGrid). Falls back to the straight
+ *   heading when no navigation grid is available (tests, bare room managers).
+ */
+
+/**
+ * @param {Object} zombie
+ * @param {{x: number, y: number}} target
+ * @param {Object|null} roomManager
+ * @returns {number} heading in radians
+ */
+function resolveChaseAngle(zombie, target, roomManager) {
+  const direct = Math.atan2(target.y - zombie.y, target.x - zombie.x);
+  if (!roomManager || typeof roomManager.getNavigationGrid !== 'function') {
+    return direct;
+  }
+  const steering = roomManager.getNavigationGrid().getSteeringAngle(zombie.x, zombie.y, target.x, target.y);
+  return steering === null ? direct : steering;
+}
+
+module.exports = { resolveChaseAngle };
@@ -6,6 +6,7 @@
  */
 
 const { resolveWallCollisions } = require('./wallCollision');
+const { unseeded } = require('../../../../lib/runPRNG');
 
 const RANDOM_HEADING_TTL_MS = 2000;
 const BLOCK_RATIO_THRESHOLD = 0.5;
@@ -16,8 +17,8 @@ function shouldRefreshHeading(zombie, now) {
   return !zombie.randomMoveTimer || now - zombie.randomMoveTimer > RANDOM_HEADING_TTL_MS;
 }
 
-function initRandomHeading(zombie, now) {
-  zombie.randomAngle = Math.random() * Math.PI * 2;
+function initRandomHeading(zombie, now, rng) {
+  zombie.randomAngle = rng.random() * Math.PI * 2;
   zombie.randomMoveTimer = now;
 }
 
@@ -33,7 +34,7 @@ function wasMovementBlocked(intendedDist, actualDist) {
   return intendedDist > 0.1 && actualDist < intendedDist * BLOCK_RATIO_THRESHOLD;
 }
 
-function pickHeadingAfterBlock(actualMoveX, actualMoveY, intendedMoveX, intendedMovY) {
+function pickHeadingAfterBlock(actualMoveX, actualMoveY, intendedMoveX, intendedMovY, rng) {
   if (Math.abs(actualMoveX) < Math.abs(intendedMoveX) * AXIS_BLOCK_RATIO) {
     // X blocked → prefer Y axis
     return actualMoveY >= 0 ? Math.PI / 2 : -Math.PI / 2;
@@ -43,24 +44,31 @@ function pickHeadingAfterBlock(actualMoveX, actualMoveY, intendedMoveX, intended
     return actualMoveX >= 0 ? 0 : Math.PI;
   }
   // Corner — pick fresh direction
-  return Math.random() * Math.PI * 2;
+  return rng.random() * Math.PI * 2;
 }
 
-function applyDeflection(zombie, intended, actual, now) {
+function applyDeflection(zombie, intended, actual, now, rng) {
   const intendedDist = Math.sqrt(intended.x * intended.x + intended.y * intended.y);
   const actualDist = Math.sqrt(actual.x * actual.x + actual.y * actual.y);
   if (!wasMovementBlocked(intendedDist, actualDist)) {
  return;
 }
-  const base = pickHeadingAfterBlock(actual.x, actual.y, intended.x, intended.y);
+  const base = pickHeadingAfterBlock(actual.x, actual.y, intended.x, intended.y, rng);
   const isCorner = base !== 0 && base !== Math.PI && base !== Math.PI / 2 && base !== -Math.PI / 2;
-  zombie.randomAngle = isCorner ? base : base + ((Math.random() - 0.5) * HEADING_VARIANCE);
+  zombie.randomAngle = isCorner ? base : base + ((rng.random() - 0.5) * HEADING_VARIANCE);
   zombie.randomMoveTimer = now;
 }
 
-function moveRandomly(zombie, now, roomManager, deltaTime = 1) {
+/**
+ * @param {Object} zombie
+ * @param {number} now
+ * @param {Object|null} roomManager
+ * @param {number} [deltaTime=1]
+ * @param {Object} [rng] - run 'ai' stream (see lib/runPRNG)
+ */
+function moveRandomly(zombie, now, roomManager, deltaTime = 1, rng = unseeded) {
   if (shouldRefreshHeading(zombie, now)) {
-    initRandomHeading(zombie, now);
+    initRandomHeading(zombie, now, rng);
   }
   const { newX, newY } = computeIntendedPosition(zombie, deltaTime);
   const { finalX, finalY } = resolveWallCollisions(zombie, newX, newY, roomManager);
@@ -68,7 +76,7 @@ function moveRandomly(zombie, now, roomManager, deltaTime = 1) {
   const actual = { x: finalX - zombie.x, y: finalY - zombie.y };
   zombie.x = finalX;
   zombie.y = finalY;
-  applyDeflection(zombie, intended, actual, now);
+  applyDeflection(zombie, intended, actual, now, rng);
 }
 
 module.exports = { moveRandomly };
@@ -0,0 +1,6 @@
+-- ================================================================================================
+-- ROLLBACK 006: Run Records
+-- ================================================================================================
+
+DROP INDEX IF EXISTS idx_run_records_player;
+DROP TABLE IF EXISTS run_records;
@@ -0,0 +1,30 @@
+-- ================================================================================================
+-- MIGRATION 006: Run Records
+-- Description: Server-recorded run outcomes. Leaderboard entries and account XP are derived
+--              from these rows only (never from client-supplied stats).
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS run_records (
+  run_id TEXT PRIMARY KEY,                      -- UUID assigned at spawn/respawn
+  player_id TEXT NOT NULL,
+  instance_id TEXT,                             -- lobby the run was played in
+  outcome TEXT NOT NULL DEFAULT 'death',        -- 'death' (runs left unfinished are not recorded)
+  wave INTEGER NOT NULL,
+  level INTEGER NOT NULL,
+  kills INTEGER NOT NULL,
+  survival_time INTEGER NOT NULL,               -- seconds
+  combo_max INTEGER DEFAULT 0,
+  boss_kills INTEGER DEFAULT 0,
+  score INTEGER NOT NULL,
+  xp_earned INTEGER NOT NULL,
+  started_at INTEGER,                           -- ms
+  ended_at INTEGER NOT NULL,                    -- ms
+  xp_granted_at INTEGER,                        -- ms, NULL until XP is applied (single use)
+  submitted_at INTEGER,                         -- ms, NULL until submitted to leaderboard (single use)
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_run_records_player ON run_records(player_id, ended_at DESC);
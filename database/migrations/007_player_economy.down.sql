@@ -0,0 +1,12 @@
+-- ================================================================================================
+-- ROLLBACK 007: Player Economy
+-- ================================================================================================
+
+ALTER TABLE run_records DROP COLUMN rewards_applied_at;
+DROP TABLE IF EXISTS lifetime_stats;
+DROP TABLE IF EXISTS player_contracts;
+DROP TABLE IF EXISTS player_skins;
+DROP INDEX IF EXISTS idx_gem_transactions_credit_once;
+DROP INDEX IF EXISTS idx_gem_transactions_player;
+DROP TABLE IF EXISTS gem_transactions;
+DROP TABLE IF EXISTS gem_wallets;
@@ -0,0 +1,75 @@
+-- ================================================================================================
+-- MIGRATION 007: Player Economy
+-- Description: Server-held gem wallet (with ledger), owned/equipped skins, weekly contract
+--              progress and lifetime stats. Previously kept in the browser's localStorage.
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS gem_wallets (
+  player_id TEXT PRIMARY KEY,
+  balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  total_earned INTEGER NOT NULL DEFAULT 0,
+  total_spent INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER NOT NULL,                  -- ms
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE TABLE IF NOT EXISTS gem_transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  player_id TEXT NOT NULL,
+  amount INTEGER NOT NULL,                      -- signed: credit > 0, debit < 0
+  reason TEXT NOT NULL,                         -- 'run' | 'daily_challenge' | 'contract' | 'shop' | 'skin'
+  reference TEXT,                               -- runId, challenge/stage id, shop item or skin id
+  created_at INTEGER NOT NULL,                  -- ms
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gem_transactions_player ON gem_transactions(player_id, created_at DESC);
+-- A given reward (run, challenge, contract stage) can only be credited once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gem_transactions_credit_once
+  ON gem_transactions(player_id, reason, reference) WHERE amount > 0 AND reference IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS player_skins (
+  player_id TEXT NOT NULL,
+  skin_type TEXT NOT NULL,                      -- 'player' | 'weapon'
+  skin_id TEXT NOT NULL,
+  equipped INTEGER NOT NULL DEFAULT 0,
+  acquired_at INTEGER NOT NULL,                 -- ms
+  PRIMARY KEY (player_id, skin_type, skin_id),
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE TABLE IF NOT EXISTS player_contracts (
+  player_id TEXT NOT NULL,
+  week_start TEXT NOT NULL,                     -- YYYY-MM-DD (Monday, UTC)
+  contract_id TEXT NOT NULL,
+  current_stage INTEGER NOT NULL DEFAULT 0,
+  stages_json TEXT NOT NULL,                    -- JSON array: type, target, reward, progress, completed, claimed
+  updated_at INTEGER NOT NULL,                  -- ms
+  PRIMARY KEY (player_id, week_start),
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE TABLE IF NOT EXISTS lifetime_stats (
+  player_id TEXT PRIMARY KEY,
+  total_runs INTEGER NOT NULL DEFAULT 0,
+  total_deaths INTEGER NOT NULL DEFAULT 0,
+  total_kills INTEGER NOT NULL DEFAULT 0,
+  total_boss_kills INTEGER NOT NULL DEFAULT 0,
+  total_waves INTEGER NOT NULL DEFAULT 0,
+  highest_wave INTEGER NOT NULL DEFAULT 0,
+  highest_level INTEGER NOT NULL DEFAULT 0,
+  best_score INTEGER NOT NULL DEFAULT 0,
+  total_score INTEGER NOT NULL DEFAULT 0,
+  total_play_time INTEGER NOT NULL DEFAULT 0,   -- seconds
+  longest_run INTEGER NOT NULL DEFAULT 0,       -- seconds
+  most_kills_in_run INTEGER NOT NULL DEFAULT 0,
+  total_gold_earned INTEGER NOT NULL DEFAULT 0,
+  first_played_at INTEGER,                      -- ms
+  last_played_at INTEGER,                       -- ms
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+-- Run rewards (gems, contract progress, lifetime stats) are applied once per run
+ALTER TABLE run_records ADD COLUMN rewards_applied_at INTEGER;
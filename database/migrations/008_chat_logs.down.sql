@@ -0,0 +1,7 @@
+-- ================================================================================================
+-- ROLLBACK 008: Chat Logs
+-- ================================================================================================
+
+DROP INDEX IF EXISTS idx_chat_logs_flagged;
+DROP INDEX IF EXISTS idx_chat_logs_player;
+DROP TABLE IF EXISTS chat_logs;
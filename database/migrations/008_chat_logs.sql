@@ -0,0 +1,24 @@
+-- ================================================================================================
+-- MIGRATION 008: Chat Logs
+-- Description: In-game chat history kept for moderation. Every message is stored as sent
+--              (raw) and as broadcast (filtered); messages caught by the filter are flagged.
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS chat_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  player_id TEXT,                               -- account UUID, NULL for guests
+  nickname TEXT NOT NULL,
+  instance_id TEXT,                             -- lobby the message was sent in
+  channel TEXT NOT NULL DEFAULT 'global',       -- 'global' | 'team'
+  message TEXT NOT NULL,                        -- filtered text, as broadcast
+  raw_message TEXT NOT NULL,                    -- text as typed by the player
+  flagged INTEGER NOT NULL DEFAULT 0,
+  flag_reason TEXT,                             -- 'profanity' | ...
+  created_at INTEGER NOT NULL,                  -- ms
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_logs_player ON chat_logs(player_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_logs_flagged ON chat_logs(created_at DESC) WHERE flagged = 1;
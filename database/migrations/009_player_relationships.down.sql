@@ -0,0 +1,6 @@
+-- ================================================================================================
+-- ROLLBACK 009: Player Relationships
+-- ================================================================================================
+
+DROP INDEX IF EXISTS idx_player_relationships_target;
+DROP TABLE IF EXISTS player_relationships;
@@ -0,0 +1,26 @@
+-- ================================================================================================
+-- MIGRATION 009: Player Relationships
+-- Description: Friends (with pending requests), blocks and mutes between accounts.
+--              A friendship is two 'active' friend rows (one per direction); a pending
+--              request is a single 'pending' row from the requester to the target.
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS player_relationships (
+  player_id TEXT NOT NULL,
+  target_player_id TEXT NOT NULL,
+  relationship_type TEXT NOT NULL,              -- 'friend' | 'blocked' | 'muted'
+  status TEXT NOT NULL DEFAULT 'active',        -- 'pending' (friend request) | 'active'
+  created_at INTEGER NOT NULL,                  -- ms
+  PRIMARY KEY (player_id, target_player_id, relationship_type),
+  FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+  FOREIGN KEY (target_player_id) REFERENCES players(id) ON DELETE CASCADE,
+  CHECK (player_id != target_player_id),
+  CHECK (relationship_type IN ('friend', 'blocked', 'muted')),
+  CHECK (status IN ('pending', 'active'))
+);
+
+-- Incoming requests and "who muted/blocked me" lookups
+CREATE INDEX IF NOT EXISTS idx_player_relationships_target
+  ON player_relationships(target_player_id, relationship_type);
@@ -0,0 +1,9 @@
+-- ================================================================================================
+-- ROLLBACK 010: Moderation
+-- ================================================================================================
+
+DROP INDEX IF EXISTS idx_moderation_audit_created;
+DROP TABLE IF EXISTS moderation_audit_log;
+DROP INDEX IF EXISTS idx_player_bans_active;
+DROP INDEX IF EXISTS idx_player_bans_player;
+DROP TABLE IF EXISTS player_bans;
@@ -0,0 +1,36 @@
+-- ================================================================================================
+-- MIGRATION 010: Moderation
+-- Description: Account bans (temporary or permanent) and the audit log of every moderation
+--              action (kick, ban, unban).
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+-- No foreign key on player_id: guests get a token (and can be banned) even when
+-- their players row could not be written.
+CREATE TABLE IF NOT EXISTS player_bans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  player_id TEXT NOT NULL,                      -- account UUID (JWT userId)
+  reason TEXT NOT NULL,
+  banned_by TEXT NOT NULL,                      -- admin userId, or 'api' for the REST routes
+  created_at INTEGER NOT NULL,                  -- ms
+  expires_at INTEGER,                           -- ms, NULL = permanent
+  lifted_at INTEGER,                            -- ms, set when the ban is lifted early
+  lifted_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_bans_player ON player_bans(player_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_player_bans_active ON player_bans(expires_at) WHERE lifted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,                         -- 'kick' | 'ban' | 'unban'
+  actor TEXT NOT NULL,
+  target_id TEXT NOT NULL,                      -- account UUID or socket id (kick)
+  reason TEXT,
+  expires_at INTEGER,                           -- ban end (ms), NULL otherwise / permanent
+  created_at INTEGER NOT NULL,                  -- ms
+  CHECK (action IN ('kick', 'ban', 'unban'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_created ON moderation_audit_log(created_at DESC);
@@ -0,0 +1,9 @@
+-- ================================================================================================
+-- ROLLBACK 011: Anti-cheat evidence
+-- ================================================================================================
+
+ALTER TABLE leaderboard DROP COLUMN flagged;
+DROP INDEX IF EXISTS idx_player_trust_penalty;
+DROP TABLE IF EXISTS player_trust;
+DROP INDEX IF EXISTS idx_anticheat_violations_player;
+DROP TABLE IF EXISTS anticheat_violations;
@@ -0,0 +1,32 @@
+-- ================================================================================================
+-- MIGRATION 011: Anti-cheat evidence
+-- Description: Per-account violation ledger, decaying trust score, and a `flagged` column on
+--              leaderboard entries submitted by low-trust accounts.
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS anticheat_violations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  player_id TEXT NOT NULL,                      -- account UUID (JWT userId)
+  type TEXT NOT NULL,                           -- 'movement_budget' | 'speed_multiplier' | 'rate_limit' ...
+  magnitude REAL NOT NULL,                      -- how far past the limit (1 = at the limit)
+  snapshot TEXT,                                -- JSON, small player state at detection
+  created_at INTEGER NOT NULL                   -- ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_anticheat_violations_player ON anticheat_violations(player_id, created_at DESC);
+
+-- The penalty decays exponentially; it is stored as of updated_at and decayed on read.
+CREATE TABLE IF NOT EXISTS player_trust (
+  player_id TEXT PRIMARY KEY,
+  penalty REAL NOT NULL DEFAULT 0,              -- trust points lost (score = 100 - decayed penalty)
+  violation_count INTEGER NOT NULL DEFAULT 0,
+  last_violation_at INTEGER,                    -- ms
+  updated_at INTEGER NOT NULL                   -- ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_trust_penalty ON player_trust(penalty DESC);
+
+-- Entries submitted below the trust threshold (hidden or only marked, see ANTICHEAT_CONFIG)
+ALTER TABLE leaderboard ADD COLUMN flagged INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,7 @@
+-- ================================================================================================
+-- ROLLBACK 012: Weapon stats
+-- ================================================================================================
+
+DROP INDEX IF EXISTS idx_weapon_stats_damage;
+DROP INDEX IF EXISTS idx_weapon_stats_kills;
+DROP TABLE IF EXISTS weapon_stats;
@@ -0,0 +1,25 @@
+-- ================================================================================================
+-- MIGRATION 012: Weapon stats
+-- Description: Per-account, per-weapon totals (shots, hits, kills, damage, firing time),
+--              flushed from each server-recorded run. Feeds accuracy/DPS and weapon leaderboards.
+-- ================================================================================================
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS weapon_stats (
+  player_id TEXT NOT NULL,                      -- account UUID
+  weapon_id TEXT NOT NULL,                      -- WEAPONS key ('pistol', 'shotgun'...)
+  times_used INTEGER NOT NULL DEFAULT 0,        -- runs in which the weapon fired
+  shots_fired INTEGER NOT NULL DEFAULT 0,       -- bullets (a shotgun shot counts every pellet)
+  shots_hit INTEGER NOT NULL DEFAULT 0,         -- bullets that hit at least one zombie
+  kills INTEGER NOT NULL DEFAULT 0,
+  damage_dealt INTEGER NOT NULL DEFAULT 0,      -- direct hits, splash and chain damage
+  active_time INTEGER NOT NULL DEFAULT 0,       -- ms spent firing the weapon (DPS denominator)
+  flagged INTEGER NOT NULL DEFAULT 0,           -- 1 once a run was added below the anti-cheat trust threshold
+  updated_at INTEGER NOT NULL,                  -- ms
+  PRIMARY KEY (player_id, weapon_id),
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_weapon_stats_kills ON weapon_stats(weapon_id, kills DESC);
+CREATE INDEX IF NOT EXISTS idx_weapon_stats_damage ON weapon_stats(weapon_id, damage_dealt DESC);
@@ -283,24 +283,27 @@ CREATE TABLE IF NOT EXISTS player_daily_challenges (
 -- WEAPON_STATS TABLE - Track weapon usage statistics
 -- ================================================================================================
 CREATE TABLE IF NOT EXISTS weapon_stats (
-    player_id INTEGER NOT NULL,
-    weapon_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,                       -- Account UUID
+    weapon_id TEXT NOT NULL,                       -- WEAPONS key ('pistol', 'shotgun'...)
 
     -- Usage stats
-    times_used INTEGER DEFAULT 0,
-    shots_fired INTEGER DEFAULT 0,
-    shots_hit INTEGER DEFAULT 0,
-    headshots INTEGER DEFAULT 0,
-    kills INTEGER DEFAULT 0,
-    damage_dealt INTEGER DEFAULT 0,
+    times_used INTEGER NOT NULL DEFAULT 0,         -- Runs in which the weapon fired
+    shots_fired INTEGER NOT NULL DEFAULT 0,        -- Bullets (a shotgun shot counts every pellet)
+    shots_hit INTEGER NOT NULL DEFAULT 0,          -- Bullets that hit at least one zombie
+    kills INTEGER NOT NULL DEFAULT 0,
+    damage_dealt INTEGER NOT NULL DEFAULT 0,       -- Direct hits, splash and chain damage
+    active_time INTEGER NOT NULL DEFAULT 0,        -- ms spent firing the weapon (DPS denominator)
 
-    -- Preferences
-    favorite_rank INTEGER,                         -- Player's ranking of weapons
+    flagged INTEGER NOT NULL DEFAULT 0,            -- 1 once a run was added below the anti-cheat trust threshold
+    updated_at INTEGER NOT NULL,                   -- ms
 
     PRIMARY KEY (player_id, weapon_id),
-    FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+    FOREIGN KEY (player_id) REFERENCES players(player_uuid)
 );
 
+CREATE INDEX idx_weapon_stats_kills ON weapon_stats(weapon_id, kills DESC);
+CREATE INDEX idx_weapon_stats_damage ON weapon_stats(weapon_id, damage_dealt DESC);
+
 -- ================================================================================================
 -- ANALYTICS_EVENTS TABLE - Game analytics and telemetry
 -- ================================================================================================
@@ -324,38 +327,42 @@ CREATE INDEX idx_analytics_session ON analytics_events(session_id);
 -- PLAYER_RELATIONSHIPS TABLE - Friends, blocks, etc
 -- ================================================================================================
 CREATE TABLE IF NOT EXISTS player_relationships (
-    player_id INTEGER NOT NULL,
-    target_player_id INTEGER NOT NULL,
+    player_id TEXT NOT NULL,                       -- account UUID
+    target_player_id TEXT NOT NULL,                -- account UUID
     relationship_type TEXT NOT NULL,               -- 'friend', 'blocked', 'muted'
-    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+    status TEXT NOT NULL DEFAULT 'active',         -- 'pending' (friend request), 'active'
+    created_at INTEGER NOT NULL,                   -- ms
 
     PRIMARY KEY (player_id, target_player_id, relationship_type),
-    FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
-    FOREIGN KEY (target_player_id) REFERENCES players(id) ON DELETE CASCADE,
-    CHECK (player_id != target_player_id)
+    FOREIGN KEY (player_id) REFERENCES players(player_uuid) ON DELETE CASCADE,
+    FOREIGN KEY (target_player_id) REFERENCES players(player_uuid) ON DELETE CASCADE,
+    CHECK (player_id != target_player_id),
+    CHECK (relationship_type IN ('friend', 'blocked', 'muted')),
+    CHECK (status IN ('pending', 'active'))
 );
 
+CREATE INDEX idx_player_relationships_target ON player_relationships(target_player_id, relationship_type);
+
 -- ================================================================================================
 -- CHAT_LOGS TABLE - In-game chat history (for moderation)
 -- ================================================================================================
 CREATE TABLE IF NOT EXISTS chat_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    player_id INTEGER NOT NULL,
-    session_id INTEGER,
-    message TEXT NOT NULL,
-    channel TEXT DEFAULT 'global',                 -- 'global', 'team', 'private'
-    recipient_id INTEGER,                          -- For private messages
-    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
-    flagged BOOLEAN DEFAULT 0,                     -- For moderation
-
-    FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
-    FOREIGN KEY (session_id) REFERENCES game_sessions(id) ON DELETE SET NULL,
-    FOREIGN KEY (recipient_id) REFERENCES players(id) ON DELETE SET NULL
+    player_id TEXT,                                -- Account UUID, NULL for guests
+    nickname TEXT NOT NULL,
+    instance_id TEXT,                              -- Lobby the message was sent in
+    channel TEXT NOT NULL DEFAULT 'global',        -- 'global', 'team'
+    message TEXT NOT NULL,                         -- Filtered text, as broadcast
+    raw_message TEXT NOT NULL,                     -- Text as typed by the player
+    flagged INTEGER NOT NULL DEFAULT 0,            -- For moderation
+    flag_reason TEXT,                              -- 'profanity', ...
+    created_at INTEGER NOT NULL,                   -- ms
+
+    FOREIGN KEY (player_id) REFERENCES players(player_uuid)
 );
 
-CREATE INDEX idx_chat_player ON chat_logs(player_id);
-CREATE INDEX idx_chat_time ON chat_logs(created_at);
-CREATE INDEX idx_chat_flagged ON chat_logs(flagged) WHERE flagged = 1;
+CREATE INDEX idx_chat_logs_player ON chat_logs(player_id, created_at DESC);
+CREATE INDEX idx_chat_logs_flagged ON chat_logs(created_at DESC) WHERE flagged = 1;
 
 -- ================================================================================================
 -- VIEWS FOR COMMON QUERIES
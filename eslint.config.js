@@ -125,6 +125,9 @@ module.exports = [
         URL: 'readonly',
         location: 'readonly',
         Blob: 'readonly',
+        Response: 'readonly',
+        URLSearchParams: 'readonly',
+        DecompressionStream: 'readonly',
         PerformanceObserver: 'readonly',
         CONSTANTS: 'readonly',
         MathUtils: 'readonly',
@@ -22,21 +22,36 @@ const { updateBullets } = require('../contexts/weapons/modules/BulletUpdater');
 const { updatePowerups } = require('./modules/loot/PowerupUpdater');
 const { updateLoot } = require('./modules/loot/LootUpdater');
 const HazardManager = require('./modules/hazards/HazardManager');
+const { TelegraphManager } = require('../contexts/zombie/modules/TelegraphManager');
 const { updatePlayers } = require('../contexts/player/modules/PlayerUpdater');
 const {
   handlePlayerDeathProgression,
   processFailedDeathQueue,
   cleanupOrphanedTrackingData
 } = require('../contexts/player/modules/DeathProgressionHandler');
+const { updateDownedPlayers } = require('../contexts/player/modules/DownedStateHandler');
 
-// HIGH FIX: Race condition protection with stuck detection
-let gameLoopRunning = false;
-let gameLoopStuckSince = null;
-
-// CRITICAL FIX: Track last tick time for proper deltaTime calculation
-let lastTickTime = 0;
+// HIGH FIX: Race condition protection with stuck detection.
+// CRITICAL FIX: Track last tick time for proper deltaTime calculation.
+// Both are kept per gameState so concurrent game instances never share a
+// re-entrancy flag or a delta clock.
+const loopClocks = new WeakMap();
 const TARGET_FRAME_TIME = 1000 / 60; // 16.67ms at 60 FPS
 
+/**
+ * Per-world loop bookkeeping (re-entrancy flag, stuck timer, last tick time).
+ * @param {Object} gameState
+ * @returns {{running: boolean, stuckSince: number|null, lastTickTime: number}}
+ */
+function getLoopClock(gameState) {
+  let clock = loopClocks.get(gameState);
+  if (!clock) {
+    clock = { running: false, stuckSince: null, lastTickTime: 0 };
+    loopClocks.set(gameState, clock);
+  }
+  return clock;
+}
+
 // handlePlayerDeathProgression is re-exported from DeathProgressionHandler
 
 /**
@@ -63,6 +78,7 @@ const TARGET_FRAME_TIME = 1000 / 60; // 16.67ms at 60 FPS
  *    - Metrics collection
  *    - Quadtree rebuild
  *    - Player timers, regeneration, auto-turrets, tesla coils
+ *    - Downed players (revives, bleed-out)
  *    - Hazard system (lava, meteors, ice spikes)
  *    - Zombies (movement, AI, special abilities)
  *    - Poison trails and status effects
@@ -92,25 +108,26 @@ function gameLoop(
 ) {
   perfIntegration.incrementTick();
   const now = perf.now();
+  const clock = getLoopClock(gameState);
 
   // CRITICAL FIX: Calculate proper deltaTime for frame-rate independent updates
-  if (lastTickTime === 0) {
-    lastTickTime = now;
+  if (clock.lastTickTime === 0) {
+    clock.lastTickTime = now;
   }
-  const actualDeltaTime = now - lastTickTime;
+  const actualDeltaTime = now - clock.lastTickTime;
   // Clamp deltaTime to prevent huge jumps after lag spikes (max 3 frames worth)
   const deltaTime = Math.min(actualDeltaTime, TARGET_FRAME_TIME * 3);
   // Normalized multiplier: 1.0 = normal frame, 2.0 = twice as long, etc.
   const deltaMultiplier = deltaTime / TARGET_FRAME_TIME;
-  lastTickTime = now;
+  clock.lastTickTime = now;
 
   // HIGH FIX: Check if game loop is stuck
-  if (gameLoopRunning) {
-    if (!gameLoopStuckSince) {
-      gameLoopStuckSince = now;
+  if (clock.running) {
+    if (!clock.stuckSince) {
+      clock.stuckSince = now;
     }
 
-    const stuckDuration = now - gameLoopStuckSince;
+    const stuckDuration = now - clock.stuckSince;
 
     if (stuckDuration > GAMEPLAY_CONSTANTS.GAME_LOOP_TIMEOUT) {
       logger.error('CRITICAL: Game loop stuck, forcing reset', {
@@ -124,8 +141,8 @@ function gameLoop(
       });
 
       // Force reset
-      gameLoopRunning = false;
-      gameLoopStuckSince = null;
+      clock.running = false;
+      clock.stuckSince = null;
 
       // Track stuck resets
       if (metricsCollector) {
@@ -140,7 +157,7 @@ function gameLoop(
   }
 
   // Reset stuck timer on successful entry
-  gameLoopStuckSince = null;
+  clock.stuckSince = null;
 
   // HIGH FIX: Validate entityManager before HazardManager init
   if (!gameState.hazardManager) {
@@ -162,7 +179,11 @@ function gameLoop(
     }
   }
 
-  gameLoopRunning = true;
+  if (!gameState.telegraphManager) {
+    gameState.telegraphManager = new TelegraphManager(gameState);
+  }
+
+  clock.running = true;
   const frameStart = perf.now();
 
   const isDev = process.env.NODE_ENV !== 'production';
@@ -183,19 +204,29 @@ function gameLoop(
 
   try {
     const now = frameStart;
+    // Socket handlers (reloads, bots, deaths) stamp the wall clock
+    const wallNow = Date.now();
     gameState._deltaMultiplier = deltaMultiplier;
     gameState._deltaTime = deltaTime;
 
     updateMetrics(gameState, metricsCollector);
     collisionManager.rebuildQuadtree();
 
+    if (gameState.botManager) {
+      safeContext('bot_update', () => gameState.botManager.update(wallNow));
+    }
     safeContext('player_update', () => updatePlayers(
-      gameState, now, io, collisionManager, entityManager, deltaMultiplier, zombieManager
+      gameState, now, io, collisionManager, entityManager, deltaMultiplier, zombieManager, wallNow
     ));
+    safeContext('downed_update', () => updateDownedPlayers(gameState, io, logger, wallNow));
     safeContext('zombie_update', () => updateZombies(
       gameState, now, io, collisionManager, entityManager, zombieManager, perfIntegration
     ));
+    safeContext('telegraph_update', () => gameState.telegraphManager.update(now));
     safeContext('hazard_update', () => gameState.hazardManager.update(now));
+    if (gameState.altarManager) {
+      safeContext('altar_update', () => gameState.altarManager.update(now));
+    }
     safeContext('poison_trails', () => updatePoisonTrails(gameState, now, collisionManager, entityManager));
     safeContext('poison_zombies', () => updatePoisonedZombies(gameState, now, entityManager, io, zombieManager));
     safeContext('frozen_zombies', () => updateFrozenSlowedZombies(gameState, now));
@@ -224,7 +255,7 @@ function gameLoop(
   } finally {
     const frameTime = perf.now() - frameStart;
     metricsCollector.recordFrameTime(frameTime);
-    gameLoopRunning = false;
+    clock.running = false;
 
     // Warn if frame time excessive
     if (frameTime > GAMEPLAY_CONSTANTS.SLOW_FRAME_WARNING_THRESHOLD) {
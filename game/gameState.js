@@ -13,6 +13,7 @@ const MAX_SAFE_ID = Number.MAX_SAFE_INTEGER - 1000; // Safety margin
 
 // LOW FIX: Import logger for structured logging
 const logger = require('../infrastructure/logging/Logger');
+const { GameEventBus } = require('../lib/server/GameEventBus');
 
 /**
  * Initialize game state with all entities and safe ID counters
@@ -28,6 +29,7 @@ const logger = require('../infrastructure/logging/Logger');
  *   - walls: Array of wall collision rectangles
  *   - rooms: Array of room definitions (rogue-like system)
  *   - currentRoom: Index of current active room (0-based)
+ *   - altars: Risk/reward altars of the current room (AltarManager)
  *   - bossSpawned: Boolean flag for boss spawn state
  *   - nextZombieId: Safe ID counter for zombies (with overflow protection)
  *   - nextBulletId: Safe ID counter for bullets
@@ -39,7 +41,9 @@ const logger = require('../infrastructure/logging/Logger');
  *   - wave: Current wave number (starts at 1)
  *   - zombiesKilledThisWave: Kill counter for current wave
  *   - zombiesSpawnedThisWave: Spawn counter for current wave
+ *   - visionRadius: Vision radius of the darkness run mutator, null when inactive
  *   - permanentUpgrades: Object tracking permanent player upgrades
+ *   - events: GameEventBus for server-observed gameplay events
  *   - getNextId(counterName): Safe ID generator with overflow protection
  * @example
  *   const gameState = initializeGameState();
@@ -59,6 +63,7 @@ function initializeGameState() {
     walls: [],
     rooms: [],
     currentRoom: 0,
+    altars: [],
     bossSpawned: false,
     nextZombieId: 0,
     nextBulletId: 0,
@@ -81,12 +86,14 @@ function initializeGameState() {
       playerFireRateCooldownMultiplier: 1
     },
     nextMutatorWave: 0,
+    visionRadius: null,
     permanentUpgrades: {
       maxHealthUpgrade: 0,
       damageUpgrade: 0,
       speedUpgrade: 0,
       goldMultiplier: 1
     },
+    events: new GameEventBus(),
 
     // MEDIUM FIX: Safe ID generator with rollover protection
     /**
@@ -22,6 +22,8 @@
 const ConfigManager = require('../lib/server/ConfigManager');
 const { CONFIG, POWERUP_TYPES } = ConfigManager;
 const logger = require('../infrastructure/logging/Logger');
+const { runStream } = require('../lib/runPRNG');
+const { applyMutatorHook } = require('../lib/server/MutatorRules');
 
 // PERF: cache powerup type keys once at module load — POWERUP_TYPES is static
 const _POWERUP_TYPE_KEYS = Object.keys(POWERUP_TYPES);
@@ -59,7 +61,8 @@ function spawnPowerup(gameState, roomManager, perfIntegration, metricsCollector)
 
   // Drop rate balanced par wave
   const wave = gameState.wave || 1;
-  if (Math.random() > _powerupDropChance(wave)) {
+  const rng = runStream(gameState, 'loot');
+  if (rng.random() > _powerupDropChance(wave)) {
     return;
   }
 
@@ -69,7 +72,7 @@ function spawnPowerup(gameState, roomManager, perfIntegration, metricsCollector)
     return;
   }
 
-  const type = types[Math.floor(Math.random() * types.length)];
+  const type = rng.pick(types);
 
   // Safe spawn margin: wall thickness + powerup size + buffer
   const wallThickness = CONFIG.WALL_THICKNESS || 40;
@@ -79,8 +82,8 @@ function spawnPowerup(gameState, roomManager, perfIntegration, metricsCollector)
   let x, y;
   let attempts = 0;
   do {
-    x = spawnMargin + Math.random() * (CONFIG.ROOM_WIDTH - spawnMargin * 2);
-    y = spawnMargin + Math.random() * (CONFIG.ROOM_HEIGHT - spawnMargin * 2);
+    x = spawnMargin + rng.random() * (CONFIG.ROOM_WIDTH - spawnMargin * 2);
+    y = spawnMargin + rng.random() * (CONFIG.ROOM_HEIGHT - spawnMargin * 2);
     attempts++;
   } while (roomManager.checkWallCollision(x, y, CONFIG.POWERUP_SIZE) && attempts < 50);
 
@@ -112,6 +115,9 @@ function spawnPowerup(gameState, roomManager, perfIntegration, metricsCollector)
  * @param {Object} gameState - Game state object
  */
 function createLoot(x, y, goldAmount, xpAmount, gameState) {
+  // Run mutator rules (modifyLootGold) scale the gold before anything else
+  goldAmount = applyMutatorHook(gameState, 'modifyLootGold', goldAmount, gameState);
+
   // BUG FIX: Validate amounts to prevent creating empty loot
   if ((goldAmount <= 0 || !isFinite(goldAmount)) && (xpAmount <= 0 || !isFinite(xpAmount))) {
     return; // Don't create loot with no rewards
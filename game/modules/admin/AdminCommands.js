@@ -1,6 +1,8 @@
 /**
  * @fileoverview Admin Commands System
- * @description Debug and testing commands for zombie/boss spawning.
+ * @description Debug and testing commands for zombie/boss spawning, plus the
+ *   moderation commands (kick, ban, unban, bans) when a ModerationService is
+ *   available — i.e. when the database is up.
  *   All commands require the caller's socket.userId to be listed in the
  *   ADMIN_USER_IDS environment variable (comma-separated UUIDs).
  *   The admin user list is resolved once at construction time.
@@ -10,20 +12,43 @@ const ConfigManager = require('../../../lib/server/ConfigManager');
 const { ZOMBIE_TYPES } = ConfigManager;
 const perfIntegration = require('../../../lib/server/PerformanceIntegration');
 const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const { kickSockets, enforceBan } = require('../../../sockets/moderationActions');
+const logger = require('../../../infrastructure/logging/Logger');
 
 /** Maximum zombies that can be spawned in a single /spawn call. */
 const MAX_SPAWN_COUNT = 50;
 
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a /ban duration: `30m`, `2h`, `7d`, or `perm` for a permanent ban.
+ * @param {string} value
+ * @returns {number|null|undefined} milliseconds, null for permanent, undefined if invalid
+ */
+function parseBanDuration(value) {
+  const text = String(value || '').toLowerCase();
+  if (text === 'perm' || text === 'permanent') {
+    return null;
+  }
+  const match = /^(\d+)([mhd])$/.exec(text);
+  if (!match || parseInt(match[1], 10) <= 0) {
+    return undefined;
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS_MS[match[2]];
+}
+
 class AdminCommands {
   /**
    * @param {import('socket.io').Server} io
    * @param {object} gameState - Shared mutable game state.
    * @param {object|null} zombieManager - Optional zombie manager instance.
+   * @param {object|null} [moderationService] - Enables the moderation commands.
    */
-  constructor(io, gameState, zombieManager) {
+  constructor(io, gameState, zombieManager, moderationService = null) {
     this.io = io;
     this.gameState = gameState;
     this.zombieManager = zombieManager;
+    this.moderationService = moderationService;
 
     // Resolve admin IDs once at construction — avoids re-parsing env on every request.
     this._adminIds = new Set(
@@ -89,6 +114,18 @@ class AdminCommands {
       case 'stats':
         this.handleStats(socket);
         break;
+      case 'kick':
+        this.handleKick(socket, args);
+        break;
+      case 'ban':
+        this.handleBan(socket, args);
+        break;
+      case 'unban':
+        this.handleUnban(socket, args);
+        break;
+      case 'bans':
+        this.handleBans(socket);
+        break;
       default:
         socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{
           success: false,
@@ -365,6 +402,134 @@ class AdminCommands {
     socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: true, message });
   }
 
+  /**
+   * Disconnect a socket, or every socket of an account.
+   * @param {import('socket.io').Socket} socket
+   * @param {string[]} args - [socketId|userId, ...reason]
+   * Usage: /kick <socketId|userId> [reason]
+   */
+  async handleKick(socket, args) {
+    const targetId = String(args[0] || '');
+    const reason = args.slice(1).join(' ') || null;
+    if (!targetId) {
+      socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: false, message: 'Usage: /kick <socketId|userId> [reason]' });
+      return;
+    }
+    const kicked = kickSockets(this.io, targetId, { reason });
+    if (kicked === 0) {
+      socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: false, message: `No connected socket for ${targetId}` });
+      return;
+    }
+    if (this.moderationService) {
+      await this._runModeration(socket, () =>
+        this.moderationService.recordKick({ targetId, reason, actor: socket.userId })
+      );
+    }
+    socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: true, message: `Kicked ${kicked} socket(s) of ${targetId}` });
+  }
+
+  /**
+   * Ban an account, temporarily or for good, and kick it.
+   * @param {import('socket.io').Socket} socket
+   * @param {string[]} args - [userId, duration, ...reason]
+   * Usage: /ban <userId> <30m|2h|7d|perm> [reason]
+   */
+  async handleBan(socket, args) {
+    if (!this._requireModeration(socket)) {
+      return;
+    }
+    const playerId = String(args[0] || '');
+    const durationMs = parseBanDuration(args[1]);
+    if (!playerId || durationMs === undefined) {
+      socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: false, message: 'Usage: /ban <userId> <30m|2h|7d|perm> [reason]' });
+      return;
+    }
+    const reason = args.slice(2).join(' ') || 'No reason given';
+    const ban = await this._runModeration(socket, () =>
+      this.moderationService.banPlayer({ playerId, reason, durationMs, actor: socket.userId })
+    );
+    if (!ban) {
+      return;
+    }
+    const kicked = enforceBan(this.io, ban);
+    const until = ban.isPermanent() ? 'permanently' : `until ${new Date(ban.expiresAt).toISOString()}`;
+    socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{
+      success: true,
+      message: `Banned ${playerId} ${until} (${kicked} socket(s) kicked)`
+    });
+  }
+
+  /**
+   * Lift the ban of an account.
+   * @param {import('socket.io').Socket} socket
+   * @param {string[]} args - [userId]
+   * Usage: /unban <userId>
+   */
+  async handleUnban(socket, args) {
+    if (!this._requireModeration(socket)) {
+      return;
+    }
+    const playerId = String(args[0] || '');
+    if (!playerId) {
+      socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: false, message: 'Usage: /unban <userId>' });
+      return;
+    }
+    const lifted = await this._runModeration(socket, () =>
+      this.moderationService.unbanPlayer({ playerId, actor: socket.userId })
+    );
+    if (lifted === undefined) {
+      return;
+    }
+    socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{
+      success: lifted,
+      message: lifted ? `Unbanned ${playerId}` : `${playerId} is not banned`
+    });
+  }
+
+  /**
+   * List the bans in force.
+   * Usage: /bans
+   */
+  async handleBans(socket) {
+    if (!this._requireModeration(socket)) {
+      return;
+    }
+    const bans = await this._runModeration(socket, () => this.moderationService.listBans({ activeOnly: true }));
+    if (!bans) {
+      return;
+    }
+    const lines = bans.map(ban => {
+      const until = ban.isPermanent() ? 'permanent' : new Date(ban.expiresAt).toISOString();
+      return `${ban.playerId} — ${until} — ${ban.reason}`;
+    });
+    socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{
+      success: true,
+      message: `**Active bans (${bans.length})**${lines.length ? `\n${lines.join('\n')}` : ''}`
+    });
+  }
+
+  _requireModeration(socket) {
+    if (this.moderationService) {
+      return true;
+    }
+    socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: false, message: 'Moderation requires the database' });
+    return false;
+  }
+
+  /**
+   * Run a ModerationService call, reporting a failure to the admin.
+   * @returns {Promise<*>} the call's result, undefined on failure
+   */
+  async _runModeration(socket, fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      logger.error('Moderation command failed', { userId: socket.userId, error: err.message });
+      socket.emit(SOCKET_EVENTS.SERVER.ADMIN_RESPONSE,{ success: false, message: `Moderation failed: ${err.message}` });
+      return undefined;
+    }
+  }
+
   /**
    * Check whether a given userId has admin privileges.
    * Resolves against the ADMIN_USER_IDS env var parsed at construction time.
@@ -377,3 +542,4 @@ class AdminCommands {
 }
 
 module.exports = AdminCommands;
+module.exports.parseBanDuration = parseBanDuration;
@@ -6,6 +6,8 @@
 const { createParticles } = require('../../lootFunctions');
 const { distance } = require('../../utilityFunctions');
 const ConfigManager = require('../../../lib/server/ConfigManager');
+const { handlePlayerDeathProgression } = require('../../../contexts/player/modules/DeathProgressionHandler');
+const { publishPlayerDamage } = require('../../../lib/server/GameEventBus');
 
 const { CONFIG } = ConfigManager;
 
@@ -87,14 +89,14 @@ class HazardManager {
     return false;
   }
 
-  /** Collect alive players as array (single allocation per hazard tick) */
+  /** Collect alive, standing players as [id, player] pairs (single allocation per hazard tick) */
   _alivePlayers() {
     const result = [];
     const players = this.gameState.players;
     for (const id in players) {
       const p = players[id];
-      if (p.alive && !p.spawnProtection && !p.invisible) {
-result.push(p);
+      if (p.alive && !p.downed && !p.spawnProtection && !p.invisible) {
+result.push([id, p]);
 }
     }
     return result;
@@ -129,16 +131,17 @@ continue;
       // Single pass: all affected players in one loop
       if (canDamage) {
         let hit = false;
-        for (const player of alivePlayers) {
-          if (!player.alive) {
+        for (const [playerId, player] of alivePlayers) {
+          if (!player.alive || player.downed) {
 continue;
-} // skip players killed earlier this frame
+} // skip players killed or downed earlier this frame
           if (distance(hazard.x, hazard.y, player.x, player.y) < hazard.radius) {
             player.lastKillerType = hazard.type || 'hazard';
             player.health -= hazard.damage;
+            publishPlayerDamage(this.gameState, playerId, hazard.damage);
             createParticles(player.x, player.y, color, 5, this.entityManager);
             if (player.health <= 0) {
-              player.alive = false; player.deaths++;
+              handlePlayerDeathProgression(player, playerId, this.gameState, Date.now(), true);
             }
             hit = true;
           }
@@ -180,16 +183,17 @@ continue;
 
       if (canDamage) {
         let hit = false;
-        for (const player of alivePlayers) {
-          if (!player.alive) {
+        for (const [playerId, player] of alivePlayers) {
+          if (!player.alive || player.downed) {
 continue;
-} // skip players killed earlier this frame
+} // skip players killed or downed earlier this frame
           if (distance(pool.x, pool.y, player.x, player.y) < pool.radius) {
             player.lastKillerType = 'hazard';
             player.health -= pool.damage / 2;
+            publishPlayerDamage(this.gameState, playerId, pool.damage / 2);
             createParticles(player.x, player.y, '#00ff00', 4, this.entityManager);
             if (player.health <= 0) {
-              player.alive = false; player.deaths++;
+              handlePlayerDeathProgression(player, playerId, this.gameState, Date.now(), true);
             }
             hit = true;
           }
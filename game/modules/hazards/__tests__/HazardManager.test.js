@@ -325,7 +325,6 @@ describe('HazardManager', () => {
 
       expect(gameState.players.player1.health).toBeLessThanOrEqual(0);
       expect(gameState.players.player1.alive).toBe(false);
-      expect(gameState.players.player1.deaths).toBe(1);
     });
 
     it('should respect damage interval cooldown', () => {
@@ -92,6 +92,7 @@ function canCollectLoot(player, loot) {
   const rSq = r * r;
   return (
     player.alive &&
+    !player.downed &&
     player.hasNickname &&
     distanceSquared(loot.x, loot.y, player.x, player.y) < rSq
   );
@@ -112,10 +113,11 @@ return;
   const xpToAdd = typeof loot.xp === 'number' && isFinite(loot.xp) ? loot.xp : 0;
 
   player.gold = (player.gold || 0) + goldToAdd;
+  player.goldEarned = (player.goldEarned || 0) + goldToAdd;
   player.xp = (player.xp || 0) + xpToAdd;
 
   createParticles(loot.x, loot.y, '#ffff00', 10, entityManager);
-  handlePlayerLevelUp(player, playerId, io);
+  handlePlayerLevelUp(player, playerId, io, gameState);
 }
 
 module.exports = {
@@ -91,6 +91,7 @@ function canCollectPowerup(player, powerup) {
   const r = CONFIG.PLAYER_SIZE + CONFIG.POWERUP_SIZE;
   return (
     player.alive &&
+    !player.downed &&
     player.hasNickname &&
     distanceSquared(powerup.x, powerup.y, player.x, player.y) < r * r
   );
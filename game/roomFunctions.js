@@ -9,18 +9,23 @@
 const ConfigManager = require('../lib/server/ConfigManager');
 const { CONFIG } = ConfigManager;
 const logger = require('../infrastructure/logging/Logger');
+const { runStream, unseeded } = require('../lib/runPRNG');
+const { generateRoomAltars } = require('../lib/server/AltarManager');
 
 /**
  * Génération procédurale de salle (Rogue-like)
+ * @param {Object} [rng] - Run 'layout' stream (see lib/runPRNG)
+ * @param {Object} [altarRng] - Run 'altars' stream
  * @returns {Object} Generated room object
  */
-function generateRoom() {
+function generateRoom(rng = unseeded, altarRng = unseeded) {
   const room = {
     width: CONFIG.ROOM_WIDTH,
     height: CONFIG.ROOM_HEIGHT,
     walls: [],
     obstacles: [],
-    doors: []
+    doors: [],
+    altars: []
   };
 
   const w = CONFIG.WALL_THICKNESS;
@@ -53,12 +58,12 @@ function generateRoom() {
   // Safe margin: wall thickness + buffer to avoid spawning on walls
   const obstacleMargin = w + 60; // 60px buffer from wall interior
 
-  const numObstacles = Math.floor(Math.random() * 5) + 3;
+  const numObstacles = Math.floor(rng.random() * 5) + 3;
   for (let i = 0; i < numObstacles; i++) {
-    const obsWidth = 40 + Math.random() * 40;
-    const obsHeight = 40 + Math.random() * 40;
-    const obsX = obstacleMargin + Math.random() * (room.width - obstacleMargin * 2 - obsWidth);
-    const obsY = obstacleMargin + Math.random() * (room.height - obstacleMargin * 2 - obsHeight);
+    const obsWidth = 40 + rng.random() * 40;
+    const obsHeight = 40 + rng.random() * 40;
+    const obsX = obstacleMargin + rng.random() * (room.width - obstacleMargin * 2 - obsWidth);
+    const obsY = obstacleMargin + rng.random() * (room.height - obstacleMargin * 2 - obsHeight);
 
     room.obstacles.push({
       x: obsX,
@@ -68,6 +73,9 @@ function generateRoom() {
     });
   }
 
+  // Autel du risque (flux dédié : ne décale pas les obstacles des salles suivantes)
+  room.altars = generateRoomAltars(room, altarRng, w);
+
   return room;
 }
 
@@ -81,8 +89,10 @@ function initializeRooms(gameState, config) {
   gameState.walls = [];
   gameState.currentRoom = 0;
 
+  const rng = runStream(gameState, 'layout');
+  const altarRng = runStream(gameState, 'altars');
   for (let i = 0; i < config.ROOMS_PER_RUN; i++) {
-    const room = generateRoom();
+    const room = generateRoom(rng, altarRng);
     gameState.rooms.push(room);
   }
 }
@@ -10,6 +10,7 @@
 const ConfigManager = require('../lib/server/ConfigManager');
 const { LEVEL_UP_UPGRADES } = ConfigManager;
 const logger = require('../infrastructure/logging/Logger');
+const { unseeded } = require('../lib/runPRNG');
 // Single source of truth for math helpers (deduplicates game/ vs lib/).
 const { distance, distanceSquared } = require('../lib/MathUtils');
 
@@ -31,9 +32,10 @@ function cleanupPlayerBullets(playerId, gameState, entityManager) {
 /**
  * Générer 3 choix d'upgrades aléatoires avec pondération par rareté
  * CORRECTION: Ajout d'une limite de tentatives pour éviter les boucles infinies
+ * @param {Object} [rng] - Run 'upgrades' stream (see lib/runPRNG)
  * @returns {Array} Array of upgrade choices
  */
-function generateUpgradeChoices() {
+function generateUpgradeChoices(rng = unseeded) {
   const upgradeKeys = Object.keys(LEVEL_UP_UPGRADES);
   const choices = [];
   const selectedKeys = new Set();
@@ -45,7 +47,7 @@ function generateUpgradeChoices() {
   // Pondération par rareté : common: 60%, rare: 30%, legendary: 10%
   while (choices.length < 3 && selectedKeys.size < upgradeKeys.length && attempts < MAX_ATTEMPTS) {
     attempts++;
-    const rand = Math.random();
+    const rand = rng.random();
     let targetRarity;
 
     if (rand < 0.6) {
@@ -62,7 +64,7 @@ function generateUpgradeChoices() {
     );
 
     if (availableUpgrades.length > 0) {
-      const selectedKey = availableUpgrades[Math.floor(Math.random() * availableUpgrades.length)];
+      const selectedKey = rng.pick(availableUpgrades);
       selectedKeys.add(selectedKey);
       choices.push({
         id: selectedKey,
@@ -77,7 +79,7 @@ function generateUpgradeChoices() {
   while (choices.length < 3 && selectedKeys.size < upgradeKeys.length) {
     const availableUpgrades = upgradeKeys.filter(key => !selectedKeys.has(key));
     if (availableUpgrades.length > 0) {
-      const selectedKey = availableUpgrades[Math.floor(Math.random() * availableUpgrades.length)];
+      const selectedKey = rng.pick(availableUpgrades);
       selectedKeys.add(selectedKey);
       choices.push({
         id: selectedKey,
@@ -4,13 +4,15 @@
  * - Number validation with range checking
  * - String validation with length limits
  * - Movement data validation
+ * - Input frame validation
  * - Shoot data validation
  * - Upgrade data validation
  * - Buy item data validation
+ * - Weapon switch validation
  */
 
 const ConfigManager = require('../lib/server/ConfigManager');
-const { CONFIG, LEVEL_UP_UPGRADES, SHOP_ITEMS } = ConfigManager;
+const { CONFIG, LEVEL_UP_UPGRADES, SHOP_ITEMS, WEAPONS } = ConfigManager;
 
 /**
  * Valide que la valeur est un nombre fini et valide
@@ -67,6 +69,36 @@ function validateMovementData(data) {
   };
 }
 
+/**
+ * Valide une frame d'input (MOVEMENT_MODE=input)
+ * Le vecteur de déplacement est ramené à une norme <= 1 (joystick analogique).
+ * @param {*} data - {seq, mx, my, dt, angle}
+ * @returns {Object|null} Frame validée ou null si invalide
+ */
+function validateInputFrame(data) {
+  if (!isPlainObject(data)) {
+    return null;
+  }
+
+  if (!Number.isSafeInteger(data.seq) || data.seq < 1 ||
+      !isValidNumber(data.mx, -1, 1) ||
+      !isValidNumber(data.my, -1, 1) ||
+      !isValidNumber(data.dt, 0, 1000) ||
+      !isValidNumber(data.angle, -Math.PI, Math.PI)) {
+    return null;
+  }
+
+  const magnitude = Math.hypot(data.mx, data.my);
+  const scale = magnitude > 1 ? 1 / magnitude : 1;
+  return {
+    seq: data.seq,
+    mx: data.mx * scale,
+    my: data.my * scale,
+    dt: data.dt,
+    angle: data.angle
+  };
+}
+
 /**
  * Valide les données d'un tir
  * @param {*} data - Données du tir
@@ -143,12 +175,32 @@ function validateBuyItemData(data) {
   };
 }
 
+/**
+ * Valide une demande de changement d'arme
+ * La possession de l'arme est vérifiée par l'inventaire, pas ici.
+ * @param {*} data - {weaponId}
+ * @returns {Object|null}
+ */
+function validateSwitchWeaponData(data) {
+  if (!isPlainObject(data)) {
+    return null;
+  }
+
+  if (!isValidString(data.weaponId, 50) || !Object.prototype.hasOwnProperty.call(WEAPONS, data.weaponId)) {
+    return null;
+  }
+
+  return { weaponId: data.weaponId };
+}
+
 module.exports = {
   isValidNumber,
   isValidString,
   isPlainObject,
   validateMovementData,
+  validateInputFrame,
   validateShootData,
   validateUpgradeData,
-  validateBuyItemData
+  validateBuyItemData,
+  validateSwitchWeaponData
 };
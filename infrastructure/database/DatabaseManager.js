@@ -72,6 +72,13 @@ class DatabaseManager {
       this._createProgressionTable();
       this._createSkillTreeTable();
       this._createAchievementsTable();
+      this._createRunRecordsTable();
+      this._createPlayerEconomyTables();
+      this._createChatLogsTable();
+      this._createRelationshipsTable();
+      this._createModerationTables();
+      this._createAntiCheatTables();
+      this._createWeaponStatsTable();
     })();
     logger.info('Database schema created');
   }
@@ -239,6 +246,254 @@ class DatabaseManager {
     `);
   }
 
+  /**
+   * Server-recorded run outcomes — sole source for leaderboard entries and account XP.
+   * Timestamps are milliseconds.
+   * @private
+   */
+  _createRunRecordsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS run_records (
+        run_id TEXT PRIMARY KEY,
+        player_id TEXT NOT NULL,
+        instance_id TEXT,
+        outcome TEXT NOT NULL DEFAULT 'death',
+        wave INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        kills INTEGER NOT NULL,
+        survival_time INTEGER NOT NULL,
+        combo_max INTEGER DEFAULT 0,
+        boss_kills INTEGER DEFAULT 0,
+        score INTEGER NOT NULL,
+        xp_earned INTEGER NOT NULL,
+        started_at INTEGER,
+        ended_at INTEGER NOT NULL,
+        xp_granted_at INTEGER,
+        submitted_at INTEGER,
+        rewards_applied_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_run_records_player ON run_records(player_id, ended_at DESC);
+    `);
+  }
+
+  /**
+   * Gem wallet + ledger, skins, weekly contracts and lifetime stats
+   * (formerly client localStorage). Timestamps are milliseconds.
+   * @private
+   */
+  _createPlayerEconomyTables() {
+    const runColumns = this.db.prepare('PRAGMA table_info(run_records)').all();
+    if (!runColumns.some(c => c.name === 'rewards_applied_at')) {
+      this.db.exec('ALTER TABLE run_records ADD COLUMN rewards_applied_at INTEGER');
+    }
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS gem_wallets (
+        player_id TEXT PRIMARY KEY,
+        balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+        total_earned INTEGER NOT NULL DEFAULT 0,
+        total_spent INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE TABLE IF NOT EXISTS gem_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        reference TEXT,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_gem_transactions_player ON gem_transactions(player_id, created_at DESC);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_gem_transactions_credit_once
+        ON gem_transactions(player_id, reason, reference) WHERE amount > 0 AND reference IS NOT NULL;
+      CREATE TABLE IF NOT EXISTS player_skins (
+        player_id TEXT NOT NULL,
+        skin_type TEXT NOT NULL,
+        skin_id TEXT NOT NULL,
+        equipped INTEGER NOT NULL DEFAULT 0,
+        acquired_at INTEGER NOT NULL,
+        PRIMARY KEY (player_id, skin_type, skin_id),
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE TABLE IF NOT EXISTS player_contracts (
+        player_id TEXT NOT NULL,
+        week_start TEXT NOT NULL,
+        contract_id TEXT NOT NULL,
+        current_stage INTEGER NOT NULL DEFAULT 0,
+        stages_json TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (player_id, week_start),
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE TABLE IF NOT EXISTS lifetime_stats (
+        player_id TEXT PRIMARY KEY,
+        total_runs INTEGER NOT NULL DEFAULT 0,
+        total_deaths INTEGER NOT NULL DEFAULT 0,
+        total_kills INTEGER NOT NULL DEFAULT 0,
+        total_boss_kills INTEGER NOT NULL DEFAULT 0,
+        total_waves INTEGER NOT NULL DEFAULT 0,
+        highest_wave INTEGER NOT NULL DEFAULT 0,
+        highest_level INTEGER NOT NULL DEFAULT 0,
+        best_score INTEGER NOT NULL DEFAULT 0,
+        total_score INTEGER NOT NULL DEFAULT 0,
+        total_play_time INTEGER NOT NULL DEFAULT 0,
+        longest_run INTEGER NOT NULL DEFAULT 0,
+        most_kills_in_run INTEGER NOT NULL DEFAULT 0,
+        total_gold_earned INTEGER NOT NULL DEFAULT 0,
+        first_played_at INTEGER,
+        last_played_at INTEGER,
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+    `);
+  }
+
+  /**
+   * In-game chat history for moderation (raw + filtered text, flag).
+   * Timestamps are milliseconds.
+   * @private
+   */
+  _createChatLogsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT,
+        nickname TEXT NOT NULL,
+        instance_id TEXT,
+        channel TEXT NOT NULL DEFAULT 'global',
+        message TEXT NOT NULL,
+        raw_message TEXT NOT NULL,
+        flagged INTEGER NOT NULL DEFAULT 0,
+        flag_reason TEXT,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_logs_player ON chat_logs(player_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_chat_logs_flagged ON chat_logs(created_at DESC) WHERE flagged = 1;
+    `);
+  }
+
+  /**
+   * Friends (pending/active), blocks and mutes between accounts.
+   * Timestamps are milliseconds.
+   * @private
+   */
+  _createRelationshipsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS player_relationships (
+        player_id TEXT NOT NULL,
+        target_player_id TEXT NOT NULL,
+        relationship_type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (player_id, target_player_id, relationship_type),
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+        FOREIGN KEY (target_player_id) REFERENCES players(id) ON DELETE CASCADE,
+        CHECK (player_id != target_player_id),
+        CHECK (relationship_type IN ('friend', 'blocked', 'muted')),
+        CHECK (status IN ('pending', 'active'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_player_relationships_target
+        ON player_relationships(target_player_id, relationship_type);
+    `);
+  }
+
+  /**
+   * Account bans and the moderation audit log.
+   * Timestamps are milliseconds; a NULL expires_at is a permanent ban.
+   * @private
+   */
+  _createModerationTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS player_bans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        banned_by TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        lifted_at INTEGER,
+        lifted_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_player_bans_player ON player_bans(player_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_player_bans_active ON player_bans(expires_at) WHERE lifted_at IS NULL;
+      CREATE TABLE IF NOT EXISTS moderation_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        reason TEXT,
+        expires_at INTEGER,
+        created_at INTEGER NOT NULL,
+        CHECK (action IN ('kick', 'ban', 'unban'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_moderation_audit_created ON moderation_audit_log(created_at DESC);
+    `);
+  }
+
+  /**
+   * Anti-cheat violation ledger, per-account trust penalty and the
+   * leaderboard `flagged` column. Timestamps are milliseconds.
+   * @private
+   */
+  _createAntiCheatTables() {
+    const leaderboardColumns = this.db.prepare('PRAGMA table_info(leaderboard)').all();
+    if (!leaderboardColumns.some(c => c.name === 'flagged')) {
+      this.db.exec('ALTER TABLE leaderboard ADD COLUMN flagged INTEGER NOT NULL DEFAULT 0');
+    }
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS anticheat_violations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        magnitude REAL NOT NULL,
+        snapshot TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_anticheat_violations_player ON anticheat_violations(player_id, created_at DESC);
+      CREATE TABLE IF NOT EXISTS player_trust (
+        player_id TEXT PRIMARY KEY,
+        penalty REAL NOT NULL DEFAULT 0,
+        violation_count INTEGER NOT NULL DEFAULT 0,
+        last_violation_at INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_player_trust_penalty ON player_trust(penalty DESC);
+    `);
+  }
+
+  /**
+   * Per-account, per-weapon totals flushed at run end, with the anti-cheat
+   * `flagged` column. Timestamps and active_time are milliseconds.
+   * @private
+   */
+  _createWeaponStatsTable() {
+    const weaponColumns = this.db.prepare('PRAGMA table_info(weapon_stats)').all();
+    if (weaponColumns.length > 0 && !weaponColumns.some(c => c.name === 'flagged')) {
+      this.db.exec('ALTER TABLE weapon_stats ADD COLUMN flagged INTEGER NOT NULL DEFAULT 0');
+    }
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS weapon_stats (
+        player_id TEXT NOT NULL,
+        weapon_id TEXT NOT NULL,
+        times_used INTEGER NOT NULL DEFAULT 0,
+        shots_fired INTEGER NOT NULL DEFAULT 0,
+        shots_hit INTEGER NOT NULL DEFAULT 0,
+        kills INTEGER NOT NULL DEFAULT 0,
+        damage_dealt INTEGER NOT NULL DEFAULT 0,
+        active_time INTEGER NOT NULL DEFAULT 0,
+        flagged INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (player_id, weapon_id),
+        FOREIGN KEY (player_id) REFERENCES players(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_weapon_stats_kills ON weapon_stats(weapon_id, kills DESC);
+      CREATE INDEX IF NOT EXISTS idx_weapon_stats_damage ON weapon_stats(weapon_id, damage_dealt DESC);
+    `);
+  }
+
   /**
    * Return the raw better-sqlite3 Database instance.
    * @returns {import('better-sqlite3').Database}
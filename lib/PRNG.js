@@ -10,25 +10,15 @@
  *   rng.pick(array);                    // replaces array[Math.floor(Math.random() * array.length)]
  *   rng.chance(probability);            // replaces Math.random() < probability
  *
- * Candidates to migrate (game logic, runtime):
- *   1. ZombieFactory.js:45-46       — spawn position (x, y)
- *   2. ZombieFactory.js:77          — elite zombie roll (wave >= 5)
- *   3. ZombieFactory.js:227-228     — spawn angle + distance offset
- *   4. ZombieSpawnManager.js:124    — pick random zombie type (allTypes)
- *   5. ZombieSpawnManager.js:170-175 — elite vs normal selection
- *   6. SpecialZombieUpdater.js:55   — teleporter range
- *   7. SpecialZombieUpdater.js:379  — random type pick on split
- *   8. randomWalk.js:20,46,57       — zombie walk angle / heading variance
- *   9. SkillEffectsApplicator.js:216 — dodge chance roll
- *  10. RunMutatorManager.js:75      — mutator pool shuffle
+ * Server-side gameplay rolls use the per-run streams of lib/runPRNG.js
+ * (layout, spawns, loot, mutators, upgrades, combat, ai), all derived from
+ * the run seed.
  *
- * NOT targeted (cosmetic/ephemeral, ok as Math.random):
+ * Left on Math.random on purpose (cosmetic, uniqueness or join-order dependent):
  *   - ParticlePool.js (visual only, server-side particles)
- *   - BossUpdaterSimple.js toxic IDs (uniqueness, not gameplay)
- *
- * Seed strategy (suggested):
- *   - Per wave: seed = baseSeed ^ (wave * 0x9e3779b9)
- *   - baseSeed: fixed per run (e.g. room ID hash or user-provided)
+ *   - toxic pool / hazard ids (uniqueness, not gameplay)
+ *   - playerStateFactory.js spawn jitter (depends on who joins when)
+ *   - AdminCommands.js (debug spawns)
  */
 
 /**
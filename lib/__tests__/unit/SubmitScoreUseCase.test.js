@@ -5,11 +5,24 @@
 
 const SubmitScoreUseCase = require('../../../contexts/leaderboard/SubmitScoreUseCase');
 const LeaderboardEntry = require('../../domain/entities/LeaderboardEntry');
+const RunRecord = require('../../domain/entities/RunRecord');
 const Player = require('../../domain/entities/Player');
 
+function makeRun(overrides = {}) {
+  const stats = { wave: 10, level: 20, kills: 50, survivalTime: 600, ...overrides };
+  return new RunRecord({
+    runId: 'run-123',
+    playerId: 'player-123',
+    score: LeaderboardEntry.calculateScore(stats.wave, stats.level, stats.kills, stats.survivalTime),
+    xpEarned: 0,
+    ...stats
+  });
+}
+
 describe('SubmitScoreUseCase - Application Logic', () => {
   let mockLeaderboardRepository;
   let mockPlayerRepository;
+  let mockRunRecordRepository;
   let useCase;
 
   beforeEach(() => {
@@ -21,22 +34,22 @@ describe('SubmitScoreUseCase - Application Logic', () => {
       findById: jest.fn()
     };
 
-    useCase = new SubmitScoreUseCase(mockLeaderboardRepository, mockPlayerRepository);
+    mockRunRecordRepository = {
+      findById: jest.fn().mockResolvedValue(makeRun()),
+      claimLeaderboardSubmission: jest.fn().mockResolvedValue(true),
+      releaseLeaderboardSubmission: jest.fn().mockResolvedValue(undefined)
+    };
+
+    useCase = new SubmitScoreUseCase(mockLeaderboardRepository, mockPlayerRepository, mockRunRecordRepository);
   });
 
   describe('execute()', () => {
-    it('should submit score successfully with valid data', async () => {
+    it('should submit score successfully from the server run record', async () => {
       const player = new Player({ id: 'player-123', username: 'TestPlayer' });
       mockPlayerRepository.findById.mockResolvedValue(player);
       mockLeaderboardRepository.submit.mockResolvedValue();
 
-      const result = await useCase.execute({
-        playerId: 'player-123',
-        wave: 10,
-        level: 20,
-        kills: 50,
-        survivalTime: 600
-      });
+      const result = await useCase.execute({ playerId: 'player-123', runId: 'run-123' });
 
       expect(result).toBeInstanceOf(LeaderboardEntry);
       expect(result.playerId).toBe('player-123');
@@ -45,159 +58,99 @@ describe('SubmitScoreUseCase - Application Logic', () => {
       expect(result.level).toBe(20);
       expect(result.kills).toBe(50);
       expect(result.survivalTime).toBe(600);
+      expect(mockRunRecordRepository.findById).toHaveBeenCalledWith('run-123');
       expect(mockPlayerRepository.findById).toHaveBeenCalledWith('player-123');
       expect(mockLeaderboardRepository.submit).toHaveBeenCalledWith(expect.any(LeaderboardEntry));
     });
 
-    it('should calculate score correctly', async () => {
-      const player = new Player({ id: 'player-123', username: 'TestPlayer' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
+    it('should use the score stored on the run record', async () => {
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
       mockLeaderboardRepository.submit.mockResolvedValue();
 
-      const result = await useCase.execute({
-        playerId: 'player-123',
-        wave: 10, // 10 * 100 = 1000
-        level: 20, // 20 * 50 = 1000
-        kills: 50, // 50 * 10 = 500
-        survivalTime: 600 // 10 minutes * 5 = 50
-      });
+      const result = await useCase.execute({ playerId: 'player-123', runId: 'run-123' });
 
-      // Total: 1000 + 1000 + 500 + 50 = 2550
+      // 10*100 + 20*50 + 50*10 + 10min*5 = 1000 + 1000 + 500 + 50
       expect(result.score).toBe(2550);
     });
 
     it('should throw error when playerId is missing', async () => {
-      await expect(
-        useCase.execute({
-          wave: 10,
-          level: 20,
-          kills: 50,
-          survivalTime: 600
-        })
-      ).rejects.toThrow('Invalid score data');
+      await expect(useCase.execute({ runId: 'run-123' })).rejects.toThrow('Invalid score data');
 
-      expect(mockPlayerRepository.findById).not.toHaveBeenCalled();
+      expect(mockRunRecordRepository.findById).not.toHaveBeenCalled();
       expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
 
-    it('should throw error when wave is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-123',
-          wave: -1,
-          level: 20,
-          kills: 50,
-          survivalTime: 600
-        })
-      ).rejects.toThrow('Invalid score data');
+    it('should throw error when runId is missing', async () => {
+      await expect(useCase.execute({ playerId: 'player-123' })).rejects.toThrow('Invalid score data');
 
       expect(mockPlayerRepository.findById).not.toHaveBeenCalled();
     });
 
-    it('should throw error when level is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-123',
-          wave: 10,
-          level: -1,
-          kills: 50,
-          survivalTime: 600
-        })
-      ).rejects.toThrow('Invalid score data');
+    it('should ignore client-supplied stats', async () => {
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
+      mockLeaderboardRepository.submit.mockResolvedValue();
 
-      expect(mockPlayerRepository.findById).not.toHaveBeenCalled();
+      const result = await useCase.execute({ playerId: 'player-123', runId: 'run-123', wave: 999, kills: 99999 });
+
+      expect(result.wave).toBe(10);
+      expect(result.kills).toBe(50);
     });
 
-    it('should throw error when kills is negative', async () => {
-      await expect(
-        useCase.execute({
-          playerId: 'player-123',
-          wave: 10,
-          level: 20,
-          kills: -1,
-          survivalTime: 600
-        })
-      ).rejects.toThrow('Invalid score data');
+    it('should accept a zero-stat run', async () => {
+      mockRunRecordRepository.findById.mockResolvedValue(makeRun({ wave: 0, level: 0, kills: 0, survivalTime: 0 }));
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
+      mockLeaderboardRepository.submit.mockResolvedValue();
 
-      expect(mockPlayerRepository.findById).not.toHaveBeenCalled();
+      const result = await useCase.execute({ playerId: 'player-123', runId: 'run-123' });
+
+      expect(result.score).toBe(0);
+      expect(mockLeaderboardRepository.submit).toHaveBeenCalled();
     });
 
-    it('should throw error when survivalTime is negative', async () => {
+    it('should throw error when run not found', async () => {
+      mockRunRecordRepository.findById.mockResolvedValue(null);
+
       await expect(
-        useCase.execute({
-          playerId: 'player-123',
-          wave: 10,
-          level: 20,
-          kills: 50,
-          survivalTime: -1
-        })
-      ).rejects.toThrow('Invalid score data');
+        useCase.execute({ playerId: 'player-123', runId: 'missing-run' })
+      ).rejects.toThrow("Run with identifier 'missing-run' not found");
 
-      expect(mockPlayerRepository.findById).not.toHaveBeenCalled();
+      expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
 
-    it('should accept zero values', async () => {
-      const player = new Player({ id: 'player-123', username: 'TestPlayer' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
-      mockLeaderboardRepository.submit.mockResolvedValue();
-
-      const result = await useCase.execute({
-        playerId: 'player-123',
-        wave: 0,
-        level: 0,
-        kills: 0,
-        survivalTime: 0
-      });
+    it('should treat a run owned by another player as not found', async () => {
+      await expect(
+        useCase.execute({ playerId: 'someone-else', runId: 'run-123' })
+      ).rejects.toThrow("Run with identifier 'run-123' not found");
 
-      expect(result.score).toBe(0);
-      expect(mockLeaderboardRepository.submit).toHaveBeenCalled();
+      expect(mockRunRecordRepository.claimLeaderboardSubmission).not.toHaveBeenCalled();
     });
 
     it('should throw error when player not found', async () => {
       mockPlayerRepository.findById.mockResolvedValue(null);
 
       await expect(
-        useCase.execute({
-          playerId: 'non-existent',
-          wave: 10,
-          level: 20,
-          kills: 50,
-          survivalTime: 600
-        })
-      ).rejects.toThrow("Player with identifier 'non-existent' not found");
+        useCase.execute({ playerId: 'player-123', runId: 'run-123' })
+      ).rejects.toThrow("Player with identifier 'player-123' not found");
 
-      expect(mockPlayerRepository.findById).toHaveBeenCalledWith('non-existent');
       expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
 
-    it('should include player username in entry', async () => {
-      const player = new Player({ id: 'player-123', username: 'ProGamer' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
-      mockLeaderboardRepository.submit.mockResolvedValue();
+    it('should reject a run that was already submitted', async () => {
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
+      mockRunRecordRepository.claimLeaderboardSubmission.mockResolvedValue(false);
 
-      const result = await useCase.execute({
-        playerId: 'player-123',
-        wave: 10,
-        level: 20,
-        kills: 50,
-        survivalTime: 600
-      });
+      await expect(
+        useCase.execute({ playerId: 'player-123', runId: 'run-123' })
+      ).rejects.toThrow('Run already submitted to leaderboard');
 
-      expect(result.playerUsername).toBe('ProGamer');
+      expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
 
     it('should call leaderboard repository submit with entry', async () => {
-      const player = new Player({ id: 'player-123', username: 'TestPlayer' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
       mockLeaderboardRepository.submit.mockResolvedValue();
 
-      await useCase.execute({
-        playerId: 'player-123',
-        wave: 10,
-        level: 20,
-        kills: 50,
-        survivalTime: 600
-      });
+      await useCase.execute({ playerId: 'player-123', runId: 'run-123' });
 
       expect(mockLeaderboardRepository.submit).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -215,64 +168,38 @@ describe('SubmitScoreUseCase - Application Logic', () => {
       mockPlayerRepository.findById.mockRejectedValue(new Error('Database connection failed'));
 
       await expect(
-        useCase.execute({
-          playerId: 'player-123',
-          wave: 10,
-          level: 20,
-          kills: 50,
-          survivalTime: 600
-        })
+        useCase.execute({ playerId: 'player-123', runId: 'run-123' })
       ).rejects.toThrow('Database connection failed');
 
       expect(mockLeaderboardRepository.submit).not.toHaveBeenCalled();
     });
 
     it('should propagate leaderboard repository errors', async () => {
-      const player = new Player({ id: 'player-123', username: 'TestPlayer' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
       mockLeaderboardRepository.submit.mockRejectedValue(new Error('Leaderboard full'));
 
       await expect(
-        useCase.execute({
-          playerId: 'player-123',
-          wave: 10,
-          level: 20,
-          kills: 50,
-          survivalTime: 600
-        })
+        useCase.execute({ playerId: 'player-123', runId: 'run-123' })
       ).rejects.toThrow('Leaderboard full');
     });
 
     it('should handle high scores correctly', async () => {
-      const player = new Player({ id: 'player-123', username: 'Legend' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
+      mockRunRecordRepository.findById.mockResolvedValue(makeRun({ wave: 100, level: 200, kills: 5000, survivalTime: 7200 }));
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'Legend' }));
       mockLeaderboardRepository.submit.mockResolvedValue();
 
-      const result = await useCase.execute({
-        playerId: 'player-123',
-        wave: 100,
-        level: 200,
-        kills: 5000,
-        survivalTime: 7200 // 120 minutes
-      });
+      const result = await useCase.execute({ playerId: 'player-123', runId: 'run-123' });
 
       // 100*100 + 200*50 + 5000*10 + 120*5 = 10000 + 10000 + 50000 + 600 = 70600
       expect(result.score).toBe(70600);
     });
 
     it('should set createdAt timestamp on entry', async () => {
-      const player = new Player({ id: 'player-123', username: 'TestPlayer' });
-      mockPlayerRepository.findById.mockResolvedValue(player);
+      mockPlayerRepository.findById.mockResolvedValue(new Player({ id: 'player-123', username: 'TestPlayer' }));
       mockLeaderboardRepository.submit.mockResolvedValue();
 
       const before = Date.now();
-      const result = await useCase.execute({
-        playerId: 'player-123',
-        wave: 10,
-        level: 20,
-        kills: 50,
-        survivalTime: 600
-      });
+      const result = await useCase.execute({ playerId: 'player-123', runId: 'run-123' });
       const after = Date.now();
 
       expect(result.createdAt).toBeGreaterThanOrEqual(before);
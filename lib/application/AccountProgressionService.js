@@ -24,25 +24,36 @@ class AccountProgressionService {
    * @returns {Promise<Object>} - Progression result
    */
   async handlePlayerDeath(player, playerId) {
+    const gameStats = {
+      kills: player.kills || 0,
+      zombiesKilled: player.zombiesKilled || 0,
+      wave: player.wave || 1,
+      level: player.level || 1,
+      survivalTimeSeconds: player.survivalTime || 0,
+      bossKills: player.bossKills || 0,
+      comboMax: player.maxCombo || 0,
+      score: player.totalScore || 0,
+      goldEarned: player.goldEarned || 0
+    };
+    const xpEarned = AddAccountXPUseCase.calculateXPFromGameStats(gameStats);
+    return this.grantXP(playerId, xpEarned, gameStats);
+  }
+
+  /**
+   * Apply an XP amount to the account. Callers are responsible for the amount
+   * being server-derived (see RunRecordService).
+   * @param {String} playerId - Player UUID
+   * @param {Number} xpEarned
+   * @param {Object} [gameStats] - logged alongside the grant
+   * @returns {Promise<Object|null>} - Progression result, null on failure/concurrent grant
+   */
+  async grantXP(playerId, xpEarned, gameStats = {}) {
     if (this._xpLocks.has(playerId)) {
       logger.warn('XP grant skipped: concurrent request', { playerId });
       return null;
     }
     this._xpLocks.add(playerId);
     try {
-      const gameStats = {
-        kills: player.kills || 0,
-        zombiesKilled: player.zombiesKilled || 0,
-        wave: player.wave || 1,
-        level: player.level || 1,
-        survivalTimeSeconds: player.survivalTime || 0,
-        bossKills: player.bossKills || 0,
-        comboMax: player.maxCombo || 0,
-        score: player.totalScore || 0,
-        goldEarned: player.goldEarned || 0
-      };
-
-      const xpEarned = AddAccountXPUseCase.calculateXPFromGameStats(gameStats);
       const result = await this.addAccountXPUseCase.execute({ playerId, xpEarned, gameStats });
 
       // Invalidate cache so next spawn recalculates bonuses with new skills
@@ -0,0 +1,134 @@
+/**
+ * ANTI-CHEAT SERVICE
+ * Per-account evidence ledger and decaying trust score. Detections reported
+ * by the socket handlers are written at most once per account and type every
+ * ANTICHEAT_CONFIG.ledgerIntervalMs (the global metrics still count all of
+ * them); each one lowers the account's trust by weight × magnitude.
+ * @version 1.0.0
+ */
+
+const CheatViolation = require('../domain/entities/CheatViolation');
+const TrustScore = require('../domain/entities/TrustScore');
+const { ANTICHEAT_CONFIG } = require('../../config/constants');
+const logger = require('../../infrastructure/logging/Logger');
+
+const MAX_PAGE = 200;
+/** Throttle keys kept before the stale ones are swept. */
+const MAX_THROTTLE_KEYS = 10000;
+
+class AntiCheatService {
+  /**
+   * @param {Object} antiCheatRepository
+   * @param {Object} [settings=ANTICHEAT_CONFIG]
+   */
+  constructor(antiCheatRepository, settings = ANTICHEAT_CONFIG) {
+    this.antiCheatRepository = antiCheatRepository;
+    this.settings = settings;
+    /** @type {Map<string, number>} `${playerId}:${type}` → last ledger write (ms) */
+    this._lastRecorded = new Map();
+  }
+
+  /**
+   * Trust points an event costs.
+   * @param {string} type
+   * @param {number} magnitude
+   * @returns {number}
+   */
+  penaltyFor(type, magnitude) {
+    const weight = this.settings.weights[type] ?? this.settings.defaultWeight;
+    return weight * Math.min(Math.max(0, magnitude), this.settings.maxMagnitude);
+  }
+
+  /**
+   * Record a detection for an account.
+   * @param {{playerId: string, type: string, magnitude?: number, snapshot?: Object|null, now?: number}} params
+   * @returns {Promise<CheatViolation|null>} null when throttled or without account
+   */
+  async recordViolation({ playerId, type, magnitude = 1, snapshot = null, now = Date.now() }) {
+    if (!playerId || !this._acquireSlot(`${playerId}:${type}`, now)) {
+      return null;
+    }
+    const violation = new CheatViolation({ playerId, type, magnitude, snapshot, createdAt: now });
+    const trust = await this.antiCheatRepository.recordViolation(
+      violation,
+      this.penaltyFor(type, magnitude),
+      this.settings.halfLifeMs
+    );
+    logger.warn('Anti-cheat violation recorded', {
+      playerId,
+      type,
+      magnitude,
+      trustScore: Math.round(trust.scoreAt(now, this.settings.halfLifeMs))
+    });
+    return violation;
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<number>} 0–100, 100 for an account never flagged
+   */
+  async getTrustScore(playerId, now = Date.now()) {
+    const trust = await this.antiCheatRepository.findTrust(playerId);
+    return trust ? trust.scoreAt(now, this.settings.halfLifeMs) : TrustScore.MAX_TRUST;
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<boolean>} false below ANTICHEAT_CONFIG.trustThreshold
+   */
+  async isTrusted(playerId, now = Date.now()) {
+    return (await this.getTrustScore(playerId, now)) >= this.settings.trustThreshold;
+  }
+
+  /**
+   * Accounts currently below the trust threshold, lowest trust first, each
+   * with its most recent evidence.
+   * @param {{limit?: number, evidenceLimit?: number, now?: number}} [options]
+   * @returns {Promise<Object[]>}
+   */
+  async listSuspiciousAccounts({ limit = 50, evidenceLimit = 10, now = Date.now() } = {}) {
+    const { halfLifeMs, trustThreshold } = this.settings;
+    // Decay only lowers the penalty: the stored one is a safe pre-filter
+    const candidates = await this.antiCheatRepository.findTrustByMinPenalty(TrustScore.MAX_TRUST - trustThreshold, MAX_PAGE);
+    const suspicious = candidates
+      .filter(trust => trust.scoreAt(now, halfLifeMs) < trustThreshold)
+      .sort((a, b) => a.scoreAt(now, halfLifeMs) - b.scoreAt(now, halfLifeMs))
+      .slice(0, Math.min(Math.max(1, limit), MAX_PAGE));
+
+    return Promise.all(
+      suspicious.map(async trust => {
+        const evidence = await this.antiCheatRepository.findViolations(trust.playerId, { limit: evidenceLimit });
+        return { ...trust.toObject(now, halfLifeMs), evidence: evidence.map(v => v.toObject()) };
+      })
+    );
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<CheatViolation[]>} newest first
+   */
+  async getViolations(playerId, { limit = 50, before } = {}) {
+    return this.antiCheatRepository.findViolations(playerId, { limit: Math.min(Math.max(1, limit), MAX_PAGE), before });
+  }
+
+  _acquireSlot(key, now) {
+    const last = this._lastRecorded.get(key);
+    if (last !== undefined && now - last < this.settings.ledgerIntervalMs) {
+      return false;
+    }
+    if (this._lastRecorded.size >= MAX_THROTTLE_KEYS) {
+      for (const [k, at] of this._lastRecorded) {
+        if (now - at >= this.settings.ledgerIntervalMs) {
+          this._lastRecorded.delete(k);
+        }
+      }
+    }
+    this._lastRecorded.set(key, now);
+    return true;
+  }
+}
+
+module.exports = AntiCheatService;
@@ -0,0 +1,37 @@
+/**
+ * CHAT SERVICE
+ * Moderation log for in-game chat: every broadcast message is stored,
+ * filtered ones with their flag
+ * @version 1.0.0
+ */
+
+const ChatMessage = require('../domain/entities/ChatMessage');
+
+const MAX_FLAGGED_PAGE = 200;
+
+class ChatService {
+  constructor(chatLogRepository) {
+    this.chatLogRepository = chatLogRepository;
+  }
+
+  /**
+   * @param {Object} data - ChatMessage constructor fields
+   * @returns {Promise<ChatMessage>}
+   */
+  async logMessage(data) {
+    return this.chatLogRepository.save(new ChatMessage(data));
+  }
+
+  /**
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<ChatMessage[]>} newest first
+   */
+  async getFlaggedMessages({ limit = 50, before } = {}) {
+    return this.chatLogRepository.findFlagged({
+      limit: Math.min(Math.max(1, limit), MAX_FLAGGED_PAGE),
+      before
+    });
+  }
+}
+
+module.exports = ChatService;
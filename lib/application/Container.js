@@ -10,11 +10,31 @@ const SQLiteLeaderboardRepository = require('../infrastructure/repositories/SQLi
 const SQLiteUpgradesRepository = require('../infrastructure/repositories/SQLiteUpgradesRepository');
 const SQLiteProgressionRepository = require('../infrastructure/repositories/SQLiteProgressionRepository');
 const SQLiteAchievementRepository = require('../infrastructure/repositories/SQLiteAchievementRepository');
+const SQLiteRunRecordRepository = require('../infrastructure/repositories/SQLiteRunRecordRepository');
 
 const AccountProgressionService = require('./AccountProgressionService');
 const AchievementService = require('./AchievementService');
+const RunRecordService = require('./RunRecordService');
 const { DailyChallengeService } = require('./DailyChallengeService');
 const { SQLiteDailyChallengeRepository } = require('../infrastructure/repositories/SQLiteDailyChallengeRepository');
+const SQLiteGemWalletRepository = require('../infrastructure/repositories/SQLiteGemWalletRepository');
+const SQLiteSkinRepository = require('../infrastructure/repositories/SQLiteSkinRepository');
+const SQLiteContractRepository = require('../infrastructure/repositories/SQLiteContractRepository');
+const SQLiteLifetimeStatsRepository = require('../infrastructure/repositories/SQLiteLifetimeStatsRepository');
+const GemService = require('./GemService');
+const SkinService = require('./SkinService');
+const ContractService = require('./ContractService');
+const LifetimeStatsService = require('./LifetimeStatsService');
+const RunRewardService = require('./RunRewardService');
+const SQLiteWeaponStatsRepository = require('../infrastructure/repositories/SQLiteWeaponStatsRepository');
+const WeaponStatsService = require('./WeaponStatsService');
+const SQLiteChatLogRepository = require('../infrastructure/repositories/SQLiteChatLogRepository');
+const ChatService = require('./ChatService');
+const SQLiteRelationshipRepository = require('../infrastructure/repositories/SQLiteRelationshipRepository');
+const SQLiteModerationRepository = require('../infrastructure/repositories/SQLiteModerationRepository');
+const ModerationService = require('./ModerationService');
+const SQLiteAntiCheatRepository = require('../infrastructure/repositories/SQLiteAntiCheatRepository');
+const AntiCheatService = require('./AntiCheatService');
 
 const CreatePlayerUseCase = require('./use-cases/CreatePlayerUseCase');
 const UpdatePlayerStatsUseCase = require('./use-cases/UpdatePlayerStatsUseCase');
@@ -26,6 +46,14 @@ const GetLeaderboardUseCase = require('../../contexts/leaderboard/GetLeaderboard
 const LeaderboardCache = require('../../contexts/leaderboard/LeaderboardCache');
 const BuyUpgradeUseCase = require('./use-cases/BuyUpgradeUseCase');
 const GetUpgradesUseCase = require('./use-cases/GetUpgradesUseCase');
+const SendFriendRequestUseCase = require('./use-cases/SendFriendRequestUseCase');
+const AcceptFriendRequestUseCase = require('./use-cases/AcceptFriendRequestUseCase');
+const RemoveFriendUseCase = require('./use-cases/RemoveFriendUseCase');
+const BlockPlayerUseCase = require('./use-cases/BlockPlayerUseCase');
+const MutePlayerUseCase = require('./use-cases/MutePlayerUseCase');
+const GetRelationshipsUseCase = require('./use-cases/GetRelationshipsUseCase');
+
+const { ANTICHEAT_CONFIG } = require('../../config/constants');
 
 /**
  * Registry entry describing how to build a dependency.
@@ -164,6 +192,11 @@ class Container {
     this._registerServices();
     this._registerUseCases();
     this._registerDailyChallenge();
+    this._registerPlayerEconomy();
+    this._registerChat();
+    this._registerRelationships();
+    this._registerModeration();
+    this._registerAntiCheat();
   }
 
   /**
@@ -174,10 +207,17 @@ class Container {
     this.register('database', () => DatabaseManager.getInstance().getDb());
     this.register('playerRepository', () => new SQLitePlayerRepository(this.resolve('database')));
     this.register('sessionRepository', () => new SQLiteSessionRepository(this.resolve('database')));
-    this.register('leaderboardRepository', () => new SQLiteLeaderboardRepository(this.resolve('database')));
+    this.register(
+      'leaderboardRepository',
+      () =>
+        new SQLiteLeaderboardRepository(this.resolve('database'), {
+          hideFlagged: ANTICHEAT_CONFIG.leaderboardAction === 'exclude'
+        })
+    );
     this.register('upgradesRepository', () => new SQLiteUpgradesRepository(this.resolve('database')));
     this.register('progressionRepository', () => new SQLiteProgressionRepository(this.resolve('database')));
     this.register('achievementRepository', () => new SQLiteAchievementRepository(this.resolve('database')));
+    this.register('runRecordRepository', () => new SQLiteRunRecordRepository(this.resolve('database')));
   }
 
   /**
@@ -193,6 +233,10 @@ class Container {
       'achievementService',
       () => new AchievementService(this.resolve('achievementRepository'), this.resolve('playerRepository'))
     );
+    this.register(
+      'runRecordService',
+      () => new RunRecordService(this.resolve('runRecordRepository'), this.resolve('accountProgressionService'))
+    );
   }
 
   /**
@@ -212,7 +256,9 @@ class Container {
         new SubmitScoreUseCase(
           this.resolve('leaderboardRepository'),
           this.resolve('playerRepository'),
-          this.resolve('leaderboardCache')
+          this.resolve('runRecordRepository'),
+          this.resolve('leaderboardCache'),
+          this.resolve('antiCheatService')
         )
     );
     this.register(
@@ -234,6 +280,96 @@ class Container {
       () => new DailyChallengeService(this.resolve('dailyChallengeRepository'))
     );
   }
+
+  /**
+   * Enregistre l'economie joueur (gems, skins, contrats, stats lifetime et par arme).
+   * @private
+   */
+  _registerPlayerEconomy() {
+    this.register('gemWalletRepository', () => new SQLiteGemWalletRepository(this.resolve('database')));
+    this.register('skinRepository', () => new SQLiteSkinRepository(this.resolve('database')));
+    this.register('contractRepository', () => new SQLiteContractRepository(this.resolve('database')));
+    this.register('lifetimeStatsRepository', () => new SQLiteLifetimeStatsRepository(this.resolve('database')));
+    this.register('gemService', () => new GemService(this.resolve('gemWalletRepository')));
+    this.register('skinService', () => new SkinService(this.resolve('skinRepository'), this.resolve('gemService')));
+    this.register(
+      'contractService',
+      () => new ContractService(this.resolve('contractRepository'), this.resolve('gemService'))
+    );
+    this.register('lifetimeStatsService', () => new LifetimeStatsService(this.resolve('lifetimeStatsRepository')));
+    this.register(
+      'weaponStatsRepository',
+      () =>
+        new SQLiteWeaponStatsRepository(this.resolve('database'), {
+          hideFlagged: ANTICHEAT_CONFIG.leaderboardAction === 'exclude'
+        })
+    );
+    this.register(
+      'weaponStatsService',
+      () => new WeaponStatsService(this.resolve('weaponStatsRepository'), this.resolve('antiCheatService'))
+    );
+    this.register(
+      'runRewardService',
+      () =>
+        new RunRewardService(
+          this.resolve('runRecordRepository'),
+          this.resolve('gemService'),
+          this.resolve('contractService'),
+          this.resolve('lifetimeStatsService'),
+          this.resolve('weaponStatsService')
+        )
+    );
+  }
+
+  /**
+   * Enregistre le journal de chat (moderation).
+   * @private
+   */
+  _registerChat() {
+    this.register('chatLogRepository', () => new SQLiteChatLogRepository(this.resolve('database')));
+    this.register('chatService', () => new ChatService(this.resolve('chatLogRepository')));
+  }
+
+  /**
+   * Enregistre amis, blocages et sourdines.
+   * @private
+   */
+  _registerRelationships() {
+    this.register('relationshipRepository', () => new SQLiteRelationshipRepository(this.resolve('database')));
+    this.register(
+      'sendFriendRequestUseCase',
+      () => new SendFriendRequestUseCase(this.resolve('relationshipRepository'), this.resolve('playerRepository'))
+    );
+    this.register('acceptFriendRequestUseCase', () => new AcceptFriendRequestUseCase(this.resolve('relationshipRepository')));
+    this.register('removeFriendUseCase', () => new RemoveFriendUseCase(this.resolve('relationshipRepository')));
+    this.register(
+      'blockPlayerUseCase',
+      () => new BlockPlayerUseCase(this.resolve('relationshipRepository'), this.resolve('playerRepository'))
+    );
+    this.register(
+      'mutePlayerUseCase',
+      () => new MutePlayerUseCase(this.resolve('relationshipRepository'), this.resolve('playerRepository'))
+    );
+    this.register('getRelationshipsUseCase', () => new GetRelationshipsUseCase(this.resolve('relationshipRepository')));
+  }
+
+  /**
+   * Enregistre bannissements et journal d'audit de moderation.
+   * @private
+   */
+  _registerModeration() {
+    this.register('moderationRepository', () => new SQLiteModerationRepository(this.resolve('database')));
+    this.register('moderationService', () => new ModerationService(this.resolve('moderationRepository')));
+  }
+
+  /**
+   * Enregistre le journal des violations anti-triche et le score de confiance.
+   * @private
+   */
+  _registerAntiCheat() {
+    this.register('antiCheatRepository', () => new SQLiteAntiCheatRepository(this.resolve('database')));
+    this.register('antiCheatService', () => new AntiCheatService(this.resolve('antiCheatRepository')));
+  }
 }
 
 // Singleton module-level — un seul conteneur par process
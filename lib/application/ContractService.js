@@ -0,0 +1,126 @@
+/**
+ * CONTRACT SERVICE
+ * Weekly contracts: progress from recorded runs, gem rewards on claim
+ * @version 1.0.0
+ */
+
+const logger = require('../../infrastructure/logging/Logger');
+const ContractProgress = require('../domain/entities/ContractProgress');
+const { CONTRACT_TEMPLATES, getContractTemplate } = require('./contractCatalog');
+const { ValidationError } = require('../domain/errors/DomainErrors');
+
+/**
+ * Monday of the week containing `now`, as YYYY-MM-DD (UTC).
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+function weekStartUTC(now = Date.now()) {
+  const d = new Date(now);
+  const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+  return d.toISOString().slice(0, 10);
+}
+
+/** FNV-1a — stable template pick per (player, week) */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+class ContractService {
+  constructor(contractRepository, gemService) {
+    this.contractRepository = contractRepository;
+    this.gemService = gemService;
+  }
+
+  /**
+   * Current week's contract for a player, created on first access.
+   * @param {string} playerId
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<ContractProgress>}
+   */
+  async getCurrentContract(playerId, now = Date.now()) {
+    if (!playerId) {
+      throw new ValidationError('playerId is required');
+    }
+    const weekStart = weekStartUTC(now);
+    const existing = await this.contractRepository.findByPlayerAndWeek(playerId, weekStart);
+    if (existing) {
+      return existing;
+    }
+
+    const template = CONTRACT_TEMPLATES[hashString(`${playerId}:${weekStart}`) % CONTRACT_TEMPLATES.length];
+    const contract = new ContractProgress({
+      playerId,
+      weekStart,
+      contractId: template.id,
+      stages: template.stages.map((stage, index) => ({
+        ...stage,
+        id: `${template.id}_stage_${index + 1}`
+      }))
+    });
+    return this.contractRepository.save(contract);
+  }
+
+  /**
+   * Advance the current stage from a recorded run.
+   * @param {import('../domain/entities/RunRecord')} record
+   * @param {{goldEarned?: number}} [extra]
+   * @returns {Promise<{contract: ContractProgress, stageCompleted: boolean}>}
+   */
+  async applyRun(record, { goldEarned = 0 } = {}) {
+    const contract = await this.getCurrentContract(record.playerId, record.endedAt || Date.now());
+    const amounts = {
+      kills: record.kills,
+      waves: record.wave,
+      boss: record.bossKills,
+      gold: goldEarned,
+      runs: 1
+    };
+    const stage = contract.getCurrentStage();
+    const stageCompleted = stage ? contract.applyProgress(stage.type, amounts[stage.type] || 0) : false;
+    await this.contractRepository.save(contract);
+    if (stageCompleted) {
+      logger.info('Contract stage completed', { playerId: record.playerId, contractId: contract.contractId, stage: stage.id });
+    }
+    return { contract, stageCompleted };
+  }
+
+  /**
+   * Claim the current stage's reward. Gems are credited here; other reward
+   * fields (gold, title) are returned for the client to display.
+   * @param {string} playerId
+   * @returns {Promise<{reward: Object, contract: ContractProgress, wallet: GemWallet|null}|null>}
+   *   null when the current stage is not claimable
+   */
+  async claimStage(playerId) {
+    const contract = await this.getCurrentContract(playerId);
+    const stage = contract.claimCurrentStage();
+    if (!stage) {
+      return null;
+    }
+    // Credit first: it is idempotent per stage, so a failed save can be retried safely
+    const wallet = stage.reward && stage.reward.gems
+      ? await this.gemService.credit(playerId, stage.reward.gems, 'contract', `${contract.weekStart}:${stage.id}`)
+      : null;
+    await this.contractRepository.save(contract);
+    logger.info('Contract stage claimed', { playerId, contractId: contract.contractId, stage: stage.id });
+    return { reward: stage.reward, contract, wallet };
+  }
+
+  /**
+   * Display data (name, description) for a contract.
+   * @param {ContractProgress} contract
+   * @returns {Object}
+   */
+  static describe(contract) {
+    const template = getContractTemplate(contract.contractId) || {};
+    return { ...contract.toObject(), name: template.name || contract.contractId, description: template.description || '' };
+  }
+}
+
+module.exports = ContractService;
+module.exports.weekStartUTC = weekStartUTC;
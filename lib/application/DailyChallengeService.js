@@ -2,6 +2,9 @@
 
 const logger = require('../../infrastructure/logging/Logger');
 
+// Event types whose value is an absolute high-water mark rather than a delta
+const ABSOLUTE_EVENT_TYPES = new Set(['reach_level', 'no_damage_time']);
+
 /** Return today's date as YYYY-MM-DD in UTC */
 function todayUTC() {
   return new Date().toISOString().slice(0, 10);
@@ -26,10 +29,15 @@ class DailyChallengeService {
     }));
   }
 
-  /** Apply a delta event for a player. eventType matches challenge.type */
+  /**
+   * Apply a server-observed event for a player. eventType matches challenge.type.
+   * For 'reach_level' and 'no_damage_time' the value is the level reached or
+   * the damage-free streak in seconds, not an increment.
+   */
   applyEvent(playerId, eventType, delta = 1, meta = {}) {
     const date = todayUTC();
     const challenges = this.repo.getChallengesForDate(date);
+    const progress = ABSOLUTE_EVENT_TYPES.has(eventType) ? this.repo.getPlayerProgress(playerId, date) : null;
     const results = [];
     for (const c of challenges) {
       if (c.type !== eventType) {
@@ -38,18 +46,41 @@ continue;
       if (eventType === 'zombies_killed_type' && meta.zombieType !== c.zombieType) {
 continue;
 }
-      const r = this.repo.applyDelta(playerId, date, c.id, delta, c.target);
+      const amount = progress ? delta - (progress[c.id]?.progress ?? 0) : delta;
+      if (amount <= 0) {
+continue;
+}
+      const r = this.repo.applyDelta(playerId, date, c.id, amount, c.target);
       if (r.justCompleted) {
 logger.info('Daily challenge completed', { playerId, challengeId: c.id, date });
 }
-      results.push({ challengeId: c.id, ...r });
+      results.push({ challengeId: c.id, target: c.target, reward: c.reward, ...r });
     }
     return results;
   }
 
-  /** Claim reward atomically. Returns reward object or null if already claimed / not completed */
-  claimReward(playerId, challengeId) {
+  /**
+   * Reward of a completed, unclaimed challenge, without claiming it.
+   * Returns { date, reward } or null if already claimed / not completed.
+   */
+  getClaimableReward(playerId, challengeId) {
     const date = todayUTC();
+    const challenge = this.repo.getChallengesForDate(date).find(c => c.id === challengeId);
+    if (!challenge) {
+return null;
+}
+    const progress = this.repo.getPlayerProgress(playerId, date)[challengeId];
+    if (!progress || !progress.completed || progress.reward_claimed) {
+return null;
+}
+    return { date, reward: challenge.reward };
+  }
+
+  /**
+   * Claim reward atomically. Returns reward object or null if already claimed / not completed.
+   * `date` pins the claim to the day a reward was read for (defaults to today).
+   */
+  claimReward(playerId, challengeId, date = todayUTC()) {
     const challenges = this.repo.getChallengesForDate(date);
     const challenge = challenges.find(c => c.id === challengeId);
     if (!challenge) {
@@ -0,0 +1,146 @@
+/**
+ * GEM SERVICE
+ * Server-side gem wallet: credits from server-observed events, spending via the API
+ * @version 1.0.0
+ */
+
+const logger = require('../../infrastructure/logging/Logger');
+const { GEM_SHOP_ITEMS, getShopItem } = require('./gemCatalog');
+const { BusinessLogicError, ConflictError, NotFoundError, ValidationError } = require('../domain/errors/DomainErrors');
+
+class GemService {
+  constructor(gemWalletRepository) {
+    this.gemWalletRepository = gemWalletRepository;
+  }
+
+  /**
+   * Gems earned by a run: 1 per 5 waves reached, 5 per boss kill, 1 per 100 kills.
+   * @param {{wave: number, bossKills: number, kills: number}} stats
+   * @returns {number}
+   */
+  static calculateRunGems({ wave = 0, bossKills = 0, kills = 0 }) {
+    return Math.floor(wave / 5) + bossKills * 5 + Math.floor(kills / 100);
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<GemWallet>}
+   */
+  async getWallet(playerId) {
+    return this.gemWalletRepository.findByPlayerId(playerId);
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} [limit=20]
+   * @returns {Promise<Object[]>}
+   */
+  async getTransactions(playerId, limit = 20) {
+    return this.gemWalletRepository.getTransactions(playerId, limit);
+  }
+
+  /**
+   * Credit a server-observed reward once (keyed by reason + reference).
+   * @param {string} playerId
+   * @param {number} amount
+   * @param {string} reason - 'run' | 'daily_challenge' | 'contract'
+   * @param {string} reference
+   * @returns {Promise<GemWallet|null>} null if nothing to credit or already credited
+   */
+  async credit(playerId, amount, reason, reference) {
+    if (!(amount > 0)) {
+      return null;
+    }
+    const wallet = await this.gemWalletRepository.credit(playerId, Math.floor(amount), reason, reference);
+    if (wallet) {
+      logger.info('Gems credited', { playerId, amount, reason, reference, balance: wallet.balance });
+    }
+    return wallet;
+  }
+
+  /**
+   * Credit the gems earned by a recorded run (idempotent on runId).
+   * @param {import('../domain/entities/RunRecord')} record
+   * @returns {Promise<{amount: number, wallet: GemWallet}|null>}
+   */
+  async awardRunGems(record) {
+    const amount = GemService.calculateRunGems(record);
+    const wallet = await this.credit(record.playerId, amount, 'run', record.runId);
+    return wallet ? { amount, wallet } : null;
+  }
+
+  /**
+   * Spend gems. Used by the gem shop and skin purchases.
+   * @param {string} playerId
+   * @param {number} amount
+   * @param {string} reason - 'shop' | 'skin'
+   * @param {string} reference
+   * @returns {Promise<GemWallet>}
+   * @throws {BusinessLogicError} balance too low
+   */
+  async spend(playerId, amount, reason, reference) {
+    const wallet = await this.gemWalletRepository.debit(playerId, amount, reason, reference);
+    if (!wallet) {
+      throw new BusinessLogicError('Not enough gems');
+    }
+    logger.info('Gems spent', { playerId, amount, reason, reference, balance: wallet.balance });
+    return wallet;
+  }
+
+  /**
+   * Buy a gem shop item. Permanent items can only be bought once; the
+   * effect itself is applied by the caller.
+   * @param {string} playerId
+   * @param {string} itemId
+   * @returns {Promise<{itemId: string, cost: number, permanent: boolean, wallet: GemWallet}>}
+   * @throws {NotFoundError} unknown item
+   * @throws {ConflictError} permanent item already owned
+   * @throws {BusinessLogicError} balance too low
+   */
+  async purchaseItem(playerId, itemId) {
+    if (!playerId || !itemId) {
+      throw new ValidationError('playerId and itemId are required');
+    }
+    const item = getShopItem(itemId);
+    if (!item) {
+      throw new NotFoundError('Gem shop item', itemId);
+    }
+    const wallet = item.permanent
+      ? await this._spendOnce(playerId, item.cost, itemId)
+      : await this.spend(playerId, item.cost, 'shop', itemId);
+    return { itemId, cost: item.cost, permanent: item.permanent, wallet };
+  }
+
+  /**
+   * Buy a permanent item: ownership check and debit in one transaction, so
+   * two concurrent purchases cannot both go through.
+   * @private
+   */
+  async _spendOnce(playerId, amount, itemId) {
+    const wallet = await this.gemWalletRepository.debitOnce(playerId, amount, 'shop', itemId);
+    if (!wallet) {
+      if (await this.gemWalletRepository.hasTransaction(playerId, 'shop', itemId)) {
+        throw new ConflictError('Permanent item already owned', 'gem_shop_item');
+      }
+      throw new BusinessLogicError('Not enough gems');
+    }
+    logger.info('Gems spent', { playerId, amount, reason: 'shop', reference: itemId, balance: wallet.balance });
+    return wallet;
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<string[]>} permanent shop items already bought
+   */
+  async getOwnedPermanentItems(playerId) {
+    const owned = [];
+    for (const [itemId, item] of GEM_SHOP_ITEMS) {
+      if (item.permanent && (await this.gemWalletRepository.hasTransaction(playerId, 'shop', itemId))) {
+        owned.push(itemId);
+      }
+    }
+    return owned;
+  }
+}
+
+module.exports = GemService;
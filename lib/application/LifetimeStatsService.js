@@ -0,0 +1,34 @@
+/**
+ * LIFETIME STATS SERVICE
+ * Account-wide totals, accumulated from server-recorded runs
+ * @version 1.0.0
+ */
+
+const LifetimeStats = require('../domain/entities/LifetimeStats');
+
+class LifetimeStatsService {
+  constructor(lifetimeStatsRepository) {
+    this.lifetimeStatsRepository = lifetimeStatsRepository;
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<LifetimeStats>} zeroed stats when the account has no run yet
+   */
+  async getStats(playerId) {
+    return (await this.lifetimeStatsRepository.findByPlayerId(playerId)) || new LifetimeStats({ playerId });
+  }
+
+  /**
+   * @param {import('../domain/entities/RunRecord')} record
+   * @param {{goldEarned?: number}} [extra]
+   * @returns {Promise<LifetimeStats>}
+   */
+  async recordRun(record, { goldEarned = 0 } = {}) {
+    const stats = await this.getStats(record.playerId);
+    stats.recordRun(record, goldEarned);
+    return this.lifetimeStatsRepository.save(stats);
+  }
+}
+
+module.exports = LifetimeStatsService;
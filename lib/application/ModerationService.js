@@ -0,0 +1,128 @@
+/**
+ * MODERATION SERVICE
+ * Account bans and the moderation audit log. Active bans are cached in
+ * memory so the socket handshake and the login route can check them
+ * synchronously; every kick, ban and unban is written to the audit log.
+ * @version 1.0.0
+ */
+
+const Ban = require('../domain/entities/Ban');
+const logger = require('../../infrastructure/logging/Logger');
+
+const MAX_PAGE = 200;
+
+class ModerationService {
+  constructor(moderationRepository) {
+    this.moderationRepository = moderationRepository;
+    /** @type {Map<string, Ban>} playerId → active ban */
+    this.activeBans = new Map();
+  }
+
+  /**
+   * Fill the cache from the database (server start).
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<number>} number of active bans
+   */
+  async loadActiveBans(now = Date.now()) {
+    const bans = await this.moderationRepository.findActiveBans(now);
+    this.activeBans.clear();
+    // Newest first: keep the most recent ban of each account
+    for (const ban of bans) {
+      if (!this.activeBans.has(ban.playerId)) {
+        this.activeBans.set(ban.playerId, ban);
+      }
+    }
+    return this.activeBans.size;
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} [now=Date.now()]
+   * @returns {Ban|null} the ban in force for this account
+   */
+  getActiveBan(playerId, now = Date.now()) {
+    if (!playerId) {
+      return null;
+    }
+    const ban = this.activeBans.get(playerId);
+    if (!ban) {
+      return null;
+    }
+    if (!ban.isActive(now)) {
+      this.activeBans.delete(playerId);
+      return null;
+    }
+    return ban;
+  }
+
+  /**
+   * Ban an account; a new ban replaces the one in force.
+   * @param {{playerId: string, reason: string, durationMs?: number|null, actor: string, now?: number}} params
+   *   durationMs null/undefined = permanent
+   * @returns {Promise<Ban>}
+   */
+  async banPlayer({ playerId, reason, durationMs = null, actor, now = Date.now() }) {
+    const ban = new Ban({
+      playerId,
+      reason,
+      bannedBy: actor,
+      createdAt: now,
+      expiresAt: durationMs ? now + durationMs : null
+    });
+    await this.moderationRepository.liftBans(playerId, actor, now);
+    await this.moderationRepository.saveBan(ban);
+    this.activeBans.set(playerId, ban);
+    await this._audit({ action: 'ban', actor, targetId: playerId, reason, expiresAt: ban.expiresAt, createdAt: now });
+    return ban;
+  }
+
+  /**
+   * Lift the ban in force for an account.
+   * @param {{playerId: string, actor: string, now?: number}} params
+   * @returns {Promise<boolean>} false when the account was not banned
+   */
+  async unbanPlayer({ playerId, actor, now = Date.now() }) {
+    const lifted = await this.moderationRepository.liftBans(playerId, actor, now);
+    this.activeBans.delete(playerId);
+    if (lifted === 0) {
+      return false;
+    }
+    await this._audit({ action: 'unban', actor, targetId: playerId, createdAt: now });
+    return true;
+  }
+
+  /**
+   * Record a kick (the socket disconnect itself is done by the caller).
+   * @param {{targetId: string, reason?: string|null, actor: string, now?: number}} params
+   * @returns {Promise<Object>} audit entry
+   */
+  async recordKick({ targetId, reason = null, actor, now = Date.now() }) {
+    return this._audit({ action: 'kick', actor, targetId, reason, createdAt: now });
+  }
+
+  /**
+   * @param {{activeOnly?: boolean, limit?: number, before?: number, now?: number}} [options]
+   * @returns {Promise<Ban[]>} newest first
+   */
+  async listBans({ activeOnly = false, limit = 50, before, now = Date.now() } = {}) {
+    if (activeOnly) {
+      return this.moderationRepository.findActiveBans(now);
+    }
+    return this.moderationRepository.findBans({ limit: Math.min(Math.max(1, limit), MAX_PAGE), before });
+  }
+
+  /**
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<Object[]>} newest first
+   */
+  async getAuditLog({ limit = 50, before } = {}) {
+    return this.moderationRepository.findAuditLog({ limit: Math.min(Math.max(1, limit), MAX_PAGE), before });
+  }
+
+  async _audit(entry) {
+    logger.info('Moderation action', entry);
+    return this.moderationRepository.logAction(entry);
+  }
+}
+
+module.exports = ModerationService;
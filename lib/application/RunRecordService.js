@@ -0,0 +1,101 @@
+/**
+ * RUN RECORD SERVICE
+ * Records each run's outcome from the game loop and grants account XP from it
+ * @version 1.0.0
+ */
+
+const logger = require('../../infrastructure/logging/Logger');
+const RunRecord = require('../domain/entities/RunRecord');
+const LeaderboardEntry = require('../domain/entities/LeaderboardEntry');
+const AddAccountXPUseCase = require('./use-cases/AddAccountXPUseCase');
+const { ConflictError, NotFoundError, ValidationError } = require('../domain/errors/DomainErrors');
+
+class RunRecordService {
+  constructor(runRecordRepository, accountProgressionService) {
+    this.runRecordRepository = runRecordRepository;
+    this.accountProgressionService = accountProgressionService;
+  }
+
+  /**
+   * Persist a run outcome observed by the server. Idempotent on runId: the
+   * death retry queue may replay the same run, the first record wins.
+   * @param {Object} params
+   * @param {string} params.runId
+   * @param {string} params.playerId - Account UUID
+   * @param {string|null} [params.instanceId]
+   * @param {'death'} [params.outcome='death']
+   * @param {Object} params.stats - { wave, level, kills, survivalTimeSeconds, comboMax, bossKills }
+   * @param {number|null} [params.startedAt]
+   * @param {number} [params.endedAt=Date.now()]
+   * @returns {Promise<RunRecord>}
+   */
+  async recordRun({ runId, playerId, instanceId = null, outcome = 'death', stats, startedAt = null, endedAt = Date.now() }) {
+    if (!runId || !playerId || !stats) {
+      throw new ValidationError('runId, playerId and stats are required');
+    }
+
+    const wave = Math.max(0, Math.floor(stats.wave || 0));
+    const level = Math.max(0, Math.floor(stats.level || 0));
+    const kills = Math.max(0, Math.floor(stats.kills || 0));
+    const survivalTime = Math.max(0, Math.floor(stats.survivalTimeSeconds || 0));
+
+    const record = new RunRecord({
+      runId,
+      playerId,
+      instanceId,
+      outcome,
+      wave,
+      level,
+      kills,
+      survivalTime,
+      comboMax: Math.max(0, Math.floor(stats.comboMax || 0)),
+      bossKills: Math.max(0, Math.floor(stats.bossKills || 0)),
+      score: LeaderboardEntry.calculateScore(wave, level, kills, survivalTime),
+      xpEarned: AddAccountXPUseCase.calculateXPFromGameStats(stats),
+      startedAt,
+      endedAt
+    });
+
+    const stored = await this.runRecordRepository.save(record);
+    logger.info('Run recorded', { runId, playerId, outcome, wave, score: stored.score });
+    return stored;
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<RunRecord|null>}
+   */
+  async getRun(runId) {
+    return this.runRecordRepository.findById(runId);
+  }
+
+  /**
+   * Grant the XP held by a run record, at most once.
+   * @param {string} runId
+   * @param {string} playerId - must own the run
+   * @returns {Promise<{record: RunRecord, result: Object}>}
+   * @throws {NotFoundError} unknown run or not owned by playerId
+   * @throws {ConflictError} XP already granted for this run
+   */
+  async grantXP(runId, playerId) {
+    const record = await this.runRecordRepository.findById(runId);
+    if (!record || record.playerId !== playerId) {
+      throw new NotFoundError('Run', runId);
+    }
+
+    const claimed = await this.runRecordRepository.claimXpGrant(runId, playerId);
+    if (!claimed) {
+      throw new ConflictError('XP already granted for this run', 'run');
+    }
+
+    const result = await this.accountProgressionService.grantXP(playerId, record.xpEarned, record.toGameStats());
+    if (!result) {
+      // Grant failed (DB error or concurrent grant) — leave the run claimable for a retry
+      await this.runRecordRepository.releaseXpGrant(runId);
+      throw new Error(`XP grant failed for run ${runId}`);
+    }
+    return { record, result };
+  }
+}
+
+module.exports = RunRecordService;
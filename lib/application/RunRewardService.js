@@ -0,0 +1,52 @@
+/**
+ * RUN REWARD SERVICE
+ * Applies a recorded run's rewards once: gems, contract progress, lifetime and weapon stats
+ * @version 1.0.0
+ */
+
+const logger = require('../../infrastructure/logging/Logger');
+
+class RunRewardService {
+  constructor(runRecordRepository, gemService, contractService, lifetimeStatsService, weaponStatsService = null) {
+    this.runRecordRepository = runRecordRepository;
+    this.gemService = gemService;
+    this.contractService = contractService;
+    this.lifetimeStatsService = lifetimeStatsService;
+    this.weaponStatsService = weaponStatsService;
+  }
+
+  /**
+   * @param {import('../domain/entities/RunRecord')} record
+   * @param {{goldEarned?: number, weaponStats?: Array<Object>}} [extra] - server-observed stats not kept on the record
+   * @returns {Promise<{gemsEarned: number, wallet: GemWallet|null, contract: ContractProgress, stageCompleted: boolean}|null>}
+   *   null when the run's rewards were already applied (death retry replay)
+   */
+  async applyRun(record, extra = {}) {
+    const claimed = await this.runRecordRepository.claimRewards(record.runId, record.playerId);
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      const gems = await this.gemService.awardRunGems(record);
+      const { contract, stageCompleted } = await this.contractService.applyRun(record, extra);
+      await this.lifetimeStatsService.recordRun(record, extra);
+      if (this.weaponStatsService) {
+        await this.weaponStatsService.recordRun(record, extra);
+      }
+      return {
+        gemsEarned: gems ? gems.amount : 0,
+        wallet: gems ? gems.wallet : null,
+        contract,
+        stageCompleted
+      };
+    } catch (error) {
+      // Leave the run claimable for the retry queue; the gem credit is idempotent
+      logger.error('Failed to apply run rewards', { runId: record.runId, error: error.message });
+      await this.runRecordRepository.releaseRewards(record.runId);
+      throw error;
+    }
+  }
+}
+
+module.exports = RunRewardService;
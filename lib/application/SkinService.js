@@ -0,0 +1,89 @@
+/**
+ * SKIN SERVICE
+ * Owned/equipped skins, bought with gems
+ * @version 1.0.0
+ */
+
+const logger = require('../../infrastructure/logging/Logger');
+const SkinCollection = require('../domain/entities/SkinCollection');
+const { getSkinCost } = require('./gemCatalog');
+const { ConflictError, NotFoundError, ValidationError } = require('../domain/errors/DomainErrors');
+
+class SkinService {
+  constructor(skinRepository, gemService) {
+    this.skinRepository = skinRepository;
+    this.gemService = gemService;
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<SkinCollection>}
+   */
+  async getCollection(playerId) {
+    return this.skinRepository.findByPlayerId(playerId);
+  }
+
+  /**
+   * Buy a skin with gems. If granting fails after the debit, the gems are refunded.
+   * @param {string} playerId
+   * @param {'player'|'weapon'} type
+   * @param {string} skinId
+   * @returns {Promise<{collection: SkinCollection, wallet: GemWallet}>}
+   * @throws {NotFoundError} unknown skin
+   * @throws {ConflictError} already owned
+   * @throws {BusinessLogicError} balance too low
+   */
+  async purchase(playerId, type, skinId) {
+    this._assertType(type);
+    const cost = getSkinCost(type, skinId);
+    if (cost === undefined) {
+      throw new NotFoundError('Skin', `${type}:${skinId}`);
+    }
+    const collection = await this.skinRepository.findByPlayerId(playerId);
+    if (collection.owns(type, skinId)) {
+      throw new ConflictError('Skin already owned', 'skin');
+    }
+
+    const reference = `${type}:${skinId}`;
+    const wallet = await this.gemService.spend(playerId, cost, 'skin', reference);
+    try {
+      const granted = await this.skinRepository.grant(playerId, type, skinId);
+      if (!granted) {
+        throw new ConflictError('Skin already owned', 'skin');
+      }
+    } catch (error) {
+      // Concurrent purchase or DB failure — give the gems back
+      await this.gemService.credit(playerId, cost, 'refund', `${reference}:${Date.now()}`);
+      throw error;
+    }
+
+    logger.info('Skin purchased', { playerId, type, skinId, cost });
+    return { collection: await this.skinRepository.findByPlayerId(playerId), wallet };
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {'player'|'weapon'} type
+   * @param {string} skinId
+   * @returns {Promise<SkinCollection>}
+   * @throws {NotFoundError} skin not owned
+   */
+  async equip(playerId, type, skinId) {
+    this._assertType(type);
+    const collection = await this.skinRepository.findByPlayerId(playerId);
+    if (!collection.owns(type, skinId)) {
+      throw new NotFoundError('Owned skin', `${type}:${skinId}`);
+    }
+    await this.skinRepository.equip(playerId, type, skinId);
+    return this.skinRepository.findByPlayerId(playerId);
+  }
+
+  /** @private */
+  _assertType(type) {
+    if (!SkinCollection.isValidType(type)) {
+      throw new ValidationError(`Unknown skin type: ${type}`, 'type');
+    }
+  }
+}
+
+module.exports = SkinService;
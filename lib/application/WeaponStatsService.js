@@ -0,0 +1,113 @@
+/**
+ * WEAPON STATS SERVICE
+ * Per-account, per-weapon totals flushed from server-recorded runs, and the
+ * per-weapon leaderboards. The run counters come from the game server
+ * (contexts/weapons/modules/WeaponRunStats), never from the client. Runs
+ * added while the account is below the anti-cheat trust threshold flag its
+ * rows, like its leaderboard entries (ANTICHEAT_CONFIG.leaderboardAction).
+ * @version 1.0.0
+ */
+
+const { WEAPON_STATS_CONFIG } = require('../../config/constants');
+const logger = require('../../infrastructure/logging/Logger');
+
+const LEADERBOARD_SORTS = ['kills', 'damage', 'accuracy', 'dps'];
+// Kills and damage rank every account that fired the weapon; ratios need volume
+const RATIO_SORTS = new Set(['accuracy', 'dps']);
+
+function _count(value) {
+  return Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0;
+}
+
+class WeaponStatsService {
+  /**
+   * @param {Object} weaponStatsRepository
+   * @param {Object|null} [antiCheatService=null]
+   * @param {Object} [settings=WEAPON_STATS_CONFIG]
+   */
+  constructor(weaponStatsRepository, antiCheatService = null, settings = WEAPON_STATS_CONFIG) {
+    this.weaponStatsRepository = weaponStatsRepository;
+    this.antiCheatService = antiCheatService;
+    this.settings = settings;
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<WeaponStats[]>} empty when the account never fired
+   */
+  async getPlayerWeapons(playerId) {
+    return this.weaponStatsRepository.findByPlayerId(playerId);
+  }
+
+  /**
+   * Add a run's per-weapon counters to the account totals.
+   * @param {import('../domain/entities/RunRecord')} record
+   * @param {{weaponStats?: Array<Object>}} [extra] - WeaponRunStats.snapshotWeaponRunStats()
+   * @returns {Promise<number>} weapons written
+   */
+  async recordRun(record, { weaponStats = [] } = {}) {
+    const totals = [];
+    for (const entry of Array.isArray(weaponStats) ? weaponStats : []) {
+      const shotsFired = _count(entry && entry.shotsFired);
+      if (!entry || typeof entry.weaponId !== 'string' || shotsFired === 0) {
+        continue;
+      }
+      totals.push({
+        weaponId: entry.weaponId,
+        shotsFired,
+        shotsHit: Math.min(_count(entry.shotsHit), shotsFired),
+        kills: _count(entry.kills),
+        damageDealt: _count(entry.damageDealt),
+        activeTime: _count(entry.activeTime)
+      });
+    }
+    if (totals.length === 0) {
+      return 0;
+    }
+    const flagged = await this._isSuspicious(record.playerId);
+    await this.weaponStatsRepository.addRunTotals(record.playerId, totals, record.endedAt || Date.now(), flagged);
+    return totals.length;
+  }
+
+  /**
+   * @param {string} weaponId
+   * @param {{sort?: string, limit?: number}} [options]
+   * @returns {Promise<Array<Object>>} ranked entries
+   */
+  async getLeaderboard(weaponId, { sort = 'kills', limit = 10 } = {}) {
+    const safeSort = LEADERBOARD_SORTS.includes(sort) ? sort : 'kills';
+    const rows = await this.weaponStatsRepository.findTopByWeapon(weaponId, {
+      sort: safeSort,
+      limit: Math.min(Math.max(1, limit), this.settings.leaderboardMaxLimit),
+      minShots: RATIO_SORTS.has(safeSort) ? this.settings.minShotsForRatio : 1
+    });
+    return rows.map(({ stats, username }, index) => ({
+      rank: index + 1,
+      username,
+      ...stats.toObject()
+    }));
+  }
+
+  /**
+   * Trust score below the threshold? A lookup error does not block the run's
+   * totals: they are then added unflagged (same rule as SubmitScoreUseCase).
+   * @param {string} playerId
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isSuspicious(playerId) {
+    if (!this.antiCheatService) {
+      return false;
+    }
+    try {
+      return !(await this.antiCheatService.isTrusted(playerId));
+    } catch (err) {
+      logger.error('Trust score lookup failed, weapon stats not flagged', { playerId, error: err.message });
+      return false;
+    }
+  }
+}
+
+WeaponStatsService.LEADERBOARD_SORTS = LEADERBOARD_SORTS;
+
+module.exports = WeaponStatsService;
@@ -0,0 +1,84 @@
+/**
+ * CHAT FILTER
+ * Length check and profanity masking applied to every chat message before
+ * it is broadcast. Masked messages are still sent (with the words starred)
+ * but flagged for moderation.
+ */
+
+const MAX_CHAT_LENGTH = 200;
+
+// Matched against the start of each normalized word (accents, leetspeak and
+// repeated letters removed), so "fuuuck", "Put@in" or "merdeux" are caught.
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'whore', 'slut', 'faggot',
+  'merde', 'putain', 'pute', 'connard', 'connasse', 'salope', 'encule', 'batard'
+];
+
+// Stems that start ordinary words ("niquel"): only these forms are blocked.
+const BLOCKED_EXACT_WORDS = [
+  'nique', 'niques', 'niquer', 'niquez', 'niquent', 'niquons', 'niquait', 'niquais', 'niquera'
+];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+/**
+ * @param {string} word
+ * @returns {string} lowercase letters only, accents/leetspeak/repeats folded
+ */
+function normalizeWord(word) {
+  return word
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[013457@$!]/g, ch => LEET[ch])
+    .replace(/[^a-z]/g, '')
+    .replace(/(.)\1+/g, '$1');
+}
+
+const BLOCKED_STEMS = BLOCKED_WORDS.map(normalizeWord);
+const BLOCKED_EXACT = new Set(BLOCKED_EXACT_WORDS.map(normalizeWord));
+
+/**
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isBlockedWord(word) {
+  const normalized = normalizeWord(word);
+  return normalized.length > 0 &&
+    (BLOCKED_EXACT.has(normalized) || BLOCKED_STEMS.some(stem => normalized.startsWith(stem)));
+}
+
+/**
+ * Clean and check a chat message.
+ * @param {*} raw - client payload
+ * @returns {{ok: false, reason: 'empty'|'too_long'}
+ *   | {ok: true, text: string, raw: string, flagged: boolean, flagReason: string|null}}
+ */
+function filterChatMessage(raw) {
+  const cleaned = (typeof raw === 'string' ? raw : '')
+    .replace(/\p{Cc}/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!cleaned) {
+    return { ok: false, reason: 'empty' };
+  }
+  if (cleaned.length > MAX_CHAT_LENGTH) {
+    return { ok: false, reason: 'too_long' };
+  }
+
+  let flagged = false;
+  const text = cleaned
+    .split(' ')
+    .map(word => {
+      if (!isBlockedWord(word)) {
+        return word;
+      }
+      flagged = true;
+      return '*'.repeat(word.length);
+    })
+    .join(' ');
+
+  return { ok: true, text, raw: cleaned, flagged, flagReason: flagged ? 'profanity' : null };
+}
+
+module.exports = { MAX_CHAT_LENGTH, filterChatMessage, isBlockedWord };
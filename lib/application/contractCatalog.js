@@ -0,0 +1,48 @@
+/**
+ * CONTRACT CATALOG
+ * Weekly contract templates. Stage types map to server-observed run stats:
+ * kills, waves (wave reached), boss (boss kills), gold (gold picked up), runs.
+ */
+
+const CONTRACT_TEMPLATES = [
+  {
+    id: 'elite_hunt',
+    name: "Contrat: Escouade d'elite",
+    description: "Prouvez que vous etes l'arme absolue.",
+    stages: [
+      { type: 'kills', target: 200, reward: { gems: 10, gold: 150 } },
+      { type: 'waves', target: 20, reward: { gems: 14, gold: 200 } },
+      { type: 'boss', target: 3, reward: { gems: 20, title: "Chasseur d'elite" } }
+    ]
+  },
+  {
+    id: 'gold_route',
+    name: "Contrat: Route de l'or",
+    description: "Accumulez de l'or sur toute la semaine.",
+    stages: [
+      { type: 'gold', target: 3000, reward: { gems: 8, gold: 200 } },
+      { type: 'gold', target: 7000, reward: { gems: 12, gold: 300 } },
+      { type: 'gold', target: 12000, reward: { gems: 20, title: "Baron de l'or" } }
+    ]
+  },
+  {
+    id: 'endurance',
+    name: 'Contrat: Endurance',
+    description: 'Tenez la distance avec regularite.',
+    stages: [
+      { type: 'runs', target: 3, reward: { gems: 10, gold: 150 } },
+      { type: 'runs', target: 6, reward: { gems: 14, gold: 200 } },
+      { type: 'runs', target: 10, reward: { gems: 22, skin: 'endurance_badge' } }
+    ]
+  }
+];
+
+/**
+ * @param {string} contractId
+ * @returns {Object|undefined}
+ */
+function getContractTemplate(contractId) {
+  return CONTRACT_TEMPLATES.find(t => t.id === contractId);
+}
+
+module.exports = { CONTRACT_TEMPLATES, getContractTemplate };
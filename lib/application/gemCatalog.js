@@ -0,0 +1,61 @@
+/**
+ * GEM CATALOG
+ * Single source of truth for gem prices: gem shop items and skins.
+ * Display data (names, icons, colours) stays in the client modules.
+ */
+
+/** @type {Map<string, {cost: number, permanent: boolean}>} */
+const GEM_SHOP_ITEMS = new Map([
+  ['revive',               { cost: 50,  permanent: false }],
+  ['xp_boost',             { cost: 30,  permanent: false }],
+  ['gold_boost',           { cost: 30,  permanent: false }],
+  ['legendary_reroll',     { cost: 75,  permanent: false }],
+  ['instant_shop',         { cost: 25,  permanent: false }],
+  ['extra_life',           { cost: 40,  permanent: false }],
+  ['skip_wave',            { cost: 60,  permanent: false }],
+  ['rare_skin_pack',       { cost: 100, permanent: false }],
+  ['epic_skin_pack',       { cost: 200, permanent: false }],
+  ['permanent_gold_boost', { cost: 500, permanent: true }],
+  ['permanent_xp_boost',   { cost: 500, permanent: true }],
+  ['starter_boost',        { cost: 750, permanent: true }]
+]);
+
+/** Gem price per skin, by skin type. 'default' is free and always owned. */
+const SKIN_CATALOG = {
+  player: new Map([
+    ['neon', 100],
+    ['fire', 150],
+    ['shadow', 200],
+    ['gold', 300],
+    ['rainbow', 500],
+    ['toxic', 150],
+    ['ice', 150],
+    ['blood', 200]
+  ]),
+  weapon: new Map([
+    ['laser', 100],
+    ['plasma', 150],
+    ['explosive', 200],
+    ['electric', 200],
+    ['rainbow', 300]
+  ])
+};
+
+/**
+ * @param {string} itemId
+ * @returns {{cost: number, permanent: boolean}|undefined}
+ */
+function getShopItem(itemId) {
+  return GEM_SHOP_ITEMS.get(itemId);
+}
+
+/**
+ * @param {string} type - 'player' | 'weapon'
+ * @param {string} skinId
+ * @returns {number|undefined} gem price
+ */
+function getSkinCost(type, skinId) {
+  return SKIN_CATALOG[type] ? SKIN_CATALOG[type].get(skinId) : undefined;
+}
+
+module.exports = { GEM_SHOP_ITEMS, SKIN_CATALOG, getShopItem, getSkinCost };
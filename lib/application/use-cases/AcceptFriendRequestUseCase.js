@@ -0,0 +1,35 @@
+/**
+ * ACCEPT FRIEND REQUEST USE CASE
+ * Turns a pending request into a two-way friendship
+ */
+
+const Relationship = require('../../domain/entities/Relationship');
+const logger = require('../../../infrastructure/logging/Logger');
+const { ValidationError, NotFoundError } = require('../../domain/errors/DomainErrors');
+
+class AcceptFriendRequestUseCase {
+  constructor(relationshipRepository) {
+    this.relationshipRepository = relationshipRepository;
+  }
+
+  /**
+   * @param {Object} data - { playerId (accepter), requesterId }
+   * @returns {Promise<Relationship>} the accepter's side of the friendship
+   * @throws {NotFoundError} no pending request from requesterId
+   */
+  async execute({ playerId, requesterId }) {
+    if (!playerId || !requesterId) {
+      throw new ValidationError('playerId and requesterId are required');
+    }
+
+    const accepted = await this.relationshipRepository.acceptFriendRequest(requesterId, playerId);
+    if (!accepted) {
+      throw new NotFoundError('Friend request', requesterId);
+    }
+
+    logger.info('Friend request accepted', { playerId, requesterId });
+    return new Relationship({ playerId, targetPlayerId: requesterId, type: 'friend' });
+  }
+}
+
+module.exports = AcceptFriendRequestUseCase;
@@ -0,0 +1,55 @@
+/**
+ * BLOCK PLAYER USE CASE
+ * Blocks (or unblocks) another account. Blocking ends any friendship or
+ * pending request between the two and hides the blocked player's chat
+ * and emotes.
+ */
+
+const Relationship = require('../../domain/entities/Relationship');
+const logger = require('../../../infrastructure/logging/Logger');
+const { ValidationError, NotFoundError } = require('../../domain/errors/DomainErrors');
+
+class BlockPlayerUseCase {
+  constructor(relationshipRepository, playerRepository) {
+    this.relationshipRepository = relationshipRepository;
+    this.playerRepository = playerRepository;
+  }
+
+  /**
+   * @param {Object} data - { playerId, targetPlayerId, blocked = true }
+   * @returns {Promise<Relationship|null>} the block, or null once lifted
+   * @throws {NotFoundError} unknown target, or unblocking a player who is not blocked
+   */
+  async execute({ playerId, targetPlayerId, blocked = true }) {
+    if (!playerId || !targetPlayerId) {
+      throw new ValidationError('playerId and targetPlayerId are required');
+    }
+
+    if (!blocked) {
+      const removed = await this.relationshipRepository.remove(playerId, targetPlayerId, 'blocked');
+      if (!removed) {
+        throw new NotFoundError('Block', targetPlayerId);
+      }
+      logger.info('Player unblocked', { playerId, targetPlayerId });
+      return null;
+    }
+
+    const target = await this.playerRepository.findById(targetPlayerId);
+    if (!target) {
+      throw new NotFoundError('Player', targetPlayerId);
+    }
+
+    const block = new Relationship({
+      playerId,
+      targetPlayerId,
+      type: 'blocked',
+      targetUsername: target.username
+    });
+    await this.relationshipRepository.removeFriendship(playerId, targetPlayerId);
+    await this.relationshipRepository.save(block);
+    logger.info('Player blocked', { playerId, targetPlayerId });
+    return block;
+  }
+}
+
+module.exports = BlockPlayerUseCase;
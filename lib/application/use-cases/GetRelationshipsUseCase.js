@@ -0,0 +1,38 @@
+/**
+ * GET RELATIONSHIPS USE CASE
+ * Friends, pending requests (both ways), blocks and mutes of a player
+ */
+
+const { ValidationError } = require('../../domain/errors/DomainErrors');
+
+class GetRelationshipsUseCase {
+  constructor(relationshipRepository) {
+    this.relationshipRepository = relationshipRepository;
+  }
+
+  /**
+   * @param {Object} data - { playerId }
+   * @returns {Promise<{friends: Relationship[], outgoingRequests: Relationship[],
+   *   incomingRequests: Relationship[], blocked: Relationship[], muted: Relationship[]}>}
+   */
+  async execute({ playerId }) {
+    if (!playerId) {
+      throw new ValidationError('playerId is required');
+    }
+
+    const [outgoing, incomingRequests] = await Promise.all([
+      this.relationshipRepository.findByPlayer(playerId),
+      this.relationshipRepository.findIncomingRequests(playerId)
+    ]);
+
+    return {
+      friends: outgoing.filter(r => r.type === 'friend' && !r.isPending()),
+      outgoingRequests: outgoing.filter(r => r.type === 'friend' && r.isPending()),
+      incomingRequests,
+      blocked: outgoing.filter(r => r.type === 'blocked'),
+      muted: outgoing.filter(r => r.type === 'muted')
+    };
+  }
+}
+
+module.exports = GetRelationshipsUseCase;
@@ -0,0 +1,53 @@
+/**
+ * MUTE PLAYER USE CASE
+ * Mutes (or unmutes) another account: their chat and emotes are no longer
+ * delivered to the muting player. Friendship is left untouched.
+ */
+
+const Relationship = require('../../domain/entities/Relationship');
+const logger = require('../../../infrastructure/logging/Logger');
+const { ValidationError, NotFoundError } = require('../../domain/errors/DomainErrors');
+
+class MutePlayerUseCase {
+  constructor(relationshipRepository, playerRepository) {
+    this.relationshipRepository = relationshipRepository;
+    this.playerRepository = playerRepository;
+  }
+
+  /**
+   * @param {Object} data - { playerId, targetPlayerId, muted = true }
+   * @returns {Promise<Relationship|null>} the mute, or null once lifted
+   * @throws {NotFoundError} unknown target, or unmuting a player who is not muted
+   */
+  async execute({ playerId, targetPlayerId, muted = true }) {
+    if (!playerId || !targetPlayerId) {
+      throw new ValidationError('playerId and targetPlayerId are required');
+    }
+
+    if (!muted) {
+      const removed = await this.relationshipRepository.remove(playerId, targetPlayerId, 'muted');
+      if (!removed) {
+        throw new NotFoundError('Mute', targetPlayerId);
+      }
+      logger.info('Player unmuted', { playerId, targetPlayerId });
+      return null;
+    }
+
+    const target = await this.playerRepository.findById(targetPlayerId);
+    if (!target) {
+      throw new NotFoundError('Player', targetPlayerId);
+    }
+
+    const mute = new Relationship({
+      playerId,
+      targetPlayerId,
+      type: 'muted',
+      targetUsername: target.username
+    });
+    await this.relationshipRepository.save(mute);
+    logger.info('Player muted', { playerId, targetPlayerId });
+    return mute;
+  }
+}
+
+module.exports = MutePlayerUseCase;
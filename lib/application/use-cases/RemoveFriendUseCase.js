@@ -0,0 +1,33 @@
+/**
+ * REMOVE FRIEND USE CASE
+ * Ends a friendship, or declines / cancels a pending request
+ */
+
+const logger = require('../../../infrastructure/logging/Logger');
+const { ValidationError, NotFoundError } = require('../../domain/errors/DomainErrors');
+
+class RemoveFriendUseCase {
+  constructor(relationshipRepository) {
+    this.relationshipRepository = relationshipRepository;
+  }
+
+  /**
+   * @param {Object} data - { playerId, targetPlayerId }
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} no friendship or request between the two players
+   */
+  async execute({ playerId, targetPlayerId }) {
+    if (!playerId || !targetPlayerId) {
+      throw new ValidationError('playerId and targetPlayerId are required');
+    }
+
+    const removed = await this.relationshipRepository.removeFriendship(playerId, targetPlayerId);
+    if (!removed) {
+      throw new NotFoundError('Friend', targetPlayerId);
+    }
+
+    logger.info('Friend removed', { playerId, targetPlayerId });
+  }
+}
+
+module.exports = RemoveFriendUseCase;
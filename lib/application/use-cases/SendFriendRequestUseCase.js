@@ -0,0 +1,80 @@
+/**
+ * SEND FRIEND REQUEST USE CASE
+ * Creates a pending friend request, or completes the friendship when the
+ * target had already asked
+ */
+
+const Relationship = require('../../domain/entities/Relationship');
+const logger = require('../../../infrastructure/logging/Logger');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError
+} = require('../../domain/errors/DomainErrors');
+
+class SendFriendRequestUseCase {
+  constructor(relationshipRepository, playerRepository) {
+    this.relationshipRepository = relationshipRepository;
+    this.playerRepository = playerRepository;
+  }
+
+  /**
+   * @param {Object} data - { playerId, targetPlayerId } or { playerId, targetUsername }
+   * @returns {Promise<Relationship>} status 'pending', or 'active' when it matched an incoming request
+   * @throws {NotFoundError} unknown target
+   * @throws {ConflictError} already friends or request already sent
+   * @throws {BusinessLogicError} one of the players blocked the other
+   */
+  async execute({ playerId, targetPlayerId, targetUsername }) {
+    if (!playerId || (!targetPlayerId && !targetUsername)) {
+      throw new ValidationError('playerId and a target are required');
+    }
+
+    const target = targetPlayerId
+      ? await this.playerRepository.findById(targetPlayerId)
+      : await this.playerRepository.findByUsername(targetUsername);
+    if (!target) {
+      throw new NotFoundError('Player', targetPlayerId || targetUsername);
+    }
+    if (target.id === playerId) {
+      throw new ValidationError('A player cannot befriend themselves', 'targetPlayerId');
+    }
+
+    const [blocking, blockedBy] = await Promise.all([
+      this.relationshipRepository.find(playerId, target.id, 'blocked'),
+      this.relationshipRepository.find(target.id, playerId, 'blocked')
+    ]);
+    if (blocking || blockedBy) {
+      throw new BusinessLogicError('Cannot send a friend request to this player');
+    }
+
+    const existing = await this.relationshipRepository.find(playerId, target.id, 'friend');
+    if (existing) {
+      throw new ConflictError(
+        existing.isPending() ? 'Friend request already sent' : 'Already friends',
+        'Relationship'
+      );
+    }
+
+    const reverse = await this.relationshipRepository.find(target.id, playerId, 'friend');
+    if (reverse && reverse.isPending()) {
+      await this.relationshipRepository.acceptFriendRequest(target.id, playerId);
+      logger.info('Friend request matched, friendship created', { playerId, targetPlayerId: target.id });
+      return new Relationship({ playerId, targetPlayerId: target.id, type: 'friend', targetUsername: target.username });
+    }
+
+    const request = new Relationship({
+      playerId,
+      targetPlayerId: target.id,
+      type: 'friend',
+      status: 'pending',
+      targetUsername: target.username
+    });
+    await this.relationshipRepository.save(request);
+    logger.info('Friend request sent', { playerId, targetPlayerId: target.id });
+    return request;
+  }
+}
+
+module.exports = SendFriendRequestUseCase;
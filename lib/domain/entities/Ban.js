@@ -0,0 +1,103 @@
+const { requirePresence } = require('../shared/Invariants');
+const { ValidationError } = require('../errors/DomainErrors');
+
+/**
+ * BAN ENTITY
+ * Account ban, temporary or permanent
+ */
+
+/**
+ * Bannissement d'un compte (userId du JWT). `expiresAt` null = permanent ;
+ * un ban leve avant terme garde sa ligne avec `liftedAt`/`liftedBy`.
+ * @class
+ */
+class Ban {
+  /**
+   * @param {Object} data
+   * @param {number|null} [data.id=null] - Identifiant en base (null avant insertion)
+   * @param {string} data.playerId - UUID du compte banni
+   * @param {string} data.reason - Motif affiche au joueur
+   * @param {string} data.bannedBy - userId de l'admin, ou 'api' (routes REST)
+   * @param {number} [data.createdAt=Date.now()] - Timestamp (ms)
+   * @param {number|null} [data.expiresAt=null] - Fin du ban (ms), null = permanent
+   * @param {number|null} [data.liftedAt=null] - Levee anticipee (ms)
+   * @param {string|null} [data.liftedBy=null]
+   */
+  constructor({
+    id = null,
+    playerId,
+    reason,
+    bannedBy,
+    createdAt = Date.now(),
+    expiresAt = null,
+    liftedAt = null,
+    liftedBy = null
+  }) {
+    requirePresence(playerId, 'playerId');
+    requirePresence(reason, 'reason');
+    requirePresence(bannedBy, 'bannedBy');
+    if (expiresAt !== null && expiresAt <= createdAt) {
+      throw new ValidationError('Ban must expire after it starts', 'expiresAt');
+    }
+
+    this.id = id;
+    this.playerId = playerId;
+    this.reason = reason;
+    this.bannedBy = bannedBy;
+    this.createdAt = createdAt;
+    this.expiresAt = expiresAt;
+    this.liftedAt = liftedAt;
+    this.liftedBy = liftedBy;
+  }
+
+  /**
+   * @returns {boolean} true pour un ban sans date de fin
+   */
+  isPermanent() {
+    return this.expiresAt === null;
+  }
+
+  /**
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} ban ni leve ni expire
+   */
+  isActive(now = Date.now()) {
+    return this.liftedAt === null && (this.expiresAt === null || now < this.expiresAt);
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      playerId: this.playerId,
+      reason: this.reason,
+      bannedBy: this.bannedBy,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+      permanent: this.isPermanent(),
+      liftedAt: this.liftedAt,
+      liftedBy: this.liftedBy
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table player_bans
+   * @returns {Ban}
+   */
+  static fromDB(row) {
+    return new Ban({
+      id: row.id,
+      playerId: row.player_id,
+      reason: row.reason,
+      bannedBy: row.banned_by,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      liftedAt: row.lifted_at,
+      liftedBy: row.lifted_by
+    });
+  }
+}
+
+module.exports = Ban;
@@ -0,0 +1,100 @@
+const { requirePresence } = require('../shared/Invariants');
+const { ValidationError } = require('../errors/DomainErrors');
+
+/**
+ * CHAT MESSAGE ENTITY
+ * One in-game chat line, as kept in the moderation log
+ */
+
+const CHANNELS = Object.freeze(['global', 'team']);
+
+/**
+ * Message de chat envoye en partie. Le texte diffuse (`message`) est la
+ * version filtree ; `rawMessage` garde la saisie originale pour la moderation.
+ * @class
+ */
+class ChatMessage {
+  /**
+   * @param {Object} data
+   * @param {number|null} [data.id=null] - Identifiant en base (null avant insertion)
+   * @param {string|null} [data.playerId=null] - UUID du compte, null pour un invite
+   * @param {string} data.nickname - Pseudo affiche au moment de l'envoi
+   * @param {string|null} [data.instanceId=null] - Partie (lobby) d'origine
+   * @param {'global'|'team'} [data.channel='global']
+   * @param {string} data.message - Texte filtre, tel que diffuse
+   * @param {string} [data.rawMessage=data.message] - Texte tel que saisi
+   * @param {boolean} [data.flagged=false] - Intercepte par le filtre
+   * @param {string|null} [data.flagReason=null]
+   * @param {number} [data.createdAt=Date.now()] - Timestamp (ms)
+   */
+  constructor({
+    id = null,
+    playerId = null,
+    nickname,
+    instanceId = null,
+    channel = 'global',
+    message,
+    rawMessage = message,
+    flagged = false,
+    flagReason = null,
+    createdAt = Date.now()
+  }) {
+    requirePresence(nickname, 'nickname');
+    requirePresence(message, 'message');
+    if (!CHANNELS.includes(channel)) {
+      throw new ValidationError(`Invalid chat channel: ${channel}`, 'channel');
+    }
+
+    this.id = id;
+    this.playerId = playerId;
+    this.nickname = nickname;
+    this.instanceId = instanceId;
+    this.channel = channel;
+    this.message = message;
+    this.rawMessage = rawMessage;
+    this.flagged = Boolean(flagged);
+    this.flagReason = flagReason;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      playerId: this.playerId,
+      nickname: this.nickname,
+      instanceId: this.instanceId,
+      channel: this.channel,
+      message: this.message,
+      rawMessage: this.rawMessage,
+      flagged: this.flagged,
+      flagReason: this.flagReason,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table chat_logs
+   * @returns {ChatMessage}
+   */
+  static fromDB(row) {
+    return new ChatMessage({
+      id: row.id,
+      playerId: row.player_id,
+      nickname: row.nickname,
+      instanceId: row.instance_id,
+      channel: row.channel,
+      message: row.message,
+      rawMessage: row.raw_message,
+      flagged: row.flagged === 1,
+      flagReason: row.flag_reason,
+      createdAt: row.created_at
+    });
+  }
+}
+
+ChatMessage.CHANNELS = CHANNELS;
+
+module.exports = ChatMessage;
@@ -0,0 +1,88 @@
+const { requirePresence, requireNonNegative } = require('../shared/Invariants');
+
+/**
+ * CHEAT VIOLATION ENTITY
+ * One anti-cheat detection in an account's evidence ledger
+ */
+
+/** Taille max du snapshot serialise : au-dela il est remplace par un marqueur. */
+const MAX_SNAPSHOT_LENGTH = 1024;
+
+/**
+ * Detection anti-cheat rattachee a un compte : type, ampleur (1 = a la
+ * limite) et petit etat du joueur au moment des faits.
+ * @class
+ */
+class CheatViolation {
+  /**
+   * @param {Object} data
+   * @param {number|null} [data.id=null] - Identifiant en base (null avant insertion)
+   * @param {string} data.playerId - UUID du compte
+   * @param {string} data.type - 'movement_budget', 'speed_multiplier', 'rate_limit'...
+   * @param {number} [data.magnitude=1] - Ampleur du depassement (>= 0)
+   * @param {Object|null} [data.snapshot=null] - Etat du joueur (position, budget...)
+   * @param {number} [data.createdAt=Date.now()] - Timestamp (ms)
+   */
+  constructor({ id = null, playerId, type, magnitude = 1, snapshot = null, createdAt = Date.now() }) {
+    requirePresence(playerId, 'playerId');
+    requirePresence(type, 'type');
+    requireNonNegative(magnitude, 'magnitude');
+
+    this.id = id;
+    this.playerId = playerId;
+    this.type = type;
+    this.magnitude = magnitude;
+    this.snapshot = snapshot;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * @returns {string|null} snapshot JSON borne a MAX_SNAPSHOT_LENGTH
+   */
+  serializeSnapshot() {
+    if (this.snapshot === null || this.snapshot === undefined) {
+      return null;
+    }
+    const json = JSON.stringify(this.snapshot);
+    return json.length > MAX_SNAPSHOT_LENGTH ? JSON.stringify({ truncated: true }) : json;
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      playerId: this.playerId,
+      type: this.type,
+      magnitude: this.magnitude,
+      snapshot: this.snapshot,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table anticheat_violations
+   * @returns {CheatViolation}
+   */
+  static fromDB(row) {
+    let snapshot = null;
+    if (row.snapshot) {
+      try {
+        snapshot = JSON.parse(row.snapshot);
+      } catch {
+        snapshot = null;
+      }
+    }
+    return new CheatViolation({
+      id: row.id,
+      playerId: row.player_id,
+      type: row.type,
+      magnitude: row.magnitude,
+      snapshot,
+      createdAt: row.created_at
+    });
+  }
+}
+
+module.exports = CheatViolation;
@@ -0,0 +1,134 @@
+const { requirePresence, requireNonNegative } = require('../shared/Invariants');
+
+/**
+ * CONTRACT PROGRESS ENTITY
+ * A player's weekly contract (multi-stage goal) and its progress
+ */
+
+/**
+ * Contrat hebdomadaire d'un joueur : une suite d'etapes a completer dans l'ordre.
+ * Seule l'etape courante progresse ; sa recompense doit etre reclamee pour
+ * debloquer la suivante.
+ * @class
+ */
+class ContractProgress {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte
+   * @param {string} data.weekStart - Lundi de la semaine (YYYY-MM-DD, UTC)
+   * @param {string} data.contractId - Identifiant du modele de contrat
+   * @param {Object[]} data.stages - { id, type, target, reward, progress, completed, claimed }
+   * @param {number} [data.currentStage=0] - Index de l'etape courante
+   * @param {number} [data.updatedAt=Date.now()] - Timestamp (ms)
+   */
+  constructor({ playerId, weekStart, contractId, stages, currentStage = 0, updatedAt = Date.now() }) {
+    requirePresence(playerId, 'playerId');
+    requirePresence(weekStart, 'weekStart');
+    requirePresence(contractId, 'contractId');
+    requirePresence(stages && stages.length, 'stages');
+    requireNonNegative(currentStage, 'currentStage');
+
+    this.playerId = playerId;
+    this.weekStart = weekStart;
+    this.contractId = contractId;
+    this.stages = stages.map(stage => ({
+      progress: 0,
+      completed: false,
+      claimed: false,
+      ...stage
+    }));
+    this.currentStage = Math.min(currentStage, this.stages.length - 1);
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * @returns {Object|null} Etape courante
+   */
+  getCurrentStage() {
+    return this.stages[this.currentStage] || null;
+  }
+
+  /**
+   * Fait progresser l'etape courante si elle correspond au type d'evenement.
+   * @param {string} type - 'kills' | 'waves' | 'boss' | 'gold' | 'runs'
+   * @param {number} amount
+   * @returns {boolean} true si l'etape vient d'etre terminee
+   */
+  applyProgress(type, amount) {
+    const stage = this.getCurrentStage();
+    if (!stage || stage.completed || stage.type !== type || !(amount > 0)) {
+      return false;
+    }
+    stage.progress = Math.min(stage.target, stage.progress + Math.floor(amount));
+    this.updatedAt = Date.now();
+    if (stage.progress >= stage.target) {
+      stage.completed = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @returns {boolean} true si l'etape courante est terminee et non reclamee
+   */
+  isClaimable() {
+    const stage = this.getCurrentStage();
+    return !!stage && stage.completed && !stage.claimed;
+  }
+
+  /**
+   * Marque l'etape courante comme reclamee et passe a la suivante.
+   * @returns {Object|null} L'etape reclamee, ou null si rien a reclamer
+   */
+  claimCurrentStage() {
+    if (!this.isClaimable()) {
+      return null;
+    }
+    const stage = this.getCurrentStage();
+    stage.claimed = true;
+    if (this.currentStage < this.stages.length - 1) {
+      this.currentStage += 1;
+    }
+    this.updatedAt = Date.now();
+    return stage;
+  }
+
+  /**
+   * @returns {boolean} true quand toutes les etapes sont reclamees
+   */
+  isFinished() {
+    return this.stages.every(stage => stage.claimed);
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      playerId: this.playerId,
+      weekStart: this.weekStart,
+      contractId: this.contractId,
+      currentStage: this.currentStage,
+      stages: this.stages.map(stage => ({ ...stage })),
+      finished: this.isFinished(),
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table player_contracts
+   * @returns {ContractProgress}
+   */
+  static fromDB(row) {
+    return new ContractProgress({
+      playerId: row.player_id,
+      weekStart: row.week_start,
+      contractId: row.contract_id,
+      stages: JSON.parse(row.stages_json),
+      currentStage: row.current_stage,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+module.exports = ContractProgress;
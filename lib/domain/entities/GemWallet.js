@@ -0,0 +1,81 @@
+const { requirePresence, requireNonNegative } = require('../shared/Invariants');
+
+/**
+ * GEM WALLET ENTITY
+ * Server-held premium currency balance of an account
+ */
+
+/**
+ * Solde de gems d'un compte. Les gems ne sont credites que par le serveur
+ * (fin de run, defis, contrats) et depenses via l'API ; le client ne fait
+ * qu'afficher ce solde.
+ * @class
+ */
+class GemWallet {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte
+   * @param {number} [data.balance=0] - Solde disponible
+   * @param {number} [data.totalEarned=0] - Total credite depuis la creation
+   * @param {number} [data.totalSpent=0] - Total depense depuis la creation
+   * @param {number} [data.updatedAt=Date.now()] - Timestamp (ms) du dernier mouvement
+   */
+  constructor({ playerId, balance = 0, totalEarned = 0, totalSpent = 0, updatedAt = Date.now() }) {
+    requirePresence(playerId, 'playerId');
+    requireNonNegative(balance, 'balance');
+    requireNonNegative(totalEarned, 'totalEarned');
+    requireNonNegative(totalSpent, 'totalSpent');
+
+    this.playerId = playerId;
+    this.balance = balance;
+    this.totalEarned = totalEarned;
+    this.totalSpent = totalSpent;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * @param {number} amount
+   * @returns {boolean}
+   */
+  canAfford(amount) {
+    return this.balance >= amount;
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      playerId: this.playerId,
+      balance: this.balance,
+      totalEarned: this.totalEarned,
+      totalSpent: this.totalSpent,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Portefeuille vide (compte sans aucun mouvement).
+   * @param {string} playerId
+   * @returns {GemWallet}
+   */
+  static empty(playerId) {
+    return new GemWallet({ playerId, updatedAt: null });
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table gem_wallets
+   * @returns {GemWallet}
+   */
+  static fromDB(row) {
+    return new GemWallet({
+      playerId: row.player_id,
+      balance: row.balance,
+      totalEarned: row.total_earned,
+      totalSpent: row.total_spent,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+module.exports = GemWallet;
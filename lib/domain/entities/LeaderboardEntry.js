@@ -22,6 +22,7 @@ class LeaderboardEntry {
    * @param {number} data.survivalTime - Temps de survie en secondes (>= 0)
    * @param {number} data.score - Score composite (>= 0)
    * @param {number} [data.createdAt=Date.now()] - Timestamp de creation
+   * @param {boolean} [data.flagged=false] - Soumise par un compte sous le seuil de confiance anti-cheat
    */
   constructor({
     id = null,
@@ -32,7 +33,8 @@ class LeaderboardEntry {
     kills,
     survivalTime,
     score,
-    createdAt = Date.now()
+    createdAt = Date.now(),
+    flagged = false
   }) {
     requirePresence(playerId, 'playerId');
     requirePresence(playerUsername, 'playerUsername');
@@ -60,6 +62,8 @@ class LeaderboardEntry {
     this.score = score;
     /** @type {number} */
     this.createdAt = createdAt;
+    /** @type {boolean} */
+    this.flagged = flagged;
   }
 
   /**
@@ -108,6 +112,8 @@ class LeaderboardEntry {
 
   /**
    * Convertit l'entree en objet simple pour la serialisation.
+   * `flagged` n'est pas expose : l'exclusion du classement reste invisible au joueur
+   * (voir toAdminObject).
    * @returns {Object} Representation plain object de l'entree
    */
   toObject() {
@@ -124,6 +130,14 @@ class LeaderboardEntry {
     };
   }
 
+  /**
+   * Comme toObject, avec `flagged` : reserve aux vues d'administration.
+   * @returns {Object} Representation plain object de l'entree
+   */
+  toAdminObject() {
+    return { ...this.toObject(), flagged: this.flagged };
+  }
+
   /**
    * Cree une instance LeaderboardEntry a partir d'une ligne de base de donnees.
    * @param {Object} row - Ligne brute de la base de donnees
@@ -140,7 +154,8 @@ class LeaderboardEntry {
       kills: row.kills,
       survivalTime: row.survival_time,
       score: row.score,
-      createdAt: row.created_at * 1000
+      createdAt: row.created_at * 1000,
+      flagged: row.flagged === 1
     });
   }
 }
@@ -0,0 +1,150 @@
+const { requirePresence } = require('../shared/Invariants');
+
+/**
+ * LIFETIME STATS ENTITY
+ * Account-wide totals and records, accumulated from server-recorded runs
+ */
+
+/**
+ * Statistiques cumulees d'un compte, alimentees uniquement par les runs
+ * enregistrees par le serveur.
+ * @class
+ */
+class LifetimeStats {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte
+   * @param {number} [data.totalRuns=0]
+   * @param {number} [data.totalDeaths=0]
+   * @param {number} [data.totalKills=0]
+   * @param {number} [data.totalBossKills=0]
+   * @param {number} [data.totalWaves=0]
+   * @param {number} [data.highestWave=0]
+   * @param {number} [data.highestLevel=0]
+   * @param {number} [data.bestScore=0]
+   * @param {number} [data.totalScore=0]
+   * @param {number} [data.totalPlayTime=0] - Secondes
+   * @param {number} [data.longestRun=0] - Secondes
+   * @param {number} [data.mostKillsInRun=0]
+   * @param {number} [data.totalGoldEarned=0]
+   * @param {number|null} [data.firstPlayedAt=null] - Timestamp (ms)
+   * @param {number|null} [data.lastPlayedAt=null] - Timestamp (ms)
+   */
+  constructor({
+    playerId,
+    totalRuns = 0,
+    totalDeaths = 0,
+    totalKills = 0,
+    totalBossKills = 0,
+    totalWaves = 0,
+    highestWave = 0,
+    highestLevel = 0,
+    bestScore = 0,
+    totalScore = 0,
+    totalPlayTime = 0,
+    longestRun = 0,
+    mostKillsInRun = 0,
+    totalGoldEarned = 0,
+    firstPlayedAt = null,
+    lastPlayedAt = null
+  }) {
+    requirePresence(playerId, 'playerId');
+
+    this.playerId = playerId;
+    this.totalRuns = totalRuns;
+    this.totalDeaths = totalDeaths;
+    this.totalKills = totalKills;
+    this.totalBossKills = totalBossKills;
+    this.totalWaves = totalWaves;
+    this.highestWave = highestWave;
+    this.highestLevel = highestLevel;
+    this.bestScore = bestScore;
+    this.totalScore = totalScore;
+    this.totalPlayTime = totalPlayTime;
+    this.longestRun = longestRun;
+    this.mostKillsInRun = mostKillsInRun;
+    this.totalGoldEarned = totalGoldEarned;
+    this.firstPlayedAt = firstPlayedAt;
+    this.lastPlayedAt = lastPlayedAt;
+  }
+
+  /**
+   * Cumule une run terminee.
+   * @param {import('./RunRecord')} record
+   * @param {number} [goldEarned=0] - Or ramasse pendant la run
+   */
+  recordRun(record, goldEarned = 0) {
+    this.totalRuns += 1;
+    if (record.outcome === 'death') {
+      this.totalDeaths += 1;
+    }
+    this.totalKills += record.kills;
+    this.totalBossKills += record.bossKills;
+    this.totalWaves += record.wave;
+    this.highestWave = Math.max(this.highestWave, record.wave);
+    this.highestLevel = Math.max(this.highestLevel, record.level);
+    this.bestScore = Math.max(this.bestScore, record.score);
+    this.totalScore += record.score;
+    this.totalPlayTime += record.survivalTime;
+    this.longestRun = Math.max(this.longestRun, record.survivalTime);
+    this.mostKillsInRun = Math.max(this.mostKillsInRun, record.kills);
+    this.totalGoldEarned += Math.max(0, Math.floor(goldEarned));
+
+    const playedAt = record.endedAt || Date.now();
+    if (this.firstPlayedAt === null) {
+      this.firstPlayedAt = record.startedAt || playedAt;
+    }
+    this.lastPlayedAt = Math.max(this.lastPlayedAt || 0, playedAt);
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      playerId: this.playerId,
+      totalRuns: this.totalRuns,
+      totalDeaths: this.totalDeaths,
+      totalKills: this.totalKills,
+      totalBossKills: this.totalBossKills,
+      totalWaves: this.totalWaves,
+      highestWave: this.highestWave,
+      highestLevel: this.highestLevel,
+      bestScore: this.bestScore,
+      totalScore: this.totalScore,
+      totalPlayTime: this.totalPlayTime,
+      longestRun: this.longestRun,
+      mostKillsInRun: this.mostKillsInRun,
+      totalGoldEarned: this.totalGoldEarned,
+      firstPlayedAt: this.firstPlayedAt,
+      lastPlayedAt: this.lastPlayedAt
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table lifetime_stats
+   * @returns {LifetimeStats}
+   */
+  static fromDB(row) {
+    return new LifetimeStats({
+      playerId: row.player_id,
+      totalRuns: row.total_runs,
+      totalDeaths: row.total_deaths,
+      totalKills: row.total_kills,
+      totalBossKills: row.total_boss_kills,
+      totalWaves: row.total_waves,
+      highestWave: row.highest_wave,
+      highestLevel: row.highest_level,
+      bestScore: row.best_score,
+      totalScore: row.total_score,
+      totalPlayTime: row.total_play_time,
+      longestRun: row.longest_run,
+      mostKillsInRun: row.most_kills_in_run,
+      totalGoldEarned: row.total_gold_earned,
+      firstPlayedAt: row.first_played_at,
+      lastPlayedAt: row.last_played_at
+    });
+  }
+}
+
+module.exports = LifetimeStats;
@@ -0,0 +1,102 @@
+const { requirePresence } = require('../shared/Invariants');
+const { ValidationError } = require('../errors/DomainErrors');
+
+/**
+ * RELATIONSHIP ENTITY
+ * Directed link between two accounts: friend, blocked or muted
+ */
+
+const TYPES = Object.freeze(['friend', 'blocked', 'muted']);
+const STATUSES = Object.freeze(['pending', 'active']);
+
+/**
+ * Lien oriente d'un compte (`playerId`) vers un autre (`targetPlayerId`).
+ * Une amitie acceptee existe dans les deux sens ; une demande en attente
+ * n'existe que du demandeur vers la cible, avec le statut 'pending'.
+ * Blocages et sourdines sont toujours 'active' et unilateraux.
+ * @class
+ */
+class Relationship {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte proprietaire du lien
+   * @param {string} data.targetPlayerId - UUID du compte cible
+   * @param {'friend'|'blocked'|'muted'} data.type
+   * @param {'pending'|'active'} [data.status='active']
+   * @param {number} [data.createdAt=Date.now()] - Timestamp (ms)
+   * @param {string|null} [data.targetUsername=null] - Pseudo de la cible (lecture seule, jointure)
+   * @param {string|null} [data.playerUsername=null] - Pseudo du proprietaire (lecture seule, jointure)
+   */
+  constructor({
+    playerId,
+    targetPlayerId,
+    type,
+    status = 'active',
+    createdAt = Date.now(),
+    targetUsername = null,
+    playerUsername = null
+  }) {
+    requirePresence(playerId, 'playerId');
+    requirePresence(targetPlayerId, 'targetPlayerId');
+    if (playerId === targetPlayerId) {
+      throw new ValidationError('A player cannot target themselves', 'targetPlayerId');
+    }
+    if (!TYPES.includes(type)) {
+      throw new ValidationError(`Invalid relationship type: ${type}`, 'type');
+    }
+    if (!STATUSES.includes(status) || (status === 'pending' && type !== 'friend')) {
+      throw new ValidationError(`Invalid relationship status: ${status}`, 'status');
+    }
+
+    this.playerId = playerId;
+    this.targetPlayerId = targetPlayerId;
+    this.type = type;
+    this.status = status;
+    this.createdAt = createdAt;
+    this.targetUsername = targetUsername;
+    this.playerUsername = playerUsername;
+  }
+
+  /**
+   * @returns {boolean} Demande d'ami en attente
+   */
+  isPending() {
+    return this.status === 'pending';
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      playerId: this.playerId,
+      targetPlayerId: this.targetPlayerId,
+      type: this.type,
+      status: this.status,
+      createdAt: this.createdAt,
+      targetUsername: this.targetUsername,
+      playerUsername: this.playerUsername
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de player_relationships (+ pseudos joints)
+   * @returns {Relationship}
+   */
+  static fromDB(row) {
+    return new Relationship({
+      playerId: row.player_id,
+      targetPlayerId: row.target_player_id,
+      type: row.relationship_type,
+      status: row.status,
+      createdAt: row.created_at,
+      targetUsername: row.target_username || null,
+      playerUsername: row.player_username || null
+    });
+  }
+}
+
+Relationship.TYPES = TYPES;
+Relationship.STATUSES = STATUSES;
+
+module.exports = Relationship;
@@ -0,0 +1,155 @@
+const { requirePresence, requireNonNegative } = require('../shared/Invariants');
+
+/**
+ * RUN RECORD ENTITY
+ * Server-held outcome of a single run (spawn → death)
+ */
+
+/**
+ * Resultat d'une run tel qu'observe par la boucle de jeu serveur.
+ * Seule source de verite pour les entrees du classement et l'XP de compte :
+ * les valeurs ne proviennent jamais du client.
+ * @class
+ */
+class RunRecord {
+  /**
+   * @param {Object} data
+   * @param {string} data.runId - UUID de la run (attribue au spawn)
+   * @param {string} data.playerId - UUID du compte
+   * @param {string|null} [data.instanceId=null] - Instance ou la run s'est jouee
+   * @param {'death'} [data.outcome='death'] - Fin de run (seule la mort est enregistree)
+   * @param {number} data.wave - Vague atteinte
+   * @param {number} data.level - Niveau atteint
+   * @param {number} data.kills - Nombre de kills
+   * @param {number} data.survivalTime - Temps de survie en secondes
+   * @param {number} [data.comboMax=0]
+   * @param {number} [data.bossKills=0]
+   * @param {number} data.score - Score composite (LeaderboardEntry.calculateScore)
+   * @param {number} data.xpEarned - XP de compte due pour cette run
+   * @param {number} [data.startedAt] - Timestamp (ms) du spawn
+   * @param {number} [data.endedAt=Date.now()] - Timestamp (ms) de fin
+   * @param {number|null} [data.xpGrantedAt=null] - Timestamp (ms) d'attribution de l'XP
+   * @param {number|null} [data.submittedAt=null] - Timestamp (ms) de soumission au classement
+   */
+  constructor({
+    runId,
+    playerId,
+    instanceId = null,
+    outcome = 'death',
+    wave,
+    level,
+    kills,
+    survivalTime,
+    comboMax = 0,
+    bossKills = 0,
+    score,
+    xpEarned,
+    startedAt = null,
+    endedAt = Date.now(),
+    xpGrantedAt = null,
+    submittedAt = null
+  }) {
+    requirePresence(runId, 'runId');
+    requirePresence(playerId, 'playerId');
+    requireNonNegative(wave, 'wave');
+    requireNonNegative(level, 'level');
+    requireNonNegative(kills, 'kills');
+    requireNonNegative(survivalTime, 'survivalTime');
+    requireNonNegative(score, 'score');
+    requireNonNegative(xpEarned, 'xpEarned');
+
+    this.runId = runId;
+    this.playerId = playerId;
+    this.instanceId = instanceId;
+    this.outcome = outcome;
+    this.wave = wave;
+    this.level = level;
+    this.kills = kills;
+    this.survivalTime = survivalTime;
+    this.comboMax = comboMax;
+    this.bossKills = bossKills;
+    this.score = score;
+    this.xpEarned = xpEarned;
+    this.startedAt = startedAt;
+    this.endedAt = endedAt;
+    this.xpGrantedAt = xpGrantedAt;
+    this.submittedAt = submittedAt;
+  }
+
+  /** @returns {boolean} */
+  isXpGranted() {
+    return this.xpGrantedAt !== null;
+  }
+
+  /** @returns {boolean} */
+  isSubmitted() {
+    return this.submittedAt !== null;
+  }
+
+  /**
+   * Stats au format attendu par AddAccountXPUseCase / AchievementService.
+   * @returns {Object}
+   */
+  toGameStats() {
+    return {
+      wave: this.wave,
+      level: this.level,
+      kills: this.kills,
+      survivalTimeSeconds: this.survivalTime,
+      comboMax: this.comboMax,
+      bossKills: this.bossKills,
+      score: this.score
+    };
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      runId: this.runId,
+      playerId: this.playerId,
+      instanceId: this.instanceId,
+      outcome: this.outcome,
+      wave: this.wave,
+      level: this.level,
+      kills: this.kills,
+      survivalTime: this.survivalTime,
+      comboMax: this.comboMax,
+      bossKills: this.bossKills,
+      score: this.score,
+      xpEarned: this.xpEarned,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      xpGranted: this.isXpGranted(),
+      submitted: this.isSubmitted()
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table run_records
+   * @returns {RunRecord}
+   */
+  static fromDB(row) {
+    return new RunRecord({
+      runId: row.run_id,
+      playerId: row.player_id,
+      instanceId: row.instance_id,
+      outcome: row.outcome,
+      wave: row.wave,
+      level: row.level,
+      kills: row.kills,
+      survivalTime: row.survival_time,
+      comboMax: row.combo_max,
+      bossKills: row.boss_kills,
+      score: row.score,
+      xpEarned: row.xp_earned,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      xpGrantedAt: row.xp_granted_at,
+      submittedAt: row.submitted_at
+    });
+  }
+}
+
+module.exports = RunRecord;
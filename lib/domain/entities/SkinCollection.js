@@ -0,0 +1,88 @@
+const { requirePresence } = require('../shared/Invariants');
+
+/**
+ * SKIN COLLECTION ENTITY
+ * Skins owned and equipped by an account
+ */
+
+const SKIN_TYPES = ['player', 'weapon'];
+const DEFAULT_SKIN = 'default';
+
+/**
+ * Skins possedes et equipes par un compte, par type (joueur / arme).
+ * Le skin 'default' est toujours possede et equipe quand aucun autre ne l'est.
+ * @class
+ */
+class SkinCollection {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte
+   * @param {{player: string[], weapon: string[]}} [data.owned] - Skins possedes par type
+   * @param {{player: string, weapon: string}} [data.equipped] - Skin equipe par type
+   */
+  constructor({ playerId, owned = {}, equipped = {} }) {
+    requirePresence(playerId, 'playerId');
+
+    this.playerId = playerId;
+    this.owned = {};
+    this.equipped = {};
+    for (const type of SKIN_TYPES) {
+      const ids = new Set([DEFAULT_SKIN, ...(owned[type] || [])]);
+      this.owned[type] = [...ids];
+      this.equipped[type] = equipped[type] && ids.has(equipped[type]) ? equipped[type] : DEFAULT_SKIN;
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isValidType(type) {
+    return SKIN_TYPES.includes(type);
+  }
+
+  /**
+   * @param {string} type - 'player' | 'weapon'
+   * @param {string} skinId
+   * @returns {boolean}
+   */
+  owns(type, skinId) {
+    return !!this.owned[type] && this.owned[type].includes(skinId);
+  }
+
+  /**
+   * @returns {Object} Representation plain object
+   */
+  toObject() {
+    return {
+      playerId: this.playerId,
+      owned: { player: [...this.owned.player], weapon: [...this.owned.weapon] },
+      equipped: { ...this.equipped }
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {Object[]} rows - Lignes brutes de la table player_skins
+   * @returns {SkinCollection}
+   */
+  static fromRows(playerId, rows) {
+    const owned = { player: [], weapon: [] };
+    const equipped = {};
+    for (const row of rows) {
+      if (!owned[row.skin_type]) {
+        continue;
+      }
+      owned[row.skin_type].push(row.skin_id);
+      if (row.equipped) {
+        equipped[row.skin_type] = row.skin_id;
+      }
+    }
+    return new SkinCollection({ playerId, owned, equipped });
+  }
+}
+
+SkinCollection.SKIN_TYPES = SKIN_TYPES;
+SkinCollection.DEFAULT_SKIN = DEFAULT_SKIN;
+
+module.exports = SkinCollection;
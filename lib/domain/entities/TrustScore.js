@@ -0,0 +1,106 @@
+const { requirePresence } = require('../shared/Invariants');
+
+/**
+ * TRUST SCORE ENTITY
+ * Per-account anti-cheat trust, decaying back to full over time
+ */
+
+/** Score d'un compte sans aucune detection. */
+const MAX_TRUST = 100;
+/** Au-dela de 100 la penalite ne change plus le score, mais retarderait le retour. */
+const MAX_PENALTY = MAX_TRUST * 2;
+
+/**
+ * Confiance anti-cheat d'un compte. La penalite (points perdus) est stockee
+ * telle qu'a `updatedAt` et decroit exponentiellement : elle est divisee par
+ * deux a chaque `halfLifeMs`. Score = 100 - penalite decrue, borne a [0, 100].
+ * @class
+ */
+class TrustScore {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte
+   * @param {number} [data.penalty=0] - Points perdus a `updatedAt`
+   * @param {number} [data.violationCount=0] - Nombre total de detections
+   * @param {number|null} [data.lastViolationAt=null] - Derniere detection (ms)
+   * @param {number} [data.updatedAt=Date.now()] - Date de la penalite stockee (ms)
+   */
+  constructor({ playerId, penalty = 0, violationCount = 0, lastViolationAt = null, updatedAt = Date.now() }) {
+    requirePresence(playerId, 'playerId');
+
+    this.playerId = playerId;
+    this.penalty = Math.max(0, penalty);
+    this.violationCount = violationCount;
+    this.lastViolationAt = lastViolationAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * @param {number} now - ms
+   * @param {number} halfLifeMs
+   * @returns {number} penalite decrue a `now`
+   */
+  penaltyAt(now, halfLifeMs) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    return this.penalty * Math.pow(0.5, elapsed / halfLifeMs);
+  }
+
+  /**
+   * @param {number} now - ms
+   * @param {number} halfLifeMs
+   * @returns {number} score de confiance entre 0 et 100
+   */
+  scoreAt(now, halfLifeMs) {
+    return Math.max(0, MAX_TRUST - this.penaltyAt(now, halfLifeMs));
+  }
+
+  /**
+   * Applique une nouvelle detection (immutable).
+   * @param {number} amount - Points retires
+   * @param {number} now - ms
+   * @param {number} halfLifeMs
+   * @returns {TrustScore}
+   */
+  withViolation(amount, now, halfLifeMs) {
+    return new TrustScore({
+      playerId: this.playerId,
+      penalty: Math.min(MAX_PENALTY, this.penaltyAt(now, halfLifeMs) + amount),
+      violationCount: this.violationCount + 1,
+      lastViolationAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * @param {number} now - ms
+   * @param {number} halfLifeMs
+   * @returns {Object} Representation plain object (score arrondi a 0.1)
+   */
+  toObject(now, halfLifeMs) {
+    return {
+      playerId: this.playerId,
+      trustScore: Math.round(this.scoreAt(now, halfLifeMs) * 10) / 10,
+      violationCount: this.violationCount,
+      lastViolationAt: this.lastViolationAt
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table player_trust
+   * @returns {TrustScore}
+   */
+  static fromDB(row) {
+    return new TrustScore({
+      playerId: row.player_id,
+      penalty: row.penalty,
+      violationCount: row.violation_count,
+      lastViolationAt: row.last_violation_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+TrustScore.MAX_TRUST = MAX_TRUST;
+TrustScore.MAX_PENALTY = MAX_PENALTY;
+
+module.exports = TrustScore;
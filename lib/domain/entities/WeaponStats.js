@@ -0,0 +1,110 @@
+const { requirePresence } = require('../shared/Invariants');
+
+/**
+ * WEAPON STATS ENTITY
+ * Per-account, per-weapon totals, accumulated from server-recorded runs
+ */
+
+/**
+ * Statistiques cumulees d'un compte pour une arme, alimentees par les
+ * compteurs serveur de chaque run (tirs, touches, kills, degats).
+ * @class
+ */
+class WeaponStats {
+  /**
+   * @param {Object} data
+   * @param {string} data.playerId - UUID du compte
+   * @param {string} data.weaponId - Cle de WEAPONS
+   * @param {number} [data.timesUsed=0] - Runs ou l'arme a tire
+   * @param {number} [data.shotsFired=0] - Balles tirees (chaque plomb compte)
+   * @param {number} [data.shotsHit=0] - Balles ayant touche au moins un zombie
+   * @param {number} [data.kills=0]
+   * @param {number} [data.damageDealt=0]
+   * @param {number} [data.activeTime=0] - Temps de tir (ms), base du DPS
+   * @param {boolean} [data.flagged=false] - Une run au moins ajoutee sous le seuil de confiance anti-cheat
+   * @param {number|null} [data.updatedAt=null] - Timestamp (ms)
+   */
+  constructor({
+    playerId,
+    weaponId,
+    timesUsed = 0,
+    shotsFired = 0,
+    shotsHit = 0,
+    kills = 0,
+    damageDealt = 0,
+    activeTime = 0,
+    flagged = false,
+    updatedAt = null
+  }) {
+    requirePresence(playerId, 'playerId');
+    requirePresence(weaponId, 'weaponId');
+
+    this.playerId = playerId;
+    this.weaponId = weaponId;
+    this.timesUsed = timesUsed;
+    this.shotsFired = shotsFired;
+    this.shotsHit = shotsHit;
+    this.kills = kills;
+    this.damageDealt = damageDealt;
+    this.activeTime = activeTime;
+    this.flagged = flagged;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Part des balles qui ont touche (0..1), 0 sans tir.
+   * @returns {number}
+   */
+  getAccuracy() {
+    return this.shotsFired > 0 ? Math.min(1, this.shotsHit / this.shotsFired) : 0;
+  }
+
+  /**
+   * Degats par seconde de tir, 0 sans temps de tir.
+   * @returns {number}
+   */
+  getDps() {
+    return this.activeTime > 0 ? this.damageDealt / (this.activeTime / 1000) : 0;
+  }
+
+  /**
+   * @returns {Object} Representation plain object (avec precision et DPS).
+   * `flagged` n'est pas expose : l'exclusion du classement reste invisible au joueur
+   */
+  toObject() {
+    return {
+      playerId: this.playerId,
+      weaponId: this.weaponId,
+      timesUsed: this.timesUsed,
+      shotsFired: this.shotsFired,
+      shotsHit: this.shotsHit,
+      kills: this.kills,
+      damageDealt: this.damageDealt,
+      activeTime: this.activeTime,
+      accuracy: Math.round(this.getAccuracy() * 1000) / 1000,
+      dps: Math.round(this.getDps() * 10) / 10,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * @param {Object} row - Ligne brute de la table weapon_stats
+   * @returns {WeaponStats}
+   */
+  static fromDB(row) {
+    return new WeaponStats({
+      playerId: row.player_id,
+      weaponId: row.weapon_id,
+      timesUsed: row.times_used,
+      shotsFired: row.shots_fired,
+      shotsHit: row.shots_hit,
+      kills: row.kills,
+      damageDealt: row.damage_dealt,
+      activeTime: row.active_time,
+      flagged: row.flagged === 1,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+module.exports = WeaponStats;
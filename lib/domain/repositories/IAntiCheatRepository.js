@@ -0,0 +1,50 @@
+/**
+ * ANTI-CHEAT REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IAntiCheatRepository {
+  /**
+   * Append a violation to the ledger and add its penalty to the account's
+   * decayed trust penalty (as TrustScore#withViolation), atomically: the
+   * stored trust is never read back and rewritten, so concurrent reports
+   * all count. Sets violation.id.
+   * @param {CheatViolation} violation
+   * @param {number} amount - trust points lost
+   * @param {number} halfLifeMs
+   * @returns {Promise<TrustScore>} the account's trust after the violation
+   */
+  async recordViolation(_violation, _amount, _halfLifeMs) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<TrustScore|null>} null for an account never flagged
+   */
+  async findTrust(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Accounts whose stored (not yet decayed) penalty is at least `minPenalty`, highest first.
+   * @param {number} minPenalty
+   * @param {number} limit
+   * @returns {Promise<TrustScore[]>}
+   */
+  async findTrustByMinPenalty(_minPenalty, _limit) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * An account's violations, newest first.
+   * @param {string} playerId
+   * @param {{limit?: number, before?: number}} [options] - before: createdAt (ms) cursor
+   * @returns {Promise<CheatViolation[]>}
+   */
+  async findViolations(_playerId, _options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IAntiCheatRepository;
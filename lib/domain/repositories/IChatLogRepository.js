@@ -0,0 +1,25 @@
+/**
+ * CHAT LOG REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IChatLogRepository {
+  /**
+   * @param {ChatMessage} message
+   * @returns {Promise<ChatMessage>} the message with its id
+   */
+  async save(_message) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Flagged messages, newest first.
+   * @param {{limit?: number, before?: number}} [options] - before: createdAt (ms) cursor
+   * @returns {Promise<ChatMessage[]>}
+   */
+  async findFlagged(_options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IChatLogRepository;
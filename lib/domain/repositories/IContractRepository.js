@@ -0,0 +1,26 @@
+/**
+ * CONTRACT REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IContractRepository {
+  /**
+   * @param {string} playerId
+   * @param {string} weekStart - YYYY-MM-DD
+   * @returns {Promise<ContractProgress|null>}
+   */
+  async findByPlayerAndWeek(_playerId, _weekStart) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Insert or replace the player's contract for its week.
+   * @param {ContractProgress} contract
+   * @returns {Promise<ContractProgress>}
+   */
+  async save(_contract) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IContractRepository;
@@ -0,0 +1,73 @@
+/**
+ * GEM WALLET REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IGemWalletRepository {
+  /**
+   * @param {string} playerId
+   * @returns {Promise<GemWallet>} empty wallet when the account never had gems
+   */
+  async findByPlayerId(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Add gems and write the ledger entry atomically. A (reason, reference)
+   * pair is credited at most once per player.
+   * @param {string} playerId
+   * @param {number} amount - > 0
+   * @param {string} reason - 'run' | 'daily_challenge' | 'contract'
+   * @param {string} reference - runId, challenge or stage id
+   * @returns {Promise<GemWallet|null>} null if that reward was already credited
+   */
+  async credit(_playerId, _amount, _reason, _reference) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove gems and write the ledger entry atomically.
+   * @param {string} playerId
+   * @param {number} amount - > 0
+   * @param {string} reason - 'shop' | 'skin'
+   * @param {string} reference - shop item or skin id
+   * @returns {Promise<GemWallet|null>} null if the balance is too low
+   */
+  async debit(_playerId, _amount, _reason, _reference) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Like debit, for a purchase that can only happen once: the ledger check
+   * and the debit run in one transaction.
+   * @param {string} playerId
+   * @param {number} amount - > 0
+   * @param {string} reason - 'shop'
+   * @param {string} reference - permanent shop item id
+   * @returns {Promise<GemWallet|null>} null if already bought or the balance is too low
+   */
+  async debitOnce(_playerId, _amount, _reason, _reference) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} reason
+   * @param {string} reference
+   * @returns {Promise<boolean>}
+   */
+  async hasTransaction(_playerId, _reason, _reference) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} [limit=20]
+   * @returns {Promise<Object[]>} most recent first: { amount, reason, reference, createdAt }
+   */
+  async getTransactions(_playerId, _limit) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IGemWalletRepository;
@@ -41,6 +41,15 @@ class ILeaderboardRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Get entries flagged by the anti-cheat, best first
+   * @param {number} limit
+   * @returns {Promise<LeaderboardEntry[]>}
+   */
+  async getFlagged(_limit = 50) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Get player's rank
    * @param {string} playerId
@@ -51,7 +60,7 @@ class ILeaderboardRepository {
   }
 
   /**
-   * Clean up old entries (keep top N)
+   * Clean up old entries (keep top N, flagged entries counted apart)
    * @param {number} keepCount
    * @returns {Promise<number>}
    */
@@ -0,0 +1,24 @@
+/**
+ * LIFETIME STATS REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class ILifetimeStatsRepository {
+  /**
+   * @param {string} playerId
+   * @returns {Promise<LifetimeStats|null>}
+   */
+  async findByPlayerId(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {LifetimeStats} stats
+   * @returns {Promise<LifetimeStats>}
+   */
+  async save(_stats) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = ILifetimeStatsRepository;
@@ -0,0 +1,63 @@
+/**
+ * MODERATION REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IModerationRepository {
+  /**
+   * @param {Ban} ban
+   * @returns {Promise<Ban>} the ban with its id
+   */
+  async saveBan(_ban) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Bans neither lifted nor expired at `now`.
+   * @param {number} now - ms
+   * @returns {Promise<Ban[]>}
+   */
+  async findActiveBans(_now) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Every ban, newest first.
+   * @param {{limit?: number, before?: number}} [options] - before: createdAt (ms) cursor
+   * @returns {Promise<Ban[]>}
+   */
+  async findBans(_options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Lift the active bans of an account.
+   * @param {string} playerId
+   * @param {string} liftedBy
+   * @param {number} now - ms
+   * @returns {Promise<number>} number of bans lifted
+   */
+  async liftBans(_playerId, _liftedBy, _now) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {{action: string, actor: string, targetId: string, reason?: string|null,
+   *          expiresAt?: number|null, createdAt: number}} entry
+   * @returns {Promise<Object>} the entry with its id
+   */
+  async logAction(_entry) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Audit log entries, newest first.
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<Object[]>}
+   */
+  async findAuditLog(_options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IModerationRepository;
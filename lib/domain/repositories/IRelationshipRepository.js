@@ -0,0 +1,76 @@
+/**
+ * RELATIONSHIP REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IRelationshipRepository {
+  /**
+   * @param {string} playerId
+   * @param {string} targetPlayerId
+   * @param {'friend'|'blocked'|'muted'} type
+   * @returns {Promise<Relationship|null>}
+   */
+  async find(_playerId, _targetPlayerId, _type) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Outgoing links of a player (with target usernames).
+   * @param {string} playerId
+   * @returns {Promise<Relationship[]>}
+   */
+  async findByPlayer(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Friend requests waiting for this player's answer (with requester usernames).
+   * @param {string} playerId
+   * @returns {Promise<Relationship[]>}
+   */
+  async findIncomingRequests(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Insert or replace a link.
+   * @param {Relationship} relationship
+   * @returns {Promise<Relationship>}
+   */
+  async save(_relationship) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} targetPlayerId
+   * @param {'friend'|'blocked'|'muted'} type
+   * @returns {Promise<boolean>} true if a link was removed
+   */
+  async remove(_playerId, _targetPlayerId, _type) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically turn requester → accepter pending request into an active
+   * friendship in both directions.
+   * @param {string} requesterId
+   * @param {string} accepterId
+   * @returns {Promise<boolean>} false if no pending request existed
+   */
+  async acceptFriendRequest(_requesterId, _accepterId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove friend links (active or pending) in both directions.
+   * @param {string} playerId
+   * @param {string} otherPlayerId
+   * @returns {Promise<boolean>} true if anything was removed
+   */
+  async removeFriendship(_playerId, _otherPlayerId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IRelationshipRepository;
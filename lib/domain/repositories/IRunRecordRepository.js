@@ -0,0 +1,82 @@
+/**
+ * RUN RECORD REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IRunRecordRepository {
+  /**
+   * Persist a run record. Must be idempotent on runId (retries re-send the same run).
+   * @param {RunRecord} record
+   * @returns {Promise<RunRecord>} the stored record (existing one if already saved)
+   */
+  async save(_record) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<RunRecord|null>}
+   */
+  async findById(_runId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically mark the run's XP as granted.
+   * @param {string} runId
+   * @param {string} playerId - owner check
+   * @returns {Promise<boolean>} false if unknown, not owned, or already granted
+   */
+  async claimXpGrant(_runId, _playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Undo claimXpGrant after a failed grant so it can be retried.
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async releaseXpGrant(_runId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically mark the run as submitted to the leaderboard.
+   * @param {string} runId
+   * @param {string} playerId - owner check
+   * @returns {Promise<boolean>} false if unknown, not owned, or already submitted
+   */
+  async claimLeaderboardSubmission(_runId, _playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Undo claimLeaderboardSubmission after a failed insert so it can be retried.
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async releaseLeaderboardSubmission(_runId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically mark the run's rewards (gems, contract, lifetime stats) as applied.
+   * @param {string} runId
+   * @param {string} playerId - owner check
+   * @returns {Promise<boolean>} false if unknown, not owned, or already applied
+   */
+  async claimRewards(_runId, _playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Undo claimRewards after a failed application so it can be retried.
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async releaseRewards(_runId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IRunRecordRepository;
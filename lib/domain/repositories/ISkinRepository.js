@@ -0,0 +1,48 @@
+/**
+ * SKIN REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class ISkinRepository {
+  /**
+   * @param {string} playerId
+   * @returns {Promise<SkinCollection>}
+   */
+  async findByPlayerId(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} type - 'player' | 'weapon'
+   * @param {string} skinId
+   * @returns {Promise<boolean>} false if already owned
+   */
+  async grant(_playerId, _type, _skinId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Undo a grant (failed purchase compensation).
+   * @param {string} playerId
+   * @param {string} type
+   * @param {string} skinId
+   * @returns {Promise<void>}
+   */
+  async revoke(_playerId, _type, _skinId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Equip an owned skin; equipping 'default' just unequips the others.
+   * @param {string} playerId
+   * @param {string} type
+   * @param {string} skinId
+   * @returns {Promise<void>}
+   */
+  async equip(_playerId, _type, _skinId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = ISkinRepository;
@@ -0,0 +1,39 @@
+/**
+ * WEAPON STATS REPOSITORY INTERFACE
+ * Domain layer - no implementation details
+ */
+
+class IWeaponStatsRepository {
+  /**
+   * @param {string} playerId
+   * @returns {Promise<WeaponStats[]>}
+   */
+  async findByPlayerId(_playerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Add one run's per-weapon totals to the account rows, atomically.
+   * @param {string} playerId
+   * @param {Array<{weaponId: string, shotsFired: number, shotsHit: number, kills: number,
+   *   damageDealt: number, activeTime: number}>} totals
+   * @param {number} now - ms
+   * @param {boolean} [flagged=false] - Run added below the anti-cheat trust threshold;
+   *   marks the rows for good
+   * @returns {Promise<void>}
+   */
+  async addRunTotals(_playerId, _totals, _now, _flagged) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} weaponId
+   * @param {{sort: 'kills'|'damage'|'accuracy'|'dps', limit: number, minShots: number}} options
+   * @returns {Promise<Array<{stats: WeaponStats, username: string}>>}
+   */
+  async findTopByWeapon(_weaponId, _options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IWeaponStatsRepository;
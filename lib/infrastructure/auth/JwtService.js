@@ -11,6 +11,8 @@ class JwtService {
     this.logger = logger;
     this.secret = process.env.JWT_SECRET || this.generateSecret();
     this.expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+    /** @type {((userId: string) => Object|null)|null} */
+    this.banChecker = null;
 
     if (!process.env.JWT_SECRET) {
       this.logger.warn(
@@ -94,6 +96,37 @@ class JwtService {
     }
   }
 
+  /**
+   * Identifiant d'un token signé par ce serveur, même expiré (login d'un
+   * joueur qui revient avec son ancien token).
+   * @param {string} token
+   * @returns {string|null}
+   */
+  readUserId(token) {
+    try {
+      const decoded = jwt.verify(token, this.secret, { ignoreExpiration: true });
+      return typeof decoded.userId === 'string' ? decoded.userId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Branche la vérification des bannissements (ModerationService.getActiveBan).
+   * @param {(userId: string) => Object|null} checker
+   */
+  setBanChecker(checker) {
+    this.banChecker = checker;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Object|null} ban en vigueur pour ce compte
+   */
+  getActiveBan(userId) {
+    return this.banChecker && userId ? this.banChecker(userId) || null : null;
+  }
+
   /**
    * Décode un token sans vérifier la signature (pour inspection)
    * @param {string} token
@@ -143,6 +176,17 @@ class JwtService {
         return next(new Error('Invalid or expired token'));
       }
 
+      const ban = this.getActiveBan(decoded.userId);
+      if (ban) {
+        this.logger.warn('Socket connection from banned account', {
+          socketId: socket.id,
+          userId: decoded.userId
+        });
+        const err = new Error('Account banned');
+        err.data = { code: 'ACCOUNT_BANNED', reason: ban.reason, expiresAt: ban.expiresAt };
+        return next(err);
+      }
+
       // Attacher les infos utilisateur au socket
       socket.userId = decoded.userId;
       socket.username = decoded.username;
@@ -0,0 +1,129 @@
+/**
+ * SQLITE ANTI-CHEAT REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IAntiCheatRepository = require('../../domain/repositories/IAntiCheatRepository');
+const CheatViolation = require('../../domain/entities/CheatViolation');
+const TrustScore = require('../../domain/entities/TrustScore');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteAntiCheatRepository extends IAntiCheatRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+    this._record = this.db.transaction((violation, amount, halfLifeMs) => {
+      const result = this.stmts.insertViolation.run(
+        violation.playerId,
+        violation.type,
+        violation.magnitude,
+        violation.serializeSnapshot(),
+        violation.createdAt
+      );
+      const trustRow = this.stmts.addPenalty.get({
+        playerId: violation.playerId,
+        amount,
+        halfLifeMs,
+        now: violation.createdAt,
+        maxPenalty: TrustScore.MAX_PENALTY
+      });
+      return { id: Number(result.lastInsertRowid), trustRow };
+    });
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      insertViolation: this.db.prepare(`
+        INSERT INTO anticheat_violations (player_id, type, magnitude, snapshot, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      // Decay the stored penalty to @now and add the new one in the same statement
+      addPenalty: this.db.prepare(`
+        INSERT INTO player_trust (player_id, penalty, violation_count, last_violation_at, updated_at)
+        VALUES (@playerId, MIN(@maxPenalty, @amount), 1, @now, @now)
+        ON CONFLICT(player_id) DO UPDATE SET
+          penalty = MIN(@maxPenalty, penalty * power(0.5, MAX(0, @now - updated_at) / CAST(@halfLifeMs AS REAL)) + @amount),
+          violation_count = violation_count + 1,
+          last_violation_at = MAX(COALESCE(last_violation_at, 0), @now),
+          updated_at = MAX(updated_at, @now)
+        RETURNING *
+      `),
+      findTrust: this.db.prepare('SELECT * FROM player_trust WHERE player_id = ?'),
+      findTrustByMinPenalty: this.db.prepare(`
+        SELECT * FROM player_trust
+        WHERE penalty >= ?
+        ORDER BY penalty DESC
+        LIMIT ?
+      `),
+      findViolations: this.db.prepare(`
+        SELECT * FROM anticheat_violations
+        WHERE player_id = ? AND created_at < ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `)
+    };
+  }
+
+  /**
+   * @param {CheatViolation} violation
+   * @param {number} amount
+   * @param {number} halfLifeMs
+   * @returns {Promise<TrustScore>}
+   */
+  async recordViolation(violation, amount, halfLifeMs) {
+    try {
+      const { id, trustRow } = this._record(violation, amount, halfLifeMs);
+      violation.id = id;
+      return TrustScore.fromDB(trustRow);
+    } catch (error) {
+      logger.error('Database error in recordViolation', { playerId: violation.playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to record anti-cheat violation', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<TrustScore|null>}
+   */
+  async findTrust(playerId) {
+    try {
+      const row = this.stmts.findTrust.get(playerId);
+      return row ? TrustScore.fromDB(row) : null;
+    } catch (error) {
+      logger.error('Database error in findTrust', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve trust score', error);
+    }
+  }
+
+  /**
+   * @param {number} minPenalty
+   * @param {number} limit
+   * @returns {Promise<TrustScore[]>}
+   */
+  async findTrustByMinPenalty(minPenalty, limit) {
+    try {
+      return this.stmts.findTrustByMinPenalty.all(minPenalty, limit).map(row => TrustScore.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findTrustByMinPenalty', { error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve low-trust accounts', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<CheatViolation[]>}
+   */
+  async findViolations(playerId, { limit = 50, before = Number.MAX_SAFE_INTEGER } = {}) {
+    try {
+      return this.stmts.findViolations.all(playerId, before, limit).map(row => CheatViolation.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findViolations', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve anti-cheat violations', error);
+    }
+  }
+}
+
+module.exports = SQLiteAntiCheatRepository;
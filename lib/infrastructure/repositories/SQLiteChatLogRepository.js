@@ -0,0 +1,74 @@
+/**
+ * SQLITE CHAT LOG REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IChatLogRepository = require('../../domain/repositories/IChatLogRepository');
+const ChatMessage = require('../../domain/entities/ChatMessage');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteChatLogRepository extends IChatLogRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      insert: this.db.prepare(`
+        INSERT INTO chat_logs (
+          player_id, nickname, instance_id, channel, message, raw_message, flagged, flag_reason, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      findFlagged: this.db.prepare(`
+        SELECT * FROM chat_logs
+        WHERE flagged = 1 AND created_at < ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `)
+    };
+  }
+
+  /**
+   * @param {ChatMessage} message
+   * @returns {Promise<ChatMessage>}
+   */
+  async save(message) {
+    try {
+      const result = this.stmts.insert.run(
+        message.playerId,
+        message.nickname,
+        message.instanceId,
+        message.channel,
+        message.message,
+        message.rawMessage,
+        message.flagged ? 1 : 0,
+        message.flagReason,
+        message.createdAt
+      );
+      message.id = Number(result.lastInsertRowid);
+      return message;
+    } catch (error) {
+      logger.error('Database error in save chat message', { playerId: message.playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to save chat message', error);
+    }
+  }
+
+  /**
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<ChatMessage[]>}
+   */
+  async findFlagged({ limit = 50, before = Number.MAX_SAFE_INTEGER } = {}) {
+    try {
+      return this.stmts.findFlagged.all(before, limit).map(row => ChatMessage.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findFlagged chat messages', { error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve flagged chat messages', error);
+    }
+  }
+}
+
+module.exports = SQLiteChatLogRepository;
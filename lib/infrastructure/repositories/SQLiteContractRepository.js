@@ -0,0 +1,70 @@
+/**
+ * SQLITE CONTRACT REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IContractRepository = require('../../domain/repositories/IContractRepository');
+const ContractProgress = require('../../domain/entities/ContractProgress');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteContractRepository extends IContractRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      find: this.db.prepare('SELECT * FROM player_contracts WHERE player_id = ? AND week_start = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO player_contracts (player_id, week_start, contract_id, current_stage, stages_json, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(player_id, week_start) DO UPDATE SET
+          contract_id = excluded.contract_id,
+          current_stage = excluded.current_stage,
+          stages_json = excluded.stages_json,
+          updated_at = excluded.updated_at
+      `)
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} weekStart
+   * @returns {Promise<ContractProgress|null>}
+   */
+  async findByPlayerAndWeek(playerId, weekStart) {
+    try {
+      const row = this.stmts.find.get(playerId, weekStart);
+      return row ? ContractProgress.fromDB(row) : null;
+    } catch (error) {
+      logger.error('Database error in findByPlayerAndWeek contract', { playerId, weekStart, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve contract', error);
+    }
+  }
+
+  /**
+   * @param {ContractProgress} contract
+   * @returns {Promise<ContractProgress>}
+   */
+  async save(contract) {
+    try {
+      this.stmts.upsert.run(
+        contract.playerId,
+        contract.weekStart,
+        contract.contractId,
+        contract.currentStage,
+        JSON.stringify(contract.stages),
+        contract.updatedAt
+      );
+      return contract;
+    } catch (error) {
+      logger.error('Database error in save contract', { playerId: contract.playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to save contract', error);
+    }
+  }
+}
+
+module.exports = SQLiteContractRepository;
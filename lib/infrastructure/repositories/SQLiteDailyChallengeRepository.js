@@ -19,6 +19,7 @@ function dateToSeed(dateStr) {
   return h;
 }
 
+// Every type must be driven by a server event (DailyChallengeIntegration)
 const POOL = [
   { id: 'kill_50_zombies', type: 'zombies_killed', target: 50, reward: { gold: 100, gems: 10 } },
   { id: 'kill_fast_zombies', type: 'zombies_killed_type', zombieType: 'fast', target: 30, reward: { gold: 120, gems: 12 } },
@@ -0,0 +1,189 @@
+/**
+ * SQLITE GEM WALLET REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IGemWalletRepository = require('../../domain/repositories/IGemWalletRepository');
+const GemWallet = require('../../domain/entities/GemWallet');
+const { DatabaseError, ValidationError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteGemWalletRepository extends IGemWalletRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+    this._credit = this.db.transaction((playerId, amount, reason, reference, now) => {
+      const inserted = this.stmts.insertCreditTx.run(playerId, amount, reason, reference, now);
+      if (inserted.changes === 0) {
+        return false;
+      }
+      this.stmts.upsertCredit.run(playerId, amount, amount, now);
+      return true;
+    });
+    this._debit = this.db.transaction((playerId, amount, reason, reference, now) => {
+      if (this.stmts.debit.run(amount, amount, now, playerId, amount).changes === 0) {
+        return false;
+      }
+      this.stmts.insertTx.run(playerId, -amount, reason, reference, now);
+      return true;
+    });
+    this._debitOnce = this.db.transaction((playerId, amount, reason, reference, now) => {
+      if (this.stmts.hasTx.get(playerId, reason, reference)) {
+        return false;
+      }
+      return this._debit(playerId, amount, reason, reference, now);
+    });
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      findByPlayerId: this.db.prepare('SELECT * FROM gem_wallets WHERE player_id = ?'),
+      upsertCredit: this.db.prepare(`
+        INSERT INTO gem_wallets (player_id, balance, total_earned, total_spent, updated_at)
+        VALUES (?, ?, ?, 0, ?)
+        ON CONFLICT(player_id) DO UPDATE SET
+          balance = balance + excluded.balance,
+          total_earned = total_earned + excluded.total_earned,
+          updated_at = excluded.updated_at
+      `),
+      debit: this.db.prepare(`
+        UPDATE gem_wallets SET balance = balance - ?, total_spent = total_spent + ?, updated_at = ?
+        WHERE player_id = ? AND balance >= ?
+      `),
+      // Duplicate credits hit the partial unique index and are ignored
+      insertCreditTx: this.db.prepare(`
+        INSERT OR IGNORE INTO gem_transactions (player_id, amount, reason, reference, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      insertTx: this.db.prepare(`
+        INSERT INTO gem_transactions (player_id, amount, reason, reference, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      hasTx: this.db.prepare(
+        'SELECT 1 FROM gem_transactions WHERE player_id = ? AND reason = ? AND reference = ? LIMIT 1'
+      ),
+      listTx: this.db.prepare(`
+        SELECT amount, reason, reference, created_at FROM gem_transactions
+        WHERE player_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+      `)
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<GemWallet>}
+   */
+  async findByPlayerId(playerId) {
+    try {
+      const row = this.stmts.findByPlayerId.get(playerId);
+      return row ? GemWallet.fromDB(row) : GemWallet.empty(playerId);
+    } catch (error) {
+      logger.error('Database error in findByPlayerId gem wallet', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve gem wallet', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} amount
+   * @param {string} reason
+   * @param {string} reference
+   * @returns {Promise<GemWallet|null>}
+   */
+  async credit(playerId, amount, reason, reference) {
+    this._assertMovement(playerId, amount, reason);
+    try {
+      if (!this._credit(playerId, amount, reason, reference, Date.now())) {
+        return null;
+      }
+      return GemWallet.fromDB(this.stmts.findByPlayerId.get(playerId));
+    } catch (error) {
+      logger.error('Database error in credit gems', { playerId, reason, reference, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to credit gems', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} amount
+   * @param {string} reason
+   * @param {string} reference
+   * @returns {Promise<GemWallet|null>}
+   */
+  async debit(playerId, amount, reason, reference) {
+    this._assertMovement(playerId, amount, reason);
+    try {
+      if (!this._debit(playerId, amount, reason, reference, Date.now())) {
+        return null;
+      }
+      return GemWallet.fromDB(this.stmts.findByPlayerId.get(playerId));
+    } catch (error) {
+      logger.error('Database error in debit gems', { playerId, reason, reference, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to debit gems', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} amount
+   * @param {string} reason
+   * @param {string} reference
+   * @returns {Promise<GemWallet|null>}
+   */
+  async debitOnce(playerId, amount, reason, reference) {
+    this._assertMovement(playerId, amount, reason);
+    try {
+      if (!this._debitOnce(playerId, amount, reason, reference, Date.now())) {
+        return null;
+      }
+      return GemWallet.fromDB(this.stmts.findByPlayerId.get(playerId));
+    } catch (error) {
+      logger.error('Database error in debitOnce gems', { playerId, reason, reference, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to debit gems', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} reason
+   * @param {string} reference
+   * @returns {Promise<boolean>}
+   */
+  async hasTransaction(playerId, reason, reference) {
+    try {
+      return !!this.stmts.hasTx.get(playerId, reason, reference);
+    } catch (error) {
+      logger.error('Database error in hasTransaction', { playerId, reason, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to read gem transactions', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {number} [limit=20]
+   * @returns {Promise<Object[]>}
+   */
+  async getTransactions(playerId, limit = 20) {
+    try {
+      return this.stmts.listTx.all(playerId, limit).map(row => ({
+        amount: row.amount,
+        reason: row.reason,
+        reference: row.reference,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      logger.error('Database error in getTransactions', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to read gem transactions', error);
+    }
+  }
+
+  /** @private */
+  _assertMovement(playerId, amount, reason) {
+    if (!playerId || !reason || !Number.isInteger(amount) || amount <= 0) {
+      throw new ValidationError('playerId, reason and a positive integer amount are required');
+    }
+  }
+}
+
+module.exports = SQLiteGemWalletRepository;
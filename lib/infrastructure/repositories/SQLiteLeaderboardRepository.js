@@ -9,27 +9,36 @@ const { DatabaseError, ValidationError } = require('../../domain/errors/DomainEr
 const logger = require('../../../infrastructure/logging/Logger');
 
 class SQLiteLeaderboardRepository extends ILeaderboardRepository {
-  constructor(db) {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   * @param {{hideFlagged?: boolean}} [options] - hideFlagged: leave flagged entries out of
+   *   the global top and ranks (shadow exclusion); the owner still sees them in getByPlayer
+   */
+  constructor(db, { hideFlagged = false } = {}) {
     super();
     this.db = db;
+    this.hideFlagged = hideFlagged;
     this.prepareStatements();
   }
 
   prepareStatements() {
+    const visibleOnly = this.hideFlagged ? 'WHERE l.flagged = 0' : '';
+    const visibleAbove = this.hideFlagged ? 'AND l1.flagged = 0' : '';
     this.stmts = {
       submit: this.db.prepare(`
-        INSERT INTO leaderboard (player_id, wave, level, kills, survival_time, score)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO leaderboard (player_id, wave, level, kills, survival_time, score, flagged)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `),
       getTop: this.db.prepare(`
-        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, p.username
+        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, l.flagged, p.username
         FROM leaderboard l
         JOIN players p ON l.player_id = p.id
+        ${visibleOnly}
         ORDER BY l.score DESC, l.wave DESC, l.kills DESC
         LIMIT ?
       `),
       getByPlayer: this.db.prepare(`
-        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, p.username
+        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, l.flagged, p.username
         FROM leaderboard l
         JOIN players p ON l.player_id = p.id
         WHERE l.player_id = ?
@@ -37,13 +46,21 @@ class SQLiteLeaderboardRepository extends ILeaderboardRepository {
         LIMIT ?
       `),
       getBestForPlayer: this.db.prepare(`
-        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, p.username
+        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, l.flagged, p.username
         FROM leaderboard l
         JOIN players p ON l.player_id = p.id
         WHERE l.player_id = ?
         ORDER BY l.score DESC
         LIMIT 1
       `),
+      getFlagged: this.db.prepare(`
+        SELECT l.id, l.player_id, l.wave, l.level, l.kills, l.survival_time, l.score, l.created_at, l.flagged, p.username
+        FROM leaderboard l
+        JOIN players p ON l.player_id = p.id
+        WHERE l.flagged = 1
+        ORDER BY l.score DESC
+        LIMIT ?
+      `),
       getPlayerRank: this.db.prepare(`
         SELECT COUNT(*) + 1 as rank
         FROM leaderboard l1
@@ -52,14 +69,21 @@ class SQLiteLeaderboardRepository extends ILeaderboardRepository {
           FROM leaderboard
           WHERE player_id = ?
         ) l2
-        WHERE l1.score > l2.best_score
+        WHERE l1.score > l2.best_score ${visibleAbove}
       `),
       cleanup: this.db.prepare(`
         DELETE FROM leaderboard
         WHERE id NOT IN (
           SELECT id FROM leaderboard
+          WHERE flagged = 0
+          ORDER BY score DESC
+          LIMIT @keepCount
+        )
+        AND id NOT IN (
+          SELECT id FROM leaderboard
+          WHERE flagged = 1
           ORDER BY score DESC
-          LIMIT ?
+          LIMIT @keepCount
         )
       `)
     };
@@ -88,7 +112,8 @@ class SQLiteLeaderboardRepository extends ILeaderboardRepository {
         entry.level,
         entry.kills,
         entry.survivalTime,
-        entry.score
+        entry.score,
+        entry.flagged ? 1 : 0
       );
 
       entry.id = result.lastInsertRowid;
@@ -169,6 +194,27 @@ class SQLiteLeaderboardRepository extends ILeaderboardRepository {
     }
   }
 
+  /**
+   * Get the entries flagged by the anti-cheat, best first.
+   * @param {number} [limit=50]
+   * @returns {Promise<LeaderboardEntry[]>}
+   */
+  async getFlagged(limit = 50) {
+    try {
+      if (limit < 1 || limit > 200) {
+        throw new ValidationError('Limit must be between 1 and 200');
+      }
+      const rows = this.stmts.getFlagged.all(limit);
+      return rows.map(row => LeaderboardEntry.fromDB(row));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Database error in getFlagged', { limit, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve flagged leaderboard entries', error);
+    }
+  }
+
   /**
    * Get a player's global rank (1-based).
    * @param {string} playerId
@@ -191,7 +237,8 @@ class SQLiteLeaderboardRepository extends ILeaderboardRepository {
   }
 
   /**
-   * Remove old entries, keeping only the top N by score.
+   * Remove old entries, keeping only the top N by score. Flagged entries are
+   * ranked apart (their own top N) so they never take a clean entry's place.
    * @param {number} [keepCount=1000]
    * @returns {Promise<number>} rows deleted
    */
@@ -200,7 +247,7 @@ class SQLiteLeaderboardRepository extends ILeaderboardRepository {
       if (keepCount < 100 || keepCount > 10000) {
         throw new ValidationError('Keep count must be between 100 and 10000');
       }
-      const result = this.stmts.cleanup.run(keepCount);
+      const result = this.stmts.cleanup.run({ keepCount });
       logger.info('Leaderboard cleanup completed', { entriesDeleted: result.changes, kept: keepCount });
       return result.changes;
     } catch (error) {
@@ -0,0 +1,78 @@
+/**
+ * SQLITE LIFETIME STATS REPOSITORY
+ * Infrastructure implementation
+ */
+
+const ILifetimeStatsRepository = require('../../domain/repositories/ILifetimeStatsRepository');
+const LifetimeStats = require('../../domain/entities/LifetimeStats');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteLifetimeStatsRepository extends ILifetimeStatsRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      findByPlayerId: this.db.prepare('SELECT * FROM lifetime_stats WHERE player_id = ?'),
+      upsert: this.db.prepare(`
+        INSERT OR REPLACE INTO lifetime_stats (
+          player_id, total_runs, total_deaths, total_kills, total_boss_kills, total_waves,
+          highest_wave, highest_level, best_score, total_score, total_play_time, longest_run,
+          most_kills_in_run, total_gold_earned, first_played_at, last_played_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<LifetimeStats|null>}
+   */
+  async findByPlayerId(playerId) {
+    try {
+      const row = this.stmts.findByPlayerId.get(playerId);
+      return row ? LifetimeStats.fromDB(row) : null;
+    } catch (error) {
+      logger.error('Database error in findByPlayerId lifetime stats', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve lifetime stats', error);
+    }
+  }
+
+  /**
+   * @param {LifetimeStats} stats
+   * @returns {Promise<LifetimeStats>}
+   */
+  async save(stats) {
+    try {
+      this.stmts.upsert.run(
+        stats.playerId,
+        stats.totalRuns,
+        stats.totalDeaths,
+        stats.totalKills,
+        stats.totalBossKills,
+        stats.totalWaves,
+        stats.highestWave,
+        stats.highestLevel,
+        stats.bestScore,
+        stats.totalScore,
+        stats.totalPlayTime,
+        stats.longestRun,
+        stats.mostKillsInRun,
+        stats.totalGoldEarned,
+        stats.firstPlayedAt,
+        stats.lastPlayedAt
+      );
+      return stats;
+    } catch (error) {
+      logger.error('Database error in save lifetime stats', { playerId: stats.playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to save lifetime stats', error);
+    }
+  }
+}
+
+module.exports = SQLiteLifetimeStatsRepository;
@@ -0,0 +1,156 @@
+/**
+ * SQLITE MODERATION REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IModerationRepository = require('../../domain/repositories/IModerationRepository');
+const Ban = require('../../domain/entities/Ban');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+function auditFromDB(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    actor: row.actor,
+    targetId: row.target_id,
+    reason: row.reason,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+class SQLiteModerationRepository extends IModerationRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      insertBan: this.db.prepare(`
+        INSERT INTO player_bans (player_id, reason, banned_by, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      findActive: this.db.prepare(`
+        SELECT * FROM player_bans
+        WHERE lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+        ORDER BY created_at DESC, id DESC
+      `),
+      findBans: this.db.prepare(`
+        SELECT * FROM player_bans
+        WHERE created_at < ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `),
+      liftBans: this.db.prepare(`
+        UPDATE player_bans SET lifted_at = ?, lifted_by = ?
+        WHERE player_id = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+      `),
+      insertAudit: this.db.prepare(`
+        INSERT INTO moderation_audit_log (action, actor, target_id, reason, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      findAudit: this.db.prepare(`
+        SELECT * FROM moderation_audit_log
+        WHERE created_at < ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `)
+    };
+  }
+
+  /**
+   * @param {Ban} ban
+   * @returns {Promise<Ban>}
+   */
+  async saveBan(ban) {
+    try {
+      const result = this.stmts.insertBan.run(ban.playerId, ban.reason, ban.bannedBy, ban.createdAt, ban.expiresAt);
+      ban.id = Number(result.lastInsertRowid);
+      return ban;
+    } catch (error) {
+      logger.error('Database error in saveBan', { playerId: ban.playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to save ban', error);
+    }
+  }
+
+  /**
+   * @param {number} now
+   * @returns {Promise<Ban[]>}
+   */
+  async findActiveBans(now) {
+    try {
+      return this.stmts.findActive.all(now).map(row => Ban.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findActiveBans', { error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve active bans', error);
+    }
+  }
+
+  /**
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<Ban[]>}
+   */
+  async findBans({ limit = 50, before = Number.MAX_SAFE_INTEGER } = {}) {
+    try {
+      return this.stmts.findBans.all(before, limit).map(row => Ban.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findBans', { error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve bans', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} liftedBy
+   * @param {number} now
+   * @returns {Promise<number>}
+   */
+  async liftBans(playerId, liftedBy, now) {
+    try {
+      return this.stmts.liftBans.run(now, liftedBy, playerId, now).changes;
+    } catch (error) {
+      logger.error('Database error in liftBans', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to lift bans', error);
+    }
+  }
+
+  /**
+   * @param {{action: string, actor: string, targetId: string, reason?: string|null,
+   *          expiresAt?: number|null, createdAt: number}} entry
+   * @returns {Promise<Object>}
+   */
+  async logAction(entry) {
+    try {
+      const result = this.stmts.insertAudit.run(
+        entry.action,
+        entry.actor,
+        entry.targetId,
+        entry.reason ?? null,
+        entry.expiresAt ?? null,
+        entry.createdAt
+      );
+      return { id: Number(result.lastInsertRowid), reason: null, expiresAt: null, ...entry };
+    } catch (error) {
+      logger.error('Database error in logAction', { action: entry.action, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to write moderation audit log', error);
+    }
+  }
+
+  /**
+   * @param {{limit?: number, before?: number}} [options]
+   * @returns {Promise<Object[]>}
+   */
+  async findAuditLog({ limit = 50, before = Number.MAX_SAFE_INTEGER } = {}) {
+    try {
+      return this.stmts.findAudit.all(before, limit).map(auditFromDB);
+    } catch (error) {
+      logger.error('Database error in findAuditLog', { error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve moderation audit log', error);
+    }
+  }
+}
+
+module.exports = SQLiteModerationRepository;
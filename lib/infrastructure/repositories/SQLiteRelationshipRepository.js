@@ -0,0 +1,177 @@
+/**
+ * SQLITE RELATIONSHIP REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IRelationshipRepository = require('../../domain/repositories/IRelationshipRepository');
+const Relationship = require('../../domain/entities/Relationship');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteRelationshipRepository extends IRelationshipRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+    this._accept = this.db.transaction((requesterId, accepterId, now) => {
+      if (this.stmts.activatePending.run(requesterId, accepterId).changes === 0) {
+        return false;
+      }
+      this.stmts.upsert.run(accepterId, requesterId, 'friend', 'active', now);
+      return true;
+    });
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      find: this.db.prepare(`
+        SELECT * FROM player_relationships
+        WHERE player_id = ? AND target_player_id = ? AND relationship_type = ?
+      `),
+      findByPlayer: this.db.prepare(`
+        SELECT r.*, p.username AS target_username
+        FROM player_relationships r
+        LEFT JOIN players p ON p.id = r.target_player_id
+        WHERE r.player_id = ?
+        ORDER BY r.created_at
+      `),
+      findIncomingRequests: this.db.prepare(`
+        SELECT r.*, p.username AS player_username
+        FROM player_relationships r
+        LEFT JOIN players p ON p.id = r.player_id
+        WHERE r.target_player_id = ? AND r.relationship_type = 'friend' AND r.status = 'pending'
+        ORDER BY r.created_at
+      `),
+      upsert: this.db.prepare(`
+        INSERT OR REPLACE INTO player_relationships
+          (player_id, target_player_id, relationship_type, status, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      remove: this.db.prepare(`
+        DELETE FROM player_relationships
+        WHERE player_id = ? AND target_player_id = ? AND relationship_type = ?
+      `),
+      activatePending: this.db.prepare(`
+        UPDATE player_relationships SET status = 'active'
+        WHERE player_id = ? AND target_player_id = ? AND relationship_type = 'friend' AND status = 'pending'
+      `),
+      removeFriendship: this.db.prepare(`
+        DELETE FROM player_relationships
+        WHERE relationship_type = 'friend'
+          AND ((player_id = ? AND target_player_id = ?) OR (player_id = ? AND target_player_id = ?))
+      `)
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} targetPlayerId
+   * @param {string} type
+   * @returns {Promise<Relationship|null>}
+   */
+  async find(playerId, targetPlayerId, type) {
+    try {
+      const row = this.stmts.find.get(playerId, targetPlayerId, type);
+      return row ? Relationship.fromDB(row) : null;
+    } catch (error) {
+      logger.error('Database error in find relationship', { playerId, targetPlayerId, type, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve relationship', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<Relationship[]>}
+   */
+  async findByPlayer(playerId) {
+    try {
+      return this.stmts.findByPlayer.all(playerId).map(row => Relationship.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findByPlayer relationships', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve relationships', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<Relationship[]>}
+   */
+  async findIncomingRequests(playerId) {
+    try {
+      return this.stmts.findIncomingRequests.all(playerId).map(row => Relationship.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findIncomingRequests', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve friend requests', error);
+    }
+  }
+
+  /**
+   * @param {Relationship} relationship
+   * @returns {Promise<Relationship>}
+   */
+  async save(relationship) {
+    try {
+      this.stmts.upsert.run(
+        relationship.playerId,
+        relationship.targetPlayerId,
+        relationship.type,
+        relationship.status,
+        relationship.createdAt
+      );
+      return relationship;
+    } catch (error) {
+      logger.error('Database error in save relationship', {
+        playerId: relationship.playerId,
+        targetPlayerId: relationship.targetPlayerId,
+        error: error.message,
+        stack: error.stack
+      });
+      throw new DatabaseError('Failed to save relationship', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} targetPlayerId
+   * @param {string} type
+   * @returns {Promise<boolean>}
+   */
+  async remove(playerId, targetPlayerId, type) {
+    try {
+      return this.stmts.remove.run(playerId, targetPlayerId, type).changes > 0;
+    } catch (error) {
+      logger.error('Database error in remove relationship', { playerId, targetPlayerId, type, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to remove relationship', error);
+    }
+  }
+
+  /**
+   * @param {string} requesterId
+   * @param {string} accepterId
+   * @returns {Promise<boolean>}
+   */
+  async acceptFriendRequest(requesterId, accepterId) {
+    try {
+      return this._accept(requesterId, accepterId, Date.now());
+    } catch (error) {
+      logger.error('Database error in acceptFriendRequest', { requesterId, accepterId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to accept friend request', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} otherPlayerId
+   * @returns {Promise<boolean>}
+   */
+  async removeFriendship(playerId, otherPlayerId) {
+    try {
+      return this.stmts.removeFriendship.run(playerId, otherPlayerId, otherPlayerId, playerId).changes > 0;
+    } catch (error) {
+      logger.error('Database error in removeFriendship', { playerId, otherPlayerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to remove friendship', error);
+    }
+  }
+}
+
+module.exports = SQLiteRelationshipRepository;
@@ -0,0 +1,178 @@
+/**
+ * SQLITE RUN RECORD REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IRunRecordRepository = require('../../domain/repositories/IRunRecordRepository');
+const RunRecord = require('../../domain/entities/RunRecord');
+const { DatabaseError, ValidationError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteRunRecordRepository extends IRunRecordRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      insert: this.db.prepare(`
+        INSERT OR IGNORE INTO run_records (
+          run_id, player_id, instance_id, outcome, wave, level, kills, survival_time,
+          combo_max, boss_kills, score, xp_earned, started_at, ended_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      findById: this.db.prepare('SELECT * FROM run_records WHERE run_id = ?'),
+      claimXp: this.db.prepare(`
+        UPDATE run_records SET xp_granted_at = ?
+        WHERE run_id = ? AND player_id = ? AND xp_granted_at IS NULL
+      `),
+      releaseXp: this.db.prepare('UPDATE run_records SET xp_granted_at = NULL WHERE run_id = ?'),
+      claimSubmission: this.db.prepare(`
+        UPDATE run_records SET submitted_at = ?
+        WHERE run_id = ? AND player_id = ? AND submitted_at IS NULL
+      `),
+      releaseSubmission: this.db.prepare('UPDATE run_records SET submitted_at = NULL WHERE run_id = ?'),
+      claimRewards: this.db.prepare(`
+        UPDATE run_records SET rewards_applied_at = ?
+        WHERE run_id = ? AND player_id = ? AND rewards_applied_at IS NULL
+      `),
+      releaseRewards: this.db.prepare('UPDATE run_records SET rewards_applied_at = NULL WHERE run_id = ?')
+    };
+  }
+
+  /**
+   * Persist a run record (no-op if the run id already exists).
+   * @param {RunRecord} record
+   * @returns {Promise<RunRecord>}
+   */
+  async save(record) {
+    try {
+      if (!record || !record.runId || !record.playerId) {
+        throw new ValidationError('Run record with runId and playerId is required');
+      }
+      this.stmts.insert.run(
+        record.runId,
+        record.playerId,
+        record.instanceId,
+        record.outcome,
+        record.wave,
+        record.level,
+        record.kills,
+        record.survivalTime,
+        record.comboMax,
+        record.bossKills,
+        record.score,
+        record.xpEarned,
+        record.startedAt,
+        record.endedAt
+      );
+      return RunRecord.fromDB(this.stmts.findById.get(record.runId));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Database error in save run record', { runId: record?.runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to save run record', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<RunRecord|null>}
+   */
+  async findById(runId) {
+    try {
+      const row = this.stmts.findById.get(runId);
+      return row ? RunRecord.fromDB(row) : null;
+    } catch (error) {
+      logger.error('Database error in findById run record', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve run record', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @param {string} playerId
+   * @returns {Promise<boolean>}
+   */
+  async claimXpGrant(runId, playerId) {
+    try {
+      return this.stmts.claimXp.run(Date.now(), runId, playerId).changes > 0;
+    } catch (error) {
+      logger.error('Database error in claimXpGrant', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to claim run XP grant', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async releaseXpGrant(runId) {
+    try {
+      this.stmts.releaseXp.run(runId);
+    } catch (error) {
+      logger.error('Database error in releaseXpGrant', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to release run XP grant', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @param {string} playerId
+   * @returns {Promise<boolean>}
+   */
+  async claimLeaderboardSubmission(runId, playerId) {
+    try {
+      return this.stmts.claimSubmission.run(Date.now(), runId, playerId).changes > 0;
+    } catch (error) {
+      logger.error('Database error in claimLeaderboardSubmission', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to claim leaderboard submission', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async releaseLeaderboardSubmission(runId) {
+    try {
+      this.stmts.releaseSubmission.run(runId);
+    } catch (error) {
+      logger.error('Database error in releaseLeaderboardSubmission', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to release leaderboard submission', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @param {string} playerId
+   * @returns {Promise<boolean>}
+   */
+  async claimRewards(runId, playerId) {
+    try {
+      return this.stmts.claimRewards.run(Date.now(), runId, playerId).changes > 0;
+    } catch (error) {
+      logger.error('Database error in claimRewards', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to claim run rewards', error);
+    }
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async releaseRewards(runId) {
+    try {
+      this.stmts.releaseRewards.run(runId);
+    } catch (error) {
+      logger.error('Database error in releaseRewards', { runId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to release run rewards', error);
+    }
+  }
+}
+
+module.exports = SQLiteRunRecordRepository;
@@ -0,0 +1,100 @@
+/**
+ * SQLITE SKIN REPOSITORY
+ * Infrastructure implementation
+ */
+
+const ISkinRepository = require('../../domain/repositories/ISkinRepository');
+const SkinCollection = require('../../domain/entities/SkinCollection');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class SQLiteSkinRepository extends ISkinRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.prepareStatements();
+    this._equip = this.db.transaction((playerId, type, skinId) => {
+      this.stmts.unequipType.run(playerId, type);
+      if (skinId !== SkinCollection.DEFAULT_SKIN) {
+        this.stmts.equip.run(playerId, type, skinId);
+      }
+    });
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      findByPlayerId: this.db.prepare(
+        'SELECT skin_type, skin_id, equipped FROM player_skins WHERE player_id = ? ORDER BY acquired_at'
+      ),
+      grant: this.db.prepare(`
+        INSERT OR IGNORE INTO player_skins (player_id, skin_type, skin_id, equipped, acquired_at)
+        VALUES (?, ?, ?, 0, ?)
+      `),
+      revoke: this.db.prepare('DELETE FROM player_skins WHERE player_id = ? AND skin_type = ? AND skin_id = ?'),
+      unequipType: this.db.prepare('UPDATE player_skins SET equipped = 0 WHERE player_id = ? AND skin_type = ?'),
+      equip: this.db.prepare(
+        'UPDATE player_skins SET equipped = 1 WHERE player_id = ? AND skin_type = ? AND skin_id = ?'
+      )
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<SkinCollection>}
+   */
+  async findByPlayerId(playerId) {
+    try {
+      return SkinCollection.fromRows(playerId, this.stmts.findByPlayerId.all(playerId));
+    } catch (error) {
+      logger.error('Database error in findByPlayerId skins', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve skins', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} type
+   * @param {string} skinId
+   * @returns {Promise<boolean>}
+   */
+  async grant(playerId, type, skinId) {
+    try {
+      return this.stmts.grant.run(playerId, type, skinId, Date.now()).changes > 0;
+    } catch (error) {
+      logger.error('Database error in grant skin', { playerId, type, skinId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to grant skin', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} type
+   * @param {string} skinId
+   * @returns {Promise<void>}
+   */
+  async revoke(playerId, type, skinId) {
+    try {
+      this.stmts.revoke.run(playerId, type, skinId);
+    } catch (error) {
+      logger.error('Database error in revoke skin', { playerId, type, skinId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to revoke skin', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {string} type
+   * @param {string} skinId
+   * @returns {Promise<void>}
+   */
+  async equip(playerId, type, skinId) {
+    try {
+      this._equip(playerId, type, skinId);
+    } catch (error) {
+      logger.error('Database error in equip skin', { playerId, type, skinId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to equip skin', error);
+    }
+  }
+}
+
+module.exports = SQLiteSkinRepository;
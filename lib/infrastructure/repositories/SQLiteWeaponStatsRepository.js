@@ -0,0 +1,118 @@
+/**
+ * SQLITE WEAPON STATS REPOSITORY
+ * Infrastructure implementation
+ */
+
+const IWeaponStatsRepository = require('../../domain/repositories/IWeaponStatsRepository');
+const WeaponStats = require('../../domain/entities/WeaponStats');
+const { DatabaseError } = require('../../domain/errors/DomainErrors');
+const logger = require('../../../infrastructure/logging/Logger');
+
+// Ranking expression of each weapon leaderboard
+const SORT_ORDER = {
+  kills: 'w.kills DESC, w.damage_dealt DESC',
+  damage: 'w.damage_dealt DESC, w.kills DESC',
+  accuracy: 'CAST(w.shots_hit AS REAL) / w.shots_fired DESC, w.shots_fired DESC',
+  dps: 'CAST(w.damage_dealt AS REAL) / w.active_time DESC, w.damage_dealt DESC'
+};
+
+class SQLiteWeaponStatsRepository extends IWeaponStatsRepository {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   * @param {{hideFlagged?: boolean}} [options] - hideFlagged: leave flagged rows out of the
+   *   weapon leaderboards, as SQLiteLeaderboardRepository does; the owner still sees them
+   */
+  constructor(db, { hideFlagged = false } = {}) {
+    super();
+    this.db = db;
+    this.hideFlagged = hideFlagged;
+    this.prepareStatements();
+    this._addRunTotals = this.db.transaction((playerId, totals, now, flagged) => {
+      for (const t of totals) {
+        this.stmts.addRun.run(
+          playerId, t.weaponId, t.shotsFired, t.shotsHit, t.kills, t.damageDealt, t.activeTime, flagged ? 1 : 0, now
+        );
+      }
+    });
+  }
+
+  prepareStatements() {
+    const visibleOnly = this.hideFlagged ? 'AND w.flagged = 0' : '';
+    const top = order => this.db.prepare(`
+      SELECT w.*, p.username
+      FROM weapon_stats w
+      JOIN players p ON w.player_id = p.id
+      WHERE w.weapon_id = ? AND w.shots_fired >= ? AND w.active_time > 0 ${visibleOnly}
+      ORDER BY ${order}
+      LIMIT ?
+    `);
+    this.stmts = {
+      findByPlayerId: this.db.prepare('SELECT * FROM weapon_stats WHERE player_id = ? ORDER BY kills DESC, weapon_id'),
+      addRun: this.db.prepare(`
+        INSERT INTO weapon_stats (
+          player_id, weapon_id, times_used, shots_fired, shots_hit, kills, damage_dealt, active_time, flagged, updated_at
+        )
+        VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(player_id, weapon_id) DO UPDATE SET
+          times_used = times_used + 1,
+          shots_fired = shots_fired + excluded.shots_fired,
+          shots_hit = shots_hit + excluded.shots_hit,
+          kills = kills + excluded.kills,
+          damage_dealt = damage_dealt + excluded.damage_dealt,
+          active_time = active_time + excluded.active_time,
+          flagged = MAX(flagged, excluded.flagged),
+          updated_at = excluded.updated_at
+      `),
+      top: Object.fromEntries(Object.entries(SORT_ORDER).map(([sort, order]) => [sort, top(order)]))
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {Promise<WeaponStats[]>}
+   */
+  async findByPlayerId(playerId) {
+    try {
+      return this.stmts.findByPlayerId.all(playerId).map(row => WeaponStats.fromDB(row));
+    } catch (error) {
+      logger.error('Database error in findByPlayerId weapon stats', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve weapon stats', error);
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @param {Array<Object>} totals
+   * @param {number} now
+   * @param {boolean} [flagged=false]
+   * @returns {Promise<void>}
+   */
+  async addRunTotals(playerId, totals, now, flagged = false) {
+    try {
+      this._addRunTotals(playerId, totals, now, flagged);
+    } catch (error) {
+      logger.error('Database error in addRunTotals weapon stats', { playerId, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to save weapon stats', error);
+    }
+  }
+
+  /**
+   * @param {string} weaponId
+   * @param {{sort: string, limit: number, minShots: number}} options
+   * @returns {Promise<Array<{stats: WeaponStats, username: string}>>}
+   */
+  async findTopByWeapon(weaponId, { sort, limit, minShots }) {
+    try {
+      const stmt = this.stmts.top[sort] || this.stmts.top.kills;
+      return stmt.all(weaponId, minShots, limit).map(row => ({
+        stats: WeaponStats.fromDB(row),
+        username: row.username
+      }));
+    } catch (error) {
+      logger.error('Database error in findTopByWeapon', { weaponId, sort, error: error.message, stack: error.stack });
+      throw new DatabaseError('Failed to retrieve weapon leaderboard', error);
+    }
+  }
+}
+
+module.exports = SQLiteWeaponStatsRepository;
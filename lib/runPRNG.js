@@ -1,15 +1,57 @@
 /**
- * runPRNG.js — Module-level singleton wrapper around PRNG for server-side run logic.
- * Exposes a stable RNG instance that is reset at the start of each run.
+ * runPRNG.js — Per-run seeded random streams for server-side game logic.
+ *
+ * Every game instance is one run: it owns a 32-bit run seed and one xorshift
+ * stream per concern, derived from that seed. Streams are independent, so
+ * e.g. extra crit rolls never shift the room layout or the wave spawns of a
+ * run replayed with the same seed.
  *
  * Usage:
- *   const { runPRNG, resetRunPRNG } = require('./runPRNG');
- *   resetRunPRNG(Date.now());   // call once at run start
- *   runPRNG.random();           // use anywhere during the run
+ *   const { createRunRandom, runStream } = require('./runPRNG');
+ *   gameState.rng = createRunRandom(seed);         // once, at instance start
+ *   runStream(gameState, 'loot').chance(0.2);      // anywhere during the run
+ *
+ * Code running without a seeded gameState (unit tests, tooling) gets an
+ * unseeded stream backed by Math.random.
  */
 
 'use strict';
 
+const crypto = require('crypto');
+
+/** Stream names, one per gameplay concern. */
+const RUN_STREAMS = Object.freeze([
+  'layout', // room obstacles
+  'altars', // altar placement and challenge picks
+  'spawns', // zombie types, positions, elites, splits
+  'loot', // powerup drops
+  'mutators', // run mutator rotation
+  'upgrades', // level-up choices
+  'combat', // crits, spread, dodge, freeze/poison procs
+  'ai', // wander headings, teleports, boss ability targeting
+  'bots' // bot player names, aim error, upgrade picks
+]);
+
+const MAX_SEED = 0xffffffff;
+
+function withHelpers(random) {
+  return {
+    random,
+    randInt(min, max) {
+      return Math.floor(random() * (max - min + 1)) + min;
+    },
+    randFloat(min, max) {
+      return random() * (max - min) + min;
+    },
+    pick(arr) {
+      return arr[Math.floor(random() * arr.length)];
+    },
+    chance(p) {
+      return random() < p;
+    }
+  };
+}
+
 // Inline xorshift32 to avoid ESM interop — mirrors lib/PRNG.js exactly.
 function createPRNG(seed) {
   let state = (seed >>> 0) || 1;
@@ -21,44 +63,125 @@ function createPRNG(seed) {
     return state >>> 0;
   }
 
-  return {
-    random() {
- return next() / 0x100000000;
-},
-    randInt(min, max) {
- return Math.floor(this.random() * (max - min + 1)) + min;
-},
-    randFloat(min, max) {
- return this.random() * (max - min) + min;
-},
-    pick(arr) {
- return arr[Math.floor(this.random() * arr.length)];
-},
-    chance(p) {
- return this.random() < p;
-},
+  return Object.assign(withHelpers(() => next() / 0x100000000), {
     getSeed() {
- return state;
+      return state;
+    }
+  });
 }
-  };
+
+// murmur3 finaliser — spreads nearby seeds far apart.
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a over UTF-16 code units.
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
 }
 
-let _instance = createPRNG(Date.now());
+/**
+ * Turn a user-supplied seed into a 32-bit run seed. Integers in
+ * [0, 2^32-1] are used as-is (so a seed read from INIT round-trips);
+ * other strings are hashed so "friday-race" is a valid seed too.
+ * @param {number|string|null|undefined} input
+ * @returns {number|null} null when no usable seed was given
+ */
+function normalizeSeed(input) {
+  if (typeof input === 'number') {
+    return Number.isInteger(input) && input >= 0 && input <= MAX_SEED ? input : null;
+  }
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const trimmed = input.trim();
+  if (!trimmed) {
+    return null;
+  }
+  if (/^\d{1,10}$/.test(trimmed) && Number(trimmed) <= MAX_SEED) {
+    return Number(trimmed);
+  }
+  return hashString(trimmed);
+}
+
+/** @returns {number} fresh random 32-bit seed */
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
 
-/** Drop-in seeded RNG for the current run. */
-const runPRNG = new Proxy({}, {
-  get(_t, prop) {
- return _instance[prop].bind(_instance);
+/**
+ * Build the seeded streams of one run.
+ * @param {number} seed - 32-bit run seed (see normalizeSeed)
+ * @returns {{seed: number}&Object<string, Object>} `seed` plus one stream per RUN_STREAMS name
+ */
+function createRunRandom(seed) {
+  const runRandom = { seed: seed >>> 0 };
+  for (const name of RUN_STREAMS) {
+    runRandom[name] = createPRNG(mix32(runRandom.seed ^ hashString(name)));
+  }
+  return runRandom;
 }
-});
 
 /**
- * Reset the run RNG with a new seed.
- * Call once at the start of each run (e.g. seed = Date.now()).
- * @param {number} seed
+ * Where every stream of a run stands, for a world snapshot.
+ * @param {{seed: number}&Object<string, Object>} runRandom - createRunRandom() output
+ * @returns {{seed: number, streams: Object<string, number>}}
+ */
+function serializeRunRandom(runRandom) {
+  const streams = {};
+  for (const name of RUN_STREAMS) {
+    streams[name] = runRandom[name].getSeed();
+  }
+  return { seed: runRandom.seed, streams };
+}
+
+/**
+ * Rebuild the streams of a run where serializeRunRandom() left them; a
+ * stream missing from the snapshot (added since) starts from the run seed.
+ * @param {{seed: number, streams: Object<string, number>}} saved
+ * @returns {{seed: number}&Object<string, Object>}
+ */
+function restoreRunRandom(saved) {
+  const runRandom = createRunRandom(saved.seed);
+  for (const name of RUN_STREAMS) {
+    const state = saved.streams && saved.streams[name];
+    if (Number.isInteger(state)) {
+      runRandom[name] = createPRNG(state);
+    }
+  }
+  return runRandom;
+}
+
+const unseeded = withHelpers(() => Math.random());
+
+/**
+ * The named stream of the run a gameState belongs to.
+ * @param {Object|null|undefined} gameState
+ * @param {string} name - one of RUN_STREAMS
+ * @returns {{random: Function, randInt: Function, randFloat: Function, pick: Function, chance: Function}}
  */
-function resetRunPRNG(seed) {
-  _instance = createPRNG(seed);
+function runStream(gameState, name) {
+  return (gameState && gameState.rng && gameState.rng[name]) || unseeded;
 }
 
-module.exports = { runPRNG, resetRunPRNG };
+module.exports = {
+  RUN_STREAMS,
+  createPRNG,
+  createRunRandom,
+  serializeRunRandom,
+  restoreRunRandom,
+  runStream,
+  normalizeSeed,
+  generateSeed,
+  unseeded
+};
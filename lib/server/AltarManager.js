@@ -0,0 +1,275 @@
+/**
+ * ALTAR MANAGER - Server-side risk/reward altars.
+ * A room may hold an altar (generateRoomAltars, called by room generation).
+ * A player who stands on it for `activationMs` starts its timed challenge;
+ * the server tracks it (health drops, the challenger's kills through
+ * gameState.events, the deadline) and resolves it into the challenge reward
+ * or curse: gold for the challenger and timed effect sets stacked on the run
+ * mutators (RunMutatorManager.addTimedEffect). One challenge runs at a time.
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { GAME_EVENTS } = require('./GameEventBus');
+const { SOCKET_EVENTS } = require('../../transport/websocket/events');
+const { ALTAR_CONFIG, ALTAR_CHALLENGES } = require('./config/AltarConfig');
+
+/**
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {boolean}
+ */
+function circleOverlapsRect(cx, cy, radius, rect) {
+  const nearestX = Math.max(rect.x, Math.min(cx, rect.x + rect.width));
+  const nearestY = Math.max(rect.y, Math.min(cy, rect.y + rect.height));
+  const dx = cx - nearestX;
+  const dy = cy - nearestY;
+  return dx * dx + dy * dy < radius * radius;
+}
+
+/**
+ * Place the altars of a freshly generated room, clear of its obstacles.
+ * They stay in the middle band of the room, away from the door (top) and the
+ * player spawn (bottom), so nobody starts a challenge by accident.
+ * @param {{width: number, height: number, obstacles: Object[]}} room
+ * @param {Object} rng - run 'altars' stream (see lib/runPRNG)
+ * @param {number} wallThickness
+ * @param {Object} [config=ALTAR_CONFIG]
+ * @param {Object<string, Object>} [challenges=ALTAR_CHALLENGES]
+ * @returns {Array<{id: string, x: number, y: number, radius: number, challengeId: string, state: string}>}
+ */
+function generateRoomAltars(room, rng, wallThickness, config = ALTAR_CONFIG, challenges = ALTAR_CHALLENGES) {
+  if (!rng.chance(config.spawnChance)) {
+    return [];
+  }
+  const challengeId = rng.pick(Object.keys(challenges));
+  const marginX = wallThickness + 60 + config.radius;
+  for (let attempt = 0; attempt < config.placementAttempts; attempt++) {
+    const x = rng.randFloat(marginX, room.width - marginX);
+    const y = rng.randFloat(room.height * 0.25, room.height * 0.65);
+    if (!room.obstacles.some(obstacle => circleOverlapsRect(x, y, config.radius, obstacle))) {
+      return [{ id: 'altar-0', x, y, radius: config.radius, challengeId, state: 'idle' }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Client view of an altar (roomChanged, init).
+ * @param {Object} altar
+ * @param {Object<string, Object>} [challenges=ALTAR_CHALLENGES]
+ * @returns {Object}
+ */
+function toPublicAltar(altar, challenges = ALTAR_CHALLENGES) {
+  const def = challenges[altar.challengeId] || {};
+  return {
+    id: altar.id,
+    x: altar.x,
+    y: altar.y,
+    radius: altar.radius,
+    state: altar.state,
+    challengeId: altar.challengeId,
+    name: def.name,
+    description: def.description,
+    icon: def.icon
+  };
+}
+
+class AltarManager {
+  /**
+   * @param {Object} gameState - instance game state (`altars`, `events`, `mutatorManager`)
+   * @param {Object} io - instance io facade
+   * @param {{config?: Object, challenges?: Object<string, Object>}} [options]
+   */
+  constructor(gameState, io, options = {}) {
+    this.gameState = gameState;
+    this.io = io;
+    this.config = options.config || ALTAR_CONFIG;
+    this.challenges = options.challenges || ALTAR_CHALLENGES;
+    /** Running challenge, null between challenges */
+    this.challenge = null;
+    /** @type {Map<string, {playerId: string, since: number}>} altar id → who stands on it */
+    this._standing = new Map();
+    this._unsubscribe = gameState.events
+      ? gameState.events.on(GAME_EVENTS.ZOMBIE_KILLED, e => this._onZombieKilled(e))
+      : () => {};
+  }
+
+  /**
+   * Game loop step: expire altar effects, then track the running challenge
+   * or the players standing on idle altars.
+   * @param {number} now - game loop clock (ms)
+   */
+  update(now) {
+    if (this.gameState.mutatorManager) {
+      this.gameState.mutatorManager.expireTimedEffects(now);
+    }
+    if (this.challenge) {
+      this._updateChallenge(now);
+    } else {
+      this._updateActivation(now);
+    }
+  }
+
+  /**
+   * Drop the running challenge without outcome (room change, reset): the
+   * room's altar effects are cleared along with the mutators anyway.
+   */
+  reset() {
+    if (this.challenge) {
+      this._emitEnded(this.challenge, false, 'room_changed', null);
+    }
+    this.challenge = null;
+    this._standing.clear();
+  }
+
+  /** Unsubscribe from the game events (instance shutdown). */
+  stop() {
+    this._unsubscribe();
+    this.challenge = null;
+    this._standing.clear();
+  }
+
+  _updateActivation(now) {
+    for (const altar of this.gameState.altars || []) {
+      if (altar.state !== 'idle') {
+        continue;
+      }
+      const playerId = this._playerOn(altar);
+      const standing = this._standing.get(altar.id);
+      if (!playerId) {
+        this._standing.delete(altar.id);
+      } else if (!standing || standing.playerId !== playerId) {
+        this._standing.set(altar.id, { playerId, since: now });
+      } else if (now - standing.since >= this.config.activationMs) {
+        this._start(altar, playerId, now);
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {Object} altar
+   * @returns {string|null} socket id of a player standing on the altar
+   */
+  _playerOn(altar) {
+    for (const [playerId, player] of Object.entries(this.gameState.players)) {
+      // Bots never gamble the run on behalf of the humans
+      if (!this._canPlay(player) || player.isBot) {
+        continue;
+      }
+      const dx = player.x - altar.x;
+      const dy = player.y - altar.y;
+      if (dx * dx + dy * dy <= altar.radius * altar.radius) {
+        return playerId;
+      }
+    }
+    return null;
+  }
+
+  _canPlay(player) {
+    return Boolean(player && player.alive && !player.downed);
+  }
+
+  _start(altar, playerId, now) {
+    const def = this.challenges[altar.challengeId];
+    if (!def) {
+      altar.state = 'spent';
+      return;
+    }
+    altar.state = 'active';
+    this._standing.clear();
+    this.challenge = {
+      altar,
+      def,
+      playerId,
+      endsAt: now + def.durationMs,
+      kills: 0,
+      lastHealth: this.gameState.players[playerId].health
+    };
+    this.io.emit(SOCKET_EVENTS.SERVER.ALTAR_CHALLENGE_STARTED, {
+      altarId: altar.id,
+      challengeId: altar.challengeId,
+      name: def.name,
+      description: def.description,
+      icon: def.icon,
+      playerId,
+      durationMs: def.durationMs,
+      target: def.type === 'kills' ? def.target : null
+    });
+  }
+
+  _updateChallenge(now) {
+    const challenge = this.challenge;
+    const { def } = challenge;
+    const player = this.gameState.players[challenge.playerId];
+    if (!this._canPlay(player)) {
+      this._end(false, 'player_down', now);
+      return;
+    }
+    if (def.type === 'no_damage' && player.health < challenge.lastHealth) {
+      this._end(false, 'damaged', now);
+      return;
+    }
+    challenge.lastHealth = player.health;
+    if (def.type === 'kills' && challenge.kills >= def.target) {
+      this._end(true, 'completed', now);
+    } else if (now >= challenge.endsAt) {
+      this._end(def.type === 'no_damage', def.type === 'no_damage' ? 'completed' : 'timeout', now);
+    }
+  }
+
+  // Kills are counted here and resolved on the next tick (on the loop clock).
+  _onZombieKilled({ playerId }) {
+    const challenge = this.challenge;
+    if (!challenge || challenge.def.type !== 'kills' || playerId !== challenge.playerId) {
+      return;
+    }
+    challenge.kills++;
+    if (challenge.kills <= challenge.def.target) {
+      this.io.emit(SOCKET_EVENTS.SERVER.ALTAR_CHALLENGE_PROGRESS, {
+        altarId: challenge.altar.id,
+        kills: challenge.kills,
+        target: challenge.def.target
+      });
+    }
+  }
+
+  _end(success, reason, now) {
+    const challenge = this.challenge;
+    const outcome = success ? challenge.def.reward : challenge.def.curse;
+    const player = this.gameState.players[challenge.playerId];
+    if (outcome.gold && player) {
+      player.gold += outcome.gold;
+      player.goldEarned = (player.goldEarned || 0) + outcome.gold;
+    }
+    if (outcome.effects && this.gameState.mutatorManager) {
+      this.gameState.mutatorManager.addTimedEffect(
+        `altar:${challenge.altar.challengeId}:${success ? 'reward' : 'curse'}`,
+        outcome.effects,
+        now + outcome.effectDurationMs
+      );
+    }
+    challenge.altar.state = 'spent';
+    this.challenge = null;
+    this._emitEnded(challenge, success, reason, outcome);
+  }
+
+  _emitEnded(challenge, success, reason, outcome) {
+    this.io.emit(SOCKET_EVENTS.SERVER.ALTAR_CHALLENGE_ENDED, {
+      altarId: challenge.altar.id,
+      challengeId: challenge.altar.challengeId,
+      playerId: challenge.playerId,
+      success,
+      reason,
+      gold: (outcome && outcome.gold) || 0,
+      effects: (outcome && outcome.effects) || null,
+      effectDurationMs: (outcome && outcome.effectDurationMs) || 0
+    });
+  }
+}
+
+module.exports = { AltarManager, generateRoomAltars, toPublicAltar };
@@ -4,8 +4,13 @@
  * Config modules live in lib/server/config/:
  *   - WeaponConfig.js    → WEAPONS
  *   - ZombieConfig.js    → ZOMBIE_TYPES
+ *   - BossConfig.js      → BOSS_DEFINITIONS (scripted bosses, bosses/*.json)
  *   - PowerupConfig.js   → POWERUP_TYPES
  *   - ShopConfig.js      → SHOP_ITEMS, LEVEL_UP_UPGRADES
+ *   - SynergyConfig.js   → SYNERGIES (level-up upgrade pairs, see SynergyRegistry)
+ *   - AltarConfig.js     → ALTAR_CHALLENGES (room altar challenges, see AltarManager)
+ *   - MutatorConfig.js   → RUN_MUTATORS (run mutator pool, see RunMutatorManager)
+ *   - BotConfig.js       → BOT_CONFIG, BOT_DIFFICULTIES (bot players, see BotManager)
  *   - GameplayConfig.js  → CONFIG, GAMEPLAY_CONSTANTS, INACTIVITY_TIMEOUT, HEARTBEAT_CHECK_INTERVAL
  *
  * Also exposes `configHotReload` (singleton ConfigHotReload) for runtime .env
@@ -23,8 +28,13 @@
 
 const { WEAPONS } = require('./config/WeaponConfig');
 const { ZOMBIE_TYPES } = require('./config/ZombieConfig');
+const { BOSS_DEFINITIONS } = require('./config/BossConfig');
 const { POWERUP_TYPES } = require('./config/PowerupConfig');
 const { LEVEL_UP_UPGRADES, SHOP_ITEMS } = require('./config/ShopConfig');
+const { SYNERGIES } = require('./config/SynergyConfig');
+const { ALTAR_CHALLENGES } = require('./config/AltarConfig');
+const { RUN_MUTATORS } = require('./config/MutatorConfig');
+const { BOT_CONFIG, BOT_DIFFICULTIES } = require('./config/BotConfig');
 const {
   CONFIG,
   INACTIVITY_TIMEOUT,
@@ -39,7 +49,13 @@ module.exports = {
   WEAPONS,
   POWERUP_TYPES,
   ZOMBIE_TYPES,
+  BOSS_DEFINITIONS,
   LEVEL_UP_UPGRADES,
+  SYNERGIES,
+  ALTAR_CHALLENGES,
+  RUN_MUTATORS,
+  BOT_CONFIG,
+  BOT_DIFFICULTIES,
   SHOP_ITEMS,
   INACTIVITY_TIMEOUT,
   HEARTBEAT_CHECK_INTERVAL,
@@ -0,0 +1,200 @@
+/**
+ * DAILY CHALLENGE INTEGRATION
+ * Drives daily challenge progress from server gameplay events (GameEventBus)
+ * instead of client reports. Deltas are batched per account and flushed to
+ * DailyChallengeService once per interval so kills never hit SQLite inside
+ * the tick; completions are pushed to the player's socket.
+ * A player alive at the end of a wave without buying anything in the shop
+ * since the previous one completes a `no_shop_purchase` step.
+ * `no_damage_time` is the player's current damage-free streak while alive:
+ * it restarts on every `playerDamaged` event and is reported in whole steps
+ * of NO_DAMAGE_STEP_SECONDS on each flush interval.
+ */
+
+'use strict';
+
+const logger = require('../../infrastructure/logging/Logger');
+const { GAME_EVENTS } = require('./GameEventBus');
+const { SOCKET_EVENTS } = require('../../transport/websocket/events');
+
+const FLUSH_INTERVAL_MS = 1000;
+const NO_DAMAGE_STEP_SECONDS = 30;
+
+// Progress types that report a reached value (kept as a max) rather than a delta.
+const ABSOLUTE_TYPES = new Set(['reach_level', 'no_damage_time']);
+
+class DailyChallengeIntegration {
+  /**
+   * @param {Object} container - DI container (dailyChallengeService)
+   * @param {Object} io - instance io facade
+   * @param {Object} gameState - instance game state, `events` included
+   * @param {{flushIntervalMs?: number}} [options]
+   */
+  constructor(container, io, gameState, options = {}) {
+    this.dailyChallengeService = container.get('dailyChallengeService');
+    this.io = io;
+    this.gameState = gameState;
+    this._pending = new Map();
+    /** Socket ids that bought in the shop since the last cleared wave */
+    this._shoppedThisWave = new Set();
+    /** Socket id -> {since, reported}: start of the damage-free streak, last step queued */
+    this._noDamage = new Map();
+
+    const { events } = gameState;
+    this._unsubscribe = [
+      events.on(GAME_EVENTS.ZOMBIE_KILLED, e => this._onZombieKilled(e)),
+      events.on(GAME_EVENTS.BOSS_KILLED, e => this._onBossKilled(e)),
+      events.on(GAME_EVENTS.WAVE_COMPLETED, () => this._onWaveCompleted()),
+      events.on(GAME_EVENTS.PLAYER_DIED, e => this._onPlayerDied(e)),
+      events.on(GAME_EVENTS.CRITICAL_HIT, e => this._onCriticalHit(e)),
+      events.on(GAME_EVENTS.SHOP_PURCHASE, e => this._shoppedThisWave.add(e.playerId)),
+      events.on(GAME_EVENTS.PLAYER_DAMAGED, e => this._noDamage.delete(e.playerId))
+    ];
+    this._timer = setInterval(() => {
+      this.checkNoDamage(Date.now());
+      this.flush();
+    }, options.flushIntervalMs || FLUSH_INTERVAL_MS);
+    if (this._timer.unref) {
+      this._timer.unref();
+    }
+  }
+
+  _onZombieKilled({ playerId, zombieType }) {
+    const accountId = this._accountOf(playerId);
+    if (!accountId) {
+      return;
+    }
+    this._queue(accountId, playerId, 'zombies_killed', 1);
+    this._queue(accountId, playerId, 'zombies_killed_type', 1, { zombieType });
+  }
+
+  _onBossKilled({ playerId }) {
+    const accountId = this._accountOf(playerId);
+    if (accountId) {
+      this._queue(accountId, playerId, 'bosses_defeated', 1);
+    }
+  }
+
+  _onCriticalHit({ playerId }) {
+    const accountId = this._accountOf(playerId);
+    if (accountId) {
+      this._queue(accountId, playerId, 'critical_hits', 1);
+    }
+  }
+
+  // Every player still alive when the wave is cleared survived it.
+  _onWaveCompleted() {
+    for (const socketId in this.gameState.players) {
+      const player = this.gameState.players[socketId];
+      if (player && player.alive && player.accountId) {
+        this._queue(player.accountId, socketId, 'waves_survived', 1);
+        if (!this._shoppedThisWave.has(socketId)) {
+          this._queue(player.accountId, socketId, 'no_shop_purchase', 1);
+        }
+      }
+    }
+    this._shoppedThisWave.clear();
+  }
+
+  _onPlayerDied({ playerId, accountId, level, goldEarned }) {
+    this._queue(accountId, playerId, 'reach_level', level);
+    if (goldEarned > 0) {
+      this._queue(accountId, playerId, 'gold_earned', goldEarned);
+    }
+  }
+
+  /**
+   * Queue the damage-free streak of every living player, in whole steps.
+   * Streaks start on the first check after spawn or damage; dead or downed
+   * players start over.
+   * @param {number} now - timestamp in ms
+   */
+  checkNoDamage(now) {
+    const { players } = this.gameState;
+    for (const socketId of this._noDamage.keys()) {
+      if (!players[socketId]) {
+        this._noDamage.delete(socketId);
+      }
+    }
+    for (const socketId in players) {
+      const player = players[socketId];
+      if (!player || !player.alive || player.downed || !player.accountId) {
+        this._noDamage.delete(socketId);
+        continue;
+      }
+      const streak = this._noDamage.get(socketId);
+      if (!streak) {
+        this._noDamage.set(socketId, { since: now, reported: 0 });
+        continue;
+      }
+      const seconds = Math.floor((now - streak.since) / 1000);
+      const step = seconds - (seconds % NO_DAMAGE_STEP_SECONDS);
+      if (step > streak.reported) {
+        streak.reported = step;
+        this._queue(player.accountId, socketId, 'no_damage_time', step);
+      }
+    }
+  }
+
+  _accountOf(socketId) {
+    const player = this.gameState.players[socketId];
+    return player ? player.accountId || null : null;
+  }
+
+  _queue(accountId, socketId, eventType, amount, meta = {}) {
+    const key = `${accountId}|${eventType}|${meta.zombieType || ''}`;
+    const entry = this._pending.get(key);
+    if (!entry) {
+      this._pending.set(key, { accountId, socketId, eventType, amount, meta });
+      return;
+    }
+    entry.socketId = socketId;
+    entry.amount = ABSOLUTE_TYPES.has(eventType) ? Math.max(entry.amount, amount) : entry.amount + amount;
+  }
+
+  /**
+   * Apply every queued delta and notify completed challenges.
+   * @returns {number} number of (account, type) batches applied
+   */
+  flush() {
+    if (this._pending.size === 0) {
+      return 0;
+    }
+    const batch = this._pending;
+    this._pending = new Map();
+    for (const entry of batch.values()) {
+      let results;
+      try {
+        results = this.dailyChallengeService.applyEvent(entry.accountId, entry.eventType, entry.amount, entry.meta);
+      } catch (error) {
+        logger.error('Failed to apply daily challenge progress', {
+          accountId: entry.accountId,
+          eventType: entry.eventType,
+          error: error.message
+        });
+        continue;
+      }
+      for (const result of results) {
+        if (result.justCompleted) {
+          this.io.to(entry.socketId).emit(SOCKET_EVENTS.SERVER.DAILY_CHALLENGE_COMPLETED, {
+            challengeId: result.challengeId,
+            progress: result.progress,
+            target: result.target,
+            reward: result.reward
+          });
+        }
+      }
+    }
+    return batch.size;
+  }
+
+  /** Flush what is left and detach from the event bus (instance stop). */
+  stop() {
+    clearInterval(this._timer);
+    this._unsubscribe.forEach(unsubscribe => unsubscribe());
+    this._unsubscribe = [];
+    this.flush();
+  }
+}
+
+module.exports = DailyChallengeIntegration;
@@ -0,0 +1,114 @@
+/**
+ * GameEventBus — in-process gameplay events of one game instance.
+ *
+ * Gameplay modules (BulletCollisionHandler, WaveManager, DeathProgressionHandler,
+ * the shop handler, every source of player damage) publish what the server observed
+ * on `gameState.events`; meta systems such as
+ * DailyChallengeIntegration subscribe without the game loop knowing about them.
+ * A throwing listener is logged and never reaches the publishing tick.
+ *
+ * Payloads carry socket ids (`playerId`), resolved by listeners through
+ * gameState.players.
+ */
+
+'use strict';
+
+const logger = require('../../infrastructure/logging/Logger');
+
+const GAME_EVENTS = Object.freeze({
+  /** {playerId, zombieType, isBoss, wave} — a player's bullet killed a zombie */
+  ZOMBIE_KILLED: 'zombieKilled',
+  /** {playerId, zombieType, wave} — a player's bullet killed the wave boss */
+  BOSS_KILLED: 'bossKilled',
+  /** {wave} — `wave` was cleared, gameState.wave is already the next one */
+  WAVE_COMPLETED: 'waveCompleted',
+  /** {playerId, accountId, level, wave, goldEarned} — a player's run ended in death */
+  PLAYER_DIED: 'playerDied',
+  /** {playerId} — a player's critical bullet hit a zombie */
+  CRITICAL_HIT: 'criticalHit',
+  /** {playerId, itemId, category} — a player bought an item in the in-game shop */
+  SHOP_PURCHASE: 'shopPurchase',
+  /** {playerId, damage} — a player lost health (zombie, boss, hazard, explosion...) */
+  PLAYER_DAMAGED: 'playerDamaged'
+});
+
+class GameEventBus {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * @param {string} event - one of GAME_EVENTS
+   * @param {Function} listener - called synchronously with the payload
+   * @returns {Function} unsubscribe
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return () => {
+      const listeners = this._listeners.get(event);
+      const index = listeners ? listeners.indexOf(listener) : -1;
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * @param {string} event
+   * @param {Object} payload
+   */
+  emit(event, payload) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      return;
+    }
+    for (const listener of listeners.slice()) {
+      try {
+        listener(payload);
+      } catch (err) {
+        logger.error('Game event listener failed', { event, error: err.message });
+      }
+    }
+  }
+
+  /** Drop every listener (instance shutdown). */
+  clear() {
+    this._listeners.clear();
+  }
+}
+
+/**
+ * Publish a zombie killed by a player, plus BOSS_KILLED when it was the boss.
+ * No-op for kills without a known player (poison ticks, explosions).
+ * @param {Object} gameState
+ * @param {string|null|undefined} playerId - killer's socket id
+ * @param {Object} zombie
+ */
+function publishZombieKill(gameState, playerId, zombie) {
+  const events = gameState.events;
+  if (!events || !playerId) {
+    return;
+  }
+  const isBoss = zombie.isBoss === true;
+  events.emit(GAME_EVENTS.ZOMBIE_KILLED, { playerId, zombieType: zombie.type, isBoss, wave: gameState.wave });
+  if (isBoss) {
+    events.emit(GAME_EVENTS.BOSS_KILLED, { playerId, zombieType: zombie.type, wave: gameState.wave });
+  }
+}
+
+/**
+ * Publish damage taken by a player. No-op for blocked hits (0 damage).
+ * @param {Object} gameState
+ * @param {string} playerId - socket id of the player hit
+ * @param {number} damage - health lost
+ */
+function publishPlayerDamage(gameState, playerId, damage) {
+  if (gameState.events && playerId && damage > 0) {
+    gameState.events.emit(GAME_EVENTS.PLAYER_DAMAGED, { playerId, damage });
+  }
+}
+
+module.exports = { GameEventBus, GAME_EVENTS, publishZombieKill, publishPlayerDamage };
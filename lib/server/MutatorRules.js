@@ -0,0 +1,172 @@
+/**
+ * MUTATOR RULES - Rule-changing run mutators.
+ * A mutator's `rules` (lib/server/config/MutatorConfig) are turned into rule
+ * objects by createRule. RunMutatorManager keeps the rules of the active
+ * mutators, calls their lifecycle hooks on rotation, and the updaters reach
+ * them through runMutatorHook / applyMutatorHook at their hook points.
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { publishPlayerDamage } = require('./GameEventBus');
+
+/**
+ * Hook contract. Every hook is optional.
+ * @typedef {Object} MutatorRule
+ * @property {string} name
+ * @property {function(Object): void} [onActivate] - gameState; the mutator became active
+ * @property {function(Object): void} [onDeactivate] - gameState; the mutator was rotated out
+ * @property {function(Object, Object, Object): void} [onZombieDeath] - zombie, gameState, entityManager
+ * @property {function(Object, number, number, function(number, number): boolean): boolean} [onBulletWallHit]
+ *   bullet, previous x/y, isBlocked(x, y); returns true when it kept the bullet alive
+ * @property {function(number, Object): number} [modifyLootGold] - gold, gameState
+ * @property {function(number, Object): number} [modifyRegen] - heal amount, player
+ * @property {function(boolean, Object): boolean} [modifyEliteRoll] - elite roll result, gameState
+ */
+
+/** @type {Object<string, function(Object): MutatorRule>} */
+const RULE_FACTORIES = {
+  deathExplosion: ({ radius, damage }) => ({
+    name: 'deathExplosion',
+    onZombieDeath(zombie, gameState, entityManager) {
+      // Explosive zombies already blow up on death
+      if (zombie.type === 'explosive') {
+        return;
+      }
+      // Lazy: lootFunctions and DeathProgressionHandler pull in the game modules
+      const { createExplosion, createParticles } = require('../../game/lootFunctions');
+      const { handlePlayerDeathProgression } = require('../../contexts/player/modules/DeathProgressionHandler');
+      createExplosion(zombie.x, zombie.y, radius, false, entityManager);
+      const radiusSq = radius * radius;
+      for (const playerId in gameState.players) {
+        const player = gameState.players[playerId];
+        if (!player.alive || player.downed || player.spawnProtection || player.invisible) {
+          continue;
+        }
+        const dx = player.x - zombie.x;
+        const dy = player.y - zombie.y;
+        if (dx * dx + dy * dy >= radiusSq) {
+          continue;
+        }
+        player.health -= damage;
+        publishPlayerDamage(gameState, playerId, damage);
+        createParticles(player.x, player.y, '#ff8800', 10, entityManager);
+        if (player.health <= 0) {
+          handlePlayerDeathProgression(player, playerId, gameState, Date.now(), false);
+        }
+      }
+    }
+  }),
+
+  noRegen: () => ({
+    name: 'noRegen',
+    modifyRegen: () => 0
+  }),
+
+  lootGold: ({ multiplier }) => ({
+    name: 'lootGold',
+    modifyLootGold: gold => Math.floor(gold * multiplier)
+  }),
+
+  bulletRicochet: ({ bounces }) => ({
+    name: 'bulletRicochet',
+    onBulletWallHit(bullet, prevX, prevY, isBlocked) {
+      if (bullet.isZombieBullet || (bullet.ricochets || 0) >= bounces) {
+        return false;
+      }
+      // Flip the axis that crossed the wall; both on a corner hit
+      const hitX = isBlocked(bullet.x, prevY);
+      const hitY = isBlocked(prevX, bullet.y);
+      if (hitX || !hitY) {
+        bullet.vx = -bullet.vx;
+      }
+      if (hitY || !hitX) {
+        bullet.vy = -bullet.vy;
+      }
+      bullet.x = prevX;
+      bullet.y = prevY;
+      bullet.ricochets = (bullet.ricochets || 0) + 1;
+      return true;
+    }
+  }),
+
+  darkness: ({ visionRadius }) => ({
+    name: 'darkness',
+    onActivate(gameState) {
+      gameState.visionRadius = visionRadius;
+    },
+    onDeactivate(gameState) {
+      gameState.visionRadius = null;
+    }
+  }),
+
+  eliteEvery: ({ count }) => {
+    let spawns = 0;
+    return {
+      name: 'eliteEvery',
+      onActivate() {
+        spawns = 0;
+      },
+      modifyEliteRoll(isElite) {
+        spawns++;
+        return isElite || spawns % count === 0;
+      }
+    };
+  }
+};
+
+/**
+ * @param {string} name - rule key (MUTATOR_RULE_SCHEMAS)
+ * @param {Object} params - validated rule params
+ * @returns {MutatorRule}
+ */
+function createRule(name, params) {
+  const factory = RULE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown mutator rule: ${name}`);
+  }
+  return factory(params || {});
+}
+
+/**
+ * Rules of a mutator list, in mutator then declaration order.
+ * @param {Array<{rules?: Object<string, Object>}>} mutators
+ * @returns {MutatorRule[]}
+ */
+function createRules(mutators) {
+  const rules = [];
+  for (const mutator of mutators) {
+    for (const [name, params] of Object.entries(mutator.rules || {})) {
+      rules.push(createRule(name, params));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Call a hook on the active rules. No-op without a mutator manager.
+ * @param {Object} gameState
+ * @param {string} hook
+ * @param {...*} args
+ * @returns {boolean} true when a rule handled it (returned true)
+ */
+function runMutatorHook(gameState, hook, ...args) {
+  const manager = gameState && gameState.mutatorManager;
+  return manager ? manager.runHook(hook, ...args) : false;
+}
+
+/**
+ * Fold a value through a modify* hook of the active rules.
+ * @param {Object} gameState
+ * @param {string} hook
+ * @param {*} value
+ * @param {...*} args
+ * @returns {*} the modified value, `value` without a mutator manager
+ */
+function applyMutatorHook(gameState, hook, value, ...args) {
+  const manager = gameState && gameState.mutatorManager;
+  return manager ? manager.applyHook(hook, value, ...args) : value;
+}
+
+module.exports = { RULE_FACTORIES, createRule, createRules, runMutatorHook, applyMutatorHook };
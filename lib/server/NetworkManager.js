@@ -2,7 +2,7 @@
  * NETWORK MANAGER - Gestion de la compression et des deltas
  * Implémente la delta compression pour réduire la bande passante
  * Gain: -80-90% bande passante
- * @version 1.3.0 — perf/network-manager-overhaul
+ * @version 1.5.0 — dedicated low-rate spectator feed
  */
 
 const logger = require('../../infrastructure/logging/Logger');
@@ -11,9 +11,10 @@ const DeltaBuilder = require('./network/DeltaBuilder');
 const BroadcastThrottler = require('./network/BroadcastThrottler');
 const EventBatchQueue = require('./network/EventBatchQueue');
 const LatencyTracker = require('./network/LatencyTracker');
-const ReplayBuffer = require('./ReplayBuffer');
-
-const replayBuffer = process.env.ENABLE_REPLAY === 'true' ? new ReplayBuffer() : null;
+const InterestManager = require('./network/InterestManager');
+const SpectatorFeed = require('./network/SpectatorFeed');
+const { SPECTATOR_CONFIG } = require('../../config/constants');
+const { SOCKET_EVENTS } = require('../../transport/websocket/events');
 
 // Log sampling: emit the ">5ms" perf warning at most 1 in N ticks to avoid spam
 const SLOW_EMIT_LOG_SAMPLE_RATE = 100;
@@ -45,6 +46,10 @@ class NetworkManager {
     this.BATCH_FLUSH_INTERVAL = this._eventBatchQueue.FLUSH_INTERVAL;
     this._deltaBuilder = new DeltaBuilder();
     this._throttler = new BroadcastThrottler(this.playerLatencies);
+    this._interest = new InterestManager(this._deltaBuilder);
+    this._spectators = new SpectatorFeed(this._interest, SPECTATOR_CONFIG.feedIntervalMs);
+    // Match replay recorder (lib/server/replay/MatchRecorder), set per instance
+    this.recorder = null;
 
     // PERF: Pre-allocated delta pool — reused each tick to avoid GC pressure.
     // Entity-type sub-objects are also pre-allocated and cleared in-place.
@@ -128,6 +133,7 @@ class NetworkManager {
     sanitized.sessionId = undefined;
     sanitized.socketId = undefined;
     sanitized.accountId = undefined;
+    sanitized.runId = undefined;
     return sanitized;
   }
 
@@ -225,9 +231,54 @@ class NetworkManager {
     return this._throttler._shouldSkipSocket(socketId);
   }
 
+  /** @delegates InterestManager.setViewport */
+  setViewport(socketId, width, height) {
+    this._interest.setViewport(socketId, width, height);
+  }
+
   /**
-   * Emit the shared game state snapshot (full or delta) to every client.
-   * Full state is broadcast every FULL_STATE_INTERVAL ticks; deltas otherwise.
+   * Register a watch-only socket: it leaves the per-tick broadcast and is
+   * served by the spectator feed.
+   * @param {string} socketId
+   */
+  addSpectator(socketId) {
+    this._interest.addSpectator(socketId);
+    this._spectators.add(socketId);
+  }
+
+  /** @returns {number} spectators watching this world */
+  getSpectatorCount() {
+    return this._spectators.size;
+  }
+
+  /** @delegates InterestManager.setCameraTarget */
+  setCameraTarget(socketId, playerId) {
+    this._interest.setCameraTarget(socketId, playerId);
+  }
+
+  /** @delegates InterestManager.getCameraTarget */
+  getCameraTarget(socketId) {
+    return this._interest.getCameraTarget(socketId);
+  }
+
+  /** @delegates InterestManager.setCameraPosition */
+  setCameraPosition(socketId, x, y) {
+    this._interest.setCameraPosition(socketId, x, y);
+  }
+
+  /** @delegates InterestManager.resyncSocket */
+  resyncSocket(socketId) {
+    this._interest.resyncSocket(socketId);
+    this._spectators.resync(socketId);
+  }
+
+  /**
+   * Emit the game state snapshot (full or delta) to every client.
+   * Full state is sent every FULL_STATE_INTERVAL ticks; deltas otherwise.
+   * Each socket only receives the entities inside its area of interest (see
+   * InterestManager); spectators get their own low-rate feed (SpectatorFeed).
+   * Without a socket registry (bench harnesses, fakes) the unculled state is
+   * broadcast to the whole room instead.
    * LATENCY OPTIMIZATION: broadcast cadence is reduced under high average latency.
    */
   emitGameState() {
@@ -255,7 +306,11 @@ class NetworkManager {
       this.fullStateCounter = 0;
     }
 
-    if (isFull) {
+    const sockets = this._getSocketRegistry();
+    if (sockets) {
+      _bytesThisTick += this._emitPerSocket(sockets, sharedState, sharedPrev, isFull, serverTime);
+      _bytesThisTick += this._emitSpectators(sockets, sharedState, serverTime);
+    } else if (isFull) {
       const fullState = this._buildFullPayload(sharedState, serverTime);
       _bytesThisTick += this._estimatePayloadBytes(fullState);
       this._emitCompressed('gameState', fullState);
@@ -264,11 +319,9 @@ class NetworkManager {
       if (delta) {
         _bytesThisTick += this._estimatePayloadBytes(delta);
         this._emitCompressed('gameStateDelta', delta);
-        if (replayBuffer) {
-          replayBuffer.record(delta);
-        }
       }
     }
+    this._recordFrame(sharedState, serverTime);
     this.previousState = this.cloneState(sharedState);
 
     const _elapsed = performance.now() - _t0;
@@ -288,6 +341,109 @@ class NetworkManager {
     }
   }
 
+  /**
+   * Attach the replay recorder fed with every broadcast state.
+   * @param {import('./replay/MatchRecorder')|null} recorder
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  /**
+   * Hand the broadcast state to the replay recorder. Recording failures are
+   * logged and never break the broadcast.
+   * @param {object} state - output of _buildPublicState()
+   * @param {number} serverTime
+   */
+  _recordFrame(state, serverTime) {
+    if (!this.recorder) {
+      return;
+    }
+    try {
+      this.recorder.capture(state, serverTime);
+    } catch (err) {
+      logger.warn('[NetworkManager] replay capture failed', { error: err.message });
+    }
+  }
+
+  /**
+   * Socket.IO socket registry (id → socket), or null for lightweight fakes.
+   * @returns {Map|null}
+   */
+  _getSocketRegistry() {
+    const registry = this.io && this.io.sockets && this.io.sockets.sockets;
+    return registry && typeof registry.get === 'function' ? registry : null;
+  }
+
+  /**
+   * Per-socket emit: the shared world delta is computed once, then narrowed
+   * to each socket's area of interest. Sockets without a visibility baseline
+   * (just joined, after resetDelta) get a culled keyframe instead.
+   * @param {Map} sockets
+   * @param {object} state - output of _buildPublicState()
+   * @param {object} prev
+   * @param {boolean} isFull
+   * @param {number} serverTime
+   * @returns {number} estimated bytes sent
+   */
+  _emitPerSocket(sockets, state, prev, isFull, serverTime) {
+    let bytes = 0;
+    this._interest.beginTick();
+    const sharedDelta = isFull ? null : this._buildDeltaPayload(state, prev, serverTime);
+
+    for (const socketId in this.gameState.players) {
+      const socket = sockets.get(socketId);
+      if (!socket) {
+        continue;
+      }
+      let event;
+      let payload;
+      if (isFull || this._interest.needsKeyframe(socketId)) {
+        event = 'gameState';
+        payload = this._buildFullPayload(
+          Object.assign({}, state, this._interest.buildVisibleState(socketId, state)),
+          serverTime
+        );
+      } else {
+        payload = sharedDelta ? this._interest.buildSocketDelta(socketId, state, sharedDelta) : null;
+        if (!payload) {
+          continue;
+        }
+        event = 'gameStateDelta';
+        payload.serverTime = serverTime;
+      }
+      bytes += this._estimatePayloadBytes(payload);
+      if (typeof socket.compress === 'function') {
+        socket.compress(false).emit(event, payload);
+      } else {
+        socket.emit(event, payload);
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Spectator emit: each spectator gets a state at most every
+   * SPECTATOR_CONFIG.feedIntervalMs, tuned to its camera (see SpectatorFeed).
+   * @param {Map} sockets
+   * @param {object} state - output of _buildPublicState()
+   * @param {number} serverTime
+   * @returns {number} estimated bytes sent
+   */
+  _emitSpectators(sockets, state, serverTime) {
+    let bytes = 0;
+    for (const socketId of this._spectators.ids()) {
+      const socket = sockets.get(socketId);
+      const payload = socket ? this._spectators.build(socketId, state, serverTime) : null;
+      if (!payload) {
+        continue;
+      }
+      bytes += this._estimatePayloadBytes(payload);
+      socket.emit(SOCKET_EVENTS.SERVER.SPECTATOR_STATE, payload);
+    }
+    return bytes;
+  }
+
   /**
    * Emit with compression disabled when socket.io exposes the helper; otherwise
    * fall back to a plain emit for lightweight fakes/bench callers.
@@ -411,6 +567,8 @@ class NetworkManager {
   resetDelta() {
     this.previousState = {};
     this._deltaBuilder.reset();
+    this._interest.resetVisibility();
+    this._spectators.reset();
     this.fullStateCounter = 0;
   }
 
@@ -446,9 +604,11 @@ class NetworkManager {
     this._eventBatchQueue.cleanupPlayer(playerId);
     this._latencyTracker.cleanupPlayer(playerId);
 
-    // Remove per-socket room tracking entry + throttle skip flag
+    // Remove per-socket room tracking entry, throttle skip flag and AOI view
     this._deltaBuilder.cleanupSocket(playerId);
     this._throttler.cleanupSocket(playerId);
+    this._interest.cleanupSocket(playerId);
+    this._spectators.remove(playerId);
   }
 
   /**
@@ -474,4 +634,3 @@ class NetworkManager {
 }
 
 module.exports = NetworkManager;
-module.exports.replayBuffer = replayBuffer;
@@ -16,6 +16,8 @@ class ProgressionIntegration {
     // Get services from container
     this.accountProgressionService = container.get('accountProgressionService');
     this.achievementService = container.get('achievementService');
+    this.runRecordService = container.get('runRecordService');
+    this.runRewardService = container.get('runRewardService');
 
     logger.info('ProgressionIntegration initialized');
   }
@@ -61,55 +63,86 @@ class ProgressionIntegration {
   }
 
   /**
-   * Handle player death - award XP and check achievements
-   * @param {Object} player - Player object from game state
+   * Handle player death - record the run, award its XP and check achievements.
+   * The run record is the only source of the XP amount; a failure to write it
+   * is rethrown so DeathProgressionHandler can queue a retry.
+   * @param {Object} player - Player object from game state (must carry runId)
    * @param {String} playerUUID - Player persistent UUID
-   * @param {Object} sessionStats - Stats from session
+   * @param {Object} sessionStats - Server-side stats snapshot (DeathProgressionHandler)
+   * @param {{instanceId?: string|null, seed?: number|null, endedAt?: number,
+   *   party?: {partyId: string, score: number, members: number}|null}} [runContext]
+   * @returns {Promise<void>}
    */
-  async handlePlayerDeath(player, playerUUID, sessionStats = {}) {
-    try {
-      if (!playerUUID || !player) {
-        return;
-      }
+  async handlePlayerDeath(player, playerUUID, sessionStats = {}, runContext = {}) {
+    if (!playerUUID || !player) {
+      return;
+    }
 
-      // Skip persistence for anonymous players (no DB row → FK constraints would fail).
-      const playerRepo =
-        this.container && this.container.get
-          ? (() => {
-              try {
-                return this.container.get('playerRepository');
-              } catch (err) {
-                logger.warn('playerRepository not found in container', { err });
-                return null;
-              }
-            })()
-          : null;
-      if (playerRepo && typeof playerRepo.findById === 'function') {
-        const dbPlayer = await playerRepo.findById(playerUUID).catch((err) => {
-          logger.warn('findById failed for playerUUID', { err, context: { playerUUID } });
-          return null;
-        });
-        if (!dbPlayer) {
-          return; // anonymous session, nothing to persist
-        }
+    // Skip persistence for anonymous players (no DB row → FK constraints would fail).
+    const playerRepo =
+      this.container && this.container.get
+        ? (() => {
+            try {
+              return this.container.get('playerRepository');
+            } catch (err) {
+              logger.warn('playerRepository not found in container', { err });
+              return null;
+            }
+          })()
+        : null;
+    if (playerRepo && typeof playerRepo.findById === 'function') {
+      const dbPlayer = await playerRepo.findById(playerUUID).catch((err) => {
+        logger.warn('findById failed for playerUUID', { err, context: { playerUUID } });
+        return null;
+      });
+      if (!dbPlayer) {
+        return; // anonymous session, nothing to persist
       }
+    }
 
-      // Calculate survival time if not set
-      if (!player.survivalTime && player.gameStartTime) {
-        player.survivalTime = Math.floor((Date.now() - player.gameStartTime) / 1000);
-      }
+    // Calculate survival time if not set
+    if (!player.survivalTime && player.gameStartTime) {
+      player.survivalTime = Math.floor((Date.now() - player.gameStartTime) / 1000);
+    }
 
-      // Award account XP and check achievements atomically
-      const [xpResult, achievementsResult] = await Promise.all([
-        this.accountProgressionService.handlePlayerDeath(player, playerUUID),
+    const record = await this._recordRun(player, playerUUID, sessionStats, runContext);
+
+    try {
+      // Award account XP, run rewards and check achievements atomically
+      const [xpResult, rewards, achievementsResult] = await Promise.all([
+        record ? this._grantRunXP(record, playerUUID) : null,
+        record ? this._applyRunRewards(record, sessionStats) : null,
         this.achievementService.checkAndUnlockAchievements(playerUUID, sessionStats)
       ]);
 
       // Notify player via socket
       const socket = this.findPlayerSocket(player.id);
+      if (socket && record) {
+        socket.emit(SOCKET_EVENTS.SERVER.RUN_COMPLETED, {
+          runId: record.runId,
+          outcome: record.outcome,
+          wave: record.wave,
+          level: record.level,
+          kills: record.kills,
+          survivalTime: record.survivalTime,
+          score: record.score,
+          xpEarned: record.xpEarned,
+          gold: player.gold || 0,
+          seed: runContext.seed ?? null,
+          party: runContext.party || null
+        });
+      }
+      if (socket && rewards && rewards.gemsEarned > 0) {
+        socket.emit(SOCKET_EVENTS.SERVER.GEMS_EARNED, {
+          runId: record.runId,
+          amount: rewards.gemsEarned,
+          balance: rewards.wallet ? rewards.wallet.balance : null
+        });
+      }
       if (socket && xpResult && xpResult.success) {
         // Send XP gained notification
         socket.emit(SOCKET_EVENTS.SERVER.ACCOUNT_XP_GAINED, {
+          runId: record.runId,
           xpEarned: xpResult.currentXP,
           levelsGained: xpResult.levelsGained,
           skillPointsGained: xpResult.skillPointsGained,
@@ -127,7 +160,8 @@ class ProgressionIntegration {
 
         logger.info('Player death processed', {
           playerUUID,
-          xpEarned: xpResult.currentXP,
+          runId: record.runId,
+          xpEarned: record.xpEarned,
           levelsGained: xpResult.levelsGained,
           achievementsUnlocked: achievementsResult ? achievementsResult.length : 0
         });
@@ -141,6 +175,72 @@ class ProgressionIntegration {
     }
   }
 
+  /**
+   * Persist the server-observed outcome of the player's current run.
+   * Death is the only recorded outcome: a run left unfinished (quit, expired
+   * session) has no record and earns no XP.
+   * @private
+   * @returns {Promise<Object|null>} RunRecord, or null when no run can be recorded
+   */
+  async _recordRun(player, playerUUID, sessionStats, runContext) {
+    if (!this.runRecordService || !player.runId) {
+      logger.warn('Run not recorded (no run id or run record service)', { playerUUID, playerId: player.id });
+      return null;
+    }
+    try {
+      return await this.runRecordService.recordRun({
+        runId: player.runId,
+        playerId: playerUUID,
+        instanceId: runContext.instanceId || null,
+        outcome: 'death',
+        stats: sessionStats,
+        startedAt: typeof player.survivalStartedAt === 'number' ? player.survivalStartedAt : null,
+        endedAt: runContext.endedAt || Date.now()
+      });
+    } catch (error) {
+      logger.error('Failed to record run', { playerUUID, runId: player.runId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Grant the run's XP. Already-granted runs (death retry replay) resolve to null.
+   * @private
+   * @returns {Promise<Object|null>}
+   */
+  async _grantRunXP(record, playerUUID) {
+    try {
+      const { result } = await this.runRecordService.grantXP(record.runId, playerUUID);
+      return result;
+    } catch (error) {
+      if (error.name !== 'ConflictError') {
+        logger.error('Failed to grant run XP', { playerUUID, runId: record.runId, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Apply the run's gems, contract progress and lifetime stats.
+   * Already-applied runs (death retry replay) resolve to null.
+   * @private
+   * @returns {Promise<Object|null>}
+   */
+  async _applyRunRewards(record, sessionStats) {
+    if (!this.runRewardService) {
+      return null;
+    }
+    try {
+      return await this.runRewardService.applyRun(record, {
+        goldEarned: sessionStats.goldEarned || 0,
+        weaponStats: sessionStats.weaponStats || []
+      });
+    } catch (error) {
+      logger.error('Failed to apply run rewards', { playerId: record.playerId, runId: record.runId, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Update player stats with berserker/dynamic bonuses during gameplay
    * @param {Object} player - Player object
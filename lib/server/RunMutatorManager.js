@@ -1,10 +1,17 @@
 /**
  * RUN MUTATOR MANAGER - Server-side gameplay modifiers.
- * @version 2.0.0
+ * Rotating run mutators, plus timed effect sets (altar rewards and curses)
+ * stacked on top of them until they expire or the room changes.
+ * Mutators come from lib/server/config/MutatorConfig: scalar `effects`, and
+ * `rules` (lib/server/MutatorRules) whose hooks the updaters call while the
+ * mutator is active.
+ * @version 2.3.0
  */
 
 const logger = require('../../infrastructure/logging/Logger');
-const { runPRNG } = require('../runPRNG');
+const { runStream } = require('../runPRNG');
+const { RUN_MUTATORS } = require('./config/MutatorConfig');
+const { createRules } = require('./MutatorRules');
 
 class RunMutatorManager {
   constructor(gameState, io, options = {}) {
@@ -13,6 +20,10 @@ class RunMutatorManager {
     this.rotationInterval = options.rotationInterval || 10;
     this.lastRotationWave = 0;
     this.activeMutators = [];
+    /** @type {import('./MutatorRules').MutatorRule[]} rules of the active mutators */
+    this.activeRules = [];
+    /** @type {Array<{id: string, effects: object, expiresAt: number}>} */
+    this.timedEffects = [];
     this._effectsCached = false;
     this.defaultEffects = {
       zombieHealthMultiplier: 1,
@@ -45,7 +56,8 @@ return false;
 
     this.lastRotationWave = wave;
     this.activeMutators = this.pickMutators();
-    const effects = this.buildEffects(this.activeMutators);
+    this._setRules(this.activeMutators);
+    const effects = this.buildEffects([...this.activeMutators, ...this.timedEffects]);
 
     this.gameState.activeMutators = this.activeMutators.map(this.toPublicMutator);
     this.gameState.mutatorEffects = effects;
@@ -65,15 +77,95 @@ return false;
    * to prevent stale effects from leaking into the next session.
    */
   cleanupWave() {
+    this._setRules([]);
     this.activeMutators = [];
+    this.timedEffects = [];
     this._effectsCached = false;
     this.gameState.activeMutators = [];
     this.gameState.mutatorEffects = { ...this.defaultEffects };
   }
 
+  /**
+   * Stack an effect set on the active mutators until `expiresAt`. An entry
+   * with the same id is replaced. Broadcasts the new totals.
+   * @param {string} id
+   * @param {object} effects - multipliers on defaultEffects keys
+   * @param {number} expiresAt - game loop clock (ms)
+   */
+  addTimedEffect(id, effects, expiresAt) {
+    this.timedEffects = this.timedEffects.filter((entry) => entry.id !== id);
+    this.timedEffects.push({ id, effects, expiresAt });
+    this._refreshEffects();
+  }
+
+  /**
+   * Drop the timed effects whose time is up.
+   * @param {number} now - game loop clock (ms)
+   * @returns {boolean} true when at least one expired
+   */
+  expireTimedEffects(now) {
+    const remaining = this.timedEffects.filter((entry) => entry.expiresAt > now);
+    if (remaining.length === this.timedEffects.length) {
+      return false;
+    }
+    this.timedEffects = remaining;
+    this._refreshEffects();
+    return true;
+  }
+
+  /**
+   * Swap the active rules for those of `mutators`, running onDeactivate on
+   * the old ones and onActivate on the new ones.
+   * @param {Array} mutators
+   */
+  _setRules(mutators) {
+    this.runHook('onDeactivate', this.gameState);
+    this.activeRules = createRules(mutators);
+    this.runHook('onActivate', this.gameState);
+  }
+
+  /**
+   * Call `hook` on every active rule that defines it.
+   * @param {string} hook - MutatorRule hook name
+   * @param {...*} args
+   * @returns {boolean} true when a rule returned true (handled it)
+   */
+  runHook(hook, ...args) {
+    let handled = false;
+    for (const rule of this.activeRules) {
+      if (typeof rule[hook] === 'function' && rule[hook](...args) === true) {
+        handled = true;
+      }
+    }
+    return handled;
+  }
+
+  /**
+   * Fold `value` through the `hook` of every active rule that defines it.
+   * @param {string} hook - MutatorRule modify* hook name
+   * @param {*} value
+   * @param {...*} args
+   * @returns {*}
+   */
+  applyHook(hook, value, ...args) {
+    let result = value;
+    for (const rule of this.activeRules) {
+      if (typeof rule[hook] === 'function') {
+        result = rule[hook](result, ...args);
+      }
+    }
+    return result;
+  }
+
+  _refreshEffects() {
+    this.gameState.mutatorEffects = this.buildEffects([...this.activeMutators, ...this.timedEffects]);
+    this.broadcastMutators(this.gameState.wave || 1);
+  }
+
   pickMutators() {
     const pool = this.getMutatorPool();
-    const shuffled = pool.slice().sort(() => runPRNG.random() - 0.5);
+    const rng = runStream(this.gameState, 'mutators');
+    const shuffled = pool.slice().sort(() => rng.random() - 0.5);
     const seen = new Set();
     const result = [];
     for (const m of shuffled) {
@@ -138,12 +230,18 @@ return;
     return effects;
   }
 
+  /**
+   * Plain-data state (world snapshots). `timedEffects[].expiresAt` stays on
+   * the game loop clock: the caller rebases it when the clock changes.
+   * @returns {object}
+   */
   serialize() {
     return {
       lastRotationWave: this.lastRotationWave,
       activeMutatorIds: this.activeMutators.map((m) => m.id),
       effects: this.gameState.mutatorEffects ? { ...this.gameState.mutatorEffects } : null,
-      nextMutatorWave: this.gameState.nextMutatorWave || 0
+      nextMutatorWave: this.gameState.nextMutatorWave || 0,
+      timedEffects: this.timedEffects.map((entry) => ({ ...entry, effects: { ...entry.effects } }))
     };
   }
 
@@ -155,7 +253,9 @@ return;
     const pool = this.getMutatorPool();
     const ids = new Set(snapshot.activeMutatorIds || []);
     this.activeMutators = pool.filter((m) => ids.has(m.id));
+    this._setRules(this.activeMutators);
     this.gameState.activeMutators = this.activeMutators.map(this.toPublicMutator);
+    this.timedEffects = (snapshot.timedEffects || []).map((entry) => ({ ...entry, effects: { ...entry.effects } }));
     if (snapshot.effects) {
       this.gameState.mutatorEffects = { ...snapshot.effects };
       this._effectsCached = true;
@@ -171,7 +271,8 @@ return;
       wave,
       nextRotationWave: this.gameState.nextMutatorWave,
       mutators: this.gameState.activeMutators,
-      effects: this.gameState.mutatorEffects
+      effects: this.gameState.mutatorEffects,
+      visionRadius: this.gameState.visionRadius || null
     });
   }
 
@@ -185,48 +286,11 @@ return;
   }
 
   /**
-   * Static pool of available mutators. Each entry defines effects as multipliers
-   * applied to defaultEffects keys. Values must be finite positive numbers.
-   * @returns {Array<{id: string, name: string, description: string, tags: string[], effects: object}>}
+   * Pool of available mutators (validated at load by MutatorConfig).
+   * @returns {Array<{id: string, name: string, description: string, tags: string[], effects: object, rules?: object}>}
    */
   getMutatorPool() {
-    return [
-      {
-        id: 'swarm_protocol',
-        name: '🐺 Protocole d\'essaim',
-        description: 'Plus de zombies, plus vite, plus mobiles.',
-        tags: ['+spawn', '+cadence', '+vitesse'],
-        effects: { spawnCountMultiplier: 1.2, spawnIntervalMultiplier: 0.85, zombieSpeedMultiplier: 1.1 }
-      },
-      {
-        id: 'armored_tide',
-        name: '🛡️ Marée blindée',
-        description: 'Zombies plus résistants, cadence modérée.',
-        tags: ['+pv', '-spawn'],
-        effects: { zombieHealthMultiplier: 1.25, spawnCountMultiplier: 0.9 }
-      },
-      {
-        id: 'glass_fangs',
-        name: '🩸 Crocs fragiles',
-        description: 'Zombies plus fragiles mais très dangereux.',
-        tags: ['-pv', '+dégâts'],
-        effects: { zombieHealthMultiplier: 0.85, zombieDamageMultiplier: 1.25 }
-      },
-      {
-        id: 'guns_blazing',
-        name: '🔥 Guns blazing',
-        description: 'Joueurs plus puissants, cadence plus rapide.',
-        tags: ['+dégâts', '+cadence'],
-        effects: { playerDamageMultiplier: 1.15, playerFireRateCooldownMultiplier: 0.9 }
-      },
-      {
-        id: 'feral_strikes',
-        name: '⚡ Frappes sauvages',
-        description: 'Zombies frappent plus fort, mais moins nombreux.',
-        tags: ['+dégâts', '-spawn'],
-        effects: { zombieDamageMultiplier: 1.2, spawnCountMultiplier: 0.85 }
-      }
-    ];
+    return RUN_MUTATORS;
   }
 
   /**
@@ -5,7 +5,7 @@
  */
 
 const logger = require('../../infrastructure/logging/Logger');
-const { runPRNG } = require('../runPRNG');
+const { unseeded } = require('../runPRNG');
 
 class SkillEffectsApplicator {
   /**
@@ -206,15 +206,16 @@ class SkillEffectsApplicator {
    * @param {Object} player - Player object
    * @param {Number} damage - Incoming damage
    * @param {Object} attacker - Attacker (optional)
+   * @param {Object} [rng] - Run 'combat' stream (see lib/runPRNG)
    * @returns {Object} - { actualDamage, blocked, reflected }
    */
-  static handleIncomingDamage(player, damage, attacker = null) {
+  static handleIncomingDamage(player, damage, attacker = null, rng = unseeded) {
     let actualDamage = damage;
     let blocked = false;
     let reflected = 0;
 
     // Check dodge
-    if (player.dodgeChance && runPRNG.chance(player.dodgeChance)) {
+    if (player.dodgeChance && rng.chance(player.dodgeChance)) {
       blocked = true;
       actualDamage = 0;
       if (logger.isDebugEnabled()) {
@@ -0,0 +1,94 @@
+/**
+ * SYNERGY REGISTRY - Server-side level-up upgrade synergies.
+ * Every level-up pick is recorded in player.levelUpUpgrades; a synergy unlocks
+ * once all the upgrades it requires were picked, and its modifiers are folded
+ * into player.synergyEffects. The combat code reads them at hit time through
+ * getSynergyModifier(), so the bonus keeps scaling with later picks.
+ * @version 1.0.0
+ */
+
+const { SYNERGIES, SYNERGY_MODIFIERS } = require('./config/SynergyConfig');
+
+/**
+ * Fold the modifiers of unlocked synergies: multipliers multiply, bonuses add.
+ * @param {string[]} synergyIds
+ * @param {Object<string, Object>} [synergies=SYNERGIES]
+ * @returns {Object<string, number>}
+ */
+function buildSynergyEffects(synergyIds, synergies = SYNERGIES) {
+  const effects = {};
+  for (const id of synergyIds) {
+    const def = synergies[id];
+    if (!def) {
+      continue;
+    }
+    for (const [key, value] of Object.entries(def.modifiers)) {
+      const current = effects[key] !== undefined ? effects[key] : SYNERGY_MODIFIERS[key];
+      effects[key] = key.endsWith('Multiplier') ? current * value : current + value;
+    }
+  }
+  return effects;
+}
+
+/**
+ * Client payload of the synergyUnlocked event.
+ * @param {string} id
+ * @param {Object} def
+ * @returns {{synergyId: string, name: string, description: string, icon: string,
+ *   rarity: string, requires: string[]}}
+ */
+function toPublicSynergy(id, def) {
+  return {
+    synergyId: id,
+    name: def.name,
+    description: def.description,
+    icon: def.icon,
+    rarity: def.rarity,
+    requires: [...def.requires]
+  };
+}
+
+/**
+ * Record a level-up pick (after its effect was applied) and unlock the
+ * synergies it completes.
+ * @param {Object} player
+ * @param {string} upgradeId - LEVEL_UP_UPGRADES key
+ * @param {Object<string, Object>} [synergies=SYNERGIES]
+ * @returns {Array<Object>} synergies unlocked by this pick (toPublicSynergy)
+ */
+function recordUpgradePick(player, upgradeId, synergies = SYNERGIES) {
+  if (!player.levelUpUpgrades) {
+    player.levelUpUpgrades = [];
+  }
+  if (!player.synergies) {
+    player.synergies = [];
+  }
+  if (!player.levelUpUpgrades.includes(upgradeId)) {
+    player.levelUpUpgrades.push(upgradeId);
+  }
+
+  const unlocked = [];
+  for (const [id, def] of Object.entries(synergies)) {
+    if (player.synergies.includes(id) || !def.requires.every(req => player.levelUpUpgrades.includes(req))) {
+      continue;
+    }
+    player.synergies.push(id);
+    unlocked.push(toPublicSynergy(id, def));
+  }
+  if (unlocked.length > 0) {
+    player.synergyEffects = buildSynergyEffects(player.synergies, synergies);
+  }
+  return unlocked;
+}
+
+/**
+ * @param {Object|null|undefined} player
+ * @param {string} key - SYNERGY_MODIFIERS key
+ * @returns {number} the player's modifier, or the neutral value
+ */
+function getSynergyModifier(player, key) {
+  const effects = player && player.synergyEffects;
+  return effects && effects[key] !== undefined ? effects[key] : SYNERGY_MODIFIERS[key];
+}
+
+module.exports = { recordUpgradePick, getSynergyModifier, buildSynergyEffects, toPublicSynergy };
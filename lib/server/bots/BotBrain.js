@@ -0,0 +1,185 @@
+/**
+ * BotBrain — what a bot player wants to do: which zombie to shoot and which
+ * way to move. Pure functions over the game state; BotManager re-runs
+ * decide() every `reactionMs` of the bot's difficulty (BOT_DIFFICULTIES).
+ *
+ * Movement priorities: back away from a zombie inside `kiteDistance`, then
+ * revive a downed teammate, then pick up loot / powerups within
+ * `pickupRadius`, then hold `preferredRange` from the target (strafing once
+ * there), and with nothing to fight, stay near a human.
+ */
+
+'use strict';
+
+const ConfigManager = require('../ConfigManager');
+
+const { CONFIG } = ConfigManager;
+
+// Bosses and elites are shot first: their squared distance is scaled down
+// (a boss twice as far as a plain zombie still wins)
+const BOSS_PRIORITY = 0.25;
+const ELITE_PRIORITY = 0.6;
+
+function distSq(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return dx * dx + dy * dy;
+}
+
+function normalize(x, y) {
+  const length = Math.hypot(x, y);
+  return length > 0 ? { moveX: x / length, moveY: y / length } : { moveX: 0, moveY: 0 };
+}
+
+/**
+ * One pass over the zombies: the target to shoot (closest in engage range,
+ * bosses and elites weighed closer) and the closest zombie overall.
+ * @param {Object} player
+ * @param {Object<string, Object>} zombies
+ * @param {Object} profile - difficulty (BOT_DIFFICULTIES)
+ * @returns {{targetId: string|null, nearest: Object|null, nearestDistSq: number}}
+ */
+function scanZombies(player, zombies, profile) {
+  const rangeSq = profile.engageRange * profile.engageRange;
+  let targetId = null;
+  let bestScore = Infinity;
+  let nearest = null;
+  let nearestDistSq = Infinity;
+  for (const zombieId in zombies) {
+    const zombie = zombies[zombieId];
+    if (!zombie || zombie.health <= 0) {
+      continue;
+    }
+    const d = distSq(player, zombie);
+    if (d < nearestDistSq) {
+      nearest = zombie;
+      nearestDistSq = d;
+    }
+    if (d > rangeSq) {
+      continue;
+    }
+    const score = d * (zombie.isBoss ? BOSS_PRIORITY : zombie.isElite ? ELITE_PRIORITY : 1);
+    if (score < bestScore) {
+      targetId = zombieId;
+      bestScore = score;
+    }
+  }
+  return { targetId, nearest, nearestDistSq };
+}
+
+/**
+ * @param {string} playerId - the bot
+ * @param {Object<string, Object>} players
+ * @param {function(Object): boolean} filter
+ * @param {Object} from - position to measure from
+ * @returns {Object|null} closest matching player other than the bot
+ */
+function closestPlayer(playerId, players, filter, from) {
+  let best = null;
+  let bestDistSq = Infinity;
+  for (const id in players) {
+    const other = players[id];
+    if (id === playerId || !other || !filter(other)) {
+      continue;
+    }
+    const d = distSq(from, other);
+    if (d < bestDistSq) {
+      best = other;
+      bestDistSq = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Closest loot or powerup within `radius`.
+ * @param {Object} player
+ * @param {Object} gameState
+ * @param {number} radius
+ * @returns {{x: number, y: number}|null}
+ */
+function findPickup(player, gameState, radius) {
+  const radiusSq = radius * radius;
+  let best = null;
+  let bestDistSq = radiusSq;
+  for (const items of [gameState.loot, gameState.powerups]) {
+    for (const id in items || {}) {
+      const item = items[id];
+      const d = distSq(player, item);
+      if (d <= bestDistSq) {
+        best = item;
+        bestDistSq = d;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {string} playerId - the bot's id in gameState.players
+ * @param {Object} player - the bot's player state
+ * @param {Object} gameState
+ * @param {Object} profile - difficulty (BOT_DIFFICULTIES)
+ * @param {{strafeDir: number, followDistance: number}} options
+ *   strafeDir: 1 or -1, the side the bot circles its target on
+ * @returns {{targetId: string|null, moveX: number, moveY: number}} the zombie to shoot
+ *   (none while downed) and a unit move vector, (0, 0) to stay put
+ */
+function decide(playerId, player, gameState, profile, options) {
+  const { targetId, nearest, nearestDistSq } = scanZombies(player, gameState.zombies, profile);
+  const decision = { targetId: player.downed ? null : targetId, moveX: 0, moveY: 0 };
+  const move = (x, y) => Object.assign(decision, normalize(x, y));
+
+  if (nearest && nearestDistSq < profile.kiteDistance * profile.kiteDistance) {
+    // Back off, sliding sideways so walls do not pin the bot
+    const awayX = player.x - nearest.x;
+    const awayY = player.y - nearest.y;
+    return move(awayX - awayY * 0.5 * options.strafeDir, awayY + awayX * 0.5 * options.strafeDir);
+  }
+
+  const downed = closestPlayer(playerId, gameState.players, p => p.alive && p.downed, player);
+  if (downed && !player.downed) {
+    const reviveRange = CONFIG.REVIVE_RADIUS * 0.5;
+    if (distSq(player, downed) > reviveRange * reviveRange) {
+      return move(downed.x - player.x, downed.y - player.y);
+    }
+    return decision;
+  }
+
+  const pickup = findPickup(player, gameState, profile.pickupRadius);
+  if (pickup) {
+    return move(pickup.x - player.x, pickup.y - player.y);
+  }
+
+  const target = targetId ? gameState.zombies[targetId] : null;
+  if (target) {
+    const toX = target.x - player.x;
+    const toY = target.y - player.y;
+    if (distSq(player, target) > profile.preferredRange * profile.preferredRange) {
+      return move(toX, toY);
+    }
+    return move(-toY * options.strafeDir, toX * options.strafeDir);
+  }
+
+  const human = closestPlayer(
+    playerId,
+    gameState.players,
+    p => !p.isBot && p.alive && p.hasNickname,
+    player
+  );
+  if (human && distSq(player, human) > options.followDistance * options.followDistance) {
+    return move(human.x - player.x, human.y - player.y);
+  }
+  return decision;
+}
+
+/**
+ * Wrap an angle into [-PI, PI] (the range validateShootData accepts).
+ * @param {number} angle
+ * @returns {number}
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+module.exports = { decide, scanZombies, findPickup, wrapAngle };
@@ -0,0 +1,313 @@
+/**
+ * BOT MANAGER - Server-side bot players.
+ * While at least one human plays an instance, bots top it up to
+ * BOT_CONFIG.fillTo players (capped by maxBots and the instance's free
+ * slots) and leave again, newest first, as humans join. Counts are checked
+ * every reconcileIntervalMs; heartbeat evictions are picked up there too.
+ *
+ * A bot is a regular `gameState.players` entry flagged `isBot`, played
+ * through a BotSocket that carries the real transport handlers: it picks its
+ * nickname, moves, shoots, respawns and chooses level-up upgrades through the
+ * same validation, fire-rate checks and rate limits as a human, and leaves
+ * through the disconnect handler. Its decisions come from BotBrain.
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const BotSocket = require('./BotSocket');
+const { decide, wrapAngle } = require('./BotBrain');
+const ConfigManager = require('../ConfigManager');
+const { BOT_CONFIG, BOT_DIFFICULTIES } = require('../config/BotConfig');
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+const { registerPlayerMoveHandler } = require('../../../transport/websocket/handlers/playerMove');
+const { registerShootHandler } = require('../../../transport/websocket/handlers/shoot');
+const { registerRespawnHandler } = require('../../../transport/websocket/handlers/respawn');
+const { registerSelectUpgradeHandler } = require('../../../transport/websocket/handlers/selectUpgrade');
+const { registerSetNicknameHandler } = require('../../../transport/websocket/handlers/setNickname');
+const { registerDisconnectHandler } = require('../../../transport/websocket/handlers/disconnect');
+const { createPlayerState } = require('../../../contexts/session/playerStateFactory');
+// getFrameSpeed mirrors the client prediction, which is what a bot "client" runs
+const { getFrameSpeed } = require('../../../contexts/player/modules/InputMovement');
+const { runStream } = require('../../runPRNG');
+const { MOVEMENT_CONFIG } = require('../../../config/constants');
+const logger = require('../../../infrastructure/logging/Logger');
+
+const { CONFIG } = ConfigManager;
+
+/** Client prediction runs its speed values per 60 FPS frame (see InputMovement). */
+const FRAME_MS = 1000 / 60;
+/** Under this many px moved between two decisions, a moving bot counts as stuck. */
+const STUCK_DISTANCE = 2;
+/** A refused nickname is retried at this pace: setNickname allows 3 per minute. */
+const NICKNAME_RETRY_MS = 20000;
+
+class BotManager {
+  /**
+   * @param {Object} gameState - instance game state
+   * @param {{io: Object, entityManager: Object, roomManager: Object,
+   *          networkManager: Object|null, maxPlayers: number}} deps
+   *   the world the bots' handlers run against, and the instance player cap
+   * @param {{config?: Object, difficulties?: Object<string, Object>,
+   *          difficulty?: string, movementMode?: 'position'|'input'}} [options]
+   */
+  constructor(gameState, deps, options = {}) {
+    this.gameState = gameState;
+    this.deps = deps;
+    this.config = options.config || BOT_CONFIG;
+    const difficulties = options.difficulties || BOT_DIFFICULTIES;
+    this.difficulty = options.difficulty || this.config.difficulty;
+    this.profile = difficulties[this.difficulty];
+    this.movementMode = options.movementMode || MOVEMENT_CONFIG.mode;
+    /** @type {Map<string, Object>} bot id → controller state, in join order */
+    this.bots = new Map();
+    this._seq = 0;
+    this._nextReconcileAt = 0;
+  }
+
+  /** @returns {number} */
+  getBotCount() {
+    return this.bots.size;
+  }
+
+  /**
+   * Add or remove bots so the instance has `fillTo` players. Every human
+   * counts, nickname chosen or not: the slot is theirs either way.
+   */
+  reconcile() {
+    for (const [id, bot] of this.bots) {
+      if (!this.gameState.players[id]) {
+        // Evicted by the heartbeat: release what the disconnect handler owns
+        bot.socket.disconnect();
+        this.bots.delete(id);
+      }
+    }
+
+    let humans = 0;
+    for (const id in this.gameState.players) {
+      const player = this.gameState.players[id];
+      if (player && !player.isBot) {
+        humans++;
+      }
+    }
+    const wanted = humans === 0
+      ? 0
+      : Math.max(0, Math.min(
+        this.config.fillTo - humans,
+        this.config.maxBots,
+        this.deps.maxPlayers - humans
+      ));
+
+    while (this.bots.size < wanted) {
+      this._addBot();
+    }
+    while (this.bots.size > wanted) {
+      this._removeBot(Array.from(this.bots.keys()).pop());
+    }
+  }
+
+  /**
+   * Game loop step.
+   * @param {number} now - wall clock (ms), the clock the socket handlers use
+   */
+  update(now) {
+    if (now >= this._nextReconcileAt) {
+      this._nextReconcileAt = now + this.config.reconcileIntervalMs;
+      this.reconcile();
+    }
+    for (const [id, bot] of this.bots) {
+      const player = this.gameState.players[id];
+      if (player) {
+        this._updateBot(id, bot, player, now);
+      }
+    }
+  }
+
+  /** Remove every bot (instance shutdown). */
+  stop() {
+    for (const id of Array.from(this.bots.keys())) {
+      this._removeBot(id);
+    }
+  }
+
+  _addBot() {
+    const id = `bot-${this.gameState.instanceId || 'main'}-${++this._seq}`;
+    const socket = new BotSocket(id);
+    this._registerHandlers(socket);
+
+    const anchor = Object.values(this.gameState.players)
+      .find(p => p && !p.isBot && p.alive && p.hasNickname && !p.downed);
+    const player = createPlayerState(CONFIG, id, null, null, this.gameState, anchor || null);
+    player.isBot = true;
+    this.gameState.players[id] = player;
+
+    const now = Date.now();
+    const bot = {
+      socket,
+      nickname: this._pickName(),
+      nextNicknameAt: now + NICKNAME_RETRY_MS,
+      targetId: null,
+      moveX: 0,
+      moveY: 0,
+      aimError: 0,
+      strafeDir: 1,
+      nextThinkAt: 0,
+      lastMoveAt: now,
+      lastShotAt: 0,
+      nextUpgradeAt: 0,
+      deadSince: null,
+      inputSeq: 0,
+      lastX: player.x,
+      lastY: player.y
+    };
+    this.bots.set(id, bot);
+    socket.trigger(SOCKET_EVENTS.CLIENT.SET_NICKNAME, { nickname: bot.nickname });
+    logger.info('Bot joined', { botId: id, nickname: player.nickname, difficulty: this.difficulty });
+  }
+
+  _removeBot(id) {
+    const bot = this.bots.get(id);
+    this.bots.delete(id);
+    bot.socket.disconnect();
+    logger.info('Bot left', { botId: id });
+  }
+
+  _registerHandlers(socket) {
+    const { gameState } = this;
+    const { io, entityManager, roomManager, networkManager } = this.deps;
+    registerSetNicknameHandler(socket, gameState, io, null);
+    registerPlayerMoveHandler(socket, gameState, roomManager, this.movementMode);
+    registerShootHandler(socket, gameState, entityManager, roomManager);
+    registerRespawnHandler(socket, gameState, entityManager);
+    registerSelectUpgradeHandler(socket, gameState);
+    registerDisconnectHandler(socket, gameState, entityManager, null, null, networkManager);
+  }
+
+  /**
+   * Choose the nickname again, like a human after a respawn; a new one if
+   * a human took it meanwhile.
+   */
+  _renewNickname(id, bot, now) {
+    bot.nextNicknameAt = now + NICKNAME_RETRY_MS;
+    const takenBy = Object.values(this.gameState.players)
+      .find(p => p && p.id !== id && p.nickname && p.nickname.toLowerCase() === bot.nickname.toLowerCase());
+    if (takenBy) {
+      bot.nickname = this._pickName();
+    }
+    bot.socket.trigger(SOCKET_EVENTS.CLIENT.SET_NICKNAME, { nickname: bot.nickname });
+  }
+
+  /** @returns {string} a configured name no player uses, else a numbered one */
+  _pickName() {
+    const taken = new Set(
+      Object.values(this.gameState.players)
+        .filter(p => p && p.nickname)
+        .map(p => p.nickname.toLowerCase())
+    );
+    const free = this.config.names.filter(name => !taken.has(name.toLowerCase()));
+    return free.length > 0 ? runStream(this.gameState, 'bots').pick(free) : `Bot ${this._seq}`;
+  }
+
+  _updateBot(id, bot, player, now) {
+    if (!player.alive) {
+      if (bot.deadSince === null) {
+        bot.deadSince = now;
+      } else if (now - bot.deadSince >= this.config.respawnDelayMs) {
+        bot.deadSince = null;
+        bot.socket.trigger(SOCKET_EVENTS.CLIENT.RESPAWN);
+        // The respawn cleared the nickname
+        this._renewNickname(id, bot, now);
+      }
+      return;
+    }
+    bot.deadSince = null;
+    if (!player.hasNickname) {
+      if (now >= bot.nextNicknameAt) {
+        this._renewNickname(id, bot, now);
+      }
+      return;
+    }
+
+    // Level-up choices keep the player invisible until one is picked
+    if (player.pendingUpgradeChoices && player.pendingUpgradeChoices.length > 0 && now >= bot.nextUpgradeAt) {
+      bot.nextUpgradeAt = now + this.profile.reactionMs;
+      const upgradeId = runStream(this.gameState, 'bots').pick(player.pendingUpgradeChoices[0]);
+      bot.socket.trigger(SOCKET_EVENTS.CLIENT.SELECT_UPGRADE, { upgradeId });
+    }
+    if (now >= bot.nextThinkAt) {
+      this._think(id, bot, player, now);
+    }
+    if (now - bot.lastMoveAt >= this.config.moveIntervalMs) {
+      this._move(bot, player, now);
+    }
+    if (bot.targetId && !player.downed && now - bot.lastShotAt >= this.config.shootIntervalMs) {
+      this._shoot(bot, player, now);
+    }
+  }
+
+  _think(id, bot, player, now) {
+    const wasMoving = bot.moveX !== 0 || bot.moveY !== 0;
+    if (wasMoving && Math.hypot(player.x - bot.lastX, player.y - bot.lastY) < STUCK_DISTANCE) {
+      bot.strafeDir = -bot.strafeDir;
+    }
+    bot.lastX = player.x;
+    bot.lastY = player.y;
+
+    const decision = decide(id, player, this.gameState, this.profile, {
+      strafeDir: bot.strafeDir,
+      followDistance: this.config.followDistance
+    });
+    bot.targetId = decision.targetId;
+    bot.moveX = decision.moveX;
+    bot.moveY = decision.moveY;
+    bot.aimError = runStream(this.gameState, 'bots').randFloat(-this.profile.aimError, this.profile.aimError);
+    bot.nextThinkAt = now + this.profile.reactionMs;
+  }
+
+  /**
+   * @returns {number} angle towards the target (with the bot's aim error),
+   *   else the move direction, else the current facing
+   */
+  _aimAngle(bot, player) {
+    const target = bot.targetId ? this.gameState.zombies[bot.targetId] : null;
+    if (target) {
+      return wrapAngle(Math.atan2(target.y - player.y, target.x - player.x) + bot.aimError);
+    }
+    if (bot.moveX !== 0 || bot.moveY !== 0) {
+      return Math.atan2(bot.moveY, bot.moveX);
+    }
+    return typeof player.angle === 'number' ? wrapAngle(player.angle) : 0;
+  }
+
+  _move(bot, player, now) {
+    const dt = Math.min(now - bot.lastMoveAt, MOVEMENT_CONFIG.maxFrameMs);
+    bot.lastMoveAt = now;
+    const angle = this._aimAngle(bot, player);
+
+    if (this.movementMode === 'input') {
+      bot.socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_INPUT, [
+        { seq: ++bot.inputSeq, mx: bot.moveX, my: bot.moveY, dt, angle }
+      ]);
+      return;
+    }
+    // Position mode: predict the step like a client and send where it ended up
+    const distance = getFrameSpeed(player, now) * (dt / FRAME_MS);
+    bot.socket.trigger(SOCKET_EVENTS.CLIENT.PLAYER_MOVE, {
+      x: Math.max(0, Math.min(CONFIG.ROOM_WIDTH, player.x + bot.moveX * distance)),
+      y: Math.max(0, Math.min(CONFIG.ROOM_HEIGHT, player.y + bot.moveY * distance)),
+      angle
+    });
+  }
+
+  _shoot(bot, player, now) {
+    const target = this.gameState.zombies[bot.targetId];
+    if (!target || target.health <= 0) {
+      bot.targetId = null;
+      return;
+    }
+    bot.lastShotAt = now;
+    bot.socket.trigger(SOCKET_EVENTS.CLIENT.SHOOT, { angle: this._aimAngle(bot, player) });
+  }
+}
+
+module.exports = BotManager;
@@ -0,0 +1,68 @@
+/**
+ * BotSocket — the in-process stand-in for a Socket.IO socket that a bot
+ * player plays through. The regular transport handlers are registered on it
+ * unchanged; the bot "sends" an event by triggering the handler, and
+ * server-to-client emits go nowhere (the bot reads the game state directly).
+ */
+
+'use strict';
+
+const { SOCKET_EVENTS } = require('../../../transport/websocket/events');
+
+class BotSocket {
+  /**
+   * @param {string} id - also the bot's player id in gameState.players
+   */
+  constructor(id) {
+    this.id = id;
+    this.spectator = false;
+    this.userId = null;
+    this.sessionId = null;
+    this.traceId = id;
+    this.handshake = { auth: {}, headers: {} };
+    this.connected = true;
+    /** @type {Map<string, Function>} */
+    this._handlers = new Map();
+  }
+
+  on(event, handler) {
+    this._handlers.set(event, handler);
+    return this;
+  }
+
+  emit(_event, _payload) {
+    return true;
+  }
+
+  compress(_flag) {
+    return this;
+  }
+
+  /**
+   * Deliver a client event to its registered handler, as if the bot sent it.
+   * @param {string} event
+   * @param {*} [data]
+   * @returns {*} the handler result
+   */
+  trigger(event, data) {
+    const handler = this._handlers.get(event);
+    if (!handler || !this.connected) {
+      return undefined;
+    }
+    return handler.call(this, data);
+  }
+
+  /** Runs the disconnect handler once, which removes the bot player. */
+  disconnect() {
+    if (!this.connected) {
+      return;
+    }
+    const handler = this._handlers.get(SOCKET_EVENTS.SYSTEM.DISCONNECT);
+    this.connected = false;
+    if (handler) {
+      handler.call(this);
+    }
+  }
+}
+
+module.exports = BotSocket;
@@ -0,0 +1,113 @@
+/**
+ * ALTAR CONFIG - Autels du risque placés dans les salles
+ * @version 1.0.0
+ *
+ * Une salle peut contenir un autel (RoomManager.generateRoom, flux 'altars').
+ * Un joueur qui reste `activationMs` dessus lance le défi de l'autel, suivi
+ * par AltarManager :
+ *
+ *   type 'no_damage' → ne perdre aucun PV pendant `durationMs`
+ *   type 'kills'     → tuer `target` zombies (avec ses tirs) en `durationMs`
+ *
+ * Réussite → `reward`, échec (délai, coup reçu, mort, déconnexion) → `curse`.
+ * `gold` est versé au joueur qui a lancé le défi ; `effects` sont des
+ * multiplicateurs sur les clés de RunMutatorManager.defaultEffects, empilés
+ * sur les mutateurs de la run pendant `effectDurationMs` (au plus jusqu'au
+ * changement de salle) et bornés comme eux.
+ */
+
+const Joi = require('joi');
+
+const ALTAR_CONFIG = {
+  spawnChance: 0.6, // probabilité qu'une salle ait un autel
+  radius: 45, // px — zone d'activation
+  activationMs: 1500, // temps à rester sur l'autel pour lancer le défi
+  placementAttempts: 12 // essais pour trouver une place libre d'obstacles
+};
+
+// Clés de RunMutatorManager.defaultEffects
+const ALTAR_EFFECT_KEYS = [
+  'zombieHealthMultiplier',
+  'zombieDamageMultiplier',
+  'zombieSpeedMultiplier',
+  'spawnCountMultiplier',
+  'spawnIntervalMultiplier',
+  'playerDamageMultiplier',
+  'playerFireRateCooldownMultiplier'
+];
+
+const ALTAR_CHALLENGES = {
+  untouchable: {
+    name: 'Sans une égratignure',
+    description: 'Ne subis aucun dégât pendant 30 secondes.',
+    icon: '🛡️',
+    type: 'no_damage',
+    durationMs: 30000,
+    reward: { gold: 150, effects: { playerDamageMultiplier: 1.2 }, effectDurationMs: 60000 },
+    curse: { effects: { zombieDamageMultiplier: 1.25 }, effectDurationMs: 45000 }
+  },
+  kill_rush: {
+    name: 'Massacre express',
+    description: 'Tue 40 zombies en 20 secondes.',
+    icon: '⚔️',
+    type: 'kills',
+    target: 40,
+    durationMs: 20000,
+    reward: { gold: 120, effects: { playerFireRateCooldownMultiplier: 0.85 }, effectDurationMs: 60000 },
+    curse: { effects: { spawnCountMultiplier: 1.25, zombieSpeedMultiplier: 1.1 }, effectDurationMs: 45000 }
+  }
+};
+
+const effectsSchema = Joi.object(
+  Object.fromEntries(ALTAR_EFFECT_KEYS.map(key => [key, Joi.number().positive()]))
+);
+
+const outcomeSchema = Joi.object({
+  gold: Joi.number().integer().min(0),
+  effects: effectsSchema,
+  effectDurationMs: Joi.number().integer().positive().when('effects', {
+    is: Joi.exist(),
+    then: Joi.required()
+  })
+}).or('gold', 'effects');
+
+const challengeSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().required(),
+  icon: Joi.string().required(),
+  type: Joi.string().valid('no_damage', 'kills').required(),
+  target: Joi.number().integer().positive().when('type', {
+    is: 'kills',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  durationMs: Joi.number().integer().positive().required(),
+  reward: outcomeSchema.required(),
+  curse: outcomeSchema.required()
+});
+
+/**
+ * @param {Object<string, Object>} challenges
+ * @returns {string[]} erreurs, vide si la config est valide
+ */
+function validateAltarConfig(challenges) {
+  const errors = [];
+  if (Object.keys(challenges).length === 0) {
+    errors.push('au moins un défi est requis');
+  }
+  for (const [id, def] of Object.entries(challenges)) {
+    const { error } = challengeSchema.validate(def, { abortEarly: false });
+    if (error) {
+      errors.push(...error.details.map(d => `${id}: ${d.message}`));
+    }
+  }
+  return errors;
+}
+
+const errors = validateAltarConfig(ALTAR_CHALLENGES);
+if (errors.length > 0) {
+  console.error(`[FATAL] AltarConfig validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  process.exit(1);
+}
+
+module.exports = { ALTAR_CONFIG, ALTAR_CHALLENGES, ALTAR_EFFECT_KEYS, validateAltarConfig };
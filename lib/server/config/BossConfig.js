@@ -0,0 +1,200 @@
+/**
+ * BOSS CONFIG - Boss scriptés (un fichier JSON par boss)
+ * @version 1.0.0
+ *
+ * Chaque fichier de lib/server/config/bosses/ décrit un boss complet, sans
+ * module JS : clé = nom du fichier (bossSepulcre.json → type `bossSepulcre`).
+ * Schéma éditeur : types/boss-definition.schema.json. La validation runtime
+ * (Joi ci-dessous) tourne au require et coupe le boot si un fichier est faux.
+ *
+ *   stats       → même format qu'une entrée de zombies/boss.json (fusionné
+ *                 dans ZOMBIE_TYPES par ZombieConfig.js)
+ *   wave        → vague où il apparaît (un boss codé à la main garde la sienne)
+ *   aggroRange  → distance d'aggro (px) avant laquelle la timeline ne tourne pas
+ *   phases[]    → seuils de PV décroissants (1 = phase de départ) ; chaque
+ *                 phase a ses multiplicateurs, des étapes `onEnter` jouées une
+ *                 fois et une `sequence` d'étapes jouée en boucle
+ *   étape       → { use, params, telegraph, cooldown } : `use` = primitive de
+ *                 contexts/zombie/modules/bosses/primitives.js, `telegraph` =
+ *                 préavis (ms) entre l'annonce des zones et l'effet, `cooldown`
+ *                 = attente (ms) avant l'étape suivante ; les zones annoncées
+ *                 sont des formes TelegraphManager (cercle, cône)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+const BOSSES_DIR = path.join(__dirname, 'bosses');
+
+const HAZARD_TYPES = ['meteor', 'iceSpike', 'lightning', 'lavaPool', 'voidRift'];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const hazardParams = {
+  hazard: Joi.string()
+    .valid(...HAZARD_TYPES)
+    .required(),
+  radius: Joi.number().positive().required(),
+  damage: Joi.number().min(0).required(),
+  duration: Joi.number().positive().required()
+};
+
+// Params of each ability primitive, keyed by the step's `use`
+const ABILITY_PARAMS = {
+  radialHazard: Joi.object({
+    ...hazardParams,
+    count: Joi.number().integer().min(1).max(32).required(),
+    distance: Joi.number().min(0).required()
+  }),
+  scatterHazard: Joi.object({
+    ...hazardParams,
+    count: Joi.number().integer().min(1).max(32).required(),
+    maxDistance: Joi.number().positive().required()
+  }),
+  targetedHazard: Joi.object({
+    ...hazardParams,
+    targets: Joi.string().valid('random', 'nearest', 'all').default('random')
+  }),
+  pulse: Joi.object({
+    radius: Joi.number().positive().required(),
+    damage: Joi.number().min(0).required(),
+    pull: Joi.number().min(0).default(0),
+    color: Joi.string().pattern(HEX_COLOR)
+  }),
+  slow: Joi.object({
+    radius: Joi.number().positive(),
+    amount: Joi.number().greater(0).max(1).required(),
+    duration: Joi.number().positive().required()
+  }),
+  summon: Joi.object({
+    type: Joi.string().required(),
+    count: Joi.number().integer().min(1).max(20).required(),
+    radius: Joi.number().min(0).required()
+  }),
+  teleport: Joi.object({
+    distance: Joi.number().min(0).required()
+  }),
+  toxicPool: Joi.object({
+    radius: Joi.number().positive().required(),
+    damage: Joi.number().min(0).required(),
+    duration: Joi.number().positive().required()
+  }),
+  coneStrike: Joi.object({
+    range: Joi.number().positive().required(),
+    arc: Joi.number().min(10).max(180).required(),
+    damage: Joi.number().min(0).required(),
+    color: Joi.string().pattern(HEX_COLOR)
+  })
+};
+
+const stepSchema = Joi.object({
+  use: Joi.string()
+    .valid(...Object.keys(ABILITY_PARAMS))
+    .required(),
+  params: Joi.when('use', {
+    switch: Object.entries(ABILITY_PARAMS).map(([use, schema]) => ({ is: use, then: schema.required() }))
+  }),
+  telegraph: Joi.number().integer().min(0).max(10000).default(0),
+  cooldown: Joi.number().integer().min(0).default(0)
+});
+
+const phaseSchema = Joi.object({
+  healthBelow: Joi.number().greater(0).max(1).required(),
+  speedMultiplier: Joi.number().positive().default(1),
+  damageMultiplier: Joi.number().positive().default(1),
+  onEnter: Joi.array().items(stepSchema).default([]),
+  sequence: Joi.array().items(stepSchema).default([])
+});
+
+const bossSchema = Joi.object({
+  $schema: Joi.string(),
+  wave: Joi.number().integer().min(1).required(),
+  aggroRange: Joi.number().positive().default(600),
+  stats: Joi.object({
+    name: Joi.string().required(),
+    health: Joi.number().positive().required(),
+    speed: Joi.number().min(0).required(),
+    damage: Joi.number().positive().required(),
+    xp: Joi.number().min(0).required(),
+    gold: Joi.number().min(0).required(),
+    size: Joi.number().positive().required(),
+    color: Joi.string().pattern(HEX_COLOR).required()
+  })
+    .unknown(true)
+    .required(),
+  phases: Joi.array().items(phaseSchema).min(1).required()
+});
+
+/**
+ * Validate one boss file and apply its defaults.
+ * @param {string} key - boss type (file name)
+ * @param {Object} raw - parsed JSON
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+function validateBossDefinition(key, raw) {
+  const { value, error } = bossSchema.validate(raw, { abortEarly: false });
+  if (error) {
+    return { value: null, errors: error.details.map(d => `${key}: ${d.message}`) };
+  }
+  const errors = [];
+  if (!/^boss[A-Z]\w*$/.test(key)) {
+    errors.push(`${key}: file name must look like bossName.json`);
+  }
+  if (value.phases[0].healthBelow !== 1) {
+    errors.push(`${key}: phases[0].healthBelow must be 1`);
+  }
+  for (let i = 1; i < value.phases.length; i++) {
+    if (value.phases[i].healthBelow >= value.phases[i - 1].healthBelow) {
+      errors.push(`${key}: phases[${i}].healthBelow must be lower than the previous phase`);
+    }
+  }
+  value.phases.forEach((phase, i) => {
+    if (phase.sequence.length > 0 && phase.sequence.every(step => step.telegraph + step.cooldown === 0)) {
+      errors.push(`${key}: phases[${i}].sequence needs a telegraph or cooldown somewhere`);
+    }
+  });
+  return { value: errors.length > 0 ? null : value, errors };
+}
+
+/**
+ * Load and validate every boss file of a directory.
+ * @param {string} [dir]
+ * @returns {{definitions: Object<string, Object>, errors: string[]}}
+ */
+function loadBossDefinitions(dir = BOSSES_DIR) {
+  const definitions = {};
+  const errors = [];
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort() : [];
+  for (const file of files) {
+    const key = path.basename(file, '.json');
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      errors.push(`${key}: ${err.message}`);
+      continue;
+    }
+    const { value, errors: fileErrors } = validateBossDefinition(key, raw);
+    errors.push(...fileErrors);
+    if (value) {
+      delete value.$schema;
+      definitions[key] = value;
+    }
+  }
+  const waves = new Map();
+  for (const [key, def] of Object.entries(definitions)) {
+    if (waves.has(def.wave)) {
+      errors.push(`${key}: wave ${def.wave} already belongs to ${waves.get(def.wave)}`);
+    }
+    waves.set(def.wave, key);
+  }
+  return { definitions, errors };
+}
+
+const { definitions: BOSS_DEFINITIONS, errors } = loadBossDefinitions();
+if (errors.length > 0) {
+  console.error(`[FATAL] BossConfig validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  process.exit(1);
+}
+
+module.exports = { BOSS_DEFINITIONS, ABILITY_PARAMS, validateBossDefinition, loadBossDefinitions };
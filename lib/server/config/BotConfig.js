@@ -0,0 +1,119 @@
+/**
+ * BOT CONFIG - Joueurs bots côté serveur
+ * @version 1.0.0
+ *
+ * BotManager complète une instance tant qu'elle compte moins de `fillTo`
+ * humains : il ajoute des bots jusqu'à `fillTo` joueurs, au plus `maxBots`
+ * et dans la limite des places libres, et les retire dès qu'un humain
+ * arrive. Sans humain, il n'y a aucun bot. BOT_FILL_TO surcharge `fillTo`
+ * (0 = pas de bots), BOT_DIFFICULTY la difficulté.
+ *
+ * Les bots passent par les mêmes handlers que les humains (déplacement,
+ * tir, réapparition, choix d'upgrade), en respectant leurs rate limits.
+ *
+ * Une difficulté règle le comportement :
+ *
+ *   reactionMs     → délai entre deux décisions (choix de cible, de but)
+ *   aimError       → erreur de visée max (radians), tirée à chaque décision
+ *   engageRange    → portée (px) à laquelle le bot tire sur une cible
+ *   preferredRange → distance (px) qu'il cherche à garder avec sa cible
+ *   kiteDistance   → sous cette distance (px) d'un zombie, il recule
+ *   pickupRadius   → rayon (px) dans lequel il va ramasser butins et bonus
+ */
+
+const Joi = require('joi');
+
+const fillToEnv = parseInt(process.env.BOT_FILL_TO, 10);
+
+const BOT_CONFIG = {
+  fillTo: Number.isNaN(fillToEnv) ? 2 : fillToEnv, // un joueur solo a un coéquipier bot
+  maxBots: 3,
+  difficulty: process.env.BOT_DIFFICULTY || 'normal',
+  reconcileIntervalMs: 1000, // vérification périodique du nombre de bots
+  moveIntervalMs: 50, // 20 envois/s, sous les rate limits playerMove / playerInput
+  shootIntervalMs: 110, // < 10 tirs/s (rate limit shoot)
+  respawnDelayMs: 3000,
+  followDistance: 160, // px — sans cible, le bot reste près d'un humain
+  names: ['Bot Ash', 'Bot Vera', 'Bot Kurt', 'Bot Nova', 'Bot Rook', 'Bot Juno', 'Bot Milo', 'Bot Zara']
+};
+
+const BOT_DIFFICULTIES = {
+  easy: {
+    reactionMs: 450,
+    aimError: 0.3,
+    engageRange: 550,
+    preferredRange: 320,
+    kiteDistance: 110,
+    pickupRadius: 200
+  },
+  normal: {
+    reactionMs: 250,
+    aimError: 0.12,
+    engageRange: 700,
+    preferredRange: 300,
+    kiteDistance: 150,
+    pickupRadius: 300
+  },
+  hard: {
+    reactionMs: 120,
+    aimError: 0.04,
+    engageRange: 850,
+    preferredRange: 280,
+    kiteDistance: 190,
+    pickupRadius: 400
+  }
+};
+
+const difficultySchema = Joi.object({
+  reactionMs: Joi.number().integer().min(50).required(),
+  aimError: Joi.number().min(0).max(Math.PI / 2).required(),
+  engageRange: Joi.number().positive().required(),
+  preferredRange: Joi.number().positive().required(),
+  kiteDistance: Joi.number().positive().required(),
+  pickupRadius: Joi.number().min(0).required()
+});
+
+const botConfigSchema = Joi.object({
+  fillTo: Joi.number().integer().min(0).required(),
+  maxBots: Joi.number().integer().min(0).required(),
+  difficulty: Joi.string().required(),
+  reconcileIntervalMs: Joi.number().integer().positive().required(),
+  moveIntervalMs: Joi.number().integer().min(17).required(),
+  shootIntervalMs: Joi.number().integer().min(100).required(),
+  respawnDelayMs: Joi.number().integer().min(0).required(),
+  followDistance: Joi.number().positive().required(),
+  names: Joi.array().items(Joi.string().pattern(/^[a-zA-Z0-9 _-]{2,15}$/)).min(1).unique().required()
+});
+
+/**
+ * @param {Object} config
+ * @param {Object<string, Object>} difficulties
+ * @returns {string[]} erreurs, vide si la config est valide
+ */
+function validateBotConfig(config, difficulties) {
+  const errors = [];
+  const { error } = botConfigSchema.validate(config, { abortEarly: false });
+  if (error) {
+    errors.push(...error.details.map(d => d.message));
+  }
+  for (const [name, def] of Object.entries(difficulties)) {
+    const result = difficultySchema.validate(def, { abortEarly: false });
+    if (result.error) {
+      errors.push(...result.error.details.map(d => `${name}: ${d.message}`));
+    } else if (def.kiteDistance >= def.preferredRange) {
+      errors.push(`${name}: kiteDistance doit être inférieur à preferredRange`);
+    }
+  }
+  if (!difficulties[config.difficulty]) {
+    errors.push(`difficulté inconnue : ${config.difficulty}`);
+  }
+  return errors;
+}
+
+const errors = validateBotConfig(BOT_CONFIG, BOT_DIFFICULTIES);
+if (errors.length > 0) {
+  console.error(`[FATAL] BotConfig validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  process.exit(1);
+}
+
+module.exports = { BOT_CONFIG, BOT_DIFFICULTIES, validateBotConfig };
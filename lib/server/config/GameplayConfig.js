@@ -22,7 +22,13 @@ const CONFIG = {
   ZOMBIES_PER_ROOM: 25,
   LOOT_SIZE: 10,
   DOOR_WIDTH: 120,
-  ROOMS_PER_RUN: 3
+  ROOMS_PER_RUN: 3,
+  // Etat "a terre" en co-op : le joueur rampe, se vide de son sang, un coequipier peut le relever
+  DOWNED_CRAWL_SPEED: 0.3,
+  DOWNED_BLEED_OUT_MS: 30000,
+  REVIVE_DURATION_MS: 4000,
+  REVIVE_RADIUS: 80,
+  REVIVE_HEALTH_PERCENT: 0.3
 };
 
 // Constantes d'inactivite
@@ -0,0 +1,183 @@
+/**
+ * MUTATOR CONFIG - Pool des mutateurs de run
+ * @version 1.0.0
+ *
+ * RunMutatorManager tire deux mutateurs de ce pool (flux 'mutators') toutes
+ * les `rotationInterval` vagues. Un mutateur peut :
+ *
+ *   effects → multiplicateurs sur les clés de RunMutatorManager.defaultEffects,
+ *             cumulés entre mutateurs puis bornés
+ *   rules   → règles de jeu (lib/server/MutatorRules), branchées sur les
+ *             hooks des updaters tant que le mutateur est actif :
+ *
+ *     deathExplosion { radius, damage } → les zombies explosent en mourant et
+ *                                         blessent les joueurs proches
+ *     noRegen {}                        → plus de régénération de PV
+ *     lootGold { multiplier }           → or des butins multiplié
+ *     bulletRicochet { bounces }        → les balles des joueurs rebondissent
+ *                                         sur les murs `bounces` fois
+ *     darkness { visionRadius }         → rayon de vision (px) envoyé aux
+ *                                         clients, qui assombrissent le reste
+ *     eliteEvery { count }              → un spawn sur `count` est un élite
+ *
+ * Chaque mutateur a au moins un effet ou une règle.
+ */
+
+const Joi = require('joi');
+
+// Clés de RunMutatorManager.defaultEffects
+const MUTATOR_EFFECT_KEYS = [
+  'zombieHealthMultiplier',
+  'zombieDamageMultiplier',
+  'zombieSpeedMultiplier',
+  'spawnCountMultiplier',
+  'spawnIntervalMultiplier',
+  'playerDamageMultiplier',
+  'playerFireRateCooldownMultiplier'
+];
+
+// Règle → schéma de ses paramètres
+const MUTATOR_RULE_SCHEMAS = {
+  deathExplosion: Joi.object({
+    radius: Joi.number().positive().required(),
+    damage: Joi.number().positive().required()
+  }),
+  noRegen: Joi.object({}),
+  lootGold: Joi.object({
+    multiplier: Joi.number().positive().required()
+  }),
+  bulletRicochet: Joi.object({
+    bounces: Joi.number().integer().min(1).required()
+  }),
+  darkness: Joi.object({
+    visionRadius: Joi.number().integer().min(100).required()
+  }),
+  eliteEvery: Joi.object({
+    count: Joi.number().integer().min(2).required()
+  })
+};
+
+const RUN_MUTATORS = [
+  {
+    id: 'swarm_protocol',
+    name: '🐺 Protocole d\'essaim',
+    description: 'Plus de zombies, plus vite, plus mobiles.',
+    tags: ['+spawn', '+cadence', '+vitesse'],
+    effects: { spawnCountMultiplier: 1.2, spawnIntervalMultiplier: 0.85, zombieSpeedMultiplier: 1.1 }
+  },
+  {
+    id: 'armored_tide',
+    name: '🛡️ Marée blindée',
+    description: 'Zombies plus résistants, cadence modérée.',
+    tags: ['+pv', '-spawn'],
+    effects: { zombieHealthMultiplier: 1.25, spawnCountMultiplier: 0.9 }
+  },
+  {
+    id: 'glass_fangs',
+    name: '🩸 Crocs fragiles',
+    description: 'Zombies plus fragiles mais très dangereux.',
+    tags: ['-pv', '+dégâts'],
+    effects: { zombieHealthMultiplier: 0.85, zombieDamageMultiplier: 1.25 }
+  },
+  {
+    id: 'guns_blazing',
+    name: '🔥 Guns blazing',
+    description: 'Joueurs plus puissants, cadence plus rapide.',
+    tags: ['+dégâts', '+cadence'],
+    effects: { playerDamageMultiplier: 1.15, playerFireRateCooldownMultiplier: 0.9 }
+  },
+  {
+    id: 'feral_strikes',
+    name: '⚡ Frappes sauvages',
+    description: 'Zombies frappent plus fort, mais moins nombreux.',
+    tags: ['+dégâts', '-spawn'],
+    effects: { zombieDamageMultiplier: 1.2, spawnCountMultiplier: 0.85 }
+  },
+  {
+    id: 'volatile_dead',
+    name: '💥 Cadavres instables',
+    description: 'Les zombies explosent en mourant. Gardez vos distances.',
+    tags: ['explosions', '+danger'],
+    effects: {},
+    rules: { deathExplosion: { radius: 70, damage: 15 } }
+  },
+  {
+    id: 'golden_famine',
+    name: '💰 Famine dorée',
+    description: 'Plus de régénération, mais l\'or des butins est doublé.',
+    tags: ['-régén', '+or'],
+    effects: {},
+    rules: { noRegen: {}, lootGold: { multiplier: 2 } }
+  },
+  {
+    id: 'ricochet',
+    name: '🎱 Ricochets',
+    description: 'Les balles rebondissent deux fois sur les murs.',
+    tags: ['rebonds'],
+    effects: {},
+    rules: { bulletRicochet: { bounces: 2 } }
+  },
+  {
+    id: 'darkness',
+    name: '🌑 Ténèbres',
+    description: 'La vision se limite aux abords de chaque joueur.',
+    tags: ['-vision'],
+    effects: { zombieSpeedMultiplier: 0.95 },
+    rules: { darkness: { visionRadius: 420 } }
+  },
+  {
+    id: 'elite_cadence',
+    name: '👑 Cadence d\'élite',
+    description: 'Un zombie sur dix est un élite.',
+    tags: ['+élites'],
+    effects: {},
+    rules: { eliteEvery: { count: 10 } }
+  }
+];
+
+const mutatorSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z_]+$/).required(),
+  name: Joi.string().required(),
+  description: Joi.string().required(),
+  tags: Joi.array().items(Joi.string()).default([]),
+  effects: Joi.object(
+    Object.fromEntries(MUTATOR_EFFECT_KEYS.map(key => [key, Joi.number().positive()]))
+  ).required(),
+  rules: Joi.object(MUTATOR_RULE_SCHEMAS).min(1)
+});
+
+/**
+ * @param {Object[]} mutators
+ * @returns {string[]} erreurs, vide si la config est valide
+ */
+function validateMutatorConfig(mutators) {
+  const errors = [];
+  if (mutators.length < 2) {
+    errors.push('au moins deux mutateurs sont requis (deux sont actifs à la fois)');
+  }
+  const seen = new Set();
+  for (const def of mutators) {
+    const id = (def && def.id) || '?';
+    const { error } = mutatorSchema.validate(def, { abortEarly: false });
+    if (error) {
+      errors.push(...error.details.map(d => `${id}: ${d.message}`));
+      continue;
+    }
+    if (seen.has(id)) {
+      errors.push(`${id}: id en double`);
+    }
+    seen.add(id);
+    if (Object.keys(def.effects).length === 0 && !def.rules) {
+      errors.push(`${id}: ni effet ni règle`);
+    }
+  }
+  return errors;
+}
+
+const errors = validateMutatorConfig(RUN_MUTATORS);
+if (errors.length > 0) {
+  console.error(`[FATAL] MutatorConfig validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  process.exit(1);
+}
+
+module.exports = { RUN_MUTATORS, MUTATOR_EFFECT_KEYS, MUTATOR_RULE_SCHEMAS, validateMutatorConfig };
@@ -1,8 +1,23 @@
 /**
  * POWERUP CONFIG - Types de power-ups du jeu
- * @version 1.0.0
+ * @version 1.1.0
  */
 
+const { addWeapon } = require('../../../contexts/weapons/modules/WeaponInventory');
+
+/**
+ * Power-up d'arme : ajoute l'arme à l'inventaire du joueur et l'équipe
+ * (munitions pleines, ou réserve rechargée si déjà possédée).
+ * @param {string} weaponId
+ * @returns {Function} effet du power-up
+ */
+function weaponPickup(weaponId) {
+  return player => {
+    addWeapon(player, weaponId);
+    player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
+  };
+}
+
 const POWERUP_TYPES = {
   health: {
     color: '#00ff00',
@@ -18,115 +33,59 @@ const POWERUP_TYPES = {
   },
   shotgun: {
     color: '#ff6600',
-    effect: player => {
-      player.weapon = 'shotgun';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('shotgun')
   },
   rifle: {
     color: '#00ff00',
-    effect: player => {
-      player.weapon = 'rifle';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('rifle')
   },
   sniper: {
     color: '#00ffff',
-    effect: player => {
-      player.weapon = 'sniper';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('sniper')
   },
   minigun: {
     color: '#ff00ff',
-    effect: player => {
-      player.weapon = 'minigun';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('minigun')
   },
   launcher: {
     color: '#ff0000',
-    effect: player => {
-      player.weapon = 'launcher';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('launcher')
   },
   flamethrower: {
     color: '#ff8800',
-    effect: player => {
-      player.weapon = 'flamethrower';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('flamethrower')
   },
   laser: {
     color: '#00ffff',
-    effect: player => {
-      player.weapon = 'laser';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('laser')
   },
   grenadeLauncher: {
     color: '#88ff00',
-    effect: player => {
-      player.weapon = 'grenadeLauncher';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('grenadeLauncher')
   },
   crossbow: {
     color: '#8800ff',
-    effect: player => {
-      player.weapon = 'crossbow';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('crossbow')
   },
   chainLightning: {
     color: '#00ffff',
-    effect: player => {
-      player.weapon = 'chainLightning';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('chainLightning')
   },
   poisonDart: {
     color: '#88ff00',
-    effect: player => {
-      player.weapon = 'poisonDart';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('poisonDart')
   },
   teslaCoil: {
     color: '#00ccff',
-    effect: player => {
-      player.weapon = 'teslaCoil';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('teslaCoil')
   },
   iceCannon: {
     color: '#aaddff',
-    effect: player => {
-      player.weapon = 'iceCannon';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('iceCannon')
   },
   plasmaRifle: {
     color: '#ff00ff',
-    effect: player => {
-      player.weapon = 'plasmaRifle';
-      player.weaponTimer = Date.now() + 30000;
-      player.lastShot = 0; // BUGFIX: reset cooldown so new weapon honours its own fireRate
-    }
+    effect: weaponPickup('plasmaRifle')
   }
 };
 
@@ -15,11 +15,13 @@
  *
  * TEMPORARY ITEMS - achat unique entre vagues:
  *   fullHeal   : 30g  — rentable sous 100 PV perdus
- *   shotgun    : 40g  — arme situationnelle 1 salle
- *   minigun    : 50g  — arme puissante 1 salle
+ *   shotgun    : 40g  — arme ajoutée à l'inventaire (munitions pleines)
+ *   minigun    : 50g  — arme puissante ajoutée à l'inventaire
  *   speedBoost : 35g  — mobilité d'urgence 1 salle
  */
 
+const { addWeapon } = require('../../../contexts/weapons/modules/WeaponInventory');
+
 // Upgrades de niveau
 const LEVEL_UP_UPGRADES = {
   damageBoost: {
@@ -209,21 +211,19 @@ const SHOP_ITEMS = {
     },
     shotgun: {
       name: 'Shotgun',
-      description: 'Shotgun pour 1 salle',
+      description: 'Ajoute le Shotgun à l\'inventaire',
       cost: 40,
       effect: player => {
-        player.weapon = 'shotgun';
-        player.weaponTimer = null;
+        addWeapon(player, 'shotgun');
         player.lastShot = 0; // BUGFIX: reset cooldown on weapon switch
       }
     },
     minigun: {
       name: 'Minigun',
-      description: 'Minigun pour 1 salle',
+      description: 'Ajoute le Minigun à l\'inventaire',
       cost: 50,
       effect: player => {
-        player.weapon = 'minigun';
-        player.weaponTimer = null;
+        addWeapon(player, 'minigun');
         player.lastShot = 0; // BUGFIX: reset cooldown on weapon switch
       }
     },
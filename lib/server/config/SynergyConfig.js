@@ -0,0 +1,126 @@
+/**
+ * SYNERGY CONFIG - Synergies entre upgrades de niveau
+ * @version 1.0.0
+ *
+ * Une synergie se débloque quand le joueur a choisi, pendant la run, tous les
+ * upgrades listés dans `requires` (clés de LEVEL_UP_UPGRADES). Ses
+ * `modifiers` sont cumulés dans player.synergyEffects par SynergyRegistry et
+ * lus au moment du coup :
+ *
+ *   explosionRadiusMultiplier → rayon des explosions du tireur (BulletEffects)
+ *   critPierceBonus           → ennemis percés en plus par un tir critique
+ *                               (BulletCollisionHandler)
+ *   lifeStealMultiplier       → vol de vie des balles et de la chaîne
+ *   thornsMultiplier          → dégâts renvoyés par les épines (ZombieUpdater)
+ *   killHeal                  → PV rendus au tireur à chaque kill
+ *   regenMultiplier           → PV rendus par tick de régénération
+ *   fireRateMultiplier        → délai entre deux tirs (< 1 = plus rapide)
+ *
+ * Les `*Multiplier` se multiplient entre synergies, les autres s'additionnent.
+ * Les ids, noms et icônes reprennent public/synergySystem.js.
+ */
+
+const Joi = require('joi');
+const { LEVEL_UP_UPGRADES } = require('./ShopConfig');
+
+// Modificateur → neutre (valeur sans synergie)
+const SYNERGY_MODIFIERS = {
+  explosionRadiusMultiplier: 1,
+  critPierceBonus: 0,
+  lifeStealMultiplier: 1,
+  thornsMultiplier: 1,
+  killHeal: 0,
+  regenMultiplier: 1,
+  fireRateMultiplier: 1
+};
+
+const SYNERGIES = {
+  missile_barrage: {
+    name: 'Missile Barrage',
+    description: 'Les explosions ont +50% de rayon',
+    icon: '🚀💥',
+    rarity: 'epic',
+    requires: ['explosiveRounds', 'extraBullets'],
+    modifiers: { explosionRadiusMultiplier: 1.5 }
+  },
+  assassins_mark: {
+    name: 'Marque de l\'Assassin',
+    description: 'Les critiques percent 3 ennemis supplémentaires',
+    icon: '🎯⚡',
+    rarity: 'epic',
+    requires: ['bulletPiercing', 'criticalChance'],
+    modifiers: { critPierceBonus: 3 }
+  },
+  vampire_tank: {
+    name: 'Tank Vampire',
+    description: 'Double le vol de vie et les dégâts des épines',
+    icon: '🧛🛡️',
+    rarity: 'legendary',
+    requires: ['lifeSteal', 'thorns'],
+    modifiers: { lifeStealMultiplier: 2, thornsMultiplier: 2 }
+  },
+  healing_aura: {
+    name: 'Aura de Soin',
+    description: 'Chaque kill rend 5 PV',
+    icon: '✨💚',
+    rarity: 'rare',
+    requires: ['regeneration', 'lifeSteal'],
+    modifiers: { killHeal: 5 }
+  },
+  rapid_regeneration: {
+    name: 'Régénération Rapide',
+    description: 'La régénération est 3x plus rapide',
+    icon: '💚⚡',
+    rarity: 'rare',
+    requires: ['regeneration', 'healthBoost'],
+    modifiers: { regenMultiplier: 3 }
+  },
+  bullet_storm: {
+    name: 'Tempête de Balles',
+    description: 'Cadence de tir encore +30%',
+    icon: '⛈️💨',
+    rarity: 'epic',
+    requires: ['fireRateBoost', 'extraBullets'],
+    modifiers: { fireRateMultiplier: 1 / 1.3 }
+  }
+};
+
+const synergySchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().required(),
+  icon: Joi.string().required(),
+  rarity: Joi.string().valid('rare', 'epic', 'legendary').required(),
+  requires: Joi.array()
+    .items(Joi.string().valid(...Object.keys(LEVEL_UP_UPGRADES)))
+    .min(2)
+    .unique()
+    .required(),
+  modifiers: Joi.object(
+    Object.fromEntries(Object.keys(SYNERGY_MODIFIERS).map(key => [key, Joi.number().positive()]))
+  )
+    .min(1)
+    .required()
+});
+
+/**
+ * @param {Object<string, Object>} synergies
+ * @returns {string[]} erreurs, vide si la config est valide
+ */
+function validateSynergyConfig(synergies) {
+  const errors = [];
+  for (const [id, def] of Object.entries(synergies)) {
+    const { error } = synergySchema.validate(def, { abortEarly: false });
+    if (error) {
+      errors.push(...error.details.map(d => `${id}: ${d.message}`));
+    }
+  }
+  return errors;
+}
+
+const errors = validateSynergyConfig(SYNERGIES);
+if (errors.length > 0) {
+  console.error(`[FATAL] SynergyConfig validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  process.exit(1);
+}
+
+module.exports = { SYNERGIES, SYNERGY_MODIFIERS, validateSynergyConfig };
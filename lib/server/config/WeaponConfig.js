@@ -18,6 +18,12 @@
  *   grenadeLauncher ~62 dps   direct + 40 AoE splash
  *   iceCannon       ~76 dps   + slow/freeze utility
  *   poisonDart      ~78 dps   + 3/tick poison
+ *
+ * MUNITIONS (inventaire serveur, contexts/weapons/modules/WeaponInventory):
+ *   magazineSize  balles par chargeur
+ *   reloadTime    durée du rechargement (ms)
+ *   reserveAmmo   balles en réserve au ramassage (null = infinie)
+ *   teslaCoil est passive : pas de chargeur.
  */
 
 const WEAPONS = {
@@ -28,7 +34,10 @@ const WEAPONS = {
     bulletSpeed: 14,
     bulletCount: 1,
     spread: 0,
-    color: '#ffff00'
+    color: '#ffff00',
+    magazineSize: 12,
+    reloadTime: 900,
+    reserveAmmo: null // réserve infinie
   },
   shotgun: {
     name: 'Shotgun',
@@ -37,7 +46,10 @@ const WEAPONS = {
     bulletSpeed: 11,
     bulletCount: 8,
     spread: 0.4,
-    color: '#ff6600'
+    color: '#ff6600',
+    magazineSize: 6,
+    reloadTime: 1800,
+    reserveAmmo: 30
   },
   rifle: {
     name: "Fusil d'Assaut",
@@ -46,7 +58,10 @@ const WEAPONS = {
     bulletSpeed: 16,
     bulletCount: 1,
     spread: 0.05,
-    color: '#00ff00'
+    color: '#00ff00',
+    magazineSize: 30,
+    reloadTime: 1500,
+    reserveAmmo: 150
   },
   sniper: {
     name: 'Sniper',
@@ -55,7 +70,10 @@ const WEAPONS = {
     bulletSpeed: 25,
     bulletCount: 1,
     spread: 0,
-    color: '#00ffff'
+    color: '#00ffff',
+    magazineSize: 5,
+    reloadTime: 2200,
+    reserveAmmo: 25
   },
   minigun: {
     name: 'Minigun',
@@ -64,7 +82,10 @@ const WEAPONS = {
     bulletSpeed: 13,
     bulletCount: 1,
     spread: 0.2,
-    color: '#ff00ff'
+    color: '#ff00ff',
+    magazineSize: 100,
+    reloadTime: 3000,
+    reserveAmmo: 300
   },
   launcher: {
     name: 'Lance-Roquettes',
@@ -76,7 +97,10 @@ const WEAPONS = {
     color: '#ff0000',
     explosionRadius: 120,
     explosionDamage: 60,
-    hasExplosion: true
+    hasExplosion: true,
+    magazineSize: 3,
+    reloadTime: 2500,
+    reserveAmmo: 9
   },
   flamethrower: {
     name: 'Lance-Flammes',
@@ -87,7 +111,10 @@ const WEAPONS = {
     spread: 0.3,
     color: '#ff8800',
     lifetime: 500,
-    isFlame: true
+    isFlame: true,
+    magazineSize: 100,
+    reloadTime: 2200,
+    reserveAmmo: 300
   },
   laser: {
     // FIX BALANCE: était fireRate:100 → 450 dps (trop OP pour arme hitscan/no-spread)
@@ -99,7 +126,10 @@ const WEAPONS = {
     bulletCount: 1,
     spread: 0,
     color: '#00ffff',
-    isLaser: true
+    isLaser: true,
+    magazineSize: 40,
+    reloadTime: 1800,
+    reserveAmmo: 160
   },
   grenadeLauncher: {
     name: 'Lance-Grenades',
@@ -113,7 +143,10 @@ const WEAPONS = {
     explosionDamage: 40,
     gravity: 0.2,
     hasExplosion: true,
-    isGrenade: true
+    isGrenade: true,
+    magazineSize: 4,
+    reloadTime: 2200,
+    reserveAmmo: 16
   },
   crossbow: {
     name: 'Arbalete',
@@ -124,7 +157,10 @@ const WEAPONS = {
     spread: 0,
     color: '#8800ff',
     piercing: 2,
-    isCrossbow: true
+    isCrossbow: true,
+    magazineSize: 5,
+    reloadTime: 1600,
+    reserveAmmo: 25
   },
   chainLightning: {
     name: 'Fusil Eclair',
@@ -137,7 +173,10 @@ const WEAPONS = {
     isChainLightning: true,
     chainMaxJumps: 4,
     chainRange: 200,
-    chainDamageReduction: 0.7
+    chainDamageReduction: 0.7,
+    magazineSize: 10,
+    reloadTime: 2000,
+    reserveAmmo: 40
   },
   poisonDart: {
     name: 'Flechettes Toxiques',
@@ -151,7 +190,10 @@ const WEAPONS = {
     poisonDamage: 3,
     poisonDuration: 5000,
     poisonSpreadRadius: 100,
-    poisonSpreadChance: 0.3
+    poisonSpreadChance: 0.3,
+    magazineSize: 12,
+    reloadTime: 1500,
+    reserveAmmo: 48
   },
   teslaCoil: {
     // FIX BALANCE: damage 8→12 pour compenser la contrainte de proximité
@@ -181,7 +223,10 @@ const WEAPONS = {
     slowDuration: 3000,
     freezeChance: 0.15,
     freezeDuration: 2000,
-    iceExplosionRadius: 80
+    iceExplosionRadius: 80,
+    magazineSize: 6,
+    reloadTime: 2000,
+    reserveAmmo: 24
   },
   plasmaRifle: {
     name: 'Fusil Plasma',
@@ -194,7 +239,10 @@ const WEAPONS = {
     isPlasmaRifle: true,
     ignoresWalls: true,
     plasmaTrailInterval: 10,
-    plasmaPiercing: 3
+    plasmaPiercing: 3,
+    magazineSize: 25,
+    reloadTime: 2000,
+    reserveAmmo: 100
   }
 };
 
@@ -209,7 +257,10 @@ const weaponSchema = Joi.object({
   bulletCount: Joi.number().integer().min(1).required(),
   color: Joi.string()
     .pattern(/^#[0-9a-fA-F]{6}$/)
-    .required()
+    .required(),
+  magazineSize: Joi.number().integer().min(1),
+  reloadTime: Joi.number().positive().when('magazineSize', { is: Joi.exist(), then: Joi.required() }),
+  reserveAmmo: Joi.number().integer().min(0).allow(null).when('magazineSize', { is: Joi.exist(), then: Joi.required() })
 }).unknown(true);
 
 function validateWeaponConfig(weapons) {
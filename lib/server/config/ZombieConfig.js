@@ -19,6 +19,7 @@
 
 const path = require('path');
 const Joi = require('joi');
+const { BOSS_DEFINITIONS } = require('./BossConfig');
 
 const CATEGORIES = ['basic', 'elite', 'boss', 'special'];
 
@@ -27,6 +28,16 @@ const ZOMBIE_TYPES = CATEGORIES.reduce((acc, cat) => {
   return Object.assign(acc, defs);
 }, {});
 
+// Scripted bosses (bosses/*.json) are zombie types like the others
+const bossKeyErrors = [];
+for (const [key, def] of Object.entries(BOSS_DEFINITIONS)) {
+  if (ZOMBIE_TYPES[key]) {
+    bossKeyErrors.push(`${key}: already defined in zombies/*.json`);
+    continue;
+  }
+  ZOMBIE_TYPES[key] = { ...def.stats, isBoss: true, scripted: true, wave: def.wave };
+}
+
 const zombieSchema = Joi.object({
   name: Joi.string().required(),
   health: Joi.number().positive().required(),
@@ -38,8 +49,26 @@ const zombieSchema = Joi.object({
     .required()
 }).unknown(true);
 
-function validateZombieConfig(types) {
+/**
+ * Minion types summoned by scripted bosses must exist.
+ * @returns {string[]}
+ */
+function validateBossSummons(types) {
   const errors = [];
+  for (const [key, def] of Object.entries(BOSS_DEFINITIONS)) {
+    for (const phase of def.phases) {
+      for (const step of [...phase.onEnter, ...phase.sequence]) {
+        if (step.use === 'summon' && !types[step.params.type]) {
+          errors.push(`${key}: unknown summon type "${step.params.type}"`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function validateZombieConfig(types) {
+  const errors = [...bossKeyErrors, ...validateBossSummons(types)];
   for (const [key, def] of Object.entries(types).filter(([k]) => !k.startsWith('$'))) {
     const { error } = zombieSchema.validate(def);
     if (error) {
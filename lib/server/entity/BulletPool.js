@@ -36,8 +36,10 @@ function _normalizeBulletTiming(params) {
  * @property {string} [color='#ffff00']
  * @property {number} [size]
  * @property {string|null} [playerId]
+ * @property {string|null} [weaponId] - weapon that fired it (per-weapon run stats)
  * @property {string|null} [zombieId]
  * @property {number} [piercing=0]
+ * @property {boolean} [isCritical=false] - rolled a crit (assassins_mark pierce bonus)
  * @property {boolean} [explosiveRounds=false]
  * @property {number} [explosionRadius=0]
  * @property {number} [explosionDamagePercent=0]
@@ -60,14 +62,17 @@ function _resetBullet(bullet) {
   bullet.vx = 0;
   bullet.vy = 0;
   bullet.playerId = null;
+  bullet.weaponId = null;
   bullet.zombieId = null;
   bullet.damage = 0;
   bullet.color = '#ffff00';
   bullet.size = 0;
   bullet.piercing = 0;
+  bullet.isCritical = false;
   if (bullet.piercedZombies) {
     bullet.piercedZombies.length = 0;
   }
+  bullet.ricochets = 0;
   bullet.explosiveRounds = false;
   bullet.explosionRadius = 0;
   bullet.explosionDamagePercent = 0;
@@ -98,12 +103,15 @@ class BulletPool {
         vx: 0,
         vy: 0,
         playerId: null,
+        weaponId: null,
         zombieId: null,
         damage: 0,
         color: '#ffff00',
         size: 0,
         piercing: 0,
+        isCritical: false,
         piercedZombies: [],
+        ricochets: 0, // wall bounces so far (ricochet run mutator)
         explosiveRounds: false,
         explosionRadius: 0,
         explosionDamagePercent: 0,
@@ -142,16 +150,19 @@ class BulletPool {
     bullet.vx = params.vx;
     bullet.vy = params.vy;
     bullet.playerId = params.playerId || null;
+    bullet.weaponId = params.weaponId || null;
     bullet.zombieId = params.zombieId || null;
     bullet.damage = params.damage;
     bullet.color = params.color || '#ffff00';
     bullet.size = params.size || defaultSize;
     bullet.piercing = params.piercing || 0;
+    bullet.isCritical = params.isCritical || false;
     if (!bullet.piercedZombies) {
       bullet.piercedZombies = [];
     } else {
       bullet.piercedZombies.length = 0;
     }
+    bullet.ricochets = 0;
     bullet.explosiveRounds = params.explosiveRounds || false;
     bullet.explosionRadius = params.explosionRadius || 0;
     bullet.explosionDamagePercent = params.explosionDamagePercent || 0;
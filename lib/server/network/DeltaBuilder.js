@@ -28,14 +28,36 @@ const SERVER_INTERNAL_FIELDS = new Set([
   'randomMoveTimer',
   'randomAngle',
   '_bossAbilityCooldowns',
+  '_bossScript',
   'lastMoveTime',
   'lastShot',
   'lastActivityTime',
   'moveBudget',
   'accountId',
+  'runId',
   'lastMoveSeq',
+  'lastInputSeq',
+  'lastInputAt',
+  'inputBudgetMs',
+  'weapons',
+  'reloadingUntil',
+  'weaponReadyAt',
+  'inventoryVersion',
+  '_inventorySentVersion',
+  '_downedByBoss',
+  '_downedAnnounced',
+  '_downedTickAt',
+  '_lastReviveEmit',
+  '_reviverHealth',
   'piercedZombies',
-  'createdAt'
+  'ricochets',
+  'createdAt',
+  'weaponId',
+  'weaponRunStats',
+  'isCritical',
+  'levelUpUpgrades',
+  'synergies',
+  'synergyEffects'
 ]);
 const DYNAMIC_FIELDS = new Set(['x', 'y', 'vx', 'vy', 'angle', 'health', 'state', 'isDead']);
 
@@ -366,6 +388,16 @@ class DeltaBuilder {
     }
   }
 
+  /**
+   * Record that a socket received the walls of a room in a keyframe, so the
+   * next delta does not send them again.
+   * @param {string} socketId
+   * @param {number} roomId
+   */
+  markRoomSent(socketId, roomId) {
+    this._lastRoomIdBySocket.set(socketId, roomId);
+  }
+
   /**
    * Cleanup per-socket state on disconnect.
    * @param {string} socketId
@@ -0,0 +1,320 @@
+/**
+ * InterestManager — per-socket area-of-interest (AOI) culling.
+ * Tracks what each socket currently sees (viewport + margin around its player,
+ * or around a spectator's camera target) and narrows the shared world delta
+ * down to that set: entities entering the view are sent with their static
+ * fields (`_new`), entities leaving it are sent as removals.
+ * Pure computation: no I/O, emitting stays in NetworkManager.
+ */
+
+// Entity types subject to culling. Players are always sent (scoreboard,
+// minimap markers) and particles are never broadcast.
+const CULLED_TYPES = ['zombies', 'bullets', 'poisonTrails', 'explosions', 'powerups', 'loot'];
+
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+const MIN_VIEWPORT = { width: 640, height: 360 };
+// Kept below ZombieUpdater's far-freeze AOI (2100 × 1400 half-extents) once
+// the margin is added, so no frozen zombie is ever inside a client's view.
+const MAX_VIEWPORT = { width: 2560, height: 1440 };
+// Extra world px around the viewport: fast bullets/zombies are already known
+// to the client before they scroll into sight.
+const AOI_MARGIN = 400;
+
+function clamp(value, min, max, fallback) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, value));
+}
+
+class InterestManager {
+  constructor(deltaBuilder) {
+    this._deltaBuilder = deltaBuilder;
+    /** @type {Map<string, {width, height, spectator, targetId, camera, visible: Object|null}>} */
+    this._views = new Map();
+    // Enter patches are identical for every socket an entity enters this tick
+    this._enterPatchCache = new Map();
+  }
+
+  _view(socketId) {
+    let view = this._views.get(socketId);
+    if (!view) {
+      view = {
+        width: DEFAULT_VIEWPORT.width,
+        height: DEFAULT_VIEWPORT.height,
+        spectator: false,
+        targetId: null,
+        camera: null,
+        visible: null
+      };
+      this._views.set(socketId, view);
+    }
+    return view;
+  }
+
+  /**
+   * Record the client's viewport size in world pixels (clamped).
+   * @param {string} socketId
+   * @param {number} width
+   * @param {number} height
+   */
+  setViewport(socketId, width, height) {
+    const view = this._view(socketId);
+    view.width = clamp(width, MIN_VIEWPORT.width, MAX_VIEWPORT.width, DEFAULT_VIEWPORT.width);
+    view.height = clamp(height, MIN_VIEWPORT.height, MAX_VIEWPORT.height, DEFAULT_VIEWPORT.height);
+  }
+
+  /**
+   * Register a watch-only socket. Until it picks a camera target or reports a
+   * free camera position it receives the whole world.
+   * @param {string} socketId
+   */
+  addSpectator(socketId) {
+    this._view(socketId).spectator = true;
+  }
+
+  /**
+   * Make a socket's view follow another player's camera.
+   * @param {string} socketId
+   * @param {string|null} playerId - null = stop following (spectators go
+   *   back to free camera, players back to their own position)
+   */
+  setCameraTarget(socketId, playerId) {
+    this._view(socketId).targetId = playerId || null;
+  }
+
+  /** @returns {string|null} player the socket's camera follows */
+  getCameraTarget(socketId) {
+    const view = this._views.get(socketId);
+    return view ? view.targetId : null;
+  }
+
+  /**
+   * Free camera of a spectator: stop following and center the view on a
+   * world position.
+   * @param {string} socketId
+   * @param {number} x
+   * @param {number} y
+   */
+  setCameraPosition(socketId, x, y) {
+    const view = this._view(socketId);
+    view.targetId = null;
+    view.camera = Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+  }
+
+  /** @returns {string[]} spectator socket ids */
+  getSpectatorIds() {
+    const ids = [];
+    for (const [socketId, view] of this._views) {
+      if (view.spectator) {
+        ids.push(socketId);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * True when the socket has no visibility baseline yet and must be sent a
+   * full (culled) snapshot before it can receive deltas.
+   * @param {string} socketId
+   * @returns {boolean}
+   */
+  needsKeyframe(socketId) {
+    const view = this._views.get(socketId);
+    return !view || view.visible === null;
+  }
+
+  /**
+   * World rectangle visible to a socket, or null when nothing is culled
+   * (spectator without camera position, player still on the nickname
+   * screen, anchor player unknown).
+   * @param {string} socketId
+   * @param {Object} players
+   * @returns {{minX, minY, maxX, maxY}|null}
+   */
+  getViewRect(socketId, players) {
+    const view = this._view(socketId);
+    const anchorId = view.targetId || (view.spectator ? null : socketId);
+    let anchor = anchorId ? players[anchorId] : view.camera;
+    if (anchor && anchorId === socketId && anchor.hasNickname === false) {
+      // Not playing yet: the client camera roams freely (pre-join spectating)
+      anchor = null;
+    }
+    if (!anchor || typeof anchor.x !== 'number' || typeof anchor.y !== 'number') {
+      return null;
+    }
+    const halfW = view.width / 2 + AOI_MARGIN;
+    const halfH = view.height / 2 + AOI_MARGIN;
+    return { minX: anchor.x - halfW, minY: anchor.y - halfH, maxX: anchor.x + halfW, maxY: anchor.y + halfH };
+  }
+
+  /** Call once per broadcast tick, before building per-socket payloads. */
+  beginTick() {
+    this._enterPatchCache.clear();
+  }
+
+  /**
+   * Entities of each culled type inside the socket's view. Leaves the
+   * socket's visibility baseline untouched.
+   * @param {string} socketId
+   * @param {Object} state - public state (NetworkManager._buildPublicState)
+   * @returns {Object} type → filtered entity map
+   */
+  collectVisible(socketId, state) {
+    const rect = this.getViewRect(socketId, state.players || {});
+    const out = {};
+    for (const type of CULLED_TYPES) {
+      const entities = state[type] || {};
+      const filtered = {};
+      for (const id in entities) {
+        if (this._inView(entities[id], rect)) {
+          filtered[id] = entities[id];
+        }
+      }
+      out[type] = filtered;
+    }
+    return out;
+  }
+
+  /**
+   * Build a full snapshot limited to the socket's view and reset its baseline.
+   * @param {string} socketId
+   * @param {Object} state - public state (NetworkManager._buildPublicState)
+   * @returns {Object} state-shaped object with culled entity maps
+   */
+  buildVisibleState(socketId, state) {
+    const out = this.collectVisible(socketId, state);
+    const visible = {};
+    for (const type of CULLED_TYPES) {
+      visible[type] = new Set(Object.keys(out[type]));
+    }
+    this._view(socketId).visible = visible;
+    return out;
+  }
+
+  /**
+   * Narrow the shared world delta to one socket's view.
+   * Mutates nothing shared: returns fresh updated/removed maps for culled
+   * types and passes the other types through.
+   * @param {string} socketId
+   * @param {Object} state - public state for this tick
+   * @param {Object} sharedDelta - DeltaBuilder.calculateDelta output
+   * @returns {Object|null} delta, or null when nothing changed for this socket
+   */
+  buildSocketDelta(socketId, state, sharedDelta) {
+    const view = this._view(socketId);
+    const rect = this.getViewRect(socketId, state.players || {});
+    const updated = Object.assign({}, sharedDelta.updated);
+    const removed = Object.assign({}, sharedDelta.removed);
+    let hasChanges =
+      this._hasEntries(sharedDelta.updated.players) ||
+      sharedDelta.removed.players.length > 0 ||
+      sharedDelta.meta.walls !== undefined;
+
+    for (const type of CULLED_TYPES) {
+      const entities = state[type] || {};
+      const shared = sharedDelta.updated[type] || {};
+      const previous = view.visible[type];
+      const next = new Set();
+      const typeUpdated = {};
+      const typeRemoved = [];
+
+      for (const id in entities) {
+        const entity = entities[id];
+        if (!this._inView(entity, rect)) {
+          continue;
+        }
+        next.add(id);
+        if (previous.has(id)) {
+          if (shared[id]) {
+            typeUpdated[id] = shared[id];
+            hasChanges = true;
+          }
+        } else {
+          typeUpdated[id] = this._enterPatch(type, id, entity, shared[id]);
+          hasChanges = true;
+        }
+      }
+
+      for (const id of previous) {
+        if (!next.has(id)) {
+          typeRemoved.push(id);
+          hasChanges = true;
+        }
+      }
+
+      view.visible[type] = next;
+      updated[type] = typeUpdated;
+      removed[type] = typeRemoved;
+    }
+
+    if (!hasChanges) {
+      return null;
+    }
+    return { updated, removed, meta: sharedDelta.meta };
+  }
+
+  _hasEntries(obj) {
+    for (const _ in obj) {
+      return true;
+    }
+    return false;
+  }
+
+  _inView(entity, rect) {
+    if (!rect || !entity || typeof entity.x !== 'number' || typeof entity.y !== 'number') {
+      return true;
+    }
+    return entity.x >= rect.minX && entity.x <= rect.maxX && entity.y >= rect.minY && entity.y <= rect.maxY;
+  }
+
+  /**
+   * Full patch (static fields included) for an entity entering a view.
+   * Reuses the shared patch when the entity is brand new in the world.
+   */
+  _enterPatch(type, id, entity, sharedPatch) {
+    if (sharedPatch && sharedPatch._new) {
+      return sharedPatch;
+    }
+    const key = `${type}:${id}`;
+    let patch = this._enterPatchCache.get(key);
+    if (!patch) {
+      patch = this._deltaBuilder._fieldDiff(entity, null);
+      this._enterPatchCache.set(key, patch);
+    }
+    return patch;
+  }
+
+  /**
+   * Forget one socket's baseline (it was sent an unculled snapshot).
+   * @param {string} socketId
+   */
+  resyncSocket(socketId) {
+    const view = this._views.get(socketId);
+    if (view) {
+      view.visible = null;
+    }
+  }
+
+  /**
+   * Forget visibility baselines (delta reset) — every socket
+   * gets a culled keyframe on the next broadcast.
+   */
+  resetVisibility() {
+    for (const view of this._views.values()) {
+      view.visible = null;
+    }
+  }
+
+  /**
+   * Drop all per-socket state on disconnect.
+   * @param {string} socketId
+   */
+  cleanupSocket(socketId) {
+    this._views.delete(socketId);
+  }
+}
+
+module.exports = InterestManager;
+module.exports.CULLED_TYPES = CULLED_TYPES;
+module.exports.AOI_MARGIN = AOI_MARGIN;
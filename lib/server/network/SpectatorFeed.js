@@ -0,0 +1,148 @@
+/**
+ * SpectatorFeed — low-rate state stream for watch-only sockets.
+ * Spectators are left out of the per-tick player broadcast: at most every
+ * intervalMs each one gets a delta against what it was last sent, limited to
+ * the area around its camera (followed player or free camera position, see
+ * InterestManager.getViewRect). Entities leaving that area are sent as
+ * removals. A spectator without a baseline (just joined, after a delta reset)
+ * gets a keyframe (`full: true`) instead.
+ * Pure computation: no I/O, emitting stays in NetworkManager.
+ */
+
+const DeltaBuilder = require('./DeltaBuilder');
+
+class SpectatorFeed {
+  /**
+   * @param {import('./InterestManager')} interest - camera and viewport of each socket
+   * @param {number} intervalMs - minimum delay between two states for one spectator
+   */
+  constructor(interest, intervalMs) {
+    this._interest = interest;
+    this._intervalMs = intervalMs;
+    // Own builder: its pooled patches must not alias the shared tick delta
+    this._deltaBuilder = new DeltaBuilder();
+    /** @type {Map<string, {lastSentAt: number, baseline: Object|null}>} */
+    this._feeds = new Map();
+  }
+
+  /** @param {string} socketId */
+  add(socketId) {
+    this._feeds.set(socketId, { lastSentAt: 0, baseline: null });
+  }
+
+  /** @returns {number} spectators currently fed */
+  get size() {
+    return this._feeds.size;
+  }
+
+  /** @returns {IterableIterator<string>} spectator socket ids */
+  ids() {
+    return this._feeds.keys();
+  }
+
+  /**
+   * Build the next state for one spectator.
+   * @param {string} socketId
+   * @param {Object} state - public state (NetworkManager._buildPublicState)
+   * @param {number} serverTime
+   * @returns {Object|null} keyframe or delta payload; null when not due yet
+   *   or when nothing changed in the spectator's view
+   */
+  build(socketId, state, serverTime) {
+    const feed = this._feeds.get(socketId);
+    if (!feed || serverTime - feed.lastSentAt < this._intervalMs) {
+      return null;
+    }
+    feed.lastSentAt = serverTime;
+
+    const targetId = this._followedPlayer(socketId, state.players);
+    const visible = Object.assign(
+      {
+        players: state.players,
+        particles: {},
+        wave: state.wave,
+        walls: state.walls,
+        currentRoom: state.currentRoom,
+        bossSpawned: state.bossSpawned
+      },
+      this._interest.collectVisible(socketId, state)
+    );
+
+    let payload;
+    if (feed.baseline === null) {
+      payload = Object.assign({}, visible, { full: true });
+      this._deltaBuilder.markRoomSent(socketId, visible.currentRoom);
+    } else {
+      payload = this._deltaBuilder.calculateDelta(visible, feed.baseline, null, socketId);
+      if (!this._hasChanges(payload)) {
+        return null;
+      }
+    }
+    feed.baseline = this._deltaBuilder.cloneState(visible);
+    payload.serverTime = serverTime;
+    payload.camera = { targetId };
+    return payload;
+  }
+
+  /**
+   * Followed player, or null in free camera. A target that left the world
+   * (or went back to the nickname screen) is dropped.
+   */
+  _followedPlayer(socketId, players) {
+    const targetId = this._interest.getCameraTarget(socketId);
+    if (!targetId) {
+      return null;
+    }
+    const target = players[targetId];
+    if (!target || target.hasNickname === false) {
+      this._interest.setCameraTarget(socketId, null);
+      return null;
+    }
+    return targetId;
+  }
+
+  _hasChanges(delta) {
+    if (delta.meta.walls !== undefined) {
+      return true;
+    }
+    for (const type in delta.updated) {
+      for (const _ in delta.updated[type]) {
+        return true;
+      }
+      if (delta.removed[type].length > 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Forget one spectator's baseline: its next state is a keyframe.
+   * @param {string} socketId
+   */
+  resync(socketId) {
+    const feed = this._feeds.get(socketId);
+    if (feed) {
+      feed.baseline = null;
+      feed.lastSentAt = 0;
+    }
+  }
+
+  /** Forget every baseline (delta reset). */
+  reset() {
+    for (const socketId of this._feeds.keys()) {
+      this.resync(socketId);
+    }
+  }
+
+  /**
+   * Drop a spectator on disconnect.
+   * @param {string} socketId
+   */
+  remove(socketId) {
+    this._feeds.delete(socketId);
+    this._deltaBuilder.cleanupSocket(socketId);
+  }
+}
+
+module.exports = SpectatorFeed;
@@ -0,0 +1,233 @@
+/**
+ * MatchRecorder — records every match of one game instance to a replay file.
+ *
+ * A match starts on the first broadcast with a playing (nicknamed) player and
+ * ends when none is left, when the instance stops, or after maxDurationMs (the
+ * recording then rolls over to a new file). Frames are sampled from the public
+ * broadcast state every recordIntervalMs, with a keyframe every
+ * keyframeIntervalMs; see replayFormat for the layout. Matches shorter than
+ * minDurationMs are discarded.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const logger = require('../../../infrastructure/logging/Logger');
+const DeltaBuilder = require('../network/DeltaBuilder');
+const { REPLAY_VERSION, ENTITY_TYPES } = require('./replayFormat');
+
+function hasPlayingPlayer(players) {
+  for (const id in players) {
+    if (players[id] && players[id].hasNickname) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function hasChanges(delta, prev) {
+  for (const type of ENTITY_TYPES) {
+    for (const _ in delta.updated[type]) {
+      return true;
+    }
+    if (delta.removed[type].length > 0) {
+      return true;
+    }
+  }
+  const { meta } = delta;
+  return meta.walls !== undefined ||
+    meta.wave !== prev.wave ||
+    meta.currentRoom !== prev.currentRoom ||
+    meta.bossSpawned !== prev.bossSpawned;
+}
+
+class MatchRecorder {
+  /**
+   * @param {{instanceId: string, instanceName: string, isPrivate: boolean, seed: number,
+   *          store: import('./ReplayStore'),
+   *          recordIntervalMs: number, keyframeIntervalMs: number, maxDurationMs: number,
+   *          minDurationMs: number}} options
+   */
+  constructor(options) {
+    this.instanceId = options.instanceId;
+    this.instanceName = options.instanceName;
+    this.isPrivate = options.isPrivate === true;
+    this.seed = options.seed;
+    this.store = options.store;
+    this.recordIntervalMs = options.recordIntervalMs;
+    this.keyframeIntervalMs = options.keyframeIntervalMs;
+    this.maxDurationMs = options.maxDurationMs;
+    this.minDurationMs = options.minDurationMs;
+
+    this._builder = new DeltaBuilder();
+    this._prev = {};
+    this._current = null;
+    this._saving = Promise.resolve();
+  }
+
+  /** @returns {boolean} */
+  isRecording() {
+    return this._current !== null;
+  }
+
+  /** @returns {Promise<void>} resolves once every finished match is saved (or dropped) */
+  settled() {
+    return this._saving;
+  }
+
+  /**
+   * Feed one broadcast state. Called by NetworkManager after each emit.
+   * @param {Object} state - public state (NetworkManager._buildPublicState)
+   * @param {number} [now=Date.now()]
+   */
+  capture(state, now = Date.now()) {
+    const playing = hasPlayingPlayer(state.players);
+    if (!this._current) {
+      if (!playing) {
+        return;
+      }
+      this._begin(now);
+    } else if (!playing) {
+      this.finish('empty');
+      return;
+    } else if (now - this._current.startedAt >= this.maxDurationMs) {
+      this.finish('maxDuration');
+      this._begin(now);
+    }
+
+    const rec = this._current;
+    const t = now - rec.startedAt;
+    if (rec.frames > 0 && t - rec.lastT < this.recordIntervalMs) {
+      return;
+    }
+    const keyframe = rec.frames === 0 || t - rec.lastKeyframeT >= this.keyframeIntervalMs;
+    const delta = this._builder.calculateDelta(state, keyframe ? {} : this._prev);
+    if (keyframe) {
+      delta.meta.walls = state.walls;
+    } else if (!hasChanges(delta, this._prev)) {
+      return;
+    }
+
+    // Pooled patches are recycled on the next calculateDelta: serialise now.
+    rec.gzip.write(`${JSON.stringify(keyframe ? { t, k: 1, d: delta } : { t, d: delta })}\n`);
+    this._prev = this._builder.cloneState(state);
+    rec.frames++;
+    rec.lastT = t;
+    if (keyframe) {
+      rec.keyframes.push(t);
+      rec.lastKeyframeT = t;
+    }
+    rec.maxWave = Math.max(rec.maxWave, state.wave || 1);
+    for (const id in state.players) {
+      const player = state.players[id];
+      if (player && player.hasNickname && player.nickname) {
+        rec.players.add(player.nickname);
+      }
+    }
+  }
+
+  _begin(now) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const tmpPath = `${this.store.filePath(id)}.part`;
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(tmpPath);
+    const rec = {
+      id,
+      tmpPath,
+      gzip,
+      out,
+      failed: false,
+      startedAt: now,
+      frames: 0,
+      lastT: 0,
+      lastKeyframeT: 0,
+      keyframes: [],
+      maxWave: 1,
+      players: new Set()
+    };
+    const onError = err => {
+      if (!rec.failed) {
+        rec.failed = true;
+        logger.error('Replay write failed', { replayId: id, instanceId: this.instanceId, error: err.message });
+      }
+      out.destroy(); // still emits 'close', so finish() settles
+    };
+    gzip.on('error', onError);
+    out.on('error', onError);
+    gzip.pipe(out);
+    gzip.write(`${JSON.stringify({
+      v: REPLAY_VERSION,
+      id,
+      instanceId: this.instanceId,
+      instanceName: this.instanceName,
+      seed: this.seed,
+      startedAt: now,
+      recordIntervalMs: this.recordIntervalMs,
+      keyframeIntervalMs: this.keyframeIntervalMs
+    })}\n`);
+
+    this._builder.reset();
+    this._prev = {};
+    this._current = rec;
+    logger.info('Replay recording started', { replayId: id, instanceId: this.instanceId });
+  }
+
+  /**
+   * Close the current match, if any, and register it in the store.
+   * @param {string} [reason='stopped'] - stored as endReason
+   * @returns {Promise<Object|null>} the index entry, or null when nothing was kept
+   */
+  finish(reason = 'stopped') {
+    const rec = this._current;
+    if (!rec) {
+      return Promise.resolve(null);
+    }
+    this._current = null;
+    const durationMs = rec.lastT;
+
+    const save = new Promise(resolve => {
+      if (rec.out.closed) {
+        resolve();
+        return;
+      }
+      rec.out.once('close', resolve);
+      rec.gzip.end();
+    }).then(async () => {
+      if (rec.failed || durationMs < this.minDurationMs) {
+        await fs.promises.unlink(rec.tmpPath).catch(() => {});
+        return null;
+      }
+      await fs.promises.rename(rec.tmpPath, this.store.filePath(rec.id));
+      const { size } = await fs.promises.stat(this.store.filePath(rec.id));
+      const entry = {
+        id: rec.id,
+        version: REPLAY_VERSION,
+        instanceId: this.instanceId,
+        instanceName: this.instanceName,
+        isPrivate: this.isPrivate,
+        seed: this.seed,
+        startedAt: rec.startedAt,
+        endedAt: rec.startedAt + durationMs,
+        durationMs,
+        endReason: reason,
+        frames: rec.frames,
+        keyframes: rec.keyframes,
+        maxWave: rec.maxWave,
+        players: Array.from(rec.players),
+        bytes: size
+      };
+      await this.store.add(entry);
+      logger.info('Replay saved', { replayId: rec.id, instanceId: this.instanceId, durationMs, bytes: size });
+      return entry;
+    }).catch(err => {
+      logger.error('Failed to save replay', { replayId: rec.id, instanceId: this.instanceId, error: err.message });
+      return null;
+    });
+    this._saving = this._saving.then(() => save);
+    return save;
+  }
+}
+
+module.exports = MatchRecorder;
@@ -0,0 +1,214 @@
+/**
+ * ReplayStore — replay files on disk plus their index.
+ *
+ * Files live in one directory as `<id>.ndjson.gz` (see replayFormat) next to
+ * an `index.json` holding the metadata of every stored run, newest first.
+ * The oldest replays are deleted once `maxReplays` is exceeded.
+ *
+ * Seeking needs the file decompressed, but only the frames between the
+ * nearest keyframe and the sought time are parsed. The replays sought last
+ * stay decompressed in memory with their keyframe offsets, since a viewer
+ * scrubbing through a replay seeks it again and again; that cache is capped
+ * in bytes, so a few long replays cannot fill the server memory.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../../../infrastructure/logging/Logger');
+const { parseReplay, indexReplayBuffer, stateAtOffset } = require('./replayFormat');
+
+const gunzip = promisify(zlib.gunzip);
+
+const INDEX_FILE = 'index.json';
+/** Decompressed bytes kept for seeks (a 2 h replay is ~144k frames). */
+const SEEK_CACHE_BYTES = 64 * 1024 * 1024;
+
+class ReplayStore {
+  /**
+   * @param {{dir: string, maxReplays: number, seekCacheBytes?: number}} options
+   */
+  constructor({ dir, maxReplays, seekCacheBytes = SEEK_CACHE_BYTES }) {
+    this.dir = dir;
+    this.maxReplays = maxReplays;
+    this.seekCacheBytes = seekCacheBytes;
+    fs.mkdirSync(dir, { recursive: true });
+    this._entries = this._readIndex();
+    this._writing = Promise.resolve();
+    /** @type {Map<string, Promise<Object|null>>} id → decompressed replay, least recently sought first */
+    this._seekCache = new Map();
+    /** @type {Map<string, number>} id → decompressed size, once loaded */
+    this._seekBytes = new Map();
+  }
+
+  _readIndex() {
+    const file = path.join(this.dir, INDEX_FILE);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    try {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      logger.warn('Replay index unreadable, starting empty', { file, error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string} absolute path of the replay file
+   */
+  filePath(id) {
+    return path.join(this.dir, `${id}.ndjson.gz`);
+  }
+
+  /**
+   * @param {{instanceId?: string, limit?: number}} [filter]
+   * @returns {Object[]} index entries, newest first
+   */
+  list({ instanceId, limit } = {}) {
+    const entries = instanceId ? this._entries.filter(e => e.instanceId === instanceId) : this._entries;
+    return limit ? entries.slice(0, limit) : entries.slice();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this._entries.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Register a finished replay whose file is already in place, then prune.
+   * @param {Object} entry - index metadata (see MatchRecorder)
+   * @returns {Promise<void>} resolves once index.json is written
+   */
+  async add(entry) {
+    this._entries.unshift(entry);
+    const pruned = this._entries.splice(this.maxReplays);
+    for (const old of pruned) {
+      this._dropSeekCache(old.id);
+    }
+    await Promise.all(pruned.map(old =>
+      fs.promises.unlink(this.filePath(old.id)).catch(err => {
+        logger.warn('Failed to delete pruned replay', { replayId: old.id, error: err.message });
+      })
+    ));
+    return this._persistIndex();
+  }
+
+  // Writes are chained so two replays finishing together cannot interleave.
+  _persistIndex() {
+    const file = path.join(this.dir, INDEX_FILE);
+    const tmp = `${file}.tmp`;
+    this._writing = this._writing
+      .then(async () => {
+        await fs.promises.writeFile(tmp, JSON.stringify(this._entries));
+        await fs.promises.rename(tmp, file);
+      })
+      .catch(err => {
+        logger.error('Failed to write replay index', { error: err.message });
+      });
+    return this._writing;
+  }
+
+  /**
+   * Decompress and parse a stored replay.
+   * @param {string} id
+   * @returns {Promise<{header: Object, frames: Object[]}|null>} null when unknown or missing on disk
+   */
+  async load(id) {
+    const buffer = await this._decompress(id);
+    return buffer ? parseReplay(buffer.toString('utf8')) : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Buffer|null>} NDJSON content, null when unknown or missing on disk
+   */
+  async _decompress(id) {
+    if (!this.get(id)) {
+      return null;
+    }
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(this.filePath(id));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+    return gunzip(buffer);
+  }
+
+  /**
+   * World state at `t` ms into a replay.
+   * @param {string} id
+   * @param {number} t
+   * @returns {Promise<{t: number, keyframeT: number, state: Object}|null>}
+   */
+  async seek(id, t) {
+    const replay = await this._loadForSeek(id);
+    return replay ? stateAtOffset(replay.buffer, replay.index, t) : null;
+  }
+
+  // Concurrent seeks of one replay share a single load; failures are not kept.
+  _loadForSeek(id) {
+    let pending = this._seekCache.get(id);
+    if (pending) {
+      this._seekCache.delete(id);
+      this._seekCache.set(id, pending);
+      return pending;
+    }
+    pending = this._decompress(id).then(buffer => buffer && { buffer, index: indexReplayBuffer(buffer) });
+    this._seekCache.set(id, pending);
+    pending.then(replay => {
+      if (this._seekCache.get(id) !== pending) {
+        return;
+      }
+      if (!replay) {
+        this._dropSeekCache(id);
+        return;
+      }
+      this._seekBytes.set(id, replay.buffer.length);
+      this._trimSeekCache();
+    }, () => {
+      if (this._seekCache.get(id) === pending) {
+        this._dropSeekCache(id);
+      }
+    });
+    return pending;
+  }
+
+  // Evict the least recently sought loaded replays until under the byte cap;
+  // a replay larger than the cap on its own serves its seek and is let go.
+  _trimSeekCache() {
+    let total = 0;
+    for (const bytes of this._seekBytes.values()) {
+      total += bytes;
+    }
+    for (const id of this._seekCache.keys()) {
+      if (total <= this.seekCacheBytes) {
+        break;
+      }
+      const bytes = this._seekBytes.get(id);
+      if (bytes !== undefined) {
+        total -= bytes;
+        this._dropSeekCache(id);
+      }
+    }
+  }
+
+  _dropSeekCache(id) {
+    this._seekCache.delete(id);
+    this._seekBytes.delete(id);
+  }
+}
+
+module.exports = ReplayStore;
@@ -0,0 +1,273 @@
+/**
+ * replayFormat — on-disk layout of a match replay and state reconstruction.
+ *
+ * A replay file is gzip-compressed NDJSON:
+ *   line 1     header  { v, id, instanceId, instanceName, seed, startedAt, recordIntervalMs, keyframeIntervalMs }
+ *   line 2..n  frame   { t, k?, d }
+ *
+ * `t` is ms since startedAt and comes first on the line, followed by `"k":1` on
+ * keyframes, so frame times and keyframes are read without parsing a line.
+ * Every frame payload `d` is a DeltaBuilder delta
+ * ({ updated, removed, meta }). Keyframes (`k: 1`) are deltas against an empty
+ * world and carry the room walls in meta, so state at any time is rebuilt
+ * from the nearest keyframe at or before it plus the deltas that follow.
+ * Entity fields use the wire quantisation (x/y to 0.1px, angle as a 0-255 byte).
+ *
+ * Pure functions only: no I/O.
+ */
+
+'use strict';
+
+const REPLAY_VERSION = 1;
+
+const ENTITY_TYPES = [
+  'players',
+  'zombies',
+  'bullets',
+  'particles',
+  'poisonTrails',
+  'explosions',
+  'powerups',
+  'loot'
+];
+
+/** @returns {Object} world with no entities */
+function createEmptyState() {
+  const state = { wave: 1, currentRoom: 0, bossSpawned: false, walls: [] };
+  for (const type of ENTITY_TYPES) {
+    state[type] = {};
+  }
+  return state;
+}
+
+/**
+ * Apply one frame delta in place.
+ * @param {Object} state
+ * @param {{updated?: Object, removed?: Object, meta?: Object}} delta
+ * @returns {Object} state
+ */
+function applyDelta(state, delta) {
+  for (const type of ENTITY_TYPES) {
+    const entities = state[type];
+    const updated = delta.updated && delta.updated[type];
+    for (const id in updated) {
+      const patch = updated[id];
+      if (patch._new || !entities[id]) {
+        const entity = Object.assign({}, patch);
+        delete entity._new;
+        entities[id] = entity;
+      } else {
+        Object.assign(entities[id], patch);
+      }
+    }
+    const removed = delta.removed && delta.removed[type];
+    for (const id of removed || []) {
+      delete entities[id];
+    }
+  }
+  const meta = delta.meta || {};
+  for (const key of ['wave', 'currentRoom', 'bossSpawned', 'walls']) {
+    if (meta[key] !== undefined) {
+      state[key] = meta[key];
+    }
+  }
+  return state;
+}
+
+/**
+ * Frame indices of the keyframes, in time order.
+ * @param {Array<{k?: number}>} frames
+ * @returns {number[]}
+ */
+function indexKeyframes(frames) {
+  const keyframes = [];
+  for (let i = 0; i < frames.length; i++) {
+    if (frames[i].k) {
+      keyframes.push(i);
+    }
+  }
+  return keyframes;
+}
+
+/**
+ * Index of the last keyframe at or before `t` (frames are in time order).
+ * @param {Array<{t: number, k?: number}>} frames
+ * @param {number} t
+ * @param {number[]} [keyframes] - indexKeyframes(frames), for a binary search
+ * @returns {number} -1 when no keyframe precedes t
+ */
+function findKeyframeIndex(frames, t, keyframes) {
+  let found = -1;
+  if (keyframes) {
+    let lo = 0;
+    let hi = keyframes.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (frames[keyframes[mid]].t <= t) {
+        found = keyframes[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+  for (let i = 0; i < frames.length && frames[i].t <= t; i++) {
+    if (frames[i].k) {
+      found = i;
+    }
+  }
+  return found;
+}
+
+/**
+ * Rebuild the world at time `t` (clamped to the recording).
+ * @param {Array<{t: number, k?: number, d: Object}>} frames
+ * @param {number} t - ms since the replay start
+ * @param {number[]} [keyframes] - indexKeyframes(frames)
+ * @returns {{t: number, keyframeT: number, state: Object}|null} null for an empty replay
+ */
+function stateAt(frames, t, keyframes) {
+  if (frames.length === 0) {
+    return null;
+  }
+  const target = Math.max(t, frames[0].t);
+  const start = Math.max(findKeyframeIndex(frames, target, keyframes), 0);
+  const state = createEmptyState();
+  let last = start;
+  for (let i = start; i < frames.length && frames[i].t <= target; i++) {
+    applyDelta(state, frames[i].d);
+    last = i;
+  }
+  return { t: frames[last].t, keyframeT: frames[start].t, state };
+}
+
+// Start of a frame line: its time, then whether it is a keyframe
+const FRAME_PREFIX = /^\{"t":(-?[\d.e+-]+)(,"k":1)?/;
+const NEWLINE = 0x0a;
+const PREFIX_BYTES = 40;
+
+/**
+ * Locate the frames of a decompressed replay without parsing them: the
+ * time and byte offset of the first frame and of every keyframe.
+ * @param {Buffer} buffer - NDJSON content
+ * @returns {{header: Object, first: {t: number, offset: number}|null, keyframes: Array<{t: number, offset: number}>}}
+ *   first null for a replay without frames
+ * @throws {Error} on an unknown version or malformed content
+ */
+function indexReplayBuffer(buffer) {
+  let end = buffer.indexOf(NEWLINE);
+  if (end === -1) {
+    end = buffer.length;
+  }
+  if (end === 0) {
+    throw new Error('Empty replay file');
+  }
+  const header = JSON.parse(buffer.toString('utf8', 0, end));
+  if (header.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${header.v}`);
+  }
+  let first = null;
+  const keyframes = [];
+  for (let offset = end + 1; offset < buffer.length; offset = end + 1) {
+    end = buffer.indexOf(NEWLINE, offset);
+    if (end === -1) {
+      end = buffer.length;
+    }
+    if (end === offset) {
+      continue;
+    }
+    const match = FRAME_PREFIX.exec(buffer.toString('latin1', offset, Math.min(end, offset + PREFIX_BYTES)));
+    if (!match) {
+      throw new Error(`Malformed replay frame at byte ${offset}`);
+    }
+    const frame = { t: Number(match[1]), offset };
+    if (!first) {
+      first = frame;
+    }
+    if (match[2]) {
+      keyframes.push(frame);
+    }
+  }
+  return { header, first, keyframes };
+}
+
+/**
+ * Rebuild the world at time `t` from a decompressed replay, parsing only the
+ * frames between the nearest keyframe and `t`.
+ * @param {Buffer} buffer - NDJSON content
+ * @param {ReturnType<typeof indexReplayBuffer>} index
+ * @param {number} t - ms since the replay start
+ * @returns {{t: number, keyframeT: number, state: Object}|null} null for an empty replay
+ */
+function stateAtOffset(buffer, index, t) {
+  if (!index.first) {
+    return null;
+  }
+  const target = Math.max(t, index.first.t);
+  let start = index.first;
+  let lo = 0;
+  let hi = index.keyframes.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (index.keyframes[mid].t <= target) {
+      start = index.keyframes[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const state = createEmptyState();
+  let last = start.t;
+  for (let offset = start.offset, end; offset < buffer.length; offset = end + 1) {
+    end = buffer.indexOf(NEWLINE, offset);
+    if (end === -1) {
+      end = buffer.length;
+    }
+    if (end === offset) {
+      continue;
+    }
+    const frame = JSON.parse(buffer.toString('utf8', offset, end));
+    if (frame.t > target) {
+      break;
+    }
+    applyDelta(state, frame.d);
+    last = frame.t;
+  }
+  return { t: last, keyframeT: start.t, state };
+}
+
+/**
+ * Parse a decompressed replay file.
+ * @param {string} text - NDJSON content
+ * @returns {{header: Object, frames: Array<Object>}}
+ * @throws {Error} on an unknown version or malformed content
+ */
+function parseReplay(text) {
+  const lines = text.split('\n').filter(line => line.length > 0);
+  if (lines.length === 0) {
+    throw new Error('Empty replay file');
+  }
+  const header = JSON.parse(lines[0]);
+  if (header.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${header.v}`);
+  }
+  const frames = new Array(lines.length - 1);
+  for (let i = 1; i < lines.length; i++) {
+    frames[i - 1] = JSON.parse(lines[i]);
+  }
+  return { header, frames };
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  ENTITY_TYPES,
+  createEmptyState,
+  applyDelta,
+  indexKeyframes,
+  findKeyframeIndex,
+  stateAt,
+  parseReplay,
+  indexReplayBuffer,
+  stateAtOffset
+};
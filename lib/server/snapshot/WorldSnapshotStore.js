@@ -0,0 +1,93 @@
+/**
+ * WorldSnapshotStore — the world snapshot file on disk.
+ *
+ * One JSON file, replaced as a whole: each write goes to its own
+ * `<file>.<pid>.<seq>.tmp` next to it, then is renamed over it, so a crash
+ * mid-write leaves the previous snapshot intact. Writes are numbered; an
+ * async write that finishes after a newer one landed (the blocking
+ * shutdown save) is dropped instead of replacing it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../infrastructure/logging/Logger');
+
+class WorldSnapshotStore {
+  /**
+   * @param {{file: string}} options
+   */
+  constructor({ file }) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this._writing = Promise.resolve();
+    this._seq = 0;
+    this._landed = 0;
+  }
+
+  _tmpFile(seq) {
+    return `${this.file}.${process.pid}.${seq}.tmp`;
+  }
+
+  /** Rename a written tmp file over the snapshot, unless a newer one already landed. */
+  _land(tmp, seq) {
+    if (seq < this._landed) {
+      fs.rmSync(tmp, { force: true });
+      return;
+    }
+    fs.renameSync(tmp, this.file);
+    this._landed = seq;
+  }
+
+  /**
+   * @returns {Object|null} the saved snapshot, null when there is none or it
+   *   cannot be read
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      logger.warn('World snapshot unreadable, ignored', { file: this.file, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Writes are chained so two saves cannot interleave.
+   * @param {Object} snapshot
+   * @returns {Promise<void>} resolves once the file is replaced (errors are logged)
+   */
+  save(snapshot) {
+    const data = JSON.stringify(snapshot);
+    const seq = ++this._seq;
+    const tmp = this._tmpFile(seq);
+    this._writing = this._writing
+      .then(async () => {
+        await fs.promises.writeFile(tmp, data);
+        // Synchronous, so no saveSync can land between the check and the rename
+        this._land(tmp, seq);
+      })
+      .catch(err => {
+        fs.rmSync(tmp, { force: true });
+        logger.error('Failed to write world snapshot', { error: err.message });
+      });
+    return this._writing;
+  }
+
+  /**
+   * Blocking save, for the shutdown path where the process exits right after.
+   * @param {Object} snapshot
+   */
+  saveSync(snapshot) {
+    const seq = ++this._seq;
+    const tmp = this._tmpFile(seq);
+    fs.writeFileSync(tmp, JSON.stringify(snapshot));
+    this._land(tmp, seq);
+  }
+}
+
+module.exports = WorldSnapshotStore;
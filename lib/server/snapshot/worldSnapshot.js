@@ -0,0 +1,196 @@
+/**
+ * worldSnapshot — the world of one game instance as plain data, and back.
+ *
+ * Saved: the run's random streams, rooms, current room and altars, wave
+ * counters, mutators (with their timed effects), zombies, loot and powerups.
+ * Left out, as they only live a few seconds: bullets, particles, explosions,
+ * poison trails, hazards and telegraphs. Players are saved apart, as
+ * recoverable sessions (see server/worldPersistence).
+ *
+ * Two clocks stamp the entities: the wall clock (Date.now) and the game loop
+ * clock (performance.now), which restarts from 0 with the process. The
+ * fields the game loop stamps are listed below; on restore they are shifted
+ * onto the new process' clock, so cooldowns and durations resume where they
+ * stood. Everything else (loot and powerup lifetimes, reloads, spawn
+ * protection...) is on the wall clock and kept as is.
+ */
+
+'use strict';
+
+const { serializeRunRandom, restoreRunRandom } = require('../../runPRNG');
+
+/** Epoch ms (2001); the loop clock never gets there. */
+const WALL_CLOCK_MIN = 1e12;
+/** Zombie fields kept although server-internal: the boss timeline. */
+const KEPT_INTERNAL_FIELDS = new Set(['_bossScript']);
+
+/** Zombie fields on the game loop clock; `a.b` is a nested field. */
+const ZOMBIE_LOOP_FIELDS = [
+  'lastApocalypse', 'lastAuraDamage', 'lastBlizzard', 'lastBlizzardTick', 'lastChainLightning',
+  'lastClone', 'lastDash', 'lastFireMinions', 'lastFreezeAura', 'lastGroundSlam', 'lastHeal',
+  'lastHurricane', 'lastHurricaneVisual', 'lastIceClones', 'lastIcePrison', 'lastLaser',
+  'lastLightning', 'lastMeteor', 'lastMeteorShower', 'lastMoveUpdate', 'lastPoisonTrail',
+  'lastRealityWarp', 'lastRevive', 'lastRift', 'lastShieldEffect', 'lastShot', 'lastSpawn',
+  'lastSpecial', 'lastSpikes', 'lastSummon', 'lastTeleport', 'lastTornado', 'lastToxicPool',
+  'lastTransform', 'specialStart', 'cooldownStart', 'randomMoveTimer', 'dashEndTime',
+  'blizzardEnd', 'despawnTime', 'slowed.startTime', 'slowed.endTime', 'poisoned.startTime',
+  'poisoned.lastTick', 'frozen.startTime', '_bossScript.nextCastAt'
+];
+/** Recoverable player state fields on the game loop clock (see createRecoverablePlayerState). */
+const PLAYER_LOOP_FIELDS = ['lastRegenTick', 'lastAutoShot', 'comboTimer'];
+/** RunMutatorManager timed effect fields on the game loop clock. */
+const TIMED_EFFECT_LOOP_FIELDS = ['expiresAt'];
+
+const ID_COUNTERS = [
+  'nextZombieId',
+  'nextBulletId',
+  'nextPowerupId',
+  'nextParticleId',
+  'nextPoisonTrailId',
+  'nextLootId',
+  'nextExplosionId'
+];
+
+/** Deep copy of plain data, as it will be saved. */
+function copyData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copy of an entity with the listed loop clock fields moved by `offset`.
+ * 0 (never happened) stays 0, and so does a wall-clock value some code
+ * paths write into a mostly loop-clock field (comboTimer).
+ * @param {Object} entity
+ * @param {string[]} fields - field paths, `a.b` for nested ones
+ * @param {number} offset - new loop clock minus the loop clock at capture
+ * @returns {Object}
+ */
+function rebaseFields(entity, fields, offset) {
+  const copy = copyData(entity);
+  for (const field of fields) {
+    const path = field.split('.');
+    const key = path.pop();
+    const holder = path.reduce((obj, name) => (obj && typeof obj === 'object' ? obj[name] : null), copy);
+    const value = holder && typeof holder === 'object' ? holder[key] : undefined;
+    if (typeof value === 'number' && value > 0 && value < WALL_CLOCK_MIN) {
+      holder[key] = value + offset;
+    }
+  }
+  return copy;
+}
+
+/**
+ * @param {Object} playerState - createRecoverablePlayerState() output
+ * @param {number} offset - new loop clock minus the loop clock at capture
+ * @returns {Object}
+ */
+function rebasePlayerState(playerState, offset) {
+  return rebaseFields(playerState, PLAYER_LOOP_FIELDS, offset);
+}
+
+function rebaseMutators(mutators, offset) {
+  const copy = copyData(mutators);
+  copy.timedEffects = (copy.timedEffects || []).map(entry => rebaseFields(entry, TIMED_EFFECT_LOOP_FIELDS, offset));
+  return copy;
+}
+
+/**
+ * Zombie without its caches (nearest player, path, stuck tracking). A boss
+ * keeps its timeline but not the cast waiting on a telegraph: the
+ * TelegraphManager callback that lands it cannot be saved.
+ * @param {Object} zombie
+ * @returns {Object}
+ */
+function captureZombie(zombie) {
+  const saved = {};
+  for (const key of Object.keys(zombie)) {
+    if (key.startsWith('_') && !KEPT_INTERNAL_FIELDS.has(key)) {
+      continue;
+    }
+    if (typeof zombie[key] !== 'function') {
+      saved[key] = zombie[key];
+    }
+  }
+  if (saved._bossScript) {
+    saved._bossScript = { ...saved._bossScript, pending: null };
+  }
+  return copyData(saved);
+}
+
+function mapValues(entities, fn) {
+  const result = {};
+  for (const id in entities) {
+    if (entities[id]) {
+      result[id] = fn(entities[id]);
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {Object} gameState - instance game state
+ * @returns {Object} JSON-safe world
+ */
+function captureWorld(gameState) {
+  const counters = {};
+  for (const name of ID_COUNTERS) {
+    counters[name] = gameState[name];
+  }
+  return {
+    rng: gameState.rng ? serializeRunRandom(gameState.rng) : null,
+    rooms: copyData(gameState.rooms),
+    currentRoom: gameState.currentRoom,
+    altars: copyData(gameState.altars || []),
+    wave: gameState.wave,
+    zombiesKilledThisWave: gameState.zombiesKilledThisWave,
+    zombiesSpawnedThisWave: gameState.zombiesSpawnedThisWave,
+    bossSpawned: gameState.bossSpawned,
+    permanentUpgrades: { ...gameState.permanentUpgrades },
+    counters,
+    mutators: gameState.mutatorManager ? gameState.mutatorManager.serialize() : null,
+    zombies: mapValues(gameState.zombies, captureZombie),
+    loot: mapValues(gameState.loot, copyData),
+    powerups: mapValues(gameState.powerups, copyData)
+  };
+}
+
+/**
+ * Put a captured world back into a started instance. Loading the saved room
+ * first rebuilds the walls and their spatial index; the saved state then
+ * replaces what the load reset.
+ *
+ * @param {Object} gameState - instance game state (managers attached)
+ * @param {Object} world - captureWorld() output
+ * @param {Object} roomManager
+ * @param {number} clockOffset - new loop clock minus the loop clock at capture
+ */
+function restoreWorld(gameState, world, roomManager, clockOffset) {
+  if (world.rng) {
+    gameState.rng = restoreRunRandom(world.rng);
+  }
+  gameState.rooms = world.rooms;
+  roomManager.loadRoom(world.currentRoom);
+
+  // A challenge in progress died with the process: its altar can be played again
+  gameState.altars = world.altars.map(altar => (
+    altar.state === 'active' ? { ...altar, state: 'idle' } : altar
+  ));
+  gameState.wave = world.wave;
+  gameState.zombiesKilledThisWave = world.zombiesKilledThisWave;
+  gameState.zombiesSpawnedThisWave = world.zombiesSpawnedThisWave;
+  gameState.bossSpawned = world.bossSpawned;
+  Object.assign(gameState.permanentUpgrades, world.permanentUpgrades);
+  for (const name of ID_COUNTERS) {
+    if (typeof world.counters[name] === 'number') {
+      gameState[name] = world.counters[name];
+    }
+  }
+  if (world.mutators && gameState.mutatorManager) {
+    gameState.mutatorManager.restore(rebaseMutators(world.mutators, clockOffset));
+  }
+  gameState.zombies = mapValues(world.zombies, zombie => rebaseFields(zombie, ZOMBIE_LOOP_FIELDS, clockOffset));
+  gameState.loot = copyData(world.loot);
+  gameState.powerups = copyData(world.powerups);
+}
+
+module.exports = { captureWorld, restoreWorld, rebasePlayerState, WALL_CLOCK_MIN };
@@ -53,8 +53,30 @@ function requireSameUserInQuery(fieldName = 'playerId') {
   };
 }
 
+function requireAdmin(adminIds = process.env.ADMIN_USER_IDS) {
+  // Resolved once when the route is built, like AdminCommands.
+  const admins = new Set(
+    (adminIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  );
+
+  return (req, res, next) => {
+    if (!req.userId || !admins.has(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: admin only'
+      });
+    }
+
+    next();
+  };
+}
+
 module.exports = {
   requireSameUserInParam,
   requireSameUserInBody,
-  requireSameUserInQuery
+  requireSameUserInQuery,
+  requireAdmin
 };
@@ -11,9 +11,14 @@ class AuthManager {
 
   async login(username) {
     try {
+      // L'ancien token permet au serveur de refuser un compte banni
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.token) {
+        headers.Authorization = `Bearer ${this.token}`;
+      }
       const response = await fetch('/api/v1/auth/login', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body: JSON.stringify({ username })
       });
 
@@ -29,6 +34,7 @@ class AuthManager {
 
       storageManager.set('authToken', data.token);
       storageManager.set('player', data.player);
+      window.dispatchEvent(new CustomEvent('auth:login', { detail: { player: data.player } }));
 
       console.log('[Auth] Login successful:', data.player.username);
       return data;
@@ -56,6 +62,30 @@ class AuthManager {
   getPlayer() {
     return this.player;
   }
+
+  /**
+   * Requete authentifiee vers l'API (Bearer + JSON).
+   * @param {string} path - ex. '/api/v1/gems/<uuid>'
+   * @param {{method?: string, body?: Object}} [options]
+   * @returns {Promise<Object|null>} Corps JSON ({ success, data } ou { success: false, error, message }),
+   *   null sans session ou si le serveur est injoignable
+   */
+  async apiRequest(path, { method = 'GET', body } = {}) {
+    if (!this.token) {
+      return null;
+    }
+    try {
+      const response = await fetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.token}` },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      return await response.json();
+    } catch (error) {
+      console.warn('[Auth] API request failed:', path, error);
+      return null;
+    }
+  }
 }
 
 // Instance globale
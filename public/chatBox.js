@@ -0,0 +1,221 @@
+/**
+ * Chat Box — in-game text chat
+ * Enter opens the input, Enter sends, Escape closes, Tab switches channel
+ * (Global = whole game, Équipe = players in game). Messages are filtered
+ * and relayed by the server (`chatMessage`); text is always rendered with
+ * textContent.
+ */
+
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY = 8;
+const CHAT_FADE_MS = 10000;
+const CHAT_CHANNEL_LABELS = { global: 'Global', team: 'Équipe' };
+
+class ChatBox {
+  constructor() {
+    this.isOpen = false;
+    this.channel = 'global';
+    this._el = null;
+    this._log = null;
+    this._input = null;
+    this._channelBtn = null;
+    this._onKeydown = this._onKeydown.bind(this);
+    this._init();
+  }
+
+  _init() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this._setup());
+    } else {
+      this._setup();
+    }
+  }
+
+  _setup() {
+    this._buildDOM();
+    document.addEventListener('keydown', this._onKeydown);
+    document.addEventListener('chat_message', (e) => this._append(e.detail));
+    document.addEventListener('chat_rejected', (e) => this._appendSystem(e.detail && e.detail.message));
+  }
+
+  _buildDOM() {
+    const box = document.createElement('div');
+    box.id = 'chat-box';
+
+    const log = document.createElement('div');
+    log.className = 'chat-log';
+
+    const form = document.createElement('form');
+    form.className = 'chat-form';
+
+    const channelBtn = document.createElement('button');
+    channelBtn.type = 'button';
+    channelBtn.className = 'chat-channel';
+    channelBtn.textContent = CHAT_CHANNEL_LABELS[this.channel];
+    channelBtn.addEventListener('click', () => this.toggleChannel());
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'chat-input';
+    input.maxLength = CHAT_MAX_LENGTH;
+    input.placeholder = 'Message… (Tab : canal)';
+    input.autocomplete = 'off';
+
+    form.appendChild(channelBtn);
+    form.appendChild(input);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.send();
+    });
+
+    box.appendChild(log);
+    box.appendChild(form);
+    document.body.appendChild(box);
+
+    this._el = box;
+    this._log = log;
+    this._input = input;
+    this._channelBtn = channelBtn;
+  }
+
+  _isPlaying() {
+    const player = window.gameState && window.gameState.getPlayer && window.gameState.getPlayer();
+    return Boolean(player && player.hasNickname);
+  }
+
+  _onKeydown(e) {
+    if (this.isOpen) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        e.preventDefault();
+        this.toggleChannel();
+      }
+      return;
+    }
+
+    if (e.key !== 'Enter' || e.repeat) {
+return;
+}
+    const ae = document.activeElement;
+    if (ae && (ae.tagName === 'INPUT' || ae.tagName === 'TEXTAREA' || ae.isContentEditable)) {
+return;
+}
+    if (!this._isPlaying()) {
+return;
+}
+    e.preventDefault();
+    this.open();
+  }
+
+  open() {
+    if (!this._el) {
+return;
+}
+    this._el.classList.add('open');
+    this.isOpen = true;
+    this._input.focus();
+  }
+
+  close() {
+    if (!this._el) {
+return;
+}
+    this._el.classList.remove('open');
+    this._input.value = '';
+    this._input.blur();
+    this.isOpen = false;
+  }
+
+  toggleChannel() {
+    this.channel = this.channel === 'global' ? 'team' : 'global';
+    if (this._channelBtn) {
+      this._channelBtn.textContent = CHAT_CHANNEL_LABELS[this.channel];
+      this._channelBtn.classList.toggle('team', this.channel === 'team');
+    }
+  }
+
+  send() {
+    const text = this._input.value.trim();
+    if (text && window.networkManager && window.networkManager.sendChat) {
+      window.networkManager.sendChat(this.channel, text.slice(0, CHAT_MAX_LENGTH));
+    }
+    this.close();
+  }
+
+  _append(data) {
+    if (!data || typeof data.message !== 'string') {
+return;
+}
+    const line = document.createElement('div');
+    line.className = 'chat-line' + (data.channel === 'team' ? ' team' : '');
+
+    const author = document.createElement('span');
+    author.className = 'chat-author';
+    author.textContent = (data.channel === 'team' ? '[Équipe] ' : '') + (data.nickname || '?') + ' : ';
+
+    const body = document.createElement('span');
+    body.textContent = data.message;
+
+    line.appendChild(author);
+    line.appendChild(body);
+    this._push(line);
+  }
+
+  _appendSystem(message) {
+    if (!message) {
+return;
+}
+    const line = document.createElement('div');
+    line.className = 'chat-line system';
+    line.textContent = message;
+    this._push(line);
+  }
+
+  _push(line) {
+    if (!this._log) {
+return;
+}
+    this._log.appendChild(line);
+    while (this._log.children.length > CHAT_HISTORY) {
+      this._log.removeChild(this._log.firstChild);
+    }
+    setTimeout(() => line.classList.add('faded'), CHAT_FADE_MS);
+  }
+}
+
+// CSS injection
+(function injectChatStyles() {
+  const style = document.createElement('style');
+  style.textContent = [
+    '#chat-box {',
+    '  position: fixed; left: 12px; bottom: 120px; width: 340px; z-index: 8500;',
+    '  font-family: sans-serif; font-size: 13px; pointer-events: none;',
+    '}',
+    '.chat-log { display: flex; flex-direction: column; gap: 2px; }',
+    '.chat-line {',
+    '  color: #f1f5f9; background: rgba(0,0,0,0.45); border-radius: 4px;',
+    '  padding: 2px 6px; word-wrap: break-word; transition: opacity 1s;',
+    '}',
+    '.chat-line.team .chat-author { color: #4ade80; }',
+    '.chat-line.system { color: #fca5a5; font-style: italic; }',
+    '.chat-line.faded { opacity: 0; }',
+    '#chat-box.open .chat-line.faded { opacity: 1; }',
+    '.chat-author { color: #93c5fd; font-weight: bold; }',
+    '.chat-form { display: none; margin-top: 4px; gap: 4px; pointer-events: auto; }',
+    '#chat-box.open .chat-form { display: flex; }',
+    '.chat-channel {',
+    '  background: #1e3a8a; color: #fff; border: none; border-radius: 4px;',
+    '  padding: 4px 8px; cursor: pointer; font-size: 12px;',
+    '}',
+    '.chat-channel.team { background: #166534; }',
+    '.chat-input {',
+    '  flex: 1; background: rgba(15,23,42,0.9); color: #f1f5f9;',
+    '  border: 1px solid #334155; border-radius: 4px; padding: 4px 6px;',
+    '}'
+  ].join('\n');
+  document.head.appendChild(style);
+}());
+
+window.chatBox = new ChatBox();
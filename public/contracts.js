@@ -1,6 +1,8 @@
 /**
  * WEEKLY CONTRACTS - Long-form multi-stage goals.
- * @version 1.1.0
+ * Progress is computed server-side from recorded runs (/api/v1/contracts);
+ * this module displays it and claims stage rewards.
+ * @version 2.0.0
  */
 
 (function () {
@@ -10,12 +12,10 @@
     constructor() {
       this.contract = null;
       this.panelSection = null;
-      this.storageKey = 'weekly_contract_v1';
       this.init();
     }
 
     init() {
-      this.loadOrCreateContract();
       if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => this.setup());
       } else {
@@ -26,7 +26,7 @@
     setup() {
       this.injectUI();
       this.bindEvents();
-      this.refreshUI();
+      this.loadFromServer();
     }
 
     bindEvents() {
@@ -38,116 +38,58 @@
         }
       };
 
-      safeAdd(document, 'zombie_killed', () => this.updateProgress('kills', 1));
-      safeAdd(document, 'wave_changed', () => this.updateProgress('waves', 1));
-      safeAdd(document, 'boss_defeated', () => this.updateProgress('boss', 1));
-      safeAdd(document, 'gold_collected', e => this.updateProgress('gold', e.detail?.amount || 0));
-      safeAdd(document, 'game_over', () => this.updateProgress('runs', 1));
+      // The server advances the contract when it records a run
+      safeAdd(document, 'run_recorded', () => this.loadFromServer());
+      safeAdd(window, 'auth:login', () => this.loadFromServer());
     }
 
-    loadOrCreateContract() {
-      const saved = this.safeLoad();
-      if (saved && this.isSameWeek(new Date(saved.weekStart), new Date())) {
-        this.contract = saved.contract;
-        return;
+    // Requete vers /api/v1/contracts/:playerId (null hors session)
+    api(path = '', options) {
+      const auth = window.authManager;
+      const playerId = auth?.getPlayer?.()?.id;
+      if (!playerId || !auth.apiRequest) {
+        return Promise.resolve(null);
       }
-
-      const newContract = this.generateContract();
-      this.contract = newContract;
-      this.safeSave();
+      return auth.apiRequest(`/api/v1/contracts/${playerId}${path}`, options);
     }
 
-    generateContract() {
-      const templates = [
-        {
-          id: 'elite_hunt',
-          name: "Contrat: Escouade d'elite",
-          description: "Prouvez que vous etes l'arme absolue.",
-          stages: [
-            { type: 'kills', target: 200, reward: { gems: 10, gold: 150 } },
-            { type: 'waves', target: 20, reward: { gems: 14, gold: 200 } },
-            { type: 'boss', target: 3, reward: { gems: 20, title: "Chasseur d'elite" } }
-          ]
-        },
-        {
-          id: 'gold_route',
-          name: "Contrat: Route de l'or",
-          description: "Accumulez de l'or sur toute la semaine.",
-          stages: [
-            { type: 'gold', target: 3000, reward: { gems: 8, gold: 200 } },
-            { type: 'gold', target: 7000, reward: { gems: 12, gold: 300 } },
-            { type: 'gold', target: 12000, reward: { gems: 20, title: "Baron de l'or" } }
-          ]
-        },
-        {
-          id: 'endurance',
-          name: 'Contrat: Endurance',
-          description: 'Tenez la distance avec regularite.',
-          stages: [
-            { type: 'runs', target: 3, reward: { gems: 10, gold: 150 } },
-            { type: 'runs', target: 6, reward: { gems: 14, gold: 200 } },
-            { type: 'runs', target: 10, reward: { gems: 22, skin: 'endurance_badge' } }
-          ]
-        }
-      ];
-
-      const template = templates[Math.floor(Math.random() * templates.length)];
-      return {
-        ...template,
-        stages: template.stages.map((stage, index) => ({
-          ...stage,
-          id: `${template.id}_stage_${index + 1}`,
-          progress: 0,
-          completed: false,
-          claimed: false
-        })),
-        currentStage: 0
-      };
-    }
-
-    updateProgress(type, amount) {
-      if (!this.contract) {
+    async loadFromServer() {
+      const res = await this.api();
+      if (!res?.success) {
         return;
       }
-
+      const previous = this.contract ? this.contract.stages[this.contract.currentStage] : null;
+      this.contract = res.data;
       const stage = this.contract.stages[this.contract.currentStage];
-      if (!stage || stage.completed || stage.type !== type) {
-        return;
-      }
-
-      stage.progress += amount;
-      if (stage.progress >= stage.target) {
-        stage.progress = stage.target;
-        stage.completed = true;
+      if (previous && stage && stage.id === previous.id && stage.completed && !previous.completed) {
         if (window.toastManager) {
           window.toastManager.show({ message: `🎯 Contrat termine: Etape ${this.contract.currentStage + 1}`, type: 'success', duration: 3000 });
         }
         this.playSound('reward');
       }
-
-      this.safeSave();
       this.refreshUI();
     }
 
-    claimStage() {
+    async claimStage() {
       if (!this.contract) {
         return;
       }
 
-      const stage = this.contract.stages[this.contract.currentStage];
-      if (!stage || !stage.completed || stage.claimed) {
+      const stageNumber = this.contract.currentStage + 1;
+      const res = await this.api('/claim', { method: 'POST' });
+      if (!res?.success) {
+        if (window.toastManager && res?.message) {
+          window.toastManager.show({ message: `❌ ${res.message}`, type: 'error', duration: 3000 });
+        }
         return;
       }
 
-      stage.claimed = true;
-      this.applyReward(
-        stage.reward,
-        `${this.contract.name} - Etape ${this.contract.currentStage + 1}`
-      );
+      this.contract = res.data.contract;
+      // Gems are already credited server-side; gold/title rewards stay client-side
+      this.applyReward(res.data.reward, `${this.contract.name} - Etape ${stageNumber}`);
       this.playSound('reward');
 
-      if (this.contract.currentStage < this.contract.stages.length - 1) {
-        this.contract.currentStage += 1;
+      if (!this.contract.finished) {
         if (window.toastManager) {
           window.toastManager.show({ message: '📜 Nouvelle etape debloquee!', type: 'info', duration: 2500 });
         }
@@ -155,7 +97,6 @@
         window.toastManager.show({ message: '🏁 Contrat complete!', type: 'success', duration: 3500 });
       }
 
-      this.safeSave();
       this.refreshUI();
     }
 
@@ -257,29 +198,6 @@
       };
       return labels[stage.type] || stage.type;
     }
-
-    safeLoad() {
-      const raw = storageManager.get(this.storageKey);
-      return raw || null;
-    }
-
-    safeSave() {
-      storageManager.set(this.storageKey, {
-        weekStart: this.getWeekStart(new Date()).toISOString(),
-        contract: this.contract
-      });
-    }
-
-    isSameWeek(date1, date2) {
-      return this.getWeekStart(date1).toDateString() === this.getWeekStart(date2).toDateString();
-    }
-
-    getWeekStart(date) {
-      const d = new Date(date);
-      const day = d.getDay();
-      const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-      return new Date(d.setDate(diff));
-    }
   }
 
   window.contractsSystem = new ContractsSystem();
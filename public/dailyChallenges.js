@@ -19,6 +19,7 @@ class DailyChallengeSystem {
     this.updateLoginStreak();
     // Sync daily challenges from server (seed-based, consistent across players)
     this.fetchDailyChallengesFromServer();
+    document.addEventListener('daily_challenge_completed', e => this.handleServerCompletion(e.detail || {}));
   }
 
   // Définir tous les types de défis possibles
@@ -188,19 +189,17 @@ return;
     } catch (_) { /* réseau indisponible — fallback localStorage */ }
   }
 
-  /** Envoie un event delta au serveur (non-bloquant) */
-  async pushEventToServer(eventType, delta = 1, meta = {}) {
-    const playerId = window.gameState?.playerId;
-    if (!playerId) {
+  /** Défi quotidien complété côté serveur (événement socket 'dailyChallengeCompleted') */
+  handleServerCompletion({ challengeId, progress }) {
+    const challenge = this.dailyChallenges.find(c => c.id === challengeId);
+    if (!challenge || challenge.completed) {
 return;
 }
-    try {
-      await fetch(`/api/v1/daily-challenges/${playerId}/event`, {
-        method: 'POST', credentials: 'include',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ eventType, delta, meta })
-      });
-    } catch (_) { /* fire-and-forget */ }
+    challenge.progress = progress ?? challenge.target;
+    challenge.completed = true;
+    this.saveChallenges();
+    this.showChallengeComplete(challenge, 'daily');
+    this.fetchDailyChallengesFromServer();
   }
 
   /** Claim récompense via serveur (atomic) */
@@ -347,30 +346,11 @@ return null;
   }
 
   // Mettre à jour la progression d'un défi
-  updateProgress(type, value, metadata = {}) {
+  // Les défis quotidiens sont suivis par le serveur (handleServerCompletion) :
+  // seuls les défis hebdomadaires progressent ici
+  updateProgress(type, value, _metadata = {}) {
     let updated = false;
 
-    // Mettre à jour défis quotidiens (local + push serveur)
-    this.dailyChallenges.forEach(challenge => {
-      if (challenge.completed) {
-return;
-}
-      if (challenge.type !== type) {
-return;
-}
-      if (type === 'zombies_killed_type' && metadata.zombieType !== challenge.zombieType) {
-return;
-}
-      challenge.progress = Math.min((challenge.progress || 0) + value, challenge.target);
-      if (challenge.progress >= challenge.target) {
- challenge.completed = true; this.showChallengeComplete(challenge, 'daily');
-}
-      updated = true;
-    });
-    if (updated) {
-this.pushEventToServer(type, value, metadata);
-}
-
     // Mettre à jour défis hebdomadaires (localStorage uniquement)
     this.weeklyChallenges.forEach(challenge => {
       if (challenge.completed) {
@@ -1,6 +1,7 @@
 /**
- * Emote Wheel — local visual only
+ * Emote Wheel
  * Keys B/N/M/, open the wheel; select an emote to display it above the local player.
+ * The server relays it (`playerEmote`) so the other players of the instance see it too.
  */
 
 class EmoteWheel {
@@ -30,6 +31,19 @@ class EmoteWheel {
   _setup() {
     this._buildDOM();
     document.addEventListener('keydown', this._onKeydown);
+    document.addEventListener('player_emote', (e) => this._onRemoteEmote(e.detail));
+  }
+
+  _onRemoteEmote(data) {
+    const gameState = window.gameState;
+    if (!data || !gameState || !gameState.state || data.playerId === gameState.playerId) {
+      return; // own emotes are already shown on selection
+    }
+    const emote = this.emotes.find(em => em.id === data.emoteId);
+    const player = gameState.state.players && gameState.state.players[data.playerId];
+    if (emote && player) {
+      this._showEmoteAbove(emote, player);
+    }
   }
 
   _buildDOM() {
@@ -124,24 +138,22 @@ return;
     this.close();
     this._showEmoteOnPlayer(emote);
 
-    // Optional server broadcast (no-op if socket not available)
-    try {
-      const socket = window.networkManager && window.networkManager.socket;
-      if (socket) {
-socket.emit('emote', { id: emote.id });
-}
-    } catch (_) { /* silent */ }
+    if (window.networkManager && window.networkManager.sendEmote) {
+      window.networkManager.sendEmote(emote.id);
+    }
   }
 
   _showEmoteOnPlayer(emote) {
+    const player = window.gameState && window.gameState.getPlayer && window.gameState.getPlayer();
+    if (player) {
+      this._showEmoteAbove(emote, player);
+    }
+  }
+
+  _showEmoteAbove(emote, player) {
     const canvas = document.getElementById('gameCanvas');
     if (!canvas) {
 return;
-}
-
-    const player = window.gameState && window.gameState.getPlayer && window.gameState.getPlayer();
-    if (!player) {
-return;
 }
 
     const camera = window.gameEngine && window.gameEngine.camera;
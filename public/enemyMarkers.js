@@ -1,8 +1,25 @@
 /**
  * Enemy Markers System
- * Visual markers for elite zombies and bosses (on-screen and off-screen indicators)
+ * Visual markers for elite zombies, bosses and party mates (on-screen and
+ * off-screen indicators)
  */
 
+const MARKER_ICONS = { boss: '👑', elite: '⭐', party: '👥' };
+
+/**
+ * @param {Object} entity
+ * @returns {'boss'|'elite'|'party'|null}
+ */
+function markerKind(entity) {
+  if (entity.isBoss) {
+    return 'boss';
+  }
+  if (entity.isElite) {
+    return 'elite';
+  }
+  return entity.isPartyMate ? 'party' : null;
+}
+
 class EnemyMarkers {
   constructor() {
     this.markers = new Map(); // Map of entity ID to marker element
@@ -25,8 +42,9 @@ class EnemyMarkers {
   }
 
   /**
-   * Update markers for all elite/boss entities
+   * Update markers for all elite/boss entities and party mates
    * @param {Array} entities - Array of entity objects with {id, type, x, y, health, maxHealth, screenX, screenY, isVisible}
+   *   (party mates: isPartyMate and nickname)
    * @param {Object} camera - Camera object with {x, y}
    * @param {Object} viewport - Viewport size {width, height}
    */
@@ -39,7 +57,7 @@ class EnemyMarkers {
     const activeIds = new Set();
 
     entities.forEach(entity => {
-      if (!entity || (!entity.isElite && !entity.isBoss)) {
+      if (!entity || !markerKind(entity)) {
         return;
       }
 
@@ -102,19 +120,27 @@ class EnemyMarkers {
   }
 
   createOnScreenMarker(entity) {
+    const kind = markerKind(entity);
     const marker = document.createElement('div');
-    marker.className = entity.isBoss ? 'boss-marker' : 'elite-marker';
+    marker.className = `${kind}-marker`;
 
     const ring = document.createElement('div');
-    ring.className = entity.isBoss ? 'boss-marker-ring' : 'elite-marker-ring';
+    ring.className = `${kind}-marker-ring`;
 
     const icon = document.createElement('div');
-    icon.className = entity.isBoss ? 'boss-marker-icon' : 'elite-marker-icon';
-    icon.textContent = entity.isBoss ? '👑' : '⭐';
+    icon.className = `${kind}-marker-icon`;
+    icon.textContent = MARKER_ICONS[kind];
 
     marker.appendChild(ring);
     marker.appendChild(icon);
 
+    if (kind === 'party' && entity.nickname) {
+      const name = document.createElement('div');
+      name.className = 'party-marker-name';
+      name.textContent = entity.nickname;
+      marker.appendChild(name);
+    }
+
     // Add health bar for elites
     if (entity.isElite) {
       const healthBar = document.createElement('div');
@@ -159,7 +185,7 @@ class EnemyMarkers {
     indicator.style.top = `${y}px`;
 
     // Update direction class
-    indicator.className = entity.isBoss ? 'boss-indicator' : 'elite-indicator';
+    indicator.className = `${markerKind(entity)}-indicator`;
     indicator.classList.add(direction);
 
     // Update distance
@@ -173,11 +199,12 @@ class EnemyMarkers {
   }
 
   createOffScreenIndicator(entity) {
+    const kind = markerKind(entity);
     const indicator = document.createElement('div');
-    indicator.className = entity.isBoss ? 'boss-indicator' : 'elite-indicator';
+    indicator.className = `${kind}-indicator`;
 
     const icon = document.createElement('div');
-    icon.textContent = entity.isBoss ? '👑' : '⭐';
+    icon.textContent = MARKER_ICONS[kind];
 
     const distance = document.createElement('div');
     distance.className = 'indicator-distance';
@@ -428,6 +428,21 @@ function createSkinsMenu() {
   }
 }
 
+/**
+ * Achete un skin verrouille avec des gems puis rafraichit la grille
+ */
+async function purchaseSkin(type, skin, refresh) {
+  const result = await window.skinManager.purchaseSkin(type, skin.id);
+  if (result.success) {
+    refresh();
+    if (window.advancedAudio) {
+      window.advancedAudio.playSound('ui', 'click');
+    }
+  } else if (window.toastManager) {
+    window.toastManager.show({ message: `❌ ${result.error}`, type: 'error', duration: 3000 });
+  }
+}
+
 /**
  * Remplit la grille de skins de joueur
  */
@@ -447,7 +462,7 @@ function populatePlayerSkins() {
       border-radius: 10px;
       padding: 15px;
       text-align: center;
-      cursor: ${skin.unlocked ? 'pointer' : 'not-allowed'};
+      cursor: pointer;
       transition: all 0.3s ease;
     `;
 
@@ -457,7 +472,7 @@ function populatePlayerSkins() {
       <div style="width: 50px; height: 50px; margin: 0 auto 10px; background: ${skin.color || '#00ff00'}; border-radius: 50%; border: 3px solid ${skin.strokeColor || '#00aa00'};"></div>
       <div style="color: #fff; font-weight: bold; margin-bottom: 5px;">${skin.name}</div>
       <div style="color: ${skin.unlocked ? '#00ff00' : '#ff0000'}; font-size: 12px;">
-        ${isEquipped ? '✓ ÉQUIPÉ' : skin.unlocked ? 'Débloqué' : `${skin.cost} 💰`}
+        ${isEquipped ? '✓ ÉQUIPÉ' : skin.unlocked ? 'Débloqué' : `${skin.cost} 💎`}
       </div>
     `;
 
@@ -479,6 +494,8 @@ function populatePlayerSkins() {
         card.style.transform = 'scale(1)';
         card.style.borderColor = '#00ff00';
       });
+    } else if (!skin.unlocked) {
+      card.addEventListener('click', () => purchaseSkin('player', skin, populatePlayerSkins));
     }
 
     grid.appendChild(card);
@@ -504,7 +521,7 @@ function populateWeaponSkins() {
       border-radius: 10px;
       padding: 15px;
       text-align: center;
-      cursor: ${skin.unlocked ? 'pointer' : 'not-allowed'};
+      cursor: pointer;
       transition: all 0.3s ease;
     `;
 
@@ -514,7 +531,7 @@ function populateWeaponSkins() {
       <div style="width: 50px; height: 50px; margin: 0 auto 10px; background: ${skin.bulletColor || '#fff'}; border-radius: 50%;"></div>
       <div style="color: #fff; font-weight: bold; margin-bottom: 5px;">${skin.name}</div>
       <div style="color: ${skin.unlocked ? '#ffaa00' : '#ff0000'}; font-size: 12px;">
-        ${isEquipped ? '✓ ÉQUIPÉ' : skin.unlocked ? 'Débloqué' : `${skin.cost} 💰`}
+        ${isEquipped ? '✓ ÉQUIPÉ' : skin.unlocked ? 'Débloqué' : `${skin.cost} 💎`}
       </div>
     `;
 
@@ -536,6 +553,8 @@ function populateWeaponSkins() {
         card.style.transform = 'scale(1)';
         card.style.borderColor = '#ffaa00';
       });
+    } else if (!skin.unlocked) {
+      card.addEventListener('click', () => purchaseSkin('weapon', skin, populateWeaponSkins));
     }
 
     grid.appendChild(card);
@@ -1,47 +1,69 @@
 /**
  * GEM SYSTEM - Systeme de metamonnaie premium
- * @version 1.1.0
+ * Le portefeuille vit cote serveur (/api/v1/gems) : ce module l'affiche,
+ * envoie les achats et applique leurs effets.
+ * @version 2.0.0
  */
 
 class GemSystem {
   constructor() {
-    this.gems = this.loadGems();
+    this.gems = 0;
+    this.ownedPermanents = new Set();
     this.gemShop = this.initializeGemShop();
-  }
 
-  // Charger les gems
-  loadGems() {
-    const saved = storageManager.get('player_gems');
-    return saved !== null ? parseInt(saved) : 0;
+    // auth.js est charge apres ce script : synchro une fois le DOM pret, puis a chaque login
+    document.addEventListener('DOMContentLoaded', () => this.refreshFromServer());
+    window.addEventListener('auth:login', () => this.refreshFromServer());
+    document.addEventListener('gems_earned', e => this.handleServerCredit(e.detail || {}));
   }
 
-  // Sauvegarder les gems
-  saveGems() {
-    storageManager.set('player_gems', this.gems.toString());
+  // Requete vers /api/v1/gems/:playerId (null hors session)
+  _api(path = '', options) {
+    const auth = window.authManager;
+    const playerId = auth?.getPlayer?.()?.id;
+    if (!playerId || !auth.apiRequest) {
+      return Promise.resolve(null);
+    }
+    return auth.apiRequest(`/api/v1/gems/${playerId}${path}`, options);
   }
 
-  // Ajouter des gems
-  addGems(amount, source = 'unknown') {
-    this.gems += amount;
-    this.saveGems();
-
-    // Notifier le joueur
-    if (window.toastManager && amount > 0) {
-      window.toastManager.show({ message: `💎 +${amount} Gems!\n${source}`, type: 'gems', duration: 3000 });
+  // Recharger solde et achats permanents depuis le serveur
+  async refreshFromServer() {
+    const res = await this._api();
+    if (!res?.success) {
+      return false;
     }
-
+    this.gems = res.data.balance;
+    this.ownedPermanents = new Set(res.data.ownedPermanents || []);
     this.updateGemDisplay();
+    this.refreshShopUI();
+    return true;
   }
 
-  // Retirer des gems
-  spendGems(amount) {
-    if (this.gems >= amount) {
-      this.gems -= amount;
-      this.saveGems();
+  // Les gems sont creditees par le serveur (fin de run, defis, contrats) :
+  // on resynchronise et on annonce le gain reellement credite
+  async addGems(_amount, source = 'unknown') {
+    const before = this.gems;
+    if (await this.refreshFromServer()) {
+      this.notifyGain(this.gems - before, source);
+    }
+  }
+
+  // Credit pousse par le serveur (evenement socket 'gemsEarned')
+  handleServerCredit({ amount, balance }) {
+    if (typeof balance === 'number') {
+      this.gems = balance;
       this.updateGemDisplay();
-      return true;
+    } else {
+      this.refreshFromServer();
+    }
+    this.notifyGain(amount, 'Fin de run');
+  }
+
+  notifyGain(amount, source) {
+    if (window.toastManager && amount > 0) {
+      window.toastManager.show({ message: `💎 +${amount} Gems!\n${source}`, type: 'gems', duration: 3000 });
     }
-    return false;
   }
 
   // Obtenir le solde
@@ -157,9 +179,9 @@ class GemSystem {
     };
   }
 
-  // Acheter un item
-  purchaseItem(itemId) {
-    const item = this.gemShop[itemId];
+  // Acheter un item (debit cote serveur, effet applique localement)
+  async purchaseItem(itemId) {
+    const item = Object.values(this.gemShop).find(i => i.id === itemId);
 
     if (!item) {
       return { success: false, error: 'Item introuvable' };
@@ -177,10 +199,15 @@ class GemSystem {
       }
     }
 
-    // Depenser les gems
-    if (!this.spendGems(item.cost)) {
-      return { success: false, error: 'Erreur lors du paiement' };
+    const res = await this._api('/purchase', { method: 'POST', body: { itemId } });
+    if (!res?.success) {
+      return { success: false, error: res?.message || 'Serveur indisponible' };
     }
+    this.gems = res.data.balance;
+    if (item.permanent) {
+      this.ownedPermanents.add(itemId);
+    }
+    this.updateGemDisplay();
 
     // Appliquer l'effet
     this.applyItemEffect(item);
@@ -218,18 +245,7 @@ class GemSystem {
         this.openInstantShop();
         break;
 
-      case 'permanent_gold_boost':
-        this.applyPermanentBoost('gold', 0.1);
-        break;
-
-      case 'permanent_xp_boost':
-        this.applyPermanentBoost('xp', 0.1);
-        break;
-
-      case 'starter_boost':
-        this.applyStarterBoost();
-        break;
-
+      // Permanents : derives de ownedPermanents (getPermanentBoosts / hasStarterBoost)
       // Les autres items seront geres par le jeu principal
     }
   }
@@ -293,26 +309,21 @@ class GemSystem {
     return validBoosts;
   }
 
-  // Appliquer un boost permanent
-  applyPermanentBoost(type, amount) {
-    const boosts = storageManager.get('permanent_boosts', {});
-    boosts[type] = (boosts[type] || 0) + amount;
-    storageManager.set('permanent_boosts', boosts);
-  }
-
-  // Obtenir les boosts permanents
+  // Obtenir les boosts permanents (achats enregistres cote serveur)
   getPermanentBoosts() {
-    return storageManager.get('permanent_boosts', {});
-  }
-
-  // Appliquer le starter boost
-  applyStarterBoost() {
-    storageManager.set('starter_boost', 'true');
+    const boosts = {};
+    if (this.ownedPermanents.has('permanent_gold_boost')) {
+      boosts.gold = 0.1;
+    }
+    if (this.ownedPermanents.has('permanent_xp_boost')) {
+      boosts.xp = 0.1;
+    }
+    return boosts;
   }
 
   // Verifier si starter boost actif
   hasStarterBoost() {
-    return storageManager.get('starter_boost') === 'true';
+    return this.ownedPermanents.has('starter_boost');
   }
 
   // Accorder vie supplementaire
@@ -472,67 +483,52 @@ class GemSystem {
 
   // Verifier si un permanent est possede
   isPermanentOwned(itemId) {
-    const owned = storageManager.get('permanent_items_owned', []);
-    return owned.includes(itemId);
+    return this.ownedPermanents.has(itemId);
   }
 
-  // Marquer un permanent comme possede
-  markPermanentOwned(itemId) {
-    const owned = storageManager.get('permanent_items_owned', []);
-    if (!owned.includes(itemId)) {
-      owned.push(itemId);
-      storageManager.set('permanent_items_owned', owned);
+  // Re-rendre le contenu du shop s'il est ouvert
+  refreshShopUI() {
+    const content = document.querySelector('#gem-shop-panel .gem-shop-content');
+    if (!content) {
+      return;
     }
+    const categories = {
+      run: 'Items de Run',
+      boost: 'Boosts Temporaires',
+      permanent: 'Ameliorations Permanentes',
+      cosmetic: 'Cosmetiques'
+    };
+
+    content.innerHTML = Object.entries(categories)
+      .map(
+        ([cat, name]) => `
+      <div class="gem-shop-section">
+        <h3>${name}</h3>
+        <div class="gem-shop-items">
+          ${this.renderGemShopItems(cat)}
+        </div>
+      </div>
+    `
+      )
+      .join('');
+
+    // Re-attacher les event listeners
+    content.querySelectorAll('.gem-shop-buy-btn').forEach(btn => {
+      btn.addEventListener('click', e => {
+        const itemId = e.target.dataset.itemId;
+        this.handlePurchase(itemId);
+      });
+    });
   }
 
   // Gerer un achat
-  handlePurchase(itemId) {
-    const result = this.purchaseItem(itemId);
+  async handlePurchase(itemId) {
+    const result = await this.purchaseItem(itemId);
 
     if (result.success) {
-      // Rafraichir l'UI
-      const panel = document.getElementById('gem-shop-panel');
-      if (panel) {
-        const content = panel.querySelector('.gem-shop-content');
-        if (content) {
-          const categories = {
-            run: 'Items de Run',
-            boost: 'Boosts Temporaires',
-            permanent: 'Ameliorations Permanentes',
-            cosmetic: 'Cosmetiques'
-          };
-
-          content.innerHTML = Object.entries(categories)
-            .map(
-              ([cat, name]) => `
-            <div class="gem-shop-section">
-              <h3>${name}</h3>
-              <div class="gem-shop-items">
-                ${this.renderGemShopItems(cat)}
-              </div>
-            </div>
-          `
-            )
-            .join('');
-
-          // Re-attacher les event listeners
-          content.querySelectorAll('.gem-shop-buy-btn').forEach(btn => {
-            btn.addEventListener('click', e => {
-              const itemId = e.target.dataset.itemId;
-              this.handlePurchase(itemId);
-            });
-          });
-        }
-      }
-
-      // Marquer comme possede si permanent
-      if (result.item.permanent) {
-        this.markPermanentOwned(itemId);
-      }
-    } else {
-      if (window.toastManager) {
-        window.toastManager.show({ message: `❌ ${result.error}`, type: 'error', duration: 3000 });
-      }
+      this.refreshShopUI();
+    } else if (window.toastManager) {
+      window.toastManager.show({ message: `❌ ${result.error}`, type: 'error', duration: 3000 });
     }
   }
 
@@ -543,6 +539,7 @@ class GemSystem {
       panel = this.createGemShopUI();
     }
     panel.style.display = 'block';
+    this.refreshFromServer();
   }
 }
 
@@ -1,13 +1,59 @@
 /**
  * LIFETIME STATS SYSTEM - Statistiques detaillees permanentes
- * @version 1.1.0
+ * Les totaux de compte viennent du serveur (/api/v1/lifetime-stats) ; le
+ * detail cosmetique (degats, armes, types de zombies) reste en cache local.
+ * @version 2.0.0
  */
 
+// Champ serveur -> champ local (le serveur fait foi pour ces totaux)
+const SERVER_LIFETIME_FIELDS = {
+  totalRuns: 'totalRuns',
+  totalDeaths: 'totalDeaths',
+  totalKills: 'totalZombiesKilled',
+  totalBossKills: 'totalBossesDefeated',
+  totalWaves: 'totalWavesSurvived',
+  highestWave: 'highestWave',
+  highestLevel: 'highestLevel',
+  bestScore: 'bestScore',
+  totalScore: 'totalScore',
+  totalPlayTime: 'totalPlayTime',
+  longestRun: 'longestRun',
+  mostKillsInRun: 'mostZombiesKilledInRun',
+  totalGoldEarned: 'totalGoldEarned',
+  firstPlayedAt: 'firstPlayDate',
+  lastPlayedAt: 'lastPlayDate'
+};
+
 class LifetimeStatsSystem {
   constructor() {
     this.stats = this.loadStats();
     this.sessionStats = this.initializeSessionStats();
     this.sessionStartTime = Date.now();
+
+    // auth.js est charge apres ce script : synchro une fois le DOM pret, a chaque login et apres chaque run
+    document.addEventListener('DOMContentLoaded', () => this.syncFromServer());
+    window.addEventListener('auth:login', () => this.syncFromServer());
+    document.addEventListener('run_recorded', () => this.syncFromServer());
+  }
+
+  // Recuperer les totaux du compte depuis le serveur
+  async syncFromServer() {
+    const auth = window.authManager;
+    const playerId = auth?.getPlayer?.()?.id;
+    if (!playerId || !auth.apiRequest) {
+      return false;
+    }
+    const res = await auth.apiRequest(`/api/v1/lifetime-stats/${playerId}`);
+    if (!res?.success) {
+      return false;
+    }
+    for (const [serverField, localField] of Object.entries(SERVER_LIFETIME_FIELDS)) {
+      if (res.data[serverField] !== null && res.data[serverField] !== undefined) {
+        this.stats[localField] = res.data[serverField];
+      }
+    }
+    this.saveStats();
+    return true;
   }
 
   // Initialiser les statistiques
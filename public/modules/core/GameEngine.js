@@ -184,7 +184,9 @@ class GameEngine {
           timeout: 30000, // 30s timeout (balance between speed and stability)
           auth: {
             sessionId: window.sessionManager.getSessionId(),
-            token: window.authManager ? window.authManager.getToken() : null
+            token: window.authManager ? window.authManager.getToken() : null,
+            // Lobby to join (?instance=<id> invite link); omitted = public world
+            instanceId: new window.URLSearchParams(window.location.search).get('instance')
           },
           // Enable ping/pong for latency monitoring
           pingInterval: 10000, // Check connection every 10s
@@ -237,6 +237,13 @@ class Renderer {
       gameState.state.toxicPools,
       dateNow
     );
+    this.effectsRenderer.renderAltars(this.ctx, this.camera, gameState.state.altars, dateNow);
+    this.effectsRenderer.renderBossTelegraphs(
+      this.ctx,
+      this.camera,
+      gameState.bossTelegraphs,
+      gameState.getServerNow()
+    );
     this.effectsRenderer.renderScorchDecals(this.ctx, this.camera, dateNow);
     this.effectsRenderer.renderExplosions(
       this.ctx,
@@ -352,6 +359,11 @@ prevBullets.set(id, { x: b.x, y: b.y, color: b.color || '#ffff00', size: b.size
     // Day/night cycle overlay (wave-based, above game world, below HUD)
     this._renderWaveDayNight(gameState.state.wave || 1);
 
+    // Darkness run mutator: black out everything beyond the server vision radius
+    if (gameState.state.visionRadius) {
+      this._renderDarkness(player, cameraPos, gameState.state.visionRadius, pixelRatio);
+    }
+
     // POST-PROCESS: vignette + blood overlay (CSS-pixel space, no scaling needed)
     this._renderPostProcess(player);
 
@@ -399,10 +411,54 @@ prevBullets.set(id, { x: b.x, y: b.y, color: b.color || '#ffff00', size: b.size
       this.ctx.restore();
     }
 
+    // Party mates: DOM ring on screen, edge arrow off screen
+    this._updatePartyMarkers(gameState, playerId);
+
     // Expose culling stats for DebugOverlay
     window._cullingStats = this.entityRenderer.getCullingStats();
   }
 
+  /**
+   * Feed the party mates of the local player to window.enemyMarkers.
+   * @param {Object} gameState
+   * @param {string} playerId
+   */
+  _updatePartyMarkers(gameState, playerId) {
+    const markers = window.enemyMarkers;
+    if (!markers || !this.camera) {
+      return;
+    }
+    const party = gameState.party;
+    if (!party) {
+      markers.update([], null, null);
+      return;
+    }
+    const cam = this.camera.getPosition();
+    const zoom = this.camera.zoom || 1;
+    const mates = [];
+    for (const member of party.members) {
+      const mate = member.id && member.id !== playerId ? gameState.state.players[member.id] : null;
+      if (!mate || !mate.alive) {
+        continue;
+      }
+      mates.push({
+        id: member.id,
+        isPartyMate: true,
+        nickname: mate.nickname,
+        x: mate.x,
+        y: mate.y,
+        screenX: (mate.x - cam.x) * zoom,
+        screenY: (mate.y - cam.y) * zoom,
+        isVisible: this.camera.isInViewport(mate.x, mate.y, 0)
+      });
+    }
+    markers.update(
+      mates,
+      { x: cam.x + this.camera.width / 2, y: cam.y + this.camera.height / 2 },
+      { width: this.canvas.clientWidth, height: this.canvas.clientHeight }
+    );
+  }
+
   /**
    * Returns the target overlay color for a given wave number.
    * @param {number} wave
@@ -465,6 +521,29 @@ return;
     ctx.restore();
   }
 
+  /**
+   * Darkness overlay centred on the player, opaque past `visionRadius` world px.
+   * Drawn in canvas buffer space, like the day/night overlay.
+   * @param {Object} player - Local (or spectated) player state
+   * @param {{x: number, y: number}} cameraPos
+   * @param {number} visionRadius - world px, from the server (mutatorsUpdated / init)
+   * @param {number} pixelRatio
+   */
+  _renderDarkness(player, cameraPos, visionRadius, pixelRatio) {
+    const ctx = this.ctx;
+    const x = (player.x - cameraPos.x) * pixelRatio;
+    const y = (player.y - cameraPos.y) * pixelRatio;
+    const radius = visionRadius * pixelRatio;
+
+    const grad = ctx.createRadialGradient(x, y, radius * 0.55, x, y, radius);
+    grad.addColorStop(0, 'rgba(0,0,0,0)');
+    grad.addColorStop(1, 'rgba(0,0,0,0.96)');
+    ctx.save();
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.restore();
+  }
+
   /**
    * Post-process compositing: dynamic vignette + blood overlay based on player HP.
    * Drawn in canvas buffer space (no pixelRatio scale applied here).
@@ -38,14 +38,55 @@ class PlayerController {
     // 1.0 = no smoothing (instant response), lower = smoother but more lag.
     this.velocity = { x: 0, y: 0 };
     this.velocitySmoothing = 1.0;
+
+    // Input mode (server movementMode === 'input'): frames {seq, mx, my, dt, angle}
+    // are predicted locally, kept until acked and sent in ~30Hz packets.
+    this.NET_INTERVAL_INPUT = 1000 / 30;
+    this.MAX_PENDING_INPUTS = 120;
+    this.MAX_FRAMES_PER_PACKET = 16;
+    this._pendingInputs = [];
+    this._inputOutbox = [];
+    this._lastInputFlush = 0;
+  }
+
+  isInputMode() {
+    return this.gameState.movementMode === 'input';
   }
 
-  // Reconciliation removed: the server's broadcast stream is authoritative and
-  // provides position updates every tick. The old active re-snap on moveAck
-  // produced mid-frame teleports into zombies (instant death), and batching
-  // added unnecessary complexity for a web game with sub-100ms RTT.
-  reconcileWithServer(_ack) {
-    /* no-op, kept for API compatibility with NetworkManager.handleMoveAck */
+  /**
+   * Position mode: no-op. The broadcast stream is authoritative and the old
+   * re-snap on moveAck produced mid-frame teleports into zombies.
+   * Input mode: restart from the acked server position and replay the inputs
+   * the server has not processed yet, so the correction is invisible unless
+   * the server actually disagreed (wall, stun, speed clamp).
+   * @param {{seq: number, x: number, y: number}} ack
+   */
+  reconcileWithServer(ack) {
+    if (!this.isInputMode() || !ack || typeof ack.seq !== 'number') {
+      return;
+    }
+    const player = this.gameState.getPlayer();
+    if (!player || !player.alive) {
+      return;
+    }
+
+    this._pendingInputs = this._pendingInputs.filter(input => input.seq > ack.seq);
+    player.x = ack.x;
+    player.y = ack.y;
+
+    const savedVelocity = { x: this.velocity.x, y: this.velocity.y };
+    const now = Date.now();
+    for (const input of this._pendingInputs) {
+      if (input.mx === 0 && input.my === 0) {
+        continue;
+      }
+      const deltaFactor = input.dt / this.targetFrameTime;
+      const { newX, newY } = this._computeMovementVector(player, input.mx, input.my, deltaFactor, now);
+      const { finalX, finalY } = this._resolveCollision(player, newX, newY);
+      player.x = finalX;
+      player.y = finalY;
+    }
+    this.velocity = savedVelocity;
   }
 
   setNickname(nickname) {
@@ -102,6 +143,9 @@ class PlayerController {
     if (player.slowedUntil && now < player.slowedUntil) {
       speed *= player.slowAmount || 1;
     }
+    if (player.downed) {
+      speed *= this.gameState.config.DOWNED_CRAWL_SPEED || 1;
+    }
 
     const frameSpeed = speed * deltaFactor;
     this.velocity.x =
@@ -204,6 +248,36 @@ class PlayerController {
     this.lastSentPosition = { x: finalX, y: finalY, angle };
   }
 
+  /**
+   * Input mode: record one predicted frame and flush the outbox at ~30Hz.
+   * Idle frames (no movement, same aim) are not recorded.
+   * @param {number} dx
+   * @param {number} dy
+   * @param {number} deltaTime - ms
+   * @param {number} angle
+   * @param {number} now - performance.now() timestamp
+   */
+  _recordInputFrame(dx, dy, deltaTime, angle, now) {
+    const moving = dx !== 0 || dy !== 0;
+    if (moving || Math.abs(angle - this.lastSentPosition.angle) > this.angleThreshold) {
+      const frame = { seq: this._nextSeq++, mx: dx, my: dy, dt: deltaTime, angle };
+      this._pendingInputs.push(frame);
+      if (this._pendingInputs.length > this.MAX_PENDING_INPUTS) {
+        this._pendingInputs.shift();
+      }
+      this._inputOutbox.push(frame);
+      this.lastSentPosition.angle = angle;
+    }
+
+    if (this._inputOutbox.length === 0 || now - this._lastInputFlush < this.NET_INTERVAL_INPUT) {
+      return;
+    }
+    while (this._inputOutbox.length > 0) {
+      this.network.playerInput(this._inputOutbox.splice(0, this.MAX_FRAMES_PER_PACKET));
+    }
+    this._lastInputFlush = now;
+  }
+
   /**
    * Main update method with frame-independent movement
    * @param {number} canvasWidth - Canvas width in CSS pixels
@@ -242,7 +316,18 @@ class PlayerController {
 
     const angle = this._computeAimAngle(player, magnitude, dx, dy);
 
-    if (dx !== 0 || dy !== 0) {
+    if (this.isInputMode()) {
+      if (dx !== 0 || dy !== 0) {
+        // Buff timestamps come from the server clock (Date.now)
+        const { newX, newY } = this._computeMovementVector(player, dx, dy, deltaFactor, Date.now());
+        const { finalX, finalY } = this._resolveCollision(player, newX, newY);
+        player.x = finalX;
+        player.y = finalY;
+        this.input.recordInput(finalX, finalY, angle, deltaTime);
+      }
+      player.angle = angle;
+      this._recordInputFrame(dx, dy, deltaTime, angle, now);
+    } else if (dx !== 0 || dy !== 0) {
       const { newX, newY } = this._computeMovementVector(player, dx, dy, deltaFactor, now);
       const { finalX, finalY } = this._resolveCollision(player, newX, newY);
 
@@ -284,7 +369,7 @@ class PlayerController {
 
   shoot(_canvasWidth, _canvasHeight) {
     const player = this.gameState.getPlayer();
-    if (!player || !player.alive || !this.gameStarted) {
+    if (!player || !player.alive || player.downed || !this.gameStarted) {
       return;
     }
 
@@ -312,6 +397,8 @@ class PlayerController {
   respawn() {
     this.gameStarted = false;
     this.nickname = null;
+    this._pendingInputs = [];
+    this._inputOutbox = [];
     this.network.respawn();
   }
 
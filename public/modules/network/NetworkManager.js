@@ -67,6 +67,11 @@ class NetworkManager {
     this._moveBuffer = [];
     this._moveBufferMax = 60;
 
+    // Viewport reports feed the server's per-socket area-of-interest culling
+    this._viewportTimer = null;
+    this._onResize = () => this._scheduleViewportReport();
+    window.addEventListener('resize', this._onResize);
+
     this.setupSocketListeners();
     this.setupLatencyMonitoring();
   }
@@ -326,6 +331,12 @@ class NetworkManager {
 
     // Clear pending reconnect timer
     this._resetReconnectBackoff();
+
+    window.removeEventListener('resize', this._onResize);
+    if (this._viewportTimer) {
+      clearTimeout(this._viewportTimer);
+      this._viewportTimer = null;
+    }
   }
 
   setupLatencyMonitoring() {
@@ -341,9 +352,14 @@ class NetworkManager {
         const start = performance.now();
         // Report last-measured latency alongside the ping so the server can
         // maintain per-socket latency for adaptive broadcast throttling.
-        this.socket.emit('app:ping', start, this.latency || 0, _ack => {
-          const latency = Math.round(performance.now() - start);
-          this.updateLatency(latency);
+        this.socket.emit('app:ping', start, this.latency || 0, serverNow => {
+          const rtt = performance.now() - start;
+          this.updateLatency(Math.round(rtt));
+          // The ack carries the server clock: sync for server-timed events
+          const gameState = this._deps.gameState;
+          if (gameState && typeof gameState.syncServerClock === 'function') {
+            gameState.syncServerClock(serverNow, rtt);
+          }
         });
       }
     };
@@ -458,6 +474,10 @@ class NetworkManager {
 
     this.on('connect_error', error => {
       console.error('[Socket.IO] Connection error:', error);
+      if (error && error.data && error.data.code === 'ACCOUNT_BANNED') {
+        this.handleKicked({ reason: error.data.reason, banned: true, expiresAt: error.data.expiresAt });
+        return;
+      }
       if (this._deps.toastManager) {
         this._deps.toastManager.show({ message: '⚠️ Connection error. Retrying...', type: 'warning' });
       }
@@ -474,6 +494,9 @@ class NetworkManager {
       if (this._deps.gameState && typeof this._deps.gameState === 'object') {
         this._deps.gameState._serverTimeSynced = false;
         this._deps.gameState.serverTimeOffset = 0;
+        if (typeof this._deps.gameState.resetServerClock === 'function') {
+          this._deps.gameState.resetServerClock();
+        }
       }
       // Trigger backoff reconnect when socket won't auto-reconnect
       const noAutoReconnect = ['io server disconnect', 'transport close', 'transport error'];
@@ -512,6 +535,10 @@ class NetworkManager {
     this.on('init', data => this.handleInit(data));
     this.on('gameState', state => this.handleGameState(state));
     this.on('gameStateDelta', delta => this.handleGameStateDelta(delta));
+    this.on('spectatorState', payload => this.handleSpectatorState(payload));
+    this.on('spectatorPlayers', data => document.dispatchEvent(new CustomEvent('spectator_players', { detail: data })));
+    this.on('spectatorCount', data => document.dispatchEvent(new CustomEvent('spectator_count', { detail: data })));
+    this.on('spectatorsFull', data => this.handleSpectatorsFull(data));
     this.on('positionCorrection', data => this.handlePositionCorrection(data));
     this.on('moveAck', data => {
       if (this._deps.playerController && typeof this._deps.playerController.reconcileWithServer === 'function') {
@@ -519,17 +546,37 @@ class NetworkManager {
       }
     });
     this.on('bossSpawned', data => this.handleBossSpawned(data));
+    this.on('bossTelegraph', data => this._deps.gameState.addBossTelegraph(data));
+    this.on('bossTelegraphCancel', data => data && this._deps.gameState.removeBossTelegraph(data.id));
     this.on('newWave', data => this.handleNewWave(data));
     this.on('levelUp', data => this.handleLevelUp(data));
     this.on('roomChanged', data => this.handleRoomChanged(data));
     this.on('runCompleted', data => this.handleRunCompleted(data));
+    this.on('gemsEarned', data => document.dispatchEvent(new CustomEvent('gems_earned', { detail: data })));
+    this.on('dailyChallengeCompleted', data => document.dispatchEvent(new CustomEvent('daily_challenge_completed', { detail: data })));
+    this.on('weaponInventory', data => document.dispatchEvent(new CustomEvent('weapon_inventory', { detail: data })));
+    this.on('playerDowned', data => document.dispatchEvent(new CustomEvent('player_downed', { detail: data })));
+    this.on('reviveProgress', data => document.dispatchEvent(new CustomEvent('revive_progress', { detail: data })));
+    this.on('playerRevived', data => document.dispatchEvent(new CustomEvent('player_revived', { detail: data })));
     this.on('upgradeSelected', data => this.handleUpgradeSelected(data));
+    this.on('synergyUnlocked', data => document.dispatchEvent(new CustomEvent('synergy_unlocked', { detail: data })));
     this.on('shopUpdate', data => this.handleShopUpdate(data));
     this.on('comboUpdate', data => this.handleComboUpdate(data));
     this.on('comboReset', () => this.handleComboReset());
     this.on('sessionTimeout', data => this.handleSessionTimeout(data));
     this.on('sessionReplaced', data => this.handleSessionReplaced(data));
+    this.on('kicked', data => this.handleKicked(data));
     this.on('mutatorsUpdated', data => this.handleMutatorsUpdated(data));
+    this.on('altarChallengeStarted', data => this.handleAltarChallenge('altar_challenge_started', data, 'active'));
+    this.on('altarChallengeProgress', data => document.dispatchEvent(new CustomEvent('altar_challenge_progress', { detail: data })));
+    this.on('altarChallengeEnded', data => this.handleAltarChallenge('altar_challenge_ended', data, 'spent'));
+    this.on('playerEmote', data => document.dispatchEvent(new CustomEvent('player_emote', { detail: data })));
+    this.on('chatMessage', data => document.dispatchEvent(new CustomEvent('chat_message', { detail: data })));
+    this.on('chatRejected', data => document.dispatchEvent(new CustomEvent('chat_rejected', { detail: data })));
+    this.on('friendPresence', data => document.dispatchEvent(new CustomEvent('friend_presence', { detail: data })));
+    this.on('partyUpdate', party => this.handlePartyUpdate(party));
+    this.on('partyInviteReceived', data => document.dispatchEvent(new CustomEvent('party_invite', { detail: data })));
+    this.on('partyError', data => document.dispatchEvent(new CustomEvent('party_error', { detail: data })));
 
     // Batched events: server flushes multiple queued events as a single 'batchedEvents' message.
     // Dispatch each {event, data} pair directly to the already-registered socket listeners
@@ -565,6 +612,151 @@ class NetworkManager {
       this._deps.toastManager.show({ message: '🔄 Session restaurée ! Votre progression a été récupérée.', type: 'success' });
       console.log('[Session] State successfully recovered');
     }
+
+    this.reportViewport();
+  }
+
+  /**
+   * Send the visible world area (screen size / camera zoom) so the server
+   * only streams entities this client can see.
+   */
+  reportViewport() {
+    const camera = window.gameEngine && window.gameEngine.camera;
+    const zoom = camera && camera.zoom > 0 ? camera.zoom : 1;
+    this.socket.emit('viewport', {
+      width: Math.round(window.innerWidth / zoom),
+      height: Math.round(window.innerHeight / zoom)
+    });
+  }
+
+  /** Trailing debounce: resize fires in bursts. @private */
+  _scheduleViewportReport() {
+    if (this._viewportTimer) {
+      clearTimeout(this._viewportTimer);
+    }
+    this._viewportTimer = setTimeout(() => {
+      this._viewportTimer = null;
+      if (this.socket.connected) {
+        this.reportViewport();
+      }
+    }, 250);
+  }
+
+  /**
+   * Tell the server which player the spectator camera follows.
+   * @param {string|null} playerId - null when the camera stops following
+   */
+  spectateTarget(playerId) {
+    this.socket.emit('spectateTarget', { playerId: playerId || null });
+  }
+
+  /**
+   * Free spectator camera: the server streams entities around this point.
+   * @param {number} x
+   * @param {number} y
+   */
+  spectateCamera(x, y) {
+    this.socket.emit('spectateCamera', { x: Math.round(x), y: Math.round(y) });
+  }
+
+  /** Ask for the players a spectator can follow (answered by spectatorPlayers). */
+  requestSpectatorList() {
+    this.socket.emit('spectateList');
+  }
+
+  /**
+   * Join the world watch-only: no player entity, the server sends a
+   * low-rate spectatorState instead of gameState/gameStateDelta.
+   * @param {string|null} token - JWT (spectators are authenticated too)
+   * @returns {Promise<void>}
+   */
+  connectAsSpectator(token) {
+    const auth = Object.assign({}, this.socket.auth, { token, sessionId: null, spectator: true });
+    return this.connectWithAuth(auth);
+  }
+
+  /**
+   * Spectator feed: keyframes (`full`) and deltas share the player paths.
+   * @param {Object} payload
+   */
+  handleSpectatorState(payload) {
+    if (!payload) {
+      return;
+    }
+    if (payload.full) {
+      this.handleGameState(payload);
+    } else {
+      this.handleGameStateDelta(payload);
+    }
+    document.dispatchEvent(new CustomEvent('spectator_state', { detail: { camera: payload.camera || null } }));
+  }
+
+  handleSpectatorsFull(data) {
+    this._disableReconnect();
+    if (this._deps.toastManager) {
+      this._deps.toastManager.show({ message: `👁 ${(data && data.message) || 'Trop de spectateurs sur cette partie.'}`, type: 'error', duration: 5000 });
+    }
+    document.dispatchEvent(new CustomEvent('spectators_full', { detail: data }));
+  }
+
+  /**
+   * Show an emote above the local player on every client of the instance.
+   * @param {string} emoteId
+   */
+  sendEmote(emoteId) {
+    this.socket.emit('emote', { id: emoteId });
+  }
+
+  /**
+   * @param {'global'|'team'} channel
+   * @param {string} message - filtered and length-checked server-side
+   */
+  sendChat(channel, message) {
+    this.socket.emit('chatMessage', { channel, message });
+  }
+
+  createParty() {
+    this.socket.emit('partyCreate');
+  }
+
+  /** @param {string} playerId - player of this instance, sent the invite code */
+  inviteToParty(playerId) {
+    this.socket.emit('partyInvite', { playerId });
+  }
+
+  /** @param {string} code - invite code (received or typed) */
+  acceptPartyInvite(code) {
+    this.socket.emit('partyAccept', { code });
+  }
+
+  leaveParty() {
+    this.socket.emit('partyLeave');
+  }
+
+  /** @param {string} playerId - member who becomes leader */
+  transferPartyLeader(playerId) {
+    this.socket.emit('partyTransferLeader', { playerId });
+  }
+
+  /**
+   * Party changed (null once left). The party plays in its leader's
+   * instance: a member elsewhere reloads into it, the session carries the
+   * run over.
+   * @param {Object|null} party
+   */
+  handlePartyUpdate(party) {
+    const gameState = this._deps.gameState;
+    gameState.party = party || null;
+    document.dispatchEvent(new CustomEvent('party_update', { detail: party || null }));
+    if (!party || !party.instanceId || !gameState.instanceId || party.instanceId === gameState.instanceId) {
+      return;
+    }
+    if (this._deps.toastManager) {
+      this._deps.toastManager.show({ message: '👥 Votre groupe joue dans une autre partie, vous le rejoignez…', type: 'info' });
+    }
+    const url = new URL(window.location.href);
+    url.searchParams.set('instance', party.instanceId);
+    window.location.assign(url.toString());
   }
 
   handleMutatorsUpdated(data) {
@@ -574,6 +766,7 @@ class NetworkManager {
 
     if (this._deps.gameState && this._deps.gameState.state) {
       this._deps.gameState.state.mutators = data.mutators;
+      this._deps.gameState.state.visionRadius = data.visionRadius || null;
     }
 
     if (this._deps.runMutatorsSystem && this._deps.runMutatorsSystem.applyServerMutators) {
@@ -1086,6 +1279,7 @@ class NetworkManager {
     // walls from the previous room (caused walk-through + teleport-back bugs).
     if (data.walls && this._deps.gameState && this._deps.gameState.state) {
       this._deps.gameState.state.walls = data.walls;
+      this._deps.gameState.state.altars = data.altars || [];
     }
     if (this._deps.gameUI) {
       this._deps.gameUI.showRoomAnnouncement(data.roomIndex + 1, data.totalRooms);
@@ -1093,7 +1287,29 @@ class NetworkManager {
     document.dispatchEvent(new CustomEvent('room_changed', { detail: data }));
   }
 
+  /**
+   * Altar challenge start/end: update the altar drawn on the map, then let
+   * riskRewardSystem show the challenge.
+   * @param {string} domEvent
+   * @param {{altarId: string, reason?: string}} data
+   * @param {'active'|'spent'} altarState
+   */
+  handleAltarChallenge(domEvent, data, altarState) {
+    if (data && this._deps.gameState) {
+      this._deps.gameState.setAltarState(data.altarId, altarState);
+    }
+    document.dispatchEvent(new CustomEvent(domEvent, { detail: data }));
+  }
+
   handleRunCompleted(data) {
+    // Rewards (gems, contract, lifetime stats) are applied before this event
+    document.dispatchEvent(new CustomEvent('run_recorded', { detail: data }));
+    if (data.party && data.party.members > 1 && this._deps.toastManager) {
+      this._deps.toastManager.show({ message: `👥 Score du groupe : ${data.party.score}`, type: 'info', duration: 5000 });
+    }
+    if (data.outcome === 'death') {
+      return; // the game-over screen already covers deaths
+    }
     if (this._deps.gameUI) {
       this._deps.gameUI.showRunCompleted(data.gold, data.level);
     }
@@ -1148,15 +1364,41 @@ this._deps.gameUI._lastBoughtItem = data.itemId;
     console.warn('[Socket.IO] Session replaced by another tab:', data.reason);
     // Disable auto-reconnect: this tab was legitimately evicted.
     // Reconnecting would re-eject the active tab, creating an infinite loop.
+    this._disableReconnect();
+    if (this._deps.toastManager) {
+      this._deps.toastManager.show({ message: '⚠️ Connexion fermée : un autre onglet a pris le relais.', type: 'error', duration: 4000 });
+    }
+  }
+
+  _disableReconnect() {
     this._reconnectAttempts = Infinity;
     if (this._reconnectTimer) {
       clearTimeout(this._reconnectTimer);
       this._reconnectTimer = null;
     }
     this.socket.io.opts.reconnection = false;
+  }
+
+  /**
+   * Kicked or banned by a moderator: stay disconnected (a kicked player may
+   * reload the page, a banned one would only be refused again).
+   * @param {{reason: string|null, banned: boolean, expiresAt: number|null}} data
+   */
+  handleKicked(data) {
+    console.warn('[Socket.IO] Kicked by the server:', data.reason);
+    this._disableReconnect();
     if (this._deps.toastManager) {
-      this._deps.toastManager.show({ message: '⚠️ Connexion fermée : un autre onglet a pris le relais.', type: 'error', duration: 4000 });
+      this._deps.toastManager.show({ message: this._moderationMessage(data), type: 'error', duration: 8000 });
     }
+    document.dispatchEvent(new CustomEvent('player_kicked', { detail: data }));
+  }
+
+  _moderationMessage({ reason, banned, expiresAt }) {
+    let message = banned ? '⛔ Compte banni' : '⛔ Expulsé par un modérateur';
+    if (banned) {
+      message += expiresAt ? ` jusqu'au ${new Date(expiresAt).toLocaleString()}` : ' définitivement';
+    }
+    return reason ? `${message} : ${reason}` : message;
   }
 
   /**
@@ -1241,6 +1483,19 @@ this._deps.gameUI._lastBoughtItem = data.itemId;
     this.socket.emit('playerMove', move);
   }
 
+  /**
+   * Emit a packet of sequenced input frames (server movementMode 'input').
+   * Dropped while disconnected: the server only simulates time it has seen,
+   * and the next moveAck resyncs the unacked inputs.
+   * @param {Array<{seq:number,mx:number,my:number,dt:number,angle:number}>} frames
+   */
+  playerInput(frames) {
+    if (!frames || frames.length === 0 || !this.socket.connected) {
+      return;
+    }
+    this.socket.emit('playerInput', frames);
+  }
+
   /** Flush buffered moves after reconnect. Emits only the last position (dedup). @private */
   _flushMoveBuffer() {
     if (this._moveBuffer.length === 0) {
@@ -1276,6 +1531,14 @@ this._deps.gameUI._lastBoughtItem = data.itemId;
     this.socket.emit('respawn');
   }
 
+  switchWeapon(weaponId) {
+    this.socket.emit('switchWeapon', { weaponId });
+  }
+
+  reload() {
+    this.socket.emit('reload');
+  }
+
   selectUpgrade(upgradeId) {
     this.socket.emit('selectUpgrade', { upgradeId });
   }
@@ -9,6 +9,13 @@
 // Hoisted constant — avoids new Set() allocation every frame in renderDynamicPropParticles
 const _FIRE_COLORS = new Set(['#ff6600', '#ffaa00', '#ffff00']);
 
+// Boss telegraphs: default warning color, white flash over the last ms before impact
+const TELEGRAPH_COLOR = '#ff3b3b';
+const TELEGRAPH_FLASH_MS = 200;
+
+// Risk/reward altars: ring color per server state (idle, challenge running, used up)
+const ALTAR_COLORS = { idle: '#c77dff', active: '#ffd166', spent: '#555566' };
+
 class EffectsRenderer {
   // ── Particle Pool ────────────────────────────────────────────────────────
   static POOL_SIZE = 500;
@@ -382,6 +389,121 @@ continue;
     ctx.restore();
   }
 
+  /**
+   * Boss attack warnings (server `bossTelegraph`): the shape outline, filled
+   * from its origin as the impact nears, flashing just before it. Timed on
+   * the server clock so every player sees the same impact moment; entries
+   * past their impact are dropped from the map.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} camera
+   * @param {Map<string, Object>} telegraphs - GameStateManager.bossTelegraphs
+   * @param {number} serverNow - GameStateManager.getServerNow()
+   */
+  renderBossTelegraphs(ctx, camera, telegraphs, serverNow) {
+    if (!telegraphs || telegraphs.size === 0) {
+      return;
+    }
+    for (const [id, telegraph] of telegraphs) {
+      const remaining = telegraph.impactAt - serverNow;
+      if (remaining <= 0) {
+        telegraphs.delete(id);
+        continue;
+      }
+      const total = Math.max(1, telegraph.impactAt - telegraph.startAt);
+      const progress = Math.min(1, Math.max(0, 1 - remaining / total));
+      const color = telegraph.color || TELEGRAPH_COLOR;
+      const flash = remaining < TELEGRAPH_FLASH_MS && Math.floor(remaining / 50) % 2 === 0;
+
+      for (const shape of telegraph.shapes) {
+        const reach = shape.radius || shape.range || shape.length || 0;
+        if (!camera.isInViewport(shape.x, shape.y, reach * 2)) {
+          continue;
+        }
+        ctx.save();
+        // Full zone: faint backdrop and outline
+        this._traceTelegraphShape(ctx, shape, 1);
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.12;
+        ctx.fill();
+        ctx.strokeStyle = flash ? '#ffffff' : color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.9;
+        ctx.stroke();
+        // Countdown fill: grows to the full zone at impact
+        this._traceTelegraphShape(ctx, shape, progress);
+        ctx.fillStyle = flash ? '#ffffff' : color;
+        ctx.globalAlpha = 0.2 + progress * 0.3;
+        ctx.fill();
+        ctx.restore();
+      }
+    }
+  }
+
+  /**
+   * Risk/reward altars of the current room (server `roomChanged`): a pulsing
+   * ring sized to the activation zone, with the challenge icon.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} camera
+   * @param {Object[]} altars - GameStateManager.state.altars
+   * @param {number} now
+   */
+  renderAltars(ctx, camera, altars, now) {
+    if (!altars || altars.length === 0) {
+      return;
+    }
+    for (const altar of altars) {
+      if (!camera.isInViewport(altar.x, altar.y, altar.radius * 2)) {
+        continue;
+      }
+      const color = ALTAR_COLORS[altar.state] || ALTAR_COLORS.idle;
+      const pulse = altar.state === 'spent' ? 0 : (Math.sin(now / 300) + 1) / 2;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(altar.x, altar.y, altar.radius, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.12 + pulse * 0.1;
+      ctx.fill();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 3;
+      ctx.globalAlpha = altar.state === 'spent' ? 0.5 : 0.7 + pulse * 0.3;
+      ctx.stroke();
+      if (altar.icon) {
+        ctx.globalAlpha = altar.state === 'spent' ? 0.4 : 1;
+        ctx.font = '22px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(altar.icon, altar.x, altar.y);
+      }
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Path of a telegraph shape scaled from its origin (circle: radius, cone:
+   * range, line: length).
+   * @private
+   */
+  _traceTelegraphShape(ctx, shape, scale) {
+    ctx.beginPath();
+    if (shape.shape === 'cone') {
+      ctx.moveTo(shape.x, shape.y);
+      ctx.arc(shape.x, shape.y, shape.range * scale, shape.angle - shape.arc / 2, shape.angle + shape.arc / 2);
+      ctx.closePath();
+    } else if (shape.shape === 'line') {
+      const cos = Math.cos(shape.angle);
+      const sin = Math.sin(shape.angle);
+      const half = shape.width / 2;
+      const len = shape.length * scale;
+      ctx.moveTo(shape.x - sin * half, shape.y + cos * half);
+      ctx.lineTo(shape.x + cos * len - sin * half, shape.y + sin * len + cos * half);
+      ctx.lineTo(shape.x + cos * len + sin * half, shape.y + sin * len - cos * half);
+      ctx.lineTo(shape.x + sin * half, shape.y - cos * half);
+      ctx.closePath();
+    } else {
+      ctx.arc(shape.x, shape.y, shape.radius * scale, 0, Math.PI * 2);
+    }
+  }
+
   renderExplosions(ctx, camera, explosions, now) {
     now = now || Date.now();
     const explosionMap = explosions || {};
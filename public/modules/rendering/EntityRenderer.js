@@ -1711,7 +1711,7 @@ continue;
     }
 
     if (zombie.isBoss) {
-      const bossName = CONSTANTS.BOSS_NAMES[zombie.type] || 'BOSS';
+      const bossName = CONSTANTS.BOSS_NAMES[zombie.type] || zombie.name || 'BOSS';
       ctx.fillStyle = '#fff';
       ctx.font = 'bold 14px Arial';
       ctx.strokeStyle = '#000';
@@ -2545,6 +2545,11 @@ continue;
       }
       this._renderedEntities++;
 
+      if (p.downed) {
+        this._renderDownedPlayer(ctx, p, isCurrentPlayer, config, dateNow, timestamp);
+        continue;
+      }
+
       if (p.speedBoost && dateNow < p.speedBoost) {
         ctx.shadowBlur = 20;
         ctx.shadowColor = '#00ffff';
@@ -2576,6 +2581,58 @@ continue;
     }
   }
 
+  /**
+   * Draw a downed co-op player: lying sprite, bleed-out bar and revive ring.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} p - Player state (downed, downedUntil, reviveProgress)
+   * @param {boolean} isCurrentPlayer
+   * @param {Object} config - CONFIG from init (DOWNED_BLEED_OUT_MS, REVIVE_RADIUS)
+   * @param {number} dateNow
+   * @param {number} timestamp
+   */
+  _renderDownedPlayer(ctx, p, isCurrentPlayer, config, dateNow, timestamp) {
+    const pulse = 0.6 + Math.sin(timestamp / 250) * 0.2;
+
+    ctx.save();
+    ctx.globalAlpha = pulse;
+    ctx.translate(p.x, p.y);
+    ctx.rotate(Math.PI / 2);
+    this.drawPlayerSprite(ctx, { ...p, x: 0, y: 0, vx: 0, vy: 0 }, isCurrentPlayer, timestamp);
+    ctx.restore();
+
+    const nickname = p.nickname || (isCurrentPlayer ? 'Vous' : 'Joueur');
+    this.renderPlayerNameBubble(ctx, p.x, p.y, `${nickname} - A TERRE`, isCurrentPlayer, -config.PLAYER_SIZE - 25);
+
+    // Bleed-out bar replaces the health bar
+    const bleedOutMs = config.DOWNED_BLEED_OUT_MS || 30000;
+    const remaining = Math.max(0, Math.min(1, ((p.downedUntil || dateNow) - dateNow) / bleedOutMs));
+    const barY = p.y + config.PLAYER_SIZE + 5;
+    ctx.fillStyle = '#aa0000';
+    ctx.fillRect(p.x - 20, barY, 40 * remaining, 5);
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(p.x - 20, barY, 40, 5);
+
+    // Revive radius hint and progress ring
+    const radius = config.REVIVE_RADIUS || 80;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0, 255, 120, 0.25)';
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (p.reviveProgress > 0) {
+      ctx.strokeStyle = '#00ff78';
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, config.PLAYER_SIZE + 10, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * p.reviveProgress);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   renderTargetIndicator(ctx, player) {
     if (!window.mobileControls || !window.mobileControls.autoShootActive) {
       return;
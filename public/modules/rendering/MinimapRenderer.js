@@ -187,16 +187,24 @@ class MinimapRenderer {
       minimapCtx.fill();
     });
 
-    // Other players (bleu = humain, gris = bot)
+    // Other players (bleu = humain, gris = bot, cyan cerclé = groupe)
     Object.entries(gameState.state.players).forEach(([pid, p]) => {
       if (pid === playerId || !p.alive || !p.hasNickname) {
         return;
       }
       const isBot = p.isBot || p.bot || false;
-      minimapCtx.fillStyle = isBot ? '#888888' : '#4488ff';
+      const isPartyMate = gameState.isPartyMate && gameState.isPartyMate(pid);
+      minimapCtx.fillStyle = isPartyMate ? '#22e5ff' : (isBot ? '#888888' : '#4488ff');
       minimapCtx.beginPath();
       minimapCtx.arc(p.x * scaleX, p.y * scaleY, 4, 0, Math.PI * 2);
       minimapCtx.fill();
+      if (isPartyMate) {
+        minimapCtx.strokeStyle = '#ffffff';
+        minimapCtx.lineWidth = 1.5;
+        minimapCtx.beginPath();
+        minimapCtx.arc(p.x * scaleX, p.y * scaleY, 6.5, 0, Math.PI * 2);
+        minimapCtx.stroke();
+      }
     });
 
     // Current player — vert
@@ -494,14 +494,18 @@ class UIRenderer {
     const healthPercentRounded = Math.round(healthPercent * 10) / 10;
     const healthTextValue = `${Math.ceil(healthPercent)}%`;
 
-    const bossName = this.bossNameMap[boss.type] || 'BOSS';
+    const bossName = this.bossNameMap[boss.type] || boss.name || 'BOSS';
     if (bossName !== this.uiState.bossName) {
       nameEl.textContent = bossName;
       this.uiState.bossName = bossName;
     }
 
+    // Scripted bosses (the ones sent with a name) follow their own phases;
+    // clamp to the 3 bar styles
     let phase = 1;
-    if (healthPercent <= 33) {
+    if (boss.name && boss.phase) {
+      phase = Math.min(3, boss.phase);
+    } else if (healthPercent <= 33) {
       phase = 3;
     } else if (healthPercent <= 66) {
       phase = 2;
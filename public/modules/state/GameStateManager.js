@@ -7,6 +7,9 @@
  * @version 4.0.0
  */
 
+// Ping samples kept for the clock sync (the fastest round trip wins)
+const CLOCK_SYNC_SAMPLES = 8;
+
 class GameStateManager {
   constructor() {
     this.playerId = null;
@@ -23,6 +26,9 @@ class GameStateManager {
       currentRoom: 0,
       totalRooms: 5,
       doors: [],
+      altars: [],
+      // Vision radius (px) while the darkness mutator is active, null otherwise
+      visionRadius: null,
       wave: 1,
       bossSpawned: false,
       // Environment systems
@@ -45,6 +51,9 @@ class GameStateManager {
     this.powerupTypes = {};
     this.zombieTypes = {};
     this.shopItems = {};
+    this.instanceId = null;
+    // Party of the local player (server `partyUpdate`), null outside a party
+    this.party = null;
 
     // Enhanced visual interpolation system with velocity-based smoothing
     this.interpolation = {
@@ -81,6 +90,16 @@ class GameStateManager {
     // raw client time while snapshots use server time, freezing entities.
     this._serverTimeSynced = false;
 
+    // Clock sync from the ping ack: server epoch ≈ Date.now() + clockOffset.
+    // serverTimeOffset above lags by the one-way latency (stamped packets);
+    // server-timed events (boss telegraphs) need the real server clock so
+    // every player sees the same impact moment.
+    this.clockOffset = null;
+    this._clockSamples = [];
+
+    // Boss attack warnings (bossTelegraph), id → telegraph
+    this.bossTelegraphs = new Map();
+
     // CLIENT-SIDE PREDICTION: Predicted bullets for instant visual feedback
     this.predictedBullets = {};
     this.nextPredictedBulletId = 1;
@@ -164,12 +183,41 @@ class GameStateManager {
     this.powerupTypes = data.powerupTypes;
     this.zombieTypes = data.zombieTypes;
     this.shopItems = data.shopItems;
+    this.runSeed = data.seed ?? null;
+    this.instanceId = data.instanceId || null;
+    // 'input' = server-authoritative movement, see PlayerController.reconcileWithServer
+    this.movementMode = data.movementMode === 'input' ? 'input' : 'position';
     // Walls arrive in init — copy them immediately so client wall-collision
     // has the map data before the first movement frame (prevents walking
     // through walls + teleport-correction combo during the 16ms init gap).
     if (data.walls) {
       this.state.walls = data.walls;
     }
+    this.state.altars = data.altars || [];
+    this.state.visionRadius = data.visionRadius || null;
+  }
+
+  /**
+   * Apply a server altar state change (altarChallengeStarted / Ended).
+   * @param {string} altarId
+   * @param {'idle'|'active'|'spent'} state
+   */
+  setAltarState(altarId, state) {
+    const altar = this.state.altars.find(a => a.id === altarId);
+    if (altar) {
+      altar.state = state;
+    }
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {boolean} true for another member of the local player's party
+   */
+  isPartyMate(playerId) {
+    if (!this.party || playerId === this.playerId) {
+      return false;
+    }
+    return this.party.members.some(member => member.id === playerId);
   }
 
   /**
@@ -257,6 +305,62 @@ class GameStateManager {
     return Date.now() + this.serverTimeOffset;
   }
 
+  /**
+   * Clock sync sample from a ping ack: the server stamped `serverNow` about
+   * rtt/2 before the ack came back. Keeps the offset of the fastest recent
+   * round trip, the one least skewed by queuing.
+   * @param {number} serverNow - server Date.now() from the ack
+   * @param {number} rtt - measured round trip (ms)
+   * @param {number} [clientNow] - client Date.now() when the ack arrived
+   */
+  syncServerClock(serverNow, rtt, clientNow = Date.now()) {
+    if (typeof serverNow !== 'number' || !(rtt >= 0)) {
+      return;
+    }
+    this._clockSamples.push({ rtt, offset: serverNow + rtt / 2 - clientNow });
+    if (this._clockSamples.length > CLOCK_SYNC_SAMPLES) {
+      this._clockSamples.shift();
+    }
+    let best = this._clockSamples[0];
+    for (const sample of this._clockSamples) {
+      if (sample.rtt < best.rtt) {
+        best = sample;
+      }
+    }
+    this.clockOffset = best.offset;
+  }
+
+  /** Forget the clock sync (reconnect: the server or the client clock may have moved). */
+  resetServerClock() {
+    this.clockOffset = null;
+    this._clockSamples = [];
+  }
+
+  /**
+   * Server clock now (epoch ms). Before the first ping ack, falls back to
+   * the packet-stamped offset.
+   * @returns {number}
+   */
+  getServerNow() {
+    return Date.now() + (this.clockOffset !== null ? this.clockOffset : this.serverTimeOffset);
+  }
+
+  /**
+   * Track a boss attack warning until its impact (see EffectsRenderer.renderBossTelegraphs).
+   * @param {{id: string, shapes: Object[], startAt: number, impactAt: number}} telegraph
+   */
+  addBossTelegraph(telegraph) {
+    if (!telegraph || !telegraph.id || !Array.isArray(telegraph.shapes)) {
+      return;
+    }
+    this.bossTelegraphs.set(telegraph.id, telegraph);
+  }
+
+  /** @param {string} id */
+  removeBossTelegraph(id) {
+    this.bossTelegraphs.delete(id);
+  }
+
   /**
    * FIX: Get time since last server update (accounts for latency)
    * @returns {number} Milliseconds since server generated the last state
@@ -15,6 +15,8 @@ class LeaderboardSystem {
     this._page = 0;
     this._lastEntries = [];
     this.createUI();
+    // The server records the run; only its id is submitted to the leaderboard
+    document.addEventListener('run_recorded', e => this.submitRecordedRun(e.detail));
   }
 
   // Compatibility with legacy leaderboard integration.
@@ -133,6 +135,20 @@ class LeaderboardSystem {
     }
   }
 
+  /**
+   * Submit a server-recorded run to the global leaderboard (signed-in players only).
+   * @param {{runId: string}} run - `runCompleted` payload
+   * @returns {Promise<Object|null>} API response, null without a session
+   */
+  submitRecordedRun(run) {
+    const auth = window.authManager;
+    const playerId = auth?.getPlayer?.()?.id;
+    if (!run?.runId || !playerId || !auth.apiRequest) {
+      return Promise.resolve(null);
+    }
+    return auth.apiRequest('/api/v1/leaderboard', { method: 'POST', body: { playerId, runId: run.runId } });
+  }
+
   getTopScores(limit = 10) {
     return this.leaderboard.entries.slice(0, limit).map(e => ({
       playerName: e.nickname,
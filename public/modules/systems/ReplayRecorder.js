@@ -1,11 +1,15 @@
 /**
  * ReplayRecorder — captures 30s of gameState @ 20Hz into a ring buffer.
  * On player death, shows a "Watch replay" button that plays back 30s in ~3s (10x).
+ *
+ * Also plays full matches recorded by the server (GET /api/v1/replays/:id/download,
+ * or `?replay=<id>` in the page URL) with pause, scrub and speed controls.
  */
 class ReplayRecorder {
   static BUFFER_SIZE = 600;   // 30s × 20Hz
   static CAPTURE_HZ  = 20;    // captures per second
   static REPLAY_SPEED = 10;   // playback multiplier
+  static SERVER_SPEEDS = [0.5, 1, 2, 4, 8];
 
   constructor() {
     this._buf   = new Array(ReplayRecorder.BUFFER_SIZE);
@@ -18,10 +22,12 @@ class ReplayRecorder {
     this._replayOverlay   = null;
     this._replayBtn       = null;
     this._animId          = null;
+    this._server          = null;   // loaded server replay, see loadServerReplay()
 
     this._buildOverlay();
     this._startCapture();
     this._listenDeath();
+    this._loadFromUrl();
   }
 
   /* ── ring buffer helpers ──────────────────────────── */
@@ -174,12 +180,65 @@ this._replayBtn.style.display = 'block';
     controls.appendChild(label);
     controls.appendChild(skipBtn);
     controls.appendChild(closeBtn);
+    this._localControls = controls;
 
     this._replayOverlay.appendChild(this._replayCanvas);
     this._replayOverlay.appendChild(controls);
+    this._replayOverlay.appendChild(this._buildServerControls(btnStyle));
     document.body.appendChild(this._replayOverlay);
   }
 
+  _buildServerControls(btnStyle) {
+    const controls = document.createElement('div');
+    Object.assign(controls.style, {
+      marginTop:  '14px',
+      display:    'none',
+      gap:        '12px',
+      alignItems: 'center'
+    });
+
+    this._playBtn = document.createElement('button');
+    Object.assign(this._playBtn.style, btnStyle);
+    this._playBtn.textContent = '⏸ Pause';
+    this._playBtn.addEventListener('click', () => this._togglePause());
+
+    this._speedBtn = document.createElement('button');
+    Object.assign(this._speedBtn.style, btnStyle);
+    this._speedBtn.textContent = '1×';
+    this._speedBtn.addEventListener('click', () => this._cycleSpeed());
+
+    this._scrub = document.createElement('input');
+    this._scrub.type = 'range';
+    this._scrub.min = '0';
+    this._scrub.max = '0';
+    this._scrub.style.width = '320px';
+    this._scrub.addEventListener('input', () => {
+      if (this._server) {
+        this._server.t = Number(this._scrub.value);
+      }
+    });
+
+    this._timeLabel = document.createElement('span');
+    Object.assign(this._timeLabel.style, {
+      color:      '#aaa',
+      fontSize:   '13px',
+      fontFamily: 'monospace'
+    });
+
+    const closeBtn = document.createElement('button');
+    Object.assign(closeBtn.style, btnStyle);
+    closeBtn.textContent = '✕ Close';
+    closeBtn.addEventListener('click', () => this._stopReplay());
+
+    controls.appendChild(this._playBtn);
+    controls.appendChild(this._speedBtn);
+    controls.appendChild(this._scrub);
+    controls.appendChild(this._timeLabel);
+    controls.appendChild(closeBtn);
+    this._serverControls = controls;
+    return controls;
+  }
+
   /* ── playback ────────────────────────────────────── */
 
   _startReplay() {
@@ -228,6 +287,191 @@ return;
  cancelAnimationFrame(this._animId); this._animId = null;
 }
     this._replayOverlay.style.display = 'none';
+    this._serverControls.style.display = 'none';
+    this._localControls.style.display = 'flex';
+    this._server = null;
+  }
+
+  /* ── server replays ──────────────────────────────── */
+
+  _loadFromUrl() {
+    const id = new URLSearchParams(location.search).get('replay');
+    if (id) {
+      this.loadServerReplay(id).catch(err => console.warn('[Replay] Failed to load server replay', err));
+    }
+  }
+
+  /**
+   * Download a match recorded by the server and play it.
+   * @param {string} id - replay id from GET /api/v1/replays
+   * @returns {Promise<void>}
+   */
+  async loadServerReplay(id) {
+    const res = await fetch(`/api/v1/replays/${encodeURIComponent(id)}/download`);
+    if (!res.ok) {
+      throw new Error(`Replay ${id}: HTTP ${res.status}`);
+    }
+    const text = await new Response(res.body.pipeThrough(new DecompressionStream('gzip'))).text();
+    const lines = text.split('\n').filter(line => line.length > 0);
+    const frames = lines.slice(1).map(line => JSON.parse(line));
+    if (frames.length === 0) {
+      throw new Error(`Replay ${id} is empty`);
+    }
+
+    this._stopReplay();
+    this._server = {
+      header:   JSON.parse(lines[0]),
+      frames,
+      duration: frames[frames.length - 1].t,
+      t:        frames[0].t,
+      speed:    1,
+      paused:   false,
+      state:    null,   // world rebuilt up to cursorT
+      next:     0,      // next frame to apply
+      cursorT:  -1
+    };
+    this._startServerPlayback();
+  }
+
+  _startServerPlayback() {
+    const srv = this._server;
+    this._replayBtn.style.display      = 'none';
+    this._localControls.style.display  = 'none';
+    this._serverControls.style.display = 'flex';
+    this._replayOverlay.style.display  = 'flex';
+    this._scrub.max = String(srv.duration);
+    this._setPaused(false);
+    this._speedBtn.textContent = `${srv.speed}×`;
+
+    let last = performance.now();
+    const step = (now) => {
+      if (!srv.paused) {
+        srv.t = Math.min(srv.t + (now - last) * srv.speed, srv.duration);
+        if (srv.t >= srv.duration) {
+          this._setPaused(true);
+        }
+      }
+      last = now;
+      this._renderServerFrame();
+      this._animId = requestAnimationFrame(step);
+    };
+    this._animId = requestAnimationFrame(step);
+  }
+
+  _setPaused(paused) {
+    this._server.paused = paused;
+    this._playBtn.textContent = paused ? '▶ Play' : '⏸ Pause';
+  }
+
+  _togglePause() {
+    const srv = this._server;
+    if (!srv) {
+      return;
+    }
+    if (srv.paused && srv.t >= srv.duration) {
+      srv.t = srv.frames[0].t;
+    }
+    this._setPaused(!srv.paused);
+  }
+
+  _cycleSpeed() {
+    const srv = this._server;
+    if (!srv) {
+      return;
+    }
+    const speeds = ReplayRecorder.SERVER_SPEEDS;
+    srv.speed = speeds[(speeds.indexOf(srv.speed) + 1) % speeds.length];
+    this._speedBtn.textContent = `${srv.speed}×`;
+  }
+
+  _renderServerFrame() {
+    const srv = this._server;
+    this._seekServer(srv.t);
+    this._scrub.value = String(Math.round(srv.t));
+    this._timeLabel.textContent = `${ReplayRecorder._formatTime(srv.t)} / ${ReplayRecorder._formatTime(srv.duration)} · vague ${srv.state.wave || 1}`;
+    const snap = ReplayRecorder._snapshotFromState(srv.state);
+    this._drawFrame(snap, snap, 0, srv.t, srv.duration || 1);
+  }
+
+  /**
+   * Bring the rebuilt world to time t. Moving forward applies the pending
+   * deltas; seeking backwards or past a keyframe restarts from the nearest
+   * keyframe (keyframes are deltas against an empty world).
+   */
+  _seekServer(t) {
+    const srv = this._server;
+    const { frames } = srv;
+    const last = ReplayRecorder._lastFrameAt(frames, t);
+    let key = last;
+    while (key > 0 && !frames[key].k) {
+      key--;
+    }
+    if (!srv.state || t < srv.cursorT || key >= srv.next) {
+      srv.state = { wave: 1, walls: [], players: {}, zombies: {} };
+      srv.next = key;
+    }
+    while (srv.next <= last) {
+      ReplayRecorder._applyDelta(srv.state, frames[srv.next++].d);
+    }
+    srv.cursorT = t;
+  }
+
+  /** Index of the last frame at or before t (binary search, frames sorted by t). */
+  static _lastFrameAt(frames, t) {
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= t) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo;
+  }
+
+  static _applyDelta(state, delta) {
+    for (const type in delta.updated) {
+      const entities = state[type] || (state[type] = {});
+      const updated = delta.updated[type];
+      for (const id in updated) {
+        if (updated[id]._new || !entities[id]) {
+          entities[id] = Object.assign({}, updated[id]);
+        } else {
+          Object.assign(entities[id], updated[id]);
+        }
+      }
+    }
+    for (const type in delta.removed) {
+      const entities = state[type];
+      if (entities) {
+        for (const id of delta.removed[type]) {
+          delete entities[id];
+        }
+      }
+    }
+    if (delta.meta) {
+      Object.assign(state, delta.meta);
+    }
+  }
+
+  /** Rebuilt world → the snapshot shape _drawFrame expects (angles arrive as 0-255 bytes). */
+  static _snapshotFromState(state) {
+    const snap = { players: {}, zombies: [] };
+    for (const id in state.players) {
+      const p = state.players[id];
+      snap.players[id] = { x: p.x, y: p.y, angle: ((p.angle || 0) / 255) * Math.PI * 2, health: p.health, alive: p.alive };
+    }
+    for (const id in state.zombies) {
+      snap.zombies.push({ x: state.zombies[id].x, y: state.zombies[id].y });
+    }
+    return snap;
+  }
+
+  static _formatTime(ms) {
+    const secs = Math.floor(ms / 1000);
+    return `${String(Math.floor(secs / 60)).padStart(2, '0')}:${String(secs % 60).padStart(2, '0')}`;
   }
 
   /* ── rendering ───────────────────────────────────── */
@@ -286,6 +530,15 @@ maxY = pt.y;
 
     const toScreen = (wx, wy) => ({ sx: wx * scale + offX, sy: wy * scale + offY });
 
+    // zombies (server replays only)
+    if (lo.zombies) {
+      ctx.fillStyle = '#c33';
+      for (const z of lo.zombies) {
+        const { sx, sy } = toScreen(z.x, z.y);
+        ctx.fillRect(sx - 3, sy - 3, 6, 6);
+      }
+    }
+
     // draw players
     const localId = lo.localId;
     for (const id in lo.players) {
@@ -1,9 +1,16 @@
 /**
  * SPECTATOR MANAGER
- * Watch-only mode: join as spectator, cycle players (Tab), free camera (WASD).
+ * Watch-only mode: the socket joins as a spectator (no player entity) and
+ * gets the server's low-rate spectatorState. Tab follows the next player of
+ * the server list, WASD moves a free camera whose position is reported so the
+ * server streams the area around it. Also shows players how many spectators
+ * are watching.
  * @module SpectatorManager
  */
 
+/** Delay between two free-camera position reports. */
+const FREE_CAM_REPORT_MS = 250;
+
 class SpectatorManager {
   constructor() {
     this.active = false;
@@ -12,11 +19,23 @@ class SpectatorManager {
     this.freeCamSpeed = 400; // px/s
 
     this._banner = null;
+    this._countBadge = null;
     this._tabHandler = null;
     this._keyHandler = null;
     this._keys = {};
     this._rafId = null;
     this._lastTick = 0;
+    this._lastCamReport = 0;
+    this._players = [];        // last spectatorPlayers list from the server
+    this._cyclePending = false; // a Tab press waits for a fresh list
+    this._joining = false;
+
+    this._onPlayers = e => this._handlePlayers(e.detail);
+    this._onState = e => this._handleState(e.detail);
+    this._onCount = e => this._renderCount(e.detail);
+    document.addEventListener('spectator_players', this._onPlayers);
+    document.addEventListener('spectator_state', this._onState);
+    document.addEventListener('spectator_count', this._onCount);
 
     this._injectUI();
   }
@@ -55,7 +74,20 @@ return;
 
   // ─── Enter / Exit ──────────────────────────────────────────────────────────
 
-  _enterSpectatorMode() {
+  async _enterSpectatorMode() {
+    if (this.active || this._joining) {
+      return;
+    }
+    this._joining = true;
+    try {
+      await this._connect();
+    } catch (error) {
+      this._toast(`Impossible d'observer : ${error.message || 'erreur réseau'}`);
+      return;
+    } finally {
+      this._joining = false;
+    }
+
     const nicknameScreen = document.getElementById('nickname-screen');
     if (nicknameScreen) {
 nicknameScreen.style.display = 'none';
@@ -76,11 +108,42 @@ skinsMenu.style.display = 'none';
     this._attachInputs();
     this._tickLoop();
 
-    // Snap camera to first available player
+    // Follow the first player of the server list
     this._cycleToNextPlayer();
   }
 
+  /**
+   * Spectators are authenticated like players: reuse the stored token, or
+   * log in with the nickname typed on the join screen.
+   * @private
+   */
+  async _connect() {
+    const nm = window.networkManager;
+    if (!nm || !nm.connectAsSpectator || !window.authManager) {
+      throw new Error('connexion indisponible');
+    }
+    const input = document.getElementById('nickname-input');
+    const nickname = input ? input.value.trim() : '';
+    if (nickname) {
+      await window.authManager.login(nickname);
+    }
+    const token = window.authManager.getToken();
+    if (!token) {
+      throw new Error('entrez un pseudo');
+    }
+    await nm.connectAsSpectator(token);
+  }
+
+  _toast(message) {
+    if (window.toastManager) {
+      window.toastManager.show({ message, type: 'error' });
+    }
+  }
+
   exit() {
+    if (this.active) {
+      this._notifyTarget(null);
+    }
     this.active = false;
     this._detachInputs();
     if (this._rafId) {
@@ -98,6 +161,13 @@ skinsMenu.style.display = 'none';
    */
   cleanup() {
     this.exit();
+    document.removeEventListener('spectator_players', this._onPlayers);
+    document.removeEventListener('spectator_state', this._onState);
+    document.removeEventListener('spectator_count', this._onCount);
+    if (this._countBadge) {
+      this._countBadge.remove();
+      this._countBadge = null;
+    }
     if (this._watchBtn) {
       this._watchBtn.removeEventListener('mouseenter', this._watchBtnEnter);
       this._watchBtn.removeEventListener('mouseleave', this._watchBtnLeave);
@@ -161,40 +231,115 @@ this._banner.textContent = text;
 }
   }
 
-  // ─── Player cycling (Tab) ─────────────────────────────────────────────────
+  /** Server streams entities around the followed player (AOI culling). */
+  _notifyTarget(playerId) {
+    if (window.networkManager && window.networkManager.spectateTarget) {
+      window.networkManager.spectateTarget(playerId);
+    }
+  }
 
-  _getAlivePlayers() {
-    const players = window.gameState && window.gameState.state && window.gameState.state.players;
-    if (!players) {
-return [];
-}
-    return Object.entries(players)
-      .filter(([, p]) => p && p.alive !== false)
-      .map(([id, p]) => ({ id, name: p.nickname || p.name || id }));
+  // ─── Spectator count (players and spectators) ────────────────────────────
+
+  /** @param {{count: number, max: number}} data */
+  _renderCount(data) {
+    const count = data && data.count > 0 ? data.count : 0;
+    if (!this._countBadge) {
+      if (count === 0) {
+        return;
+      }
+      const el = document.createElement('div');
+      el.id = 'spectator-count';
+      el.style.cssText = [
+        'position:fixed', 'top:12px', 'right:12px',
+        'background:rgba(0,0,0,0.55)', 'color:#cbd5e1',
+        'padding:4px 10px', 'border-radius:12px',
+        'font-size:0.8rem', 'font-family:monospace',
+        'pointer-events:none', 'z-index:9000', 'user-select:none'
+      ].join(';');
+      document.body.appendChild(el);
+      this._countBadge = el;
+    }
+    this._countBadge.style.display = count > 0 ? 'block' : 'none';
+    this._countBadge.textContent = `👁 ${count}`;
+    this._countBadge.title = `${count} spectateur${count > 1 ? 's' : ''}`;
   }
 
+  // ─── Player cycling (Tab) ─────────────────────────────────────────────────
+
+  /** Ask the server for the current players; the answer picks the next one. */
   _cycleToNextPlayer() {
-    const alive = this._getAlivePlayers();
-    if (!alive.length) {
+    this._cyclePending = true;
+    if (window.networkManager && window.networkManager.requestSpectatorList) {
+      window.networkManager.requestSpectatorList();
+    }
+  }
+
+  /** @param {{players: Array<{id, nickname, alive, downed}>, targetId: string|null}} data */
+  _handlePlayers(data) {
+    this._players = (data && Array.isArray(data.players)) ? data.players : [];
+    if (this.active && this._cyclePending) {
+      this._cyclePending = false;
+      this._followNext();
+    }
+  }
+
+  /**
+   * The server dropped our target (player left): move on to the next one.
+   * @param {{camera: {targetId: string|null}|null}} detail
+   */
+  _handleState(detail) {
+    if (!this.active || this.freeCam || !this.targetPlayerId || this._cyclePending) {
+      return;
+    }
+    if (detail && detail.camera && detail.camera.targetId === null) {
+      this._cycleToNextPlayer();
+    }
+  }
+
+  _followNext() {
+    const alive = this._players.filter(p => p.alive);
+    const candidates = alive.length ? alive : this._players;
+    if (!candidates.length) {
       this.targetPlayerId = null;
       this.freeCam = true;
+      this._reportCamera(true);
       this._updateBanner('SPECTATEUR — Aucun joueur en vie | WASD: caméra libre');
       return;
     }
 
-    const idx = alive.findIndex(p => p.id === this.targetPlayerId);
-    const next = alive[(idx + 1) % alive.length];
+    const idx = candidates.findIndex(p => p.id === this.targetPlayerId);
+    const next = candidates[(idx + 1) % candidates.length];
     this.targetPlayerId = next.id;
     this.freeCam = false;
-    this._updateBanner(`SPECTATING [${next.name}] — Tab: suivant | WASD: caméra libre`);
+    this._notifyTarget(next.id);
+    this._updateBanner(`SPECTATING [${next.nickname || next.id}] — Tab: suivant | WASD: caméra libre`);
 
     // Snap camera
-    const state = window.gameState.state.players[this.targetPlayerId];
+    const players = window.gameState && window.gameState.state && window.gameState.state.players;
+    const state = players && players[this.targetPlayerId];
     if (state && window.gameEngine && window.gameEngine.camera) {
       window.gameEngine.camera.recenter(state, window.innerWidth, window.innerHeight);
     }
   }
 
+  /**
+   * Send the free camera center so the server streams the area around it.
+   * @param {boolean} [force=false] - ignore the report interval
+   */
+  _reportCamera(force = false) {
+    const cam = window.gameEngine && window.gameEngine.camera;
+    const nm = window.networkManager;
+    if (!cam || !nm || !nm.spectateCamera) {
+      return;
+    }
+    const now = Date.now();
+    if (!force && now - this._lastCamReport < FREE_CAM_REPORT_MS) {
+      return;
+    }
+    this._lastCamReport = now;
+    nm.spectateCamera(cam.x + window.innerWidth / 2, cam.y + window.innerHeight / 2);
+  }
+
   // ─── Input ────────────────────────────────────────────────────────────────
 
   _attachInputs() {
@@ -210,6 +355,7 @@ return;
         this._keys[e.key.toLowerCase()] = true;
         if (!this.freeCam) {
           this.freeCam = true;
+          this._reportCamera(true);
           this._updateBanner('SPECTATEUR (caméra libre) — Tab: joueur suivant');
         }
       }
@@ -274,6 +420,7 @@ dy += spd;
         cam.x += dx;
         cam.y += dy;
         cam._invalidateCache(Math.round(cam.x), Math.round(cam.y));
+        this._reportCamera();
       }
     } else if (this.targetPlayerId) {
       // Follow targeted player
@@ -281,9 +428,6 @@ dy += spd;
       const target = players && players[this.targetPlayerId];
       if (target) {
         cam.follow(target, window.innerWidth, window.innerHeight, dt * 1000);
-      } else {
-        // Player died or disconnected — auto-cycle
-        this._cycleToNextPlayer();
       }
     }
   }
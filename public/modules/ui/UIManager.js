@@ -336,6 +336,13 @@ cdSpan.textContent = '';
       const ss = String(secs % 60).padStart(2, '0');
       timeEl.textContent = `${mm}:${ss}`;
     }
+    const seedEl = document.getElementById('final-seed');
+    const seedRow = document.getElementById('seed-row');
+    if (seedEl && seedRow) {
+      const seed = this.gameState.runSeed;
+      seedEl.textContent = seed !== null && seed !== undefined ? `${seed}` : '';
+      seedRow.style.display = seedEl.textContent ? '' : 'none';
+    }
   }
 
   /** Updates live player and zombie counts in the HUD. @private */
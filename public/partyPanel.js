@@ -0,0 +1,275 @@
+/**
+ * Party Panel — create, join and manage a party
+ * G opens the panel. Outside a party: create one or type an invite code.
+ * In a party: invite code, members (online state, leader), invite players
+ * of the game, hand over the lead, leave. An incoming invite opens the
+ * panel with an accept button. State comes from the server `partyUpdate`
+ * (see NetworkManager.handlePartyUpdate); text is always rendered with
+ * textContent.
+ */
+
+const PARTY_CODE_LENGTH = 6;
+
+class PartyPanel {
+  constructor() {
+    this.isOpen = false;
+    this.party = null;
+    this.invite = null;
+    this._el = null;
+    this._body = null;
+    this._status = null;
+    this._onKeydown = this._onKeydown.bind(this);
+    this._init();
+  }
+
+  _init() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this._setup());
+    } else {
+      this._setup();
+    }
+  }
+
+  _setup() {
+    this._buildDOM();
+    document.addEventListener('keydown', this._onKeydown);
+    document.addEventListener('party_update', (e) => {
+      this.party = e.detail;
+      this.invite = null;
+      this._setStatus('');
+      this.render();
+    });
+    document.addEventListener('party_invite', (e) => {
+      this.invite = e.detail;
+      this.open();
+    });
+    document.addEventListener('party_error', (e) => this._setStatus(e.detail && e.detail.message));
+  }
+
+  _buildDOM() {
+    const panel = document.createElement('div');
+    panel.id = 'party-panel';
+
+    const title = document.createElement('div');
+    title.className = 'party-title';
+    title.textContent = '👥 Groupe (G)';
+
+    const body = document.createElement('div');
+    body.className = 'party-body';
+
+    const status = document.createElement('div');
+    status.className = 'party-status';
+
+    panel.appendChild(title);
+    panel.appendChild(body);
+    panel.appendChild(status);
+    document.body.appendChild(panel);
+
+    this._el = panel;
+    this._body = body;
+    this._status = status;
+  }
+
+  _network() {
+    return window.networkManager || null;
+  }
+
+  _localPlayerId() {
+    return window.gameState ? window.gameState.playerId : null;
+  }
+
+  _onKeydown(e) {
+    if ((e.key !== 'g' && e.key !== 'G') || e.repeat) {
+      return;
+    }
+    const ae = document.activeElement;
+    if (ae && (ae.tagName === 'INPUT' || ae.tagName === 'TEXTAREA' || ae.isContentEditable)) {
+      return;
+    }
+    e.preventDefault();
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (!this._el) {
+      return;
+    }
+    this._el.classList.add('open');
+    this.isOpen = true;
+    this.render();
+  }
+
+  close() {
+    if (!this._el) {
+      return;
+    }
+    this._el.classList.remove('open');
+    this.isOpen = false;
+  }
+
+  _setStatus(message) {
+    if (this._status) {
+      this._status.textContent = message || '';
+    }
+  }
+
+  _button(label, onClick, className = '') {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'party-btn' + (className ? ' ' + className : '');
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  render() {
+    if (!this._body || !this.isOpen) {
+      return;
+    }
+    this._body.textContent = '';
+    if (this.invite) {
+      this._renderInvite();
+    }
+    if (this.party) {
+      this._renderParty();
+    } else {
+      this._renderNoParty();
+    }
+  }
+
+  _renderInvite() {
+    const invite = this.invite;
+    const row = document.createElement('div');
+    row.className = 'party-invite';
+    row.textContent = `${invite.fromNickname || '?'} vous invite dans son groupe. `;
+    row.appendChild(this._button('Accepter', () => {
+      const network = this._network();
+      if (network) {
+        network.acceptPartyInvite(invite.code);
+      }
+      this.invite = null;
+      this.render();
+    }));
+    row.appendChild(this._button('Ignorer', () => {
+      this.invite = null;
+      this.render();
+    }, 'secondary'));
+    this._body.appendChild(row);
+  }
+
+  _renderNoParty() {
+    const network = this._network();
+    this._body.appendChild(this._button('Créer un groupe', () => network && network.createParty()));
+
+    const form = document.createElement('form');
+    form.className = 'party-join';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'party-code-input';
+    input.maxLength = PARTY_CODE_LENGTH;
+    input.placeholder = 'Code';
+    input.autocomplete = 'off';
+    form.appendChild(input);
+    form.appendChild(this._button('Rejoindre', () => form.requestSubmit()));
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const code = input.value.trim().toUpperCase();
+      if (code.length === PARTY_CODE_LENGTH && network) {
+        network.acceptPartyInvite(code);
+      }
+    });
+    this._body.appendChild(form);
+  }
+
+  _renderParty() {
+    const network = this._network();
+    const party = this.party;
+    const localId = this._localPlayerId();
+    const isLeader = party.leaderId !== null && party.leaderId === localId;
+
+    const code = document.createElement('div');
+    code.className = 'party-code';
+    code.textContent = `Code : ${party.code}`;
+    this._body.appendChild(code);
+
+    const list = document.createElement('ul');
+    list.className = 'party-members';
+    const memberIds = new Set();
+    for (const member of party.members) {
+      memberIds.add(member.id);
+      const item = document.createElement('li');
+      item.className = member.online ? '' : 'offline';
+      item.textContent = `${member.leader ? '👑 ' : ''}${member.nickname || '?'}${member.online ? '' : ' (déconnecté)'}`;
+      if (isLeader && member.online && member.id !== localId) {
+        item.appendChild(this._button('Chef', () => network && network.transferPartyLeader(member.id), 'small'));
+      }
+      list.appendChild(item);
+    }
+    this._body.appendChild(list);
+
+    // Players of this game who can be invited
+    const players = window.gameState && window.gameState.state ? window.gameState.state.players : {};
+    const invitable = Object.entries(players).filter(([id, p]) => p.hasNickname && !memberIds.has(id));
+    if (invitable.length > 0) {
+      const title = document.createElement('div');
+      title.className = 'party-subtitle';
+      title.textContent = 'Inviter';
+      this._body.appendChild(title);
+      for (const [id, p] of invitable.slice(0, 8)) {
+        const row = document.createElement('div');
+        row.className = 'party-invitable';
+        row.textContent = p.nickname || '?';
+        row.appendChild(this._button('+', () => {
+          if (network) {
+            network.inviteToParty(id);
+          }
+          this._setStatus(`Invitation envoyée à ${p.nickname || '?'}.`);
+        }, 'small'));
+        this._body.appendChild(row);
+      }
+    }
+
+    this._body.appendChild(this._button('Quitter le groupe', () => network && network.leaveParty(), 'danger'));
+  }
+}
+
+// CSS injection
+(function injectPartyStyles() {
+  const style = document.createElement('style');
+  style.textContent = [
+    '#party-panel {',
+    '  display: none; position: fixed; right: 12px; top: 200px; width: 240px; z-index: 8600;',
+    '  background: rgba(15,23,42,0.92); border: 1px solid #0e7490; border-radius: 6px;',
+    '  padding: 8px; font-family: sans-serif; font-size: 13px; color: #f1f5f9;',
+    '}',
+    '#party-panel.open { display: block; }',
+    '.party-title { font-weight: bold; color: #22e5ff; margin-bottom: 6px; }',
+    '.party-code { font-family: monospace; font-size: 15px; margin-bottom: 6px; letter-spacing: 2px; }',
+    '.party-members { list-style: none; margin: 0 0 6px; padding: 0; }',
+    '.party-members li { display: flex; justify-content: space-between; align-items: center; padding: 2px 0; }',
+    '.party-members li.offline { color: #94a3b8; font-style: italic; }',
+    '.party-subtitle { color: #94a3b8; margin: 6px 0 2px; }',
+    '.party-invitable { display: flex; justify-content: space-between; align-items: center; padding: 1px 0; }',
+    '.party-invite { background: rgba(8,51,68,0.9); border-radius: 4px; padding: 4px; margin-bottom: 6px; }',
+    '.party-join { display: flex; gap: 4px; margin-top: 6px; }',
+    '.party-code-input {',
+    '  flex: 1; background: rgba(2,6,23,0.9); color: #f1f5f9; text-transform: uppercase;',
+    '  border: 1px solid #334155; border-radius: 4px; padding: 4px 6px;',
+    '}',
+    '.party-btn {',
+    '  background: #0e7490; color: #fff; border: none; border-radius: 4px;',
+    '  padding: 4px 8px; cursor: pointer; font-size: 12px; margin: 2px;',
+    '}',
+    '.party-btn.small { padding: 1px 6px; }',
+    '.party-btn.secondary { background: #334155; }',
+    '.party-btn.danger { background: #991b1b; }',
+    '.party-status { color: #fca5a5; min-height: 14px; margin-top: 4px; font-size: 12px; }'
+  ].join('\n');
+  document.head.appendChild(style);
+}());
+
+window.partyPanel = new PartyPanel();
@@ -1,18 +1,27 @@
 /**
- * RISK / REWARD SYSTEM - Optional altar challenges mid-run.
- * @version 1.0.0
+ * RISK / REWARD SYSTEM - Altar challenges HUD.
+ * Altars are room entities run by the server (lib/server/AltarManager): a
+ * player standing on one starts its timed challenge, the server tracks it and
+ * applies the reward or the curse. This only shows the running challenge and
+ * its outcome.
+ * @version 2.0.0
  */
 
 (function() {
   'use strict';
 
+  // Failure reasons sent by the server (altarChallengeEnded.reason)
+  const FAILURE_REASONS = {
+    damaged: 'dégâts subis',
+    timeout: 'temps écoulé',
+    player_down: 'joueur à terre'
+  };
+
   class RiskRewardSystem {
     constructor() {
       this.activeChallenge = null;
-      this.pendingOffer = null;
-      this.modal = null;
       this.statusPill = null;
-      this.offerTimeout = null;
+      this.tickTimer = null;
       this.init();
     }
 
@@ -30,24 +39,6 @@
     }
 
     createUI() {
-      if (!document.getElementById('altar-modal')) {
-        const modal = document.createElement('div');
-        modal.id = 'altar-modal';
-        modal.className = 'altar-modal';
-        modal.innerHTML = `
-          <div class="altar-card">
-            <div class="altar-title">⚖️ Autel du risque</div>
-            <div class="altar-desc"></div>
-            <div class="altar-tags"></div>
-            <div class="altar-actions">
-              <button class="altar-accept">Accepter</button>
-              <button class="altar-decline">Refuser</button>
-            </div>
-          </div>
-        `;
-        document.body.appendChild(modal);
-      }
-
       if (!document.getElementById('altar-status')) {
         const status = document.createElement('div');
         status.id = 'altar-status';
@@ -56,18 +47,7 @@
         document.body.appendChild(status);
       }
 
-      this.modal = document.getElementById('altar-modal');
       this.statusPill = document.getElementById('altar-status');
-
-      const acceptBtn = this.modal?.querySelector('.altar-accept');
-      const declineBtn = this.modal?.querySelector('.altar-decline');
-
-      if (acceptBtn) {
-        acceptBtn.addEventListener('click', () => this.acceptOffer());
-      }
-      if (declineBtn) {
-        declineBtn.addEventListener('click', () => this.declineOffer());
-      }
     }
 
     bindEvents() {
@@ -79,178 +59,69 @@
         }
       };
 
-      safeAdd(document, 'wave_changed', (e) => {
-        const wave = e.detail?.wave || 1;
-        this.maybeOffer(wave);
-        this.updateProgress('no_damage_waves', 1);
-      });
-      safeAdd(document, 'zombie_killed', () => this.updateProgress('kills', 1));
-      safeAdd(document, 'player_damage', () => this.failOnDamage());
-      safeAdd(document, 'boss_defeated', () => this.updateProgress('boss', 1));
+      safeAdd(document, 'altar_challenge_started', (e) => this.onStarted(e.detail));
+      safeAdd(document, 'altar_challenge_progress', (e) => this.onProgress(e.detail));
+      safeAdd(document, 'altar_challenge_ended', (e) => this.onEnded(e.detail));
       safeAdd(document, 'game_over', () => this.reset());
     }
 
-    maybeOffer(wave) {
-      if (this.activeChallenge || this.pendingOffer) {
-        return;
-      }
-
-      if (wave < 5 || wave % 5 !== 0) {
-        return;
-      }
-
-      if (Math.random() > 0.7) {
-        return;
-      }
-
-      const offer = this.pickOffer();
-      this.pendingOffer = offer;
-      this.showOffer(offer, wave);
-    }
-
-    pickOffer() {
-      const offers = [
-        {
-          id: 'no_damage',
-          title: 'Sans une égratignure',
-          description: 'Survivez 3 vagues sans prendre de dégâts.',
-          tags: ['Risque: 1 hit = échec', 'Récompense: +12 💎'],
-          goal: { type: 'no_damage_waves', target: 3 },
-          reward: { gems: 12 }
-        },
-        {
-          id: 'kill_rush',
-          title: 'Massacre express',
-          description: 'Tuez 150 zombies pour récolter le pacte.',
-          tags: ['Risque: tempo élevé', 'Récompense: +10 💎'],
-          goal: { type: 'kills', target: 150 },
-          reward: { gems: 10 }
-        },
-        {
-          id: 'boss_hunt',
-          title: 'Chasseur de boss',
-          description: 'Éliminez un boss avant la fin de la vague.',
-          tags: ['Risque: boss prioritaire', 'Récompense: +14 💎'],
-          goal: { type: 'boss', target: 1 },
-          reward: { gems: 14 }
-        }
-      ];
-
-      return offers[Math.floor(Math.random() * offers.length)];
-    }
-
-    showOffer(offer, wave) {
-      if (!this.modal) {
-        return;
-      }
-
-      const desc = this.modal.querySelector('.altar-desc');
-      const tags = this.modal.querySelector('.altar-tags');
-
-      if (desc) {
-        desc.textContent = `${offer.description} (Vague ${wave})`;
-      }
-
-      if (tags) {
-        tags.innerHTML = offer.tags.map(tag => `<span class="altar-tag">${tag}</span>`).join('');
-      }
-
-      this.modal.classList.add('active');
-      this.playSound('hover');
-
-      if (this.offerTimeout) {
-        clearTimeout(this.offerTimeout);
-      }
-
-      this.offerTimeout = setTimeout(() => {
-        this.declineOffer();
-      }, 15000);
-    }
-
-    acceptOffer() {
-      if (!this.pendingOffer) {
+    onStarted(data) {
+      if (!data) {
         return;
       }
 
       this.activeChallenge = {
-        ...this.pendingOffer,
-        progress: 0,
-        failed: false
+        ...data,
+        kills: 0,
+        endsAt: Date.now() + data.durationMs
       };
-      this.pendingOffer = null;
-      this.hideOffer();
+      this.startTicking();
       this.updateStatus();
       this.playSound('click');
-    }
 
-    declineOffer() {
-      this.pendingOffer = null;
-      this.hideOffer();
-      this.playSound('click');
+      const who = this.isLocalPlayer(data.playerId) ? 'Pacte accepté' : 'Un allié a accepté un pacte';
+      this.toast(`⚖️ ${who} : ${data.name} — ${data.description}`, 'info', 4000);
     }
 
-    hideOffer() {
-      if (this.modal) {
-        this.modal.classList.remove('active');
-      }
-      if (this.offerTimeout) {
-        clearTimeout(this.offerTimeout);
-        this.offerTimeout = null;
-      }
-    }
-
-    updateProgress(type, amount) {
-      if (!this.activeChallenge || this.activeChallenge.failed) {
+    onProgress(data) {
+      if (!this.activeChallenge || !data || data.altarId !== this.activeChallenge.altarId) {
         return;
       }
+      this.activeChallenge.kills = data.kills;
+      this.updateStatus();
+    }
 
-      if (this.activeChallenge.goal.type !== type) {
+    onEnded(data) {
+      const challenge = this.activeChallenge;
+      this.reset();
+      if (!challenge || !data || data.reason === 'room_changed') {
         return;
       }
 
-      this.activeChallenge.progress += amount;
-      if (this.activeChallenge.progress >= this.activeChallenge.goal.target) {
-        this.completeChallenge();
+      if (data.success) {
+        const gold = data.gold > 0 ? ` (+${data.gold} or)` : '';
+        this.toast(`🎉 Pacte rempli : ${challenge.name}${gold}`, 'success', 3500);
+        this.playSound('reward');
       } else {
-        this.updateStatus();
+        const reason = FAILURE_REASONS[data.reason] || 'échec';
+        this.toast(`💥 Pacte échoué : ${challenge.name} (${reason}) — malédiction !`, 'warning', 3500);
       }
     }
 
-    failOnDamage() {
-      if (!this.activeChallenge || this.activeChallenge.failed) {
-        return;
-      }
-
-      if (this.activeChallenge.goal.type !== 'no_damage_waves') {
-        return;
-      }
-
-      const failedTitle = this.activeChallenge.title;
-      this.activeChallenge.failed = true;
-      this.activeChallenge = null;
-      this.updateStatus();
-      if (window.toastManager) {
-        window.toastManager.show({ message: `💥 Pacte échoué: ${failedTitle}`, type: 'warning', duration: 3000 });
-      }
+    isLocalPlayer(playerId) {
+      return Boolean(window.gameState && window.gameState.playerId === playerId);
     }
 
-    completeChallenge() {
-      const challenge = this.activeChallenge;
-      if (!challenge) {
-        return;
-      }
-
-      if (challenge.reward?.gems && window.gemSystem) {
-        window.gemSystem.addGems(challenge.reward.gems, 'Pacte risqué');
-      }
+    startTicking() {
+      this.stopTicking();
+      this.tickTimer = setInterval(() => this.updateStatus(), 250);
+    }
 
-      if (window.toastManager) {
-        window.toastManager.show({ message: `🎉 Pacte rempli: ${challenge.title}`, type: 'success', duration: 3500 });
+    stopTicking() {
+      if (this.tickTimer) {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
       }
-
-      this.playSound('reward');
-      this.activeChallenge = null;
-      this.updateStatus();
     }
 
     updateStatus() {
@@ -263,13 +134,19 @@
         return;
       }
 
-      const goal = this.activeChallenge.goal;
-      const progress = Math.min(this.activeChallenge.progress, goal.target);
-      const status = this.activeChallenge.failed ? 'Échec' : `${progress}/${goal.target}`;
-      this.statusPill.textContent = `⚖️ ${this.activeChallenge.title} • ${status}`;
+      const challenge = this.activeChallenge;
+      const seconds = Math.max(0, Math.ceil((challenge.endsAt - Date.now()) / 1000));
+      const progress = challenge.target ? ` • ${Math.min(challenge.kills, challenge.target)}/${challenge.target}` : '';
+      this.statusPill.textContent = `${challenge.icon} ${challenge.name}${progress} • ${seconds}s`;
       this.statusPill.style.display = 'block';
     }
 
+    toast(message, type, duration) {
+      if (window.toastManager) {
+        window.toastManager.show({ message, type, duration });
+      }
+    }
+
     playSound(type = 'click') {
       const audio = window.advancedAudio || window.audioManager;
       if (audio && audio.playSound) {
@@ -278,9 +155,8 @@
     }
 
     reset() {
-      this.pendingOffer = null;
       this.activeChallenge = null;
-      this.hideOffer();
+      this.stopTicking();
       this.updateStatus();
     }
   }
@@ -1,7 +1,8 @@
 /**
  * SKIN SYSTEM
  * Player and weapon customization system
- * @version 1.0.0
+ * Owned/equipped skins are stored server-side (/api/v1/skins)
+ * @version 2.0.0
  */
 
 /* ============================================
@@ -347,92 +348,96 @@ class SkinManager {
     this.currentWeaponSkin = 'default';
     this.renderer = new SkinRenderer();
 
-    this.loadFromLocalStorage();
+    this.syncFromServer();
+    window.addEventListener('auth:login', () => this.syncFromServer());
   }
 
   /**
-   * Charge les skins debloques depuis storageManager
+   * Requete vers /api/v1/skins/:playerId (null hors session)
    */
-  loadFromLocalStorage() {
-    try {
-      const data = storageManager.get('zombie_skins');
-      if (data) {
-        // Debloquer les skins sauvegardes
-        if (data.unlockedPlayerSkins) {
-          data.unlockedPlayerSkins.forEach(skinId => {
-            if (this.playerSkins[skinId]) {
-              this.playerSkins[skinId].unlocked = true;
-            }
-          });
-        }
-
-        if (data.unlockedWeaponSkins) {
-          data.unlockedWeaponSkins.forEach(skinId => {
-            if (this.weaponSkins[skinId]) {
-              this.weaponSkins[skinId].unlocked = true;
-            }
-          });
-        }
-
-        // Charger les skins equipes
-        if (data.currentPlayerSkin && this.playerSkins[data.currentPlayerSkin]) {
-          this.currentPlayerSkin = data.currentPlayerSkin;
-        }
-
-        if (data.currentWeaponSkin && this.weaponSkins[data.currentWeaponSkin]) {
-          this.currentWeaponSkin = data.currentWeaponSkin;
-        }
-      }
-    } catch (e) {
-      console.error('Error loading skins:', e);
+  _api(path = '', options) {
+    const auth = window.authManager;
+    const playerId = auth?.getPlayer?.()?.id;
+    if (!playerId || !auth.apiRequest) {
+      return Promise.resolve(null);
     }
+    return auth.apiRequest(`/api/v1/skins/${playerId}${path}`, options);
+  }
+
+  /**
+   * Applique la collection renvoyee par le serveur ({ owned, equipped })
+   */
+  applyCollection({ owned, equipped }) {
+    Object.values(this.playerSkins).forEach(skin => {
+      skin.unlocked = skin.id === 'default' || owned.player.includes(skin.id);
+    });
+    Object.values(this.weaponSkins).forEach(skin => {
+      skin.unlocked = skin.id === 'default' || owned.weapon.includes(skin.id);
+    });
+    this.currentPlayerSkin = this.playerSkins[equipped.player] ? equipped.player : 'default';
+    this.currentWeaponSkin = this.weaponSkins[equipped.weapon] ? equipped.weapon : 'default';
   }
 
   /**
-   * Sauvegarde les skins via storageManager
+   * Charge les skins possedes et equipes depuis le serveur
+   * @returns {Promise<boolean>}
    */
-  saveToLocalStorage() {
-    try {
-      const unlockedPlayerSkins = Object.keys(this.playerSkins).filter(
-        id => this.playerSkins[id].unlocked
-      );
-
-      const unlockedWeaponSkins = Object.keys(this.weaponSkins).filter(
-        id => this.weaponSkins[id].unlocked
-      );
-
-      const data = {
-        unlockedPlayerSkins,
-        unlockedWeaponSkins,
-        currentPlayerSkin: this.currentPlayerSkin,
-        currentWeaponSkin: this.currentWeaponSkin
-      };
-
-      storageManager.set('zombie_skins', data);
-    } catch (e) {
-      console.error('Error saving skins:', e);
+  async syncFromServer() {
+    const res = await this._api();
+    if (!res?.success) {
+      return false;
     }
+    this.applyCollection(res.data);
+    return true;
+  }
+
+  /**
+   * Achete un skin avec des gems (debit et attribution cote serveur)
+   * @param {'player'|'weapon'} type
+   * @param {string} skinId
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async purchaseSkin(type, skinId) {
+    const res = await this._api('/purchase', { method: 'POST', body: { type, skinId } });
+    if (!res?.success) {
+      return { success: false, error: res?.message || 'Serveur indisponible' };
+    }
+    this.applyCollection(res.data);
+    if (window.gemSystem) {
+      window.gemSystem.gems = res.data.balance;
+      window.gemSystem.updateGemDisplay();
+    }
+    return { success: true };
+  }
+
+  /**
+   * Enregistre l'equipement cote serveur ; resynchronise en cas de refus
+   */
+  _persistEquip(type, skinId) {
+    this._api('/equip', { method: 'POST', body: { type, skinId } }).then(res => {
+      if (res && !res.success) {
+        this.syncFromServer();
+      }
+    });
   }
 
   /**
-   * Débloque un skin de joueur
+   * Débloque un skin de joueur pour la session (recompense locale, non persistee)
    */
   unlockPlayerSkin(skinId) {
     if (this.playerSkins[skinId]) {
       this.playerSkins[skinId].unlocked = true;
-      this.saveToLocalStorage();
       return true;
     }
     return false;
   }
 
   /**
-   * Débloque un skin d'arme
+   * Débloque un skin d'arme pour la session (recompense locale, non persistee)
    */
   unlockWeaponSkin(skinId) {
     if (this.weaponSkins[skinId]) {
       this.weaponSkins[skinId].unlocked = true;
-      this.saveToLocalStorage();
       return true;
     }
     return false;
@@ -444,7 +449,7 @@ class SkinManager {
   equipPlayerSkin(skinId) {
     if (this.playerSkins[skinId] && this.playerSkins[skinId].unlocked) {
       this.currentPlayerSkin = skinId;
-      this.saveToLocalStorage();
+      this._persistEquip('player', skinId);
       return true;
     }
     return false;
@@ -456,7 +461,7 @@ class SkinManager {
   equipWeaponSkin(skinId) {
     if (this.weaponSkins[skinId] && this.weaponSkins[skinId].unlocked) {
       this.currentWeaponSkin = skinId;
-      this.saveToLocalStorage();
+      this._persistEquip('weapon', skinId);
       return true;
     }
     return false;
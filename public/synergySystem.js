@@ -1,6 +1,10 @@
 /**
  * SYNERGY SYSTEM - Système de synergies d'upgrades
- * @version 1.0.0
+ * @version 2.0.0
+ *
+ * Le serveur détecte et applique les synergies (lib/server/config/SynergyConfig.js,
+ * lib/server/SynergyRegistry.js) ; ce module suit les upgrades choisis et
+ * affiche celles que le serveur annonce via `synergyUnlocked`.
  */
 
 class SynergySystem {
@@ -8,203 +12,67 @@ class SynergySystem {
     this.activeSynergies = [];
     this.currentUpgrades = [];
     this.synergies = this.initializeSynergies();
+    document.addEventListener('synergy_unlocked', e => this.onServerUnlock(e.detail));
   }
 
-  // Définir toutes les synergies possibles
+  // Miroir de SynergyConfig (serveur) : `requires` = clés de LEVEL_UP_UPGRADES
   initializeSynergies() {
     return [
       {
         id: 'missile_barrage',
         name: '🚀 Missile Barrage',
         description: 'Les explosions ont +50% de rayon',
-        requires: ['explosiveRounds', 'multishot'],
-        effect: {
-          type: 'explosion_radius',
-          multiplier: 1.5
-        },
+        requires: ['explosiveRounds', 'extraBullets'],
         rarity: 'epic',
         icon: '🚀💥'
       },
       {
         id: 'assassins_mark',
         name: '🎯 Marque de l\'Assassin',
-        description: 'Les critiques percent +3 ennemis supplémentaires',
-        requires: ['piercingBullets', 'criticalStrike'],
-        effect: {
-          type: 'crit_pierce',
-          bonus: 3
-        },
+        description: 'Les critiques percent 3 ennemis supplémentaires',
+        requires: ['bulletPiercing', 'criticalChance'],
         rarity: 'epic',
         icon: '🎯⚡'
       },
       {
         id: 'vampire_tank',
         name: '🧛 Tank Vampire',
-        description: 'Double le vol de vie et les dégâts de thorns',
+        description: 'Double le vol de vie et les dégâts des épines',
         requires: ['lifeSteal', 'thorns'],
-        effect: {
-          type: 'lifesteal_thorns_boost',
-          multiplier: 2
-        },
         rarity: 'legendary',
         icon: '🧛🛡️'
       },
       {
-        id: 'sentry_network',
-        name: '🤖 Réseau de Sentinelles',
-        description: 'Déploie 2 tourelles au lieu d\'une',
-        requires: ['autoTurret', 'fireRate'],
-        effect: {
-          type: 'extra_turret',
-          count: 1
-        },
-        rarity: 'legendary',
-        icon: '🤖🤖'
+        id: 'healing_aura',
+        name: '✨ Aura de Soin',
+        description: 'Chaque kill rend 5 PV',
+        requires: ['regeneration', 'lifeSteal'],
+        rarity: 'rare',
+        icon: '✨💚'
       },
       {
         id: 'rapid_regeneration',
         name: '💚 Régénération Rapide',
         description: 'La régénération est 3x plus rapide',
-        requires: ['regeneration', 'maxHealth'],
-        effect: {
-          type: 'regen_speed',
-          multiplier: 3
-        },
+        requires: ['regeneration', 'healthBoost'],
         rarity: 'rare',
         icon: '💚⚡'
       },
       {
         id: 'bullet_storm',
         name: '⛈️ Tempête de Balles',
-        description: 'Tir rapide + multishot = cadence encore +30%',
-        requires: ['fireRate', 'multishot'],
-        effect: {
-          type: 'fire_rate',
-          bonus: 0.3
-        },
+        description: 'Cadence de tir encore +30%',
+        requires: ['fireRateBoost', 'extraBullets'],
         rarity: 'epic',
         icon: '⛈️💨'
-      },
-      {
-        id: 'explosive_pierce',
-        name: '💥 Perçage Explosif',
-        description: 'Chaque ennemi percé déclenche une explosion',
-        requires: ['piercingBullets', 'explosiveRounds'],
-        effect: {
-          type: 'pierce_explosion',
-          enabled: true
-        },
-        rarity: 'legendary',
-        icon: '💥🔫'
-      },
-      {
-        id: 'critical_dodge',
-        name: '⚡ Esquive Critique',
-        description: 'Après une esquive, +100% chance de crit pendant 2s',
-        requires: ['dodge', 'criticalStrike'],
-        effect: {
-          type: 'dodge_crit_buff',
-          duration: 2000,
-          critBonus: 1.0
-        },
-        rarity: 'epic',
-        icon: '⚡💥'
-      },
-      {
-        id: 'speed_demon',
-        name: '👹 Démon de Vitesse',
-        description: 'Vitesse + Esquive = +20% vitesse et +5% esquive',
-        requires: ['speed', 'dodge'],
-        effect: {
-          type: 'speed_dodge_boost',
-          speedBonus: 0.2,
-          dodgeBonus: 0.05
-        },
-        rarity: 'rare',
-        icon: '👹💨'
-      },
-      {
-        id: 'healing_aura',
-        name: '✨ Aura de Soin',
-        description: 'Régénération + Vol de vie = soigne aussi sur kill',
-        requires: ['regeneration', 'lifeSteal'],
-        effect: {
-          type: 'kill_heal',
-          healAmount: 5
-        },
-        rarity: 'rare',
-        icon: '✨💚'
-      },
-      {
-        id: 'glass_cannon',
-        name: '💎 Canon de Verre',
-        description: 'Dégâts + Crit = +50% dégâts mais -20% vie max',
-        requires: ['damage', 'criticalStrike'],
-        effect: {
-          type: 'glass_cannon',
-          damageBonus: 0.5,
-          healthPenalty: 0.2
-        },
-        rarity: 'epic',
-        icon: '💎💥'
-      },
-      {
-        id: 'fortress',
-        name: '🏰 Forteresse',
-        description: 'Vie max + Thorns = +30% vie max et +50% thorns',
-        requires: ['maxHealth', 'thorns'],
-        effect: {
-          type: 'fortress',
-          healthBonus: 0.3,
-          thornsBonus: 0.5
-        },
-        rarity: 'rare',
-        icon: '🏰🛡️'
-      },
-      {
-        id: 'goldmancer',
-        name: '💰 Goldmancer',
-        description: 'Rayon d\'or + Vol de vie = gagne de l\'or en soignant',
-        requires: ['goldMagnet', 'lifeSteal'],
-        effect: {
-          type: 'gold_on_heal',
-          goldPerHeal: 2
-        },
-        rarity: 'rare',
-        icon: '💰✨'
-      },
-      {
-        id: 'turret_barrage',
-        name: '🎯 Barrage Automatique',
-        description: 'Tourelle + Explosions = les tourelles tirent des explosifs',
-        requires: ['autoTurret', 'explosiveRounds'],
-        effect: {
-          type: 'explosive_turret',
-          enabled: true
-        },
-        rarity: 'legendary',
-        icon: '🎯💥'
-      },
-      {
-        id: 'unstoppable',
-        name: '💪 Imparable',
-        description: 'Vitesse + Dégâts + Vie = +15% tous les stats',
-        requires: ['speed', 'damage', 'maxHealth'],
-        effect: {
-          type: 'all_stats_boost',
-          bonus: 0.15
-        },
-        rarity: 'legendary',
-        icon: '💪⭐'
       }
     ];
   }
 
-  // Ajouter un upgrade à la liste courante
+  // Ajouter un upgrade à la liste courante (suivi des synergies proches)
   addUpgrade(upgradeId) {
     if (!this.currentUpgrades.includes(upgradeId)) {
       this.currentUpgrades.push(upgradeId);
-      this.checkSynergies();
     }
   }
 
@@ -213,7 +81,6 @@ class SynergySystem {
     const index = this.currentUpgrades.indexOf(upgradeId);
     if (index > -1) {
       this.currentUpgrades.splice(index, 1);
-      this.checkSynergies();
     }
   }
 
@@ -223,28 +90,20 @@ class SynergySystem {
     this.activeSynergies = [];
   }
 
-  // Vérifier les synergies
-  checkSynergies() {
-    const newSynergies = [];
-
-    for (const synergy of this.synergies) {
-      // Vérifier si déjà activée
-      if (this.activeSynergies.find(s => s.id === synergy.id)) {
-        continue;
-      }
-
-      // Vérifier si tous les prérequis sont présents
-      const hasAllRequirements = synergy.requires.every(req =>
-        this.currentUpgrades.includes(req)
-      );
-
-      if (hasAllRequirements) {
-        this.activateSynergy(synergy);
-        newSynergies.push(synergy);
-      }
+  // Synergie débloquée par le serveur (événement `synergyUnlocked`)
+  onServerUnlock(data) {
+    if (!data || !data.synergyId || this.isSynergyActive(data.synergyId)) {
+      return;
     }
-
-    return newSynergies;
+    const known = this.synergies.find(s => s.id === data.synergyId);
+    this.activateSynergy(known || {
+      id: data.synergyId,
+      name: data.name,
+      description: data.description,
+      requires: data.requires || [],
+      rarity: data.rarity,
+      icon: data.icon
+    });
   }
 
   // Activer une synergie
@@ -310,107 +169,11 @@ class SynergySystem {
     return this.activeSynergies;
   }
 
-  // Obtenir les effets actifs
-  getEffects() {
-    return this.activeSynergies.map(s => s.effect);
-  }
-
   // Vérifier si une synergie est active
   isSynergyActive(synergyId) {
     return this.activeSynergies.some(s => s.id === synergyId);
   }
 
-  // Appliquer les effets au joueur (à appeler depuis le jeu)
-  applyEffects(player) {
-    for (const synergy of this.activeSynergies) {
-      const effect = synergy.effect;
-
-      switch (effect.type) {
-      case 'explosion_radius':
-        if (player.explosionRadius) {
-          player.explosionRadius *= effect.multiplier;
-        }
-        break;
-
-      case 'crit_pierce':
-        if (player.critPierceBonus !== undefined) {
-          player.critPierceBonus = (player.critPierceBonus || 0) + effect.bonus;
-        }
-        break;
-
-      case 'lifesteal_thorns_boost':
-        if (player.lifeSteal) {
-          player.lifeSteal *= effect.multiplier;
-        }
-        if (player.thorns) {
-          player.thorns *= effect.multiplier;
-        }
-        break;
-
-      case 'extra_turret':
-        if (player.turretCount !== undefined) {
-          player.turretCount = (player.turretCount || 1) + effect.count;
-        }
-        break;
-
-      case 'regen_speed':
-        if (player.regeneration) {
-          player.regeneration *= effect.multiplier;
-        }
-        break;
-
-      case 'fire_rate':
-        if (player.fireRateBonus !== undefined) {
-          player.fireRateBonus = (player.fireRateBonus || 0) + effect.bonus;
-        }
-        break;
-
-      case 'speed_dodge_boost':
-        if (player.speed) {
-          player.speed *= (1 + effect.speedBonus);
-        }
-        if (player.dodgeChance !== undefined) {
-          player.dodgeChance = (player.dodgeChance || 0) + effect.dodgeBonus;
-        }
-        break;
-
-      case 'glass_cannon':
-        if (player.damage) {
-          player.damage *= (1 + effect.damageBonus);
-        }
-        if (player.maxHealth) {
-          player.maxHealth *= (1 - effect.healthPenalty);
-        }
-        break;
-
-      case 'fortress':
-        if (player.maxHealth) {
-          player.maxHealth *= (1 + effect.healthBonus);
-        }
-        if (player.thorns) {
-          player.thorns *= (1 + effect.thornsBonus);
-        }
-        break;
-
-      case 'all_stats_boost':
-        if (player.speed) {
-          player.speed *= (1 + effect.bonus);
-        }
-        if (player.damage) {
-          player.damage *= (1 + effect.bonus);
-        }
-        if (player.maxHealth) {
-          player.maxHealth *= (1 + effect.bonus);
-        }
-        break;
-
-        // Les autres effets seront gérés dans le code principal du jeu
-      }
-    }
-
-    return player;
-  }
-
   // Créer l'UI des synergies (panneau d'information)
   createSynergyUI() {
     const container = document.createElement('div');
@@ -474,19 +237,14 @@ class SynergySystem {
   getUpgradeName(upgradeId) {
     const names = {
       explosiveRounds: 'Balles Explosives',
-      multishot: 'Tir Multiple',
-      piercingBullets: 'Balles Perçantes',
-      criticalStrike: 'Coup Critique',
+      extraBullets: 'Balles Supplémentaires',
+      bulletPiercing: 'Balles Perforantes',
+      criticalChance: 'Coup Critique',
       lifeSteal: 'Vol de Vie',
       thorns: 'Épines',
-      autoTurret: 'Tourelle Auto',
-      fireRate: 'Cadence de Tir',
       regeneration: 'Régénération',
-      maxHealth: 'Vie Max',
-      speed: 'Vitesse',
-      dodge: 'Esquive',
-      damage: 'Dégâts',
-      goldMagnet: 'Aimant à Or'
+      healthBoost: 'Boost de Vie',
+      fireRateBoost: 'Cadence de Tir'
     };
 
     return names[upgradeId] || upgradeId;
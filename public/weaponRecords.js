@@ -1,6 +1,9 @@
 /**
  * WEAPON RECORDS - Track and display personal bests per weapon.
- * @version 1.0.0
+ * Shots, accuracy, kills and DPS per weapon come from the server
+ * (/api/v1/players/:id/weapons, recorded at each run end); the best
+ * wave/score per weapon stays in a local cache.
+ * @version 2.0.0
  */
 
 (function() {
@@ -10,6 +13,8 @@
     constructor() {
       this.storageKey = 'weapon_records_v1';
       this.records = this.load();
+      this.serverStats = {};
+      this.lastWeapon = null;
       this.container = null;
       this.init();
     }
@@ -18,6 +23,7 @@
       const ready = () => {
         this.ensureContainer();
         this.bindEvents();
+        this.syncFromServer();
       };
       if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', ready);
@@ -36,6 +42,27 @@
       };
 
       safeAdd(document, 'game_over', (e) => this.onGameOver(e.detail));
+      // The server flushes the run's weapon stats before announcing it
+      safeAdd(document, 'run_recorded', () => this.syncFromServer());
+      safeAdd(window, 'auth:login', () => this.syncFromServer());
+    }
+
+    async syncFromServer() {
+      const auth = window.authManager;
+      const playerId = auth?.getPlayer?.()?.id;
+      if (!playerId || !auth.apiRequest) {
+        return false;
+      }
+      const res = await auth.apiRequest(`/api/v1/players/${playerId}/weapons`);
+      if (!res || !Array.isArray(res.weapons)) {
+        return false;
+      }
+      this.serverStats = {};
+      res.weapons.forEach((stats) => {
+        this.serverStats[stats.weaponId] = stats;
+      });
+      this.render(this.lastWeapon);
+      return true;
     }
 
     ensureContainer() {
@@ -59,6 +86,7 @@
       }
 
       const weapon = stats.weapon || 'pistol';
+      this.lastWeapon = weapon;
       const record = this.records[weapon] || { bestWave: 0, bestScore: 0 };
       const prevBestWave = record.bestWave;
       const prevBestScore = record.bestScore;
@@ -112,11 +140,19 @@
         <div class="weapon-record-row">${this.formatWeapon(weapon)} • Vague ${data.bestWave} • Score ${this.formatNumber(data.bestScore)}</div>
       `).join('');
 
+      const serverLines = Object.values(this.serverStats)
+        .sort((a, b) => (b.kills || 0) - (a.kills || 0))
+        .slice(0, 3)
+        .map(stats => `
+          <div class="weapon-record-row">${this.formatWeapon(stats.weaponId)} • ${this.formatNumber(stats.kills)} kills • Précision ${Math.round((stats.accuracy || 0) * 100)}% • ${this.formatNumber(stats.dps)} DPS</div>
+        `).join('');
+
       this.container.innerHTML = `
         <div class="weapon-records-title">📌 Records d'armes</div>
         ${currentLine}
         ${bestLine}
         ${topLines}
+        ${serverLines}
       `;
     }
 
@@ -124,6 +160,11 @@
       return this.records[weapon] || null;
     }
 
+    /** Server totals of a weapon (shots, accuracy, kills, DPS), null if never fired. */
+    getServerStats(weapon) {
+      return this.serverStats[weapon] || null;
+    }
+
     getBestRecord() {
       let best = null;
       Object.entries(this.records).forEach(([weapon, data]) => {
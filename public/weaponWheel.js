@@ -1,10 +1,14 @@
 /**
  * @file weaponWheel.js
  * @description Radial weapon-selection wheel with keyboard, mouse-wheel and click support.
+ * The server owns the inventory: slots, ammo and the equipped weapon come from
+ * the `weaponInventory` push (document event `weapon_inventory`); selecting a
+ * slot or pressing R only sends a request.
  *
  * Public API:
  *   open() / close() / toggle()
  *   selectWeapon(index)
+ *   applyServerInventory(inventory)
  *   unlockWeapon(weaponId)
  *   updateAmmo(weaponId, ammo)
  *   getCurrentWeapon() → weapon object
@@ -13,23 +17,37 @@
  *   destroy()  — removes all listeners/observers
  */
 
+const WEAPON_WHEEL_ICONS = {
+  pistol: '🔫',
+  rifle: '🎯',
+  shotgun: '💥',
+  minigun: '🔥',
+  sniper: '🔭',
+  launcher: '🚀',
+  laser: '⚡',
+  flamethrower: '🌡️',
+  grenadeLauncher: '💣',
+  crossbow: '🏹',
+  chainLightning: '🌩️',
+  poisonDart: '🧪',
+  teslaCoil: '🌀',
+  iceCannon: '❄️',
+  plasmaRifle: '🔮'
+};
+
+const WEAPON_WHEEL_DEFAULTS = [
+  { id: 'pistol', name: 'Pistolet', icon: '🔫', unlocked: true, ammo: '∞' }
+];
+
 class WeaponWheel {
   constructor() {
     this.isOpen = false;
     this.currentWeaponIndex = 0;
     this.hoveredWeaponIndex = null;
+    this.reloadingUntil = 0;
 
-    // Default weapons configuration
-    this.weapons = [
-      { id: 1, name: 'Pistolet', icon: '🔫', unlocked: true, ammo: '∞' },
-      { id: 2, name: 'Fusil', icon: '🎯', unlocked: true, ammo: '30' },
-      { id: 3, name: 'Shotgun', icon: '💥', unlocked: true, ammo: '8' },
-      { id: 4, name: 'SMG', icon: '🔥', unlocked: false, ammo: '50' },
-      { id: 5, name: 'Sniper', icon: '🎲', unlocked: false, ammo: '10' },
-      { id: 6, name: 'Rocket', icon: '🚀', unlocked: false, ammo: '5' },
-      { id: 7, name: 'Laser', icon: '⚡', unlocked: false, ammo: '100' },
-      { id: 8, name: 'Flamethrower', icon: '🌡️', unlocked: false, ammo: '200' }
-    ];
+    // Replaced by the first server inventory push
+    this.weapons = WEAPON_WHEEL_DEFAULTS.map(w => ({ ...w }));
 
     this.init();
   }
@@ -45,11 +63,6 @@ class WeaponWheel {
   setup() {
     this.setupEventListeners();
     this.renderWeapons();
-    // Restore last selected weapon
-    const last = window.loadPref ? window.loadPref('pref_last_weapon', 0) : 0;
-    if (last > 0 && this.weapons[last]?.unlocked) {
-      this.currentWeaponIndex = last;
-    }
   }
 
   setupEventListeners() {
@@ -89,6 +102,15 @@ return;
         return;
       }
 
+      if (key === 'r') {
+        const gameOverEl = document.getElementById('game-over');
+        const gameOverOpen = gameOverEl?.style.display === 'flex' || gameOverEl?.style.display === 'block';
+        if (!gameOverOpen && window.networkManager) {
+          window.networkManager.reload();
+        }
+        return;
+      }
+
       if (key === 'e') {
         // Always allow closing even if other menus opened on top
         if (this.isOpen) {
@@ -136,6 +158,11 @@ return;
       this._observers.push(obs);
     });
 
+    // Authoritative inventory from the server
+    this._onInventory = (e) => this.applyServerInventory(e.detail);
+    document.addEventListener('weapon_inventory', this._onInventory);
+    this._listeners.push({ target: document, event: 'weapon_inventory', handler: this._onInventory });
+
     // Click overlay to close
     if (overlay) {
       overlay.addEventListener('click', () => this.close());
@@ -322,6 +349,7 @@ return;
     // Note: No resume needed as game wasn't paused
   }
 
+  // Ask the server to equip the slot; the wheel follows the next inventory push.
   selectWeapon(index) {
     const weapon = this.weapons[index];
 
@@ -329,39 +357,49 @@ return;
       return;
     }
 
-    this.currentWeaponIndex = index;
-    if (window.savePref) {
-window.savePref('pref_last_weapon', index);
-}
-
-    // Update selected class
-    const slots = document.querySelectorAll('.weapon-slot');
-    slots.forEach((slot, i) => {
-      if (i === index) {
-        slot.classList.add('selected');
-      } else {
-        slot.classList.remove('selected');
-      }
-    });
-
-    // Notify game engine of weapon change
-    if (window.gameEngine && window.gameEngine.changeWeapon) {
-      window.gameEngine.changeWeapon(weapon.id, weapon.name);
+    if (index !== this.currentWeaponIndex && window.networkManager) {
+      window.networkManager.switchWeapon(weapon.id);
     }
 
-    // Show toast
-    if (typeof ToastManager !== 'undefined') {
-      ToastManager.show({ message: `${weapon.icon} ${weapon.name}`, type: '✓', duration: 'success' });
-    }
-
-    this.updateCurrentDisplay(index);
-
     // Close weapon wheel after selection
     setTimeout(() => {
       this.close();
     }, 300);
   }
 
+  /**
+   * Mirror the server inventory.
+   * @param {{current: string, reloadingUntil: number, slots: Array<{id: string, name: string, ammo: number|null, magazineSize: number|null, reserve: number|null}>}} inventory
+   */
+  applyServerInventory(inventory) {
+    if (!inventory || !Array.isArray(inventory.slots)) {
+      return;
+    }
+    const previous = this.getCurrentWeapon();
+
+    this.weapons = inventory.slots.map(slot => ({
+      id: slot.id,
+      name: slot.name,
+      icon: WEAPON_WHEEL_ICONS[slot.id] || '🔫',
+      unlocked: true,
+      ammo: slot.magazineSize === null ? '∞' : `${slot.ammo}/${slot.reserve === null ? '∞' : slot.reserve}`
+    }));
+    this.reloadingUntil = inventory.reloadingUntil || 0;
+    const currentIndex = this.weapons.findIndex(w => w.id === inventory.current);
+    this.currentWeaponIndex = currentIndex === -1 ? 0 : currentIndex;
+    if (this.reloadingUntil > 0 && this.weapons[this.currentWeaponIndex]) {
+      this.weapons[this.currentWeaponIndex].ammo = '⟳';
+    }
+
+    this.renderWeapons();
+    this.updateCurrentDisplay(this.currentWeaponIndex);
+
+    const current = this.getCurrentWeapon();
+    if (previous && current && previous.id !== current.id && typeof ToastManager !== 'undefined') {
+      ToastManager.show({ message: `${current.icon} ${current.name}`, type: '✓', duration: 'success' });
+    }
+  }
+
   updateCurrentDisplay(index) {
     const weapon = this.weapons[index];
     if (!weapon) {
@@ -409,16 +447,13 @@ window.savePref('pref_last_weapon', index);
     }
   }
 
-  // Reset to default state
+  // Reset to default state (pistol only, until the server pushes the inventory)
   reset() {
     this.currentWeaponIndex = 0;
     this.hoveredWeaponIndex = null;
     this.isOpen = false;
-
-    // Reset unlocks (only pistol unlocked by default)
-    this.weapons.forEach((weapon, index) => {
-      weapon.unlocked = index < 3; // First 3 weapons unlocked
-    });
+    this.reloadingUntil = 0;
+    this.weapons = WEAPON_WHEEL_DEFAULTS.map(w => ({ ...w }));
 
     this.renderWeapons();
     this.close();
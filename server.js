@@ -89,8 +89,10 @@ const { createSocketIOServer } = require('./server/socketio');
 const io = createSocketIOServer(server);
 
 // Runtime state populated by the bootstrap orchestrator (see ./server/bootstrap.js).
-let gameState = null;
-let stopGameLoop = null; // cleanup function returned by startGameLoop
+let gameState = null; // default instance's world
+let instanceManager = null;
+let worldPersistence = null; // world snapshots, null when disabled
+let stopGameLoop = null; // stops every game instance (loops, spawners, heartbeats)
 let heartbeatTimer = null;
 let powerupSpawnerTimer = null;
 
@@ -145,12 +147,21 @@ createCleanup({
   stopSessionCleanupInterval,
   // Lexical capture: cleanup needs the latest values of the runtime state mutated
   // by the bootstrap orchestrator's resolution (timers, gameState, ...).
-  getState: () => ({ gameState, stopGameLoop, heartbeatTimer, powerupSpawnerTimer })
+  getState: () => ({
+    gameState,
+    instanceManager,
+    worldPersistence,
+    stopGameLoop,
+    heartbeatTimer,
+    powerupSpawnerTimer
+  })
 }).install();
 
 startServer()
   .then(state => {
     gameState = state.gameState;
+    instanceManager = state.instanceManager;
+    worldPersistence = state.worldPersistence;
     stopGameLoop = state.stopGameLoop;
     heartbeatTimer = state.heartbeatTimer;
     powerupSpawnerTimer = state.powerupSpawnerTimer;
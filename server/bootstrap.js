@@ -1,8 +1,9 @@
 /**
  * @fileoverview Server bootstrap orchestrator — final step of the server.js
  *   setup split. Composes the wired factories (database, container, JWT,
- *   routes, game managers, heartbeat, socket handlers) into a single
- *   startServer() entry point.
+ *   routes, game instances, socket handlers) into a single startServer()
+ *   entry point. Per-world wiring (managers, spawners, heartbeat, tick) lives
+ *   in ./gameInstance.js.
  */
 
 const logger = require('../infrastructure/logging/Logger');
@@ -10,10 +11,18 @@ const Container = require('../lib/application/Container');
 const JwtService = require('../lib/infrastructure/auth/JwtService');
 const { initializeDatabase } = require('./database');
 const { configureRoutes } = require('./routes');
-const { createGameManagers } = require('./gameManagers');
-const { startHeartbeat } = require('./heartbeat');
-const { initializeGameState } = require('../game/gameState');
-const { initializeRooms, loadRoom } = require('../game/roomFunctions');
+const { createInstanceManager } = require('./instanceManager');
+const ReplayStore = require('../lib/server/replay/ReplayStore');
+const WorldSnapshotStore = require('../lib/server/snapshot/WorldSnapshotStore');
+const { createWorldPersistence } = require('./worldPersistence');
+const { REPLAY_CONFIG, WORLD_SNAPSHOT_CONFIG } = require('../config/constants');
+const { setViolationSink } = require('../sockets/antiCheatLedger');
+const {
+  attachProgression,
+  attachAdminCommands,
+  startPowerupSpawner,
+  makeTickFn
+} = require('./gameInstance');
 
 function buildContainer(dbAvailable) {
   if (!dbAvailable) {
@@ -24,69 +33,82 @@ function buildContainer(dbAvailable) {
   return container;
 }
 
-function attachProgression(dbAvailable, container, io, gameState) {
-  if (!dbAvailable) {
-    logger.warn('Progression integration disabled (database unavailable)');
+/**
+ * Load the bans in force and let the socket handshake and /auth/login check
+ * them. Without a database nobody can be banned, so nothing is wired.
+ * @param {Object|null} container
+ * @param {Object} jwtService
+ */
+async function wireBanChecks(container, jwtService) {
+  if (!container) {
     return;
   }
-  const ProgressionIntegration = require('../lib/server/ProgressionIntegration');
-  gameState.progressionIntegration = new ProgressionIntegration(container, io);
-  logger.info('Progression integration initialized');
+  const moderationService = container.get('moderationService');
+  try {
+    const count = await moderationService.loadActiveBans();
+    logger.info('Active bans loaded', { count });
+  } catch (err) {
+    logger.error('Failed to load active bans', { error: err.message });
+  }
+  jwtService.setBanChecker(userId => moderationService.getActiveBan(userId));
 }
 
-function attachAdminCommands(io, gameState, zombieManager) {
-  const isDebugAllowed =
-    process.env.NODE_ENV !== 'production' || process.env.ADMIN_DEBUG === 'true';
-  if (!isDebugAllowed) {
-    logger.info('Admin commands disabled in production (set ADMIN_DEBUG=true to override)');
+/**
+ * Send the anti-cheat detections of the socket handlers to the per-account
+ * ledger. Without a database they only feed the global metrics.
+ * @param {Object|null} container
+ */
+function wireAntiCheatLedger(container) {
+  if (!container) {
     return;
   }
-  const AdminCommands = require('../game/modules/admin/AdminCommands');
-  gameState.adminCommands = new AdminCommands(io, gameState, zombieManager);
-  logger.info('Admin commands initialized');
+  setViolationSink(container.get('antiCheatService'));
 }
 
-function startPowerupSpawner(deps) {
-  const { spawnPowerup } = require('../game/lootFunctions');
-  const { gameState, roomManager, perfIntegration, metricsCollector, config } = deps;
-  const timer = setInterval(() => {
-    spawnPowerup(gameState, roomManager, perfIntegration, metricsCollector);
-  }, config.POWERUP_SPAWN_INTERVAL);
-  logger.info(`Powerup spawner started (interval: ${config.POWERUP_SPAWN_INTERVAL}ms)`);
-  return timer;
+/**
+ * Open the replay directory when match recording is enabled.
+ * @param {Object} [settings=REPLAY_CONFIG]
+ * @returns {ReplayStore|null} null when disabled or the directory is unusable
+ */
+function createReplayStore(settings = REPLAY_CONFIG) {
+  if (!settings.enabled) {
+    return null;
+  }
+  try {
+    const store = new ReplayStore({ dir: settings.dir, maxReplays: settings.maxReplays });
+    logger.info('Match replay recording enabled', { dir: settings.dir });
+    return store;
+  } catch (err) {
+    logger.error('Match replay recording disabled (replay directory unusable)', {
+      dir: settings.dir,
+      error: err.message
+    });
+    return null;
+  }
 }
 
-function makeTickFn(deps) {
-  const {
-    gameLoop,
-    gameState,
-    io,
-    metricsCollector,
-    perfIntegration,
-    collisionManager,
-    entityManager,
-    zombieManager,
-    networkManager
-  } = deps;
-  return (overBudget = false) => {
-    gameLoop(
-      gameState,
-      io,
-      metricsCollector,
-      perfIntegration,
-      collisionManager,
-      entityManager,
-      zombieManager,
-      logger
-    );
-    // PERF: Decouple broadcast from sim tick — schedule as setImmediate tail so
-    // the tick returns to the event loop first, reducing measured tick duration.
-    // Primary fix for "Slow tick detected 25-26ms" warnings.
-    // Skip non-critical broadcast when tick exceeded its time budget.
-    if (!overBudget && perfIntegration.shouldBroadcast()) {
-      setImmediate(() => networkManager.emitGameState());
-    }
-  };
+/**
+ * Open the world snapshot file when world persistence is enabled.
+ * @param {Object} instanceManager
+ * @param {Object} [settings=WORLD_SNAPSHOT_CONFIG]
+ * @returns {Object|null} see server/worldPersistence; null when disabled or
+ *   the snapshot directory is unusable
+ */
+function setupWorldPersistence(instanceManager, settings = WORLD_SNAPSHOT_CONFIG) {
+  if (!settings.enabled) {
+    return null;
+  }
+  try {
+    const store = new WorldSnapshotStore({ file: settings.file });
+    logger.info('World snapshots enabled', { file: settings.file, intervalMs: settings.intervalMs });
+    return createWorldPersistence({ instanceManager, store, settings });
+  } catch (err) {
+    logger.error('World snapshots disabled (snapshot directory unusable)', {
+      file: settings.file,
+      error: err.message
+    });
+    return null;
+  }
 }
 
 function wireSocketHandlers(deps) {
@@ -101,7 +123,8 @@ function wireSocketHandlers(deps) {
     perfIntegration,
     container,
     dbAvailable,
-    networkManager
+    networkManager,
+    instanceManager = null
   } = deps;
   io.use(jwtService.socketMiddleware());
   const socketHandler = initSocketHandlers(
@@ -112,7 +135,8 @@ function wireSocketHandlers(deps) {
     metricsCollector,
     perfIntegration,
     dbAvailable ? container : null,
-    networkManager
+    networkManager,
+    instanceManager
   );
   // Disable Nagle's algorithm on every new TCP connection so move packets
   // are flushed immediately without waiting for the 40ms Nagle coalescing
@@ -149,8 +173,8 @@ function listenAndLog(server, port, allowedOrigins, dbAvailable) {
  * The factory pattern keeps server.js declarative and testable.
  *
  * @param {Object} deps  — see server.js for full shape
- * @returns {{startServer: () => Promise<{dbAvailable, gameState, stopGameLoop,
- *           heartbeatTimer, powerupSpawnerTimer}>}}
+ * @returns {{startServer: () => Promise<{dbAvailable, gameState, instanceManager, worldPersistence,
+ *           stopGameLoop, heartbeatTimer, powerupSpawnerTimer}>}}
  */
 function createBootstrap(deps) {
   const {
@@ -177,10 +201,35 @@ function createBootstrap(deps) {
     const dbAvailable = await initializeDatabase();
     const container = buildContainer(dbAvailable);
     const jwtService = new JwtService(logger);
+    await wireBanChecks(container, jwtService);
+    wireAntiCheatLedger(container);
     const requireAuth = jwtService.expressMiddleware();
+    const replayStore = createReplayStore();
+
+    // Every world (default + lobbies) owns its gameState, managers and tick.
+    const instanceManager = createInstanceManager({
+      io,
+      config,
+      zombieTypes,
+      perfIntegration,
+      metricsCollector,
+      gameLoop,
+      startGameLoop,
+      container,
+      dbAvailable,
+      inactivityTimeout,
+      heartbeatCheckInterval,
+      replayStore
+    });
+    // Saved instances come back before the default one starts and sockets connect
+    const worldPersistence = setupWorldPersistence(instanceManager);
+    if (worldPersistence) {
+      worldPersistence.restore();
+    }
 
     const gameLoopRef = { getMetrics: () => null };
     configureRoutes(app, {
+      io,
       container,
       jwtService,
       requireAuth,
@@ -189,58 +238,20 @@ function createBootstrap(deps) {
       memoryMonitor,
       dbManager,
       perfIntegration,
-      gameLoopRef
+      gameLoopRef,
+      instanceManager,
+      replayStore
     });
 
-    const gameState = initializeGameState();
-    initializeRooms(gameState, config);
-    const managers = createGameManagers({ gameState, config, zombieTypes, io });
-    const { entityManager, collisionManager, networkManager, roomManager, zombieManager } =
-      managers;
-
-    attachProgression(dbAvailable, container, io, gameState);
-
-    loadRoom(0, roomManager);
-
-    zombieManager.startZombieSpawner();
-    logger.info('Zombie spawner started');
-
-    attachAdminCommands(io, gameState, zombieManager);
-    const powerupSpawnerTimer = startPowerupSpawner({
-      gameState,
-      roomManager,
-      perfIntegration,
-      metricsCollector,
-      config
-    });
-
-    const gameLoopHandle = startGameLoop(
-      perfIntegration,
-      makeTickFn({
-        gameLoop,
-        gameState,
-        io,
-        metricsCollector,
-        perfIntegration,
-        collisionManager,
-        entityManager,
-        zombieManager,
-        networkManager
-      })
-    );
-    const stopGameLoop = gameLoopHandle.stop;
-    const getLoopMetrics = gameLoopHandle.getMetrics;
+    const defaultInstance = instanceManager.startDefaultInstance();
+    instanceManager.startReaper();
+    if (worldPersistence) {
+      worldPersistence.start();
+    }
+    const { gameState, entityManager, roomManager, networkManager } = defaultInstance;
+    const getLoopMetrics = () => defaultInstance.getLoopMetrics();
     gameLoopRef.getMetrics = getLoopMetrics;
 
-    const heartbeat = startHeartbeat({
-      gameState,
-      io,
-      networkManager,
-      metricsCollector,
-      inactivityTimeout,
-      interval: heartbeatCheckInterval
-    });
-
     wireSocketHandlers({
       io,
       jwtService,
@@ -252,19 +263,24 @@ function createBootstrap(deps) {
       perfIntegration,
       container,
       dbAvailable,
-      networkManager
+      networkManager,
+      instanceManager
     });
 
     attachErrorHandlers(app, errorHandlers);
     listenAndLog(server, port, allowedOrigins, dbAvailable);
 
+    // Per-instance timers (loop, heartbeat, spawners) are owned by the
+    // instances themselves and torn down through instanceManager.stopAll().
     return {
       dbAvailable,
       gameState,
-      stopGameLoop,
+      instanceManager,
+      worldPersistence,
+      stopGameLoop: () => instanceManager.stopAll(),
       getLoopMetrics,
-      heartbeatTimer: heartbeat.timer,
-      powerupSpawnerTimer
+      heartbeatTimer: null,
+      powerupSpawnerTimer: null
     };
   }
 
@@ -273,8 +289,11 @@ function createBootstrap(deps) {
 
 module.exports = {
   createBootstrap,
-  // Exported for unit tests
+  // Exported for unit tests (per-world helpers re-exported from ./gameInstance)
   buildContainer,
+  wireAntiCheatLedger,
+  createReplayStore,
+  setupWorldPersistence,
   attachProgression,
   attachAdminCommands,
   startPowerupSpawner,
@@ -1,9 +1,10 @@
 /**
  * @fileoverview Graceful shutdown — extracted from server.js.
- * @description Coordinates safe teardown: stop timers, drain perfIntegration,
- *   stop monitors and session cleanup, close sockets → http → database, with a
- *   10s force-exit watchdog. Also installs SIGTERM/SIGINT and process error
- *   listeners that only escalate to shutdown on true OS-level failures.
+ * @description Coordinates safe teardown: stop timers, save the world snapshot,
+ *   drain perfIntegration, stop monitors and session cleanup, close sockets →
+ *   http → database, with a 10s force-exit watchdog. Also installs
+ *   SIGTERM/SIGINT and process error listeners that only escalate to shutdown
+ *   on true OS-level failures.
  */
 
 const logger = require('../infrastructure/logging/Logger');
@@ -34,6 +35,20 @@ function stopTimers(state) {
   }
 }
 
+/**
+ * Final world snapshot (server/worldPersistence): taken once the loops have
+ * stopped, so the world holds still, and before the sockets drain, so the
+ * players are still in it.
+ * @param {Object|null} worldPersistence
+ */
+function saveWorld(worldPersistence) {
+  if (!worldPersistence) {
+    return;
+  }
+  worldPersistence.stop();
+  worldPersistence.saveSync();
+}
+
 function stopPerfIntegration(perfIntegration) {
   try {
     if (perfIntegration && typeof perfIntegration.cleanup === 'function') {
@@ -51,6 +66,9 @@ function stopHazards(gameState) {
   }
   try {
     gameState.hazardManager.clearAll();
+    if (gameState.telegraphManager) {
+      gameState.telegraphManager.clearAll();
+    }
     logger.info('✅ HazardManager cleaned up');
   } catch (err) {
     logger.error('❌ Error cleaning up HazardManager', {
@@ -134,6 +152,7 @@ function createCleanup(deps) {
 
     const state = getState();
     stopTimers(state);
+    saveWorld(state.worldPersistence);
     stopPerfIntegration(perfIntegration);
     memoryMonitor.stop();
     logger.info('Memory monitor stopped');
@@ -182,6 +201,7 @@ module.exports = {
   createCleanup,
   // Exported for unit tests
   stopTimers,
+  saveWorld,
   stopPerfIntegration,
   stopHazards
 };
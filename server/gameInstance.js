@@ -0,0 +1,398 @@
+/**
+ * @fileoverview Game instance factory — one isolated world per lobby.
+ * @description Owns everything that used to be process-global in bootstrap:
+ *   gameState (room sequence, wave counter, mutators), the game managers,
+ *   zombie/powerup spawners, the heartbeat and a dedicated tick. Broadcasts
+ *   are scoped to the instance's Socket.IO room through a thin io facade, so
+ *   managers keep calling io.emit() / io.to(socketId) unchanged.
+ */
+
+const logger = require('../infrastructure/logging/Logger');
+const { createGameManagers } = require('./gameManagers');
+const { startHeartbeat } = require('./heartbeat');
+const { initializeGameState } = require('../game/gameState');
+const { initializeRooms, loadRoom } = require('../game/roomFunctions');
+const { createRunRandom, normalizeSeed, generateSeed } = require('../lib/runPRNG');
+const MatchRecorder = require('../lib/server/replay/MatchRecorder');
+const { REPLAY_CONFIG } = require('../config/constants');
+const { getAll: getFeatures } = require('../config/features');
+
+/**
+ * Socket.IO room name for an instance id.
+ * @param {string} instanceId
+ * @returns {string}
+ */
+function instanceRoom(instanceId) {
+  return `instance:${instanceId}`;
+}
+
+/**
+ * Build an io facade whose broadcast (`emit`, `compress`) is limited to one
+ * room. Targeted sends (`to(socketId)`) and the socket registry pass through.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {string} room
+ * @returns {Object}
+ */
+function createInstanceIo(io, room) {
+  return {
+    room,
+    emit: (event, payload) => io.to(room).emit(event, payload),
+    compress: flag => io.to(room).compress(flag),
+    except: ids => io.to(room).except(ids),
+    to: target => io.to(target),
+    in: target => io.in(target),
+    get sockets() {
+      return io.sockets;
+    },
+    get engine() {
+      return io.engine;
+    }
+  };
+}
+
+/**
+ * Derive a per-instance view of the shared PerformanceIntegration singleton.
+ * Config, limits and GC stay shared; only the tick counter (which drives the
+ * broadcast cadence) is owned by the instance.
+ *
+ * @param {Object} perfIntegration
+ * @returns {Object}
+ */
+function createInstancePerf(perfIntegration) {
+  return Object.create(perfIntegration, {
+    tickCounter: { value: 0, writable: true, enumerable: true }
+  });
+}
+
+function attachProgression(dbAvailable, container, io, gameState) {
+  if (!dbAvailable) {
+    logger.warn('Progression integration disabled (database unavailable)');
+    return;
+  }
+  const ProgressionIntegration = require('../lib/server/ProgressionIntegration');
+  gameState.progressionIntegration = new ProgressionIntegration(container, io);
+  logger.info('Progression integration initialized');
+}
+
+function attachDailyChallenges(dbAvailable, container, io, gameState) {
+  if (!dbAvailable || !getFeatures().dailyChallenges) {
+    return;
+  }
+  const DailyChallengeIntegration = require('../lib/server/DailyChallengeIntegration');
+  gameState.dailyChallengeIntegration = new DailyChallengeIntegration(container, io, gameState);
+  logger.info('Daily challenge integration initialized');
+}
+
+function attachBots(instance, managers, gameState) {
+  const { BOT_CONFIG } = require('../lib/server/config/BotConfig');
+  if (!getFeatures().bots || BOT_CONFIG.fillTo <= 0) {
+    return null;
+  }
+  const BotManager = require('../lib/server/bots/BotManager');
+  gameState.botManager = new BotManager(gameState, {
+    io: instance.io,
+    entityManager: managers.entityManager,
+    roomManager: managers.roomManager,
+    networkManager: managers.networkManager,
+    maxPlayers: instance.maxPlayers
+  });
+  logger.info('Bot players enabled', { instanceId: instance.id, fillTo: BOT_CONFIG.fillTo });
+  return gameState.botManager;
+}
+
+function attachAdminCommands(io, gameState, zombieManager, moderationService = null) {
+  const isDebugAllowed =
+    process.env.NODE_ENV !== 'production' || process.env.ADMIN_DEBUG === 'true';
+  if (!isDebugAllowed) {
+    logger.info('Admin commands disabled in production (set ADMIN_DEBUG=true to override)');
+    return;
+  }
+  const AdminCommands = require('../game/modules/admin/AdminCommands');
+  gameState.adminCommands = new AdminCommands(io, gameState, zombieManager, moderationService);
+  logger.info('Admin commands initialized');
+}
+
+function attachRecorder(instance, replayStore, networkManager) {
+  if (!replayStore) {
+    return null;
+  }
+  const recorder = new MatchRecorder({
+    instanceId: instance.id,
+    instanceName: instance.name,
+    isPrivate: instance.isPrivate,
+    seed: instance.seed,
+    store: replayStore,
+    recordIntervalMs: REPLAY_CONFIG.recordIntervalMs,
+    keyframeIntervalMs: REPLAY_CONFIG.keyframeIntervalMs,
+    minDurationMs: REPLAY_CONFIG.minDurationMs,
+    maxDurationMs: REPLAY_CONFIG.maxDurationMs
+  });
+  networkManager.setRecorder(recorder);
+  return recorder;
+}
+
+function startPowerupSpawner(deps) {
+  const { spawnPowerup } = require('../game/lootFunctions');
+  const { gameState, roomManager, perfIntegration, metricsCollector, config } = deps;
+  const timer = setInterval(() => {
+    spawnPowerup(gameState, roomManager, perfIntegration, metricsCollector);
+  }, config.POWERUP_SPAWN_INTERVAL);
+  logger.info(`Powerup spawner started (interval: ${config.POWERUP_SPAWN_INTERVAL}ms)`);
+  return timer;
+}
+
+function makeTickFn(deps) {
+  const {
+    gameLoop,
+    gameState,
+    io,
+    metricsCollector,
+    perfIntegration,
+    collisionManager,
+    entityManager,
+    zombieManager,
+    networkManager
+  } = deps;
+  return (overBudget = false) => {
+    gameLoop(
+      gameState,
+      io,
+      metricsCollector,
+      perfIntegration,
+      collisionManager,
+      entityManager,
+      zombieManager,
+      logger
+    );
+    // PERF: Decouple broadcast from sim tick — schedule as setImmediate tail so
+    // the tick returns to the event loop first, reducing measured tick duration.
+    // Primary fix for "Slow tick detected 25-26ms" warnings.
+    // Skip non-critical broadcast when tick exceeded its time budget.
+    if (!overBudget && perfIntegration.shouldBroadcast()) {
+      setImmediate(() => networkManager.emitGameState());
+    }
+  };
+}
+
+/**
+ * Build (but do not start) a game instance.
+ *
+ * @param {{id: string, name: string, maxPlayers: number, isDefault?: boolean,
+ *          isPrivate?: boolean, ownerId?: string|null, seed?: number|string|null}} options
+ *   `seed` fixes the run's random streams (layout, spawns, loot, ...); a
+ *   random one is drawn when it is missing.
+ * @param {{io, config, zombieTypes, perfIntegration, metricsCollector, gameLoop,
+ *          startGameLoop, container, dbAvailable, inactivityTimeout,
+ *          heartbeatCheckInterval, replayStore?}} deps
+ *   `replayStore` (lib/server/replay/ReplayStore) turns on match recording.
+ * @returns {Object} instance handle
+ */
+function createGameInstance(options, deps) {
+  const { id, name, maxPlayers, isDefault = false, isPrivate = false, ownerId = null } = options;
+  const requestedSeed = normalizeSeed(options.seed);
+  const seed = requestedSeed === null ? generateSeed() : requestedSeed;
+  const room = instanceRoom(id);
+  const io = createInstanceIo(deps.io, room);
+  const perfIntegration = isDefault
+    ? deps.perfIntegration
+    : createInstancePerf(deps.perfIntegration);
+
+  let timers = null;
+
+  const instance = {
+    id,
+    name,
+    maxPlayers,
+    isDefault,
+    isPrivate,
+    ownerId,
+    seed,
+    room,
+    io,
+    perfIntegration,
+    createdAt: Date.now(),
+    emptySince: Date.now(),
+    gameState: null,
+    entityManager: null,
+    collisionManager: null,
+    networkManager: null,
+    roomManager: null,
+    mutatorManager: null,
+    altarManager: null,
+    zombieManager: null,
+    botManager: null,
+    recorder: null,
+    getLoopMetrics: () => null,
+
+    /**
+     * Generate the world, wire the managers and start every timer.
+     * @returns {Object} this instance
+     */
+    start() {
+      if (timers) {
+        return instance;
+      }
+      const { config, zombieTypes, metricsCollector, container, dbAvailable } = deps;
+
+      const gameState = initializeGameState();
+      gameState.instanceId = id;
+      gameState.rng = createRunRandom(seed);
+      initializeRooms(gameState, config);
+      const managers = createGameManagers({ gameState, config, zombieTypes, io });
+      Object.assign(instance, managers, { gameState });
+
+      attachProgression(dbAvailable, container, io, gameState);
+      attachDailyChallenges(dbAvailable, container, io, gameState);
+      instance.recorder = attachRecorder(instance, deps.replayStore, managers.networkManager);
+      instance.botManager = attachBots(instance, managers, gameState);
+      loadRoom(0, managers.roomManager);
+      managers.zombieManager.startZombieSpawner();
+      attachAdminCommands(
+        io,
+        gameState,
+        managers.zombieManager,
+        dbAvailable ? container.get('moderationService') : null
+      );
+
+      const powerupSpawnerTimer = startPowerupSpawner({
+        gameState,
+        roomManager: managers.roomManager,
+        perfIntegration,
+        metricsCollector,
+        config
+      });
+      const loop = deps.startGameLoop(
+        perfIntegration,
+        makeTickFn({
+          gameLoop: deps.gameLoop,
+          gameState,
+          io,
+          metricsCollector,
+          perfIntegration,
+          collisionManager: managers.collisionManager,
+          entityManager: managers.entityManager,
+          zombieManager: managers.zombieManager,
+          networkManager: managers.networkManager
+        })
+      );
+      instance.getLoopMetrics = loop.getMetrics;
+      const heartbeat = startHeartbeat({
+        gameState,
+        io,
+        networkManager: managers.networkManager,
+        metricsCollector,
+        inactivityTimeout: deps.inactivityTimeout,
+        interval: deps.heartbeatCheckInterval
+      });
+
+      timers = { loop, heartbeat, powerupSpawnerTimer };
+      logger.info('Game instance started', { instanceId: id, name, maxPlayers, seed });
+      return instance;
+    },
+
+    /**
+     * Stop the tick, spawners and heartbeat. The gameState is left in place so
+     * a shutdown snapshot can still read it.
+     */
+    stop() {
+      if (!timers) {
+        return;
+      }
+      timers.loop.stop();
+      timers.heartbeat.stop();
+      clearInterval(timers.powerupSpawnerTimer);
+      timers = null;
+      if (instance.zombieManager && typeof instance.zombieManager.stopZombieSpawner === 'function') {
+        instance.zombieManager.stopZombieSpawner();
+      }
+      if (instance.gameState && instance.gameState.hazardManager) {
+        instance.gameState.hazardManager.clearAll();
+      }
+      if (instance.gameState && instance.gameState.telegraphManager) {
+        instance.gameState.telegraphManager.clearAll();
+      }
+      if (instance.botManager) {
+        instance.botManager.stop();
+      }
+      if (instance.networkManager && typeof instance.networkManager.cleanup === 'function') {
+        instance.networkManager.cleanup();
+      }
+      if (instance.gameState && instance.gameState.altarManager) {
+        instance.gameState.altarManager.stop();
+      }
+      if (instance.gameState && instance.gameState.dailyChallengeIntegration) {
+        instance.gameState.dailyChallengeIntegration.stop();
+      }
+      if (instance.recorder) {
+        instance.recorder.finish('stopped');
+      }
+      logger.info('Game instance stopped', { instanceId: id });
+    },
+
+    isRunning() {
+      return timers !== null;
+    },
+
+    /**
+     * Human players; bots never hold a slot a human could take.
+     * @returns {number}
+     */
+    getPlayerCount() {
+      if (!instance.gameState) {
+        return 0;
+      }
+      let count = 0;
+      for (const id in instance.gameState.players) {
+        const player = instance.gameState.players[id];
+        if (player && !player.isBot) {
+          count++;
+        }
+      }
+      return count;
+    },
+
+    isFull() {
+      return instance.getPlayerCount() >= maxPlayers;
+    },
+
+    /**
+     * Public listing shape (no internal references).
+     * @returns {Object}
+     */
+    toPublic() {
+      const gs = instance.gameState;
+      return {
+        id,
+        name,
+        players: instance.getPlayerCount(),
+        bots: instance.botManager ? instance.botManager.getBotCount() : 0,
+        maxPlayers,
+        spectators: instance.networkManager ? instance.networkManager.getSpectatorCount() : 0,
+        wave: gs ? gs.wave : 1,
+        currentRoom: gs ? gs.currentRoom : 0,
+        isDefault,
+        isPrivate,
+        seed,
+        createdAt: instance.createdAt
+      };
+    }
+  };
+
+  return instance;
+}
+
+module.exports = {
+  createGameInstance,
+  instanceRoom,
+  // Exported for unit tests and bootstrap re-export
+  createInstanceIo,
+  createInstancePerf,
+  attachProgression,
+  attachDailyChallenges,
+  attachAdminCommands,
+  attachBots,
+  attachRecorder,
+  startPowerupSpawner,
+  makeTickFn
+};
@@ -1,7 +1,7 @@
 /**
  * @fileoverview Game managers factory — extracted from server.js startServer.
  * @description Wires the in-process game managers (entity, collision, network,
- *   room, mutator, zombie) and performs cross-wiring via gameState.
+ *   room, mutator, altar, zombie) and performs cross-wiring via gameState.
  */
 
 const EntityManager = require('../lib/server/EntityManager');
@@ -9,8 +9,8 @@ const CollisionManager = require('../contexts/weapons/CollisionManager');
 const NetworkManager = require('../lib/server/NetworkManager');
 const RoomManager = require('../contexts/wave/RoomManager');
 const RunMutatorManager = require('../lib/server/RunMutatorManager');
+const { AltarManager } = require('../lib/server/AltarManager');
 const ZombieManager = require('../contexts/zombie/ZombieManager');
-const { resetRunPRNG } = require('../lib/runPRNG');
 const logger = require('../infrastructure/logging/Logger');
 
 function buildZombieManager(gameState, config, zombieTypes, roomManager, io) {
@@ -28,22 +28,31 @@ function buildZombieManager(gameState, config, zombieTypes, roomManager, io) {
  * @param {{gameState, config, zombieTypes, io}} deps
  */
 function createGameManagers({ gameState, config, zombieTypes, io }) {
-  resetRunPRNG(Date.now());
   const entityManager = new EntityManager(gameState, config);
   const collisionManager = new CollisionManager(gameState, config);
   const networkManager = new NetworkManager(io, gameState);
   const roomManager = new RoomManager(gameState, config, io);
   const mutatorManager = new RunMutatorManager(gameState, io);
+  const altarManager = new AltarManager(gameState, io);
   const zombieManager = buildZombieManager(gameState, config, zombieTypes, roomManager, io);
 
   gameState.roomManager = roomManager;
   gameState.mutatorManager = mutatorManager;
+  gameState.altarManager = altarManager;
   gameState.collisionManager = collisionManager;
   gameState.zombieManager = zombieManager;
   mutatorManager.initialize();
   logger.info('Run mutators initialized');
 
-  return { entityManager, collisionManager, networkManager, roomManager, mutatorManager, zombieManager };
+  return {
+    entityManager,
+    collisionManager,
+    networkManager,
+    roomManager,
+    mutatorManager,
+    altarManager,
+    zombieManager
+  };
 }
 
 module.exports = { createGameManagers };
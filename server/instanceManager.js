@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Instance manager — registry of concurrent game instances.
+ * @description Creates, lists, resolves and reaps lobbies. The default
+ *   instance is created at boot and never reaped, so clients that do not ask
+ *   for a specific instance keep landing in the shared world as before.
+ */
+
+const crypto = require('crypto');
+const logger = require('../infrastructure/logging/Logger');
+const { ConflictError, NotFoundError } = require('../lib/domain/errors/DomainErrors');
+const { INSTANCE_CONFIG } = require('../config/constants');
+const { createGameInstance } = require('./gameInstance');
+
+const DEFAULT_INSTANCE_ID = 'default';
+const INSTANCE_ID_REGEX = /^[a-z0-9-]{1,40}$/;
+
+/**
+ * Normalise a client-supplied instance id. Returns null when absent/invalid.
+ * @param {*} instanceId
+ * @returns {string|null}
+ */
+function normalizeInstanceId(instanceId) {
+  if (typeof instanceId !== 'string') {
+    return null;
+  }
+  const trimmed = instanceId.trim().toLowerCase();
+  return INSTANCE_ID_REGEX.test(trimmed) ? trimmed : null;
+}
+
+function clampMaxPlayers(value, settings) {
+  const n = Number.isInteger(value) ? value : settings.defaultMaxPlayers;
+  return Math.max(1, Math.min(settings.maxPlayersCap, n));
+}
+
+/**
+ * Build the instance registry.
+ *
+ * @param {Object} deps - forwarded to createGameInstance (io, config, managers deps...)
+ * @param {Object} [settings=INSTANCE_CONFIG]
+ * @param {Function} [instanceFactory=createGameInstance] - injectable for tests
+ */
+function createInstanceManager(deps, settings = INSTANCE_CONFIG, instanceFactory = createGameInstance) {
+  /** @type {Map<string, Object>} */
+  const instances = new Map();
+  let reapTimer = null;
+
+  function getInstance(instanceId) {
+    return instances.get(instanceId) || null;
+  }
+
+  function getDefaultInstance() {
+    return instances.get(DEFAULT_INSTANCE_ID) || null;
+  }
+
+  function startDefaultInstance() {
+    if (!instances.has(DEFAULT_INSTANCE_ID)) {
+      const instance = instanceFactory(
+        {
+          id: DEFAULT_INSTANCE_ID,
+          name: 'Public',
+          maxPlayers: settings.maxPlayersCap,
+          isDefault: true,
+          seed: settings.defaultSeed
+        },
+        deps
+      );
+      instances.set(DEFAULT_INSTANCE_ID, instance);
+      instance.start();
+    }
+    return getDefaultInstance();
+  }
+
+  /**
+   * Create and start a new instance.
+   * @param {{name?: string, maxPlayers?: number, isPrivate?: boolean, ownerId?: string|null,
+   *          seed?: number|string|null}} [options]
+   * @returns {Object} the started instance
+   * @throws {ConflictError} when MAX_INSTANCES is reached
+   */
+  function createInstance(options = {}) {
+    if (instances.size >= settings.maxInstances) {
+      throw new ConflictError(`Instance limit reached (${settings.maxInstances})`, 'instance');
+    }
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString('hex');
+    } while (instances.has(id));
+
+    const instance = instanceFactory(
+      {
+        id,
+        name: options.name || `Partie ${id}`,
+        maxPlayers: clampMaxPlayers(options.maxPlayers, settings),
+        isPrivate: options.isPrivate === true,
+        ownerId: options.ownerId || null,
+        seed: options.seed
+      },
+      deps
+    );
+    instances.set(id, instance);
+    instance.start();
+    logger.info('Instance created', {
+      instanceId: id,
+      maxPlayers: instance.maxPlayers,
+      isPrivate: instance.isPrivate,
+      ownerId: instance.ownerId || 'none',
+      seed: instance.seed
+    });
+    return instance;
+  }
+
+  /**
+   * Re-create and start an instance saved before a restart, under its old id
+   * (server/worldPersistence), so reconnecting players and invite links find
+   * it again.
+   * @param {{id: string, name: string, maxPlayers: number, isDefault?: boolean,
+   *          isPrivate?: boolean, ownerId?: string|null, seed?: number}} saved
+   * @returns {Object|null} the started instance, null when the id is invalid
+   *   or taken, or MAX_INSTANCES is reached
+   */
+  function restoreInstance(saved) {
+    const isDefault = saved.isDefault === true;
+    const id = isDefault ? DEFAULT_INSTANCE_ID : normalizeInstanceId(saved.id);
+    if (!id || instances.has(id) || (!isDefault && instances.size >= settings.maxInstances)) {
+      return null;
+    }
+    const instance = instanceFactory(
+      {
+        id,
+        name: saved.name || `Partie ${id}`,
+        maxPlayers: isDefault ? settings.maxPlayersCap : clampMaxPlayers(saved.maxPlayers, settings),
+        isDefault,
+        isPrivate: saved.isPrivate === true,
+        ownerId: saved.ownerId || null,
+        seed: saved.seed
+      },
+      deps
+    );
+    instances.set(id, instance);
+    instance.start();
+    logger.info('Instance restored', { instanceId: id, seed: instance.seed });
+    return instance;
+  }
+
+  /**
+   * Public listing — private instances are only reachable by id.
+   * @returns {Array<Object>}
+   */
+  function listInstances() {
+    const result = [];
+    for (const instance of instances.values()) {
+      if (!instance.isPrivate) {
+        result.push(instance.toPublic());
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Resolve the instance a connecting socket should join.
+   * Unknown ids fall through to an error so a stale invite link never drops a
+   * squad into the public world silently.
+   *
+   * @param {string|null} instanceId - normalised id, or null for the default
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  function resolveInstance(instanceId) {
+    if (!instanceId) {
+      return getDefaultInstance();
+    }
+    const instance = getInstance(instanceId);
+    if (!instance) {
+      throw new NotFoundError('Instance', instanceId);
+    }
+    return instance;
+  }
+
+  /**
+   * Stop and drop a non-default instance.
+   * @param {string} instanceId
+   * @returns {boolean}
+   */
+  function removeInstance(instanceId) {
+    const instance = getInstance(instanceId);
+    if (!instance || instance.isDefault) {
+      return false;
+    }
+    instance.stop();
+    instances.delete(instanceId);
+    logger.info('Instance removed', { instanceId });
+    return true;
+  }
+
+  /**
+   * Remove instances that have had no players for settings.idleTimeoutMs.
+   * @param {number} [now=Date.now()]
+   * @returns {number} number of reaped instances
+   */
+  function reapIdleInstances(now = Date.now()) {
+    let reaped = 0;
+    for (const instance of Array.from(instances.values())) {
+      if (instance.isDefault) {
+        continue;
+      }
+      if (instance.getPlayerCount() > 0) {
+        instance.emptySince = now;
+        continue;
+      }
+      if (now - instance.emptySince >= settings.idleTimeoutMs && removeInstance(instance.id)) {
+        reaped++;
+      }
+    }
+    return reaped;
+  }
+
+  function getTotalPlayerCount() {
+    let total = 0;
+    for (const instance of instances.values()) {
+      total += instance.getPlayerCount();
+    }
+    return total;
+  }
+
+  function startReaper() {
+    stopReaper();
+    reapTimer = setInterval(() => reapIdleInstances(), settings.reapIntervalMs);
+    if (typeof reapTimer.unref === 'function') {
+      reapTimer.unref();
+    }
+  }
+
+  function stopReaper() {
+    if (reapTimer) {
+      clearInterval(reapTimer);
+      reapTimer = null;
+    }
+  }
+
+  /** Stop every instance (graceful shutdown). */
+  function stopAll() {
+    stopReaper();
+    for (const instance of instances.values()) {
+      instance.stop();
+    }
+  }
+
+  return {
+    startDefaultInstance,
+    createInstance,
+    restoreInstance,
+    getInstance,
+    getDefaultInstance,
+    listInstances,
+    resolveInstance,
+    removeInstance,
+    reapIdleInstances,
+    getTotalPlayerCount,
+    startReaper,
+    stopReaper,
+    stopAll,
+    /** @returns {IterableIterator<Object>} */
+    values: () => instances.values()
+  };
+}
+
+module.exports = {
+  createInstanceManager,
+  normalizeInstanceId,
+  DEFAULT_INSTANCE_ID
+};
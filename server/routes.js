@@ -15,28 +15,45 @@ const initLeaderboardRoutes = require('../transport/http/leaderboard');
 const initPlayersRoutes = require('../transport/http/players');
 const initClientErrorRoutes = require('../transport/http/clientError');
 const initDashboardRoute = require('../transport/http/dashboard');
+const initInstanceRoutes = require('../transport/http/instances');
+const initReplayRoutes = require('../transport/http/replays');
 const featuresRoutes = require('../transport/http/features');
 const debugErrorsRoutes = require('../transport/http/debugErrors');
-const debugReplayRoutes = require('../transport/http/debugReplay');
 
 function mountAuthRoutes(app, container, jwtService) {
   const authRoutes = initAuthRoutes(container, jwtService);
   app.use('/api/v1/auth', authRoutes);
 }
 
-function mountDbRoutes(app, container, requireAuth) {
+function mountDbRoutes(app, container, requireAuth, io = null) {
   const leaderboardRoutes = initLeaderboardRoutes(container, { requireAuth });
   const playerRoutes = initPlayersRoutes(container, { requireAuth });
   const progressionRoutes = require('../transport/http/progression')(container, { requireAuth });
   const achievementRoutes = require('../transport/http/achievements')(container, { requireAuth });
 
   const dailyChallengesRoutes = require('../transport/http/dailyChallenges')(container, { requireAuth });
+  const gemsRoutes = require('../transport/http/gems')(container, { requireAuth });
+  const skinsRoutes = require('../transport/http/skins')(container, { requireAuth });
+  const contractsRoutes = require('../transport/http/contracts')(container, { requireAuth });
+  const lifetimeStatsRoutes = require('../transport/http/lifetimeStats')(container, { requireAuth });
+  const relationshipRoutes = require('../transport/http/relationships')(container, { requireAuth });
+  const chatModerationRoutes = require('../transport/http/chatModeration')(container);
+  const moderationRoutes = require('../transport/http/moderation')(container, { io });
+  const antiCheatRoutes = require('../transport/http/antiCheat')(container);
 
   app.use('/api/v1/leaderboard', leaderboardRoutes);
   app.use('/api/v1/players', playerRoutes);
   app.use('/api/v1/progression', progressionRoutes);
   app.use('/api/v1/achievements', achievementRoutes);
   app.use('/api/v1/daily-challenges', dailyChallengesRoutes);
+  app.use('/api/v1/gems', gemsRoutes);
+  app.use('/api/v1/skins', skinsRoutes);
+  app.use('/api/v1/contracts', contractsRoutes);
+  app.use('/api/v1/lifetime-stats', lifetimeStatsRoutes);
+  app.use('/api/v1/relationships', relationshipRoutes);
+  app.use('/admin/chat', requireMetricsToken, chatModerationRoutes);
+  app.use('/admin/moderation', requireMetricsToken, moderationRoutes);
+  app.use('/admin/anticheat', requireMetricsToken, antiCheatRoutes);
 
   logger.info('Database-dependent routes initialized (v1)');
 }
@@ -61,12 +78,38 @@ function mountSystemRoutes(app, deps) {
     initAdminStatsRoute(metricsCollector, memoryMonitor)
   );
   app.use('/debug/errors', requireMetricsToken, debugErrorsRoutes);
-  app.use('/debug/replay', requireMetricsToken, debugReplayRoutes);
   app.use('/dashboard', requireMetricsToken, initDashboardRoute(metricsCollector, deps.perfIntegration));
   // /health stays unauthenticated for LB / k8s liveness probes.
   app.use('/health', initHealthRoutes(dbManager, metricsCollector, gameLoopRef));
 }
 
+/**
+ * Lobby listing/creation — DB-independent, only needs the instance registry.
+ * @param {import('express').Express} app
+ * @param {{instanceManager: Object, requireAuth: Function}} deps
+ */
+function mountInstanceRoutes(app, deps) {
+  if (!deps.instanceManager) {
+    return;
+  }
+  app.use(
+    '/api/v1/instances',
+    initInstanceRoutes(deps.instanceManager, { requireAuth: deps.requireAuth })
+  );
+}
+
+/**
+ * Match replays — DB-independent, only mounted when recording is enabled.
+ * @param {import('express').Express} app
+ * @param {{replayStore?: Object, requireAuth: Function}} deps
+ */
+function mountReplayRoutes(app, deps) {
+  if (!deps.replayStore) {
+    return;
+  }
+  app.use('/api/v1/replays', initReplayRoutes(deps.replayStore, { requireAuth: deps.requireAuth }));
+}
+
 /**
  * Mount all routes on the express app.
  * @param {import('express').Express} app
@@ -90,18 +133,21 @@ function mountDocsRoutes(app) {
 /**
  * Mount all routes on the express app.
  * @param {import('express').Express} app
- * @param {{ container: Object, jwtService: Object, requireAuth: Function,
+ * @param {{ io?: Object, container: Object, jwtService: Object, requireAuth: Function,
  *           dbAvailable: boolean, metricsCollector: Object, memoryMonitor: Object,
- *           dbManager: Object, perfIntegration: Object, gameLoopRef: Object }} deps
+ *           dbManager: Object, perfIntegration: Object, gameLoopRef: Object,
+ *           instanceManager?: Object, replayStore?: Object }} deps
  */
 function configureRoutes(app, deps) {
   mountDocsRoutes(app);
   mountAuthRoutes(app, deps.container, deps.jwtService);
   if (deps.dbAvailable) {
-    mountDbRoutes(app, deps.container, deps.requireAuth);
+    mountDbRoutes(app, deps.container, deps.requireAuth, deps.io);
   } else {
     logger.warn('Database-dependent routes disabled');
   }
+  mountInstanceRoutes(app, deps);
+  mountReplayRoutes(app, deps);
   mountSystemRoutes(app, deps);
 }
 
@@ -110,5 +156,7 @@ module.exports = {
   // Exported for unit tests
   mountAuthRoutes,
   mountDbRoutes,
+  mountInstanceRoutes,
+  mountReplayRoutes,
   mountSystemRoutes
 };
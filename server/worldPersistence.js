@@ -0,0 +1,223 @@
+/**
+ * @fileoverview World persistence — runs survive a server restart.
+ * @description Saves every running instance (lib/server/snapshot/worldSnapshot)
+ *   and every recoverable session to a WorldSnapshotStore, every intervalMs
+ *   and once more at shutdown. At boot, a fresh enough snapshot re-creates
+ *   the instances under their ids and puts the sessions back in
+ *   `disconnectedPlayers`: a reconnecting client is then matched to its saved
+ *   player state by sessionId and sent back to its instance, as after any
+ *   disconnect. The downtime does not count against SESSION_RECOVERY_TIMEOUT.
+ */
+
+const { performance } = require('perf_hooks');
+const logger = require('../infrastructure/logging/Logger');
+const { captureWorld, restoreWorld, rebasePlayerState } = require('../lib/server/snapshot/worldSnapshot');
+const {
+  disconnectedPlayers,
+  createRecoverablePlayerState
+} = require('../contexts/session/sessionRecovery');
+const { WORLD_SNAPSHOT_CONFIG } = require('../config/constants');
+
+const SNAPSHOT_VERSION = 1;
+
+function captureInstance(instance) {
+  return {
+    id: instance.id,
+    name: instance.name,
+    maxPlayers: instance.maxPlayers,
+    isDefault: instance.isDefault,
+    isPrivate: instance.isPrivate,
+    ownerId: instance.ownerId,
+    seed: instance.seed,
+    createdAt: instance.createdAt,
+    world: captureWorld(instance.gameState)
+  };
+}
+
+/**
+ * Players in game (bots aside) and sessions already awaiting recovery.
+ * @param {Object} instanceManager
+ * @param {Map<string, Object>} sessions - disconnectedPlayers
+ * @param {number} now - wall clock (ms)
+ * @returns {Array<Object>}
+ */
+function captureSessions(instanceManager, sessions, now) {
+  const saved = [];
+  const inGame = new Set();
+  for (const instance of instanceManager.values()) {
+    const players = instance.gameState ? instance.gameState.players : {};
+    for (const id in players) {
+      const player = players[id];
+      if (!player || player.isBot || !player.sessionId || !player.hasNickname) {
+        continue;
+      }
+      inGame.add(player.sessionId);
+      saved.push({
+        sessionId: player.sessionId,
+        accountId: player.accountId || null,
+        instanceId: instance.id,
+        disconnectedAt: now,
+        playerState: createRecoverablePlayerState(player)
+      });
+    }
+  }
+  for (const [sessionId, data] of sessions) {
+    if (!inGame.has(sessionId)) {
+      saved.push({
+        sessionId,
+        accountId: data.accountId || null,
+        instanceId: data.instanceId || null,
+        disconnectedAt: data.disconnectedAt,
+        playerState: data.playerState
+      });
+    }
+  }
+  return saved;
+}
+
+/**
+ * @param {{instanceManager: Object, store: Object, settings?: Object,
+ *          sessions?: Map<string, Object>, loopClock?: function(): number}} deps
+ *   `store` is a WorldSnapshotStore; `loopClock` the game loop clock.
+ * @returns {{capture, save, saveSync, restore, start, stop}}
+ */
+function createWorldPersistence(deps) {
+  const {
+    instanceManager,
+    store,
+    settings = WORLD_SNAPSHOT_CONFIG,
+    sessions = disconnectedPlayers,
+    loopClock = () => performance.now()
+  } = deps;
+  let timer = null;
+
+  /** @returns {Object} the whole snapshot, JSON-safe */
+  function capture() {
+    const now = Date.now();
+    const instances = [];
+    for (const instance of instanceManager.values()) {
+      if (instance.gameState) {
+        instances.push(captureInstance(instance));
+      }
+    }
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: now,
+      loopClock: loopClock(),
+      instances,
+      sessions: captureSessions(instanceManager, sessions, now)
+    };
+  }
+
+  /** @returns {Promise<void>} */
+  function save() {
+    let snapshot;
+    try {
+      snapshot = capture();
+    } catch (err) {
+      logger.error('World snapshot capture failed', { error: err.message });
+      return Promise.resolve();
+    }
+    return store.save(snapshot);
+  }
+
+  /** Blocking save (shutdown). */
+  function saveSync() {
+    try {
+      const snapshot = capture();
+      store.saveSync(snapshot);
+      logger.info('World snapshot saved', {
+        instances: snapshot.instances.length,
+        sessions: snapshot.sessions.length
+      });
+    } catch (err) {
+      logger.error('World snapshot save failed', { error: err.message });
+    }
+  }
+
+  function restoreInstances(snapshot, clockOffset) {
+    let restored = 0;
+    for (const saved of snapshot.instances || []) {
+      try {
+        const instance = instanceManager.restoreInstance(saved);
+        if (!instance) {
+          continue;
+        }
+        restoreWorld(instance.gameState, saved.world, instance.roomManager, clockOffset);
+        instance.createdAt = saved.createdAt || instance.createdAt;
+        restored++;
+      } catch (err) {
+        logger.error('Failed to restore instance from snapshot', {
+          instanceId: saved.id,
+          error: err.message
+        });
+      }
+    }
+    return restored;
+  }
+
+  function restoreSessions(snapshot, clockOffset, downtime) {
+    let restored = 0;
+    for (const saved of snapshot.sessions || []) {
+      if (!saved.sessionId || !saved.playerState || sessions.has(saved.sessionId)) {
+        continue;
+      }
+      sessions.set(saved.sessionId, {
+        playerState: rebasePlayerState(saved.playerState, clockOffset),
+        disconnectedAt: saved.disconnectedAt + downtime,
+        previousSocketId: null,
+        accountId: saved.accountId,
+        instanceId: saved.instanceId
+      });
+      restored++;
+    }
+    return restored;
+  }
+
+  /**
+   * Re-create the saved instances and sessions. Call before the default
+   * instance starts and before sockets are accepted.
+   * @param {number} [now=Date.now()]
+   * @returns {{instances: number, sessions: number}}
+   */
+  function restore(now = Date.now()) {
+    const snapshot = store.load();
+    if (!snapshot) {
+      return { instances: 0, sessions: 0 };
+    }
+    const downtime = now - snapshot.savedAt;
+    if (snapshot.version !== SNAPSHOT_VERSION || !(downtime <= settings.maxAgeMs)) {
+      logger.warn('World snapshot ignored', {
+        version: snapshot.version,
+        ageSecs: Math.round(downtime / 1000)
+      });
+      return { instances: 0, sessions: 0 };
+    }
+    const clockOffset = loopClock() - snapshot.loopClock;
+    const result = {
+      instances: restoreInstances(snapshot, clockOffset),
+      sessions: restoreSessions(snapshot, clockOffset, downtime)
+    };
+    logger.info('World snapshot restored', { ...result, downtimeSecs: Math.round(downtime / 1000) });
+    return result;
+  }
+
+  function start() {
+    stop();
+    timer = setInterval(() => save(), settings.intervalMs);
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { capture, save, saveSync, restore, start, stop };
+}
+
+module.exports = { createWorldPersistence, SNAPSHOT_VERSION };
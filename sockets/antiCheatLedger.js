@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Anti-cheat evidence reporting from the socket layer
+ * @description Handlers report detections here with the offending account;
+ * bootstrap plugs in AntiCheatService as the sink when the database is up.
+ * Without a sink (no database) or without an account, reports are dropped —
+ * MetricsCollector keeps counting them globally either way.
+ */
+
+const logger = require('../infrastructure/logging/Logger');
+
+let sink = null;
+
+/**
+ * @param {{recordViolation: function(Object): Promise<*>}|null} service
+ */
+function setViolationSink(service) {
+  sink = service;
+}
+
+/**
+ * Report a detection. Fire-and-forget: never throws, never blocks the handler.
+ * @param {string|null|undefined} playerId - account UUID (socket.userId)
+ * @param {string} type - e.g. 'movement_budget', 'speed_multiplier', 'rate_limit'
+ * @param {number} magnitude - how far past the limit (1 = at the limit)
+ * @param {Object} [snapshot] - small player state at detection
+ */
+function reportViolation(playerId, type, magnitude, snapshot = null) {
+  if (!sink || !playerId) {
+    return;
+  }
+  Promise.resolve()
+    .then(() => sink.recordViolation({ playerId, type, magnitude, snapshot }))
+    .catch(err => {
+      logger.error('Failed to record anti-cheat violation', { playerId, type, error: err.message });
+    });
+}
+
+module.exports = { setViolationSink, reportViolation };
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Moderation actions on live sockets
+ * @description Kicks and bans as seen by connected clients: matching sockets
+ * get a `kicked` event and are disconnected; a ban also drops the account's
+ * recoverable sessions. Shared by the admin socket commands and the
+ * /admin/moderation routes — the audit trail is ModerationService's job.
+ */
+
+const { SOCKET_EVENTS } = require('../transport/websocket/events');
+const { dropSessionsForAccount } = require('../contexts/session/sessionRecovery');
+
+/**
+ * Disconnect every socket whose id or account id is `targetId`.
+ * @param {{sockets: {sockets: Map<string, Object>}}} io - Socket.IO server (or instance facade)
+ * @param {string} targetId - socket id or account UUID
+ * @param {{reason?: string|null, banned?: boolean, expiresAt?: number|null}} [payload]
+ * @returns {number} number of sockets disconnected
+ */
+function kickSockets(io, targetId, payload = {}) {
+  const sockets = io?.sockets?.sockets;
+  if (!sockets || !targetId) {
+    return 0;
+  }
+  const matches = [];
+  for (const [socketId, socket] of sockets) {
+    if (socketId === targetId || socket.userId === targetId) {
+      matches.push(socket);
+    }
+  }
+  for (const socket of matches) {
+    socket.emit(SOCKET_EVENTS.SERVER.KICKED, {
+      reason: payload.reason || null,
+      banned: Boolean(payload.banned),
+      expiresAt: payload.expiresAt ?? null
+    });
+    socket.disconnect(true);
+  }
+  return matches.length;
+}
+
+/**
+ * Enforce a new ban: kick the account everywhere and forget its sessions.
+ * @param {Object} io
+ * @param {import('../lib/domain/entities/Ban')} ban
+ * @returns {number} number of sockets disconnected
+ */
+function enforceBan(io, ban) {
+  const kicked = kickSockets(io, ban.playerId, { reason: ban.reason, banned: true, expiresAt: ban.expiresAt });
+  dropSessionsForAccount(ban.playerId);
+  return kicked;
+}
+
+module.exports = { kickSockets, enforceBan };
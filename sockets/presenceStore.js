@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Presence store
+ * @description Process-wide view of which accounts are connected (across all
+ * game instances), plus the friend list and hidden set (muted ∪ blocked
+ * accounts) of every connected account. Fed by the presence socket handler
+ * and kept in sync by the relationship routes; read by the chat/emote
+ * handlers to skip recipients who hid the sender.
+ */
+
+/** @type {Map<string, {sockets: Set<string>, instanceId: string|null}>} */
+const accounts = new Map();
+/** @type {Map<string, string>} socketId → accountId */
+const socketAccounts = new Map();
+/** @type {Map<string, Set<string>>} accountId → friend account ids */
+const friends = new Map();
+/** @type {Map<string, Set<string>>} accountId → muted/blocked account ids */
+const hidden = new Map();
+
+/**
+ * Register a connected socket.
+ * @param {string} socketId
+ * @param {string} accountId
+ * @param {string|null} [instanceId]
+ * @returns {boolean} true when the account just came online (first socket)
+ */
+function trackConnection(socketId, accountId, instanceId = null) {
+  let entry = accounts.get(accountId);
+  const cameOnline = !entry;
+  if (!entry) {
+    entry = { sockets: new Set(), instanceId: null };
+    accounts.set(accountId, entry);
+  }
+  entry.sockets.add(socketId);
+  entry.instanceId = instanceId;
+  socketAccounts.set(socketId, accountId);
+  return cameOnline;
+}
+
+/**
+ * Forget a disconnected socket. The account's relationship cache is dropped
+ * with its last socket.
+ * @param {string} socketId
+ * @returns {string|null} account id when it just went offline (last socket)
+ */
+function untrackConnection(socketId) {
+  const accountId = socketAccounts.get(socketId);
+  if (!accountId) {
+    return null;
+  }
+  socketAccounts.delete(socketId);
+  const entry = accounts.get(accountId);
+  if (!entry) {
+    return null;
+  }
+  entry.sockets.delete(socketId);
+  if (entry.sockets.size > 0) {
+    return null;
+  }
+  accounts.delete(accountId);
+  friends.delete(accountId);
+  hidden.delete(accountId);
+  return accountId;
+}
+
+/**
+ * Cache the relationships of a connected account.
+ * @param {string} accountId
+ * @param {{friends: string[], hidden: string[]}} graph
+ */
+function setRelationships(accountId, graph) {
+  if (!accounts.has(accountId)) {
+    return; // disconnected while the lookup was in flight
+  }
+  friends.set(accountId, new Set(graph.friends));
+  hidden.set(accountId, new Set(graph.hidden));
+}
+
+/**
+ * @param {string} accountId
+ * @param {string} targetId
+ * @param {boolean} isHidden
+ */
+function setHidden(accountId, targetId, isHidden) {
+  const set = hidden.get(accountId);
+  if (!set) {
+    return;
+  }
+  if (isHidden) {
+    set.add(targetId);
+  } else {
+    set.delete(targetId);
+  }
+}
+
+/**
+ * Record (or end) a friendship on both sides, for whichever side is online.
+ * @param {string} accountId
+ * @param {string} otherId
+ * @param {boolean} areFriends
+ */
+function setFriendship(accountId, otherId, areFriends) {
+  for (const [owner, friend] of [[accountId, otherId], [otherId, accountId]]) {
+    const set = friends.get(owner);
+    if (!set) {
+      continue;
+    }
+    if (areFriends) {
+      set.add(friend);
+    } else {
+      set.delete(friend);
+    }
+  }
+}
+
+/**
+ * @param {string} accountId
+ * @returns {{online: boolean, instanceId: string|null}}
+ */
+function getPresence(accountId) {
+  const entry = accounts.get(accountId);
+  return entry ? { online: true, instanceId: entry.instanceId } : { online: false, instanceId: null };
+}
+
+/**
+ * Socket ids of the account's friends that are online.
+ * @param {string} accountId
+ * @returns {string[]}
+ */
+function getOnlineFriendSockets(accountId) {
+  const ids = [];
+  for (const friendId of friends.get(accountId) || []) {
+    const entry = accounts.get(friendId);
+    if (entry) {
+      ids.push(...entry.sockets);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Socket ids of connected accounts that muted or blocked `accountId`.
+ * @param {string|null} accountId - sender (guests cannot be hidden)
+ * @returns {string[]}
+ */
+function getSocketsHiding(accountId) {
+  const ids = [];
+  if (!accountId) {
+    return ids;
+  }
+  for (const [owner, set] of hidden) {
+    if (set.has(accountId)) {
+      const entry = accounts.get(owner);
+      if (entry) {
+        ids.push(...entry.sockets);
+      }
+    }
+  }
+  return ids;
+}
+
+/** Reset all state (tests). */
+function clear() {
+  accounts.clear();
+  socketAccounts.clear();
+  friends.clear();
+  hidden.clear();
+}
+
+module.exports = {
+  trackConnection,
+  untrackConnection,
+  setRelationships,
+  setHidden,
+  setFriendship,
+  getPresence,
+  getOnlineFriendSockets,
+  getSocketsHiding,
+  clear
+};
@@ -6,8 +6,11 @@
 const logger = require('../infrastructure/logging/Logger');
 const MetricsCollector = require('../infrastructure/metrics/MetricsCollector');
 const { RATE_LIMIT_CONFIG } = require('../config/constants');
+const { reportViolation } = require('./antiCheatLedger');
 
 const rateLimits = new Map();
+/** socketId → account UUID, to attribute blocks in the anti-cheat ledger */
+const accounts = new Map();
 
 // All socket events are rate-limited
 const RATE_LIMITS_DISABLED = false;
@@ -50,21 +53,40 @@ return true;
   if (socketLimits[eventName].count > config.maxRequests) {
     logger.warn('Rate limit exceeded', { socketId, event: eventName, limit: config.maxRequests });
     MetricsCollector.getInstance().recordRateLimitBlock(eventName);
+    reportViolation(accounts.get(socketId), 'rate_limit', socketLimits[eventName].count / config.maxRequests, {
+      event: eventName,
+      count: socketLimits[eventName].count,
+      limit: config.maxRequests,
+      windowMs: config.windowMs
+    });
     return false;
   }
 
   return true;
 }
 
+/**
+ * Remember which account a socket belongs to, so its blocks are attributed.
+ * @param {string} socketId - Socket identifier
+ * @param {string|null} accountId - Account UUID (socket.userId)
+ */
+function bindRateLimitAccount(socketId, accountId) {
+  if (accountId) {
+    accounts.set(socketId, accountId);
+  }
+}
+
 /**
  * Remove all rate limit counters for a disconnected socket.
  * @param {string} socketId - Socket identifier
  */
 function cleanupRateLimits(socketId) {
   rateLimits.delete(socketId);
+  accounts.delete(socketId);
 }
 
 module.exports = {
   checkRateLimit,
+  bindRateLimitAccount,
   cleanupRateLimits
 };
@@ -0,0 +1,91 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+
+/**
+ * Admin anti-cheat routes: accounts below the trust threshold, the
+ * violation ledger of an account and the flagged leaderboard entries. Mounted behind requireMetricsToken
+ * (same admin auth as /admin/stats).
+ * @param {Object} container - DI container
+ * @returns {import('express').Router}
+ */
+function initAntiCheatRoutes(container) {
+  const router = express.Router();
+  const antiCheatService = container.get('antiCheatService');
+  const leaderboardRepository = container.get('leaderboardRepository');
+
+  /** GET /admin/anticheat/suspicious?limit=&evidence= — lowest trust first */
+  router.get('/suspicious',
+    validateRequest({
+      query: Joi.object({
+        limit: Joi.number().integer().min(1).max(200).default(50),
+        evidence: Joi.number().integer().min(1).max(50).default(10)
+      })
+    }),
+    async (req, res) => {
+      try {
+        const data = await antiCheatService.listSuspiciousAccounts({
+          limit: req.query.limit,
+          evidenceLimit: req.query.evidence
+        });
+        res.json({ success: true, data });
+      } catch (err) {
+        logger.error('GET suspicious accounts failed', { error: err.message });
+        res.status(500).json({ success: false, error: 'SUSPICIOUS_FETCH_FAILED', message: 'Impossible de charger les comptes suspects.' });
+      }
+    });
+
+  /** GET /admin/anticheat/players/:playerId?limit=&before= — trust score and violations, newest first */
+  router.get('/players/:playerId',
+    validateRequest({
+      params: Joi.object({
+        playerId: Joi.string().trim().min(1).max(64).required()
+      }),
+      query: Joi.object({
+        limit: Joi.number().integer().min(1).max(200).default(50),
+        before: Joi.number().integer().min(0)
+      })
+    }),
+    async (req, res) => {
+      const { playerId } = req.params;
+      try {
+        const [trustScore, violations] = await Promise.all([
+          antiCheatService.getTrustScore(playerId),
+          antiCheatService.getViolations(playerId, { limit: req.query.limit, before: req.query.before })
+        ]);
+        const data = violations.map(violation => violation.toObject());
+        res.json({
+          success: true,
+          data: { playerId, trustScore: Math.round(trustScore * 10) / 10, violations: data },
+          // Cursor for the next page (pass as ?before=)
+          nextBefore: data.length > 0 ? data[data.length - 1].createdAt : null
+        });
+      } catch (err) {
+        logger.error('GET player violations failed', { playerId, error: err.message });
+        res.status(500).json({ success: false, error: 'VIOLATIONS_FETCH_FAILED', message: 'Impossible de charger les violations.' });
+      }
+    });
+
+  /** GET /admin/anticheat/leaderboard?limit= — flagged leaderboard entries, best first */
+  router.get('/leaderboard',
+    validateRequest({
+      query: Joi.object({
+        limit: Joi.number().integer().min(1).max(200).default(50)
+      })
+    }),
+    async (req, res) => {
+      try {
+        const entries = await leaderboardRepository.getFlagged(req.query.limit);
+        res.json({ success: true, data: entries.map(entry => entry.toAdminObject()) });
+      } catch (err) {
+        logger.error('GET flagged leaderboard entries failed', { error: err.message });
+        res.status(500).json({ success: false, error: 'FLAGGED_FETCH_FAILED', message: 'Impossible de charger les scores signales.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initAntiCheatRoutes;
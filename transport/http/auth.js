@@ -3,6 +3,9 @@
  * @description Handles JWT authentication for players
  * - POST /api/v1/auth/login - Creates a new anonymous session with unique UUID
  * - Username is display-only; each login creates a fresh identity
+ * - A banned account presenting its previous token is refused (403 ACCOUNT_BANNED).
+ *   Bans are tied to the UUID: a client that drops its token comes back as a
+ *   fresh, unbanned identity (without the banned account's progression)
  */
 
 const express = require('express');
@@ -13,6 +16,22 @@ const { configureAuthLimiter } = require('../../middleware/security');
 
 const authLimiter = configureAuthLimiter();
 
+/**
+ * Ban in force for the account behind the Bearer token the client still holds.
+ * Expired tokens count: a ban must not be dodged by waiting for the JWT to lapse.
+ * @param {import('express').Request} req
+ * @param {Object} jwtService
+ * @returns {Object|null}
+ */
+function _findBanForPreviousToken(req, jwtService) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  const userId = jwtService.readUserId(header.slice(7));
+  return userId ? jwtService.getActiveBan(userId) : null;
+}
+
 /**
  * Initialize auth routes
  * @param {Object} container - Dependency injection container
@@ -39,6 +58,17 @@ function initAuthRoutes(container, jwtService) {
         });
       }
 
+      const ban = _findBanForPreviousToken(req, jwtService);
+      if (ban) {
+        logger.warn('Login refused for banned account', { requestId: req.id, userId: ban.playerId });
+        return res.status(403).json({
+          error: 'ACCOUNT_BANNED',
+          message: 'Ce compte est banni.',
+          reason: ban.reason,
+          expiresAt: ban.expiresAt
+        });
+      }
+
       const playerId = crypto.randomUUID();
 
       const token = jwtService.generateToken({ userId: playerId, username: rawUsername });
@@ -0,0 +1,47 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+
+/**
+ * Admin chat moderation routes. Mounted behind requireMetricsToken
+ * (same admin auth as /admin/stats).
+ * @param {Object} container - DI container
+ * @returns {import('express').Router}
+ */
+function initChatModerationRoutes(container) {
+  const router = express.Router();
+  const chatService = container.get('chatService');
+
+  /** GET /admin/chat/flagged?limit=&before= — flagged messages, newest first */
+  router.get('/flagged',
+    validateRequest({
+      query: Joi.object({
+        limit: Joi.number().integer().min(1).max(200).default(50),
+        before: Joi.number().integer().min(0)
+      })
+    }),
+    async (req, res) => {
+      try {
+        const messages = await chatService.getFlaggedMessages({
+          limit: req.query.limit,
+          before: req.query.before
+        });
+        const data = messages.map(m => m.toObject());
+        res.json({
+          success: true,
+          data,
+          // Cursor for the next page (pass as ?before=)
+          nextBefore: data.length > 0 ? data[data.length - 1].createdAt : null
+        });
+      } catch (err) {
+        logger.error('GET flagged chat messages failed', { error: err.message });
+        res.status(500).json({ success: false, error: 'CHAT_LOG_FETCH_FAILED', message: 'Impossible de charger les messages signalés.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initChatModerationRoutes;
@@ -0,0 +1,59 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { requireSameUserInParam } = require('../../middleware/authz');
+const ContractService = require('../../lib/application/ContractService');
+
+const uuidSchema = Joi.string().guid({ version: ['uuidv4', 'uuidv5'] });
+
+function initContractsRoutes(container, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+  const contractService = container.get('contractService');
+
+  router.use(requireAuth);
+
+  /** GET /api/v1/contracts/:playerId — this week's contract and its progress */
+  router.get('/:playerId',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }) }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const contract = await contractService.getCurrentContract(req.params.playerId);
+        res.json({ success: true, data: ContractService.describe(contract) });
+      } catch (err) {
+        logger.error('GET contract failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'CONTRACT_FETCH_FAILED', message: 'Impossible de charger le contrat de la semaine.' });
+      }
+    });
+
+  /** POST /api/v1/contracts/:playerId/claim — claim the completed stage's reward */
+  router.post('/:playerId/claim',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }) }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const result = await contractService.claimStage(req.params.playerId);
+        if (!result) {
+          return res.status(409).json({ success: false, error: 'CONTRACT_NOT_CLAIMABLE', message: 'Aucune étape du contrat n\'est à réclamer.' });
+        }
+        res.json({
+          success: true,
+          data: {
+            reward: result.reward,
+            contract: ContractService.describe(result.contract),
+            gemBalance: result.wallet ? result.wallet.balance : null
+          }
+        });
+      } catch (err) {
+        logger.error('POST contract claim failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'CONTRACT_CLAIM_FAILED', message: 'Impossible de réclamer la récompense. Réessaie dans un moment.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initContractsRoutes;
@@ -3,14 +3,25 @@
 const express = require('express');
 const logger = require('../../infrastructure/logging/Logger');
 const { Joi, validateRequest } = require('../../middleware/validation');
-const { requireSameUserInParam } = require('../../middleware/authz');
+const { requireSameUserInParam, requireAdmin } = require('../../middleware/authz');
 
 const uuidSchema = Joi.string().guid({ version: ['uuidv4', 'uuidv5'] });
 
+// Challenge types of the daily pool (SQLiteDailyChallengeRepository)
+const CHALLENGE_TYPES = [
+  'zombies_killed', 'zombies_killed_type', 'reach_level', 'gold_earned', 'waves_survived',
+  'critical_hits', 'bosses_defeated', 'no_damage_time', 'no_shop_purchase'
+];
+
+function _notClaimable(res) {
+  return res.status(409).json({ success: false, error: 'CHALLENGE_NOT_CLAIMABLE', message: 'Ce défi ne peut pas être réclamé (déjà réclamé ou non terminé).' });
+}
+
 function initDailyChallengesRoutes(container, options = {}) {
   const router = express.Router();
   const requireAuth = options.requireAuth || ((_req, _res, next) => next());
   const dailyChallengeService = container.get('dailyChallengeService');
+  const gemService = container.get('gemService');
 
   router.use(requireAuth);
 
@@ -28,17 +39,21 @@ function initDailyChallengesRoutes(container, options = {}) {
       }
     });
 
-  /** POST /api/v1/daily-challenges/:playerId/event — apply a delta event */
+  /**
+   * POST /api/v1/daily-challenges/:playerId/event — admin progress adjustment.
+   * Normal progress comes from server gameplay events (DailyChallengeIntegration).
+   */
   router.post('/:playerId/event',
     validateRequest({
       params: Joi.object({ playerId: uuidSchema.required() }),
-      body: Joi.object({ eventType: Joi.string().valid('zombies_killed', 'zombies_killed_type', 'boss_kill', 'survival_time').required(), delta: Joi.number().integer().min(1).default(1), meta: Joi.object().default({}) })
+      body: Joi.object({ eventType: Joi.string().valid(...CHALLENGE_TYPES).required(), delta: Joi.number().integer().min(1).default(1), meta: Joi.object().default({}) })
     }),
-    requireSameUserInParam('playerId'),
+    requireAdmin(),
     (req, res) => {
       try {
         const { eventType, delta, meta } = req.body;
         const results = dailyChallengeService.applyEvent(req.params.playerId, eventType, delta, meta);
+        logger.info('Daily challenge progress adjusted by admin', { adminId: req.userId, playerId: req.params.playerId, eventType, delta });
         res.json({ success: true, data: results });
       } catch (err) {
         logger.error('POST daily event failed', { error: err.message });
@@ -53,13 +68,25 @@ function initDailyChallengesRoutes(container, options = {}) {
       body: Joi.object({ challengeId: Joi.string().required() })
     }),
     requireSameUserInParam('playerId'),
-    (req, res) => {
+    async (req, res) => {
       try {
-        const reward = dailyChallengeService.claimReward(req.params.playerId, req.body.challengeId);
+        const { playerId } = req.params;
+        const { challengeId } = req.body;
+        const claimable = dailyChallengeService.getClaimableReward(playerId, challengeId);
+        if (!claimable) {
+return _notClaimable(res);
+}
+        // Gems live in the server wallet. Credit before marking the claim: the
+        // credit is keyed on (day, challenge), so a claim retried after a failed
+        // credit (or a concurrent one) pays the gems once and never loses them
+        const wallet = claimable.reward.gems
+          ? await gemService.credit(playerId, claimable.reward.gems, 'daily_challenge', `${claimable.date}:${challengeId}`)
+          : null;
+        const reward = dailyChallengeService.claimReward(playerId, challengeId, claimable.date);
         if (!reward) {
-return res.status(409).json({ success: false, error: 'CHALLENGE_NOT_CLAIMABLE', message: 'Ce défi ne peut pas être réclamé (déjà réclamé ou non terminé).' });
+return _notClaimable(res);
 }
-        res.json({ success: true, data: { reward } });
+        res.json({ success: true, data: { reward, gemBalance: wallet ? wallet.balance : null } });
       } catch (err) {
         logger.error('POST daily claim failed', { error: err.message });
         res.status(500).json({ success: false, error: 'REWARD_CLAIM_FAILED', message: 'Impossible de réclamer la récompense. Réessaie dans un moment.' });
@@ -0,0 +1,65 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { requireSameUserInParam } = require('../../middleware/authz');
+
+const uuidSchema = Joi.string().guid({ version: ['uuidv4', 'uuidv5'] });
+
+function initGemsRoutes(container, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+  const gemService = container.get('gemService');
+
+  router.use(requireAuth);
+
+  /** GET /api/v1/gems/:playerId — balance, recent transactions, owned permanent items */
+  router.get('/:playerId',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }) }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const { playerId } = req.params;
+        const [wallet, transactions, ownedPermanents] = await Promise.all([
+          gemService.getWallet(playerId),
+          gemService.getTransactions(playerId),
+          gemService.getOwnedPermanentItems(playerId)
+        ]);
+        res.json({ success: true, data: { ...wallet.toObject(), transactions, ownedPermanents } });
+      } catch (err) {
+        logger.error('GET gems failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'GEMS_FETCH_FAILED', message: 'Impossible de charger tes gems.' });
+      }
+    });
+
+  /** POST /api/v1/gems/:playerId/purchase — spend gems on a gem shop item */
+  router.post('/:playerId/purchase',
+    validateRequest({
+      params: Joi.object({ playerId: uuidSchema.required() }),
+      body: Joi.object({ itemId: Joi.string().trim().min(1).max(64).required() })
+    }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const { itemId, cost, permanent, wallet } = await gemService.purchaseItem(req.params.playerId, req.body.itemId);
+        res.json({ success: true, data: { itemId, cost, permanent, balance: wallet.balance } });
+      } catch (err) {
+        if (err.name === 'NotFoundError') {
+          return res.status(404).json({ success: false, error: 'ITEM_NOT_FOUND', message: 'Cet objet n\'existe pas.' });
+        }
+        if (err.name === 'ConflictError') {
+          return res.status(409).json({ success: false, error: 'ITEM_ALREADY_OWNED', message: 'Tu possèdes déjà cet objet permanent.' });
+        }
+        if (err.name === 'BusinessLogicError') {
+          return res.status(422).json({ success: false, error: 'INSUFFICIENT_GEMS', message: 'Pas assez de gems.' });
+        }
+        logger.error('POST gem purchase failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'GEM_PURCHASE_FAILED', message: 'Achat impossible. Réessaie dans un moment.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initGemsRoutes;
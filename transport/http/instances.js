@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Game instance (lobby) routes
+ * @description Lists, inspects and creates concurrent game instances.
+ * - GET  /api/v1/instances      - Public instances with player counts
+ * - GET  /api/v1/instances/:id  - One instance (private ones are reachable by id)
+ * - POST /api/v1/instances      - Create a new instance (auth required);
+ *   an optional `seed` (32-bit integer or short string) replays a given run
+ *
+ * Joining is done over Socket.IO by passing `auth.instanceId` in the handshake.
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../../middleware/errorHandlers');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { NotFoundError } = require('../../lib/domain/errors/DomainErrors');
+const { INSTANCE_CONFIG } = require('../../config/constants');
+
+/**
+ * Initialize instance routes
+ * @param {Object} instanceManager - see server/instanceManager.js
+ * @param {{requireAuth?: Function}} [options]
+ * @returns {Router} Express router
+ */
+function initInstanceRoutes(instanceManager, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+
+  /**
+   * GET /api/v1/instances - List public instances
+   */
+  router.get('/', (req, res) => {
+    res.json({ success: true, data: instanceManager.listInstances() });
+  });
+
+  /**
+   * GET /api/v1/instances/:id - Instance details
+   */
+  router.get(
+    '/:id',
+    validateRequest({
+      params: Joi.object({ id: Joi.string().pattern(/^[a-z0-9-]{1,40}$/).required() })
+    }),
+    (req, res) => {
+      const instance = instanceManager.getInstance(req.params.id);
+      if (!instance) {
+        throw new NotFoundError('Instance', req.params.id);
+      }
+      res.json({ success: true, data: instance.toPublic() });
+    }
+  );
+
+  /**
+   * POST /api/v1/instances - Create an instance
+   */
+  router.post(
+    '/',
+    requireAuth,
+    validateRequest({
+      body: Joi.object({
+        name: Joi.string().trim().min(1).max(32).optional(),
+        maxPlayers: Joi.number().integer().min(1).max(INSTANCE_CONFIG.maxPlayersCap).optional(),
+        isPrivate: Joi.boolean().default(false),
+        seed: Joi.alternatives()
+          .try(
+            Joi.number().integer().min(0).max(0xffffffff),
+            Joi.string().trim().min(1).max(32)
+          )
+          .optional()
+      })
+    }),
+    asyncHandler(async (req, res) => {
+      const { name, maxPlayers, isPrivate, seed } = req.body;
+      const instance = instanceManager.createInstance({
+        name,
+        maxPlayers,
+        isPrivate,
+        seed,
+        ownerId: req.userId || null
+      });
+      res.status(201).json({ success: true, data: instance.toPublic() });
+    })
+  );
+
+  return router;
+}
+
+module.exports = initInstanceRoutes;
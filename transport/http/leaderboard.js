@@ -2,7 +2,8 @@
  * @fileoverview Leaderboard routes
  * @description Handles leaderboard operations
  * - GET /api/leaderboard - Get leaderboard with pagination
- * - POST /api/leaderboard - Submit score to leaderboard
+ * - POST /api/leaderboard - Submit a server-recorded run to leaderboard
+ * - GET /api/leaderboard/weapons/:weaponId - Per-weapon leaderboard
  */
 
 const express = require('express');
@@ -10,6 +11,9 @@ const router = express.Router();
 const { asyncHandler } = require('../../middleware/errorHandlers');
 const { Joi, validateRequest } = require('../../middleware/validation');
 const { requireSameUserInBody, requireSameUserInQuery } = require('../../middleware/authz');
+const { WEAPONS } = require('../../lib/server/config/WeaponConfig');
+const { WEAPON_STATS_CONFIG } = require('../../config/constants');
+const WeaponStatsService = require('../../lib/application/WeaponStatsService');
 
 /**
  * Initialize leaderboard routes
@@ -47,7 +51,39 @@ function initLeaderboardRoutes(container, options = {}) {
   );
 
   /**
-   * POST /api/leaderboard - Submit score to leaderboard
+   * GET /api/leaderboard/weapons/:weaponId - Top accounts with one weapon
+   * sort=accuracy|dps only ranks accounts with WEAPON_STATS_CONFIG.minShotsForRatio shots.
+   */
+  router.get(
+    '/weapons/:weaponId',
+    requireAuth,
+    validateRequest({
+      params: Joi.object({
+        weaponId: Joi.string()
+          .valid(...Object.keys(WEAPONS))
+          .required()
+      }),
+      query: Joi.object({
+        sort: Joi.string()
+          .valid(...WeaponStatsService.LEADERBOARD_SORTS)
+          .default('kills'),
+        limit: Joi.number().integer().min(1).max(WEAPON_STATS_CONFIG.leaderboardMaxLimit).default(10)
+      })
+    }),
+    asyncHandler(async (req, res) => {
+      const { weaponId } = req.params;
+      const { sort, limit } = req.query;
+      const weaponStatsService = container.get('weaponStatsService');
+
+      const entries = await weaponStatsService.getLeaderboard(weaponId, { sort, limit });
+      res.json({ weaponId, sort, entries });
+    })
+  );
+
+  /**
+   * POST /api/leaderboard - Submit a run to leaderboard
+   * Only the run id is accepted: wave/level/kills/survivalTime come from the
+   * run record written by the server when the run ended.
    */
   router.post(
     '/',
@@ -55,24 +91,15 @@ function initLeaderboardRoutes(container, options = {}) {
     validateRequest({
       body: Joi.object({
         playerId: uuidSchema.required(),
-        wave: Joi.number().integer().min(0).required(),
-        level: Joi.number().integer().min(0).required(),
-        kills: Joi.number().integer().min(0).required(),
-        survivalTime: Joi.number().integer().min(0).required()
+        runId: uuidSchema.required()
       })
     }),
     requireSameUserInBody('playerId'),
     asyncHandler(async (req, res) => {
-      const { playerId, wave, level, kills, survivalTime } = req.body;
+      const { playerId, runId } = req.body;
       const submitScore = container.get('submitScoreUseCase');
 
-      const entry = await submitScore.execute({
-        playerId,
-        wave,
-        level,
-        kills,
-        survivalTime
-      });
+      const entry = await submitScore.execute({ playerId, runId });
 
       res.status(201).json(entry.toObject());
     })
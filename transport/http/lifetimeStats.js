@@ -0,0 +1,34 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { requireSameUserInParam } = require('../../middleware/authz');
+
+const uuidSchema = Joi.string().guid({ version: ['uuidv4', 'uuidv5'] });
+
+function initLifetimeStatsRoutes(container, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+  const lifetimeStatsService = container.get('lifetimeStatsService');
+
+  router.use(requireAuth);
+
+  /** GET /api/v1/lifetime-stats/:playerId — account totals from recorded runs */
+  router.get('/:playerId',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }) }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const stats = await lifetimeStatsService.getStats(req.params.playerId);
+        res.json({ success: true, data: stats.toObject() });
+      } catch (err) {
+        logger.error('GET lifetime stats failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'LIFETIME_STATS_FETCH_FAILED', message: 'Impossible de charger tes statistiques.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initLifetimeStatsRoutes;
@@ -0,0 +1,146 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { kickSockets, enforceBan } = require('../../sockets/moderationActions');
+
+/** Actor recorded in the audit log for actions taken through this API. */
+const API_ACTOR = 'api';
+
+const pageQuery = {
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  before: Joi.number().integer().min(0)
+};
+
+/**
+ * Admin moderation routes: kicks, account bans and the audit log. Mounted
+ * behind requireMetricsToken (same admin auth as /admin/stats).
+ * @param {Object} container - DI container
+ * @param {{io?: Object}} [options] - Socket.IO server, to disconnect the targets
+ * @returns {import('express').Router}
+ */
+function initModerationRoutes(container, { io = null } = {}) {
+  const router = express.Router();
+  const moderationService = container.get('moderationService');
+
+  /** POST /admin/moderation/kick — disconnect a socket or every socket of an account */
+  router.post('/kick',
+    validateRequest({
+      body: Joi.object({
+        targetId: Joi.string().trim().min(1).max(64).required(),
+        reason: Joi.string().trim().max(200).allow('', null)
+      })
+    }),
+    async (req, res) => {
+      const { targetId } = req.body;
+      const reason = req.body.reason || null;
+      try {
+        const kicked = kickSockets(io, targetId, { reason });
+        if (kicked === 0) {
+          return res.status(404).json({ success: false, error: 'TARGET_NOT_CONNECTED', message: 'Aucune connexion pour cette cible.' });
+        }
+        await moderationService.recordKick({ targetId, reason, actor: API_ACTOR });
+        res.json({ success: true, kicked });
+      } catch (err) {
+        logger.error('POST kick failed', { targetId, error: err.message });
+        res.status(500).json({ success: false, error: 'KICK_FAILED', message: 'Impossible d\'expulser ce joueur.' });
+      }
+    });
+
+  /** POST /admin/moderation/bans — ban an account (no durationMinutes = permanent) */
+  router.post('/bans',
+    validateRequest({
+      body: Joi.object({
+        playerId: Joi.string().trim().min(1).max(64).required(),
+        reason: Joi.string().trim().min(1).max(200).required(),
+        durationMinutes: Joi.number().integer().min(1).max(525600)
+      })
+    }),
+    async (req, res) => {
+      const { playerId, reason, durationMinutes } = req.body;
+      try {
+        const ban = await moderationService.banPlayer({
+          playerId,
+          reason,
+          durationMs: durationMinutes ? durationMinutes * 60 * 1000 : null,
+          actor: API_ACTOR
+        });
+        const kicked = enforceBan(io, ban);
+        res.status(201).json({ success: true, data: ban.toObject(), kicked });
+      } catch (err) {
+        logger.error('POST ban failed', { playerId, error: err.message });
+        res.status(500).json({ success: false, error: 'BAN_FAILED', message: 'Impossible de bannir ce compte.' });
+      }
+    });
+
+  /** GET /admin/moderation/bans?active=&limit=&before= — bans, newest first */
+  router.get('/bans',
+    validateRequest({
+      query: Joi.object({
+        active: Joi.boolean().default(false),
+        ...pageQuery
+      })
+    }),
+    async (req, res) => {
+      try {
+        const bans = await moderationService.listBans({
+          activeOnly: req.query.active,
+          limit: req.query.limit,
+          before: req.query.before
+        });
+        const data = bans.map(ban => ban.toObject());
+        res.json({
+          success: true,
+          data,
+          // Cursor for the next page (pass as ?before=)
+          nextBefore: data.length > 0 ? data[data.length - 1].createdAt : null
+        });
+      } catch (err) {
+        logger.error('GET bans failed', { error: err.message });
+        res.status(500).json({ success: false, error: 'BANS_FETCH_FAILED', message: 'Impossible de charger les bannissements.' });
+      }
+    });
+
+  /** DELETE /admin/moderation/bans/:playerId — lift the ban in force */
+  router.delete('/bans/:playerId',
+    validateRequest({
+      params: Joi.object({
+        playerId: Joi.string().trim().min(1).max(64).required()
+      })
+    }),
+    async (req, res) => {
+      const { playerId } = req.params;
+      try {
+        const lifted = await moderationService.unbanPlayer({ playerId, actor: API_ACTOR });
+        if (!lifted) {
+          return res.status(404).json({ success: false, error: 'BAN_NOT_FOUND', message: 'Ce compte n\'est pas banni.' });
+        }
+        res.json({ success: true });
+      } catch (err) {
+        logger.error('DELETE ban failed', { playerId, error: err.message });
+        res.status(500).json({ success: false, error: 'UNBAN_FAILED', message: 'Impossible de lever ce bannissement.' });
+      }
+    });
+
+  /** GET /admin/moderation/audit?limit=&before= — audit log, newest first */
+  router.get('/audit',
+    validateRequest({ query: Joi.object(pageQuery) }),
+    async (req, res) => {
+      try {
+        const data = await moderationService.getAuditLog({ limit: req.query.limit, before: req.query.before });
+        res.json({
+          success: true,
+          data,
+          nextBefore: data.length > 0 ? data[data.length - 1].createdAt : null
+        });
+      } catch (err) {
+        logger.error('GET moderation audit failed', { error: err.message });
+        res.status(500).json({ success: false, error: 'AUDIT_FETCH_FAILED', message: 'Impossible de charger le journal de modération.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initModerationRoutes;
@@ -5,6 +5,7 @@
  * - POST /api/players - Create new player
  * - GET /api/players/:id/upgrades - Get player upgrades
  * - POST /api/players/:id/upgrades - Buy permanent upgrade
+ * - GET /api/players/:id/weapons - Per-weapon stats (accuracy, DPS)
  */
 
 const express = require('express');
@@ -120,6 +121,26 @@ function initPlayerRoutes(container, options = {}) {
     })
   );
 
+  /**
+   * GET /api/players/:id/weapons - Per-weapon stats from server-recorded runs
+   */
+  router.get(
+    '/:id/weapons',
+    validateRequest({
+      params: Joi.object({
+        id: uuidSchema.required()
+      })
+    }),
+    requireSameUserInParam('id'),
+    asyncHandler(async (req, res) => {
+      const { id } = req.params;
+      const weaponStatsService = container.get('weaponStatsService');
+
+      const weapons = await weaponStatsService.getPlayerWeapons(id);
+      res.json({ playerId: id, weapons: weapons.map(stats => stats.toObject()) });
+    })
+  );
+
   return router;
 }
 
@@ -189,7 +189,8 @@ function initProgressionRoutes(container, options = {}) {
 
   /**
    * POST /api/progression/:playerId/add-xp
-   * Add XP to account (called after game ends)
+   * Grant the XP of a server-recorded run (retry path — the server already
+   * grants it when the run ends). The amount comes from the run record only.
    */
   router.post(
     '/:playerId/add-xp',
@@ -198,33 +199,40 @@ function initProgressionRoutes(container, options = {}) {
         playerId: playerIdSchema.required()
       }),
       body: Joi.object({
-        xp: Joi.number().integer().min(0).max(100000000).required()
+        runId: playerIdSchema.required()
       })
     }),
     requireSameUserInParam('playerId'),
     async (req, res) => {
       try {
         const { playerId } = req.params;
-        const { xp } = req.body;
+        const { runId } = req.body;
 
-        let progression = await progressionRepo.findByPlayerId(playerId);
-
-        if (!progression) {
-          progression = new AccountProgression({ playerId });
-          await progressionRepo.create(progression);
-        }
-
-        const result = progression.addXP(xp);
-        await progressionRepo.update(progression);
+        const { record, result } = await container.get('runRecordService').grantXP(runId, playerId);
 
         res.json({
           success: true,
           data: {
             ...result,
-            progression: progression.getStats()
+            runId,
+            xpEarned: record.xpEarned
           }
         });
       } catch (error) {
+        if (error.name === 'NotFoundError') {
+          return res.status(404).json({
+            success: false,
+            error: 'RUN_NOT_FOUND',
+            message: 'Run introuvable pour ce joueur.'
+          });
+        }
+        if (error.name === 'ConflictError') {
+          return res.status(409).json({
+            success: false,
+            error: 'RUN_XP_ALREADY_GRANTED',
+            message: 'L\'XP de cette run a déjà été attribuée.'
+          });
+        }
         logger.error('Error adding XP', { requestId: req.id, error: error.message });
         res.status(500).json({
           success: false,
@@ -0,0 +1,186 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { requireSameUserInParam } = require('../../middleware/authz');
+const presenceStore = require('../../sockets/presenceStore');
+
+const uuidSchema = Joi.string().guid({ version: ['uuidv4', 'uuidv5'] });
+const playerParams = Joi.object({ playerId: uuidSchema.required() });
+const targetParams = Joi.object({
+  playerId: uuidSchema.required(),
+  targetPlayerId: uuidSchema.required()
+});
+const friendRequestSchema = Joi.object({
+  targetPlayerId: uuidSchema,
+  username: Joi.string().trim().min(2).max(15)
+}).xor('targetPlayerId', 'username');
+
+function sendError(res, err, messages, fallback) {
+  const mapped = {
+    ValidationError: [400, 'INVALID_TARGET'],
+    NotFoundError: [404, 'NOT_FOUND'],
+    ConflictError: [409, 'CONFLICT'],
+    BusinessLogicError: [422, 'NOT_ALLOWED']
+  }[err.name];
+  if (mapped && messages[err.name]) {
+    return res.status(mapped[0]).json({ success: false, error: mapped[1], message: messages[err.name] });
+  }
+  logger.error(`${fallback.error} failed`, { error: err.message });
+  return res.status(500).json({ success: false, error: fallback.error, message: fallback.message });
+}
+
+function initRelationshipRoutes(container, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+  const relationshipRepository = container.get('relationshipRepository');
+  const getRelationships = container.get('getRelationshipsUseCase');
+  const sendFriendRequest = container.get('sendFriendRequestUseCase');
+  const acceptFriendRequest = container.get('acceptFriendRequestUseCase');
+  const removeFriend = container.get('removeFriendUseCase');
+  const blockPlayer = container.get('blockPlayerUseCase');
+  const mutePlayer = container.get('mutePlayerUseCase');
+
+  router.use(requireAuth);
+
+  // Blocked and muted share one hidden set in the presence store, so lifting
+  // one must not unhide a player still covered by the other.
+  async function syncHidden(playerId, targetPlayerId) {
+    const [blocked, muted] = await Promise.all([
+      relationshipRepository.find(playerId, targetPlayerId, 'blocked'),
+      relationshipRepository.find(playerId, targetPlayerId, 'muted')
+    ]);
+    presenceStore.setHidden(playerId, targetPlayerId, Boolean(blocked || muted));
+  }
+
+  /** GET /api/v1/relationships/:playerId — friends (with presence), requests, blocked, muted */
+  router.get('/:playerId',
+    validateRequest({ params: playerParams }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const lists = await getRelationships.execute({ playerId: req.params.playerId });
+        res.json({
+          success: true,
+          data: {
+            friends: lists.friends.map(r => ({ ...r.toObject(), ...presenceStore.getPresence(r.targetPlayerId) })),
+            outgoingRequests: lists.outgoingRequests.map(r => r.toObject()),
+            incomingRequests: lists.incomingRequests.map(r => r.toObject()),
+            blocked: lists.blocked.map(r => r.toObject()),
+            muted: lists.muted.map(r => r.toObject())
+          }
+        });
+      } catch (err) {
+        sendError(res, err, {}, {
+          error: 'RELATIONSHIPS_FETCH_FAILED',
+          message: 'Impossible de charger ta liste d\'amis.'
+        });
+      }
+    });
+
+  /** POST /api/v1/relationships/:playerId/friends — send a friend request (by id or username) */
+  router.post('/:playerId/friends',
+    validateRequest({ params: playerParams, body: friendRequestSchema }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const relationship = await sendFriendRequest.execute({
+          playerId: req.params.playerId,
+          targetPlayerId: req.body.targetPlayerId,
+          targetUsername: req.body.username
+        });
+        if (!relationship.isPending()) {
+          presenceStore.setFriendship(relationship.playerId, relationship.targetPlayerId, true);
+        }
+        res.status(201).json({ success: true, data: relationship.toObject() });
+      } catch (err) {
+        sendError(res, err, {
+          ValidationError: 'Tu ne peux pas t\'ajouter toi-même.',
+          NotFoundError: 'Joueur introuvable.',
+          ConflictError: 'Demande déjà envoyée ou joueur déjà ami.',
+          BusinessLogicError: 'Impossible d\'ajouter ce joueur.'
+        }, { error: 'FRIEND_REQUEST_FAILED', message: 'Demande d\'ami impossible. Réessaie dans un moment.' });
+      }
+    });
+
+  /** POST /api/v1/relationships/:playerId/friends/:targetPlayerId/accept — accept an incoming request */
+  router.post('/:playerId/friends/:targetPlayerId/accept',
+    validateRequest({ params: targetParams }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const { playerId, targetPlayerId } = req.params;
+        const relationship = await acceptFriendRequest.execute({ playerId, requesterId: targetPlayerId });
+        presenceStore.setFriendship(playerId, targetPlayerId, true);
+        res.json({ success: true, data: relationship.toObject() });
+      } catch (err) {
+        sendError(res, err, {
+          NotFoundError: 'Aucune demande d\'ami de ce joueur.'
+        }, { error: 'FRIEND_ACCEPT_FAILED', message: 'Impossible d\'accepter cette demande.' });
+      }
+    });
+
+  /** DELETE /api/v1/relationships/:playerId/friends/:targetPlayerId — unfriend, cancel or decline a request */
+  router.delete('/:playerId/friends/:targetPlayerId',
+    validateRequest({ params: targetParams }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const { playerId, targetPlayerId } = req.params;
+        await removeFriend.execute({ playerId, targetPlayerId });
+        presenceStore.setFriendship(playerId, targetPlayerId, false);
+        res.json({ success: true });
+      } catch (err) {
+        sendError(res, err, {
+          NotFoundError: 'Ce joueur n\'est pas dans ta liste d\'amis.'
+        }, { error: 'FRIEND_REMOVE_FAILED', message: 'Impossible de retirer cet ami.' });
+      }
+    });
+
+  function toggleRoute(path, useCase, flag, labels) {
+    const handle = enabled => async (req, res) => {
+      try {
+        const { playerId, targetPlayerId } = req.params;
+        const relationship = await useCase.execute({ playerId, targetPlayerId, [flag]: enabled });
+        if (enabled && flag === 'blocked') {
+          presenceStore.setFriendship(playerId, targetPlayerId, false);
+        }
+        await syncHidden(playerId, targetPlayerId);
+        res.json({ success: true, data: relationship ? relationship.toObject() : null });
+      } catch (err) {
+        sendError(res, err, {
+          ValidationError: labels.self,
+          NotFoundError: enabled ? 'Joueur introuvable.' : labels.missing
+        }, labels.failure);
+      }
+    };
+
+    router.put(`/:playerId/${path}/:targetPlayerId`,
+      validateRequest({ params: targetParams }),
+      requireSameUserInParam('playerId'),
+      handle(true));
+    router.delete(`/:playerId/${path}/:targetPlayerId`,
+      validateRequest({ params: targetParams }),
+      requireSameUserInParam('playerId'),
+      handle(false));
+  }
+
+  /** PUT|DELETE /api/v1/relationships/:playerId/blocked/:targetPlayerId — block / unblock */
+  toggleRoute('blocked', blockPlayer, 'blocked', {
+    self: 'Tu ne peux pas te bloquer toi-même.',
+    missing: 'Ce joueur n\'est pas bloqué.',
+    failure: { error: 'BLOCK_UPDATE_FAILED', message: 'Impossible de modifier le blocage.' }
+  });
+
+  /** PUT|DELETE /api/v1/relationships/:playerId/muted/:targetPlayerId — mute / unmute */
+  toggleRoute('muted', mutePlayer, 'muted', {
+    self: 'Tu ne peux pas te rendre muet toi-même.',
+    missing: 'Ce joueur n\'est pas en sourdine.',
+    failure: { error: 'MUTE_UPDATE_FAILED', message: 'Impossible de modifier la sourdine.' }
+  });
+
+  return router;
+}
+
+module.exports = initRelationshipRoutes;
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Match replay routes
+ * @description Lists, downloads and seeks recorded match replays
+ *   (lib/server/replay). Only mounted when ENABLE_REPLAY=true.
+ * - GET /api/v1/replays                 - Index of public replays, newest first
+ *   (`instanceId` filter; private instances are only listed by id)
+ * - GET /api/v1/replays/:id             - Replay metadata, keyframe times included
+ * - GET /api/v1/replays/:id/download    - The gzip-compressed NDJSON file
+ * - GET /api/v1/replays/:id/state?t=ms  - World state rebuilt at `t` ms from the
+ *   nearest keyframe (authenticated: it is the costly one)
+ */
+
+const fs = require('fs');
+const express = require('express');
+const { asyncHandler } = require('../../middleware/errorHandlers');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { NotFoundError } = require('../../lib/domain/errors/DomainErrors');
+
+const idParams = Joi.object({ id: Joi.string().pattern(/^[a-f0-9]{16}$/).required() });
+
+function summary(entry) {
+  const { keyframes, ...rest } = entry;
+  return { ...rest, keyframeCount: keyframes.length };
+}
+
+/**
+ * Initialize replay routes
+ * @param {import('../../lib/server/replay/ReplayStore')} replayStore
+ * @param {{requireAuth?: Function}} [options]
+ * @returns {Router} Express router
+ */
+function initReplayRoutes(replayStore, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+
+  function requireEntry(id) {
+    const entry = replayStore.get(id);
+    if (!entry) {
+      throw new NotFoundError('Replay', id);
+    }
+    return entry;
+  }
+
+  /**
+   * GET /api/v1/replays - List replays
+   */
+  router.get(
+    '/',
+    validateRequest({
+      query: Joi.object({
+        instanceId: Joi.string().pattern(/^[a-z0-9-]{1,40}$/).optional(),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+      })
+    }),
+    (req, res) => {
+      const { instanceId, limit } = req.query;
+      const entries = instanceId
+        ? replayStore.list({ instanceId, limit })
+        : replayStore.list().filter(entry => !entry.isPrivate).slice(0, limit);
+      res.json({ success: true, data: entries.map(summary) });
+    }
+  );
+
+  /**
+   * GET /api/v1/replays/:id - Replay metadata
+   */
+  router.get('/:id', validateRequest({ params: idParams }), (req, res) => {
+    res.json({ success: true, data: requireEntry(req.params.id) });
+  });
+
+  /**
+   * GET /api/v1/replays/:id/download - Replay file
+   */
+  router.get('/:id/download', validateRequest({ params: idParams }), (req, res, next) => {
+    const entry = requireEntry(req.params.id);
+    const stream = fs.createReadStream(replayStore.filePath(entry.id));
+    stream.on('error', err => {
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        next(err.code === 'ENOENT' ? new NotFoundError('Replay', entry.id) : err);
+      }
+    });
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="replay-${entry.id}.ndjson.gz"`
+      });
+      stream.pipe(res);
+    });
+  });
+
+  /**
+   * GET /api/v1/replays/:id/state?t=ms - Seek by timestamp
+   */
+  router.get(
+    '/:id/state',
+    requireAuth,
+    validateRequest({
+      params: idParams,
+      query: Joi.object({ t: Joi.number().integer().min(0).required() })
+    }),
+    asyncHandler(async (req, res) => {
+      requireEntry(req.params.id);
+      const snapshot = await replayStore.seek(req.params.id, req.query.t);
+      if (!snapshot) {
+        throw new NotFoundError('Replay', req.params.id);
+      }
+      res.json({ success: true, data: snapshot });
+    })
+  );
+
+  return router;
+}
+
+module.exports = initReplayRoutes;
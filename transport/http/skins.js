@@ -0,0 +1,81 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../../infrastructure/logging/Logger');
+const { Joi, validateRequest } = require('../../middleware/validation');
+const { requireSameUserInParam } = require('../../middleware/authz');
+const SkinCollection = require('../../lib/domain/entities/SkinCollection');
+
+const uuidSchema = Joi.string().guid({ version: ['uuidv4', 'uuidv5'] });
+const skinBodySchema = Joi.object({
+  type: Joi.string().valid(...SkinCollection.SKIN_TYPES).required(),
+  skinId: Joi.string().trim().min(1).max(64).required()
+});
+
+function initSkinsRoutes(container, options = {}) {
+  const router = express.Router();
+  const requireAuth = options.requireAuth || ((_req, _res, next) => next());
+  const skinService = container.get('skinService');
+
+  router.use(requireAuth);
+
+  /** GET /api/v1/skins/:playerId — owned and equipped skins */
+  router.get('/:playerId',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }) }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const collection = await skinService.getCollection(req.params.playerId);
+        res.json({ success: true, data: collection.toObject() });
+      } catch (err) {
+        logger.error('GET skins failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'SKINS_FETCH_FAILED', message: 'Impossible de charger tes skins.' });
+      }
+    });
+
+  /** POST /api/v1/skins/:playerId/purchase — buy a skin with gems */
+  router.post('/:playerId/purchase',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }), body: skinBodySchema }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const { type, skinId } = req.body;
+        const { collection, wallet } = await skinService.purchase(req.params.playerId, type, skinId);
+        res.json({ success: true, data: { ...collection.toObject(), balance: wallet.balance } });
+      } catch (err) {
+        if (err.name === 'NotFoundError') {
+          return res.status(404).json({ success: false, error: 'SKIN_NOT_FOUND', message: 'Ce skin n\'existe pas.' });
+        }
+        if (err.name === 'ConflictError') {
+          return res.status(409).json({ success: false, error: 'SKIN_ALREADY_OWNED', message: 'Tu possèdes déjà ce skin.' });
+        }
+        if (err.name === 'BusinessLogicError') {
+          return res.status(422).json({ success: false, error: 'INSUFFICIENT_GEMS', message: 'Pas assez de gems.' });
+        }
+        logger.error('POST skin purchase failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'SKIN_PURCHASE_FAILED', message: 'Achat impossible. Réessaie dans un moment.' });
+      }
+    });
+
+  /** POST /api/v1/skins/:playerId/equip — equip an owned skin */
+  router.post('/:playerId/equip',
+    validateRequest({ params: Joi.object({ playerId: uuidSchema.required() }), body: skinBodySchema }),
+    requireSameUserInParam('playerId'),
+    async (req, res) => {
+      try {
+        const { type, skinId } = req.body;
+        const collection = await skinService.equip(req.params.playerId, type, skinId);
+        res.json({ success: true, data: collection.toObject() });
+      } catch (err) {
+        if (err.name === 'NotFoundError') {
+          return res.status(404).json({ success: false, error: 'SKIN_NOT_OWNED', message: 'Tu ne possèdes pas ce skin.' });
+        }
+        logger.error('POST skin equip failed', { error: err.message, playerId: req.params.playerId });
+        res.status(500).json({ success: false, error: 'SKIN_EQUIP_FAILED', message: 'Impossible d\'équiper ce skin.' });
+      }
+    });
+
+  return router;
+}
+
+module.exports = initSkinsRoutes;
@@ -17,7 +17,10 @@ const SOCKET_EVENTS = {
   CLIENT: {
     PLAYER_MOVE: 'playerMove',
     PLAYER_MOVE_BATCH: 'playerMoveBatch',
+    PLAYER_INPUT: 'playerInput',
     SHOOT: 'shoot',
+    SWITCH_WEAPON: 'switchWeapon',
+    RELOAD: 'reload',
     RESPAWN: 'respawn',
     SET_NICKNAME: 'setNickname',
     SELECT_UPGRADE: 'selectUpgrade',
@@ -28,6 +31,17 @@ const SOCKET_EVENTS = {
     PING: 'app:ping', // BUGFIX: namespaced to avoid Socket.IO heartbeat collision
     ADMIN_COMMAND: 'adminCommand',
     REQUEST_FULL_STATE: 'requestFullState',
+    VIEWPORT: 'viewport',
+    SPECTATE_TARGET: 'spectateTarget',
+    SPECTATE_LIST: 'spectateList',
+    SPECTATE_CAMERA: 'spectateCamera',
+    EMOTE: 'emote',
+    CHAT_MESSAGE: 'chatMessage',
+    PARTY_CREATE: 'partyCreate',
+    PARTY_INVITE: 'partyInvite',
+    PARTY_ACCEPT: 'partyAccept',
+    PARTY_LEAVE: 'partyLeave',
+    PARTY_TRANSFER_LEADER: 'partyTransferLeader',
     // Leaderboard (public client)
     REQUEST_LEADERBOARD: 'request_leaderboard',
     SUBMIT_SCORE: 'submit_score'
@@ -40,6 +54,9 @@ const SOCKET_EVENTS = {
     // Connection & initialization
     INIT: 'init',
     SERVER_FULL: 'serverFull',
+    INSTANCE_FULL: 'instanceFull',
+    INSTANCE_NOT_FOUND: 'instanceNotFound',
+    SPECTATORS_FULL: 'spectatorsFull',
     ERROR: 'error',
 
     // Game state broadcasting
@@ -47,15 +64,39 @@ const SOCKET_EVENTS = {
     GAME_STATE_DELTA: 'gameStateDelta',
     BATCHED_EVENTS: 'batchedEvents',
 
+    // Spectators
+    SPECTATOR_STATE: 'spectatorState',
+    SPECTATOR_PLAYERS: 'spectatorPlayers',
+    SPECTATOR_COUNT: 'spectatorCount',
+
     // Player feedback
     POSITION_CORRECTION: 'positionCorrection',
     MOVE_ACK: 'moveAck',
+    WEAPON_INVENTORY: 'weaponInventory',
     STUNNED: 'stunned',
     NICKNAME_REJECTED: 'nicknameRejected',
     PLAYER_NICKNAME_SET: 'playerNicknameSet',
     UPGRADE_SELECTED: 'upgradeSelected',
+    SYNERGY_UNLOCKED: 'synergyUnlocked',
     SHOP_UPDATE: 'shopUpdate',
     SESSION_TIMEOUT: 'sessionTimeout',
+    KICKED: 'kicked',
+
+    // Social
+    PLAYER_EMOTE: 'playerEmote',
+    CHAT_MESSAGE: 'chatMessage',
+    CHAT_REJECTED: 'chatRejected',
+    FRIEND_PRESENCE: 'friendPresence',
+
+    // Parties
+    PARTY_UPDATE: 'partyUpdate',
+    PARTY_INVITE_RECEIVED: 'partyInviteReceived',
+    PARTY_ERROR: 'partyError',
+
+    // Co-op downed state
+    PLAYER_DOWNED: 'playerDowned',
+    REVIVE_PROGRESS: 'reviveProgress',
+    PLAYER_REVIVED: 'playerRevived',
 
     // Progression & combat
     LEVEL_UP: 'levelUp',
@@ -64,12 +105,17 @@ const SOCKET_EVENTS = {
     ACCOUNT_XP_GAINED: 'accountXPGained',
     SKILL_BONUSES_LOADED: 'skillBonusesLoaded',
     ACHIEVEMENTS_UNLOCKED: 'achievementsUnlocked',
+    DAILY_CHALLENGE_COMPLETED: 'dailyChallengeCompleted',
 
     // Waves & rooms
     NEW_WAVE: 'newWave',
     ROOM_CHANGED: 'roomChanged',
     RUN_COMPLETED: 'runCompleted',
+    GEMS_EARNED: 'gemsEarned',
     MUTATORS_UPDATED: 'mutatorsUpdated',
+    ALTAR_CHALLENGE_STARTED: 'altarChallengeStarted',
+    ALTAR_CHALLENGE_PROGRESS: 'altarChallengeProgress',
+    ALTAR_CHALLENGE_ENDED: 'altarChallengeEnded',
 
     // Boss events
     BOSS_SPAWNED: 'bossSpawned',
@@ -86,6 +132,9 @@ const SOCKET_EVENTS = {
     BOSS_REALITY_WARP: 'bossRealityWarp',
     BOSS_ICE_PRISON: 'bossIcePrison',
     BOSS_APOCALYPSE: 'bossApocalypse',
+    BOSS_TELEGRAPH: 'bossTelegraph',
+    BOSS_TELEGRAPH_CANCEL: 'bossTelegraphCancel',
+    BOSS_SUMMON: 'bossSummon',
 
     // Admin
     ADMIN_RESPONSE: 'adminResponse',
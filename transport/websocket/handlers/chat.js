@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Emote + chat socket handlers.
+ * @description Social events broadcast to the sender's instance:
+ *   - emote: whitelisted emote id, shown above the sender on every client
+ *   - chatMessage: rate-limited, length-checked and profanity-masked text on
+ *     the 'global' channel (whole instance, spectators included) or the
+ *     'team' channel (in-game players of the instance only). Every message is
+ *     written to the chat_logs moderation table when the database is up.
+ * Players who muted or blocked the sender (see sockets/presenceStore) never
+ * receive their emotes or messages.
+ */
+
+const logger = require('../../../infrastructure/logging/Logger');
+const { SOCKET_EVENTS } = require('../events');
+const { checkRateLimit } = require('../../../sockets/rateLimitStore');
+const { safeHandler } = require('../../../sockets/socketUtils');
+const { getSocketsHiding } = require('../../../sockets/presenceStore');
+const { filterChatMessage, MAX_CHAT_LENGTH } = require('../../../lib/application/chatFilter');
+
+// Must match the emote list of public/emoteWheel.js
+const EMOTE_IDS = new Set(['hello', 'laugh', 'thumbs', 'angry', 'skull', 'target']);
+const CHAT_CHANNELS = new Set(['global', 'team']);
+
+const REJECT_REASONS = {
+  rate_limited: 'Trop de messages. Attendez quelques secondes.',
+  too_long: `Message trop long (${MAX_CHAT_LENGTH} caractères max).`
+};
+
+/** Account the block and mute lists know the sender by (guests have none). */
+function senderAccountId(socket, player) {
+  return player.accountId || socket.userId || null;
+}
+
+/**
+ * Instance-wide emit that skips the sockets hiding the sender.
+ * @param {Object} io - instance-scoped io facade
+ * @param {string[]} excluded - socket ids
+ */
+function emitToInstance(io, excluded, event, payload) {
+  if (excluded.length > 0) {
+    io.except(excluded).emit(event, payload);
+  } else {
+    io.emit(event, payload);
+  }
+}
+
+/**
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} gameState
+ * @param {Object} io - instance-scoped io facade (emit = whole instance)
+ */
+function registerEmoteHandler(socket, gameState, io) {
+  socket.on(
+    SOCKET_EVENTS.CLIENT.EMOTE,
+    safeHandler('emote', function (data) {
+      const player = gameState.players[socket.id];
+      if (!player || !player.alive || !player.hasNickname) {
+        return;
+      }
+      if (!data || typeof data.id !== 'string' || !EMOTE_IDS.has(data.id)) {
+        return;
+      }
+      if (!checkRateLimit(socket.id, 'emote')) {
+        return;
+      }
+      emitToInstance(io, getSocketsHiding(senderAccountId(socket, player)), SOCKET_EVENTS.SERVER.PLAYER_EMOTE, {
+        playerId: socket.id,
+        emoteId: data.id
+      });
+    })
+  );
+}
+
+function rejectChat(socket, reason) {
+  socket.emit(SOCKET_EVENTS.SERVER.CHAT_REJECTED, { reason, message: REJECT_REASONS[reason] });
+}
+
+function broadcastChat(io, gameState, channel, payload, excluded) {
+  if (channel === 'global') {
+    emitToInstance(io, excluded, SOCKET_EVENTS.SERVER.CHAT_MESSAGE, payload);
+    return;
+  }
+  for (const [socketId, player] of Object.entries(gameState.players)) {
+    if (player.hasNickname && !excluded.includes(socketId)) {
+      io.to(socketId).emit(SOCKET_EVENTS.SERVER.CHAT_MESSAGE, payload);
+    }
+  }
+}
+
+function logChat(container, entry, traceId) {
+  if (!container) {
+    return;
+  }
+  let chatService;
+  try {
+    chatService = container.get('chatService');
+  } catch (error) {
+    logger.warn('Chat log unavailable', { error: error.message, traceId });
+    return;
+  }
+  chatService.logMessage(entry).catch(error =>
+    logger.error('Failed to log chat message', { playerId: entry.playerId, error: error.message, traceId })
+  );
+}
+
+/**
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} gameState
+ * @param {Object} io - instance-scoped io facade
+ * @param {Object|null} container - DI container (null when the database is down)
+ */
+function registerChatHandler(socket, gameState, io, container) {
+  socket.on(
+    SOCKET_EVENTS.CLIENT.CHAT_MESSAGE,
+    safeHandler('chatMessage', function (data) {
+      const player = gameState.players[socket.id];
+      if (!player || !player.hasNickname || !data || typeof data !== 'object') {
+        return;
+      }
+      const channel = CHAT_CHANNELS.has(data.channel) ? data.channel : 'global';
+      if (!checkRateLimit(socket.id, 'chatMessage')) {
+        rejectChat(socket, 'rate_limited');
+        return;
+      }
+      const result = filterChatMessage(data.message);
+      if (!result.ok) {
+        if (result.reason !== 'empty') {
+          rejectChat(socket, result.reason);
+        }
+        return;
+      }
+
+      const createdAt = Date.now();
+      const accountId = senderAccountId(socket, player);
+      broadcastChat(
+        io,
+        gameState,
+        channel,
+        {
+          playerId: socket.id,
+          nickname: player.nickname,
+          channel,
+          message: result.text,
+          timestamp: createdAt
+        },
+        getSocketsHiding(accountId)
+      );
+
+      if (result.flagged) {
+        logger.info('Chat message flagged', {
+          socketId: socket.id,
+          reason: result.flagReason,
+          traceId: socket.traceId || null
+        });
+      }
+      logChat(
+        container,
+        {
+          playerId: accountId,
+          nickname: player.nickname,
+          instanceId: gameState.instanceId || null,
+          channel,
+          message: result.text,
+          rawMessage: result.raw,
+          flagged: result.flagged,
+          flagReason: result.flagReason,
+          createdAt
+        },
+        socket.traceId || null
+      );
+    })
+  );
+}
+
+module.exports = { registerEmoteHandler, registerChatHandler, EMOTE_IDS };
@@ -71,7 +71,9 @@ function registerDisconnectHandler(
             playerState: playerStateCopy,
             disconnectedAt: Date.now(),
             previousSocketId: socket.id,
-            accountId
+            accountId,
+            // Reconnects without an explicit instanceId return to this world
+            instanceId: socket.instanceId || null
           });
 
           logger.info('Session state saved', {
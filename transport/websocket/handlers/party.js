@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Party socket handlers.
+ * @description Create a party, invite a player of the instance (they get the
+ * invite code), accept with a code, leave and hand over the lead. Every
+ * change pushes `partyUpdate` to the connected members, whatever their
+ * instance; the client moves to `instanceId` when it plays elsewhere.
+ * Membership follows the session (see contexts/party): a disconnect keeps
+ * it for SESSION_RECOVERY_TIMEOUT, the reconnect binds the new socket.
+ */
+
+const logger = require('../../../infrastructure/logging/Logger');
+const { SOCKET_EVENTS } = require('../events');
+const { checkRateLimit } = require('../../../sockets/rateLimitStore');
+const { safeHandler } = require('../../../sockets/socketUtils');
+const { getSocketsHiding } = require('../../../sockets/presenceStore');
+const partyStore = require('../../../contexts/party');
+
+const PARTY_ERRORS = {
+  not_playing: 'Choisissez un pseudo avant de former un groupe.',
+  already_in_party: 'Vous êtes déjà dans un groupe.',
+  not_in_party: 'Vous n\'êtes dans aucun groupe.',
+  not_found: 'Code de groupe invalide.',
+  full: 'Ce groupe est complet.',
+  not_leader: 'Seul le chef du groupe peut faire ça.',
+  not_member: 'Ce joueur n\'est pas dans votre groupe.',
+  unknown_player: 'Joueur introuvable.'
+};
+
+function rejectParty(socket, reason) {
+  socket.emit(SOCKET_EVENTS.SERVER.PARTY_ERROR, { reason, message: PARTY_ERRORS[reason] });
+}
+
+/**
+ * Push the party state to its connected members.
+ * @param {Object} io - instance-scoped io facade (`to` reaches every instance)
+ * @param {Object} party
+ */
+function notifyParty(io, party) {
+  const socketIds = partyStore.getMemberSocketIds(party);
+  if (socketIds.length > 0) {
+    io.to(socketIds).emit(SOCKET_EVENTS.SERVER.PARTY_UPDATE, partyStore.toPublic(party));
+  }
+}
+
+/** Drop the members whose session expired and tell their parties. */
+function sweepParties(io, now = Date.now()) {
+  for (const party of partyStore.sweepExpired(now)) {
+    notifyParty(io, party);
+  }
+}
+
+/**
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} gameState
+ * @param {Object} io - instance-scoped io facade
+ * @param {string|null} sessionId
+ */
+function registerPartyHandlers(socket, gameState, io, sessionId) {
+  const key = partyStore.memberKey(sessionId, socket.id);
+
+  // Reconnect within SESSION_RECOVERY_TIMEOUT: back in the party
+  sweepParties(io);
+  const player = gameState.players[socket.id];
+  const rejoined = partyStore.bindSocket(key, {
+    socketId: socket.id,
+    nickname: player ? player.nickname : null,
+    instanceId: socket.instanceId || null
+  });
+  if (rejoined) {
+    notifyParty(io, rejoined);
+  }
+
+  /**
+   * Common guard: rate limit, and a player past the nickname screen.
+   * @returns {Object|null} the player
+   */
+  function partyPlayer() {
+    const current = gameState.players[socket.id];
+    if (!checkRateLimit(socket.id, 'party')) {
+      return null;
+    }
+    if (!current || !current.hasNickname) {
+      rejectParty(socket, 'not_playing');
+      return null;
+    }
+    return current;
+  }
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.PARTY_CREATE,
+    safeHandler('partyCreate', function () {
+      const current = partyPlayer();
+      if (!current) {
+        return;
+      }
+      const { party, error } = partyStore.createParty(key, {
+        socketId: socket.id,
+        nickname: current.nickname,
+        instanceId: socket.instanceId || null
+      });
+      if (error) {
+        rejectParty(socket, error);
+        return;
+      }
+      logger.info('Party created', { partyId: party.id, socketId: socket.id, traceId: socket.traceId || null });
+      notifyParty(io, party);
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.PARTY_INVITE,
+    safeHandler('partyInvite', function (data) {
+      const current = partyPlayer();
+      if (!current) {
+        return;
+      }
+      const party = partyStore.getParty(key);
+      if (!party) {
+        rejectParty(socket, 'not_in_party');
+        return;
+      }
+      const targetId = data && typeof data.playerId === 'string' ? data.playerId : null;
+      const target = targetId ? gameState.players[targetId] : null;
+      if (!target || !target.hasNickname || targetId === socket.id) {
+        rejectParty(socket, 'unknown_player');
+        return;
+      }
+      // A player who muted or blocked the inviter never hears from them
+      if (getSocketsHiding(current.accountId || socket.userId || null).includes(targetId)) {
+        return;
+      }
+      io.to(targetId).emit(SOCKET_EVENTS.SERVER.PARTY_INVITE_RECEIVED, {
+        code: party.code,
+        fromId: socket.id,
+        fromNickname: current.nickname
+      });
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.PARTY_ACCEPT,
+    safeHandler('partyAccept', function (data) {
+      const current = partyPlayer();
+      if (!current) {
+        return;
+      }
+      sweepParties(io);
+      const { party, error } = partyStore.joinParty(key, data && data.code, {
+        socketId: socket.id,
+        nickname: current.nickname
+      });
+      if (error) {
+        rejectParty(socket, error);
+        return;
+      }
+      logger.info('Party joined', { partyId: party.id, socketId: socket.id, traceId: socket.traceId || null });
+      notifyParty(io, party);
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.PARTY_LEAVE,
+    safeHandler('partyLeave', function () {
+      if (!checkRateLimit(socket.id, 'party')) {
+        return;
+      }
+      if (!partyStore.getParty(key)) {
+        rejectParty(socket, 'not_in_party');
+        return;
+      }
+      const remaining = partyStore.leaveParty(key);
+      socket.emit(SOCKET_EVENTS.SERVER.PARTY_UPDATE, null);
+      if (remaining) {
+        notifyParty(io, remaining);
+      }
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.PARTY_TRANSFER_LEADER,
+    safeHandler('partyTransferLeader', function (data) {
+      if (!checkRateLimit(socket.id, 'party')) {
+        return;
+      }
+      const targetId = data && typeof data.playerId === 'string' ? data.playerId : null;
+      const { party, error } = partyStore.transferLeader(key, targetId);
+      if (error) {
+        rejectParty(socket, error);
+        return;
+      }
+      notifyParty(io, party);
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.SYSTEM.DISCONNECT,
+    safeHandler('partyDisconnect', function () {
+      // Without a session the player cannot come back as the same member
+      const party = sessionId ? partyStore.markDisconnected(key, socket.id) : partyStore.leaveParty(key);
+      if (party) {
+        notifyParty(io, party);
+      }
+      sweepParties(io);
+    })
+  );
+}
+
+module.exports = { registerPartyHandlers };
@@ -2,13 +2,18 @@
  * @fileoverview Player movement handler.
  * @description Validates every player move against a leaky-bucket move budget
  * (anti-cheat), clamps to world bounds, and honours stun / spawn protection.
+ * With MOVEMENT_MODE=input, absolute moves are ignored and the server simulates
+ * sequenced input frames instead (contexts/player/modules/InputMovement).
  * Sixth slice of the socketHandlers.js split.
  */
 
 const { SOCKET_EVENTS } = require('../events');
 const { safeHandler } = require('../../../sockets/socketUtils');
 const { checkRateLimit } = require('../../../sockets/rateLimitStore');
-const { validateMovementData } = require('../../../game/validationFunctions');
+const { reportViolation } = require('../../../sockets/antiCheatLedger');
+const { validateMovementData, validateInputFrame } = require('../../../game/validationFunctions');
+const { applyInputFrames } = require('../../../contexts/player/modules/InputMovement');
+const { MOVEMENT_CONFIG } = require('../../../config/constants');
 const logger = require('../../../infrastructure/logging/Logger');
 const MetricsCollector = require('../../../infrastructure/metrics/MetricsCollector');
 const ConfigManager = require('../../../lib/server/ConfigManager');
@@ -168,6 +173,12 @@ return;
   if (ENABLE_ANTICHEAT && player.speedMultiplier > SUSPICIOUS_SPEED_THRESHOLD) {
     logger.warn('Anti-cheat: Suspicious speedMultiplier detected', { player: player.nickname || socket.id, speedMultiplier: player.speedMultiplier, traceId: socket.traceId || null });
     _mc.recordCheatAttempt('speed_multiplier');
+    reportViolation(socket.userId, 'speed_multiplier', player.speedMultiplier / SUSPICIOUS_SPEED_THRESHOLD, {
+      speedMultiplier: player.speedMultiplier,
+      x: Math.round(player.x),
+      y: Math.round(player.y),
+      level: player.level
+    });
     if (_mc.recordViolation(socket.id)) {
       _mc.metrics.anticheat.player_disconnects_total++;
       _mc.clearViolations(socket.id);
@@ -182,7 +193,8 @@ player.moveBudget = MAX_BUDGET;
 }
   const speedMultiplier = player.speedMultiplier || 1;
   const boostMultiplier = (player.speedBoost && now < player.speedBoost) ? 2 : 1;
-  player.moveBudget = Math.min(MAX_BUDGET, player.moveBudget + timeDelta * PIXELS_PER_MS * Math.min(speedMultiplier * boostMultiplier, MAX_ACCRUAL_MULTIPLIER) * ACCRUAL_FACTOR);
+  const crawlMultiplier = player.downed ? CONFIG.DOWNED_CRAWL_SPEED : 1;
+  player.moveBudget = Math.min(MAX_BUDGET, player.moveBudget + timeDelta * PIXELS_PER_MS * Math.min(speedMultiplier * boostMultiplier, MAX_ACCRUAL_MULTIPLIER) * crawlMultiplier * ACCRUAL_FACTOR);
 
   const { newX, newY } = _resolveMovementPosition(validatedData, CONFIG);
 
@@ -196,6 +208,13 @@ player.moveBudget = MAX_BUDGET;
       logger.warn('Anti-cheat: Movement rejected - exceeded budget', { player: player.nickname || socket.id, distance: Math.round(distance), budget: Math.round(player.moveBudget), traceId: socket.traceId || null });
       _mc.recordCheatAttempt('movement_budget');
       _mc.recordMovementCorrection();
+      reportViolation(socket.userId, 'movement_budget', distance / budgetPlusAllowance, {
+        from: { x: Math.round(player.x), y: Math.round(player.y) },
+        to: { x: Math.round(newX), y: Math.round(newY) },
+        distance: Math.round(distance),
+        budget: Math.round(player.moveBudget),
+        speedMultiplier: player.speedMultiplier || 1
+      });
       if (_mc.recordViolation(socket.id)) {
         _mc.metrics.anticheat.player_disconnects_total++;
         _mc.clearViolations(socket.id);
@@ -213,11 +232,73 @@ player.moveBudget = MAX_BUDGET;
   player.lastActivityTime = Date.now();
 }
 
-function registerPlayerMoveHandler(socket, gameState, roomManager) {
+/**
+ * Simulate a packet of input frames and ack the last processed seq with the
+ * authoritative position, so the client can replay its unacked inputs on top.
+ * @param {object} socket
+ * @param {object} gameState
+ * @param {object} roomManager
+ * @param {Array} frames - raw frames from the client
+ */
+function _processInputPacket(socket, gameState, roomManager, frames) {
+  const player = gameState.players[socket.id];
+  if (!player || !player.alive || !player.hasNickname) {
+    return;
+  }
+  if (!checkRateLimit(socket.id, 'playerInput')) {
+    return;
+  }
+
+  const validFrames = [];
+  for (const frame of frames) {
+    const validated = validateInputFrame(frame);
+    if (validated) {
+      validFrames.push(validated);
+    }
+  }
+  validFrames.sort((a, b) => a.seq - b.seq);
+
+  const now = Date.now();
+  _applyStunCheck(player, socket, now);
+  applyInputFrames(player, validFrames, roomManager, now);
+
+  if (typeof player.lastInputSeq === 'number') {
+    socket.emit(SOCKET_EVENTS.SERVER.MOVE_ACK, {
+      seq: player.lastInputSeq,
+      x: player.x,
+      y: player.y
+    });
+  }
+}
+
+/**
+ * @param {object} socket
+ * @param {object} gameState
+ * @param {object} roomManager
+ * @param {'position'|'input'} [movementMode] - defaults to MOVEMENT_CONFIG.mode
+ */
+function registerPlayerMoveHandler(socket, gameState, roomManager, movementMode = MOVEMENT_CONFIG.mode) {
+  const inputMode = movementMode === 'input';
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.PLAYER_INPUT,
+    safeHandler('playerInput', function (frames) {
+      if (!inputMode || socket.spectator) {
+        return;
+      }
+      if (!Array.isArray(frames) || frames.length === 0 || frames.length > MOVEMENT_CONFIG.maxFramesPerPacket) {
+        logger.warn('Invalid playerInput payload', { socketId: socket.id, len: frames?.length, traceId: socket.traceId || null });
+        return;
+      }
+      _processInputPacket(socket, gameState, roomManager, frames);
+    })
+  );
+
   socket.on(
     SOCKET_EVENTS.CLIENT.PLAYER_MOVE,
     safeHandler('playerMove', function (data) {
-      if (socket.spectator) {
+      // Input mode: positions only come from the server simulation.
+      if (inputMode || socket.spectator) {
 return;
 }
       if (!data || typeof data !== 'object') {
@@ -236,7 +317,7 @@ return;
   socket.on(
     SOCKET_EVENTS.CLIENT.PLAYER_MOVE_BATCH,
     safeHandler('playerMoveBatch', function (batch) {
-      if (socket.spectator) {
+      if (inputMode || socket.spectator) {
 return;
 }
       if (!Array.isArray(batch) || batch.length === 0 || batch.length > 8) {
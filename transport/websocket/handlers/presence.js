@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Friend presence handler.
+ * @description Tracks authenticated sockets in the process-wide presence
+ * store, loads the account's friend/block/mute lists into it, and tells
+ * online friends when the account comes online or goes offline (first and
+ * last socket, across every game instance). Guests are not tracked.
+ */
+
+const logger = require('../../../infrastructure/logging/Logger');
+const { SOCKET_EVENTS } = require('../events');
+const { safeHandler } = require('../../../sockets/socketUtils');
+const presenceStore = require('../../../sockets/presenceStore');
+
+function notifyFriends(io, socketIds, payload) {
+  if (socketIds.length > 0) {
+    io.to(socketIds).emit(SOCKET_EVENTS.SERVER.FRIEND_PRESENCE, payload);
+  }
+}
+
+/**
+ * Load the account's relationships into the presence store.
+ * @returns {Promise<void>}
+ */
+async function loadRelationships(container, accountId) {
+  const relationships = await container.get('relationshipRepository').findByPlayer(accountId);
+  const friends = [];
+  const hidden = [];
+  for (const rel of relationships) {
+    if (rel.type === 'friend') {
+      if (!rel.isPending()) {
+        friends.push(rel.targetPlayerId);
+      }
+    } else {
+      hidden.push(rel.targetPlayerId);
+    }
+  }
+  presenceStore.setRelationships(accountId, { friends, hidden });
+}
+
+/**
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} io - instance-scoped io facade (`to` reaches every instance)
+ * @param {Object|null} container - DI container (null when the database is down)
+ * @param {string|null} accountId
+ */
+function registerPresenceHandler(socket, io, container, accountId) {
+  if (!accountId || !container) {
+    return;
+  }
+  const instanceId = socket.instanceId || null;
+  const cameOnline = presenceStore.trackConnection(socket.id, accountId, instanceId);
+
+  loadRelationships(container, accountId)
+    .then(() => {
+      if (cameOnline) {
+        notifyFriends(io, presenceStore.getOnlineFriendSockets(accountId), {
+          playerId: accountId,
+          online: true,
+          instanceId
+        });
+      }
+    })
+    .catch(error =>
+      logger.error('Failed to load relationships', {
+        accountId,
+        error: error.message,
+        traceId: socket.traceId || null
+      })
+    );
+
+  socket.on(
+    SOCKET_EVENTS.SYSTEM.DISCONNECT,
+    safeHandler('presenceDisconnect', function () {
+      // Friend list is dropped with the last socket, so resolve it first.
+      const friendSockets = presenceStore.getOnlineFriendSockets(accountId);
+      if (presenceStore.untrackConnection(socket.id)) {
+        notifyFriends(io, friendSockets, { playerId: accountId, online: false, instanceId: null });
+      }
+    })
+  );
+}
+
+module.exports = { registerPresenceHandler };
@@ -17,8 +17,9 @@ const logger = require('../../../infrastructure/logging/Logger');
  * @param {import('socket.io').Socket} socket
  * @param {object} gameState
  * @param {Function} emitInitSnapshot  — injected from index.js to avoid circular dep
+ * @param {object} [networkManager] — culled keyframe follows on the next broadcast
  */
-function registerRequestFullStateHandler(socket, gameState, emitInitSnapshot) {
+function registerRequestFullStateHandler(socket, gameState, emitInitSnapshot, networkManager = null) {
   socket.on(
     SOCKET_EVENTS.CLIENT.REQUEST_FULL_STATE,
     safeHandler('requestFullState', function () {
@@ -27,6 +28,11 @@ function registerRequestFullStateHandler(socket, gameState, emitInitSnapshot) {
       }
       logger.debug('requestFullState', { socketId: socket.id, traceId: socket.traceId || null });
       emitInitSnapshot(socket, gameState, true);
+      // The snapshot above is unculled: drop the socket's AOI baseline so the
+      // next broadcast replaces it with a keyframe of what it can actually see.
+      if (networkManager) {
+        networkManager.resyncSocket(socket.id);
+      }
     })
   );
 }
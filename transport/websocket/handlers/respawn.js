@@ -14,13 +14,15 @@ const {
   resetPlayerRunState,
   restorePlayerProgression
 } = require('../../../contexts/player/modules/RespawnHelpers');
+const partyStore = require('../../../contexts/party');
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const { CONFIG } = ConfigManager;
 
 /**
  * Register the respawn handler on a socket.
  * Snapshots progression, clears run state (health, position, bullets),
- * then restores progression so persistent upgrades survive death.
+ * then restores progression so persistent upgrades survive death. A party
+ * member respawns next to a mate still in the game.
  *
  * @param {import('socket.io').Socket} socket
  * @param {Object} gameState
@@ -41,7 +43,11 @@ function registerRespawnHandler(socket, gameState, entityManager) {
       const totalMaxHealth = CONFIG.PLAYER_MAX_HEALTH + (snapshot.upgrades.maxHealth || 0) * 20;
 
       cleanupPlayerBullets(socket.id, gameState, entityManager);
-      resetPlayerRunState(player, CONFIG, totalMaxHealth, gameState);
+      const near = partyStore.getSpawnAnchor(
+        partyStore.memberKey(player.sessionId, socket.id),
+        gameState.players
+      );
+      resetPlayerRunState(player, CONFIG, totalMaxHealth, gameState, near);
       restorePlayerProgression(player, snapshot);
     })
   );
@@ -1,8 +1,9 @@
 /**
  * @fileoverview Level-up upgrade selection handler.
  * @description Validates the player's upgrade choice against the server-side
- * pendingUpgradeChoices (anti-cheat), applies the effect, and re-enables
- * visibility. Fourth slice of the socketHandlers split.
+ * pendingUpgradeChoices (anti-cheat), applies the effect, announces the
+ * synergies the pick completes, and re-enables visibility. Fourth slice of
+ * the socketHandlers split.
  */
 
 const { SOCKET_EVENTS } = require('../events');
@@ -12,6 +13,7 @@ const { validateUpgradeData } = require('../../../game/validationFunctions');
 const ConfigManager = require('../../../lib/server/ConfigManager');
 const logger = require('../../../infrastructure/logging/Logger');
 const { getTelemetryCollector } = require('../../../infrastructure/telemetry/TelemetryCollector');
+const { recordUpgradePick } = require('../../../lib/server/SynergyRegistry');
 
 const { LEVEL_UP_UPGRADES } = ConfigManager;
 
@@ -68,6 +70,7 @@ function registerSelectUpgradeHandler(socket, gameState) {
       player.pendingUpgradeChoices = batches;
 
       upgrade.effect(player);
+      const unlocked = recordUpgradePick(player, validatedData.upgradeId);
       getTelemetryCollector().record('upgrade_select');
 
       player.invisible = false;
@@ -77,6 +80,9 @@ function registerSelectUpgradeHandler(socket, gameState) {
         success: true,
         upgradeId: validatedData.upgradeId
       });
+      for (const synergy of unlocked) {
+        socket.emit(SOCKET_EVENTS.SERVER.SYNERGY_UNLOCKED, synergy);
+      }
     })
   );
 }
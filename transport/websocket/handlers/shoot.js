@@ -1,8 +1,9 @@
 /**
  * @fileoverview Shoot handler.
- * @description Validates shoot rate-limit, spawns bullet via entityManager,
- * handles muzzle effects and autoTurret. Seventh slice of the socketHandlers
- * split.
+ * @description Validates shoot rate-limit, spends a round from the weapon
+ * inventory, spawns bullet via entityManager, handles muzzle effects and
+ * autoTurret, counts the shot in the per-weapon run stats. Seventh slice of
+ * the socketHandlers split.
  */
 
 const { SOCKET_EVENTS } = require('../events');
@@ -11,6 +12,10 @@ const { checkRateLimit } = require('../../../sockets/rateLimitStore');
 const { validateShootData } = require('../../../game/validationFunctions');
 const logger = require('../../../infrastructure/logging/Logger');
 const ConfigManager = require('../../../lib/server/ConfigManager');
+const { runStream } = require('../../../lib/runPRNG');
+const { consumeShot } = require('../../../contexts/weapons/modules/WeaponInventory');
+const { recordShot } = require('../../../contexts/weapons/modules/WeaponRunStats');
+const { getSynergyModifier } = require('../../../lib/server/SynergyRegistry');
 
 const { CONFIG, WEAPONS } = ConfigManager;
 
@@ -40,7 +45,8 @@ function _estimateClientInterpDelayMs(reportedLatencyMs) {
 }
 
 /**
- * Compute effective fire rate for a player/weapon combination.
+ * Compute effective fire rate for a player/weapon combination (upgrades,
+ * bullet_storm synergy, mutators).
  * @param {Object} weapon
  * @param {Object} player
  * @param {Object} mutatorEffects
@@ -48,7 +54,12 @@ function _estimateClientInterpDelayMs(reportedLatencyMs) {
  */
 function _computeFireRate(weapon, player, mutatorEffects) {
   const cooldownMultiplier = mutatorEffects.playerFireRateCooldownMultiplier || 1;
-  return weapon.fireRate * (player.fireRateMultiplier || 1) * cooldownMultiplier;
+  return (
+    weapon.fireRate *
+    (player.fireRateMultiplier || 1) *
+    getSynergyModifier(player, 'fireRateMultiplier') *
+    cooldownMultiplier
+  );
 }
 
 /**
@@ -56,13 +67,14 @@ function _computeFireRate(weapon, player, mutatorEffects) {
  * @param {Object} weapon
  * @param {Object} player
  * @param {Object} mutatorEffects
+ * @param {Object} rng - Run 'combat' stream
  * @returns {{ damage: number, isCritical: boolean }}
  */
-function _rollBulletDamage(weapon, player, mutatorEffects) {
+function _rollBulletDamage(weapon, player, mutatorEffects, rng) {
   let damage =
     weapon.damage * (player.damageMultiplier || 1) * (mutatorEffects.playerDamageMultiplier || 1);
   const totalCritChance = (player.criticalChance || 0) + (weapon.criticalChance || 0);
-  const isCritical = Math.random() < totalCritChance;
+  const isCritical = rng.chance(totalCritChance);
   if (isCritical) {
     damage *= weapon.criticalMultiplier || 2;
   }
@@ -93,19 +105,23 @@ function _resolveBulletOrigin(validatedData, player) {
  * @param {Object} validatedData
  * @param {Object} player
  * @param {Object} weapon
+ * @param {string} weaponId - tagged on the bullets for the per-weapon stats
  * @param {Object} mutatorEffects
  * @param {string} socketId
  * @param {number} now
- * @returns {void}
+ * @param {Object} rng - Run 'combat' stream
+ * @returns {number} bullets spawned
  */
 function _spawnBullets(
   entityManager,
   validatedData,
   player,
   weapon,
+  weaponId,
   mutatorEffects,
   socketId,
-  now
+  now,
+  rng
 ) {
   const totalBullets = weapon.bulletCount + (player.extraBullets || 0);
   const MAX_TOTAL_BULLETS = 50;
@@ -120,8 +136,8 @@ function _spawnBullets(
   const { originX, originY } = _resolveBulletOrigin(validatedData, player);
 
   for (let i = 0; i < safeBulletCount; i++) {
-    const spreadAngle = validatedData.angle + (Math.random() - 0.5) * weapon.spread;
-    const { damage, isCritical } = _rollBulletDamage(weapon, player, mutatorEffects);
+    const spreadAngle = validatedData.angle + (rng.random() - 0.5) * weapon.spread;
+    const { damage, isCritical } = _rollBulletDamage(weapon, player, mutatorEffects, rng);
     const vx = Math.cos(spreadAngle) * weapon.bulletSpeed;
     const vy = Math.sin(spreadAngle) * weapon.bulletSpeed;
 
@@ -132,8 +148,10 @@ function _spawnBullets(
       vy,
       spawnCompensationMs: compensationMs,
       playerId: socketId,
+      weaponId,
       damage,
       color: isCritical ? '#ff0000' : weapon.color,
+      isCritical,
       size: weapon.bulletSize || CONFIG.BULLET_SIZE,
       piercing: totalPiercing,
       explosiveRounds: player.explosiveRounds || weapon.hasExplosion || false,
@@ -156,6 +174,7 @@ function _spawnBullets(
       createdAt: now
     });
   }
+  return safeBulletCount;
 }
 
 /**
@@ -197,14 +216,15 @@ function registerShootHandler(socket, gameState, entityManager, _roomManager) {
 
       /** @type {import('../../../types/jsdoc-types').PlayerState|undefined} */
       const player = gameState.players[socket.id];
-      if (!player || !player.alive || !player.hasNickname) {
+      if (!player || !player.alive || !player.hasNickname || player.downed) {
         return;
       }
 
       const now = Date.now();
       player.lastActivityTime = now;
 
-      const weapon = WEAPONS[player.weapon] || WEAPONS.pistol;
+      const weaponId = WEAPONS[player.weapon] ? player.weapon : 'pistol';
+      const weapon = WEAPONS[weaponId];
 
       // Tesla Coil is passive — managed by game loop, no client-triggered bullets
       if (weapon.isTeslaCoil) {
@@ -217,8 +237,23 @@ function registerShootHandler(socket, gameState, entityManager, _roomManager) {
       if (now - player.lastShot < fireRate) {
         return;
       }
+      // Switching, reloading or empty magazine (starts the reload)
+      if (!consumeShot(player, now)) {
+        return;
+      }
       player.lastShot = now;
-      _spawnBullets(entityManager, validatedData, player, weapon, mutatorEffects, socket.id, now);
+      const bullets = _spawnBullets(
+        entityManager,
+        validatedData,
+        player,
+        weapon,
+        weaponId,
+        mutatorEffects,
+        socket.id,
+        now,
+        runStream(gameState, 'combat')
+      );
+      recordShot(player, weaponId, bullets, now, fireRate);
     })
   );
 }
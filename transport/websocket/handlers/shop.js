@@ -10,6 +10,7 @@ const ConfigManager = require('../../../lib/server/ConfigManager');
 const { validateBuyItemData } = require('../../../game/validationFunctions');
 const { checkRateLimit } = require('../../../sockets/rateLimitStore');
 const { safeHandler } = require('../../../sockets/socketUtils');
+const { GAME_EVENTS } = require('../../../lib/server/GameEventBus');
 
 const { SHOP_ITEMS } = ConfigManager;
 
@@ -18,12 +19,13 @@ const { SHOP_ITEMS } = ConfigManager;
  * @param {Object} socket
  * @param {Object} player
  * @param {string} itemId
+ * @returns {boolean} whether the item was bought
  */
 function applyPermanentPurchase(socket, player, itemId) {
   const item = SHOP_ITEMS.permanent[itemId];
   if (!item) {
     logger.error('Item validation failed', { itemId, category: 'permanent', traceId: socket.traceId || null });
-    return;
+    return false;
   }
 
   const currentLevel = player.upgrades[itemId] || 0;
@@ -33,7 +35,7 @@ function applyPermanentPurchase(socket, player, itemId) {
       success: false,
       message: 'Niveau maximum atteint'
     });
-    return;
+    return false;
   }
 
   const cost = item.baseCost + currentLevel * item.costIncrease;
@@ -43,7 +45,7 @@ function applyPermanentPurchase(socket, player, itemId) {
       success: false,
       message: 'Or insuffisant'
     });
-    return;
+    return false;
   }
 
   // ANTI-CHEAT: Atomic deduction — re-check after subtracting to prevent race on concurrent events
@@ -54,7 +56,7 @@ function applyPermanentPurchase(socket, player, itemId) {
       success: false,
       message: 'Or insuffisant'
     });
-    return;
+    return false;
   }
   player.upgrades[itemId] = currentLevel + 1;
   item.effect(player);
@@ -72,6 +74,7 @@ function applyPermanentPurchase(socket, player, itemId) {
     itemId,
     category: 'permanent'
   });
+  return true;
 }
 
 /**
@@ -79,12 +82,13 @@ function applyPermanentPurchase(socket, player, itemId) {
  * @param {Object} socket
  * @param {Object} player
  * @param {string} itemId
+ * @returns {boolean} whether the item was bought
  */
 function applyTemporaryPurchase(socket, player, itemId) {
   const item = SHOP_ITEMS.temporary[itemId];
   if (!item) {
     logger.error('Temporary item validation failed', { itemId, category: 'temporary', traceId: socket.traceId || null });
-    return;
+    return false;
   }
 
   if (player.gold < item.cost) {
@@ -92,7 +96,7 @@ function applyTemporaryPurchase(socket, player, itemId) {
       success: false,
       message: 'Or insuffisant'
     });
-    return;
+    return false;
   }
 
   // ANTI-CHEAT: Atomic deduction — rollback if negative
@@ -103,7 +107,7 @@ function applyTemporaryPurchase(socket, player, itemId) {
       success: false,
       message: 'Or insuffisant'
     });
-    return;
+    return false;
   }
   item.effect(player);
 
@@ -119,6 +123,7 @@ function applyTemporaryPurchase(socket, player, itemId) {
     itemId,
     category: 'temporary'
   });
+  return true;
 }
 
 /**
@@ -153,12 +158,13 @@ function registerBuyItemHandler(socket, gameState) {
       }
 
       const player = gameState.players[socket.id];
-      if (!player || !player.alive || !player.hasNickname) {
+      if (!player || !player.alive || !player.hasNickname || player.downed) {
         logger.debug('Shop purchase ignored - invalid player state', {
           socketId: socket.id,
           exists: !!player,
           alive: player?.alive,
-          hasNickname: player?.hasNickname
+          hasNickname: player?.hasNickname,
+          downed: player?.downed
         });
         return;
       }
@@ -167,10 +173,14 @@ function registerBuyItemHandler(socket, gameState) {
 
       const { itemId, category } = validatedData;
 
+      let bought = false;
       if (category === 'permanent') {
-        applyPermanentPurchase(socket, player, itemId);
+        bought = applyPermanentPurchase(socket, player, itemId);
       } else if (category === 'temporary') {
-        applyTemporaryPurchase(socket, player, itemId);
+        bought = applyTemporaryPurchase(socket, player, itemId);
+      }
+      if (bought) {
+        gameState.events?.emit(GAME_EVENTS.SHOP_PURCHASE, { playerId: socket.id, itemId, category });
       }
     })
   );
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Spectator protocol handlers (spectateList, spectateCamera).
+ * @description A spectator joins with `auth.spectator: true` and has no
+ * player entity. It lists the players it can watch, follows one
+ * (spectateTarget, see ./viewport.js) or moves a free camera; NetworkManager
+ * streams it a low-rate spectatorState around that camera. Players of the
+ * instance are told how many spectators are watching (spectatorCount).
+ */
+
+const { SOCKET_EVENTS } = require('../events');
+const { safeHandler } = require('../../../sockets/socketUtils');
+const { checkRateLimit } = require('../../../sockets/rateLimitStore');
+const { SPECTATOR_CONFIG } = require('../../../config/constants');
+
+/**
+ * Players a spectator can follow: everyone past the nickname screen.
+ * @param {Object} gameState
+ * @returns {Array<{id: string, nickname: string, alive: boolean, downed: boolean, level: number}>}
+ */
+function listWatchablePlayers(gameState) {
+  const list = [];
+  for (const id in gameState.players) {
+    const player = gameState.players[id];
+    if (!player.hasNickname) {
+      continue;
+    }
+    list.push({
+      id,
+      nickname: player.nickname,
+      alive: Boolean(player.alive),
+      downed: Boolean(player.downed),
+      level: player.level || 1
+    });
+  }
+  return list;
+}
+
+/**
+ * Tell the whole instance how many spectators are watching.
+ * @param {Object} io - Socket.IO server or instance room emitter
+ * @param {Object|null} networkManager
+ */
+function broadcastSpectatorCount(io, networkManager) {
+  if (!networkManager) {
+    return;
+  }
+  io.emit(SOCKET_EVENTS.SERVER.SPECTATOR_COUNT, {
+    count: networkManager.getSpectatorCount(),
+    max: SPECTATOR_CONFIG.maxPerInstance
+  });
+}
+
+/**
+ * Register the spectator-only handlers on a watch-only socket.
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} networkManager - lib/server/NetworkManager instance
+ * @param {Object} gameState
+ */
+function registerSpectatorHandlers(socket, networkManager, gameState) {
+  socket.on(
+    SOCKET_EVENTS.CLIENT.SPECTATE_LIST,
+    safeHandler('spectateList', function () {
+      if (!checkRateLimit(socket.id, 'spectateList')) {
+        return;
+      }
+      socket.emit(SOCKET_EVENTS.SERVER.SPECTATOR_PLAYERS, {
+        players: listWatchablePlayers(gameState),
+        targetId: networkManager ? networkManager.getCameraTarget(socket.id) : null
+      });
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.SPECTATE_CAMERA,
+    safeHandler('spectateCamera', function (data) {
+      if (!networkManager || !data || typeof data !== 'object') {
+        return;
+      }
+      if (!checkRateLimit(socket.id, 'spectateCamera')) {
+        return;
+      }
+      networkManager.setCameraPosition(socket.id, data.x, data.y);
+    })
+  );
+}
+
+module.exports = { registerSpectatorHandlers, broadcastSpectatorCount, listWatchablePlayers };
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Viewport / spectator-camera handlers — area-of-interest input.
+ * @description Clients report their viewport size (world px) so the broadcast
+ * loop can cull entities outside it; spectators report which player their
+ * camera follows (null = free camera, see ./spectator.js). Both only feed
+ * NetworkManager's InterestManager — no game state is touched.
+ */
+
+const { SOCKET_EVENTS } = require('../events');
+const { safeHandler } = require('../../../sockets/socketUtils');
+const { checkRateLimit } = require('../../../sockets/rateLimitStore');
+
+/**
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} networkManager - lib/server/NetworkManager instance
+ */
+function registerViewportHandler(socket, networkManager) {
+  socket.on(
+    SOCKET_EVENTS.CLIENT.VIEWPORT,
+    safeHandler('viewport', function (data) {
+      if (!networkManager || !data || typeof data !== 'object') {
+        return;
+      }
+      if (!checkRateLimit(socket.id, 'viewport')) {
+        return;
+      }
+      networkManager.setViewport(socket.id, data.width, data.height);
+    })
+  );
+}
+
+/**
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} networkManager
+ * @param {Object} gameState
+ */
+function registerSpectateTargetHandler(socket, networkManager, gameState) {
+  socket.on(
+    SOCKET_EVENTS.CLIENT.SPECTATE_TARGET,
+    safeHandler('spectateTarget', function (data) {
+      if (!networkManager || !data || typeof data !== 'object') {
+        return;
+      }
+      if (!checkRateLimit(socket.id, 'spectateTarget')) {
+        return;
+      }
+      const target = typeof data.playerId === 'string' ? gameState.players[data.playerId] : null;
+      // Only players past the nickname screen can be followed
+      const playerId = target && target.hasNickname ? data.playerId : null;
+      networkManager.setCameraTarget(socket.id, playerId);
+    })
+  );
+}
+
+module.exports = { registerViewportHandler, registerSpectateTargetHandler };
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Weapon inventory handlers (switchWeapon, reload).
+ * @description The server owns the inventory: a switch is only honoured for an
+ * owned weapon, a reload only when the magazine is not full and ammo is left.
+ * The resulting state reaches the owner through the weaponInventory push
+ * (contexts/weapons/modules/WeaponInventory.syncInventory).
+ */
+
+const { SOCKET_EVENTS } = require('../events');
+const { safeHandler } = require('../../../sockets/socketUtils');
+const { checkRateLimit } = require('../../../sockets/rateLimitStore');
+const { validateSwitchWeaponData } = require('../../../game/validationFunctions');
+const { switchWeapon, startReload } = require('../../../contexts/weapons/modules/WeaponInventory');
+const logger = require('../../../infrastructure/logging/Logger');
+
+function _activePlayer(socket, gameState) {
+  const player = gameState.players[socket.id];
+  if (socket.spectator || !player || !player.alive || !player.hasNickname || player.downed) {
+    return null;
+  }
+  return player;
+}
+
+/**
+ * Register the weapon inventory handlers on a socket.
+ *
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} gameState
+ */
+function registerWeaponHandlers(socket, gameState) {
+  socket.on(
+    SOCKET_EVENTS.CLIENT.SWITCH_WEAPON,
+    safeHandler('switchWeapon', function (data) {
+      const validatedData = validateSwitchWeaponData(data);
+      if (!validatedData) {
+        logger.warn('Invalid switchWeapon data received', { socketId: socket.id, traceId: socket.traceId || null });
+        return;
+      }
+      if (!checkRateLimit(socket.id, 'switchWeapon')) {
+        return;
+      }
+      const player = _activePlayer(socket, gameState);
+      if (!player) {
+        return;
+      }
+      const now = Date.now();
+      if (switchWeapon(player, validatedData.weaponId, now)) {
+        player.lastActivityTime = now;
+      }
+    })
+  );
+
+  socket.on(
+    SOCKET_EVENTS.CLIENT.RELOAD,
+    safeHandler('reload', function () {
+      if (!checkRateLimit(socket.id, 'reload')) {
+        return;
+      }
+      const player = _activePlayer(socket, gameState);
+      if (!player) {
+        return;
+      }
+      const now = Date.now();
+      if (startReload(player, now)) {
+        player.lastActivityTime = now;
+      }
+    })
+  );
+}
+
+module.exports = { registerWeaponHandlers };
@@ -1,6 +1,7 @@
 /**
  * @fileoverview WebSocket transport — canonical entry-point.
  * @description Bootstraps the Socket.IO connection lifecycle:
+ *   - game instance (lobby) resolution from the handshake
  *   - session recovery / new player creation
  *   - INIT + GAME_STATE snapshot emit
  *   - per-context handler registration
@@ -23,9 +24,15 @@ const {
   sanitizePlayersState,
   restoreRecoverablePlayerState
 } = require('../../contexts/session/sessionRecovery');
+const { normalizeInstanceId } = require('../../server/instanceManager');
+const { toPublicAltar } = require('../../lib/server/AltarManager');
+const partyStore = require('../../contexts/party');
+const { bindRateLimitAccount } = require('../../sockets/rateLimitStore');
+const { MOVEMENT_CONFIG, SPECTATOR_CONFIG } = require('../../config/constants');
 
 const { registerPlayerMoveHandler } = require('./handlers/playerMove');
 const { registerShootHandler } = require('./handlers/shoot');
+const { registerWeaponHandlers } = require('./handlers/weapons');
 const { registerRespawnHandler } = require('./handlers/respawn');
 const { registerSelectUpgradeHandler } = require('./handlers/selectUpgrade');
 const { registerBuyItemHandler, registerShopHandlers } = require('./handlers/shop');
@@ -34,6 +41,11 @@ const { registerSpawnProtectionHandlers } = require('./handlers/spawnProtection'
 const { registerPingHandler } = require('./handlers/ping');
 const { registerDisconnectHandler } = require('./handlers/disconnect');
 const { registerRequestFullStateHandler } = require('./handlers/requestFullState');
+const { registerViewportHandler, registerSpectateTargetHandler } = require('./handlers/viewport');
+const { registerSpectatorHandlers, broadcastSpectatorCount } = require('./handlers/spectator');
+const { registerEmoteHandler, registerChatHandler } = require('./handlers/chat');
+const { registerPresenceHandler } = require('./handlers/presence');
+const { registerPartyHandlers } = require('./handlers/party');
 
 const { CONFIG, WEAPONS, POWERUP_TYPES, ZOMBIE_TYPES, SHOP_ITEMS } = ConfigManager;
 
@@ -49,7 +61,7 @@ function attachTraceContext(socket) {
   return traceId;
 }
 
-function tryRecoverSession(socket, sessionId, accountId, gameState) {
+function tryRecoverSession(socket, sessionId, accountId, gameState, moderationService = null) {
   if (!sessionId || !disconnectedPlayers.has(sessionId)) {
     return false;
   }
@@ -63,6 +75,12 @@ function tryRecoverSession(socket, sessionId, accountId, gameState) {
     });
     return false;
   }
+  const savedAccountId = savedData.accountId || accountId;
+  if (moderationService && moderationService.getActiveBan(savedAccountId)) {
+    logger.warn('Session recovery refused - account banned', { sessionId, accountId: savedAccountId });
+    disconnectedPlayers.delete(sessionId);
+    return false;
+  }
   logger.info('Session recovery found', {
     sessionId,
     disconnectedSecs: Math.round(elapsed / 1000)
@@ -87,8 +105,12 @@ function tryRecoverSession(socket, sessionId, accountId, gameState) {
   return true;
 }
 
-function rejectIfServerFull(socket, perfIntegration, gameState) {
-  const playerCount = Object.keys(gameState.players).length;
+function rejectIfServerFull(socket, perfIntegration, gameState, instanceManager = null) {
+  // Server-wide capacity covers every instance; per-instance caps are checked
+  // separately in resolveWorld().
+  const playerCount = instanceManager
+    ? instanceManager.getTotalPlayerCount()
+    : Object.keys(gameState.players).length;
   if (perfIntegration.canAcceptPlayer(playerCount)) {
     return false;
   }
@@ -104,16 +126,18 @@ function rejectIfServerFull(socket, perfIntegration, gameState) {
   return true;
 }
 
-function spawnNewPlayer(socket, sessionId, accountId, gameState, perfIntegration) {
-  if (rejectIfServerFull(socket, perfIntegration, gameState)) {
+function spawnNewPlayer(socket, sessionId, accountId, gameState, perfIntegration, instanceManager) {
+  if (rejectIfServerFull(socket, perfIntegration, gameState, instanceManager)) {
     return false;
   }
+  // Party members spawn next to a mate already in the game
   gameState.players[socket.id] = createPlayerState(
     CONFIG,
     socket.id,
     sessionId || null,
     accountId,
-    gameState
+    gameState,
+    partyStore.getSpawnAnchor(partyStore.memberKey(sessionId, socket.id), gameState.players)
   );
   return true;
 }
@@ -142,7 +166,7 @@ function applySkillBonuses(socket, accountId, gameState) {
     );
 }
 
-function emitInitSnapshot(socket, gameState, recovered) {
+function emitInit(socket, gameState, recovered) {
   socket.emit(SOCKET_EVENTS.SERVER.INIT, {
     playerId: socket.id,
     config: CONFIG,
@@ -153,11 +177,21 @@ function emitInitSnapshot(socket, gameState, recovered) {
     walls: gameState.walls,
     rooms: gameState.rooms.length,
     currentRoom: gameState.currentRoom,
+    altars: (gameState.altars || []).map(altar => toPublicAltar(altar)),
+    instanceId: gameState.instanceId || null,
+    seed: gameState.rng ? gameState.rng.seed : null,
+    movementMode: MOVEMENT_CONFIG.mode,
     mutators: gameState.activeMutators || [],
     mutatorEffects: gameState.mutatorEffects || null,
     nextMutatorWave: gameState.nextMutatorWave || 0,
-    recovered
+    visionRadius: gameState.visionRadius || null,
+    recovered,
+    spectator: Boolean(socket.spectator)
   });
+}
+
+function emitInitSnapshot(socket, gameState, recovered) {
+  emitInit(socket, gameState, recovered);
   socket.emit(SOCKET_EVENTS.SERVER.GAME_STATE, {
     players: sanitizePlayersState(gameState.players),
     zombies: gameState.zombies,
@@ -175,6 +209,120 @@ function emitInitSnapshot(socket, gameState, recovered) {
   });
 }
 
+/**
+ * Pick the world (instance) a connecting socket plays in and join its room.
+ * Without an instance manager (tests, bench harnesses) the handler's own
+ * gameState/managers are used unchanged.
+ *
+ * When the handshake does not name one, a party member joins the instance
+ * of its party leader and a reconnecting session goes back to the instance
+ * it was saved from.
+ *
+ * @param {import('socket.io').Socket} socket
+ * @param {Object|null} instanceManager
+ * @param {Object} fallback - {gameState, entityManager, roomManager, networkManager}
+ * @param {string|null} sessionId
+ * @returns {Object|null} world deps, or null when the socket was rejected
+ */
+function resolveWorld(socket, instanceManager, fallback, sessionId) {
+  if (!instanceManager) {
+    return fallback;
+  }
+  const saved = sessionId ? disconnectedPlayers.get(sessionId) : null;
+  const party = sessionId ? partyStore.getParty(sessionId) : null;
+  const knownInstance = id => (id && instanceManager.getInstance(id) ? id : null);
+  const requestedId =
+    normalizeInstanceId(socket.handshake.auth?.instanceId) ||
+    knownInstance(party && party.instanceId) ||
+    knownInstance(saved && saved.instanceId);
+
+  let instance;
+  try {
+    instance = instanceManager.resolveInstance(requestedId);
+  } catch (_err) {
+    logger.warn('Connection rejected - unknown instance', {
+      socketId: socket.id,
+      instanceId: requestedId
+    });
+    socket.emit(SOCKET_EVENTS.SERVER.INSTANCE_NOT_FOUND, {
+      instanceId: requestedId,
+      message: 'Cette partie n\'existe plus.'
+    });
+    socket.disconnect();
+    return null;
+  }
+
+  if (!socket.handshake.auth?.spectator && instance.isFull()) {
+    logger.warn('Connection rejected - instance full', {
+      socketId: socket.id,
+      instanceId: instance.id,
+      maxPlayers: instance.maxPlayers
+    });
+    socket.emit(SOCKET_EVENTS.SERVER.INSTANCE_FULL, {
+      instanceId: instance.id,
+      maxPlayers: instance.maxPlayers,
+      message: 'Cette partie est complète.'
+    });
+    socket.disconnect();
+    return null;
+  }
+
+  socket.instanceId = instance.id;
+  socket.join(instance.room);
+  return {
+    gameState: instance.gameState,
+    entityManager: instance.entityManager,
+    roomManager: instance.roomManager,
+    networkManager: instance.networkManager,
+    io: instance.io
+  };
+}
+
+/**
+ * Watch-only connection: no player entity, its own low-rate state feed and
+ * a cap per instance (SPECTATOR_CONFIG.maxPerInstance).
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} world - resolveWorld() output
+ * @param {{sessionId: string|null, accountId: string|null, traceId: string}} ids
+ */
+function joinAsSpectator(socket, world, { sessionId, accountId, traceId }) {
+  const { gameState, entityManager, networkManager, io } = world;
+  if (networkManager && networkManager.getSpectatorCount() >= SPECTATOR_CONFIG.maxPerInstance) {
+    logger.warn('Spectator rejected - spectator cap reached', {
+      socketId: socket.id,
+      maxSpectators: SPECTATOR_CONFIG.maxPerInstance
+    });
+    socket.emit(SOCKET_EVENTS.SERVER.SPECTATORS_FULL, {
+      maxSpectators: SPECTATOR_CONFIG.maxPerInstance,
+      message: 'Trop de spectateurs sur cette partie.'
+    });
+    socket.disconnect();
+    return;
+  }
+
+  logger.info('Spectator connected', { socketId: socket.id, traceId });
+  // The first spectatorState keyframe follows on the next broadcast tick
+  emitInit(socket, gameState, false);
+  if (networkManager) {
+    networkManager.addSpectator(socket.id);
+  }
+  registerViewportHandler(socket, networkManager);
+  registerSpectateTargetHandler(socket, networkManager, gameState);
+  registerSpectatorHandlers(socket, networkManager, gameState);
+  registerDisconnectHandler(
+    socket,
+    gameState,
+    entityManager,
+    sessionId,
+    accountId,
+    networkManager,
+    () => {}
+  );
+  // Registered after the disconnect handler: the count is read once the feed dropped this socket
+  socket.on(SOCKET_EVENTS.SYSTEM.DISCONNECT, () => broadcastSpectatorCount(io, networkManager));
+  broadcastSpectatorCount(io, networkManager);
+}
+
 function registerAllHandlers(socket, deps) {
   const {
     gameState,
@@ -188,6 +336,7 @@ function registerAllHandlers(socket, deps) {
   } = deps;
   registerPlayerMoveHandler(socket, gameState, roomManager);
   registerShootHandler(socket, gameState, entityManager, roomManager);
+  registerWeaponHandlers(socket, gameState);
   registerRespawnHandler(socket, gameState, entityManager);
   registerSelectUpgradeHandler(socket, gameState);
   registerBuyItemHandler(socket, gameState);
@@ -195,7 +344,13 @@ function registerAllHandlers(socket, deps) {
   registerSpawnProtectionHandlers(socket, gameState);
   registerShopHandlers(socket, gameState);
   registerPingHandler(socket, networkManager, gameState);
-  registerRequestFullStateHandler(socket, gameState, emitInitSnapshot);
+  registerRequestFullStateHandler(socket, gameState, emitInitSnapshot, networkManager);
+  registerViewportHandler(socket, networkManager);
+  registerSpectateTargetHandler(socket, networkManager, gameState);
+  registerEmoteHandler(socket, gameState, io);
+  registerChatHandler(socket, gameState, io, container);
+  registerPresenceHandler(socket, io, container, accountId);
+  registerPartyHandlers(socket, gameState, io, sessionId);
   // socket.io has its own ping/pong; the legacy custom heartbeat used to
   // kick legitimate clients after 10s. Stub kept for disconnect signature.
   const stopZombieHeartbeat = () => {};
@@ -221,8 +376,11 @@ function initSocketHandlers(
   metricsCollector,
   perfIntegration,
   container = null,
-  networkManager = null
+  networkManager = null,
+  instanceManager = null
 ) {
+  const fallbackWorld = { gameState, entityManager, roomManager, networkManager, io };
+  const moderationService = container ? container.get('moderationService') : null;
   return socket => {
     const sessionId = normalizeSessionId(socket.handshake.auth?.sessionId);
     const accountId = socket.userId || null;
@@ -234,8 +392,10 @@ function initSocketHandlers(
       traceId
     });
 
+    socket.spectator = socket.handshake.auth?.spectator === true;
     // Evict any existing socket sharing the same sessionId (multi-tab guard).
-    if (sessionId) {
+    // A spectator tab never replaces the player tab of the same session.
+    if (sessionId && !socket.spectator) {
       for (const [id, s] of io.sockets.sockets) {
         if (id !== socket.id && s.sessionId === sessionId) {
           s.emit('sessionReplaced', { reason: 'another tab connected' });
@@ -245,27 +405,30 @@ function initSocketHandlers(
       }
     }
     socket.sessionId = sessionId || null;
-    socket.spectator = socket.handshake.auth?.spectator === true;
+    bindRateLimitAccount(socket.id, accountId);
+
+    const world = resolveWorld(socket, instanceManager, fallbackWorld, sessionId);
+    if (!world) {
+      return;
+    }
+    const { gameState, entityManager, roomManager, networkManager } = world;
 
     if (socket.spectator) {
-      logger.info('Spectator connected', { socketId: socket.id, traceId });
-      emitInitSnapshot(socket, gameState, false);
-      registerDisconnectHandler(
-        socket,
-        gameState,
-        entityManager,
-        sessionId,
-        accountId,
-        networkManager,
-        () => {}
-      );
+      joinAsSpectator(socket, world, { sessionId, accountId, traceId });
       return;
     }
 
-    const recovered = tryRecoverSession(socket, sessionId, accountId, gameState);
+    const recovered = tryRecoverSession(socket, sessionId, accountId, gameState, moderationService);
     if (!recovered) {
       logger.info('Creating new player', { socketId: socket.id });
-      const ok = spawnNewPlayer(socket, sessionId, accountId, gameState, perfIntegration);
+      const ok = spawnNewPlayer(
+        socket,
+        sessionId,
+        accountId,
+        gameState,
+        perfIntegration,
+        instanceManager
+      );
       if (!ok) {
         return;
       }
@@ -278,9 +441,15 @@ function initSocketHandlers(
       applySkillBonuses(socket, accountId, gameState);
     }
     emitInitSnapshot(socket, gameState, recovered);
+    if (networkManager && networkManager.getSpectatorCount() > 0) {
+      socket.emit(SOCKET_EVENTS.SERVER.SPECTATOR_COUNT, {
+        count: networkManager.getSpectatorCount(),
+        max: SPECTATOR_CONFIG.maxPerInstance
+      });
+    }
     registerAllHandlers(socket, {
       gameState,
-      io,
+      io: world.io,
       entityManager,
       roomManager,
       container,
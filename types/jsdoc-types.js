@@ -20,6 +20,7 @@
  * @property {string|null} accountId
  * @property {string|null} nickname
  * @property {boolean} hasNickname
+ * @property {boolean} [isBot] - server-side bot player (lib/server/bots/BotManager)
  * @property {boolean} spawnProtection
  * @property {number} spawnProtectionEndTime
  * @property {boolean} invisible
@@ -33,17 +34,24 @@
  * @property {number} xp
  * @property {number} gold
  * @property {boolean} alive
+ * @property {boolean} downed - co-op: on the ground, waiting for a revive (alive stays true)
+ * @property {number} downedUntil - bleed-out timestamp (ms), 0 when standing
+ * @property {number} reviveProgress - 0..1
+ * @property {string|null} reviverId - socket id of the teammate reviving
  * @property {number} angle
- * @property {string} weapon
+ * @property {string} weapon - equipped weapon id
+ * @property {Array<{id: string, ammo: number|null, reserve: number|null}>} weapons - inventory slots
+ * @property {number} reloadingUntil - 0 when not reloading
+ * @property {number} weaponReadyAt - no shot before (weapon switch)
  * @property {number} lastShot
  * @property {Object|null} speedBoost
- * @property {Object|null} weaponTimer
  * @property {number} kills
  * @property {number} zombiesKilled
  * @property {number} combo
  * @property {number} comboTimer
  * @property {number} highestCombo
  * @property {number} totalScore
+ * @property {Object<string, Object>} [weaponRunStats] - per-weapon counters of the run (WeaponRunStats)
  * @property {number} survivalTime
  * @property {PlayerUpgrades} upgrades
  * @property {number} damageMultiplier
@@ -63,6 +71,9 @@
  * @property {number} lastRegenTick
  * @property {number} autoTurrets
  * @property {number} lastAutoShot
+ * @property {string[]} levelUpUpgrades - level-up upgrade ids picked this run (SynergyRegistry)
+ * @property {string[]} synergies - unlocked synergy ids (SynergyConfig)
+ * @property {Object<string, number>} synergyEffects - folded synergy modifiers
  */
 
 /**
@@ -123,8 +134,10 @@
  * @property {string} color
  * @property {number} size
  * @property {string|null} playerId
+ * @property {string|null} weaponId - weapon that fired it, null for turret/zombie bullets
  * @property {string|null} zombieId
  * @property {number} piercing
+ * @property {boolean} isCritical - rolled a crit (assassins_mark pierce bonus)
  * @property {number[]} piercedZombies
  * @property {boolean} explosiveRounds
  * @property {number} explosionRadius
@@ -186,6 +199,7 @@
  * @property {Object[]} walls
  * @property {Object[]} rooms
  * @property {number} currentRoom
+ * @property {Object[]} altars - Current room's altars (see lib/server/AltarManager)
  * @property {boolean} bossSpawned
  * @property {number} nextZombieId
  * @property {number} nextBulletId
@@ -200,6 +214,7 @@
  * @property {Object[]} activeMutators
  * @property {MutatorEffects} mutatorEffects
  * @property {number} nextMutatorWave
+ * @property {number|null} visionRadius - Darkness mutator vision radius (px), null when inactive
  * @property {PermanentUpgrades} permanentUpgrades
  * @property {function(string): number} getNextId
  */